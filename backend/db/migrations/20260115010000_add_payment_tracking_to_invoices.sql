@@ -0,0 +1,29 @@
+-- UP
+-- Track provider payment outcomes on invoices (failed payments, partial refunds)
+
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS amount_refunded DECIMAL(10, 2) DEFAULT 0;
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS refunded_at TIMESTAMP;
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS payment_failed_at TIMESTAMP;
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS payment_failure_reason TEXT;
+
+COMMENT ON COLUMN invoices.amount_refunded IS 'Cumulative amount refunded through the payment provider or manually.';
+COMMENT ON COLUMN invoices.payment_failure_reason IS 'Last failure reason reported by the payment provider.';
+
+-- Allow the new payment states
+ALTER TABLE invoices DROP CONSTRAINT IF EXISTS chk_invoices_status;
+ALTER TABLE invoices ADD CONSTRAINT chk_invoices_status
+    CHECK (status IN ('pending', 'paid', 'overdue', 'cancelled', 'refunded', 'partially_refunded', 'payment_failed'));
+
+-- Webhooks look invoices up by the provider's payment ID
+CREATE INDEX IF NOT EXISTS idx_invoices_payment_provider_id
+    ON invoices(payment_provider, payment_provider_id);
+
+-- DOWN
+-- DROP INDEX IF EXISTS idx_invoices_payment_provider_id;
+-- ALTER TABLE invoices DROP CONSTRAINT IF EXISTS chk_invoices_status;
+-- ALTER TABLE invoices ADD CONSTRAINT chk_invoices_status
+--     CHECK (status IN ('pending', 'paid', 'overdue', 'cancelled', 'refunded'));
+-- ALTER TABLE invoices DROP COLUMN IF EXISTS payment_failure_reason;
+-- ALTER TABLE invoices DROP COLUMN IF EXISTS payment_failed_at;
+-- ALTER TABLE invoices DROP COLUMN IF EXISTS refunded_at;
+-- ALTER TABLE invoices DROP COLUMN IF EXISTS amount_refunded;
@@ -0,0 +1,37 @@
+-- UP
+-- Delivery log for escalation notifications (one row per channel per escalation)
+
+CREATE TABLE IF NOT EXISTS escalation_notifications (
+  id SERIAL PRIMARY KEY,
+  escalation_id INTEGER NOT NULL REFERENCES escalations(id) ON DELETE CASCADE,
+  client_id INTEGER NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  channel VARCHAR(20) NOT NULL, -- email, sms, whatsapp
+  recipient VARCHAR(255) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, sent, failed
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  provider_message_id VARCHAR(255),
+  next_retry_at TIMESTAMP,
+  sent_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+
+  CONSTRAINT chk_escalation_notifications_channel CHECK (channel IN ('email', 'sms', 'whatsapp')),
+  CONSTRAINT chk_escalation_notifications_status CHECK (status IN ('pending', 'sent', 'failed'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_escalation_notifications_escalation
+  ON escalation_notifications(escalation_id);
+
+-- Retry job scans failed notifications that are due
+CREATE INDEX IF NOT EXISTS idx_escalation_notifications_retry
+  ON escalation_notifications(next_retry_at)
+  WHERE status = 'failed' AND next_retry_at IS NOT NULL;
+
+COMMENT ON TABLE escalation_notifications IS 'Delivery attempts for escalation notifications sent to businesses';
+COMMENT ON COLUMN escalation_notifications.next_retry_at IS 'When the retry job should resend a failed notification (NULL = no more retries)';
+
+-- DOWN
+-- DROP INDEX IF EXISTS idx_escalation_notifications_retry;
+-- DROP INDEX IF EXISTS idx_escalation_notifications_escalation;
+-- DROP TABLE IF EXISTS escalation_notifications;
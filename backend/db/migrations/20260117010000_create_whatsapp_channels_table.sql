@@ -0,0 +1,31 @@
+-- UP
+-- WhatsApp Business channels (one per business phone number)
+
+CREATE TABLE IF NOT EXISTS whatsapp_channels (
+  id SERIAL PRIMARY KEY,
+  client_id INTEGER NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  phone_number_id VARCHAR(64) NOT NULL, -- WhatsApp Cloud API phone number ID
+  display_phone_number VARCHAR(32),
+  connection_config JSONB NOT NULL DEFAULT '{}'::jsonb, -- access_token, app_secret
+  status VARCHAR(50) DEFAULT 'active', -- active, inactive, error
+  last_error TEXT,
+  last_message_at TIMESTAMP,
+  settings JSONB DEFAULT '{
+    "auto_reply": true,
+    "template_name": "",
+    "template_language": "en"
+  }'::jsonb,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+
+  CONSTRAINT unique_whatsapp_phone_number_id UNIQUE(phone_number_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_whatsapp_channels_client ON whatsapp_channels(client_id);
+
+COMMENT ON TABLE whatsapp_channels IS 'WhatsApp Business numbers connected to clients';
+COMMENT ON COLUMN whatsapp_channels.settings IS 'template_name/template_language: approved template used to reopen the 24-hour window';
+
+-- DOWN
+-- DROP INDEX IF EXISTS idx_whatsapp_channels_client;
+-- DROP TABLE IF EXISTS whatsapp_channels;
@@ -0,0 +1,41 @@
+-- UP
+-- Per-client knowledge base: uploaded documents split into searchable chunks
+
+CREATE TABLE IF NOT EXISTS knowledge_documents (
+  id SERIAL PRIMARY KEY,
+  client_id INTEGER NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  title VARCHAR(255) NOT NULL,
+  source_type VARCHAR(20) NOT NULL DEFAULT 'markdown', -- markdown, html, pdf, text
+  source_name VARCHAR(255), -- Original file name, if uploaded from a file
+  content TEXT NOT NULL, -- Original document body (PDFs: extracted text)
+  chunk_count INTEGER NOT NULL DEFAULT 0,
+  enabled BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_knowledge_documents_client ON knowledge_documents(client_id);
+
+CREATE TABLE IF NOT EXISTS knowledge_chunks (
+  id SERIAL PRIMARY KEY,
+  document_id INTEGER NOT NULL REFERENCES knowledge_documents(id) ON DELETE CASCADE,
+  client_id INTEGER NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  chunk_index INTEGER NOT NULL,
+  heading VARCHAR(500), -- Nearest section heading, used in citations
+  page INTEGER, -- PDF page number, if known
+  content TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+
+  CONSTRAINT unique_knowledge_chunk UNIQUE(document_id, chunk_index)
+);
+
+CREATE INDEX IF NOT EXISTS idx_knowledge_chunks_client ON knowledge_chunks(client_id);
+
+COMMENT ON TABLE knowledge_documents IS 'Documents uploaded to a client knowledge base (searched by adaptive mode)';
+COMMENT ON TABLE knowledge_chunks IS 'Search units of knowledge_documents, indexed in memory with BM25';
+
+-- DOWN
+-- DROP INDEX IF EXISTS idx_knowledge_chunks_client;
+-- DROP TABLE IF EXISTS knowledge_chunks;
+-- DROP INDEX IF EXISTS idx_knowledge_documents_client;
+-- DROP TABLE IF EXISTS knowledge_documents;
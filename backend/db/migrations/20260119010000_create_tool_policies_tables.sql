@@ -0,0 +1,50 @@
+-- UP
+-- Per-client tool policies layered over the tool defaults (tools.max_confidence etc.)
+-- A row with client_tool_id NULL applies to all of the client's tools; a row with
+-- client_tool_id set applies to that one tool and wins over the client-wide row.
+
+CREATE TABLE IF NOT EXISTS tool_policies (
+  id SERIAL PRIMARY KEY,
+  client_id INTEGER NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  client_tool_id INTEGER REFERENCES client_tools(id) ON DELETE CASCADE,
+  max_confidence INTEGER CHECK (max_confidence BETWEEN 1 AND 10), -- NULL = inherit
+  is_destructive BOOLEAN, -- NULL = inherit
+  requires_confirmation BOOLEAN, -- NULL = inherit
+  confirmation_phrases TEXT[] NOT NULL DEFAULT '{}', -- Extra phrases that confirm a pending action
+  destructive_phrases TEXT[] NOT NULL DEFAULT '{}', -- Phrases that mark a request as destructive
+  parameter_rules JSONB NOT NULL DEFAULT '[]'::jsonb, -- [{"param": "amount", "operator": "gt", "value": 100, "action": "confirm"}]
+  updated_by VARCHAR(255),
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tool_policies_client
+  ON tool_policies(client_id) WHERE client_tool_id IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tool_policies_client_tool
+  ON tool_policies(client_tool_id) WHERE client_tool_id IS NOT NULL;
+
+-- Audit trail of policy changes
+CREATE TABLE IF NOT EXISTS tool_policy_changes (
+  id SERIAL PRIMARY KEY,
+  client_id INTEGER NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  client_tool_id INTEGER, -- Not a foreign key: history outlives removed client tools
+  tool_name VARCHAR(100), -- NULL for client-wide policies
+  action VARCHAR(20) NOT NULL, -- created, updated, deleted
+  previous JSONB,
+  current JSONB,
+  changed_by VARCHAR(255),
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_tool_policy_changes_client
+  ON tool_policy_changes(client_id, created_at DESC);
+
+COMMENT ON TABLE tool_policies IS 'Client and client-tool overrides of tool safety policies, enforced by adaptive mode';
+COMMENT ON TABLE tool_policy_changes IS 'Audit trail of tool_policies changes';
+
+-- DOWN
+-- DROP INDEX IF EXISTS idx_tool_policy_changes_client;
+-- DROP TABLE IF EXISTS tool_policy_changes;
+-- DROP INDEX IF EXISTS idx_tool_policies_client_tool;
+-- DROP INDEX IF EXISTS idx_tool_policies_client;
+-- DROP TABLE IF EXISTS tool_policies;
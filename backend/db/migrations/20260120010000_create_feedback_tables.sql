@@ -0,0 +1,46 @@
+-- UP
+-- Customer satisfaction: thumbs up/down on AI answers and an end-of-conversation rating
+
+-- Reasoning mode used for the conversation (standard or adaptive), for CSAT breakdowns
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS reasoning_mode VARCHAR(20);
+
+CREATE TABLE IF NOT EXISTS message_feedback (
+  id SERIAL PRIMARY KEY,
+  message_id INTEGER NOT NULL UNIQUE REFERENCES messages(id) ON DELETE CASCADE,
+  conversation_id INTEGER NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+  client_id INTEGER NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  rating SMALLINT NOT NULL CHECK (rating IN (-1, 1)), -- 1 = thumbs up, -1 = thumbs down
+  comment TEXT,
+  tool_name VARCHAR(100), -- Tool executed for the rated answer, if any
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_message_feedback_client_created
+  ON message_feedback(client_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_message_feedback_conversation
+  ON message_feedback(conversation_id);
+
+CREATE TABLE IF NOT EXISTS conversation_feedback (
+  id SERIAL PRIMARY KEY,
+  conversation_id INTEGER NOT NULL UNIQUE REFERENCES conversations(id) ON DELETE CASCADE,
+  client_id INTEGER NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+  comment TEXT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_conversation_feedback_client_created
+  ON conversation_feedback(client_id, created_at DESC);
+
+COMMENT ON TABLE message_feedback IS 'End-user thumbs up/down on AI messages';
+COMMENT ON TABLE conversation_feedback IS 'End-user 1-5 rating of a whole conversation (CSAT = share of 4s and 5s)';
+
+-- DOWN
+-- DROP INDEX IF EXISTS idx_conversation_feedback_client_created;
+-- DROP TABLE IF EXISTS conversation_feedback;
+-- DROP INDEX IF EXISTS idx_message_feedback_conversation;
+-- DROP INDEX IF EXISTS idx_message_feedback_client_created;
+-- DROP TABLE IF EXISTS message_feedback;
+-- ALTER TABLE conversations DROP COLUMN IF EXISTS reasoning_mode;
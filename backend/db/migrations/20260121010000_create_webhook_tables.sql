@@ -0,0 +1,60 @@
+-- UP
+-- Outbound webhooks: clients subscribe URLs to platform events
+-- (conversation started/ended, escalation created/resolved, tool executed/failed,
+-- invoice generated/paid). Payloads are signed with the subscription secret.
+
+CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+  id SERIAL PRIMARY KEY,
+  client_id INTEGER NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  url TEXT NOT NULL,
+  description VARCHAR(255),
+  events TEXT[] NOT NULL DEFAULT '{}', -- Event types, e.g. {conversation.ended,escalation.created}
+  secret VARCHAR(100) NOT NULL, -- HMAC-SHA256 signing secret
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_subscriptions_client
+  ON webhook_subscriptions(client_id);
+
+-- Delivery log: one row per event per subscription (replays add a new row)
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id SERIAL PRIMARY KEY,
+  subscription_id INTEGER NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+  client_id INTEGER NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  event_type VARCHAR(50) NOT NULL,
+  payload JSONB NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, sent, failed
+  attempts INTEGER NOT NULL DEFAULT 0,
+  response_status INTEGER,
+  response_body TEXT,
+  last_error TEXT,
+  next_retry_at TIMESTAMP,
+  delivered_at TIMESTAMP,
+  replay_of INTEGER REFERENCES webhook_deliveries(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+
+  CONSTRAINT chk_webhook_deliveries_status CHECK (status IN ('pending', 'sent', 'failed'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription
+  ON webhook_deliveries(subscription_id, created_at DESC);
+
+-- Retry job scans failed deliveries that are due
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_retry
+  ON webhook_deliveries(next_retry_at)
+  WHERE status = 'failed' AND next_retry_at IS NOT NULL;
+
+COMMENT ON TABLE webhook_subscriptions IS 'Client endpoints that receive platform events';
+COMMENT ON TABLE webhook_deliveries IS 'Delivery attempts of webhook events, retried with exponential backoff';
+COMMENT ON COLUMN webhook_deliveries.next_retry_at IS 'When the retry job should resend a failed delivery (NULL = no more retries)';
+COMMENT ON COLUMN webhook_deliveries.replay_of IS 'Original delivery when this one was replayed manually';
+
+-- DOWN
+-- DROP INDEX IF EXISTS idx_webhook_deliveries_retry;
+-- DROP INDEX IF EXISTS idx_webhook_deliveries_subscription;
+-- DROP TABLE IF EXISTS webhook_deliveries;
+-- DROP INDEX IF EXISTS idx_webhook_subscriptions_client;
+-- DROP TABLE IF EXISTS webhook_subscriptions;
@@ -0,0 +1,41 @@
+-- UP
+-- Customer dashboard user accounts (replaces the shared per-client access code)
+
+CREATE TABLE IF NOT EXISTS client_users (
+  id SERIAL PRIMARY KEY,
+  client_id INTEGER NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  email VARCHAR(255) NOT NULL,
+  name VARCHAR(255),
+  password_hash VARCHAR(255), -- NULL until the invitation is accepted
+  role VARCHAR(20) NOT NULL CHECK (role IN ('owner', 'admin', 'agent', 'billing')),
+  status VARCHAR(20) NOT NULL DEFAULT 'invited' CHECK (status IN ('invited', 'active', 'disabled')),
+  invite_token_hash VARCHAR(64), -- SHA-256 of the invitation token
+  invite_expires_at TIMESTAMP,
+  invited_by INTEGER REFERENCES client_users(id) ON DELETE SET NULL,
+  last_login_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Login is by email alone, so an email belongs to one client
+CREATE UNIQUE INDEX IF NOT EXISTS idx_client_users_email ON client_users(LOWER(email));
+CREATE INDEX IF NOT EXISTS idx_client_users_client ON client_users(client_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_client_users_invite_token
+  ON client_users(invite_token_hash) WHERE invite_token_hash IS NOT NULL;
+
+-- Who acted on an escalation from the customer dashboard
+ALTER TABLE escalations
+  ADD COLUMN IF NOT EXISTS acknowledged_by INTEGER REFERENCES client_users(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS resolved_by INTEGER REFERENCES client_users(id) ON DELETE SET NULL;
+
+COMMENT ON TABLE client_users IS 'Customer dashboard users with roles: owner, admin, agent, billing (viewer)';
+COMMENT ON COLUMN escalations.acknowledged_by IS 'Dashboard user who acknowledged or took over the escalation';
+COMMENT ON COLUMN escalations.resolved_by IS 'Dashboard user who resolved or handed back the escalation';
+
+-- DOWN
+-- ALTER TABLE escalations DROP COLUMN IF EXISTS resolved_by;
+-- ALTER TABLE escalations DROP COLUMN IF EXISTS acknowledged_by;
+-- DROP INDEX IF EXISTS idx_client_users_invite_token;
+-- DROP INDEX IF EXISTS idx_client_users_client;
+-- DROP INDEX IF EXISTS idx_client_users_email;
+-- DROP TABLE IF EXISTS client_users;
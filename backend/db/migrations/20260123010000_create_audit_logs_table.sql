@@ -0,0 +1,50 @@
+-- UP
+-- Append-only audit trail of configuration changes made through the admin and
+-- customer dashboards. Rows are written by the auditTrail middleware and are
+-- never updated or deleted (enforced by trigger).
+
+CREATE TABLE IF NOT EXISTS audit_logs (
+  id BIGSERIAL PRIMARY KEY,
+  actor_type VARCHAR(20) NOT NULL, -- admin, client_user, access_code
+  actor_id INTEGER, -- admins.id or client_users.id (not a foreign key: history outlives accounts)
+  actor_name VARCHAR(255),
+  client_id INTEGER, -- Client the change belongs to, NULL for platform-wide changes
+  action VARCHAR(100) NOT NULL, -- e.g. client.update, client_prompt_config.update, invoice.mark-paid
+  target_type VARCHAR(50),
+  target_id VARCHAR(100),
+  method VARCHAR(10) NOT NULL,
+  path TEXT NOT NULL,
+  status_code INTEGER,
+  changes JSONB, -- {"field": {"from": ..., "to": ...}}, secrets redacted
+  request_body JSONB, -- Secrets redacted
+  ip_address VARCHAR(45),
+  user_agent TEXT,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_logs_created ON audit_logs(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_client ON audit_logs(client_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_actor ON audit_logs(actor_type, actor_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_action ON audit_logs(action);
+
+CREATE OR REPLACE FUNCTION prevent_audit_log_changes() RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_logs is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_logs_append_only ON audit_logs;
+CREATE TRIGGER audit_logs_append_only
+  BEFORE UPDATE OR DELETE ON audit_logs
+  FOR EACH ROW EXECUTE FUNCTION prevent_audit_log_changes();
+
+COMMENT ON TABLE audit_logs IS 'Append-only audit trail of admin and customer dashboard changes';
+
+-- DOWN
+-- DROP TRIGGER IF EXISTS audit_logs_append_only ON audit_logs;
+-- DROP FUNCTION IF EXISTS prevent_audit_log_changes();
+-- DROP INDEX IF EXISTS idx_audit_logs_action;
+-- DROP INDEX IF EXISTS idx_audit_logs_actor;
+-- DROP INDEX IF EXISTS idx_audit_logs_client;
+-- DROP INDEX IF EXISTS idx_audit_logs_created;
+-- DROP TABLE IF EXISTS audit_logs;
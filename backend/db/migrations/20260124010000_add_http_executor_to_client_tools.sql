@@ -0,0 +1,19 @@
+-- UP
+-- Let a client tool run through the built-in HTTP executor instead of an n8n
+-- workflow. The request template (integration endpoint, parameter mapping and
+-- response extraction) is stored in http_config.
+
+ALTER TABLE client_tools ADD COLUMN IF NOT EXISTS executor VARCHAR(20) NOT NULL DEFAULT 'n8n';
+ALTER TABLE client_tools ADD COLUMN IF NOT EXISTS http_config JSONB;
+
+ALTER TABLE client_tools DROP CONSTRAINT IF EXISTS chk_client_tools_executor;
+ALTER TABLE client_tools ADD CONSTRAINT chk_client_tools_executor
+    CHECK (executor IN ('n8n', 'http'));
+
+COMMENT ON COLUMN client_tools.executor IS 'How the tool runs: n8n (webhook workflow) or http (built-in executor).';
+COMMENT ON COLUMN client_tools.http_config IS 'Request template for the http executor: integration, endpoint or path, method, query, body, headers, response.';
+
+-- DOWN
+-- ALTER TABLE client_tools DROP CONSTRAINT IF EXISTS chk_client_tools_executor;
+-- ALTER TABLE client_tools DROP COLUMN IF EXISTS http_config;
+-- ALTER TABLE client_tools DROP COLUMN IF EXISTS executor;
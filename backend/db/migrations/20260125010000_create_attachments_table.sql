@@ -0,0 +1,34 @@
+-- UP
+-- Files sent by end users: widget uploads and email attachments.
+-- Widget uploads are stored before the message is sent, so message_id and
+-- conversation_id stay NULL until the message that carries them is saved.
+
+CREATE TABLE IF NOT EXISTS attachments (
+  id SERIAL PRIMARY KEY,
+  client_id INTEGER NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  conversation_id INTEGER REFERENCES conversations(id) ON DELETE CASCADE,
+  message_id INTEGER REFERENCES messages(id) ON DELETE SET NULL,
+  session_id VARCHAR(255), -- Widget session that uploaded the file
+  source VARCHAR(20) NOT NULL DEFAULT 'widget' CHECK (source IN ('widget', 'email')),
+  filename VARCHAR(255) NOT NULL,
+  mime_type VARCHAR(100) NOT NULL,
+  size_bytes INTEGER NOT NULL,
+  data BYTEA NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_attachments_conversation ON attachments(conversation_id);
+CREATE INDEX IF NOT EXISTS idx_attachments_message ON attachments(message_id);
+CREATE INDEX IF NOT EXISTS idx_attachments_unclaimed
+  ON attachments(client_id, session_id) WHERE message_id IS NULL;
+
+-- Per-plan limits live in plans.features (attachmentMaxSizeMb, attachmentTypes);
+-- plans without them use the defaults in ATTACHMENTS (constants.js)
+UPDATE plans
+   SET features = features || '{"attachmentMaxSizeMb": 2, "attachmentTypes": ["image/jpeg", "image/png"]}'::jsonb
+ WHERE LOWER(name) = 'free' AND NOT (features ? 'attachmentMaxSizeMb');
+
+COMMENT ON TABLE attachments IS 'Files uploaded in the widget or received as email attachments; listed in messages.channel_metadata.attachments';
+
+-- DOWN
+-- DROP TABLE IF EXISTS attachments;
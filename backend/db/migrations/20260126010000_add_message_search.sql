@@ -0,0 +1,16 @@
+-- UP
+-- Full-text search over message content. The 'simple' configuration does no
+-- stemming or stop words, so it works the same for every client language and
+-- keeps order numbers and codes searchable as written.
+-- An expression index (rather than a stored tsvector column) keeps
+-- SELECT * FROM messages unchanged; queries must use the same expression.
+
+CREATE INDEX IF NOT EXISTS idx_messages_content_search
+    ON messages USING GIN (to_tsvector('simple', COALESCE(content, '')));
+
+-- Filter used by conversation search
+CREATE INDEX IF NOT EXISTS idx_tool_executions_tool_name ON tool_executions(tool_name);
+
+-- DOWN
+-- DROP INDEX IF EXISTS idx_tool_executions_tool_name;
+-- DROP INDEX IF EXISTS idx_messages_content_search;
@@ -0,0 +1,48 @@
+-- UP
+-- Per-client data retention and end-user data requests (export / erase).
+-- clients.retention_config holds a window in days per data type, e.g.
+--   {"messages": 365, "debug_messages": 30, "tool_executions": 90, "escalations": 365}
+-- A missing or null window keeps that data forever. The retention job in
+-- src/index.js deletes data older than each window.
+
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS retention_config JSONB;
+
+COMMENT ON COLUMN clients.retention_config IS 'Retention window in days per data type (messages, debug_messages, tool_executions, escalations); null keeps data forever';
+
+-- Messages that triggered an escalation can now be removed by retention or erasure
+ALTER TABLE escalations DROP CONSTRAINT IF EXISTS escalations_trigger_message_id_fkey;
+ALTER TABLE escalations
+  ADD CONSTRAINT escalations_trigger_message_id_fkey
+  FOREIGN KEY (trigger_message_id) REFERENCES messages(id) ON DELETE SET NULL;
+
+-- Export and erase look conversations up by user identifier
+CREATE INDEX IF NOT EXISTS idx_conversations_user_identifier
+  ON conversations(client_id, LOWER(user_identifier));
+
+-- Export and erase requests for one end user, with their completion report
+CREATE TABLE IF NOT EXISTS data_requests (
+  id SERIAL PRIMARY KEY,
+  client_id INTEGER NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  request_type VARCHAR(20) NOT NULL CHECK (request_type IN ('export', 'erase')),
+  user_identifier VARCHAR(255) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'processing' CHECK (status IN ('processing', 'completed', 'failed')),
+  requested_by_type VARCHAR(20) NOT NULL, -- admin, client_user, access_code
+  requested_by_id INTEGER,
+  requested_by_name VARCHAR(255),
+  report JSONB, -- Record counts per data type
+  error TEXT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  completed_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_data_requests_client ON data_requests(client_id, created_at DESC);
+
+COMMENT ON TABLE data_requests IS 'End-user data export and erasure requests with their completion report';
+
+-- DOWN
+-- DROP INDEX IF EXISTS idx_data_requests_client;
+-- DROP TABLE IF EXISTS data_requests;
+-- DROP INDEX IF EXISTS idx_conversations_user_identifier;
+-- ALTER TABLE escalations DROP CONSTRAINT IF EXISTS escalations_trigger_message_id_fkey;
+-- ALTER TABLE escalations ADD CONSTRAINT escalations_trigger_message_id_fkey FOREIGN KEY (trigger_message_id) REFERENCES messages(id);
+-- ALTER TABLE clients DROP COLUMN IF EXISTS retention_config;
@@ -0,0 +1,14 @@
+-- UP
+-- Per-client PII redaction. clients.redaction_config, e.g.
+--   {"enabled": true, "mask_debug": true, "types": ["email", "phone", "card", "national_id"],
+--    "custom": [{"name": "Policy number", "pattern": "POL-\\d{8}"}]}
+-- enabled: personal data is sent to the LLM provider as tokens ([EMAIL_1]) and
+-- re-hydrated for tool execution and the reply. mask_debug: debug messages and
+-- tool executions are masked in the admin debug view. Null turns both off.
+
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS redaction_config JSONB;
+
+COMMENT ON COLUMN clients.redaction_config IS 'PII redaction: enabled, mask_debug, types, custom patterns; null turns redaction off';
+
+-- DOWN
+-- ALTER TABLE clients DROP COLUMN IF EXISTS redaction_config;
@@ -0,0 +1,48 @@
+-- UP
+-- Conversation replay scenarios: saved test conversations per client that are
+-- replayed through conversationService with mocked tool responses and checked
+-- against assertions (see src/services/replayService.js).
+--   turns:      [{"message": "Where is order 123?", "stub_replies": [{"tool_calls": [...]}, {"content": "..."}]}]
+--   tool_mocks: {"get_order_status": {"status": "shipped"}}  (an array is used in call order)
+--   assertions: [{"type": "tool_called", "tool": "get_order_status", "params": {"orderNumber": "123"}}]
+
+CREATE TABLE IF NOT EXISTS test_scenarios (
+  id SERIAL PRIMARY KEY,
+  client_id INTEGER NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  turns JSONB NOT NULL DEFAULT '[]',
+  tool_mocks JSONB NOT NULL DEFAULT '{}',
+  assertions JSONB NOT NULL DEFAULT '[]',
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_test_scenarios_client ON test_scenarios(client_id);
+
+-- One replay of a scenario. results holds one entry per assertion with
+-- expected / actual values; changes lists assertions whose outcome and
+-- replies whose text differ from the previous run of the scenario.
+CREATE TABLE IF NOT EXISTS test_runs (
+  id SERIAL PRIMARY KEY,
+  scenario_id INTEGER NOT NULL REFERENCES test_scenarios(id) ON DELETE CASCADE,
+  client_id INTEGER NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL CHECK (status IN ('passed', 'failed', 'error')),
+  provider VARCHAR(50) NOT NULL,
+  model VARCHAR(100),
+  results JSONB NOT NULL DEFAULT '[]',
+  changes JSONB NOT NULL DEFAULT '[]',
+  transcript JSONB NOT NULL DEFAULT '[]',
+  error TEXT,
+  duration_ms INTEGER,
+  run_by VARCHAR(255),
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_test_runs_scenario ON test_runs(scenario_id, created_at DESC);
+
+-- DOWN
+-- DROP INDEX IF EXISTS idx_test_runs_scenario;
+-- DROP TABLE IF EXISTS test_runs;
+-- DROP INDEX IF EXISTS idx_test_scenarios_client;
+-- DROP TABLE IF EXISTS test_scenarios;
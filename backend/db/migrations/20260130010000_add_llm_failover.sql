@@ -0,0 +1,34 @@
+-- UP
+-- Per-client LLM fallback chain: providers tried in order when the client's own
+-- provider fails or its circuit breaker is open.
+--   [{"provider": "claude", "model": "claude-3-5-sonnet-20241022"}, {"provider": "openai", "model": null}]
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS llm_fallbacks JSONB NOT NULL DEFAULT '[]';
+
+-- Provider and model that actually produced an assistant reply (may be a fallback)
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS llm_provider VARCHAR(50);
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS model_name VARCHAR(100);
+
+-- Daily usage per provider and model, next to the per-client totals in api_usage
+CREATE TABLE IF NOT EXISTS api_usage_providers (
+  id SERIAL PRIMARY KEY,
+  client_id INTEGER NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  date DATE NOT NULL,
+  provider VARCHAR(50) NOT NULL,
+  model VARCHAR(100) NOT NULL DEFAULT '',
+  call_count INTEGER NOT NULL DEFAULT 0,
+  tokens_input BIGINT NOT NULL DEFAULT 0,
+  tokens_output BIGINT NOT NULL DEFAULT 0,
+  failover_count INTEGER NOT NULL DEFAULT 0,
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (client_id, date, provider, model)
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_usage_providers_client_date
+  ON api_usage_providers(client_id, date DESC);
+
+-- DOWN
+-- DROP INDEX IF EXISTS idx_api_usage_providers_client_date;
+-- DROP TABLE IF EXISTS api_usage_providers;
+-- ALTER TABLE messages DROP COLUMN IF EXISTS model_name;
+-- ALTER TABLE messages DROP COLUMN IF EXISTS llm_provider;
+-- ALTER TABLE clients DROP COLUMN IF EXISTS llm_fallbacks;
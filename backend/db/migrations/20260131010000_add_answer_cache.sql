@@ -0,0 +1,17 @@
+-- UP
+-- Per-client answer cache for repeated informational questions (stored in Redis).
+--   {"enabled": true, "similarity": true, "threshold": 0.85, "ttl_hours": 24}
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS answer_cache JSONB NOT NULL DEFAULT '{}';
+
+-- Cache lookups, hits and the LLM usage the hits saved, per client and day
+ALTER TABLE api_usage ADD COLUMN IF NOT EXISTS answer_cache_lookups INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE api_usage ADD COLUMN IF NOT EXISTS answer_cache_hits INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE api_usage ADD COLUMN IF NOT EXISTS answer_cache_tokens_saved BIGINT NOT NULL DEFAULT 0;
+ALTER TABLE api_usage ADD COLUMN IF NOT EXISTS answer_cache_cost_saved DECIMAL(10, 4) NOT NULL DEFAULT 0;
+
+-- DOWN
+-- ALTER TABLE api_usage DROP COLUMN IF EXISTS answer_cache_cost_saved;
+-- ALTER TABLE api_usage DROP COLUMN IF EXISTS answer_cache_tokens_saved;
+-- ALTER TABLE api_usage DROP COLUMN IF EXISTS answer_cache_hits;
+-- ALTER TABLE api_usage DROP COLUMN IF EXISTS answer_cache_lookups;
+-- ALTER TABLE clients DROP COLUMN IF EXISTS answer_cache;
@@ -0,0 +1,60 @@
+-- UP
+-- Every save of a prompt config, never updated or deleted. scope is the config
+-- that was saved: the platform default, the adaptive mode config or one
+-- client's overrides (client_id set). version counts up per scope and client.
+-- action: 'baseline' (the config found before the first versioned save),
+-- 'update', 'reset', 'clear' or 'rollback' (source_version is the version restored).
+CREATE TABLE IF NOT EXISTS prompt_config_versions (
+  id SERIAL PRIMARY KEY,
+  scope VARCHAR(20) NOT NULL CHECK (scope IN ('default', 'adaptive', 'client')),
+  client_id INTEGER REFERENCES clients(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL,
+  config JSONB NOT NULL DEFAULT '{}',
+  action VARCHAR(20) NOT NULL DEFAULT 'update',
+  source_version INTEGER,
+  author_type VARCHAR(20),
+  author_id INTEGER,
+  author_name VARCHAR(255),
+  created_at TIMESTAMP DEFAULT NOW(),
+  CHECK ((scope = 'client') = (client_id IS NOT NULL))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_prompt_config_versions_scope_version
+  ON prompt_config_versions(scope, COALESCE(client_id, 0), version);
+
+-- A/B experiments: a client's new conversations are split between two of its
+-- prompt config versions. split_percent is the share that gets version B.
+CREATE TABLE IF NOT EXISTS prompt_experiments (
+  id SERIAL PRIMARY KEY,
+  client_id INTEGER NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  version_a_id INTEGER NOT NULL REFERENCES prompt_config_versions(id),
+  version_b_id INTEGER NOT NULL REFERENCES prompt_config_versions(id),
+  split_percent INTEGER NOT NULL DEFAULT 50 CHECK (split_percent BETWEEN 1 AND 99),
+  status VARCHAR(20) NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'stopped')),
+  winner VARCHAR(1) CHECK (winner IN ('A', 'B')),
+  created_by VARCHAR(255),
+  started_at TIMESTAMP DEFAULT NOW(),
+  ended_at TIMESTAMP
+);
+
+-- At most one running experiment per client
+CREATE UNIQUE INDEX IF NOT EXISTS idx_prompt_experiments_running
+  ON prompt_experiments(client_id) WHERE status = 'running';
+
+-- Variant a conversation was assigned when it started
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS prompt_experiment_id INTEGER
+  REFERENCES prompt_experiments(id) ON DELETE SET NULL;
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS prompt_variant VARCHAR(1);
+
+CREATE INDEX IF NOT EXISTS idx_conversations_prompt_experiment
+  ON conversations(prompt_experiment_id, prompt_variant) WHERE prompt_experiment_id IS NOT NULL;
+
+-- DOWN
+-- DROP INDEX IF EXISTS idx_conversations_prompt_experiment;
+-- ALTER TABLE conversations DROP COLUMN IF EXISTS prompt_variant;
+-- ALTER TABLE conversations DROP COLUMN IF EXISTS prompt_experiment_id;
+-- DROP INDEX IF EXISTS idx_prompt_experiments_running;
+-- DROP TABLE IF EXISTS prompt_experiments;
+-- DROP INDEX IF EXISTS idx_prompt_config_versions_scope_version;
+-- DROP TABLE IF EXISTS prompt_config_versions;
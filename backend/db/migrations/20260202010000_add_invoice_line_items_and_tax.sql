@@ -0,0 +1,113 @@
+-- UP
+-- VAT-compliant invoicing: per-client currency and tax, sequential invoice
+-- numbers, line items and credit notes
+
+-- Client billing details (snapshotted onto each invoice)
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS billing_currency VARCHAR(3) NOT NULL DEFAULT 'USD';
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS tax_rate DECIMAL(5, 2) NOT NULL DEFAULT 0;
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS tax_id VARCHAR(50);
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS billing_country VARCHAR(2);
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS billing_address TEXT;
+
+ALTER TABLE clients DROP CONSTRAINT IF EXISTS chk_clients_tax_rate;
+ALTER TABLE clients ADD CONSTRAINT chk_clients_tax_rate CHECK (tax_rate >= 0 AND tax_rate <= 100);
+
+COMMENT ON COLUMN clients.tax_rate IS 'VAT/sales tax percentage added to invoices (0 for reverse charge or exempt).';
+COMMENT ON COLUMN clients.tax_id IS 'Customer VAT/tax registration number printed on invoices.';
+
+-- Invoice numbers, currency and tax
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS invoice_number VARCHAR(30);
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS currency VARCHAR(3) NOT NULL DEFAULT 'USD';
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS exchange_rate DECIMAL(12, 6) NOT NULL DEFAULT 1;
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS subtotal DECIMAL(10, 2);
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS tax_rate DECIMAL(5, 2) NOT NULL DEFAULT 0;
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS tax_amount DECIMAL(10, 2) NOT NULL DEFAULT 0;
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS customer_tax_id VARCHAR(50);
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS billing_country VARCHAR(2);
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS billing_address TEXT;
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS amount_credited DECIMAL(10, 2) NOT NULL DEFAULT 0;
+
+COMMENT ON COLUMN invoices.exchange_rate IS 'Units of the invoice currency per USD (plan prices are in USD).';
+COMMENT ON COLUMN invoices.subtotal IS 'Sum of the line items before tax.';
+COMMENT ON COLUMN invoices.amount_credited IS 'Total of the credit notes issued against this invoice.';
+
+-- Invoices from before numbering keep the number the dashboards already showed
+UPDATE invoices SET invoice_number = 'INV-' || LPAD(id::text, 6, '0') WHERE invoice_number IS NULL;
+UPDATE invoices SET subtotal = total_cost WHERE subtotal IS NULL;
+ALTER TABLE invoices ALTER COLUMN invoice_number SET NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_invoices_invoice_number ON invoices(invoice_number);
+
+-- Fully credited unpaid invoices
+ALTER TABLE invoices DROP CONSTRAINT IF EXISTS chk_invoices_status;
+ALTER TABLE invoices ADD CONSTRAINT chk_invoices_status
+    CHECK (status IN ('pending', 'paid', 'overdue', 'cancelled', 'refunded', 'partially_refunded', 'payment_failed', 'credited'));
+
+-- Gapless yearly counters for invoice (INV) and credit note (CN) numbers
+CREATE TABLE IF NOT EXISTS document_number_sequences (
+    prefix VARCHAR(10) NOT NULL,
+    year INTEGER NOT NULL,
+    last_number INTEGER NOT NULL,
+    PRIMARY KEY (prefix, year)
+);
+
+-- Credit notes correct an issued invoice instead of editing it
+CREATE TABLE IF NOT EXISTS credit_notes (
+    id SERIAL PRIMARY KEY,
+    credit_note_number VARCHAR(30) NOT NULL UNIQUE,
+    invoice_id INTEGER NOT NULL REFERENCES invoices(id) ON DELETE RESTRICT,
+    client_id INTEGER NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+    currency VARCHAR(3) NOT NULL,
+    subtotal DECIMAL(10, 2) NOT NULL,
+    tax_rate DECIMAL(5, 2) NOT NULL DEFAULT 0,
+    tax_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    total DECIMAL(10, 2) NOT NULL CHECK (total > 0),
+    reason TEXT NOT NULL,
+    created_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_credit_notes_invoice ON credit_notes(invoice_id);
+CREATE INDEX IF NOT EXISTS idx_credit_notes_client ON credit_notes(client_id, created_at DESC);
+
+-- Line items of an invoice or a credit note, amounts in the document's currency
+CREATE TABLE IF NOT EXISTS invoice_line_items (
+    id SERIAL PRIMARY KEY,
+    invoice_id INTEGER REFERENCES invoices(id) ON DELETE CASCADE,
+    credit_note_id INTEGER REFERENCES credit_notes(id) ON DELETE CASCADE,
+    type VARCHAR(20) NOT NULL
+        CHECK (type IN ('base', 'tokens', 'messages', 'tool_calls', 'overage', 'credit', 'adjustment')),
+    description VARCHAR(255) NOT NULL,
+    quantity DECIMAL(14, 3) NOT NULL DEFAULT 1,
+    unit_price DECIMAL(14, 6) NOT NULL DEFAULT 0,
+    amount DECIMAL(10, 2) NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0,
+    CONSTRAINT chk_line_items_document CHECK ((invoice_id IS NULL) <> (credit_note_id IS NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_invoice_line_items_invoice ON invoice_line_items(invoice_id, position);
+CREATE INDEX IF NOT EXISTS idx_invoice_line_items_credit_note ON invoice_line_items(credit_note_id, position);
+
+-- DOWN
+-- DROP TABLE IF EXISTS invoice_line_items;
+-- DROP TABLE IF EXISTS credit_notes;
+-- DROP TABLE IF EXISTS document_number_sequences;
+-- ALTER TABLE invoices DROP CONSTRAINT IF EXISTS chk_invoices_status;
+-- ALTER TABLE invoices ADD CONSTRAINT chk_invoices_status
+--     CHECK (status IN ('pending', 'paid', 'overdue', 'cancelled', 'refunded', 'partially_refunded', 'payment_failed'));
+-- DROP INDEX IF EXISTS idx_invoices_invoice_number;
+-- ALTER TABLE invoices DROP COLUMN IF EXISTS amount_credited;
+-- ALTER TABLE invoices DROP COLUMN IF EXISTS billing_address;
+-- ALTER TABLE invoices DROP COLUMN IF EXISTS billing_country;
+-- ALTER TABLE invoices DROP COLUMN IF EXISTS customer_tax_id;
+-- ALTER TABLE invoices DROP COLUMN IF EXISTS tax_amount;
+-- ALTER TABLE invoices DROP COLUMN IF EXISTS tax_rate;
+-- ALTER TABLE invoices DROP COLUMN IF EXISTS subtotal;
+-- ALTER TABLE invoices DROP COLUMN IF EXISTS exchange_rate;
+-- ALTER TABLE invoices DROP COLUMN IF EXISTS currency;
+-- ALTER TABLE invoices DROP COLUMN IF EXISTS invoice_number;
+-- ALTER TABLE clients DROP CONSTRAINT IF EXISTS chk_clients_tax_rate;
+-- ALTER TABLE clients DROP COLUMN IF EXISTS billing_address;
+-- ALTER TABLE clients DROP COLUMN IF EXISTS billing_country;
+-- ALTER TABLE clients DROP COLUMN IF EXISTS tax_id;
+-- ALTER TABLE clients DROP COLUMN IF EXISTS tax_rate;
+-- ALTER TABLE clients DROP COLUMN IF EXISTS billing_currency;
@@ -0,0 +1,37 @@
+-- UP
+-- Plan changes with effective dates: upgrades apply immediately, downgrades at
+-- the start of the next billing period, customer requests wait for approval.
+-- Invoices prorate the base cost and split usage pricing at applied changes.
+
+CREATE TABLE IF NOT EXISTS plan_changes (
+    id SERIAL PRIMARY KEY,
+    client_id INTEGER NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+    from_plan VARCHAR(50) NOT NULL,
+    to_plan VARCHAR(50) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'scheduled'
+        CHECK (status IN ('requested', 'scheduled', 'applied', 'rejected', 'cancelled')),
+    effective_at TIMESTAMP,
+    requested_by_type VARCHAR(20) NOT NULL CHECK (requested_by_type IN ('admin', 'customer')),
+    requested_by VARCHAR(255),
+    note TEXT,
+    reviewed_by VARCHAR(255),
+    reviewed_at TIMESTAMP,
+    review_note TEXT,
+    applied_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    CONSTRAINT chk_plan_changes_effective CHECK (status IN ('requested', 'rejected', 'cancelled') OR effective_at IS NOT NULL)
+);
+
+COMMENT ON COLUMN plan_changes.effective_at IS 'When the new plan takes effect; usage from that day on is billed at the new plan.';
+
+-- A client has at most one pending request or scheduled change
+CREATE UNIQUE INDEX IF NOT EXISTS idx_plan_changes_open
+    ON plan_changes(client_id) WHERE status IN ('requested', 'scheduled');
+CREATE INDEX IF NOT EXISTS idx_plan_changes_client ON plan_changes(client_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_plan_changes_applied
+    ON plan_changes(client_id, effective_at) WHERE status = 'applied';
+CREATE INDEX IF NOT EXISTS idx_plan_changes_due
+    ON plan_changes(effective_at) WHERE status = 'scheduled';
+
+-- DOWN
+-- DROP TABLE IF EXISTS plan_changes;
@@ -0,0 +1,56 @@
+-- UP
+-- Prepaid credits, customer budgets and what happens when a client reaches its
+-- monthly cost limit (the plan's costLimitUSD or its own lower budget).
+--   {"monthly_budget": 50, "over_limit_action": "block" | "degrade" | "overage"}
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS spending_config JSONB NOT NULL DEFAULT '{}';
+
+-- Credit ledger in USD: purchases and grants add credits, invoices use them up
+CREATE TABLE IF NOT EXISTS credit_transactions (
+    id SERIAL PRIMARY KEY,
+    client_id INTEGER NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+    amount DECIMAL(10, 2) NOT NULL CHECK (amount <> 0),
+    type VARCHAR(20) NOT NULL
+        CHECK (type IN ('purchase', 'grant', 'invoice', 'refund', 'adjustment')),
+    description VARCHAR(255),
+    invoice_id INTEGER REFERENCES invoices(id) ON DELETE SET NULL,
+    created_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_credit_transactions_client
+    ON credit_transactions(client_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_credit_transactions_invoice
+    ON credit_transactions(invoice_id) WHERE invoice_id IS NOT NULL;
+-- A paid credit purchase invoice adds its credits once
+CREATE UNIQUE INDEX IF NOT EXISTS idx_credit_transactions_purchase
+    ON credit_transactions(invoice_id) WHERE type = 'purchase';
+
+-- Credit purchases are invoiced on their own, next to the monthly invoices
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS kind VARCHAR(20) NOT NULL DEFAULT 'period';
+ALTER TABLE invoices DROP CONSTRAINT IF EXISTS chk_invoices_kind;
+ALTER TABLE invoices ADD CONSTRAINT chk_invoices_kind CHECK (kind IN ('period', 'credits'));
+
+COMMENT ON COLUMN invoices.kind IS 'period: the monthly invoice of billing_period; credits: a prepaid credit purchase.';
+
+ALTER TABLE invoice_line_items DROP CONSTRAINT IF EXISTS invoice_line_items_type_check;
+ALTER TABLE invoice_line_items ADD CONSTRAINT invoice_line_items_type_check
+    CHECK (type IN ('base', 'tokens', 'messages', 'tool_calls', 'overage', 'credit', 'adjustment', 'credits'));
+
+-- Budget warning emails already sent (50/80/100% of the monthly limit)
+CREATE TABLE IF NOT EXISTS spending_alerts (
+    client_id INTEGER NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+    period VARCHAR(7) NOT NULL,
+    threshold INTEGER NOT NULL,
+    sent_at TIMESTAMP DEFAULT NOW(),
+    PRIMARY KEY (client_id, period, threshold)
+);
+
+-- DOWN
+-- DROP TABLE IF EXISTS spending_alerts;
+-- ALTER TABLE invoice_line_items DROP CONSTRAINT IF EXISTS invoice_line_items_type_check;
+-- ALTER TABLE invoice_line_items ADD CONSTRAINT invoice_line_items_type_check
+--     CHECK (type IN ('base', 'tokens', 'messages', 'tool_calls', 'overage', 'credit', 'adjustment'));
+-- ALTER TABLE invoices DROP CONSTRAINT IF EXISTS chk_invoices_kind;
+-- ALTER TABLE invoices DROP COLUMN IF EXISTS kind;
+-- DROP TABLE IF EXISTS credit_transactions;
+-- ALTER TABLE clients DROP COLUMN IF EXISTS spending_config;
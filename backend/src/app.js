@@ -7,13 +7,14 @@
 
 import express from 'express';
 import cors from 'cors';
-import { HTTP_STATUS } from './config/constants.js';
+import { HTTP_STATUS, KNOWLEDGE_BASE, ATTACHMENTS } from './config/constants.js';
 import toolRoutes from './routes/tools.js';
 import chatRoutes from './routes/chat.js';
 import adminRoutes from './routes/admin.js';
 import customerRoutes from './routes/customer.js';
 import mockApiRoutes from './routes/mockApi.js';
 import emailRoutes from './routes/email.js';
+import whatsappRoutes from './routes/whatsapp.js';
 import { redisClient } from './redis.js';
 import { db } from './db.js';
 import axios from 'axios';
@@ -57,12 +58,32 @@ const corsOptions = {
 };
 app.use(cors(corsOptions));
 
-app.use(express.json());
+// Knowledge base documents are larger than the default JSON body limit
+app.use(
+  ['/admin/knowledge', '/admin/clients/:clientId/knowledge'],
+  express.json({ limit: KNOWLEDGE_BASE.MAX_DOCUMENT_SIZE })
+);
+
+// Widget uploads arrive as base64 JSON (a third larger than the file)
+app.use(
+  '/chat/attachments',
+  express.json({ limit: Math.ceil((ATTACHMENTS.MAX_SIZE_MB * 1024 * 1024 * 4) / 3) + 1024 })
+);
+
+// Keep the raw body around for webhook signature verification
+app.use(
+  express.json({
+    verify: (req, _res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 app.use('/tools', toolRoutes);
 app.use('/chat', chatRoutes);
 app.use('/admin', adminRoutes);
 app.use('/api/customer', customerRoutes); // Customer portal API
 app.use('/api/email', emailRoutes); // Email channel management & OAuth
+app.use('/api/whatsapp', whatsappRoutes); // WhatsApp webhook & channel management
 app.use('/mock-api', mockApiRoutes); // Mock client APIs for testing
 
 // Health check for services
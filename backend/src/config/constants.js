@@ -36,6 +36,10 @@ export const TIMEOUTS = {
 
   // Rate Limiting
   RATE_LIMIT_WINDOW: 60, // 60 seconds - rate limit window
+
+  // Payment Providers
+  PAYMENT_PROVIDER_REQUEST: 15000, // 15 seconds - payment provider API timeout
+  PAYMENT_WEBHOOK_TOLERANCE: 300, // 5 minutes (seconds) - max age of a signed webhook
 };
 
 // ==================== Size Limits (bytes/characters) ====================
@@ -64,6 +68,12 @@ export const LIMITS = {
 
   // n8n Response Formatting
   N8N_RESPONSE_DATA_MAX: 500, // 500 chars - max data size to include in formatted response
+
+  // Live Agent
+  AGENT_MESSAGE_MAX: 10000, // 10000 chars - maximum message a human agent can send
+
+  // Feedback
+  FEEDBACK_COMMENT_MAX: 2000, // 2000 chars - maximum end-user feedback comment
 };
 
 // ==================== Rate Limits (requests per minute) ====================
@@ -103,6 +113,151 @@ export const BILLING = {
   MAX_CLIENTS_PER_BATCH: 1000, // Max clients to fetch for bulk operations
 };
 
+// ==================== Invoicing ====================
+
+export const INVOICING = {
+  BASE_CURRENCY: 'USD', // Plan prices are in USD
+  CURRENCIES: ['USD', 'EUR', 'GBP', 'ILS'],
+  INVOICE_PREFIX: 'INV',
+  CREDIT_NOTE_PREFIX: 'CN',
+  DUE_DAYS: 30, // Payment term from the invoice date
+  MAX_TAX_RATE: 100, // Percent
+  ADJUSTMENT_TYPES: ['overage', 'credit', 'adjustment'], // Lines an admin can add on generation
+  MAX_DESCRIPTION_LENGTH: 255,
+};
+
+// ==================== Plan Changes ====================
+
+export const PLAN_CHANGES = {
+  OPEN_STATUSES: ['requested', 'scheduled'], // At most one per client
+  CHECK_INTERVAL: 15 * 60 * 1000, // 15 minutes - how often scheduled downgrades are applied
+  MAX_NOTE_LENGTH: 1000,
+  HISTORY_LIMIT: 50,
+};
+
+// ==================== Spending Limits & Credits ====================
+
+export const SPENDING = {
+  // When the monthly cost limit (plan costLimitUSD or the client's budget) is reached
+  OVER_LIMIT_ACTIONS: ['block', 'degrade', 'overage'],
+  DEFAULT_ACTION: 'block',
+  WARNING_THRESHOLDS: [50, 80, 100], // Percent of the monthly limit that triggers an email
+  DEGRADE_PROVIDER: 'ollama', // Cheaper model used by 'degrade' (SPENDING_DEGRADE_PROVIDER/MODEL)
+  MIN_PURCHASE: 10, // USD per credit purchase
+  MAX_PURCHASE: 10000,
+  MAX_BUDGET: 1000000, // USD per month
+  LEDGER_LIMIT: 50, // Credit transactions shown
+};
+
+// ==================== Escalation Notifications ====================
+
+export const NOTIFICATIONS = {
+  MAX_ATTEMPTS: 5, // Delivery attempts per notification before giving up
+  RETRY_BASE_DELAY: 60000, // 1 minute - first retry delay, doubled per attempt
+  RETRY_CHECK_INTERVAL: 60000, // 1 minute - how often the retry job runs
+  RETRY_BATCH_SIZE: 50, // Max notifications retried per run
+  SEND_TIMEOUT: 10000, // 10 seconds - SMS/WhatsApp API timeout
+};
+
+// ==================== Outbound Webhooks ====================
+
+export const WEBHOOKS = {
+  EVENTS: [
+    'conversation.started',
+    'conversation.ended',
+    'escalation.created',
+    'escalation.resolved',
+    'tool.executed',
+    'tool.failed',
+    'invoice.generated',
+    'invoice.paid',
+  ],
+  TEST_EVENT: 'webhook.test', // Sent from the Settings page, not subscribable
+  MAX_SUBSCRIPTIONS_PER_CLIENT: 10,
+  MAX_ATTEMPTS: 6, // Delivery attempts per event before giving up
+  RETRY_BASE_DELAY: 30000, // 30 seconds - first retry delay, doubled per attempt
+  RETRY_CHECK_INTERVAL: 30000, // 30 seconds - how often the retry job runs
+  RETRY_BATCH_SIZE: 50, // Max deliveries retried per run
+  SEND_TIMEOUT: 10000, // 10 seconds - client endpoint timeout
+  RESPONSE_BODY_MAX: 1000, // Characters of the endpoint response kept in the log
+};
+
+// ==================== Customer Dashboard Users ====================
+
+export const CUSTOMER_USERS = {
+  ROLES: ['owner', 'admin', 'agent', 'billing'],
+  MANAGER_ROLES: ['owner', 'admin'], // Can invite and manage users
+  INVITE_EXPIRY_DAYS: 7,
+  PASSWORD_MIN_LENGTH: 8,
+  MAX_USERS_PER_CLIENT: 50,
+};
+
+// ==================== Audit Log ====================
+
+export const AUDIT = {
+  MUTATING_METHODS: ['POST', 'PUT', 'PATCH', 'DELETE'],
+  SKIPPED_ACTIONS: ['preview', 'test', 'search', 'test-chat', 'logout'], // Mutation routes that change nothing
+  IGNORED_FIELDS: ['updated_at'], // Left out of before/after diffs
+  PAGE_SIZE: 50,
+  EXPORT_LIMIT: 10000, // Max rows in one CSV export
+};
+
+// ==================== Native HTTP Tools ====================
+
+export const HTTP_TOOLS = {
+  EXECUTORS: ['n8n', 'http'], // n8n webhook workflow or the built-in HTTP executor
+  METHODS: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
+  TIMEOUT: 15000, // 15 seconds - request timeout for the client API
+  ERROR_BODY_MAX: 500, // Characters of a failed response kept in the error
+};
+
+// ==================== Widget Response Blocks ====================
+
+export const RESPONSE_BLOCKS = {
+  MARKER_PREFIX: '[[', // Directives like [[quick_replies: Yes | No]] start with this
+  MAX_QUICK_REPLIES: 5,
+  MAX_QUICK_REPLY_LENGTH: 40, // Characters per quick-reply button
+  MAX_CARDS: 5, // Product/order cards built from one tool result
+  MAX_CARD_TEXT_LENGTH: 140, // Characters of a card subtitle
+};
+
+// ==================== Attachments ====================
+
+export const ATTACHMENTS = {
+  // Used when the plan does not set attachmentMaxSizeMb / attachmentTypes in its features
+  DEFAULT_MAX_SIZE_MB: 5,
+  DEFAULT_TYPES: ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'application/pdf'],
+  MAX_SIZE_MB: 10, // Hard cap, whatever the plan says (uploads are sent as base64 JSON)
+  MAX_PER_MESSAGE: 5,
+  MAX_FILENAME_LENGTH: 255,
+  VISION_TYPES: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'], // Sent to vision models
+  UNCLAIMED_TTL_HOURS: 24, // Widget uploads never sent with a message are removed after this
+  CLEANUP_INTERVAL: 60 * 60 * 1000, // 1 hour - how often unsent uploads are cleaned up
+};
+
+// ==================== WhatsApp Channel ====================
+
+export const WHATSAPP = {
+  API_VERSION: 'v21.0', // WhatsApp Cloud API (Graph API) version
+  SEND_TIMEOUT: 10000, // 10 seconds - Cloud API request timeout
+  SERVICE_WINDOW: 24 * 60 * 60 * 1000, // 24 hours - free-form replies allowed after last inbound message
+  MAX_MESSAGE_LENGTH: 4096, // Cloud API text body limit
+};
+
+// ==================== Knowledge Base ====================
+
+export const KNOWLEDGE_BASE = {
+  SOURCE_TYPES: ['markdown', 'html', 'pdf', 'text'], // Accepted document formats
+  MAX_DOCUMENT_SIZE: 2 * 1024 * 1024, // 2 MB - max document body accepted by the API
+  CHUNK_SIZE: 1200, // Target chunk length (characters)
+  CHUNK_OVERLAP: 200, // Characters repeated between consecutive chunks of a long section
+  MAX_RESULTS: 4, // Chunks returned per knowledge search
+  BM25_K1: 1.2, // BM25 term frequency saturation
+  BM25_B: 0.75, // BM25 length normalization
+  INDEX_TTL: 5 * 60 * 1000, // 5 minutes - in-memory index lifetime (covers edits from other processes)
+  CONTEXT_KEY_PREFIX: 'knowledge:', // needs_more_context entries that trigger a search
+};
+
 // ==================== Retry Configuration ====================
 
 export const RETRY = {
@@ -124,6 +279,106 @@ export const CONVERSATION = {
   MAX_ITERATIONS: 10, // Maximum LLM iterations per conversation turn
 };
 
+// ==================== Conversation Search ====================
+
+export const CONVERSATION_SEARCH = {
+  TEXT_CONFIG: 'simple', // Postgres text search configuration (must match idx_messages_content_search)
+  MAX_QUERY_LENGTH: 200, // Characters of search text
+  MATCHES_PER_CONVERSATION: 3, // Highlighted message snippets returned per conversation
+  MAX_PAGE_SIZE: 100,
+  // Highlight delimiters (private-use characters, never present in real text)
+  HIGHLIGHT_START: '\uE000',
+  HIGHLIGHT_END: '\uE001',
+};
+
+// ==================== Data Retention & Privacy ====================
+
+export const RETENTION = {
+  // Keys of clients.retention_config; each holds a window in days (null = keep forever)
+  // messages covers the whole transcript, debug_messages only non-visible messages
+  DATA_TYPES: ['messages', 'debug_messages', 'tool_executions', 'escalations'],
+  MIN_DAYS: 1,
+  MAX_DAYS: 3650, // 10 years
+  CLOSED_ESCALATION_STATUSES: ['resolved', 'cancelled'], // Open escalations are never expired
+  CHECK_INTERVAL: 6 * 60 * 60 * 1000, // 6 hours - how often retention windows are enforced
+  MAX_IDENTIFIER_LENGTH: 255, // conversations.user_identifier
+  REQUESTS_PAGE_SIZE: 20, // Export / erase history
+};
+
+// ==================== PII Redaction ====================
+
+export const REDACTION = {
+  // Built-in detectors, in the order they are applied (custom patterns run first)
+  TYPES: ['email', 'card', 'national_id', 'phone'],
+  MAX_CUSTOM_RULES: 10,
+  MAX_PATTERN_LENGTH: 200, // Characters of a custom regex
+  MAX_NAME_LENGTH: 40, // Characters of a custom rule name (becomes the token label)
+  MIN_PHONE_DIGITS: 8,
+  MAX_PHONE_DIGITS: 15, // E.164
+  // Streamed text ending in an unclosed "[" is held back up to this many characters,
+  // so a token split across deltas is re-hydrated as a whole
+  MAX_TOKEN_LENGTH: 48,
+};
+
+// ==================== Conversation Replay ====================
+
+export const REPLAY = {
+  // Assertion types of a test scenario (see replayService.evaluate)
+  ASSERTION_TYPES: [
+    'tool_called',
+    'tool_not_called',
+    'escalates',
+    'no_escalation',
+    'reply_contains',
+    'reply_not_contains',
+  ],
+  STUB_PROVIDER: 'stub', // Scripted LLM replies, no provider call
+  PROVIDERS: ['stub', 'ollama', 'groq', 'openai', 'claude'], // Selectable per run
+  DEFAULT_STUB_REPLY: 'OK', // Stub reply once a turn's scripted replies run out
+  SESSION_PREFIX: 'replay_', // Session IDs of replay conversations (deleted after the run)
+  MAX_TURNS: 20,
+  MAX_STUB_REPLIES: 10, // Per turn
+  MAX_ASSERTIONS: 50,
+  RUNS_PAGE_SIZE: 20, // Run history per scenario
+};
+
+// ==================== LLM Provider Failover ====================
+
+export const LLM_FAILOVER = {
+  PROVIDERS: ['ollama', 'groq', 'openai', 'claude'], // Allowed in a client's fallback chain
+  MAX_FALLBACKS: 3, // Providers tried after the client's own
+  MAX_MODEL_LENGTH: 100,
+  // Circuit breaker per provider (see utils/circuitBreaker.js)
+  CIRCUIT_WINDOW: 60000, // 60 seconds - error rate window
+  CIRCUIT_MIN_REQUESTS: 5, // Requests in the window before the error rate counts
+  CIRCUIT_FAILURE_RATE: 0.5, // Open the circuit at 50% provider errors
+  CIRCUIT_COOLDOWN: 30000, // 30 seconds - open time before a probe request is let through
+};
+
+// ==================== Answer Cache ====================
+
+export const ANSWER_CACHE = {
+  NAMESPACE: 'answers', // Redis keys: cache:<clientId>:answers:<fingerprint>:<question hash>
+  DEFAULT_TTL_HOURS: 24,
+  MAX_TTL_HOURS: 168, // 1 week
+  DEFAULT_THRESHOLD: 0.85, // Similarity needed for a non-exact match (0-1)
+  MIN_THRESHOLD: 0.6,
+  MIN_QUESTION_LENGTH: 3, // Normalised characters
+  MAX_QUESTION_LENGTH: 300, // Longer messages are rarely a repeated question
+  MAX_INDEX_SIZE: 500, // Cached questions compared for similarity matching, per client
+};
+
+// ==================== Prompt Versions ====================
+
+export const PROMPT_VERSIONS = {
+  SCOPES: ['default', 'adaptive', 'client'],
+  LIST_LIMIT: 50, // Versions shown in the history
+  DEFAULT_SPLIT_PERCENT: 50, // Share of new conversations that get variant B
+  MIN_SPLIT_PERCENT: 1,
+  MAX_SPLIT_PERCENT: 99,
+  MAX_EXPERIMENT_NAME_LENGTH: 255,
+};
+
 // ==================== Adaptive Reasoning ====================
 
 export const ADAPTIVE_REASONING = {
@@ -162,8 +417,10 @@ export const HTTP_STATUS = {
   FORBIDDEN: 403,
   NOT_FOUND: 404,
   CONFLICT: 409,
+  PAYLOAD_TOO_LARGE: 413,
   RATE_LIMIT_EXCEEDED: 429,
   INTERNAL_SERVER_ERROR: 500,
+  BAD_GATEWAY: 502,
   SERVICE_UNAVAILABLE: 503,
 };
 
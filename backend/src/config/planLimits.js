@@ -38,6 +38,7 @@ export const FALLBACK_PLANS = {
       advancedAnalytics: true,
       apiAccess: true,
       whiteLabel: true,
+      attachmentMaxSizeMb: 10,
     },
     pricing: {
       baseCost: 0,
@@ -60,6 +61,8 @@ export const FALLBACK_PLANS = {
       advancedAnalytics: false,
       apiAccess: false,
       whiteLabel: false,
+      attachmentMaxSizeMb: 2,
+      attachmentTypes: ['image/jpeg', 'image/png'],
     },
     pricing: {
       baseCost: 0,
@@ -82,6 +85,7 @@ export const FALLBACK_PLANS = {
       advancedAnalytics: true,
       apiAccess: true,
       whiteLabel: false,
+      attachmentMaxSizeMb: 5,
     },
     pricing: {
       baseCost: 29.99,
@@ -104,6 +108,7 @@ export const FALLBACK_PLANS = {
       advancedAnalytics: true,
       apiAccess: true,
       whiteLabel: true,
+      attachmentMaxSizeMb: 10,
     },
     pricing: {
       baseCost: 99.99,
@@ -128,6 +133,7 @@ export const FALLBACK_PLANS = {
       whiteLabel: true,
       dedicatedSupport: true,
       sla: true,
+      attachmentMaxSizeMb: 10,
     },
     pricing: {
       baseCost: 499.99,
@@ -5,6 +5,11 @@
  * - Confidence floors (maximum allowed confidence per tool)
  * - Destructive action flags
  * - Implied destructive intent detection
+ * - Per-parameter rules (e.g. refunds over a threshold need confirmation)
+ *
+ * The values here are defaults. Tools can override them in the database, and
+ * clients can override those per client and per client-tool (tool_policies
+ * table, see resolveToolPolicy).
  */
 
 /**
@@ -87,6 +92,15 @@ export const DEFAULT_POLICY = {
   requiresConfirmation: false,
 };
 
+/**
+ * Operators and actions allowed in per-parameter rules
+ * A rule like { param: 'amount', operator: 'gt', value: 100, action: 'confirm' }
+ * makes refunds over 100 wait for an explicit confirmation; action 'block'
+ * refuses the call outright.
+ */
+export const PARAMETER_RULE_OPERATORS = ['gt', 'gte', 'lt', 'lte', 'eq', 'neq', 'in'];
+export const PARAMETER_RULE_ACTIONS = ['confirm', 'block'];
+
 /**
  * Implied destructive intent phrases
  * These phrases suggest destructive intent even if not explicitly stated
@@ -152,6 +166,97 @@ export function getToolPolicy(toolName, toolObject = null) {
   return TOOL_POLICIES[toolName] || DEFAULT_POLICY;
 }
 
+/**
+ * Resolve the effective policy for a tool, applying client overrides
+ * Order (last wins): hardcoded/tool defaults -> client-wide policy -> client-tool policy.
+ * Phrase lists and parameter rules from every level are combined.
+ * @param {string} toolName - Name of the tool
+ * @param {Object} toolObject - Tool object from ClientTool.getEnabledTools (id = client tool ID)
+ * @param {Object} clientPolicies - { client, tools: { [clientToolId]: policy } } (see toolPolicyService)
+ * @returns {Object} Policy with maxConfidence, isDestructive, requiresConfirmation,
+ *   confirmationPhrases, destructivePhrases, parameterRules
+ */
+export function resolveToolPolicy(toolName, toolObject = null, clientPolicies = null) {
+  const policy = {
+    ...getToolPolicy(toolName, toolObject),
+    confirmationPhrases: [],
+    destructivePhrases: [],
+    parameterRules: [],
+  };
+
+  const overrides = [clientPolicies?.client, clientPolicies?.tools?.[toolObject?.id]];
+  for (const override of overrides) {
+    if (!override) continue;
+    // NULL fields inherit from the level below
+    if (Number.isInteger(override.max_confidence)) {
+      policy.maxConfidence = override.max_confidence;
+    }
+    if (typeof override.is_destructive === 'boolean') {
+      policy.isDestructive = override.is_destructive;
+    }
+    if (typeof override.requires_confirmation === 'boolean') {
+      policy.requiresConfirmation = override.requires_confirmation;
+    }
+    policy.confirmationPhrases.push(...(override.confirmation_phrases || []));
+    policy.destructivePhrases.push(...(override.destructive_phrases || []));
+    policy.parameterRules.push(...(override.parameter_rules || []));
+  }
+
+  return policy;
+}
+
+/**
+ * Read a (possibly nested) parameter, e.g. "payment.amount"
+ */
+function getParamValue(params, path) {
+  return path
+    .split('.')
+    .reduce(
+      (value, key) => (value === null || value === undefined ? undefined : value[key]),
+      params
+    );
+}
+
+/**
+ * Find the parameter rules matched by a tool call
+ * Rules on missing parameters never match. Numeric comparisons coerce strings
+ * like "150" so they work on values the model passes as text.
+ * @param {Array} rules - Parameter rules
+ * @param {Object} params - Tool call parameters
+ * @returns {Array} Matched rules
+ */
+export function evaluateParameterRules(rules = [], params = {}) {
+  return rules.filter((rule) => {
+    const actual = getParamValue(params || {}, rule.param);
+    if (actual === undefined || actual === null) return false;
+
+    const number = Number(actual);
+    const limit = Number(rule.value);
+    const numeric = actual !== '' && !Number.isNaN(number) && !Number.isNaN(limit);
+
+    switch (rule.operator) {
+      case 'gt':
+        return numeric && number > limit;
+      case 'gte':
+        return numeric && number >= limit;
+      case 'lt':
+        return numeric && number < limit;
+      case 'lte':
+        return numeric && number <= limit;
+      case 'eq':
+        return String(actual).toLowerCase() === String(rule.value).toLowerCase();
+      case 'neq':
+        return String(actual).toLowerCase() !== String(rule.value).toLowerCase();
+      case 'in':
+        return (Array.isArray(rule.value) ? rule.value : [rule.value]).some(
+          (value) => String(actual).toLowerCase() === String(value).toLowerCase()
+        );
+      default:
+        return false;
+    }
+  });
+}
+
 /**
  * Check if a tool is destructive
  * Uses database fields if available, falls back to hardcoded defaults
@@ -177,28 +282,42 @@ export function applyConfidenceFloor(toolName, modelConfidence, toolObject = nul
   return Math.min(modelConfidence, policy.maxConfidence);
 }
 
+/**
+ * Check if a message contains any of the given phrases
+ * @param {string} message - User message
+ * @param {string[]} phrases - Phrases to look for (case-insensitive)
+ * @returns {boolean}
+ */
+export function containsPhrase(message, phrases = []) {
+  const messageLower = message.toLowerCase();
+  return phrases.some((phrase) => messageLower.includes(phrase.toLowerCase()));
+}
+
 /**
  * Check if a message contains implied destructive intent
  * @param {string} message - User message
  * @param {string} language - Language code (en, he, etc.)
+ * @param {string[]} customPhrases - Additional client phrases
  * @returns {boolean} True if message implies destructive intent
  */
-export function detectImpliedDestructiveIntent(message, language = 'en') {
-  const messageLower = message.toLowerCase();
+export function detectImpliedDestructiveIntent(message, language = 'en', customPhrases = []) {
   const phrases = IMPLIED_DESTRUCTIVE_PHRASES[language] || IMPLIED_DESTRUCTIVE_PHRASES.en;
-
-  return phrases.some((phrase) => messageLower.includes(phrase.toLowerCase()));
+  return containsPhrase(message, [...phrases, ...customPhrases]);
 }
 
 /**
  * Check if a message is a confirmation
  * @param {string} message - User message
  * @param {string} language - Language code (en, he, etc.)
+ * @param {string[]} customPhrases - Additional client confirmation phrases
  * @returns {boolean} True if message is a confirmation
  */
-export function isConfirmation(message, language = 'en') {
+export function isConfirmation(message, language = 'en', customPhrases = []) {
   const messageLower = message.toLowerCase().trim();
-  const phrases = CONFIRMATION_PHRASES[language] || CONFIRMATION_PHRASES.en;
+  const phrases = [
+    ...(CONFIRMATION_PHRASES[language] || CONFIRMATION_PHRASES.en),
+    ...customPhrases,
+  ];
 
   // Exact match or starts with confirmation phrase
   return phrases.some(
@@ -25,6 +25,7 @@ export const BLOCKED_CODES = {
   CONFIDENCE_FLOOR_APPLIED: 'CONFIDENCE_FLOOR_APPLIED',
   TOOL_NOT_ENABLED: 'TOOL_NOT_ENABLED',
   INTEGRATION_NOT_CONFIGURED: 'INTEGRATION_NOT_CONFIGURED',
+  POLICY_BLOCKED: 'POLICY_BLOCKED',
 };
 
 /**
@@ -92,6 +93,7 @@ export function getReasonCodeDescription(code) {
     CONFIDENCE_FLOOR_APPLIED: 'Confidence capped by tool policy',
     TOOL_NOT_ENABLED: 'Tool not enabled for this client',
     INTEGRATION_NOT_CONFIGURED: 'Required integration not configured',
+    POLICY_BLOCKED: 'Tool call blocked by a client parameter rule',
 
     // Edge cases
     CONTEXT_LOOP_DETECTED: 'AI repeatedly requesting more context',
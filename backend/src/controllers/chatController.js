@@ -3,6 +3,10 @@ import conversationService from '../services/conversationService.js';
 import { logger } from '../utils/logger.js';
 import { Conversation } from '../models/Conversation.js';
 import { RedisCache } from '../services/redisCache.js';
+import { Message } from '../models/Message.js';
+import liveAgentService from '../services/liveAgentService.js';
+import feedbackService, { FeedbackError } from '../services/feedbackService.js';
+import attachmentService, { AttachmentError } from '../services/attachmentService.js';
 
 /**
  * Chat Controller
@@ -10,13 +14,99 @@ import { RedisCache } from '../services/redisCache.js';
  * Handles incoming chat messages from widget and returns AI responses
  */
 
+// Input length limits (prevent DoS)
+const MAX_MESSAGE_LENGTH = 10000; // 10KB max message
+const MAX_SESSION_ID_LENGTH = 100;
+const MAX_USER_IDENTIFIER_LENGTH = 255;
+
+/**
+ * Validate the body of a chat message request
+ * @param {Object} body - Request body
+ * @returns {string|null} Error message, or null when the request is valid
+ */
+function validateMessageRequest({ message, sessionId, userIdentifier, attachmentIds }) {
+  // A message may be empty when it only carries attachments
+  const hasAttachments = Array.isArray(attachmentIds) && attachmentIds.length > 0;
+  if (message === undefined || message === null) {
+    if (!hasAttachments) {
+      return 'Message is required and must be a non-empty string';
+    }
+  } else if (typeof message !== 'string' || (message.trim().length === 0 && !hasAttachments)) {
+    return 'Message is required and must be a non-empty string';
+  }
+
+  if (message && message.length > MAX_MESSAGE_LENGTH) {
+    return `Message too long. Maximum ${MAX_MESSAGE_LENGTH} characters allowed.`;
+  }
+
+  if (!sessionId || typeof sessionId !== 'string') {
+    return 'Session ID is required';
+  }
+
+  if (sessionId.length > MAX_SESSION_ID_LENGTH) {
+    return `Session ID too long. Maximum ${MAX_SESSION_ID_LENGTH} characters allowed.`;
+  }
+
+  // Validate userIdentifier if provided
+  if (userIdentifier !== undefined && userIdentifier !== null) {
+    if (typeof userIdentifier !== 'string' || userIdentifier.length > MAX_USER_IDENTIFIER_LENGTH) {
+      return `User identifier must be a string with maximum ${MAX_USER_IDENTIFIER_LENGTH} characters.`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Map attachment errors to HTTP responses
+ */
+function sendAttachmentError(res, error) {
+  const status =
+    error.code === 'not_found'
+      ? HTTP_STATUS.NOT_FOUND
+      : error.code === 'too_large'
+        ? HTTP_STATUS.PAYLOAD_TOO_LARGE
+        : HTTP_STATUS.BAD_REQUEST;
+  return res.status(status).json({ error: error.message, code: error.code });
+}
+
+/**
+ * Shape a conversationService result into the chat API response body
+ * messageId identifies the AI reply so the widget can rate it; blocks are the
+ * quick replies, cards and date pickers the widget renders under it.
+ */
+async function formatMessageResult(result) {
+  let messageId = null;
+  if (result.response && !result.agentActive && result.conversationId) {
+    try {
+      messageId = (await Message.getLatestAssistant(result.conversationId))?.id || null;
+    } catch (error) {
+      console.warn('[ChatController] Could not look up reply message ID:', error.message);
+    }
+  }
+
+  return {
+    response: result.response,
+    messageId,
+    blocks: result.blocks || [],
+    conversationId: result.conversationId,
+    conversationEnded: result.conversationEnded || false,
+    agentActive: result.agentActive || false,
+    metadata: {
+      toolsUsed: result.toolsUsed,
+      tokensUsed: result.tokensUsed,
+      iterations: result.iterations,
+    },
+  };
+}
+
 /**
  * POST /chat/message
  * Process a user message and return AI response
  */
 export async function sendMessage(req, res) {
   try {
-    const { message, sessionId, userIdentifier } = req.body;
+    const { message, sessionId, userIdentifier, attachmentIds } = req.body;
 
     // Get client from API key (set by auth middleware)
     const client = req.client;
@@ -29,46 +119,10 @@ export async function sendMessage(req, res) {
       modelName: client?.model_name || null,
     });
 
-    // Input length limits (prevent DoS)
-    const MAX_MESSAGE_LENGTH = 10000; // 10KB max message
-    const MAX_SESSION_ID_LENGTH = 100;
-    const MAX_USER_IDENTIFIER_LENGTH = 255;
-
     // Validation
-    if (!message || typeof message !== 'string' || message.trim().length === 0) {
-      return res.status(HTTP_STATUS.BAD_REQUEST).json({
-        error: 'Message is required and must be a non-empty string',
-      });
-    }
-
-    if (message.length > MAX_MESSAGE_LENGTH) {
-      return res.status(HTTP_STATUS.BAD_REQUEST).json({
-        error: `Message too long. Maximum ${MAX_MESSAGE_LENGTH} characters allowed.`,
-      });
-    }
-
-    if (!sessionId || typeof sessionId !== 'string') {
-      return res.status(HTTP_STATUS.BAD_REQUEST).json({
-        error: 'Session ID is required',
-      });
-    }
-
-    if (sessionId.length > MAX_SESSION_ID_LENGTH) {
-      return res.status(HTTP_STATUS.BAD_REQUEST).json({
-        error: `Session ID too long. Maximum ${MAX_SESSION_ID_LENGTH} characters allowed.`,
-      });
-    }
-
-    // Validate userIdentifier if provided
-    if (userIdentifier !== undefined && userIdentifier !== null) {
-      if (
-        typeof userIdentifier !== 'string' ||
-        userIdentifier.length > MAX_USER_IDENTIFIER_LENGTH
-      ) {
-        return res.status(HTTP_STATUS.BAD_REQUEST).json({
-          error: `User identifier must be a string with maximum ${MAX_USER_IDENTIFIER_LENGTH} characters.`,
-        });
-      }
+    const validationError = validateMessageRequest(req.body);
+    if (validationError) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: validationError });
     }
 
     logger.log('[ChatController] Processing message for client', {
@@ -94,21 +148,19 @@ export async function sendMessage(req, res) {
     }
 
     // Process message
-    const result = await conversationService.processMessage(client, sessionId, message.trim(), {
-      userIdentifier,
-    });
+    const attachments = await attachmentService.claim(client, sessionId, attachmentIds);
+    const result = await conversationService.processMessage(
+      client,
+      sessionId,
+      (message || '').trim(),
+      { userIdentifier, attachments }
+    );
 
-    return res.json({
-      response: result.response,
-      conversationId: result.conversationId,
-      conversationEnded: result.conversationEnded || false,
-      metadata: {
-        toolsUsed: result.toolsUsed,
-        tokensUsed: result.tokensUsed,
-        iterations: result.iterations,
-      },
-    });
+    return res.json(await formatMessageResult(result));
   } catch (error) {
+    if (error instanceof AttachmentError) {
+      return sendAttachmentError(res, error);
+    }
     console.error('[ChatController] Error processing message:', error);
     return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
       error: 'Failed to process message',
@@ -117,6 +169,91 @@ export async function sendMessage(req, res) {
   }
 }
 
+/**
+ * POST /chat/message/stream
+ * Same as POST /chat/message, but replies as a Server-Sent Events stream:
+ *   event: token  data: {"text": "..."}       partial reply text
+ *   event: reset  data: {}                    discard partial text (model switched to a tool call)
+ *   event: done   data: <POST /chat/message body>
+ *   event: error  data: {"error": "...", "message": "..."}
+ * Validation, auth and rate-limit failures are returned as plain JSON before the stream opens.
+ */
+export async function sendMessageStream(req, res) {
+  const { message, sessionId, userIdentifier, attachmentIds } = req.body;
+  const client = req.client;
+
+  const validationError = validateMessageRequest(req.body);
+  if (validationError) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: validationError });
+  }
+
+  if (!client) {
+    return res.status(HTTP_STATUS.UNAUTHORIZED).json({ error: 'Invalid API key' });
+  }
+
+  let attachments;
+  try {
+    const rateLimit = await RedisCache.checkRateLimit(client.id, 60);
+    if (!rateLimit.allowed) {
+      return res.status(HTTP_STATUS.RATE_LIMIT_EXCEEDED).json({
+        error: 'Rate limit exceeded',
+        retryAfter: rateLimit.resetIn,
+      });
+    }
+    attachments = await attachmentService.claim(client, sessionId, attachmentIds);
+  } catch (error) {
+    if (error instanceof AttachmentError) {
+      return sendAttachmentError(res, error);
+    }
+    console.error('[ChatController] Pre-stream checks failed:', error);
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      error: 'Failed to process message',
+      message: error.message,
+    });
+  }
+
+  res.status(HTTP_STATUS.OK);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // Disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+
+  // Keep processing if the widget disconnects so the reply is still saved to history
+  let clientGone = false;
+  res.on('close', () => {
+    clientGone = true;
+  });
+
+  const sendEvent = (event, data) => {
+    if (clientGone || res.writableEnded) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  try {
+    const result = await conversationService.processMessage(
+      client,
+      sessionId,
+      (message || '').trim(),
+      {
+        userIdentifier,
+        attachments,
+        onToken: (text) => sendEvent('token', { text }),
+        onReset: () => sendEvent('reset', {}),
+      }
+    );
+
+    sendEvent('done', await formatMessageResult(result));
+  } catch (error) {
+    console.error('[ChatController] Error processing streamed message:', error);
+    sendEvent('error', { error: 'Failed to process message', message: error.message });
+  } finally {
+    res.end();
+  }
+}
+
 /**
  * GET /chat/history/:sessionId
  * Get conversation history for a session (for display in widget)
@@ -148,6 +285,7 @@ export async function getHistory(req, res) {
     // Get messages directly from database (not from getConversationContext)
     // This excludes system messages which are only for LLM context
     const messages = await conversationService.getConversationHistory(conversation.id);
+    const feedback = await feedbackService.getConversationFeedback(conversation.id);
 
     // Filter out system and tool messages for display
     const displayMessages = messages
@@ -159,15 +297,26 @@ export async function getHistory(req, res) {
         return isAllowed;
       })
       .map((msg) => ({
+        id: msg.id,
         role: msg.role,
         content: msg.content,
         created_at: msg.timestamp || msg.created_at,
+        ...(msg.metadata?.sender === 'agent' && {
+          sender: 'agent',
+          agentName: msg.metadata.agent_name || null,
+        }),
+        ...(msg.metadata?.blocks?.length > 0 && { blocks: msg.metadata.blocks }),
+        ...(msg.channel_metadata?.attachments?.length > 0 && {
+          attachments: msg.channel_metadata.attachments,
+        }),
+        ...(feedback.messages[msg.id] && { feedback: feedback.messages[msg.id] }),
       }));
 
     return res.json({
       sessionId,
       messages: displayMessages,
       conversationEnded,
+      conversationRating: feedback.conversation?.rating || null,
     });
   } catch (error) {
     console.error('[ChatController] Error getting history:', error);
@@ -178,10 +327,55 @@ export async function getHistory(req, res) {
   }
 }
 
+/**
+ * GET /chat/updates/:sessionId?after=<messageId>
+ * Poll for live agent activity: whether a human agent is handling the
+ * conversation and any agent messages newer than `after`
+ */
+export async function getUpdates(req, res) {
+  try {
+    const { sessionId } = req.params;
+    const afterId = parseInt(req.query.after, 10) || 0;
+    const client = req.client;
+
+    if (!client) {
+      return res.status(HTTP_STATUS.UNAUTHORIZED).json({ error: 'Invalid API key' });
+    }
+
+    const conversation = await Conversation.findBySession(sessionId);
+    if (!conversation || conversation.client_id !== client.id) {
+      return res.json({ sessionId, agent: { status: 'none' }, messages: [] });
+    }
+
+    const agent = await liveAgentService.getAgentStatus(conversation.id);
+    const messages = await Message.getAgentMessagesAfter(conversation.id, afterId);
+
+    return res.json({
+      sessionId,
+      agent: { status: agent.status, name: agent.agentName },
+      messages: messages.map((msg) => ({
+        id: msg.id,
+        role: msg.role,
+        content: msg.content,
+        created_at: msg.timestamp,
+        sender: 'agent',
+        agentName: msg.metadata?.agent_name || null,
+      })),
+      conversationEnded: !!conversation.ended_at,
+    });
+  } catch (error) {
+    console.error('[ChatController] Error getting updates:', error);
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      error: 'Failed to get conversation updates',
+      message: error.message,
+    });
+  }
+}
+
 /**
  * GET /chat/config
  * Get widget configuration for the authenticated client
- * Returns language preference and widget customization settings
+ * Returns language preference, widget customization settings and attachment limits
  */
 export async function getWidgetConfig(req, res) {
   try {
@@ -191,11 +385,18 @@ export async function getWidgetConfig(req, res) {
       return res.status(HTTP_STATUS.UNAUTHORIZED).json({ error: 'Invalid API key' });
     }
 
+    const attachmentLimits = await attachmentService.getLimits(client);
+
     // Return widget configuration including language
     return res.json({
       language: client.language || 'en',
       widgetConfig: client.widget_config || {},
       clientName: client.name,
+      attachments: {
+        enabled: attachmentLimits.enabled,
+        maxSize: attachmentLimits.maxBytes,
+        types: attachmentLimits.types,
+      },
     });
   } catch (error) {
     console.error('[ChatController] Error getting widget config:', error);
@@ -206,6 +407,44 @@ export async function getWidgetConfig(req, res) {
   }
 }
 
+/**
+ * POST /chat/attachments
+ * Upload a file to send with the next message:
+ *   { sessionId, filename, mimeType, data (base64) } -> { attachment: { id, filename, mime_type, size } }
+ * The returned ID goes in attachmentIds of POST /chat/message. Size and type
+ * limits depend on the client's plan.
+ */
+export async function uploadAttachment(req, res) {
+  try {
+    const { sessionId, filename, mimeType, data } = req.body;
+
+    if (!req.client) {
+      return res.status(HTTP_STATUS.UNAUTHORIZED).json({ error: 'Invalid API key' });
+    }
+
+    if (!sessionId || typeof sessionId !== 'string' || sessionId.length > MAX_SESSION_ID_LENGTH) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: 'Session ID is required' });
+    }
+
+    const attachment = await attachmentService.upload(req.client, sessionId, {
+      filename,
+      mimeType,
+      data,
+    });
+
+    return res.status(HTTP_STATUS.CREATED).json({ attachment });
+  } catch (error) {
+    if (error instanceof AttachmentError) {
+      return sendAttachmentError(res, error);
+    }
+    console.error('[ChatController] Error uploading attachment:', error);
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      error: 'Failed to upload attachment',
+      message: error.message,
+    });
+  }
+}
+
 /**
  * POST /chat/end
  * End a conversation session
@@ -237,3 +476,74 @@ export async function endSession(req, res) {
     });
   }
 }
+
+/**
+ * Map feedback errors to responses
+ */
+function handleFeedbackError(res, error) {
+  if (error instanceof FeedbackError) {
+    const status = error.code === 'not_found' ? HTTP_STATUS.NOT_FOUND : HTTP_STATUS.BAD_REQUEST;
+    return res.status(status).json({ error: error.message });
+  }
+  console.error('[ChatController] Error saving feedback:', error);
+  return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+    error: 'Failed to save feedback',
+    message: error.message,
+  });
+}
+
+/**
+ * POST /chat/feedback/message
+ * Rate an AI reply: { sessionId, messageId, rating: 'up'|'down', comment? }
+ */
+export async function rateMessage(req, res) {
+  try {
+    const { sessionId, messageId, rating, comment } = req.body;
+
+    if (!req.client) {
+      return res.status(HTTP_STATUS.UNAUTHORIZED).json({ error: 'Invalid API key' });
+    }
+
+    if (!sessionId || !Number.isInteger(messageId)) {
+      return res
+        .status(HTTP_STATUS.BAD_REQUEST)
+        .json({ error: 'Session ID and message ID are required' });
+    }
+
+    const feedback = await feedbackService.rateMessage(
+      req.client,
+      sessionId,
+      messageId,
+      rating,
+      comment
+    );
+
+    return res.json({ success: true, messageId, rating: feedback.rating > 0 ? 'up' : 'down' });
+  } catch (error) {
+    return handleFeedbackError(res, error);
+  }
+}
+
+/**
+ * POST /chat/feedback/conversation
+ * Rate a conversation, typically after it ended: { sessionId, rating: 1-5, comment? }
+ */
+export async function rateConversation(req, res) {
+  try {
+    const { sessionId, rating, comment } = req.body;
+
+    if (!req.client) {
+      return res.status(HTTP_STATUS.UNAUTHORIZED).json({ error: 'Invalid API key' });
+    }
+
+    if (!sessionId) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: 'Session ID is required' });
+    }
+
+    const feedback = await feedbackService.rateConversation(req.client, sessionId, rating, comment);
+
+    return res.json({ success: true, rating: feedback.rating });
+  } catch (error) {
+    return handleFeedbackError(res, error);
+  }
+}
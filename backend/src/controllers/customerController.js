@@ -11,30 +11,106 @@ import { ToolExecution } from '../models/ToolExecution.js';
 import { Invoice } from '../models/Invoice.js';
 import { ApiUsage } from '../models/ApiUsage.js';
 import { Escalation } from '../models/Escalation.js';
+import { EscalationNotification } from '../models/EscalationNotification.js';
 import { db } from '../db.js';
 import { safeJsonParse, safeJsonGet } from '../utils/jsonUtils.js';
 import promptService from '../services/promptService.js';
-import { refreshCachedConfig } from '../prompts/systemPrompt.js';
+import promptVersionService from '../services/promptVersionService.js';
 import { RedisCache } from '../services/redisCache.js';
-import { RATE_LIMITS, LIMITS, HTTP_STATUS } from '../config/constants.js';
+import { RATE_LIMITS, LIMITS, HTTP_STATUS, WEBHOOKS, CUSTOMER_USERS } from '../config/constants.js';
 import { createLogger } from '../utils/logger.js';
 import { UsageTracker } from '../services/usageTracker.js';
+import liveAgentService, { LiveAgentError } from '../services/liveAgentService.js';
+import feedbackService from '../services/feedbackService.js';
+import webhookService, { WebhookError } from '../services/webhookService.js';
+import customerUserService, { CustomerUserError } from '../services/customerUserService.js';
+import attachmentService, { AttachmentError } from '../services/attachmentService.js';
+import conversationService from '../services/conversationService.js';
+import privacyService, { PrivacyError } from '../services/privacyService.js';
+import { BillingService } from '../services/billingService.js';
+import planChangeService, { PlanChangeError } from '../services/planChangeService.js';
+import spendingService, { SpendingError } from '../services/spendingService.js';
+import { getActor } from '../middleware/auditTrail.js';
+import { ClientUser } from '../models/ClientUser.js';
 
 const log = createLogger('CustomerController');
 
+/**
+ * Plan change or upgrade request for the customer dashboard
+ */
+function formatPlanChange(change) {
+  return {
+    id: change.id,
+    fromPlan: change.from_plan,
+    toPlan: change.to_plan,
+    status: change.status,
+    effectiveAt: change.effective_at,
+    requestedBy: change.requested_by_type,
+    note: change.note,
+    reviewNote: change.review_note,
+    createdAt: change.created_at,
+    reviewedAt: change.reviewed_at,
+  };
+}
+
+/**
+ * Invoice/credit note line item for the customer dashboard
+ */
+function formatLineItem(item) {
+  return {
+    type: item.type,
+    description: item.description,
+    quantity: parseFloat(item.quantity),
+    unitPrice: parseFloat(item.unit_price),
+    amount: parseFloat(item.amount),
+  };
+}
+
+/**
+ * Monthly spend, limits and credit ledger for the customer dashboard
+ */
+function formatSpending(spending) {
+  return {
+    monthlyBudget: spending.settings.monthly_budget,
+    overLimitAction: spending.settings.over_limit_action,
+    period: spending.period,
+    spent: spending.spent,
+    allowance: spending.allowance,
+    credits: spending.credits,
+    limit: spending.limit,
+    limitedBy: spending.limitedBy,
+    percent: spending.percent,
+    exceeded: spending.exceeded,
+    action: spending.action,
+    transactions: spending.transactions.map((entry) => ({
+      id: entry.id,
+      amount: parseFloat(entry.amount),
+      type: entry.type,
+      description: entry.description,
+      invoiceNumber: entry.invoice_number,
+      createdAt: entry.created_at,
+    })),
+  };
+}
+
 class CustomerController {
   /**
-   * Login with access code
+   * Login with email and password, or with the shared access code
+   * The access code only works until the client has an active owner account.
    * POST /api/customer/auth/login
    */
   async login(req, res) {
     try {
-      const { accessCode, rememberMe = false } = req.body;
+      const { email, password, accessCode, rememberMe = false } = req.body;
+
+      if (email) {
+        return await this.loginWithPassword(req, res, { email, password, rememberMe });
+      }
 
       if (!accessCode) {
         return res.status(HTTP_STATUS.BAD_REQUEST).json({
-          error: 'Access code required',
-          message: 'Please provide your access code',
+          error: 'Credentials required',
+          message: 'Please provide your email and password',
         });
       }
 
@@ -62,28 +138,26 @@ class CustomerController {
         });
       }
 
-      // Generate JWT token
-      const expiresIn = rememberMe ? '30d' : '7d';
-      const token = jwt.sign({ clientId: client.id, type: 'customer' }, process.env.JWT_SECRET, {
-        expiresIn,
-      });
+      if (await customerUserService.hasUserAccounts(client.id)) {
+        return res.status(HTTP_STATUS.FORBIDDEN).json({
+          error: 'Access code disabled',
+          message: 'Please sign in with your email and password',
+        });
+      }
 
       // Log successful login
       console.log(`[CustomerAuth] Client ${client.id} (${client.name}) logged in`);
 
       // Return token and client info
       res.json({
-        token,
+        token: this.issueToken(client, null, rememberMe),
         client: {
-          id: client.id,
-          name: client.name,
-          plan: client.plan_type,
-          status: client.status,
-          language: client.language || 'en',
+          ...this.formatClient(client),
           // Mask access code for security
           accessCode:
             accessCode.substring(0, 3) + '***' + accessCode.substring(accessCode.length - 3),
         },
+        user: this.formatUser(null),
       });
     } catch (error) {
       console.error('[CustomerController] Login error:', error);
@@ -94,6 +168,135 @@ class CustomerController {
     }
   }
 
+  async loginWithPassword(req, res, { email, password, rememberMe }) {
+    const user = await customerUserService.authenticate(email, password);
+
+    if (!user) {
+      console.warn(
+        '[CustomerAuth] Failed login attempt for:',
+        String(email).substring(0, 3) + '***'
+      );
+      return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+        error: 'Invalid credentials',
+        message: 'The email or password you entered is not valid',
+      });
+    }
+
+    const client = await Client.findById(user.client_id);
+    if (!client || client.status !== 'active') {
+      return res.status(HTTP_STATUS.FORBIDDEN).json({
+        error: 'Account inactive',
+        message: 'Your account is currently inactive. Please contact support.',
+      });
+    }
+
+    log.info(`User ${user.id} logged in`, { clientId: client.id, role: user.role });
+
+    res.json({
+      token: this.issueToken(client, user, rememberMe),
+      client: this.formatClient(client),
+      user: this.formatUser(user),
+    });
+  }
+
+  /**
+   * Sign a dashboard session token
+   * @param {object} client - Client
+   * @param {object|null} user - Dashboard user, null for access code sessions
+   */
+  issueToken(client, user, rememberMe = false) {
+    const expiresIn = rememberMe ? '30d' : '7d';
+    return jwt.sign(
+      { clientId: client.id, ...(user && { userId: user.id }), type: 'customer' },
+      process.env.JWT_SECRET,
+      { expiresIn }
+    );
+  }
+
+  formatClient(client) {
+    return {
+      id: client.id,
+      name: client.name,
+      plan: client.plan_type,
+      status: client.status,
+      language: client.language || 'en',
+    };
+  }
+
+  /**
+   * Shape a dashboard user (null = access code session, acting as owner)
+   */
+  formatUser(user) {
+    if (!user) {
+      return { id: null, email: null, name: null, role: 'owner', status: 'active' };
+    }
+    return {
+      id: user.id,
+      email: user.email,
+      name: user.name,
+      role: user.role,
+      status: user.status,
+      invitedBy: user.invited_by,
+      inviteExpiresAt: user.invite_expires_at,
+      lastLoginAt: user.last_login_at,
+      createdAt: user.created_at,
+    };
+  }
+
+  /**
+   * Current user and client
+   * GET /api/customer/auth/me
+   */
+  async getCurrentUser(req, res) {
+    res.json({
+      client: this.formatClient(req.client),
+      user: this.formatUser(req.user),
+    });
+  }
+
+  /**
+   * Look up a pending invitation
+   * GET /api/customer/auth/invitations/:token
+   */
+  async getInvitation(req, res) {
+    try {
+      res.json(await customerUserService.getInvitation(req.params.token));
+    } catch (error) {
+      this.handleUserError(res, error, 'load invitation');
+    }
+  }
+
+  /**
+   * Accept an invitation and log in
+   * POST /api/customer/auth/invitations/:token/accept
+   * Body: { password, name? }
+   */
+  async acceptInvitation(req, res) {
+    try {
+      const user = await customerUserService.acceptInvite(
+        req.params.token,
+        req.body.password,
+        req.body.name
+      );
+
+      const client = await Client.findById(user.client_id);
+      if (!client || client.status !== 'active') {
+        return res.status(HTTP_STATUS.FORBIDDEN).json({
+          error: 'Account inactive',
+          message: 'Your account is currently inactive. Please contact support.',
+        });
+      }
+
+      res.json({
+        token: this.issueToken(client, user),
+        client: this.formatClient(client),
+        user: this.formatUser(user),
+      });
+    } catch (error) {
+      this.handleUserError(res, error, 'accept invitation');
+    }
+  }
+
   /**
    * Get dashboard overview
    * GET /api/customer/dashboard/overview
@@ -287,74 +490,26 @@ class CustomerController {
   /**
    * Get conversations with pagination and filters
    * GET /api/customer/conversations
+   * Query: search (full-text in messages), status, channel, tool, escalated, provider,
+   * from/to or days, page, limit
    */
   async getConversations(req, res) {
     try {
-      const clientId = req.clientId;
-      const {
-        page = 1,
-        limit = 20,
-        search = '',
-        status = 'all',
-        days = 60, // Default to 60 days
-      } = req.query;
-
-      const offset = (parseInt(page, 10) - 1) * parseInt(limit, 10);
-
-      // Build date filter
-      const daysAgo = new Date();
-      daysAgo.setDate(daysAgo.getDate() - parseInt(days, 10));
-
-      // Build WHERE clause
-      const whereConditions = ['c.client_id = $1', 'c.started_at >= $2'];
-      const queryParams = [clientId, daysAgo];
-      let paramIndex = 3;
-
-      if (search) {
-        whereConditions.push(`c.session_id ILIKE $${paramIndex}`);
-        queryParams.push(`%${search}%`);
-        paramIndex++;
-      }
+      const { days = 60 } = req.query; // Default to 60 days unless a from date is given
 
-      if (status !== 'all') {
-        if (status === 'active') {
-          whereConditions.push('c.ended_at IS NULL');
-        } else if (status === 'ended') {
-          whereConditions.push('c.ended_at IS NOT NULL');
-        }
+      const query = { ...req.query };
+      if (!query.from) {
+        const daysAgo = new Date();
+        daysAgo.setDate(daysAgo.getDate() - (parseInt(days, 10) || 60));
+        query.from = daysAgo.toISOString();
       }
 
-      const whereClause = whereConditions.join(' AND ');
-
-      // Get total count
-      const countResult = await db.query(
-        `SELECT COUNT(*) as total FROM conversations c WHERE ${whereClause}`,
-        queryParams
-      );
-      const totalConversations = parseInt(countResult.rows[0].total, 10);
-      const totalPages = Math.ceil(totalConversations / parseInt(limit, 10));
-
-      // Get conversations
-      const result = await db.query(
-        `SELECT
-          c.id,
-          c.session_id,
-          c.started_at,
-          c.ended_at,
-          c.message_count,
-          c.tokens_total,
-          c.llm_provider,
-          c.model_name,
-          (SELECT COUNT(*) FROM tool_executions WHERE conversation_id = c.id) as tool_call_count
-        FROM conversations c
-        WHERE ${whereClause}
-        ORDER BY c.started_at DESC
-        LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
-        [...queryParams, parseInt(limit, 10), offset]
-      );
+      const result = await conversationService.searchConversations(query, {
+        clientId: req.clientId,
+      });
 
       res.json({
-        conversations: result.rows.map((conv) => ({
+        conversations: result.conversations.map((conv) => ({
           id: conv.id,
           sessionId: conv.session_id,
           startedAt: conv.started_at,
@@ -362,18 +517,21 @@ class CustomerController {
           duration: conv.ended_at
             ? Math.floor((new Date(conv.ended_at) - new Date(conv.started_at)) / 1000)
             : null,
-          messageCount: conv.message_count,
+          messageCount: parseInt(conv.message_count, 10) || 0,
           tokensTotal: conv.tokens_total,
           toolCallCount: parseInt(conv.tool_call_count, 10) || 0,
           status: conv.ended_at ? 'ended' : 'active',
+          channel: conv.channel || 'widget',
+          escalated: conv.escalated,
           provider: conv.llm_provider,
           model: conv.model_name,
+          ...(conv.matches && { matches: conv.matches }),
         })),
         pagination: {
-          page: parseInt(page, 10),
-          limit: parseInt(limit, 10),
-          totalPages,
-          totalConversations,
+          page: result.page,
+          limit: result.limit,
+          totalPages: result.totalPages,
+          totalConversations: result.total,
         },
       });
     } catch (error) {
@@ -417,6 +575,7 @@ class CustomerController {
 
       // Get tool executions
       const toolExecutions = await ToolExecution.getByConversation(conversationId);
+      const feedback = await feedbackService.getConversationFeedback(conversation.id);
 
       res.json({
         conversation: {
@@ -438,7 +597,10 @@ class CustomerController {
           tokens: msg.tokens,
           tokensCumulative: msg.tokens_cumulative,
           toolsCalled: safeJsonGet(msg.metadata, 'tools_called', null),
+          attachments: safeJsonGet(msg.channel_metadata, 'attachments', []),
+          feedback: feedback.messages[msg.id] || null,
         })),
+        rating: feedback.conversation,
         toolExecutions: toolExecutions.map((te) => ({
           id: te.id,
           toolName: te.tool_name,
@@ -458,6 +620,40 @@ class CustomerController {
     }
   }
 
+  /**
+   * Download a file the end user sent in a conversation
+   * GET /api/customer/conversations/:id/attachments/:attachmentId
+   */
+  async downloadAttachment(req, res) {
+    try {
+      const conversation = await Conversation.findById(req.params.id);
+      if (!conversation || conversation.client_id !== req.clientId) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          error: 'Attachment not found',
+          message: 'The requested attachment could not be found',
+        });
+      }
+
+      const attachment = await attachmentService.getForDownload(
+        conversation.id,
+        req.params.attachmentId
+      );
+      attachmentService.sendFile(res, attachment);
+    } catch (error) {
+      if (error instanceof AttachmentError) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          error: 'Attachment not found',
+          message: 'The requested attachment could not be found',
+        });
+      }
+      console.error('[CustomerController] Attachment download error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Failed to download attachment',
+        message: 'An error occurred while downloading the attachment',
+      });
+    }
+  }
+
   /**
    * Get billing invoices
    * GET /api/customer/billing/invoices
@@ -466,14 +662,35 @@ class CustomerController {
     try {
       const clientId = req.clientId;
 
-      const invoices = await Invoice.findByClientId(clientId);
+      const invoices = await BillingService.withDetails(await Invoice.findByClientId(clientId));
 
       res.json({
+        seller: BillingService.getSellerDetails(),
         invoices: invoices.map((inv) => ({
           id: inv.id,
-          invoiceNumber: `INV-${inv.id.toString().padStart(6, '0')}`, // Generate invoice number from ID
+          invoiceNumber: inv.invoice_number,
+          kind: inv.kind || 'period',
           period: inv.billing_period,
+          currency: inv.currency || 'USD',
+          subtotal: parseFloat(inv.subtotal ?? inv.total_cost ?? 0),
+          taxRate: parseFloat(inv.tax_rate || 0),
+          taxAmount: parseFloat(inv.tax_amount || 0),
           amount: parseFloat(inv.total_cost || 0),
+          amountCredited: parseFloat(inv.amount_credited || 0),
+          taxId: inv.customer_tax_id,
+          billingAddress: inv.billing_address,
+          billingCountry: inv.billing_country,
+          lineItems: inv.line_items.map(formatLineItem),
+          creditNotes: inv.credit_notes.map((note) => ({
+            id: note.id,
+            creditNoteNumber: note.credit_note_number,
+            subtotal: parseFloat(note.subtotal),
+            taxAmount: parseFloat(note.tax_amount),
+            total: parseFloat(note.total),
+            reason: note.reason,
+            createdAt: note.created_at,
+            lineItems: note.line_items.map(formatLineItem),
+          })),
           status: inv.status,
           dueDate: inv.due_date,
           paidAt: inv.paid_at,
@@ -489,6 +706,136 @@ class CustomerController {
     }
   }
 
+  /**
+   * Get the current plan, the plans on offer and plan change history
+   * GET /api/customer/billing/plan
+   */
+  async getPlan(req, res) {
+    try {
+      const { currentPlan, plans, openChange, changes } = await planChangeService.getPlanChanges(
+        req.client
+      );
+      res.json({
+        currentPlan,
+        plans,
+        openChange: openChange ? formatPlanChange(openChange) : null,
+        changes: changes.map(formatPlanChange),
+      });
+    } catch (error) {
+      this.handlePlanChangeError(res, error, 'load plan');
+    }
+  }
+
+  /**
+   * Request an upgrade for an admin to approve
+   * POST /api/customer/billing/plan-change-requests
+   */
+  async requestPlanChange(req, res) {
+    try {
+      const change = await planChangeService.requestUpgrade(
+        req.client,
+        req.body?.plan,
+        getActor('customer', req),
+        req.body?.note ?? null
+      );
+      res.status(HTTP_STATUS.CREATED).json(formatPlanChange(change));
+    } catch (error) {
+      this.handlePlanChangeError(res, error, 'request plan change');
+    }
+  }
+
+  /**
+   * Withdraw a pending upgrade request
+   * DELETE /api/customer/billing/plan-change-requests/:id
+   */
+  async cancelPlanChange(req, res) {
+    try {
+      const change = await planChangeService.cancel(
+        req.clientId,
+        req.params.id,
+        getActor('customer', req)
+      );
+      res.json(formatPlanChange(change));
+    } catch (error) {
+      this.handlePlanChangeError(res, error, 'cancel plan change');
+    }
+  }
+
+  /**
+   * Get this month's spend, limits and credits
+   * GET /api/customer/billing/spending
+   */
+  async getSpending(req, res) {
+    try {
+      res.json(formatSpending(await spendingService.getSpending(req.client)));
+    } catch (error) {
+      this.handleSpendingError(res, error, 'load spending');
+    }
+  }
+
+  /**
+   * Set the monthly budget and what happens at the limit
+   * PUT /api/customer/billing/spending
+   * Body: { monthlyBudget (null for none), overLimitAction: 'block'|'degrade'|'overage' }
+   */
+  async updateSpending(req, res) {
+    try {
+      const spending = await spendingService.updateSettings(req.clientId, {
+        monthly_budget: req.body?.monthlyBudget ?? null,
+        over_limit_action: req.body?.overLimitAction,
+      });
+      res.json(formatSpending(spending));
+    } catch (error) {
+      this.handleSpendingError(res, error, 'update spending settings');
+    }
+  }
+
+  /**
+   * Buy credits - returns the invoice; the credits are added once it is paid
+   * POST /api/customer/billing/credits
+   * Body: { amount } (USD)
+   */
+  async purchaseCredits(req, res) {
+    try {
+      const invoice = await spendingService.purchaseCredits(req.client, req.body?.amount);
+      res.status(HTTP_STATUS.CREATED).json({
+        id: invoice.id,
+        invoiceNumber: invoice.invoice_number,
+        currency: invoice.currency || 'USD',
+        amount: parseFloat(invoice.total_cost),
+        status: invoice.status,
+        dueDate: invoice.due_date,
+        lineItems: invoice.line_items.map(formatLineItem),
+      });
+    } catch (error) {
+      this.handleSpendingError(res, error, 'purchase credits');
+    }
+  }
+
+  handleSpendingError(res, error, action) {
+    if (error instanceof SpendingError) {
+      const status = error.code === 'not_found' ? HTTP_STATUS.NOT_FOUND : HTTP_STATUS.BAD_REQUEST;
+      return res.status(status).json({ error: error.message });
+    }
+    console.error(`[CustomerController] ${action} error:`, error);
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      error: `Failed to ${action}`,
+      message: `An error occurred while trying to ${action}`,
+    });
+  }
+
+  handlePlanChangeError(res, error, action) {
+    if (error instanceof PlanChangeError) {
+      const status = error.code === 'not_found' ? HTTP_STATUS.NOT_FOUND : HTTP_STATUS.BAD_REQUEST;
+      return res.status(status).json({ error: error.message });
+    }
+    console.error(`[CustomerController] ${action} error:`, error);
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      error: `Failed to ${action}`,
+      message: `An error occurred while trying to ${action}`,
+    });
+  }
+
   /**
    * Get current usage
    * GET /api/customer/usage/current
@@ -623,6 +970,24 @@ class CustomerController {
     }
   }
 
+  /**
+   * Get customer satisfaction (CSAT) statistics
+   * GET /api/customer/usage/csat?days=30
+   * Returns: thumbs up/down, conversation ratings, daily trend, breakdowns by tool and reasoning mode
+   */
+  async getCsat(req, res) {
+    try {
+      const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+      res.json(await feedbackService.getCsatStats(req.clientId, days));
+    } catch (error) {
+      console.error('[CustomerController] CSAT error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Failed to load satisfaction data',
+        message: 'An error occurred while loading satisfaction data',
+      });
+    }
+  }
+
   /**
    * Get current settings
    * GET /api/customer/settings
@@ -886,10 +1251,8 @@ class CustomerController {
       const currentConfig = req.client.prompt_config || {};
       const newConfig = { ...currentConfig, ...configUpdate };
 
-      await Client.updatePromptConfig(clientId, newConfig);
-
-      // Refresh cached config so new conversations use the updated settings
-      await refreshCachedConfig();
+      // Saved as a new version; refreshes cached config so new conversations use it
+      await promptVersionService.save('client', clientId, newConfig, getActor('customer', req));
 
       console.log(`[CustomerController] Client ${clientId} updated AI behavior config`);
 
@@ -958,11 +1321,10 @@ class CustomerController {
         });
       }
 
-      // Clear the client's prompt_config
-      await Client.updatePromptConfig(clientId, {});
-
-      // Refresh cached config so new conversations use the defaults
-      await refreshCachedConfig();
+      // Clear the client's prompt_config (saved as a version, refreshing cached config)
+      await promptVersionService.save('client', clientId, {}, getActor('customer', req), {
+        action: 'clear',
+      });
 
       log.info('Client reset AI behavior to defaults', { clientId });
 
@@ -1021,6 +1383,8 @@ class CustomerController {
           acknowledgedAt: e.acknowledged_at,
           resolvedAt: e.resolved_at,
           assignedTo: e.assigned_to,
+          acknowledgedBy: e.acknowledged_by_name || null,
+          resolvedBy: e.resolved_by_name || null,
           notes: e.notes,
         })),
         pendingCount,
@@ -1083,11 +1447,20 @@ class CustomerController {
       }
 
       // Get recent messages for context (last 10)
-      const recentMessages = messages.slice(-10).map((m) => ({
-        role: m.role,
-        content: m.content,
-        timestamp: m.timestamp,
-      }));
+      const recentMessages = messages.slice(-10).map((m) => liveAgentService.formatMessage(m));
+
+      // Delivery status of the notifications sent to the business
+      const notifications = (await EscalationNotification.findByEscalation(escalation.id)).map(
+        (n) => ({
+          channel: n.channel,
+          recipient: n.recipient,
+          status: n.status,
+          attempts: n.attempts,
+          lastError: n.last_error,
+          sentAt: n.sent_at,
+          nextRetryAt: n.next_retry_at,
+        })
+      );
 
       res.json({
         escalation: {
@@ -1099,6 +1472,8 @@ class CustomerController {
           acknowledgedAt: escalation.acknowledged_at,
           resolvedAt: escalation.resolved_at,
           assignedTo: escalation.assigned_to,
+          acknowledgedBy: await this.getUserDisplayName(escalation.acknowledged_by),
+          resolvedBy: await this.getUserDisplayName(escalation.resolved_by),
           notes: escalation.notes,
         },
         conversation: {
@@ -1112,6 +1487,7 @@ class CustomerController {
         customerInfo,
         triggerMessage,
         recentMessages,
+        notifications,
       });
     } catch (error) {
       console.error('[CustomerController] Get escalation detail error:', error);
@@ -1122,6 +1498,15 @@ class CustomerController {
     }
   }
 
+  /**
+   * Name (or email) of a dashboard user for attribution
+   */
+  async getUserDisplayName(userId) {
+    if (!userId) return null;
+    const user = await ClientUser.findById(userId);
+    return user ? user.name || user.email : null;
+  }
+
   /**
    * Extract customer contact info from conversation and messages
    * @private
@@ -1210,7 +1595,9 @@ class CustomerController {
         return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: 'Escalation is not pending' });
       }
 
-      const updated = await Escalation.updateStatus(escalationId, 'acknowledged');
+      const updated = await Escalation.updateStatus(escalationId, 'acknowledged', {
+        ...(req.user && { acknowledged_by: req.user.id }),
+      });
 
       res.json({
         success: true,
@@ -1264,7 +1651,12 @@ class CustomerController {
           .json({ error: 'Escalation is already resolved or cancelled' });
       }
 
-      const updated = await Escalation.updateStatus(escalationId, 'resolved', { notes });
+      const updated = await Escalation.updateStatus(escalationId, 'resolved', {
+        notes,
+        ...(req.user && { resolved_by: req.user.id }),
+      });
+      webhookService.emit(clientId, 'escalation.resolved', webhookService.escalationData(updated));
+      await liveAgentService.resetAIContext(escalation.conversation_id);
 
       res.json({
         success: true,
@@ -1360,10 +1752,12 @@ class CustomerController {
         });
       }
 
-      // Update status to cancelled
+      // Update status to cancelled - resolved_by records who closed it
       const updated = await Escalation.updateStatus(escalationId, 'cancelled', {
         notes: req.body.notes || 'Cancelled by customer',
+        ...(req.user && { resolved_by: req.user.id }),
       });
+      await liveAgentService.resetAIContext(escalation.conversation_id);
 
       console.log(
         `[CustomerController] Escalation ${escalationId} cancelled by client ${clientId}`
@@ -1381,6 +1775,568 @@ class CustomerController {
       });
     }
   }
+
+  /**
+   * Reply to the customer as a human agent (takes over from the AI)
+   * POST /api/customer/escalations/:id/messages
+   * Body: { content, agentName }
+   */
+  async sendAgentMessage(req, res) {
+    try {
+      const clientId = req.clientId;
+
+      const rateLimit = await RedisCache.checkRateLimit(clientId, RATE_LIMITS.CUSTOMER_DASHBOARD);
+      if (!rateLimit.allowed) {
+        log.warn('Rate limit exceeded for agent message', { clientId });
+        return res.status(HTTP_STATUS.RATE_LIMIT_EXCEEDED).json({
+          error: 'Rate limit exceeded',
+          retryAfter: rateLimit.resetIn,
+        });
+      }
+
+      const { content, agentName } = req.body;
+      if (typeof content !== 'string' || !content.trim()) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: 'Message content is required' });
+      }
+      if (content.length > LIMITS.AGENT_MESSAGE_MAX) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          error: `Message too long (max ${LIMITS.AGENT_MESSAGE_MAX} characters)`,
+        });
+      }
+
+      const escalation = await Escalation.findById(req.params.id);
+      if (!escalation) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Escalation not found' });
+      }
+      if (escalation.client_id !== clientId) {
+        return res.status(HTTP_STATUS.FORBIDDEN).json({ error: 'Access denied' });
+      }
+
+      const result = await liveAgentService.sendAgentMessage(
+        escalation,
+        content.trim(),
+        typeof agentName === 'string' && agentName.trim()
+          ? agentName.trim()
+          : req.user?.name || null,
+        req.user?.id || null
+      );
+
+      res.status(HTTP_STATUS.CREATED).json({
+        success: true,
+        message: liveAgentService.formatMessage(result.message),
+        escalation: {
+          id: result.escalation.id,
+          status: result.escalation.status,
+          acknowledgedAt: result.escalation.acknowledged_at,
+          assignedTo: result.escalation.assigned_to,
+        },
+        delivery: result.delivery,
+      });
+    } catch (error) {
+      if (error instanceof LiveAgentError) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: error.message });
+      }
+      console.error('[CustomerController] Send agent message error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Failed to send message',
+        message: 'An error occurred while sending the message',
+      });
+    }
+  }
+
+  /**
+   * Hand an escalated conversation back to the AI
+   * POST /api/customer/escalations/:id/hand-back
+   */
+  async handBackEscalation(req, res) {
+    try {
+      const clientId = req.clientId;
+
+      const rateLimit = await RedisCache.checkRateLimit(clientId, RATE_LIMITS.CUSTOMER_DASHBOARD);
+      if (!rateLimit.allowed) {
+        log.warn('Rate limit exceeded for escalation hand back', { clientId });
+        return res.status(HTTP_STATUS.RATE_LIMIT_EXCEEDED).json({
+          error: 'Rate limit exceeded',
+          retryAfter: rateLimit.resetIn,
+        });
+      }
+
+      const escalation = await Escalation.findById(req.params.id);
+      if (!escalation) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Escalation not found' });
+      }
+      if (escalation.client_id !== clientId) {
+        return res.status(HTTP_STATUS.FORBIDDEN).json({ error: 'Access denied' });
+      }
+
+      const updated = await liveAgentService.handBack(
+        escalation,
+        req.user?.name || req.user?.email || escalation.assigned_to,
+        req.user?.id || null
+      );
+
+      res.json({
+        success: true,
+        escalation: {
+          id: updated.id,
+          status: updated.status,
+          resolvedAt: updated.resolved_at,
+          notes: updated.notes,
+        },
+      });
+    } catch (error) {
+      if (error instanceof LiveAgentError) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: error.message });
+      }
+      console.error('[CustomerController] Hand back escalation error:', error);
+      res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        error: 'Failed to hand back escalation',
+        message: 'An error occurred while handing the conversation back to the AI',
+      });
+    }
+  }
+
+  // ==================== Webhooks ====================
+
+  /**
+   * Map webhook service errors to responses
+   */
+  handleWebhookError(res, error, action) {
+    if (error instanceof WebhookError) {
+      const status = error.code === 'not_found' ? HTTP_STATUS.NOT_FOUND : HTTP_STATUS.BAD_REQUEST;
+      return res.status(status).json({ error: error.message });
+    }
+    console.error(`[CustomerController] ${action} error:`, error);
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      error: `Failed to ${action}`,
+      message: `An error occurred while trying to ${action}`,
+    });
+  }
+
+  /**
+   * Shape a subscription for the dashboard
+   */
+  formatWebhook(subscription) {
+    return {
+      id: subscription.id,
+      url: subscription.url,
+      description: subscription.description,
+      events: subscription.events,
+      secret: subscription.secret,
+      isActive: subscription.is_active,
+      createdAt: subscription.created_at,
+      updatedAt: subscription.updated_at,
+    };
+  }
+
+  /**
+   * Shape a delivery log entry for the dashboard
+   */
+  formatWebhookDelivery(delivery) {
+    return {
+      id: delivery.id,
+      eventType: delivery.event_type,
+      eventId: delivery.payload?.id || null,
+      status: delivery.status,
+      attempts: delivery.attempts,
+      // The response body stays admin-only: endpoint output is not echoed to clients
+      responseStatus: delivery.response_status,
+      lastError: delivery.last_error,
+      nextRetryAt: delivery.next_retry_at,
+      deliveredAt: delivery.delivered_at,
+      replayOf: delivery.replay_of,
+      payload: delivery.payload,
+      createdAt: delivery.created_at,
+    };
+  }
+
+  /**
+   * List webhook subscriptions and the events that can be subscribed
+   * GET /api/customer/webhooks
+   */
+  async getWebhooks(req, res) {
+    try {
+      const subscriptions = await webhookService.listSubscriptions(req.clientId);
+      res.json({
+        webhooks: subscriptions.map((subscription) => this.formatWebhook(subscription)),
+        events: WEBHOOKS.EVENTS,
+      });
+    } catch (error) {
+      this.handleWebhookError(res, error, 'load webhooks');
+    }
+  }
+
+  /**
+   * Create a webhook subscription
+   * POST /api/customer/webhooks
+   * Body: { url, events, description?, is_active? }
+   */
+  async createWebhook(req, res) {
+    try {
+      const subscription = await webhookService.createSubscription(req.clientId, req.body);
+      res.status(HTTP_STATUS.CREATED).json(this.formatWebhook(subscription));
+    } catch (error) {
+      this.handleWebhookError(res, error, 'create webhook');
+    }
+  }
+
+  /**
+   * Update a webhook subscription
+   * PUT /api/customer/webhooks/:id
+   * Body: any of { url, events, description, is_active }
+   */
+  async updateWebhook(req, res) {
+    try {
+      const subscription = await webhookService.updateSubscription(
+        req.clientId,
+        req.params.id,
+        req.body
+      );
+      res.json(this.formatWebhook(subscription));
+    } catch (error) {
+      this.handleWebhookError(res, error, 'update webhook');
+    }
+  }
+
+  /**
+   * Delete a webhook subscription and its delivery log
+   * DELETE /api/customer/webhooks/:id
+   */
+  async deleteWebhook(req, res) {
+    try {
+      await webhookService.deleteSubscription(req.clientId, req.params.id);
+      res.json({ success: true });
+    } catch (error) {
+      this.handleWebhookError(res, error, 'delete webhook');
+    }
+  }
+
+  /**
+   * Replace the signing secret of a webhook
+   * POST /api/customer/webhooks/:id/rotate-secret
+   */
+  async rotateWebhookSecret(req, res) {
+    try {
+      const subscription = await webhookService.rotateSecret(req.clientId, req.params.id);
+      res.json(this.formatWebhook(subscription));
+    } catch (error) {
+      this.handleWebhookError(res, error, 'rotate webhook secret');
+    }
+  }
+
+  /**
+   * Send a test event to a webhook
+   * POST /api/customer/webhooks/:id/test
+   */
+  async testWebhook(req, res) {
+    try {
+      const rateLimit = await RedisCache.checkRateLimit(
+        req.clientId,
+        RATE_LIMITS.CUSTOMER_DASHBOARD
+      );
+      if (!rateLimit.allowed) {
+        return res.status(HTTP_STATUS.RATE_LIMIT_EXCEEDED).json({
+          error: 'Rate limit exceeded',
+          retryAfter: rateLimit.resetIn,
+        });
+      }
+
+      const delivery = await webhookService.sendTest(req.clientId, req.params.id);
+      res.json(this.formatWebhookDelivery(delivery));
+    } catch (error) {
+      this.handleWebhookError(res, error, 'send test event');
+    }
+  }
+
+  /**
+   * Delivery log of a webhook, newest first
+   * GET /api/customer/webhooks/:id/deliveries?status=&limit=&offset=
+   */
+  async getWebhookDeliveries(req, res) {
+    try {
+      const { status, limit = 50, offset = 0 } = req.query;
+      const deliveries = await webhookService.getDeliveries(req.clientId, req.params.id, {
+        status: ['pending', 'sent', 'failed'].includes(status) ? status : null,
+        limit: Math.min(parseInt(limit, 10) || 50, 200),
+        offset: parseInt(offset, 10) || 0,
+      });
+      res.json({ deliveries: deliveries.map((delivery) => this.formatWebhookDelivery(delivery)) });
+    } catch (error) {
+      this.handleWebhookError(res, error, 'load webhook deliveries');
+    }
+  }
+
+  /**
+   * Send a logged event again
+   * POST /api/customer/webhooks/deliveries/:deliveryId/replay
+   */
+  async replayWebhookDelivery(req, res) {
+    try {
+      const rateLimit = await RedisCache.checkRateLimit(
+        req.clientId,
+        RATE_LIMITS.CUSTOMER_DASHBOARD
+      );
+      if (!rateLimit.allowed) {
+        return res.status(HTTP_STATUS.RATE_LIMIT_EXCEEDED).json({
+          error: 'Rate limit exceeded',
+          retryAfter: rateLimit.resetIn,
+        });
+      }
+
+      const delivery = await webhookService.replay(
+        req.clientId,
+        parseInt(req.params.deliveryId, 10)
+      );
+      res.json(this.formatWebhookDelivery(delivery));
+    } catch (error) {
+      this.handleWebhookError(res, error, 'replay webhook delivery');
+    }
+  }
+
+  // ==================== Users ====================
+
+  /**
+   * Map user service errors to responses
+   */
+  handleUserError(res, error, action) {
+    if (error instanceof CustomerUserError) {
+      const status =
+        {
+          not_found: HTTP_STATUS.NOT_FOUND,
+          forbidden: HTTP_STATUS.FORBIDDEN,
+          conflict: HTTP_STATUS.CONFLICT,
+        }[error.code] || HTTP_STATUS.BAD_REQUEST;
+      return res.status(status).json({ error: error.message });
+    }
+    console.error(`[CustomerController] ${action} error:`, error);
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      error: `Failed to ${action}`,
+      message: `An error occurred while trying to ${action}`,
+    });
+  }
+
+  /**
+   * The user acting on a request (access code sessions act as owner)
+   */
+  getActor(req) {
+    return {
+      id: req.user?.id || null,
+      role: req.userRole,
+      name: req.user?.name || req.user?.email || null,
+    };
+  }
+
+  /**
+   * List dashboard users
+   * GET /api/customer/users
+   */
+  async getUsers(req, res) {
+    try {
+      const users = await customerUserService.listUsers(req.clientId);
+      res.json({
+        users: users.map((user) => this.formatUser(user)),
+        roles: CUSTOMER_USERS.ROLES,
+      });
+    } catch (error) {
+      this.handleUserError(res, error, 'load users');
+    }
+  }
+
+  /**
+   * Invite a user
+   * POST /api/customer/users
+   * Body: { email, role, name? }
+   */
+  async inviteUser(req, res) {
+    try {
+      const rateLimit = await RedisCache.checkRateLimit(
+        req.clientId,
+        RATE_LIMITS.CUSTOMER_DASHBOARD
+      );
+      if (!rateLimit.allowed) {
+        return res.status(HTTP_STATUS.RATE_LIMIT_EXCEEDED).json({
+          error: 'Rate limit exceeded',
+          retryAfter: rateLimit.resetIn,
+        });
+      }
+
+      const { user, inviteUrl, emailSent } = await customerUserService.inviteUser(
+        req.client,
+        this.getActor(req),
+        req.body
+      );
+      res.status(HTTP_STATUS.CREATED).json({ user: this.formatUser(user), inviteUrl, emailSent });
+    } catch (error) {
+      this.handleUserError(res, error, 'invite user');
+    }
+  }
+
+  /**
+   * Send a new invitation link
+   * POST /api/customer/users/:id/resend-invite
+   */
+  async resendUserInvite(req, res) {
+    try {
+      const { user, inviteUrl, emailSent } = await customerUserService.resendInvite(
+        req.client,
+        this.getActor(req),
+        parseInt(req.params.id, 10)
+      );
+      res.json({ user: this.formatUser(user), inviteUrl, emailSent });
+    } catch (error) {
+      this.handleUserError(res, error, 'resend invitation');
+    }
+  }
+
+  /**
+   * Change a user's role, status or name
+   * PUT /api/customer/users/:id
+   */
+  async updateUser(req, res) {
+    try {
+      const user = await customerUserService.updateUser(
+        req.clientId,
+        this.getActor(req),
+        parseInt(req.params.id, 10),
+        req.body
+      );
+      res.json(this.formatUser(user));
+    } catch (error) {
+      this.handleUserError(res, error, 'update user');
+    }
+  }
+
+  /**
+   * Remove a user or cancel an invitation
+   * DELETE /api/customer/users/:id
+   */
+  async deleteUser(req, res) {
+    try {
+      await customerUserService.removeUser(
+        req.clientId,
+        this.getActor(req),
+        parseInt(req.params.id, 10)
+      );
+      res.json({ success: true });
+    } catch (error) {
+      this.handleUserError(res, error, 'remove user');
+    }
+  }
+
+  // ==================== Privacy ====================
+
+  /**
+   * Map privacy service errors to responses
+   */
+  handlePrivacyError(res, error, action) {
+    if (error instanceof PrivacyError) {
+      const status = error.code === 'not_found' ? HTTP_STATUS.NOT_FOUND : HTTP_STATUS.BAD_REQUEST;
+      return res.status(status).json({ error: error.message });
+    }
+    console.error(`[CustomerController] ${action} error:`, error);
+    return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      error: `Failed to ${action}`,
+      message: `An error occurred while trying to ${action}`,
+    });
+  }
+
+  /**
+   * Get data retention windows
+   * GET /api/customer/privacy/retention
+   */
+  async getRetention(req, res) {
+    try {
+      res.json(privacyService.getRetention(req.client));
+    } catch (error) {
+      this.handlePrivacyError(res, error, 'load retention settings');
+    }
+  }
+
+  /**
+   * Update data retention windows
+   * PUT /api/customer/privacy/retention
+   * Body: { retention: { [dataType]: days | null } }
+   */
+  async updateRetention(req, res) {
+    try {
+      res.json(await privacyService.updateRetention(req.clientId, req.body?.retention));
+    } catch (error) {
+      this.handlePrivacyError(res, error, 'update retention settings');
+    }
+  }
+
+  /**
+   * Get PII redaction settings
+   * GET /api/customer/privacy/redaction
+   */
+  async getRedaction(req, res) {
+    try {
+      res.json(privacyService.getRedaction(req.client));
+    } catch (error) {
+      this.handlePrivacyError(res, error, 'load redaction settings');
+    }
+  }
+
+  /**
+   * Update PII redaction settings
+   * PUT /api/customer/privacy/redaction
+   * Body: { redaction: { enabled, mask_debug, types, custom } }
+   */
+  async updateRedaction(req, res) {
+    try {
+      res.json(await privacyService.updateRedaction(req.clientId, req.body?.redaction));
+    } catch (error) {
+      this.handlePrivacyError(res, error, 'update redaction settings');
+    }
+  }
+
+  /**
+   * Export and erase history
+   * GET /api/customer/privacy/requests?page=&limit=
+   */
+  async getDataRequests(req, res) {
+    try {
+      res.json(await privacyService.listRequests(req.clientId, req.query));
+    } catch (error) {
+      this.handlePrivacyError(res, error, 'load data requests');
+    }
+  }
+
+  /**
+   * Export all data of an end user
+   * POST /api/customer/privacy/requests/export
+   * Body: { userIdentifier }
+   */
+  async exportUserData(req, res) {
+    try {
+      const result = await privacyService.exportUserData(
+        req.client,
+        req.body?.userIdentifier,
+        getActor('customer', req)
+      );
+      res.json(result);
+    } catch (error) {
+      this.handlePrivacyError(res, error, 'export user data');
+    }
+  }
+
+  /**
+   * Erase all data of an end user
+   * POST /api/customer/privacy/requests/erase
+   * Body: { userIdentifier }
+   */
+  async eraseUserData(req, res) {
+    try {
+      const request = await privacyService.eraseUserData(
+        req.client,
+        req.body?.userIdentifier,
+        getActor('customer', req)
+      );
+      res.json(request);
+    } catch (error) {
+      this.handlePrivacyError(res, error, 'erase user data');
+    }
+  }
 }
 
 export default new CustomerController();
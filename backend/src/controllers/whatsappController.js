@@ -0,0 +1,306 @@
+import { HTTP_STATUS } from '../config/constants.js';
+import { WhatsAppChannel } from '../models/WhatsAppChannel.js';
+import { Client } from '../models/Client.js';
+import { whatsappService } from '../services/whatsappService.js';
+import { whatsappHandler } from '../services/whatsappHandler.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * WhatsApp Controller
+ *
+ * Handles the WhatsApp Business webhook and WhatsApp channel management
+ */
+
+/**
+ * Strip credentials before returning a channel
+ */
+function toSafeChannel(channel) {
+  return {
+    id: channel.id,
+    client_id: channel.client_id,
+    phone_number_id: channel.phone_number_id,
+    display_phone_number: channel.display_phone_number,
+    status: channel.status,
+    last_error: channel.last_error,
+    last_message_at: channel.last_message_at,
+    settings: channel.settings,
+    has_access_token: Boolean(channel.connection_config?.access_token),
+    has_app_secret: Boolean(channel.connection_config?.app_secret),
+    created_at: channel.created_at,
+    updated_at: channel.updated_at,
+  };
+}
+
+/**
+ * GET /api/whatsapp/webhook
+ * Webhook subscription handshake (echo hub.challenge when the verify token matches)
+ */
+export function verifyWebhookSubscription(req, res) {
+  const mode = req.query['hub.mode'];
+  const token = req.query['hub.verify_token'];
+  const challenge = req.query['hub.challenge'];
+  const verifyToken = process.env.WHATSAPP_WEBHOOK_VERIFY_TOKEN;
+
+  if (mode === 'subscribe' && verifyToken && token === verifyToken) {
+    return res.status(HTTP_STATUS.OK).send(challenge);
+  }
+
+  res.status(HTTP_STATUS.FORBIDDEN).json({ error: 'Webhook verification failed' });
+}
+
+/**
+ * POST /api/whatsapp/webhook
+ * Inbound messages from WhatsApp. Acknowledged immediately once the signature
+ * checks out; AI replies are generated in the background.
+ */
+export async function receiveWebhook(req, res) {
+  try {
+    const verified = await whatsappHandler.verifyWebhook(
+      req.rawBody,
+      req.headers['x-hub-signature-256'],
+      req.body
+    );
+
+    if (!verified) {
+      return res.status(HTTP_STATUS.UNAUTHORIZED).json({ error: 'Invalid webhook signature' });
+    }
+
+    res.status(HTTP_STATUS.OK).json({ received: true });
+
+    whatsappHandler.handleWebhook(req.body).catch((error) => {
+      console.error('[WhatsAppController] Webhook processing error:', error);
+    });
+  } catch (error) {
+    console.error('[WhatsAppController] Webhook error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: 'Webhook processing failed' });
+  }
+}
+
+/**
+ * GET /api/whatsapp/channels/:clientId
+ * Get all WhatsApp channels for a client
+ */
+export async function getChannels(req, res) {
+  try {
+    const { clientId } = req.params;
+
+    const channels = await WhatsAppChannel.findByClient(parseInt(clientId, 10));
+
+    res.json(channels.map(toSafeChannel));
+  } catch (error) {
+    console.error('[WhatsAppController] Get channels error:', error);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json({ error: 'Failed to get WhatsApp channels' });
+  }
+}
+
+/**
+ * POST /api/whatsapp/channels/:clientId
+ * Connect a WhatsApp Business number
+ * Body: { phone_number_id, display_phone_number?, access_token?, app_secret?, settings? }
+ */
+export async function createChannel(req, res) {
+  try {
+    const { clientId } = req.params;
+    const { phone_number_id, display_phone_number, access_token, app_secret, settings } = req.body;
+
+    if (!phone_number_id) {
+      return res
+        .status(HTTP_STATUS.BAD_REQUEST)
+        .json({ error: 'Missing required field: phone_number_id' });
+    }
+
+    const client = await Client.findById(parseInt(clientId, 10));
+    if (!client) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Client not found' });
+    }
+
+    const existing = await WhatsAppChannel.findByPhoneNumberId(String(phone_number_id));
+    if (existing) {
+      return res
+        .status(HTTP_STATUS.CONFLICT)
+        .json({ error: 'This WhatsApp number is already connected' });
+    }
+
+    const connectionConfig = {};
+    if (access_token) connectionConfig.access_token = access_token;
+    if (app_secret) connectionConfig.app_secret = app_secret;
+
+    const channel = await WhatsAppChannel.create(
+      client.id,
+      String(phone_number_id),
+      display_phone_number || null,
+      connectionConfig,
+      settings
+    );
+
+    logger.log('[WhatsAppController] WhatsApp channel connected', {
+      channelId: channel.id,
+      clientId: client.id,
+    });
+
+    res.status(HTTP_STATUS.CREATED).json(toSafeChannel(channel));
+  } catch (error) {
+    console.error('[WhatsAppController] Create channel error:', error);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json({ error: 'Failed to connect WhatsApp channel' });
+  }
+}
+
+/**
+ * GET /api/whatsapp/channel/:channelId
+ * Get a specific WhatsApp channel
+ */
+export async function getChannel(req, res) {
+  try {
+    const channel = await WhatsAppChannel.findById(parseInt(req.params.channelId, 10));
+
+    if (!channel) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'WhatsApp channel not found' });
+    }
+
+    res.json(toSafeChannel(channel));
+  } catch (error) {
+    console.error('[WhatsAppController] Get channel error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: 'Failed to get WhatsApp channel' });
+  }
+}
+
+/**
+ * PUT /api/whatsapp/channel/:channelId
+ * Update channel settings, status or credentials
+ * Body: { settings?, status?, display_phone_number?, access_token?, app_secret? }
+ */
+export async function updateChannel(req, res) {
+  try {
+    const { settings, status, display_phone_number, access_token, app_secret } = req.body;
+
+    const channel = await WhatsAppChannel.findById(parseInt(req.params.channelId, 10));
+    if (!channel) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'WhatsApp channel not found' });
+    }
+
+    const updates = {};
+    if (settings) updates.settings = { ...channel.settings, ...settings };
+    if (status) updates.status = status;
+    if (display_phone_number !== undefined) updates.display_phone_number = display_phone_number;
+    if (access_token || app_secret) {
+      updates.connection_config = {
+        ...channel.connection_config,
+        ...(access_token ? { access_token } : {}),
+        ...(app_secret ? { app_secret } : {}),
+      };
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: 'No valid fields to update' });
+    }
+
+    const updated = await WhatsAppChannel.update(channel.id, updates);
+
+    res.json(toSafeChannel(updated));
+  } catch (error) {
+    console.error('[WhatsAppController] Update channel error:', error);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json({ error: 'Failed to update WhatsApp channel' });
+  }
+}
+
+/**
+ * DELETE /api/whatsapp/channel/:channelId
+ * Disconnect a WhatsApp channel
+ */
+export async function disconnectChannel(req, res) {
+  try {
+    const channel = await WhatsAppChannel.findById(parseInt(req.params.channelId, 10));
+    if (!channel) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'WhatsApp channel not found' });
+    }
+
+    await WhatsAppChannel.delete(channel.id);
+
+    logger.log('[WhatsAppController] WhatsApp channel disconnected', {
+      channelId: channel.id,
+      phoneNumberId: channel.phone_number_id,
+    });
+
+    res.json({ message: 'WhatsApp channel disconnected successfully' });
+  } catch (error) {
+    console.error('[WhatsAppController] Disconnect channel error:', error);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json({ error: 'Failed to disconnect WhatsApp channel' });
+  }
+}
+
+/**
+ * POST /api/whatsapp/channel/:channelId/test
+ * Test the connection by looking up the business phone number
+ */
+export async function testConnection(req, res) {
+  try {
+    const channel = await WhatsAppChannel.findById(parseInt(req.params.channelId, 10));
+    if (!channel) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'WhatsApp channel not found' });
+    }
+
+    try {
+      const info = await whatsappService.getPhoneNumber(channel);
+      await WhatsAppChannel.update(channel.id, {
+        status: 'active',
+        last_error: null,
+        display_phone_number: info.display_phone_number || channel.display_phone_number,
+      });
+      res.json({
+        success: true,
+        displayPhoneNumber: info.display_phone_number,
+        verifiedName: info.verified_name,
+        qualityRating: info.quality_rating,
+      });
+    } catch (error) {
+      await WhatsAppChannel.updateStatus(channel.id, 'error', error.message);
+      res.json({ success: false, error: error.message });
+    }
+  } catch (error) {
+    console.error('[WhatsAppController] Test connection error:', error);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json({ error: 'Failed to test connection', details: error.message });
+  }
+}
+
+/**
+ * POST /api/whatsapp/channel/:channelId/send-test
+ * Send a test message (the recipient must have messaged the number in the last 24 hours)
+ * Body: { to: string, body: string }
+ */
+export async function sendTestMessage(req, res) {
+  try {
+    const { to, body } = req.body;
+
+    if (!to || !body) {
+      return res
+        .status(HTTP_STATUS.BAD_REQUEST)
+        .json({ error: 'Missing required fields: to, body' });
+    }
+
+    const channel = await WhatsAppChannel.findById(parseInt(req.params.channelId, 10));
+    if (!channel) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'WhatsApp channel not found' });
+    }
+
+    const result = await whatsappService.sendText(channel, to, body);
+
+    logger.log('[WhatsAppController] Test message sent', { channelId: channel.id, to });
+
+    res.json({ success: true, messageIds: result.messageIds });
+  } catch (error) {
+    console.error('[WhatsAppController] Send test message error:', error);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json({ error: 'Failed to send test message', details: error.message });
+  }
+}
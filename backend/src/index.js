@@ -8,8 +8,20 @@
 import app from './app.js';
 import conversationService from './services/conversationService.js';
 import { emailMonitor } from './services/emailMonitor.js';
+import escalationService from './services/escalationService.js';
 import n8nService from './services/n8nService.js';
 import { initializePrompts } from './prompts/systemPrompt.js';
+import webhookService from './services/webhookService.js';
+import attachmentService from './services/attachmentService.js';
+import privacyService from './services/privacyService.js';
+import planChangeService from './services/planChangeService.js';
+import {
+  ATTACHMENTS,
+  NOTIFICATIONS,
+  PLAN_CHANGES,
+  RETENTION,
+  WEBHOOKS,
+} from './config/constants.js';
 
 const PORT = process.env.PORT || 3000;
 
@@ -64,10 +76,139 @@ function startScheduledTasks() {
     });
   }, CHECK_INTERVAL_MS);
 
+  // Retry failed escalation notifications (email/SMS/WhatsApp)
+  const NOTIFICATION_RETRY_INTERVAL_MS = parseInt(
+    process.env.ESCALATION_NOTIFICATION_RETRY_INTERVAL_MS ||
+      String(NOTIFICATIONS.RETRY_CHECK_INTERVAL),
+    10
+  );
+
+  setInterval(() => {
+    runNotificationRetryTask().catch((err) => {
+      console.error('[Scheduler] Unhandled error in notification retry task:', err);
+    });
+  }, NOTIFICATION_RETRY_INTERVAL_MS);
+
+  // Retry failed outbound webhook deliveries
+  const WEBHOOK_RETRY_INTERVAL_MS = parseInt(
+    process.env.WEBHOOK_RETRY_INTERVAL_MS || String(WEBHOOKS.RETRY_CHECK_INTERVAL),
+    10
+  );
+
+  setInterval(() => {
+    runWebhookRetryTask().catch((err) => {
+      console.error('[Scheduler] Unhandled error in webhook retry task:', err);
+    });
+  }, WEBHOOK_RETRY_INTERVAL_MS);
+
+  // Remove widget uploads that were never sent with a message
+  setInterval(() => {
+    runAttachmentCleanupTask().catch((err) => {
+      console.error('[Scheduler] Unhandled error in attachment cleanup task:', err);
+    });
+  }, ATTACHMENTS.CLEANUP_INTERVAL);
+
+  // Enforce per-client data retention windows
+  const RETENTION_INTERVAL_MS = parseInt(
+    process.env.RETENTION_CHECK_INTERVAL_MS || String(RETENTION.CHECK_INTERVAL),
+    10
+  );
+
+  setInterval(() => {
+    runRetentionTask().catch((err) => {
+      console.error('[Scheduler] Unhandled error in retention task:', err);
+    });
+  }, RETENTION_INTERVAL_MS);
+
+  // Apply plan downgrades scheduled for the new billing period
+  setInterval(() => {
+    runPlanChangeTask().catch((err) => {
+      console.error('[Scheduler] Unhandled error in plan change task:', err);
+    });
+  }, PLAN_CHANGES.CHECK_INTERVAL);
+
   // Start email monitor for multi-channel AI support
   emailMonitor.start();
 }
 
+/**
+ * Run the escalation notification retry task
+ */
+async function runNotificationRetryTask() {
+  try {
+    const result = await escalationService.retryFailedNotifications();
+    if (result.retried > 0) {
+      console.log(
+        `[Scheduler] Retried ${result.retried} escalation notification(s): ${result.sent} sent, ${result.failed} failed`
+      );
+    }
+  } catch (error) {
+    console.error('[Scheduler] Error in notification retry task:', error);
+  }
+}
+
+/**
+ * Run the outbound webhook retry task
+ */
+async function runWebhookRetryTask() {
+  try {
+    const result = await webhookService.retryFailedDeliveries();
+    if (result.retried > 0) {
+      console.log(
+        `[Scheduler] Retried ${result.retried} webhook delivery(ies): ${result.sent} sent, ${result.failed} failed`
+      );
+    }
+  } catch (error) {
+    console.error('[Scheduler] Error in webhook retry task:', error);
+  }
+}
+
+/**
+ * Run the unsent attachment cleanup task
+ */
+async function runAttachmentCleanupTask() {
+  try {
+    const removed = await attachmentService.cleanupUnclaimed();
+    if (removed > 0) {
+      console.log(`[Scheduler] Removed ${removed} unsent attachment(s)`);
+    }
+  } catch (error) {
+    console.error('[Scheduler] Error in attachment cleanup task:', error);
+  }
+}
+
+/**
+ * Run the data retention task
+ */
+async function runRetentionTask() {
+  try {
+    const result = await privacyService.applyRetention();
+    const total = Object.values(result.deleted).reduce((sum, count) => sum + count, 0);
+    if (total > 0) {
+      console.log(
+        `[Scheduler] Retention removed ${total} record(s) across ${result.clients} client(s)`,
+        result.deleted
+      );
+    }
+  } catch (error) {
+    console.error('[Scheduler] Error in retention task:', error);
+  }
+}
+
+/**
+ * Run the scheduled plan change task
+ */
+async function runPlanChangeTask() {
+  try {
+    const result = await planChangeService.applyDueChanges();
+    if (result.applied > 0) {
+      console.log(`[Scheduler] Applied ${result.applied} scheduled plan change(s)`);
+    }
+  } catch (error) {
+    console.error('[Scheduler] Error in plan change task:', error);
+  }
+}
+
 /**
  * Run the auto-end inactive conversations task
  */
@@ -0,0 +1,66 @@
+import { auditService } from '../services/auditService.js';
+
+/**
+ * Who is making the request
+ * @param {string} scope - 'admin' or 'customer'
+ * @returns {object} { type, id, name }
+ */
+export function getActor(scope, req) {
+  if (scope === 'admin') {
+    return { type: 'admin', id: req.admin?.id ?? null, name: req.admin?.username ?? null };
+  }
+  if (req.user) {
+    return { type: 'client_user', id: req.user.id, name: req.user.name || req.user.email };
+  }
+  return { type: 'access_code', id: null, name: 'Access code' };
+}
+
+/**
+ * Audit trail middleware
+ * Mount after authentication. Records every successful mutation of the router
+ * with the actor, the target and a before/after diff of the target's state.
+ *
+ * @param {string} scope - 'admin' or 'customer' (selects the target table in auditService)
+ */
+export function auditTrail(scope) {
+  return async (req, res, next) => {
+    const description = auditService.describe(scope, req.method, req.path);
+    if (!description) {
+      return next();
+    }
+
+    if (scope === 'customer') {
+      description.params.clientId = req.clientId;
+    }
+    const before = await auditService.snapshot(description);
+
+    // Creates report the new id in the response body
+    let responseBody = null;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return json(body);
+    };
+
+    res.on('finish', () => {
+      if (res.statusCode >= 400) return;
+
+      auditService.complete(description, {
+        actor: getActor(scope, req),
+        clientId: scope === 'customer' ? req.clientId : null,
+        before,
+        responseBody,
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        statusCode: res.statusCode,
+        body: req.body,
+        ip: req.ip,
+        userAgent: req.get?.('user-agent'),
+      });
+    });
+
+    next();
+  };
+}
+
+export default auditTrail;
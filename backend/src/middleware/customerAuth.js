@@ -1,11 +1,13 @@
 /**
  * Customer Authentication Middleware
- * Authenticates customers (clients) using JWT tokens issued after access code verification
+ * Authenticates customers (clients) using JWT tokens issued after email/password
+ * or access code login, and scopes routes by the user's role
  */
 
 import jwt from 'jsonwebtoken';
 import { HTTP_STATUS } from '../config/constants.js';
 import { Client } from '../models/Client.js';
+import { ClientUser } from '../models/ClientUser.js';
 
 /**
  * Verify customer JWT token and attach client to request
@@ -59,6 +61,34 @@ async function customerAuth(req, res, next) {
       });
     }
 
+    // Attach the acting user - the role is read from the database so role
+    // changes and disabled accounts take effect immediately
+    if (decoded.userId) {
+      const user = await ClientUser.findById(decoded.userId);
+
+      if (!user || user.client_id !== client.id || user.status !== 'active') {
+        return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+          error: 'User not found',
+          message: 'Your user account is no longer active',
+        });
+      }
+
+      req.user = user;
+      req.userRole = user.role;
+    } else {
+      // Shared access code sessions end once the client has user accounts
+      const owners = await ClientUser.countByClient(client.id, { status: 'active', role: 'owner' });
+      if (owners > 0) {
+        return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+          error: 'Access code disabled',
+          message: 'Please sign in with your email and password',
+        });
+      }
+
+      req.user = null;
+      req.userRole = 'owner';
+    }
+
     // Attach client to request
     req.client = client;
     req.clientId = client.id;
@@ -73,4 +103,20 @@ async function customerAuth(req, res, next) {
   }
 }
 
+/**
+ * Restrict a route to some roles (use after customerAuth)
+ * @param {...string} roles - Allowed roles (owner, admin, agent, billing)
+ */
+export function requireCustomerRole(...roles) {
+  return (req, res, next) => {
+    if (!roles.includes(req.userRole)) {
+      return res.status(HTTP_STATUS.FORBIDDEN).json({
+        error: 'Insufficient permissions',
+        message: 'Your role does not allow this action',
+      });
+    }
+    next();
+  };
+}
+
 export default customerAuth;
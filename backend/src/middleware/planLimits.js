@@ -1,6 +1,7 @@
 import { HTTP_STATUS } from '../config/constants.js';
 import { checkLimit, getPlanConfig, hasFeature } from '../config/planLimits.js';
 import { db } from '../db.js';
+import spendingService from '../services/spendingService.js';
 
 /**
  * Plan Enforcement Middleware
@@ -59,12 +60,15 @@ async function getIntegrationsCount(clientId) {
  * @param {Object} options - Configuration options
  * @param {Array<string>} options.checkLimits - Array of limit types to check (e.g., ['messagesPerMonth', 'tokensPerMonth'])
  * @param {boolean} options.strict - If true, block request if any limit exceeded. If false, just log warning
+ * @param {boolean} options.checkSpending - Apply the monthly cost limit and its over-limit action
+ *   (block, or swap req.client for one using a cheaper model), whatever `strict` is
  * @returns {Function} Express middleware function
  */
 export function checkPlanLimits(options = {}) {
   const {
     checkLimits = ['messagesPerMonth'], // Default: check message limit
     strict = true, // Default: strictly enforce limits
+    checkSpending = true,
   } = options;
 
   return async (req, res, next) => {
@@ -127,6 +131,22 @@ export function checkPlanLimits(options = {}) {
         }
       }
 
+      if (checkSpending) {
+        const spending = await spendingService.enforce(client);
+        if (!spending.allowed) {
+          return res.status(HTTP_STATUS.RATE_LIMIT_EXCEEDED).json({
+            error: 'Spending limit reached',
+            limitedBy: spending.status.limitedBy,
+            spent: spending.status.spent,
+            limit: spending.status.limit,
+            message: 'The monthly spending limit has been reached',
+            upgradeUrl: '/billing',
+          });
+        }
+        req.client = spending.client;
+        req.spending = spending.status;
+      }
+
       // Attach usage info to request for reference
       req.currentUsage = usage;
       req.planConfig = planConfig;
@@ -22,25 +22,7 @@ export class ApiUsage {
   ) {
     const date = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
 
-    // Calculate cost estimate based on client's plan pricing
-    let costEstimate = 0;
-    try {
-      // Get client's plan
-      const client = await Client.findById(clientId);
-      if (client && client.plan_type) {
-        const plan = await Plan.findByName(client.plan_type);
-        if (plan) {
-          // Calculate cost using plan's usage_multiplier
-          // usage_multiplier is cost per token (e.g., 0.00001 = $0.00001 per token)
-          const totalTokens = tokensInput + tokensOutput;
-          costEstimate = totalTokens * parseFloat(plan.usage_multiplier || 0);
-        }
-      }
-    } catch (error) {
-      console.warn('[ApiUsage] Failed to fetch plan pricing, using fallback:', error.message);
-      // Fallback to hardcoded pricing if plan lookup fails
-      costEstimate = (tokensInput / 1000000) * 2.5 + (tokensOutput / 1000000) * 10;
-    }
+    const costEstimate = await this.estimateCost(clientId, tokensInput, tokensOutput);
 
     // Convert boolean to explicit boolean for PostgreSQL
     const isNewConvBool = Boolean(isNewConversation);
@@ -82,6 +64,115 @@ export class ApiUsage {
     return result.rows[0];
   }
 
+  /**
+   * Estimate the cost of tokens from the client's plan pricing
+   * @returns {Promise<number>} Cost estimate
+   */
+  static async estimateCost(clientId, tokensInput, tokensOutput) {
+    let costEstimate = 0;
+    try {
+      // Get client's plan
+      const client = await Client.findById(clientId);
+      if (client && client.plan_type) {
+        const plan = await Plan.findByName(client.plan_type);
+        if (plan) {
+          // Calculate cost using plan's usage_multiplier
+          // usage_multiplier is cost per token (e.g., 0.00001 = $0.00001 per token)
+          const totalTokens = tokensInput + tokensOutput;
+          costEstimate = totalTokens * parseFloat(plan.usage_multiplier || 0);
+        }
+      }
+    } catch (error) {
+      console.warn('[ApiUsage] Failed to fetch plan pricing, using fallback:', error.message);
+      // Fallback to hardcoded pricing if plan lookup fails
+      costEstimate = (tokensInput / 1000000) * 2.5 + (tokensOutput / 1000000) * 10;
+    }
+    return costEstimate;
+  }
+
+  /**
+   * Record an answer cache lookup. A hit is also counted as an answered message,
+   * with the tokens and cost the original reply took as savings.
+   * @param {number} clientId - Client ID
+   * @param {Object} lookup - { hit, tokensInput, tokensOutput, isNewConversation }
+   */
+  static async recordAnswerCache(clientId, lookup) {
+    const date = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
+    const { hit = false, tokensInput = 0, tokensOutput = 0, isNewConversation = false } = lookup;
+
+    const hitIncrement = hit ? 1 : 0;
+    const tokensSaved = hit ? tokensInput + tokensOutput : 0;
+    const costSaved = hit ? await this.estimateCost(clientId, tokensInput, tokensOutput) : 0;
+    const newConversation = hit && isNewConversation ? 1 : 0;
+
+    await db.query(
+      `INSERT INTO api_usage (client_id, date, conversation_count, message_count, answer_cache_lookups, answer_cache_hits, answer_cache_tokens_saved, answer_cache_cost_saved)
+             VALUES ($1, $2, $3, $4, 1, $4, $5, $6)
+             ON CONFLICT (client_id, date)
+             DO UPDATE SET
+                conversation_count = api_usage.conversation_count + $3,
+                message_count = api_usage.message_count + $4,
+                answer_cache_lookups = api_usage.answer_cache_lookups + 1,
+                answer_cache_hits = api_usage.answer_cache_hits + $4,
+                answer_cache_tokens_saved = api_usage.answer_cache_tokens_saved + $5,
+                answer_cache_cost_saved = api_usage.answer_cache_cost_saved + $6,
+                updated_at = NOW()`,
+      [clientId, date, newConversation, hitIncrement, tokensSaved, costSaved]
+    );
+  }
+
+  /**
+   * Record the LLM calls of one message per provider and model
+   * @param {number} clientId - Client ID
+   * @param {Array} calls - [{ provider, model, tokensInput, tokensOutput, failedOver }] (llmService.trace)
+   */
+  static async recordProviderUsage(clientId, calls) {
+    const date = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
+
+    const totals = new Map();
+    for (const call of calls) {
+      const key = `${call.provider}:${call.model || ''}`;
+      const total = totals.get(key) || {
+        provider: call.provider,
+        model: call.model || '',
+        calls: 0,
+        tokensInput: 0,
+        tokensOutput: 0,
+        failovers: 0,
+      };
+      total.calls += 1;
+      total.tokensInput += call.tokensInput || 0;
+      total.tokensOutput += call.tokensOutput || 0;
+      total.failovers += call.failedOver ? 1 : 0;
+      totals.set(key, total);
+    }
+
+    for (const total of totals.values()) {
+      await db.query(
+        `INSERT INTO api_usage_providers
+                (client_id, date, provider, model, call_count, tokens_input, tokens_output, failover_count)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+             ON CONFLICT (client_id, date, provider, model)
+             DO UPDATE SET
+                call_count = api_usage_providers.call_count + $5,
+                tokens_input = api_usage_providers.tokens_input + $6,
+                tokens_output = api_usage_providers.tokens_output + $7,
+                failover_count = api_usage_providers.failover_count + $8,
+                updated_at = NOW()`,
+        [
+          clientId,
+          date,
+          total.provider,
+          total.model,
+          total.calls,
+          total.tokensInput,
+          total.tokensOutput,
+          total.failovers,
+        ]
+      );
+    }
+  }
+
   /**
    * Get usage for a specific date
    */
@@ -0,0 +1,123 @@
+import { db } from '../db.js';
+
+// Everything except the file contents
+const COLUMNS =
+  'id, client_id, conversation_id, message_id, session_id, source, filename, mime_type, size_bytes, created_at';
+
+/**
+ * Attachment - files sent by end users (widget uploads, email attachments)
+ * Widget uploads are stored first and linked to their message when it is sent.
+ */
+export class Attachment {
+  /**
+   * Store a file
+   * @param {object} data - { clientId, conversationId, sessionId, source, filename, mimeType, data (Buffer) }
+   * @returns {Promise<Object>} Attachment without its data
+   */
+  static async create({
+    clientId,
+    conversationId = null,
+    sessionId = null,
+    source = 'widget',
+    filename,
+    mimeType,
+    data,
+  }) {
+    const result = await db.query(
+      `INSERT INTO attachments (client_id, conversation_id, session_id, source, filename, mime_type, size_bytes, data)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING ${COLUMNS}`,
+      [clientId, conversationId, sessionId, source, filename, mimeType, data.length, data]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Attachments that are not linked to a message yet, in upload order
+   * Scoped to the client and, for widget uploads, to the uploading session.
+   * @param {number[]} ids - Attachment IDs
+   * @param {number} clientId - Client ID
+   * @param {string|null} sessionId - Widget session (null for server-side uploads)
+   */
+  static async findUnclaimed(ids, clientId, sessionId = null) {
+    const result = await db.query(
+      `SELECT ${COLUMNS} FROM attachments
+       WHERE id = ANY($1::int[]) AND client_id = $2 AND message_id IS NULL
+         AND ($3::text IS NULL OR session_id = $3)
+       ORDER BY id ASC`,
+      [ids, clientId, sessionId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Link attachments to the message (and conversation) that carries them
+   */
+  static async linkToMessage(ids, conversationId, messageId) {
+    await db.query(
+      `UPDATE attachments SET conversation_id = $2, message_id = $3
+       WHERE id = ANY($1::int[])`,
+      [ids, conversationId, messageId]
+    );
+  }
+
+  /**
+   * Find an attachment of a conversation, including its data
+   */
+  static async findInConversation(id, conversationId) {
+    const result = await db.query(
+      'SELECT * FROM attachments WHERE id = $1 AND conversation_id = $2',
+      [id, conversationId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get all attachments of a conversation, including their data
+   */
+  static async findByConversation(conversationId) {
+    const result = await db.query(
+      'SELECT * FROM attachments WHERE conversation_id = $1 ORDER BY id ASC',
+      [conversationId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Load attachments including their data
+   */
+  static async findWithData(ids) {
+    const result = await db.query(
+      'SELECT * FROM attachments WHERE id = ANY($1::int[]) ORDER BY id ASC',
+      [ids]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Remove widget uploads that were never sent with a message
+   * @param {number} hours - Age in hours
+   * @returns {Promise<number>} Number of removed attachments
+   */
+  static async deleteUnclaimedOlderThan(hours) {
+    const result = await db.query(
+      `DELETE FROM attachments
+       WHERE message_id IS NULL AND created_at < NOW() - ($1::int * INTERVAL '1 hour')`,
+      [hours]
+    );
+    return result.rowCount;
+  }
+
+  /**
+   * Remove uploads of the given widget sessions that were never sent with a message
+   * @returns {Promise<number>} Number of removed attachments
+   */
+  static async deleteUnclaimedForSessions(clientId, sessionIds) {
+    const result = await db.query(
+      `DELETE FROM attachments
+       WHERE client_id = $1 AND message_id IS NULL AND session_id = ANY($2::text[])`,
+      [clientId, sessionIds]
+    );
+    return result.rowCount;
+  }
+}
@@ -0,0 +1,128 @@
+import { db } from '../db.js';
+
+/**
+ * AuditLog - append-only record of dashboard changes
+ */
+export class AuditLog {
+  /**
+   * Record an entry
+   * @param {object} data - { actorType, actorId, actorName, clientId, action, targetType, targetId,
+   *                          method, path, statusCode, changes, requestBody, ipAddress, userAgent }
+   */
+  static async create({
+    actorType,
+    actorId = null,
+    actorName = null,
+    clientId = null,
+    action,
+    targetType = null,
+    targetId = null,
+    method,
+    path,
+    statusCode = null,
+    changes = null,
+    requestBody = null,
+    ipAddress = null,
+    userAgent = null,
+  }) {
+    const result = await db.query(
+      `INSERT INTO audit_logs
+         (actor_type, actor_id, actor_name, client_id, action, target_type, target_id,
+          method, path, status_code, changes, request_body, ip_address, user_agent)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+       RETURNING *`,
+      [
+        actorType,
+        actorId,
+        actorName,
+        clientId,
+        action,
+        targetType,
+        targetId === null ? null : String(targetId),
+        method,
+        path,
+        statusCode,
+        changes ? JSON.stringify(changes) : null,
+        requestBody ? JSON.stringify(requestBody) : null,
+        ipAddress,
+        userAgent,
+      ]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Build the WHERE clause for search filters
+   * @param {object} filters - { clientId, actorType, actorId, action, targetType, targetId, from, to, search }
+   */
+  static buildFilters(filters = {}) {
+    const conditions = [];
+    const params = [];
+    const add = (sql, value) => {
+      params.push(value);
+      conditions.push(sql.replaceAll('?', `$${params.length}`));
+    };
+
+    if (filters.clientId) add('a.client_id = ?', filters.clientId);
+    if (filters.actorType) add('a.actor_type = ?', filters.actorType);
+    if (filters.actorId) add('a.actor_id = ?', filters.actorId);
+    if (filters.action) add('a.action = ?', filters.action);
+    if (filters.targetType) add('a.target_type = ?', filters.targetType);
+    if (filters.targetId) add('a.target_id = ?', String(filters.targetId));
+    if (filters.from) add('a.created_at >= ?', filters.from);
+    if (filters.to) add('a.created_at <= ?', filters.to);
+    if (filters.search) {
+      // Matches actor names and changed values, e.g. a phrase of a system prompt
+      add(
+        '(a.actor_name ILIKE ? OR a.path ILIKE ? OR a.changes::text ILIKE ?)',
+        `%${filters.search}%`
+      );
+    }
+
+    return {
+      where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+      params,
+    };
+  }
+
+  /**
+   * Search entries, newest first
+   * @param {object} filters - See buildFilters
+   * @param {object} options - { limit, offset }
+   */
+  static async search(filters = {}, { limit = 50, offset = 0 } = {}) {
+    const { where, params } = this.buildFilters(filters);
+    const result = await db.query(
+      `SELECT a.*, c.name AS client_name
+       FROM audit_logs a
+       LEFT JOIN clients c ON a.client_id = c.id
+       ${where}
+       ORDER BY a.created_at DESC, a.id DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Count entries matching the filters
+   */
+  static async count(filters = {}) {
+    const { where, params } = this.buildFilters(filters);
+    const result = await db.query(`SELECT COUNT(*) AS count FROM audit_logs a ${where}`, params);
+    return parseInt(result.rows[0].count, 10);
+  }
+
+  /**
+   * Distinct actions and target types, for filter dropdowns
+   */
+  static async getFacets() {
+    const result = await db.query(
+      'SELECT DISTINCT action, target_type FROM audit_logs ORDER BY action ASC'
+    );
+    return {
+      actions: result.rows.map((row) => row.action),
+      targetTypes: [...new Set(result.rows.map((row) => row.target_type).filter(Boolean))].sort(),
+    };
+  }
+}
@@ -108,6 +108,11 @@ export class Client {
       'business_info',
       'escalation_config',
       'prompt_config',
+      'billing_currency',
+      'tax_rate',
+      'tax_id',
+      'billing_country',
+      'billing_address',
     ];
     const jsonbFields = ['widget_config', 'business_info', 'escalation_config', 'prompt_config'];
     const fields = [];
@@ -236,6 +241,93 @@ export class Client {
     return result.rows[0];
   }
 
+  /**
+   * Update data retention windows for a client
+   * @param {number} id - Client ID
+   * @param {object|null} retentionConfig - Days per data type, or null to keep everything
+   */
+  static async updateRetentionConfig(id, retentionConfig) {
+    const result = await db.query(
+      `UPDATE clients SET retention_config = $1::jsonb, updated_at = NOW()
+             WHERE id = $2
+             RETURNING *`,
+      [retentionConfig ? JSON.stringify(retentionConfig) : null, id]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Get clients that have at least one retention window set
+   */
+  static async findWithRetention() {
+    const result = await db.query(
+      `SELECT id, name, retention_config FROM clients
+             WHERE retention_config IS NOT NULL AND retention_config <> '{}'::jsonb
+             ORDER BY id`
+    );
+    return result.rows;
+  }
+
+  /**
+   * Update PII redaction settings for a client
+   * @param {number} id - Client ID
+   * @param {object|null} redactionConfig - { enabled, mask_debug, types, custom }, or null to turn redaction off
+   */
+  static async updateRedactionConfig(id, redactionConfig) {
+    const result = await db.query(
+      `UPDATE clients SET redaction_config = $1::jsonb, updated_at = NOW()
+             WHERE id = $2
+             RETURNING *`,
+      [redactionConfig ? JSON.stringify(redactionConfig) : null, id]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Replace the LLM fallback chain of a client
+   * @param {number} id - Client ID
+   * @param {Array} fallbacks - [{ provider, model }] in the order they are tried
+   */
+  static async updateLlmFallbacks(id, fallbacks) {
+    const result = await db.query(
+      `UPDATE clients SET llm_fallbacks = $1::jsonb, updated_at = NOW()
+             WHERE id = $2
+             RETURNING *`,
+      [JSON.stringify(fallbacks), id]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Replace the answer cache settings of a client
+   * @param {number} id - Client ID
+   * @param {Object} settings - { enabled, similarity, threshold, ttl_hours }
+   */
+  static async updateAnswerCache(id, settings) {
+    const result = await db.query(
+      `UPDATE clients SET answer_cache = $1::jsonb, updated_at = NOW()
+             WHERE id = $2
+             RETURNING *`,
+      [JSON.stringify(settings), id]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Replace the spending settings of a client
+   * @param {number} id - Client ID
+   * @param {Object} settings - { monthly_budget, over_limit_action }
+   */
+  static async updateSpendingConfig(id, settings) {
+    const result = await db.query(
+      `UPDATE clients SET spending_config = $1::jsonb, updated_at = NOW()
+             WHERE id = $2
+             RETURNING *`,
+      [JSON.stringify(settings), id]
+    );
+    return result.rows[0];
+  }
+
   /**
    * Get client count by plan type
    */
@@ -9,13 +9,17 @@ export class ClientTool {
    * @param {Object} integrationMapping - Maps integration keys to client_integration IDs
    *   Example: {"order_api": 5, "email_api": 8}
    * @param {Object} customConfig - Additional custom configuration (optional)
+   * @param {string} executor - 'n8n' (webhook workflow) or 'http' (built-in executor)
+   * @param {Object} httpConfig - Request template for the http executor (optional)
    */
   static async enable(
     clientId,
     toolId,
     n8nWebhookUrl,
     integrationMapping = null,
-    customConfig = null
+    customConfig = null,
+    executor = 'n8n',
+    httpConfig = null
   ) {
     const formattedMapping = integrationMapping
       ? typeof integrationMapping === 'string'
@@ -24,12 +28,21 @@ export class ClientTool {
       : '{}';
 
     const result = await db.query(
-      `INSERT INTO client_tools (client_id, tool_id, enabled, n8n_webhook_url, integration_mapping, custom_config)
-             VALUES ($1, $2, true, $3, $4::jsonb, $5)
+      `INSERT INTO client_tools (client_id, tool_id, enabled, n8n_webhook_url, integration_mapping, custom_config, executor, http_config)
+             VALUES ($1, $2, true, $3, $4::jsonb, $5, $6, $7::jsonb)
              ON CONFLICT (client_id, tool_id)
-             DO UPDATE SET enabled = true, n8n_webhook_url = $3, integration_mapping = $4::jsonb, custom_config = $5, updated_at = NOW()
+             DO UPDATE SET enabled = true, n8n_webhook_url = $3, integration_mapping = $4::jsonb, custom_config = $5,
+                           executor = $6, http_config = $7::jsonb, updated_at = NOW()
              RETURNING *`,
-      [clientId, toolId, n8nWebhookUrl, formattedMapping, customConfig]
+      [
+        clientId,
+        toolId,
+        n8nWebhookUrl,
+        formattedMapping,
+        customConfig,
+        executor,
+        httpConfig ? JSON.stringify(httpConfig) : null,
+      ]
     );
     return result.rows[0];
   }
@@ -96,10 +109,17 @@ export class ClientTool {
   }
 
   /**
-   * Update webhook URL, integration mapping, or custom config
+   * Update webhook URL, executor, integration mapping, or custom config
    */
   static async update(clientId, toolId, updates) {
-    const allowedFields = ['n8n_webhook_url', 'integration_mapping', 'custom_config', 'enabled'];
+    const allowedFields = [
+      'n8n_webhook_url',
+      'integration_mapping',
+      'custom_config',
+      'enabled',
+      'executor',
+      'http_config',
+    ];
     const fields = [];
     const values = [];
     let paramIndex = 1;
@@ -107,7 +127,7 @@ export class ClientTool {
     for (const [key, value] of Object.entries(updates)) {
       if (allowedFields.includes(key)) {
         // For JSONB fields, ensure proper formatting
-        if (key === 'integration_mapping' && value !== null) {
+        if ((key === 'integration_mapping' || key === 'http_config') && value !== null) {
           fields.push(`${key} = $${paramIndex}::jsonb`);
           values.push(typeof value === 'string' ? value : JSON.stringify(value));
         } else {
@@ -0,0 +1,216 @@
+import { db } from '../db.js';
+import bcrypt from 'bcrypt';
+
+const SALT_ROUNDS = 10;
+
+// Columns safe to return to the API (no password or invite token hash)
+const SAFE_COLUMNS = `id, client_id, email, name, role, status, invite_expires_at, invited_by,
+  last_login_at, created_at, updated_at`;
+
+/**
+ * ClientUser - customer dashboard accounts of a client
+ */
+export class ClientUser {
+  /**
+   * Create an invited user
+   * @param {object} data - { clientId, email, name, role, inviteTokenHash, inviteExpiresAt, invitedBy }
+   */
+  static async create({
+    clientId,
+    email,
+    name = null,
+    role,
+    inviteTokenHash,
+    inviteExpiresAt,
+    invitedBy = null,
+  }) {
+    const result = await db.query(
+      `INSERT INTO client_users
+         (client_id, email, name, role, status, invite_token_hash, invite_expires_at, invited_by)
+       VALUES ($1, $2, $3, $4, 'invited', $5, $6, $7)
+       RETURNING ${SAFE_COLUMNS}`,
+      [clientId, email, name, role, inviteTokenHash, inviteExpiresAt, invitedBy]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Find user by ID
+   */
+  static async findById(id) {
+    const result = await db.query(`SELECT ${SAFE_COLUMNS} FROM client_users WHERE id = $1`, [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Find user by email (case-insensitive)
+   */
+  static async findByEmail(email) {
+    const result = await db.query(
+      `SELECT ${SAFE_COLUMNS} FROM client_users WHERE LOWER(email) = LOWER($1)`,
+      [email]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Find a pending invitation by its token hash
+   */
+  static async findByInviteToken(tokenHash) {
+    const result = await db.query(
+      `SELECT ${SAFE_COLUMNS} FROM client_users
+       WHERE invite_token_hash = $1 AND status = 'invited'`,
+      [tokenHash]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get all users of a client
+   * @param {number} clientId - Client ID
+   */
+  static async findByClient(clientId) {
+    const result = await db.query(
+      `SELECT ${SAFE_COLUMNS} FROM client_users
+       WHERE client_id = $1
+       ORDER BY created_at ASC, id ASC`,
+      [clientId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Count users of a client
+   * @param {number} clientId - Client ID
+   * @param {object} filters - Optional { status, role }
+   */
+  static async countByClient(clientId, { status = null, role = null } = {}) {
+    const params = [clientId];
+    let filter = '';
+    if (status) {
+      params.push(status);
+      filter += ` AND status = $${params.length}`;
+    }
+    if (role) {
+      params.push(role);
+      filter += ` AND role = $${params.length}`;
+    }
+
+    const result = await db.query(
+      `SELECT COUNT(*) AS count FROM client_users WHERE client_id = $1${filter}`,
+      params
+    );
+    return parseInt(result.rows[0].count, 10);
+  }
+
+  /**
+   * Verify email and password and return the active user if valid
+   */
+  static async verifyCredentials(email, password) {
+    const result = await db.query(
+      "SELECT * FROM client_users WHERE LOWER(email) = LOWER($1) AND status = 'active'",
+      [email]
+    );
+    const user = result.rows[0];
+    if (!user || !user.password_hash) {
+      return null;
+    }
+
+    const isValid = await bcrypt.compare(password, user.password_hash);
+    if (!isValid) {
+      return null;
+    }
+
+    await this.updateLastLogin(user.id);
+
+    const {
+      password_hash: _password_hash,
+      invite_token_hash: _invite_token_hash,
+      ...safeUser
+    } = user;
+    return safeUser;
+  }
+
+  /**
+   * Update last login timestamp
+   */
+  static async updateLastLogin(id) {
+    await db.query('UPDATE client_users SET last_login_at = NOW() WHERE id = $1', [id]);
+  }
+
+  /**
+   * Accept an invitation: set the password and activate the account
+   */
+  static async activate(id, password, name = null) {
+    const passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
+    const result = await db.query(
+      `UPDATE client_users
+       SET password_hash = $1,
+           name = COALESCE($2, name),
+           status = 'active',
+           invite_token_hash = NULL,
+           invite_expires_at = NULL,
+           updated_at = NOW()
+       WHERE id = $3
+       RETURNING ${SAFE_COLUMNS}`,
+      [passwordHash, name, id]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Replace the invitation token (resend)
+   */
+  static async renewInvite(id, inviteTokenHash, inviteExpiresAt) {
+    const result = await db.query(
+      `UPDATE client_users
+       SET invite_token_hash = $1, invite_expires_at = $2, updated_at = NOW()
+       WHERE id = $3
+       RETURNING ${SAFE_COLUMNS}`,
+      [inviteTokenHash, inviteExpiresAt, id]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Update user details
+   */
+  static async update(id, updates) {
+    const allowedFields = ['name', 'role', 'status'];
+    const fields = [];
+    const values = [];
+    let paramIndex = 1;
+
+    for (const [key, value] of Object.entries(updates)) {
+      if (allowedFields.includes(key)) {
+        fields.push(`${key} = $${paramIndex}`);
+        values.push(value);
+        paramIndex++;
+      }
+    }
+
+    if (fields.length === 0) {
+      throw new Error('No valid fields to update');
+    }
+
+    fields.push('updated_at = NOW()');
+    values.push(id);
+
+    const result = await db.query(
+      `UPDATE client_users SET ${fields.join(', ')} WHERE id = $${paramIndex}
+       RETURNING ${SAFE_COLUMNS}`,
+      values
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Delete user
+   */
+  static async delete(id) {
+    const result = await db.query('DELETE FROM client_users WHERE id = $1 RETURNING id, email', [
+      id,
+    ]);
+    return result.rows[0];
+  }
+}
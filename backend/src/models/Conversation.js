@@ -1,4 +1,9 @@
 import { db } from '../db.js';
+import { CONVERSATION_SEARCH } from '../config/constants.js';
+
+// Same expression as idx_messages_content_search, so the index is used
+const MESSAGE_TSVECTOR = `to_tsvector('${CONVERSATION_SEARCH.TEXT_CONFIG}', COALESCE(m.content, ''))`;
+const TSQUERY = (param) => `websearch_to_tsquery('${CONVERSATION_SEARCH.TEXT_CONFIG}', ${param})`;
 
 export class Conversation {
   /**
@@ -110,6 +115,21 @@ export class Conversation {
     return result.rows;
   }
 
+  /**
+   * Find a client's conversations with an end user (case-insensitive identifier)
+   * @param {number} clientId - Client ID
+   * @param {string} userIdentifier - Email, phone number or widget user ID
+   */
+  static async findByUserIdentifier(clientId, userIdentifier) {
+    const result = await db.query(
+      `SELECT * FROM conversations
+             WHERE client_id = $1 AND LOWER(user_identifier) = LOWER($2)
+             ORDER BY started_at ASC`,
+      [clientId, userIdentifier]
+    );
+    return result.rows;
+  }
+
   /**
    * Find active (not ended) conversations
    */
@@ -126,6 +146,7 @@ export class Conversation {
   /**
    * Find active conversations that have been inactive for more than X minutes
    * Returns conversations with their last message timestamp
+   * Conversations a human agent is handling are never auto-ended.
    */
   static async findInactive(inactivityMinutes = 15) {
     // Calculate the cutoff timestamp (now - inactivity minutes)
@@ -137,6 +158,10 @@ export class Conversation {
              FROM conversations c
              LEFT JOIN messages m ON c.id = m.conversation_id
              WHERE c.ended_at IS NULL
+               AND NOT EXISTS (
+                 SELECT 1 FROM escalations e
+                 WHERE e.conversation_id = c.id AND e.status = 'acknowledged'
+               )
              GROUP BY c.id
              HAVING COALESCE(MAX(m.timestamp), c.started_at) < $1
              ORDER BY last_activity ASC`,
@@ -159,6 +184,45 @@ export class Conversation {
     return result.rows[0];
   }
 
+  /**
+   * Record the reasoning mode (standard/adaptive) that answered the conversation
+   */
+  static async setReasoningMode(id, mode) {
+    await db.query('UPDATE conversations SET reasoning_mode = $2 WHERE id = $1', [id, mode]);
+  }
+
+  /**
+   * Record the prompt experiment variant the conversation was assigned
+   * @param {number} id - Conversation ID
+   * @param {number} experimentId - Prompt experiment ID
+   * @param {string} variant - 'A' or 'B'
+   */
+  static async setPromptVariant(id, experimentId, variant) {
+    const result = await db.query(
+      `UPDATE conversations SET prompt_experiment_id = $2, prompt_variant = $3
+             WHERE id = $1
+             RETURNING *`,
+      [id, experimentId, variant]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Merge keys into the conversation's channel metadata
+   * @param {number} id - Conversation ID
+   * @param {object} metadata - Keys to set (existing keys are kept)
+   */
+  static async updateChannelMetadata(id, metadata) {
+    const result = await db.query(
+      `UPDATE conversations
+             SET channel_metadata = COALESCE(channel_metadata, '{}'::jsonb) || $2::jsonb
+             WHERE id = $1
+             RETURNING *`,
+      [id, JSON.stringify(metadata)]
+    );
+    return result.rows[0];
+  }
+
   /**
    * Update message count and token total
    */
@@ -216,4 +280,169 @@ export class Conversation {
     const result = await db.query('DELETE FROM conversations WHERE id = $1 RETURNING *', [id]);
     return result.rows[0];
   }
+
+  /**
+   * Count the records stored with conversations (removed with them by cascade)
+   * @param {number[]} ids - Conversation IDs
+   * @returns {Promise<Object>} { messages, tool_executions, escalations, message_feedback, conversation_feedback, attachments }
+   */
+  static async countRelated(ids) {
+    const result = await db.query(
+      `SELECT
+        (SELECT COUNT(*) FROM messages WHERE conversation_id = ANY($1::int[])) as messages,
+        (SELECT COUNT(*) FROM tool_executions WHERE conversation_id = ANY($1::int[])) as tool_executions,
+        (SELECT COUNT(*) FROM escalations WHERE conversation_id = ANY($1::int[])) as escalations,
+        (SELECT COUNT(*) FROM message_feedback WHERE conversation_id = ANY($1::int[])) as message_feedback,
+        (SELECT COUNT(*) FROM conversation_feedback WHERE conversation_id = ANY($1::int[])) as conversation_feedback,
+        (SELECT COUNT(*) FROM attachments WHERE conversation_id = ANY($1::int[])) as attachments`,
+      [ids]
+    );
+    return Object.fromEntries(
+      Object.entries(result.rows[0]).map(([key, count]) => [key, parseInt(count, 10) || 0])
+    );
+  }
+
+  /**
+   * Delete conversations (cascades to messages, tool executions, escalations,
+   * feedback and attachments)
+   * @returns {Promise<number>} Number of deleted conversations
+   */
+  static async deleteMany(ids) {
+    const result = await db.query('DELETE FROM conversations WHERE id = ANY($1::int[])', [ids]);
+    return result.rowCount;
+  }
+
+  /**
+   * Build the WHERE clause for conversation search (expects aliases c and cl)
+   * @param {object} filters - { clientId, text, channel, tool, escalated, provider, status, from, to }
+   *   text matches visible message content (full-text), the session ID or the user identifier
+   */
+  static buildSearchFilters(filters = {}) {
+    const conditions = [];
+    const params = [];
+    const add = (sql, value) => {
+      params.push(value);
+      conditions.push(sql.replaceAll('?', `$${params.length}`));
+    };
+
+    if (filters.clientId) add('c.client_id = ?', filters.clientId);
+    if (filters.channel) add("COALESCE(c.channel, 'widget') = ?", filters.channel);
+    if (filters.provider)
+      add("COALESCE(c.llm_provider, cl.llm_provider, 'ollama') = ?", filters.provider);
+    if (filters.from) add('c.started_at >= ?', filters.from);
+    if (filters.to) add('c.started_at <= ?', filters.to);
+    if (filters.status === 'active') conditions.push('c.ended_at IS NULL');
+    if (filters.status === 'ended') conditions.push('c.ended_at IS NOT NULL');
+    if (filters.tool) {
+      add(
+        'EXISTS (SELECT 1 FROM tool_executions te WHERE te.conversation_id = c.id AND te.tool_name = ?)',
+        filters.tool
+      );
+    }
+    if (filters.escalated === true || filters.escalated === false) {
+      conditions.push(
+        `${filters.escalated ? '' : 'NOT '}EXISTS (SELECT 1 FROM escalations e WHERE e.conversation_id = c.id)`
+      );
+    }
+    if (filters.text) {
+      // LIKE wildcards in the search text match literally
+      params.push(filters.text, `%${filters.text.replace(/[\\%_]/g, '\\$&')}%`);
+      const text = `$${params.length - 1}`;
+      const pattern = `$${params.length}`;
+      conditions.push(`(
+        c.session_id ILIKE ${pattern} ESCAPE '\\' OR c.user_identifier ILIKE ${pattern} ESCAPE '\\'
+        OR EXISTS (
+          SELECT 1 FROM messages m
+          WHERE m.conversation_id = c.id
+            AND (m.message_type IS NULL OR m.message_type = 'visible')
+            AND ${MESSAGE_TSVECTOR} @@ ${TSQUERY(text)}
+        )
+      )`);
+    }
+
+    return {
+      where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+      params,
+    };
+  }
+
+  /**
+   * Search conversations, newest first
+   * @param {object} filters - See buildSearchFilters
+   * @param {object} options - { limit, offset }
+   * @returns {Promise<Array>} Conversations with client name, effective provider/model,
+   *   tool call count, escalation flag and status (message_count counts visible messages only)
+   */
+  static async search(filters = {}, { limit = 20, offset = 0 } = {}) {
+    const { where, params } = this.buildSearchFilters(filters);
+    const result = await db.query(
+      `SELECT c.*, cl.name as client_name,
+        COALESCE(c.llm_provider, cl.llm_provider, 'ollama') as llm_provider,
+        COALESCE(c.model_name, cl.model_name) as model_name,
+        (SELECT COUNT(*) FROM messages WHERE conversation_id = c.id AND (message_type IS NULL OR message_type = 'visible')) as message_count,
+        (SELECT COUNT(*) FROM tool_executions WHERE conversation_id = c.id) as tool_call_count,
+        EXISTS (SELECT 1 FROM escalations e WHERE e.conversation_id = c.id) as escalated,
+        CASE WHEN c.ended_at IS NULL THEN 'active' ELSE 'ended' END as status
+      FROM conversations c
+      LEFT JOIN clients cl ON c.client_id = cl.id
+      ${where}
+      ORDER BY c.started_at DESC, c.id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Count conversations matching the search filters
+   */
+  static async countSearch(filters = {}) {
+    const { where, params } = this.buildSearchFilters(filters);
+    const result = await db.query(
+      `SELECT COUNT(*) AS count
+       FROM conversations c
+       LEFT JOIN clients cl ON c.client_id = cl.id
+       ${where}`,
+      params
+    );
+    return parseInt(result.rows[0].count, 10);
+  }
+
+  /**
+   * Best matching visible messages of each conversation, with highlighted snippets
+   * @param {number[]} conversationIds - Conversations to look in
+   * @param {string} text - Search text (web search syntax: words, "phrases", -exclusions, or)
+   * @param {number} perConversation - Max matches per conversation
+   * @returns {Promise<Array>} [{ id, conversation_id, role, timestamp, snippet }] -
+   *   matched words in snippet are wrapped in CONVERSATION_SEARCH.HIGHLIGHT_START/END
+   */
+  static async findSearchMatches(conversationIds, text, perConversation) {
+    const headlineOptions = [
+      `StartSel=${CONVERSATION_SEARCH.HIGHLIGHT_START}`,
+      `StopSel=${CONVERSATION_SEARCH.HIGHLIGHT_END}`,
+      'MaxWords=25',
+      'MinWords=8',
+      'MaxFragments=2',
+      'FragmentDelimiter=" … "',
+    ].join(', ');
+
+    const result = await db.query(
+      `SELECT id, conversation_id, role, timestamp, snippet FROM (
+        SELECT m.id, m.conversation_id, m.role, m.timestamp,
+          ts_headline('${CONVERSATION_SEARCH.TEXT_CONFIG}', m.content, q, $3) as snippet,
+          ROW_NUMBER() OVER (
+            PARTITION BY m.conversation_id
+            ORDER BY ts_rank(${MESSAGE_TSVECTOR}, q) DESC, m.id ASC
+          ) as match_rank
+        FROM messages m, ${TSQUERY('$2')} q
+        WHERE m.conversation_id = ANY($1::int[])
+          AND (m.message_type IS NULL OR m.message_type = 'visible')
+          AND ${MESSAGE_TSVECTOR} @@ q
+      ) ranked
+      WHERE match_rank <= $4
+      ORDER BY conversation_id, match_rank`,
+      [conversationIds, text, headlineOptions, perConversation]
+    );
+    return result.rows;
+  }
 }
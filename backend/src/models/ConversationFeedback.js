@@ -0,0 +1,83 @@
+import { db } from '../db.js';
+
+/**
+ * ConversationFeedback - end-user 1-5 rating of a whole conversation
+ * One rating per conversation; rating again replaces it.
+ */
+export class ConversationFeedback {
+  /**
+   * Create or replace the rating of a conversation
+   * @param {object} data - { conversationId, clientId, rating (1-5), comment }
+   */
+  static async upsert({ conversationId, clientId, rating, comment = null }) {
+    const result = await db.query(
+      `INSERT INTO conversation_feedback (conversation_id, client_id, rating, comment)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (conversation_id) DO UPDATE
+         SET rating = EXCLUDED.rating, comment = EXCLUDED.comment, updated_at = NOW()
+       RETURNING *`,
+      [conversationId, clientId, rating, comment]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Rating of a conversation, if any
+   */
+  static async findByConversation(conversationId) {
+    const result = await db.query(
+      'SELECT * FROM conversation_feedback WHERE conversation_id = $1',
+      [conversationId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Rating totals per day and reasoning mode
+   * @param {number|null} clientId - Client ID, or null for all clients
+   * @param {number} days - Look-back window
+   * @returns {Promise<Array>} Rows of { date, reasoning_mode, count, satisfied, rating_sum }
+   */
+  static async getBreakdown(clientId, days = 30) {
+    const result = await db.query(
+      `SELECT DATE(cf.created_at) as date, c.reasoning_mode,
+              COUNT(*) as count,
+              COUNT(*) FILTER (WHERE cf.rating >= 4) as satisfied,
+              SUM(cf.rating) as rating_sum
+       FROM conversation_feedback cf
+       JOIN conversations c ON cf.conversation_id = c.id
+       WHERE ($1::int IS NULL OR cf.client_id = $1)
+         AND cf.created_at >= CURRENT_DATE - $2::int
+       GROUP BY DATE(cf.created_at), c.reasoning_mode
+       ORDER BY date`,
+      [clientId, days]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Rating totals per tool used in the rated conversations
+   * A conversation that used several tools counts once for each of them.
+   * @returns {Promise<Array>} Rows of { tool_name, count, satisfied, rating_sum }
+   */
+  static async getToolBreakdown(clientId, days = 30) {
+    const result = await db.query(
+      `SELECT te.tool_name,
+              COUNT(*) as count,
+              COUNT(*) FILTER (WHERE cf.rating >= 4) as satisfied,
+              SUM(cf.rating) as rating_sum
+       FROM conversation_feedback cf
+       JOIN (
+         SELECT DISTINCT conversation_id, tool_name
+         FROM tool_executions
+         WHERE status = 'success'
+       ) te ON te.conversation_id = cf.conversation_id
+       WHERE ($1::int IS NULL OR cf.client_id = $1)
+         AND cf.created_at >= CURRENT_DATE - $2::int
+       GROUP BY te.tool_name
+       ORDER BY count DESC`,
+      [clientId, days]
+    );
+    return result.rows;
+  }
+}
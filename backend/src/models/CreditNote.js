@@ -0,0 +1,95 @@
+import { db } from '../db.js';
+import { Invoice } from './Invoice.js';
+
+/**
+ * CreditNote Model
+ * Credit notes correct an issued invoice (which itself is never edited) and
+ * have their own number sequence and line items.
+ */
+export class CreditNote {
+  /**
+   * Issue a credit note against an invoice
+   * Adds the total to the invoice's amount_credited in the same statement;
+   * nothing is written (and no number is used) if the invoice is cancelled,
+   * already fully credited or the total exceeds what is left to credit.
+   * @param {Object} data - { invoiceId, numberPrefix, subtotal, taxAmount, total, reason, createdBy, lineItems }
+   * @returns {Promise<Object|null>} Created credit note or null
+   */
+  static async create({
+    invoiceId,
+    numberPrefix = 'CN',
+    subtotal,
+    taxAmount,
+    total,
+    reason,
+    createdBy = null,
+    lineItems = [],
+  }) {
+    const result = await db.query(
+      `WITH invoice AS (
+                UPDATE invoices
+                SET amount_credited = amount_credited + $3::decimal,
+                    status = CASE
+                        WHEN status IN ('pending', 'overdue', 'payment_failed')
+                             AND amount_credited + $3::decimal >= total_cost THEN 'credited'
+                        ELSE status
+                    END
+                WHERE id = $1
+                AND status NOT IN ('cancelled', 'credited')
+                AND amount_credited + $3::decimal <= total_cost
+                RETURNING *
+            ),
+            ${Invoice.nextNumberSql('$2', 'invoice')},
+            note AS (
+                INSERT INTO credit_notes
+                (credit_note_number, invoice_id, client_id, currency, subtotal, tax_rate,
+                 tax_amount, total, reason, created_by)
+                SELECT number.value, invoice.id, invoice.client_id, invoice.currency,
+                       $4::decimal, invoice.tax_rate, $5::decimal, $3::decimal, $6::text, $7::varchar
+                FROM invoice, number
+                RETURNING *
+            ),
+            ${Invoice.insertLineItemsSql('credit_note_id', 'note', '$8')}
+            SELECT * FROM note`,
+      [
+        invoiceId,
+        numberPrefix,
+        total,
+        subtotal,
+        taxAmount,
+        reason,
+        createdBy,
+        Invoice.lineItemsParam(lineItems),
+      ]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Credit notes of invoices, oldest first
+   * @param {Array<number>} invoiceIds - Invoice IDs
+   */
+  static async findByInvoiceIds(invoiceIds) {
+    const result = await db.query(
+      `SELECT * FROM credit_notes
+             WHERE invoice_id = ANY($1::int[])
+             ORDER BY created_at ASC, id ASC`,
+      [invoiceIds]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Line items of credit notes, in order
+   * @param {Array<number>} creditNoteIds - Credit note IDs
+   */
+  static async findLineItems(creditNoteIds) {
+    const result = await db.query(
+      `SELECT * FROM invoice_line_items
+             WHERE credit_note_id = ANY($1::int[])
+             ORDER BY credit_note_id, position`,
+      [creditNoteIds]
+    );
+    return result.rows;
+  }
+}
@@ -0,0 +1,148 @@
+import { db } from '../db.js';
+
+/**
+ * CreditTransaction Model
+ * Ledger of a client's prepaid credits in USD. Purchases, grants and refunds
+ * are positive; credits used on an invoice are negative. The balance is the sum.
+ */
+export class CreditTransaction {
+  /**
+   * Record a ledger entry
+   * @param {Object} data - { clientId, amount, type, description, invoiceId, createdBy }
+   * @returns {Promise<Object>} Created entry
+   */
+  static async create({
+    clientId,
+    amount,
+    type,
+    description = null,
+    invoiceId = null,
+    createdBy = null,
+  }) {
+    const result = await db.query(
+      `INSERT INTO credit_transactions
+             (client_id, amount, type, description, invoice_id, created_by)
+             VALUES ($1, $2, $3, $4, $5, $6)
+             RETURNING *`,
+      [clientId, amount, type, description, invoiceId, createdBy]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Add the credits of a paid purchase invoice
+   * @returns {Promise<Object|null>} Created entry or null if already added
+   */
+  static async createPurchase({ clientId, amount, description, invoiceId }) {
+    const result = await db.query(
+      `INSERT INTO credit_transactions (client_id, amount, type, description, invoice_id)
+             VALUES ($1, $2, 'purchase', $3, $4)
+             ON CONFLICT (invoice_id) WHERE type = 'purchase' DO NOTHING
+             RETURNING *`,
+      [clientId, amount, description, invoiceId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Use credits, only if the balance covers the amount
+   * @param {number} clientId - Client ID
+   * @param {number} amount - Credits to use (positive)
+   * @param {Object} details - { description, invoiceId, type (default 'invoice') }
+   * @returns {Promise<Object|null>} Created entry or null if the balance is too low
+   */
+  static async use(
+    clientId,
+    amount,
+    { description = null, invoiceId = null, type = 'invoice' } = {}
+  ) {
+    const result = await db.query(
+      `INSERT INTO credit_transactions (client_id, amount, type, description, invoice_id)
+             SELECT $1, -$2::numeric, $5, $3, $4
+             WHERE (SELECT COALESCE(SUM(amount), 0) FROM credit_transactions
+                    WHERE client_id = $1) >= $2::numeric
+             RETURNING *`,
+      [clientId, amount, description, invoiceId, type]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Credits bought with a purchase invoice and how much of them was taken back
+   * (refunds and credit notes)
+   * @returns {Promise<Object|null>} { clientId, purchased, reversed } or null if none were added
+   */
+  static async getPurchaseSummary(invoiceId) {
+    const result = await db.query(
+      `SELECT client_id,
+                    COALESCE(SUM(amount) FILTER (WHERE type = 'purchase'), 0) AS purchased,
+                    -COALESCE(SUM(amount) FILTER (WHERE type IN ('refund', 'adjustment')), 0)
+                        AS reversed
+             FROM credit_transactions
+             WHERE invoice_id = $1
+             GROUP BY client_id
+             HAVING COUNT(*) FILTER (WHERE type = 'purchase') > 0`,
+      [invoiceId]
+    );
+    const row = result.rows[0];
+    return row
+      ? {
+          clientId: row.client_id,
+          purchased: parseFloat(row.purchased) || 0,
+          reversed: parseFloat(row.reversed) || 0,
+        }
+      : null;
+  }
+
+  /**
+   * Give back the credits used on an invoice (before it is regenerated)
+   * @returns {Promise<Object|null>} Refund entry or null if nothing was used
+   */
+  static async refundInvoice(invoiceId, description = null) {
+    const result = await db.query(
+      `INSERT INTO credit_transactions (client_id, amount, type, description, invoice_id)
+             SELECT client_id, -SUM(amount), 'refund', $2, $1
+             FROM credit_transactions
+             WHERE invoice_id = $1 AND type IN ('invoice', 'refund')
+             GROUP BY client_id
+             HAVING SUM(amount) < 0
+             RETURNING *`,
+      [invoiceId, description]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Link an entry to the invoice it was made for
+   */
+  static async setInvoice(id, invoiceId) {
+    await db.query('UPDATE credit_transactions SET invoice_id = $2 WHERE id = $1', [id, invoiceId]);
+  }
+
+  /**
+   * Current credit balance of a client (USD)
+   */
+  static async getBalance(clientId) {
+    const result = await db.query(
+      'SELECT COALESCE(SUM(amount), 0) AS balance FROM credit_transactions WHERE client_id = $1',
+      [clientId]
+    );
+    return parseFloat(result.rows[0].balance) || 0;
+  }
+
+  /**
+   * Ledger entries of a client, newest first (with the invoice number)
+   */
+  static async findByClient(clientId, limit = 50) {
+    const result = await db.query(
+      `SELECT ct.*, i.invoice_number
+             FROM credit_transactions ct
+             LEFT JOIN invoices i ON i.id = ct.invoice_id
+             WHERE ct.client_id = $1
+             ORDER BY ct.created_at DESC, ct.id DESC
+             LIMIT $2`,
+      [clientId, limit]
+    );
+    return result.rows;
+  }
+}
@@ -0,0 +1,90 @@
+import { db } from '../db.js';
+
+/**
+ * DataRequest - export and erase requests for one end user's data
+ *
+ * A row is created when the request starts and completed with a report of
+ * the records it covered (or failed with the error).
+ */
+export class DataRequest {
+  /**
+   * Record a request that is starting
+   * @param {object} data - { clientId, requestType ('export' | 'erase'), userIdentifier, requestedBy: { type, id, name } }
+   */
+  static async create({ clientId, requestType, userIdentifier, requestedBy }) {
+    const result = await db.query(
+      `INSERT INTO data_requests
+         (client_id, request_type, user_identifier, requested_by_type, requested_by_id, requested_by_name)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [
+        clientId,
+        requestType,
+        userIdentifier,
+        requestedBy.type,
+        requestedBy.id ?? null,
+        requestedBy.name ?? null,
+      ]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Mark a request completed
+   * @param {number} id - Request ID
+   * @param {object} report - Record counts per data type
+   */
+  static async complete(id, report) {
+    const result = await db.query(
+      `UPDATE data_requests
+       SET status = 'completed', report = $2, completed_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [id, JSON.stringify(report)]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Mark a request failed
+   * @param {number} id - Request ID
+   * @param {string} error - Error message
+   */
+  static async fail(id, error) {
+    const result = await db.query(
+      `UPDATE data_requests
+       SET status = 'failed', error = $2, completed_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [id, error]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Get a client's requests, newest first
+   * @param {number} clientId - Client ID
+   * @param {object} options - { limit, offset }
+   */
+  static async findByClient(clientId, { limit = 20, offset = 0 } = {}) {
+    const result = await db.query(
+      `SELECT * FROM data_requests
+       WHERE client_id = $1
+       ORDER BY created_at DESC, id DESC
+       LIMIT $2 OFFSET $3`,
+      [clientId, limit, offset]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Count a client's requests
+   */
+  static async countByClient(clientId) {
+    const result = await db.query(
+      'SELECT COUNT(*) as count FROM data_requests WHERE client_id = $1',
+      [clientId]
+    );
+    return parseInt(result.rows[0].count, 10) || 0;
+  }
+}
@@ -1,5 +1,14 @@
 import { db } from '../db.js';
 
+/**
+ * Notification delivery counts for escalation list queries (expects alias `e`)
+ */
+export const NOTIFICATION_COUNTS_SQL = `
+  (SELECT COUNT(*) FROM escalation_notifications n
+    WHERE n.escalation_id = e.id AND n.status = 'sent') as notifications_sent,
+  (SELECT COUNT(*) FROM escalation_notifications n
+    WHERE n.escalation_id = e.id AND n.status = 'failed') as notifications_failed`;
+
 export class Escalation {
   /**
    * Create a new escalation
@@ -62,6 +71,17 @@ export class Escalation {
     return result.rows[0] || null;
   }
 
+  /**
+   * Get every escalation of a conversation, oldest first
+   */
+  static async findAllByConversation(conversationId) {
+    const result = await db.query(
+      'SELECT * FROM escalations WHERE conversation_id = $1 ORDER BY escalated_at ASC',
+      [conversationId]
+    );
+    return result.rows;
+  }
+
   /**
    * Get all escalations for a client
    * @param {number} clientId - Client ID
@@ -75,10 +95,15 @@ export class Escalation {
         e.*,
         c.session_id,
         CASE WHEN c.ended_at IS NULL THEN 'active' ELSE 'ended' END as conversation_status,
-        cl.name as client_name
+        cl.name as client_name,
+        COALESCE(au.name, au.email) as acknowledged_by_name,
+        COALESCE(ru.name, ru.email) as resolved_by_name,
+        ${NOTIFICATION_COUNTS_SQL}
       FROM escalations e
       JOIN conversations c ON e.conversation_id = c.id
       JOIN clients cl ON e.client_id = cl.id
+      LEFT JOIN client_users au ON e.acknowledged_by = au.id
+      LEFT JOIN client_users ru ON e.resolved_by = ru.id
       WHERE e.client_id = $1
     `;
 
@@ -107,7 +132,8 @@ export class Escalation {
         e.*,
         c.session_id,
         CASE WHEN c.ended_at IS NULL THEN 'active' ELSE 'ended' END as conversation_status,
-        cl.name as client_name
+        cl.name as client_name,
+        ${NOTIFICATION_COUNTS_SQL}
       FROM escalations e
       JOIN conversations c ON e.conversation_id = c.id
       JOIN clients cl ON e.client_id = cl.id
@@ -124,7 +150,8 @@ export class Escalation {
    * Update escalation status
    * @param {number} id - Escalation ID
    * @param {string} status - New status (acknowledged, resolved, cancelled)
-   * @param {object} updates - Additional fields to update
+   * @param {object} updates - Additional fields to update (assigned_to, notes,
+   *   acknowledged_by, resolved_by, acknowledged_at, resolved_at)
    */
   static async updateStatus(id, status, updates = {}) {
     const fields = ['status = $1', 'updated_at = NOW()'];
@@ -151,6 +178,18 @@ export class Escalation {
       paramIndex++;
     }
 
+    if (updates.acknowledged_by !== undefined) {
+      fields.push(`acknowledged_by = $${paramIndex}`);
+      values.push(updates.acknowledged_by);
+      paramIndex++;
+    }
+
+    if (updates.resolved_by !== undefined) {
+      fields.push(`resolved_by = $${paramIndex}`);
+      values.push(updates.resolved_by);
+      paramIndex++;
+    }
+
     if (updates.acknowledged_at !== undefined) {
       fields.push(`acknowledged_at = $${paramIndex}`);
       values.push(updates.acknowledged_at);
@@ -206,6 +245,34 @@ export class Escalation {
     return result.rows[0];
   }
 
+  /**
+   * Delete a client's closed escalations older than N days (per-client retention)
+   * @param {number} clientId - Client ID
+   * @param {number} days - Retention window in days
+   * @param {string[]} statuses - Statuses that may be deleted (open escalations are kept)
+   * @returns {Promise<number>} Number of deleted escalations
+   */
+  static async deleteClosedOlderThan(clientId, days, statuses) {
+    const safeDays = Math.max(1, Math.floor(Number(days) || 30));
+    const result = await db.query(
+      `DELETE FROM escalations
+       WHERE client_id = $1
+       AND escalated_at < NOW() - INTERVAL '1 day' * $2
+       AND status = ANY($3::text[])`,
+      [clientId, safeDays, statuses]
+    );
+    return result.rowCount;
+  }
+
+  /**
+   * Check if a human agent has taken over the conversation
+   * (its latest escalation is acknowledged)
+   */
+  static async hasAgentTakeover(conversationId) {
+    const escalation = await Escalation.findByConversation(conversationId);
+    return escalation?.status === 'acknowledged';
+  }
+
   /**
    * Check if conversation has active escalation
    */
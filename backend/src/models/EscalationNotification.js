@@ -0,0 +1,120 @@
+import { db } from '../db.js';
+
+/**
+ * EscalationNotification - delivery log for escalation notifications
+ *
+ * One row per channel per escalation. Failed rows carry next_retry_at until
+ * the retry job either delivers them or gives up (next_retry_at = NULL).
+ */
+export class EscalationNotification {
+  /**
+   * Create a pending notification
+   * @param {object} data - { escalationId, clientId, channel, recipient }
+   */
+  static async create({ escalationId, clientId, channel, recipient }) {
+    const result = await db.query(
+      `INSERT INTO escalation_notifications (escalation_id, client_id, channel, recipient)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [escalationId, clientId, channel, recipient]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Find notification by ID
+   */
+  static async findById(id) {
+    const result = await db.query('SELECT * FROM escalation_notifications WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get all notifications for an escalation
+   * @param {number} escalationId - Escalation ID
+   */
+  static async findByEscalation(escalationId) {
+    const result = await db.query(
+      `SELECT * FROM escalation_notifications
+       WHERE escalation_id = $1
+       ORDER BY created_at ASC, id ASC`,
+      [escalationId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Record a successful delivery attempt
+   * @param {number} id - Notification ID
+   * @param {string} providerMessageId - ID returned by the sender (if any)
+   */
+  static async markSent(id, providerMessageId = null) {
+    const result = await db.query(
+      `UPDATE escalation_notifications
+       SET status = 'sent',
+           attempts = attempts + 1,
+           provider_message_id = $2,
+           last_error = NULL,
+           next_retry_at = NULL,
+           sent_at = NOW(),
+           updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [id, providerMessageId]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Record a failed delivery attempt
+   * @param {number} id - Notification ID
+   * @param {string} error - Failure reason
+   * @param {Date|null} nextRetryAt - When to retry (null = give up)
+   */
+  static async markFailed(id, error, nextRetryAt = null) {
+    const result = await db.query(
+      `UPDATE escalation_notifications
+       SET status = 'failed',
+           attempts = attempts + 1,
+           last_error = $2,
+           next_retry_at = $3,
+           updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [id, error, nextRetryAt]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Get failed notifications whose retry time has come
+   * @param {number} limit - Max rows to return
+   */
+  static async findDueForRetry(limit = 50) {
+    const result = await db.query(
+      `SELECT * FROM escalation_notifications
+       WHERE status = 'failed'
+       AND next_retry_at IS NOT NULL
+       AND next_retry_at <= NOW()
+       ORDER BY next_retry_at ASC
+       LIMIT $1`,
+      [limit]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Stop retrying a failed notification
+   * @param {number} id - Notification ID
+   */
+  static async cancelRetry(id) {
+    const result = await db.query(
+      `UPDATE escalation_notifications
+       SET next_retry_at = NULL, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [id]
+    );
+    return result.rows[0];
+  }
+}
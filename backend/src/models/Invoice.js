@@ -2,7 +2,10 @@ import { db } from '../db.js';
 
 export class Invoice {
   /**
-   * Create a new invoice
+   * Create a new invoice with its line items
+   * The number comes from the yearly sequence of numberPrefix (INV-2026-000042)
+   * unless invoiceNumber is given - a regenerated invoice keeps the number of
+   * the one it replaces.
    * @param {Object} invoiceData - Invoice data
    * @returns {Object} Created invoice
    */
@@ -20,14 +23,38 @@ export class Invoice {
       paymentMethod = null,
       dueDate = null,
       notes = null,
+      invoiceNumber = null,
+      numberPrefix = 'INV',
+      currency = 'USD',
+      exchangeRate = 1,
+      subtotal = totalCost,
+      taxRate = 0,
+      taxAmount = 0,
+      customerTaxId = null,
+      billingCountry = null,
+      billingAddress = null,
+      kind = 'period',
+      lineItems = [],
     } = invoiceData;
 
+    const number = invoiceNumber
+      ? 'number AS (SELECT $13::varchar AS value)'
+      : this.nextNumberSql('$13');
+
     const result = await db.query(
-      `INSERT INTO invoices
-            (client_id, billing_period, plan_type, base_cost, usage_cost, total_cost,
-             status, payment_provider, payment_provider_id, payment_method, due_date, notes)
-            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
-            RETURNING *`,
+      `WITH ${number},
+            invoice AS (
+                INSERT INTO invoices
+                (client_id, billing_period, plan_type, base_cost, usage_cost, total_cost,
+                 status, payment_provider, payment_provider_id, payment_method, due_date, notes,
+                 invoice_number, currency, exchange_rate, subtotal, tax_rate, tax_amount,
+                 customer_tax_id, billing_country, billing_address, kind)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12,
+                        (SELECT value FROM number), $14, $15, $16, $17, $18, $19, $20, $21, $23)
+                RETURNING *
+            ),
+            ${this.insertLineItemsSql('invoice_id', 'invoice', '$22')}
+            SELECT * FROM invoice`,
       [
         clientId,
         billingPeriod,
@@ -41,11 +68,90 @@ export class Invoice {
         paymentMethod,
         dueDate,
         notes,
+        invoiceNumber || numberPrefix,
+        currency,
+        exchangeRate,
+        subtotal,
+        taxRate,
+        taxAmount,
+        customerTaxId,
+        billingCountry,
+        billingAddress,
+        this.lineItemsParam(lineItems),
+        kind,
       ]
     );
     return result.rows[0];
   }
 
+  /**
+   * CTE "number" allocating the next number of a prefix for the current year
+   * Part of the insert's statement, so a failed insert doesn't leave a gap.
+   * @param {string} prefixParam - Placeholder of the prefix parameter (e.g. '$1')
+   * @param {string|null} source - CTE the number depends on (no row there, no number)
+   */
+  static nextNumberSql(prefixParam, source = null) {
+    const values = source
+      ? `SELECT ${prefixParam}::varchar, EXTRACT(YEAR FROM NOW())::int, 1 FROM ${source}`
+      : `VALUES (${prefixParam}::varchar, EXTRACT(YEAR FROM NOW())::int, 1)`;
+    return `number AS (
+                INSERT INTO document_number_sequences (prefix, year, last_number)
+                ${values}
+                ON CONFLICT (prefix, year)
+                DO UPDATE SET last_number = document_number_sequences.last_number + 1
+                RETURNING prefix || '-' || year || '-' || LPAD(last_number::text, 6, '0') AS value
+            )`;
+  }
+
+  /**
+   * CTE "lines" inserting the line items of the document created by another CTE
+   * @param {string} column - invoice_id or credit_note_id
+   * @param {string} source - CTE returning the document
+   * @param {string} linesParam - Placeholder of the lineItemsParam() parameter
+   */
+  static insertLineItemsSql(column, source, linesParam) {
+    return `lines AS (
+                INSERT INTO invoice_line_items
+                (${column}, type, description, quantity, unit_price, amount, position)
+                SELECT ${source}.id, line.type, line.description, line.quantity,
+                       line.unit_price, line.amount, line.position
+                FROM ${source}, jsonb_to_recordset(${linesParam}::jsonb) AS line(
+                    type VARCHAR, description VARCHAR, quantity DECIMAL,
+                    unit_price DECIMAL, amount DECIMAL, position INTEGER)
+            )`;
+  }
+
+  /**
+   * Line items as the JSON parameter of insertLineItemsSql()
+   * @param {Array} lineItems - [{ type, description, quantity, unitPrice, amount }]
+   */
+  static lineItemsParam(lineItems) {
+    return JSON.stringify(
+      lineItems.map((item, index) => ({
+        type: item.type,
+        description: item.description,
+        quantity: item.quantity ?? 1,
+        unit_price: item.unitPrice ?? item.amount,
+        amount: item.amount,
+        position: index,
+      }))
+    );
+  }
+
+  /**
+   * Line items of invoices, in order
+   * @param {Array<number>} invoiceIds - Invoice IDs
+   */
+  static async findLineItems(invoiceIds) {
+    const result = await db.query(
+      `SELECT * FROM invoice_line_items
+             WHERE invoice_id = ANY($1::int[])
+             ORDER BY invoice_id, position`,
+      [invoiceIds]
+    );
+    return result.rows;
+  }
+
   /**
    * Find invoice by ID
    */
@@ -118,12 +224,13 @@ export class Invoice {
   }
 
   /**
-   * Get invoice by client and billing period
+   * Get the monthly invoice of a client for a billing period
+   * Credit purchase invoices of the period are not matched.
    */
   static async findByClientAndPeriod(clientId, billingPeriod) {
     const result = await db.query(
       `SELECT * FROM invoices
-             WHERE client_id = $1 AND billing_period = $2`,
+             WHERE client_id = $1 AND billing_period = $2 AND kind = 'period'`,
       [clientId, billingPeriod]
     );
     return result.rows[0] || null;
@@ -144,6 +251,11 @@ export class Invoice {
       'base_cost',
       'usage_cost',
       'total_cost',
+      'amount_refunded',
+      'refunded_at',
+      'payment_failed_at',
+      'payment_failure_reason',
+      'amount_credited',
     ];
     const fields = [];
     const values = [];
@@ -186,6 +298,49 @@ export class Invoice {
     return this.update(id, updates);
   }
 
+  /**
+   * Record a failed payment attempt
+   * @param {number} id - Invoice ID
+   * @param {string} reason - Failure reason reported by the provider
+   */
+  static async markPaymentFailed(id, reason = null) {
+    return this.update(id, {
+      status: 'payment_failed',
+      payment_failed_at: new Date(),
+      payment_failure_reason: reason,
+    });
+  }
+
+  /**
+   * Record the cumulative refunded amount
+   * @param {number} id - Invoice ID
+   * @param {number} amountRefunded - Total refunded so far
+   * @param {boolean} fullyRefunded - Whether the whole invoice has been refunded
+   */
+  static async recordRefund(id, amountRefunded, fullyRefunded) {
+    return this.update(id, {
+      status: fullyRefunded ? 'refunded' : 'partially_refunded',
+      amount_refunded: amountRefunded,
+      refunded_at: new Date(),
+    });
+  }
+
+  /**
+   * Find the invoice charged through a provider payment
+   * @param {string} provider - Payment provider name
+   * @param {string} paymentProviderId - Provider payment ID
+   */
+  static async findByPaymentProviderId(provider, paymentProviderId) {
+    const result = await db.query(
+      `SELECT * FROM invoices
+             WHERE payment_provider = $1 AND payment_provider_id = $2
+             ORDER BY created_at DESC
+             LIMIT 1`,
+      [provider, paymentProviderId]
+    );
+    return result.rows[0] || null;
+  }
+
   /**
    * Mark invoice as overdue
    */
@@ -303,14 +458,14 @@ export class Invoice {
   }
 
   /**
-   * Get outstanding invoices (pending or overdue)
+   * Get outstanding invoices (pending, overdue or payment failed)
    */
   static async getOutstanding() {
     const result = await db.query(
       `SELECT i.*, c.name as client_name, c.domain as client_domain
             FROM invoices i
             LEFT JOIN clients c ON i.client_id = c.id
-            WHERE i.status IN ('pending', 'overdue')
+            WHERE i.status IN ('pending', 'overdue', 'payment_failed')
             ORDER BY i.due_date ASC NULLS LAST, i.created_at DESC`,
       []
     );
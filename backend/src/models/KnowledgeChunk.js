@@ -0,0 +1,63 @@
+import { db } from '../db.js';
+
+export class KnowledgeChunk {
+  /**
+   * Replace all chunks of a document
+   * @param {object} document - Knowledge document (id, client_id)
+   * @param {Array} chunks - [{ heading, page, content }] in document order
+   * @returns {Promise<number>} Number of chunks stored
+   */
+  static async replaceForDocument(document, chunks) {
+    await db.query('DELETE FROM knowledge_chunks WHERE document_id = $1', [document.id]);
+
+    if (chunks.length === 0) {
+      return 0;
+    }
+
+    await db.query(
+      `INSERT INTO knowledge_chunks (document_id, client_id, chunk_index, heading, page, content)
+             SELECT $1, $2, t.chunk_index, t.heading, t.page, t.content
+             FROM unnest($3::int[], $4::text[], $5::int[], $6::text[])
+               AS t(chunk_index, heading, page, content)`,
+      [
+        document.id,
+        document.client_id,
+        chunks.map((_, index) => index),
+        chunks.map((c) => c.heading || null),
+        chunks.map((c) => c.page ?? null),
+        chunks.map((c) => c.content),
+      ]
+    );
+
+    return chunks.length;
+  }
+
+  /**
+   * Get every searchable chunk of a client (enabled documents only)
+   */
+  static async findSearchableByClient(clientId) {
+    const result = await db.query(
+      `SELECT kc.id, kc.document_id, kc.chunk_index, kc.heading, kc.page, kc.content,
+                    kd.title AS document_title
+             FROM knowledge_chunks kc
+             JOIN knowledge_documents kd ON kc.document_id = kd.id
+             WHERE kc.client_id = $1 AND kd.enabled = true
+             ORDER BY kc.document_id, kc.chunk_index`,
+      [clientId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Get the chunks of a document
+   */
+  static async findByDocument(documentId) {
+    const result = await db.query(
+      `SELECT * FROM knowledge_chunks
+             WHERE document_id = $1
+             ORDER BY chunk_index`,
+      [documentId]
+    );
+    return result.rows;
+  }
+}
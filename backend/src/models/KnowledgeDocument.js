@@ -0,0 +1,98 @@
+import { db } from '../db.js';
+
+// Columns returned in listings (content can be large, so it is left out)
+const SUMMARY_COLUMNS = `id, client_id, title, source_type, source_name, chunk_count, enabled,
+             LENGTH(content) AS content_length, created_at, updated_at`;
+
+export class KnowledgeDocument {
+  /**
+   * Create a new knowledge base document
+   * @param {number} clientId - The client ID
+   * @param {string} title - Document title (shown in citations)
+   * @param {string} sourceType - markdown, html, pdf or text
+   * @param {string} content - Document body (PDFs: extracted text)
+   * @param {string} sourceName - Original file name
+   */
+  static async create(clientId, title, sourceType, content, sourceName = null) {
+    const result = await db.query(
+      `INSERT INTO knowledge_documents (client_id, title, source_type, content, source_name)
+             VALUES ($1, $2, $3, $4, $5)
+             RETURNING *`,
+      [clientId, title, sourceType, content, sourceName]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Find document by ID (including content)
+   */
+  static async findById(id) {
+    const result = await db.query('SELECT * FROM knowledge_documents WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * List a client's documents (without content)
+   */
+  static async findByClient(clientId) {
+    const result = await db.query(
+      `SELECT ${SUMMARY_COLUMNS}
+             FROM knowledge_documents
+             WHERE client_id = $1
+             ORDER BY title ASC`,
+      [clientId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Update a document (general update)
+   */
+  static async update(id, updates) {
+    const allowedFields = [
+      'title',
+      'source_type',
+      'source_name',
+      'content',
+      'chunk_count',
+      'enabled',
+    ];
+    const fields = [];
+    const values = [];
+    let paramIndex = 1;
+
+    for (const [key, value] of Object.entries(updates)) {
+      if (allowedFields.includes(key)) {
+        fields.push(`${key} = $${paramIndex}`);
+        values.push(value);
+        paramIndex++;
+      }
+    }
+
+    if (fields.length === 0) {
+      throw new Error('No valid fields to update');
+    }
+
+    fields.push('updated_at = NOW()');
+    values.push(id);
+
+    const result = await db.query(
+      `UPDATE knowledge_documents
+             SET ${fields.join(', ')}
+             WHERE id = $${paramIndex}
+             RETURNING *`,
+      values
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Delete a document (its chunks are removed by cascade)
+   */
+  static async delete(id) {
+    const result = await db.query('DELETE FROM knowledge_documents WHERE id = $1 RETURNING *', [
+      id,
+    ]);
+    return result.rows[0];
+  }
+}
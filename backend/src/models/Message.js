@@ -66,6 +66,72 @@ export class Message {
     return result.rows[0];
   }
 
+  /**
+   * Create a message written by a human agent during a takeover
+   * Stored as a visible assistant message so the AI sees it as part of the
+   * conversation once the agent hands back.
+   * @param {number} conversationId - The conversation ID
+   * @param {string} content - The message content
+   * @param {string} agentName - Name shown to the customer
+   */
+  static async createFromAgent(conversationId, content, agentName = null) {
+    return await Message.createDebug(conversationId, 'assistant', content, 'visible', {
+      metadata: { sender: 'agent', agent_name: agentName },
+    });
+  }
+
+  /**
+   * Store the final text and widget blocks (quick replies, cards, date picker) of an AI reply
+   * @param {number} id - Message ID
+   * @param {string} content - Reply text without block directives
+   * @param {Array} blocks - Response blocks
+   */
+  static async setReplyBlocks(id, content, blocks) {
+    const result = await db.query(
+      `UPDATE messages
+             SET content = $2,
+                 metadata = COALESCE(metadata, '{}'::jsonb) || jsonb_build_object('blocks', $3::jsonb)
+             WHERE id = $1
+             RETURNING *`,
+      [id, content, JSON.stringify(blocks)]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Record the LLM provider and model that produced a reply
+   * @param {number} id - Message ID
+   * @param {string} provider - Provider that answered (may be a fallback)
+   * @param {string} model - Model that answered
+   */
+  static async setLlmProvider(id, provider, model) {
+    const result = await db.query(
+      `UPDATE messages SET llm_provider = $2, model_name = $3
+             WHERE id = $1
+             RETURNING *`,
+      [id, provider, model]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get agent messages newer than a given message ID (widget polling)
+   * @param {number} conversationId - The conversation ID
+   * @param {number} afterId - Only return messages with a greater ID
+   */
+  static async getAgentMessagesAfter(conversationId, afterId = 0) {
+    const result = await db.query(
+      `SELECT * FROM messages
+             WHERE conversation_id = $1
+               AND id > $2
+               AND (message_type IS NULL OR message_type = 'visible')
+               AND metadata->>'sender' = 'agent'
+             ORDER BY id ASC`,
+      [conversationId, afterId]
+    );
+    return result.rows;
+  }
+
   /**
    * Get all messages for a conversation including debug messages
    * @param {number} conversationId - The conversation ID
@@ -80,6 +146,31 @@ export class Message {
     return result.rows;
   }
 
+  /**
+   * Find message by ID
+   */
+  static async findById(id) {
+    const result = await db.query('SELECT * FROM messages WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get the latest visible AI reply of a conversation (excludes agent messages)
+   */
+  static async getLatestAssistant(conversationId) {
+    const result = await db.query(
+      `SELECT * FROM messages
+             WHERE conversation_id = $1
+               AND role = 'assistant'
+               AND (message_type IS NULL OR message_type = 'visible')
+               AND (metadata IS NULL OR metadata->>'sender' IS DISTINCT FROM 'agent')
+             ORDER BY id DESC
+             LIMIT 1`,
+      [conversationId]
+    );
+    return result.rows[0] || null;
+  }
+
   /**
    * Find message by external ID
    */
@@ -148,6 +239,30 @@ export class Message {
     return result.rowCount;
   }
 
+  /**
+   * Delete a client's messages older than N days (per-client retention)
+   * @param {number} clientId - Client ID
+   * @param {number} days - Retention window in days
+   * @param {object} options - { debugOnly: only delete non-visible (debug/internal) messages }
+   * @returns {Promise<number>} Number of deleted messages
+   */
+  static async deleteOlderThanForClient(clientId, days, { debugOnly = false } = {}) {
+    const safeDays = Math.max(1, Math.floor(Number(days) || 30));
+    const typeFilter = debugOnly
+      ? "AND m.message_type IS NOT NULL AND m.message_type <> 'visible'"
+      : '';
+    const result = await db.query(
+      `DELETE FROM messages m
+             USING conversations c
+             WHERE m.conversation_id = c.id
+               AND c.client_id = $1
+               AND m.timestamp < NOW() - INTERVAL '1 day' * $2
+               ${typeFilter}`,
+      [clientId, safeDays]
+    );
+    return result.rowCount;
+  }
+
   /**
    * Get messages older than N days (for aggregation before deletion)
    */
@@ -0,0 +1,63 @@
+import { db } from '../db.js';
+
+/**
+ * MessageFeedback - end-user thumbs up/down on AI messages
+ * One rating per message; rating again replaces it.
+ */
+export class MessageFeedback {
+  /**
+   * Create or replace the rating of a message
+   * @param {object} data - { messageId, conversationId, clientId, rating (1|-1), comment, toolName }
+   */
+  static async upsert({
+    messageId,
+    conversationId,
+    clientId,
+    rating,
+    comment = null,
+    toolName = null,
+  }) {
+    const result = await db.query(
+      `INSERT INTO message_feedback (message_id, conversation_id, client_id, rating, comment, tool_name)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (message_id) DO UPDATE
+         SET rating = EXCLUDED.rating, comment = EXCLUDED.comment, updated_at = NOW()
+       RETURNING *`,
+      [messageId, conversationId, clientId, rating, comment, toolName]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Ratings of a conversation's messages
+   */
+  static async findByConversation(conversationId) {
+    const result = await db.query(
+      'SELECT * FROM message_feedback WHERE conversation_id = $1 ORDER BY created_at ASC',
+      [conversationId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Thumbs up/down totals per day, tool and reasoning mode
+   * @param {number|null} clientId - Client ID, or null for all clients
+   * @param {number} days - Look-back window
+   * @returns {Promise<Array>} Rows of { date, tool_name, reasoning_mode, positive, negative }
+   */
+  static async getBreakdown(clientId, days = 30) {
+    const result = await db.query(
+      `SELECT DATE(mf.created_at) as date, mf.tool_name, c.reasoning_mode,
+              COUNT(*) FILTER (WHERE mf.rating > 0) as positive,
+              COUNT(*) FILTER (WHERE mf.rating < 0) as negative
+       FROM message_feedback mf
+       JOIN conversations c ON mf.conversation_id = c.id
+       WHERE ($1::int IS NULL OR mf.client_id = $1)
+         AND mf.created_at >= CURRENT_DATE - $2::int
+       GROUP BY DATE(mf.created_at), mf.tool_name, c.reasoning_mode
+       ORDER BY date`,
+      [clientId, days]
+    );
+    return result.rows;
+  }
+}
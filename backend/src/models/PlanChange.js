@@ -0,0 +1,168 @@
+import { db } from '../db.js';
+
+/**
+ * PlanChange Model
+ * A client's move from one plan to another: an applied change, a downgrade
+ * scheduled for the next billing period or a customer request awaiting review.
+ */
+export class PlanChange {
+  /**
+   * Record a plan change
+   * An 'applied' change switches the client's plan in the same statement.
+   * @param {Object} data - { clientId, fromPlan, toPlan, status, effectiveAt, requestedByType, requestedBy, note }
+   * @returns {Promise<Object>} Created plan change
+   */
+  static async create({
+    clientId,
+    fromPlan,
+    toPlan,
+    status = 'scheduled',
+    effectiveAt = null,
+    requestedByType = 'admin',
+    requestedBy = null,
+    note = null,
+  }) {
+    const result = await db.query(
+      `WITH change AS (
+                INSERT INTO plan_changes
+                (client_id, from_plan, to_plan, status, effective_at, requested_by_type,
+                 requested_by, note, applied_at)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, CASE WHEN $4::varchar = 'applied' THEN NOW() END)
+                RETURNING *
+            ),
+            client AS (
+                UPDATE clients SET plan_type = change.to_plan, updated_at = NOW()
+                FROM change
+                WHERE clients.id = change.client_id AND change.status = 'applied'
+                RETURNING clients.id
+            )
+            SELECT * FROM change`,
+      [clientId, fromPlan, toPlan, status, effectiveAt, requestedByType, requestedBy, note]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Find plan change by ID
+   */
+  static async findById(id) {
+    const result = await db.query('SELECT * FROM plan_changes WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Plan changes of a client, newest first
+   */
+  static async findByClient(clientId, limit = 50) {
+    const result = await db.query(
+      `SELECT * FROM plan_changes
+             WHERE client_id = $1
+             ORDER BY created_at DESC, id DESC
+             LIMIT $2`,
+      [clientId, limit]
+    );
+    return result.rows;
+  }
+
+  /**
+   * The client's pending request or scheduled change, if any
+   */
+  static async findOpen(clientId) {
+    const result = await db.query(
+      `SELECT * FROM plan_changes
+             WHERE client_id = $1 AND status IN ('requested', 'scheduled')`,
+      [clientId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Changes of every client by status, oldest first (the review queue)
+   */
+  static async findByStatus(status) {
+    const result = await db.query(
+      `SELECT pc.*, c.name AS client_name
+             FROM plan_changes pc
+             JOIN clients c ON c.id = pc.client_id
+             WHERE pc.status = $1
+             ORDER BY pc.created_at ASC, pc.id ASC`,
+      [status]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Applied changes taking effect at or after a date, in order
+   * @param {number} clientId - Client ID
+   * @param {Date|string} since - Start of the billing period
+   */
+  static async findAppliedSince(clientId, since) {
+    const result = await db.query(
+      `SELECT * FROM plan_changes
+             WHERE client_id = $1 AND status = 'applied' AND effective_at >= $2
+             ORDER BY effective_at ASC, id ASC`,
+      [clientId, since]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Scheduled changes whose effective date has passed
+   */
+  static async findDue() {
+    const result = await db.query(
+      `SELECT * FROM plan_changes
+             WHERE status = 'scheduled' AND effective_at <= NOW()
+             ORDER BY effective_at ASC, id ASC`
+    );
+    return result.rows;
+  }
+
+  /**
+   * Apply a requested or scheduled change and switch the client's plan
+   * @param {number} id - Plan change ID
+   * @param {Object} review - { effectiveAt, reviewedBy } (effectiveAt null keeps the scheduled date)
+   * @returns {Promise<Object|null>} Applied change or null if it is no longer open
+   */
+  static async apply(id, { effectiveAt = null, reviewedBy = null } = {}) {
+    const result = await db.query(
+      `WITH change AS (
+                UPDATE plan_changes
+                SET status = 'applied',
+                    effective_at = COALESCE($2::timestamp, effective_at),
+                    applied_at = NOW(),
+                    reviewed_by = COALESCE($3::varchar, reviewed_by),
+                    reviewed_at = CASE WHEN $3::varchar IS NULL THEN reviewed_at ELSE NOW() END
+                WHERE id = $1 AND status IN ('requested', 'scheduled')
+                RETURNING *
+            ),
+            client AS (
+                UPDATE clients SET plan_type = change.to_plan, updated_at = NOW()
+                FROM change
+                WHERE clients.id = change.client_id
+                RETURNING clients.id
+            )
+            SELECT * FROM change`,
+      [id, effectiveAt, reviewedBy]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Close an open change without applying it
+   * @param {number} id - Plan change ID
+   * @param {string} status - 'rejected' or 'cancelled'
+   * @param {Object} review - { reviewedBy, reviewNote }
+   * @returns {Promise<Object|null>} Updated change or null if it is no longer open
+   */
+  static async close(id, status, { reviewedBy = null, reviewNote = null } = {}) {
+    const result = await db.query(
+      `UPDATE plan_changes
+             SET status = $2, reviewed_by = $3, reviewed_at = NOW(), review_note = $4
+             WHERE id = $1 AND status IN ('requested', 'scheduled')
+             RETURNING *`,
+      [id, status, reviewedBy, reviewNote]
+    );
+    return result.rows[0] || null;
+  }
+}
@@ -0,0 +1,100 @@
+import { db } from '../db.js';
+
+/**
+ * PromptConfigVersion - one saved prompt config (platform default, adaptive or a
+ * client's overrides). Versions are only ever inserted.
+ */
+export class PromptConfigVersion {
+  /**
+   * Record a version; the number is the next one of its scope and client
+   * @param {object} data - { scope, clientId, config, action, sourceVersion, author: { type, id, name } }
+   */
+  static async create({
+    scope,
+    clientId = null,
+    config,
+    action = 'update',
+    sourceVersion = null,
+    author = null,
+  }) {
+    const result = await db.query(
+      `INSERT INTO prompt_config_versions
+         (scope, client_id, version, config, action, source_version, author_type, author_id, author_name)
+       SELECT $1::varchar, $2::int, COALESCE(MAX(version), 0) + 1, $3::jsonb, $4::varchar,
+              $5::int, $6::varchar, $7::int, $8::varchar
+       FROM prompt_config_versions
+       WHERE scope = $1::varchar AND COALESCE(client_id, 0) = COALESCE($2::int, 0)
+       RETURNING *`,
+      [
+        scope,
+        clientId,
+        JSON.stringify(config || {}),
+        action,
+        sourceVersion,
+        author?.type ?? null,
+        author?.id ?? null,
+        author?.name ?? null,
+      ]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * A version by number
+   */
+  static async find(scope, clientId, version) {
+    const result = await db.query(
+      `SELECT * FROM prompt_config_versions
+       WHERE scope = $1 AND COALESCE(client_id, 0) = COALESCE($2::int, 0) AND version = $3`,
+      [scope, clientId, version]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * The version before the given one
+   */
+  static async findPrevious(scope, clientId, version) {
+    const result = await db.query(
+      `SELECT * FROM prompt_config_versions
+       WHERE scope = $1 AND COALESCE(client_id, 0) = COALESCE($2::int, 0) AND version < $3
+       ORDER BY version DESC
+       LIMIT 1`,
+      [scope, clientId, version]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Latest version, or null before the first versioned save
+   */
+  static async findLatest(scope, clientId) {
+    const result = await db.query(
+      `SELECT * FROM prompt_config_versions
+       WHERE scope = $1 AND COALESCE(client_id, 0) = COALESCE($2::int, 0)
+       ORDER BY version DESC
+       LIMIT 1`,
+      [scope, clientId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Versions newest first, without their configs
+   * @param {string} scope - 'default', 'adaptive' or 'client'
+   * @param {number|null} clientId - Client ID for the client scope
+   * @param {number} limit - Max versions
+   */
+  static async list(scope, clientId, limit = 50) {
+    const result = await db.query(
+      `SELECT id, scope, client_id, version, action, source_version,
+              author_type, author_id, author_name, created_at
+       FROM prompt_config_versions
+       WHERE scope = $1 AND COALESCE(client_id, 0) = COALESCE($2::int, 0)
+       ORDER BY version DESC
+       LIMIT $3`,
+      [scope, clientId, limit]
+    );
+    return result.rows;
+  }
+}
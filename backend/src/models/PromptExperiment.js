@@ -0,0 +1,116 @@
+import { db } from '../db.js';
+
+// Experiment with the version numbers and configs of both variants
+const SELECT_EXPERIMENT = `
+  SELECT e.*,
+         va.version AS version_a, va.config AS config_a,
+         vb.version AS version_b, vb.config AS config_b
+  FROM prompt_experiments e
+  JOIN prompt_config_versions va ON va.id = e.version_a_id
+  JOIN prompt_config_versions vb ON vb.id = e.version_b_id`;
+
+/**
+ * PromptExperiment - A/B split of a client's new conversations between two of
+ * its prompt config versions
+ */
+export class PromptExperiment {
+  /**
+   * Start an experiment
+   * @param {object} data - { clientId, name, versionAId, versionBId, splitPercent, createdBy }
+   */
+  static async create({ clientId, name, versionAId, versionBId, splitPercent = 50, createdBy }) {
+    const result = await db.query(
+      `INSERT INTO prompt_experiments
+         (client_id, name, version_a_id, version_b_id, split_percent, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id`,
+      [clientId, name, versionAId, versionBId, splitPercent, createdBy]
+    );
+    return this.findById(result.rows[0].id);
+  }
+
+  static async findById(id) {
+    const result = await db.query(`${SELECT_EXPERIMENT} WHERE e.id = $1`, [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * The client's running experiment, if any
+   */
+  static async findRunning(clientId) {
+    const result = await db.query(
+      `${SELECT_EXPERIMENT} WHERE e.client_id = $1 AND e.status = 'running'`,
+      [clientId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Experiments of a client, newest first (without the variant configs)
+   */
+  static async findByClient(clientId, limit = 20) {
+    const result = await db.query(
+      `SELECT e.*, va.version AS version_a, vb.version AS version_b
+       FROM prompt_experiments e
+       JOIN prompt_config_versions va ON va.id = e.version_a_id
+       JOIN prompt_config_versions vb ON vb.id = e.version_b_id
+       WHERE e.client_id = $1
+       ORDER BY e.started_at DESC, e.id DESC
+       LIMIT $2`,
+      [clientId, limit]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Stop a running experiment
+   * @param {string|null} winner - 'A' or 'B' when a variant was promoted
+   */
+  static async stop(id, winner = null) {
+    const result = await db.query(
+      `UPDATE prompt_experiments
+       SET status = 'stopped', ended_at = NOW(), winner = $2
+       WHERE id = $1 AND status = 'running'
+       RETURNING id`,
+      [id, winner]
+    );
+    return result.rows[0] ? this.findById(id) : null;
+  }
+
+  /**
+   * Outcome metrics per variant
+   * @returns {Promise<Array>} [{ variant, conversations, escalated, tool_calls, tool_successes,
+   *   rated_conversations, satisfied_conversations, rated_messages, positive_messages }]
+   */
+  static async getVariantMetrics(id) {
+    const result = await db.query(
+      `SELECT c.prompt_variant AS variant,
+              COUNT(*)::int AS conversations,
+              COUNT(*) FILTER (
+                WHERE EXISTS (SELECT 1 FROM escalations e WHERE e.conversation_id = c.id)
+              )::int AS escalated,
+              COALESCE(SUM(t.calls), 0)::int AS tool_calls,
+              COALESCE(SUM(t.successes), 0)::int AS tool_successes,
+              COUNT(cf.id)::int AS rated_conversations,
+              COUNT(cf.id) FILTER (WHERE cf.rating >= 4)::int AS satisfied_conversations,
+              COALESCE(SUM(mf.rated), 0)::int AS rated_messages,
+              COALESCE(SUM(mf.positive), 0)::int AS positive_messages
+       FROM conversations c
+       LEFT JOIN (
+         SELECT conversation_id, COUNT(*) AS calls, COUNT(*) FILTER (WHERE success) AS successes
+         FROM tool_executions
+         GROUP BY conversation_id
+       ) t ON t.conversation_id = c.id
+       LEFT JOIN conversation_feedback cf ON cf.conversation_id = c.id
+       LEFT JOIN (
+         SELECT conversation_id, COUNT(*) AS rated, COUNT(*) FILTER (WHERE rating = 1) AS positive
+         FROM message_feedback
+         GROUP BY conversation_id
+       ) mf ON mf.conversation_id = c.id
+       WHERE c.prompt_experiment_id = $1
+       GROUP BY c.prompt_variant`,
+      [id]
+    );
+    return result.rows;
+  }
+}
@@ -0,0 +1,25 @@
+import { db } from '../db.js';
+
+/**
+ * SpendingAlert Model
+ * Budget warning thresholds a client has been emailed about, per billing period.
+ */
+export class SpendingAlert {
+  /**
+   * Mark thresholds as reached
+   * @param {number} clientId - Client ID
+   * @param {string} period - Billing period (YYYY-MM)
+   * @param {Array<number>} thresholds - Percentages reached
+   * @returns {Promise<Array<number>>} Thresholds not recorded before (to notify about)
+   */
+  static async record(clientId, period, thresholds) {
+    const result = await db.query(
+      `INSERT INTO spending_alerts (client_id, period, threshold)
+             SELECT $1, $2, UNNEST($3::int[])
+             ON CONFLICT DO NOTHING
+             RETURNING threshold`,
+      [clientId, period, thresholds]
+    );
+    return result.rows.map((row) => row.threshold);
+  }
+}
@@ -0,0 +1,75 @@
+import { db } from '../db.js';
+
+/**
+ * TestRun - one replay of a test scenario with per-assertion results
+ */
+export class TestRun {
+  /**
+   * Record a finished run
+   * @param {object} data - { scenarioId, clientId, status, provider, model, results, changes, transcript, error, durationMs, runBy }
+   */
+  static async create({
+    scenarioId,
+    clientId,
+    status,
+    provider,
+    model = null,
+    results = [],
+    changes = [],
+    transcript = [],
+    error = null,
+    durationMs = null,
+    runBy = null,
+  }) {
+    const result = await db.query(
+      `INSERT INTO test_runs
+         (scenario_id, client_id, status, provider, model, results, changes, transcript, error, duration_ms, run_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+       RETURNING *`,
+      [
+        scenarioId,
+        clientId,
+        status,
+        provider,
+        model,
+        JSON.stringify(results),
+        JSON.stringify(changes),
+        JSON.stringify(transcript),
+        error,
+        durationMs,
+        runBy,
+      ]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Latest run of a scenario
+   */
+  static async findLatest(scenarioId) {
+    const result = await db.query(
+      `SELECT * FROM test_runs
+       WHERE scenario_id = $1
+       ORDER BY created_at DESC, id DESC
+       LIMIT 1`,
+      [scenarioId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Runs of a scenario, newest first
+   * @param {number} scenarioId - Scenario ID
+   * @param {number} limit - Max runs
+   */
+  static async findByScenario(scenarioId, limit = 20) {
+    const result = await db.query(
+      `SELECT * FROM test_runs
+       WHERE scenario_id = $1
+       ORDER BY created_at DESC, id DESC
+       LIMIT $2`,
+      [scenarioId, limit]
+    );
+    return result.rows;
+  }
+}
@@ -0,0 +1,96 @@
+import { db } from '../db.js';
+
+/**
+ * TestScenario - saved conversation replayed to catch prompt and tool regressions
+ */
+export class TestScenario {
+  /**
+   * Create a scenario
+   * @param {object} data - { clientId, name, description, turns, toolMocks, assertions }
+   */
+  static async create({ clientId, name, description = null, turns, toolMocks, assertions }) {
+    const result = await db.query(
+      `INSERT INTO test_scenarios (client_id, name, description, turns, tool_mocks, assertions)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [
+        clientId,
+        name,
+        description,
+        JSON.stringify(turns),
+        JSON.stringify(toolMocks),
+        JSON.stringify(assertions),
+      ]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Find a scenario of a client
+   */
+  static async find(clientId, id) {
+    const result = await db.query('SELECT * FROM test_scenarios WHERE client_id = $1 AND id = $2', [
+      clientId,
+      id,
+    ]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get a client's scenarios with the outcome of their latest run
+   * @param {number} clientId - Client ID
+   */
+  static async findByClient(clientId) {
+    const result = await db.query(
+      `SELECT s.*, r.id AS last_run_id, r.status AS last_run_status, r.created_at AS last_run_at
+       FROM test_scenarios s
+       LEFT JOIN LATERAL (
+         SELECT id, status, created_at FROM test_runs
+         WHERE scenario_id = s.id
+         ORDER BY created_at DESC, id DESC
+         LIMIT 1
+       ) r ON true
+       WHERE s.client_id = $1
+       ORDER BY s.name ASC, s.id ASC`,
+      [clientId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Replace the editable fields of a scenario
+   * @param {number} clientId - Client ID
+   * @param {number} id - Scenario ID
+   * @param {object} data - { name, description, turns, toolMocks, assertions }
+   */
+  static async update(clientId, id, { name, description = null, turns, toolMocks, assertions }) {
+    const result = await db.query(
+      `UPDATE test_scenarios
+       SET name = $3, description = $4, turns = $5, tool_mocks = $6, assertions = $7,
+           updated_at = NOW()
+       WHERE client_id = $1 AND id = $2
+       RETURNING *`,
+      [
+        clientId,
+        id,
+        name,
+        description,
+        JSON.stringify(turns),
+        JSON.stringify(toolMocks),
+        JSON.stringify(assertions),
+      ]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Delete a scenario (its runs are removed with it)
+   */
+  static async delete(clientId, id) {
+    const result = await db.query(
+      'DELETE FROM test_scenarios WHERE client_id = $1 AND id = $2 RETURNING *',
+      [clientId, id]
+    );
+    return result.rows[0] || null;
+  }
+}
@@ -75,6 +75,32 @@ export class ToolExecution {
     );
   }
 
+  /**
+   * Name of the tool that produced an assistant message: the latest successful
+   * execution between the preceding user message and the message itself
+   * @param {number} conversationId - Conversation ID
+   * @param {Date} messageTimestamp - Timestamp of the assistant message
+   * @returns {Promise<string|null>}
+   */
+  static async findToolForMessage(conversationId, messageTimestamp) {
+    const result = await db.query(
+      `SELECT te.tool_name
+       FROM tool_executions te
+       WHERE te.conversation_id = $1
+         AND te.status = 'success'
+         AND te.timestamp <= $2
+         AND te.timestamp > COALESCE(
+           (SELECT MAX(m.timestamp) FROM messages m
+            WHERE m.conversation_id = $1 AND m.role = 'user' AND m.timestamp <= $2),
+           '-infinity'::timestamp
+         )
+       ORDER BY te.timestamp DESC
+       LIMIT 1`,
+      [conversationId, messageTimestamp]
+    );
+    return result.rows[0]?.tool_name || null;
+  }
+
   /**
    * Get all executions for a conversation
    */
@@ -173,6 +199,23 @@ export class ToolExecution {
     return result.rowCount;
   }
 
+  /**
+   * Delete a client's executions older than N days (per-client retention)
+   * @returns {Promise<number>} Number of deleted executions
+   */
+  static async deleteOlderThanForClient(clientId, days) {
+    const safeDays = Math.max(1, Math.floor(Number(days) || 30));
+    const result = await db.query(
+      `DELETE FROM tool_executions te
+             USING conversations c
+             WHERE te.conversation_id = c.id
+               AND c.client_id = $1
+               AND te.timestamp < NOW() - INTERVAL '1 day' * $2`,
+      [clientId, safeDays]
+    );
+    return result.rowCount;
+  }
+
   /**
    * Get recent executions (for monitoring)
    */
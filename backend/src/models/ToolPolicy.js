@@ -0,0 +1,92 @@
+import { db } from '../db.js';
+
+/**
+ * ToolPolicy - client and client-tool overrides of tool safety policies
+ *
+ * client_tool_id NULL = client-wide policy; otherwise the policy of one
+ * ClientTool. NULL policy fields inherit from the next level down.
+ */
+export class ToolPolicy {
+  /**
+   * Get all policies of a client (client-wide first), with tool names
+   * @param {number} clientId - Client ID
+   */
+  static async findByClient(clientId) {
+    const result = await db.query(
+      `SELECT tp.*, t.tool_name
+       FROM tool_policies tp
+       LEFT JOIN client_tools ct ON tp.client_tool_id = ct.id
+       LEFT JOIN tools t ON ct.tool_id = t.id
+       WHERE tp.client_id = $1
+       ORDER BY tp.client_tool_id NULLS FIRST`,
+      [clientId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Find one policy
+   * @param {number} clientId - Client ID
+   * @param {number|null} clientToolId - ClientTool ID, or null for the client-wide policy
+   */
+  static async find(clientId, clientToolId = null) {
+    const result = await db.query(
+      `SELECT * FROM tool_policies
+       WHERE client_id = $1 AND client_tool_id IS NOT DISTINCT FROM $2`,
+      [clientId, clientToolId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Create or replace a policy
+   * @param {number} clientId - Client ID
+   * @param {number|null} clientToolId - ClientTool ID, or null for the client-wide policy
+   * @param {object} policy - { max_confidence, is_destructive, requires_confirmation,
+   *   confirmation_phrases, destructive_phrases, parameter_rules }
+   * @param {string} updatedBy - Admin making the change
+   */
+  static async upsert(clientId, clientToolId, policy, updatedBy = null) {
+    const values = [
+      policy.max_confidence ?? null,
+      policy.is_destructive ?? null,
+      policy.requires_confirmation ?? null,
+      policy.confirmation_phrases || [],
+      policy.destructive_phrases || [],
+      JSON.stringify(policy.parameter_rules || []),
+      updatedBy,
+    ];
+
+    const existing = await this.find(clientId, clientToolId);
+    if (existing) {
+      const result = await db.query(
+        `UPDATE tool_policies
+         SET max_confidence = $1, is_destructive = $2, requires_confirmation = $3,
+             confirmation_phrases = $4, destructive_phrases = $5, parameter_rules = $6::jsonb,
+             updated_by = $7, updated_at = NOW()
+         WHERE id = $8
+         RETURNING *`,
+        [...values, existing.id]
+      );
+      return result.rows[0];
+    }
+
+    const result = await db.query(
+      `INSERT INTO tool_policies
+         (max_confidence, is_destructive, requires_confirmation, confirmation_phrases,
+          destructive_phrases, parameter_rules, updated_by, client_id, client_tool_id)
+       VALUES ($1, $2, $3, $4, $5, $6::jsonb, $7, $8, $9)
+       RETURNING *`,
+      [...values, clientId, clientToolId]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Delete a policy (the level falls back to inherited values)
+   */
+  static async delete(id) {
+    const result = await db.query('DELETE FROM tool_policies WHERE id = $1 RETURNING *', [id]);
+    return result.rows[0] || null;
+  }
+}
@@ -0,0 +1,53 @@
+import { db } from '../db.js';
+
+/**
+ * ToolPolicyChange - audit trail of tool policy edits
+ */
+export class ToolPolicyChange {
+  /**
+   * Record a change
+   * @param {object} data - { clientId, clientToolId, toolName, action, previous, current, changedBy }
+   */
+  static async create({
+    clientId,
+    clientToolId = null,
+    toolName = null,
+    action,
+    previous = null,
+    current = null,
+    changedBy = null,
+  }) {
+    const result = await db.query(
+      `INSERT INTO tool_policy_changes
+         (client_id, client_tool_id, tool_name, action, previous, current, changed_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [
+        clientId,
+        clientToolId,
+        toolName,
+        action,
+        previous ? JSON.stringify(previous) : null,
+        current ? JSON.stringify(current) : null,
+        changedBy,
+      ]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Get a client's policy changes, newest first
+   * @param {number} clientId - Client ID
+   * @param {object} options - { limit, offset }
+   */
+  static async findByClient(clientId, { limit = 50, offset = 0 } = {}) {
+    const result = await db.query(
+      `SELECT * FROM tool_policy_changes
+       WHERE client_id = $1
+       ORDER BY created_at DESC, id DESC
+       LIMIT $2 OFFSET $3`,
+      [clientId, limit, offset]
+    );
+    return result.rows;
+  }
+}
@@ -0,0 +1,151 @@
+import { db } from '../db.js';
+
+/**
+ * WebhookDelivery - delivery log for outbound webhooks
+ *
+ * One row per event per subscription. Failed rows carry next_retry_at until
+ * the retry job either delivers them or gives up (next_retry_at = NULL).
+ */
+export class WebhookDelivery {
+  /**
+   * Create a pending delivery
+   * @param {object} data - { subscriptionId, clientId, eventType, payload, replayOf }
+   */
+  static async create({ subscriptionId, clientId, eventType, payload, replayOf = null }) {
+    const result = await db.query(
+      `INSERT INTO webhook_deliveries (subscription_id, client_id, event_type, payload, replay_of)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [subscriptionId, clientId, eventType, JSON.stringify(payload), replayOf]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Find delivery by ID
+   */
+  static async findById(id) {
+    const result = await db.query('SELECT * FROM webhook_deliveries WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get a subscription's deliveries, newest first
+   * @param {number} subscriptionId - Subscription ID
+   * @param {object} options - { status, limit, offset }
+   */
+  static async findBySubscription(subscriptionId, { status = null, limit = 50, offset = 0 } = {}) {
+    const params = [subscriptionId];
+    let statusFilter = '';
+    if (status) {
+      params.push(status);
+      statusFilter = `AND status = $${params.length}`;
+    }
+    params.push(limit, offset);
+
+    const result = await db.query(
+      `SELECT * FROM webhook_deliveries
+       WHERE subscription_id = $1 ${statusFilter}
+       ORDER BY created_at DESC, id DESC
+       LIMIT $${params.length - 1} OFFSET $${params.length}`,
+      params
+    );
+    return result.rows;
+  }
+
+  /**
+   * Record a successful delivery attempt
+   * @param {number} id - Delivery ID
+   * @param {number} responseStatus - HTTP status returned by the endpoint
+   * @param {string} responseBody - Truncated response body
+   */
+  static async markSent(id, responseStatus, responseBody = null) {
+    const result = await db.query(
+      `UPDATE webhook_deliveries
+       SET status = 'sent',
+           attempts = attempts + 1,
+           response_status = $2,
+           response_body = $3,
+           last_error = NULL,
+           next_retry_at = NULL,
+           delivered_at = NOW(),
+           updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [id, responseStatus, responseBody]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Record a failed delivery attempt
+   * @param {number} id - Delivery ID
+   * @param {object} failure - { error, responseStatus, responseBody, nextRetryAt (null = give up) }
+   */
+  static async markFailed(
+    id,
+    { error, responseStatus = null, responseBody = null, nextRetryAt = null }
+  ) {
+    const result = await db.query(
+      `UPDATE webhook_deliveries
+       SET status = 'failed',
+           attempts = attempts + 1,
+           last_error = $2,
+           response_status = $3,
+           response_body = $4,
+           next_retry_at = $5,
+           updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [id, error, responseStatus, responseBody, nextRetryAt]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Get failed deliveries whose retry time has come
+   * @param {number} limit - Max rows to return
+   */
+  static async findDueForRetry(limit = 50) {
+    const result = await db.query(
+      `SELECT * FROM webhook_deliveries
+       WHERE status = 'failed'
+       AND next_retry_at IS NOT NULL
+       AND next_retry_at <= NOW()
+       ORDER BY next_retry_at ASC
+       LIMIT $1`,
+      [limit]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Stop retrying a failed delivery
+   * @param {number} id - Delivery ID
+   */
+  static async cancelRetry(id) {
+    const result = await db.query(
+      `UPDATE webhook_deliveries
+       SET next_retry_at = NULL, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [id]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Delete a client's logged deliveries about the given conversations
+   * (conversation and escalation events carry data.conversation_id)
+   * @returns {Promise<number>} Number of deleted deliveries
+   */
+  static async deleteForConversations(clientId, conversationIds) {
+    const result = await db.query(
+      `DELETE FROM webhook_deliveries
+       WHERE client_id = $1
+       AND payload->'data'->>'conversation_id' = ANY($2::text[])`,
+      [clientId, conversationIds.map(String)]
+    );
+    return result.rowCount;
+  }
+}
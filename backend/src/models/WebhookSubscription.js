@@ -0,0 +1,113 @@
+import { db } from '../db.js';
+
+/**
+ * WebhookSubscription - client endpoints that receive platform events
+ */
+export class WebhookSubscription {
+  /**
+   * Create a subscription
+   * @param {object} data - { clientId, url, description, events, secret, isActive }
+   */
+  static async create({ clientId, url, description = null, events, secret, isActive = true }) {
+    const result = await db.query(
+      `INSERT INTO webhook_subscriptions (client_id, url, description, events, secret, is_active)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [clientId, url, description, events, secret, isActive]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Find subscription by ID
+   */
+  static async findById(id) {
+    const result = await db.query('SELECT * FROM webhook_subscriptions WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get all subscriptions of a client
+   * @param {number} clientId - Client ID
+   */
+  static async findByClient(clientId) {
+    const result = await db.query(
+      `SELECT * FROM webhook_subscriptions
+       WHERE client_id = $1
+       ORDER BY created_at ASC, id ASC`,
+      [clientId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Get a client's active subscriptions to an event
+   * @param {number} clientId - Client ID
+   * @param {string} eventType - Event type, e.g. 'conversation.ended'
+   */
+  static async findActiveForEvent(clientId, eventType) {
+    const result = await db.query(
+      `SELECT * FROM webhook_subscriptions
+       WHERE client_id = $1
+       AND is_active = true
+       AND $2 = ANY(events)`,
+      [clientId, eventType]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Count a client's subscriptions
+   */
+  static async countByClient(clientId) {
+    const result = await db.query(
+      'SELECT COUNT(*) AS count FROM webhook_subscriptions WHERE client_id = $1',
+      [clientId]
+    );
+    return parseInt(result.rows[0].count, 10);
+  }
+
+  /**
+   * Update a subscription
+   * @param {number} id - Subscription ID
+   * @param {object} updates - Any of url, description, events, secret, is_active
+   */
+  static async update(id, updates) {
+    const allowedFields = ['url', 'description', 'events', 'secret', 'is_active'];
+    const fields = [];
+    const values = [];
+    let paramIndex = 1;
+
+    for (const [key, value] of Object.entries(updates)) {
+      if (allowedFields.includes(key)) {
+        fields.push(`${key} = $${paramIndex}`);
+        values.push(value);
+        paramIndex++;
+      }
+    }
+
+    if (fields.length === 0) {
+      return this.findById(id);
+    }
+
+    values.push(id);
+    const result = await db.query(
+      `UPDATE webhook_subscriptions
+       SET ${fields.join(', ')}, updated_at = NOW()
+       WHERE id = $${paramIndex}
+       RETURNING *`,
+      values
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Delete a subscription (its delivery log is removed with it)
+   */
+  static async delete(id) {
+    const result = await db.query('DELETE FROM webhook_subscriptions WHERE id = $1 RETURNING *', [
+      id,
+    ]);
+    return result.rows[0] || null;
+  }
+}
@@ -0,0 +1,159 @@
+import { db } from '../db.js';
+
+export class WhatsAppChannel {
+  /**
+   * Create a new WhatsApp channel
+   * @param {number} clientId - The client ID
+   * @param {string} phoneNumberId - WhatsApp Cloud API phone number ID
+   * @param {string} displayPhoneNumber - Human-readable business number
+   * @param {object} connectionConfig - Access token and app secret
+   * @param {object} settings - Channel settings
+   */
+  static async create(
+    clientId,
+    phoneNumberId,
+    displayPhoneNumber = null,
+    connectionConfig = {},
+    settings = null
+  ) {
+    const query = `
+            INSERT INTO whatsapp_channels (client_id, phone_number_id, display_phone_number, connection_config, settings)
+            VALUES ($1, $2, $3, $4::jsonb, $5::jsonb)
+            RETURNING *
+        `;
+    const defaultSettings = {
+      auto_reply: true,
+      template_name: '',
+      template_language: 'en',
+    };
+    const params = [
+      clientId,
+      phoneNumberId,
+      displayPhoneNumber,
+      JSON.stringify(connectionConfig),
+      JSON.stringify({ ...defaultSettings, ...(settings || {}) }),
+    ];
+
+    const result = await db.query(query, params);
+    return result.rows[0];
+  }
+
+  /**
+   * Find WhatsApp channel by ID
+   */
+  static async findById(id) {
+    const result = await db.query('SELECT * FROM whatsapp_channels WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Find WhatsApp channel by Cloud API phone number ID (webhook routing)
+   */
+  static async findByPhoneNumberId(phoneNumberId) {
+    const result = await db.query('SELECT * FROM whatsapp_channels WHERE phone_number_id = $1', [
+      phoneNumberId,
+    ]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Find all WhatsApp channels for a client
+   */
+  static async findByClient(clientId) {
+    const result = await db.query(
+      `SELECT * FROM whatsapp_channels
+             WHERE client_id = $1
+             ORDER BY created_at DESC`,
+      [clientId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Update WhatsApp channel status
+   */
+  static async updateStatus(id, status, errorMessage = null) {
+    const result = await db.query(
+      `UPDATE whatsapp_channels
+             SET status = $2, last_error = $3, updated_at = NOW()
+             WHERE id = $1
+             RETURNING *`,
+      [id, status, errorMessage]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Update last inbound message timestamp
+   */
+  static async updateLastMessage(id) {
+    const result = await db.query(
+      `UPDATE whatsapp_channels
+             SET last_message_at = NOW(), updated_at = NOW()
+             WHERE id = $1
+             RETURNING *`,
+      [id]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Update WhatsApp channel (general update)
+   */
+  static async update(id, updates) {
+    const allowedFields = [
+      'phone_number_id',
+      'display_phone_number',
+      'connection_config',
+      'status',
+      'settings',
+      'last_error',
+    ];
+    const fields = [];
+    const values = [];
+    let paramIndex = 1;
+
+    for (const [key, value] of Object.entries(updates)) {
+      if (allowedFields.includes(key)) {
+        // Handle JSONB fields
+        if (
+          (key === 'connection_config' || key === 'settings') &&
+          value !== null &&
+          typeof value === 'object'
+        ) {
+          fields.push(`${key} = $${paramIndex}::jsonb`);
+          values.push(JSON.stringify(value));
+        } else {
+          fields.push(`${key} = $${paramIndex}`);
+          values.push(value);
+        }
+        paramIndex++;
+      }
+    }
+
+    if (fields.length === 0) {
+      throw new Error('No valid fields to update');
+    }
+
+    fields.push('updated_at = NOW()');
+    values.push(id);
+
+    const query = `
+            UPDATE whatsapp_channels
+            SET ${fields.join(', ')}
+            WHERE id = $${paramIndex}
+            RETURNING *
+        `;
+
+    const result = await db.query(query, values);
+    return result.rows[0];
+  }
+
+  /**
+   * Delete WhatsApp channel
+   */
+  static async delete(id) {
+    const result = await db.query('DELETE FROM whatsapp_channels WHERE id = $1 RETURNING *', [id]);
+    return result.rows[0];
+  }
+}
@@ -7,6 +7,7 @@
 
 import promptService from '../services/promptService.js';
 import { PlatformConfig } from '../models/PlatformConfig.js';
+import { KNOWLEDGE_BASE, RESPONSE_BLOCKS } from '../config/constants.js';
 
 // Cache for synchronous access (initialized on first async call)
 let cachedDefaultConfig = null;
@@ -181,6 +182,31 @@ function mergeConfigs(parent, child) {
   return merged;
 }
 
+/**
+ * Instructions for widget response blocks (quick replies, date picker)
+ * The date picker is only offered when a tool takes a date.
+ * @param {Array} tools - Available tools with parameter schemas
+ * @returns {String} Prompt section
+ */
+function buildResponseBlocksSection(tools = []) {
+  let section = `\n\n## Quick Replies
+When your question has a few short, obvious answers (yes/no, picking one of several options), end your reply with a line like:
+[[quick_replies: Option 1 | Option 2 | Option 3]]
+Use at most ${RESPONSE_BLOCKS.MAX_QUICK_REPLIES} short options in the customer's language. Do not mention the buttons in your text.`;
+
+  const takesDate = tools.some((tool) =>
+    Object.entries(tool.parameters_schema?.properties || {}).some(
+      ([name, schema]) => schema?.format === 'date' || /date/i.test(name)
+    )
+  );
+  if (takesDate) {
+    section +=
+      '\nWhen you ask the customer for a date (e.g. for a booking), add [[date_picker]] on its own line at the end.';
+  }
+
+  return section;
+}
+
 /**
  * Base system prompt template
  * @param {Object} client - Client configuration
@@ -276,7 +302,7 @@ export function getContextualSystemPrompt(client, tools = [], context = {}) {
     prompt += `\n\n## Frequently Asked Questions\n${mergedContext.faq.map((item, i) => `${i + 1}. Q: ${item.question}\n   A: ${item.answer}`).join('\n')}`;
   }
 
-  return prompt;
+  return prompt + buildResponseBlocksSection(tools);
 }
 
 /**
@@ -391,11 +417,12 @@ export function getAdaptiveModePrompt(client, tools = []) {
  * Reuses the standard mode system prompt and adds adaptive-specific instructions
  * @param {Object} client - Client configuration
  * @param {Array} tools - Available tools with full schemas
+ * @param {Object} options - { knowledgeBase: offer knowledge base searches }
  * @returns {Promise<String>} System prompt with self-assessment instructions
  */
-export async function getAdaptiveModePromptAsync(client, tools = []) {
+export async function getAdaptiveModePromptAsync(client, tools = [], options = {}) {
   const config = await PlatformConfig.getAdaptivePromptConfig();
-  return buildAdaptivePromptFromConfig(client, tools, config);
+  return buildAdaptivePromptFromConfig(client, tools, config, options);
 }
 
 /**
@@ -404,9 +431,10 @@ export async function getAdaptiveModePromptAsync(client, tools = []) {
  * @param {Object} client - Client configuration
  * @param {Array} tools - Available tools
  * @param {Object} config - Adaptive prompt config
+ * @param {Object} options - { knowledgeBase: true if the client has searchable documents }
  * @returns {String} System prompt
  */
-function buildAdaptivePromptFromConfig(client, tools, config) {
+function buildAdaptivePromptFromConfig(client, tools, config, options = {}) {
   const language = client.language || 'en';
 
   // Build intro from config template - minimal, without loading all business info
@@ -467,7 +495,13 @@ ${reasoningSteps.map((s) => `${s.title}: [${s.instruction}]`).join('\n')}
   }
 
   // Build context keys section from config
-  const contextKeys = config.context_keys || [];
+  const contextKeys = [...(config.context_keys || [])];
+  if (options.knowledgeBase) {
+    contextKeys.push({
+      key: `${KNOWLEDGE_BASE.CONTEXT_KEY_PREFIX}<search terms>`,
+      description: `Search the business's documents (catalogue, manuals, detailed policies), e.g. "${KNOWLEDGE_BASE.CONTEXT_KEY_PREFIX}warranty on laptops"`,
+    });
+  }
   let contextSection = '';
   if (contextKeys.length > 0) {
     contextSection = `**Context Fetching**: Use needs_more_context to request:
@@ -529,7 +563,7 @@ ${rulesSection}
     languageSection = `\n\n**Language**: Respond in ${langName}. Assessment must remain in English.`;
   }
 
-  return prompt + selfAssessmentInstructions + languageSection;
+  return prompt + buildResponseBlocksSection(tools) + selfAssessmentInstructions + languageSection;
 }
 
 // Legacy exports for backwards compatibility
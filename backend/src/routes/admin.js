@@ -2,6 +2,7 @@ import express from 'express';
 import { Admin } from '../models/Admin.js';
 import { Client } from '../models/Client.js';
 import { authenticateAdmin, generateToken } from '../middleware/adminAuth.js';
+import { auditTrail } from '../middleware/auditTrail.js';
 import conversationService from '../services/conversationService.js';
 import { HTTP_STATUS } from '../config/constants.js';
 
@@ -11,11 +12,21 @@ import toolsRouter from './admin/tools.js';
 import conversationsRouter from './admin/conversations.js';
 import integrationsRouter from './admin/integrations.js';
 import analyticsRouter from './admin/analytics.js';
-import billingRouter from './admin/billing.js';
+import billingRouter, { handlePaymentWebhook } from './admin/billing.js';
 import usageRouter from './admin/usage.js';
 import plansRouter from './admin/plans.js';
 import escalationsRouter from './admin/escalations.js';
 import promptConfigRouter from './admin/promptConfig.js';
+import knowledgeRouter from './admin/knowledge.js';
+import toolPoliciesRouter from './admin/toolPolicies.js';
+import auditRouter from './admin/audit.js';
+import privacyRouter from './admin/privacy.js';
+import testScenariosRouter from './admin/testScenarios.js';
+import llmFailoverRouter from './admin/llmFailover.js';
+import answerCacheRouter from './admin/answerCache.js';
+import promptExperimentsRouter from './admin/promptExperiments.js';
+import planChangesRouter from './admin/planChanges.js';
+import spendingRouter from './admin/spending.js';
 
 const router = express.Router();
 
@@ -83,11 +94,20 @@ router.post('/logout', authenticateAdmin, (req, res) => {
   res.json({ message: 'Logged out successfully' });
 });
 
+/**
+ * POST /admin/billing/webhook
+ * Payment provider webhooks (verified by provider signature, not admin JWT)
+ */
+router.post('/billing/webhook', handlePaymentWebhook);
+
 // =====================================================
 // All routes below require authentication
 // =====================================================
 router.use(authenticateAdmin);
 
+// Record every configuration change below in the audit log
+router.use(auditTrail('admin'));
+
 // =====================================================
 // MOUNT SUB-ROUTERS
 // =====================================================
@@ -131,6 +151,36 @@ router.use('/', promptConfigRouter);
 router.use('/escalations', escalationsRouter);
 router.use('/', escalationsRouter); // For /clients/:clientId/escalations routes
 
+// Knowledge base routes - /admin/knowledge/:id and /admin/clients/:clientId/knowledge/*
+router.use('/', knowledgeRouter);
+
+// Tool policy routes - /admin/clients/:clientId/tool-policies/*
+router.use('/', toolPoliciesRouter);
+
+// Data retention and end-user data requests - /admin/clients/:clientId/privacy/*
+router.use('/', privacyRouter);
+
+// Conversation replay tests - /admin/clients/:clientId/test-scenarios/*
+router.use('/', testScenariosRouter);
+
+// LLM fallback chains and provider health - /admin/clients/:clientId/llm-failover, /admin/llm/*
+router.use('/', llmFailoverRouter);
+
+// Answer cache settings - /admin/clients/:clientId/answer-cache
+router.use('/', answerCacheRouter);
+
+// Prompt A/B experiments - /admin/clients/:clientId/prompt-experiments/*
+router.use('/', promptExperimentsRouter);
+
+// Plan changes and customer upgrade requests - /admin/clients/:clientId/plan-changes/*, /admin/plan-change-requests
+router.use('/', planChangesRouter);
+
+// Spending limits and prepaid credits - /admin/clients/:clientId/spending, /admin/clients/:clientId/credits
+router.use('/', spendingRouter);
+
+// Audit log routes - /admin/audit-logs/* (super admins only)
+router.use('/audit-logs', auditRouter);
+
 // =====================================================
 // TEST CHAT ROUTE
 // =====================================================
@@ -1,6 +1,7 @@
 import express from 'express';
 import { db } from '../../db.js';
 import { HTTP_STATUS } from '../../config/constants.js';
+import feedbackService from '../../services/feedbackService.js';
 
 const router = express.Router();
 
@@ -168,4 +169,22 @@ router.get('/conversations', async (req, res) => {
   }
 });
 
+/**
+ * GET /admin/stats/csat
+ * Customer satisfaction (thumbs up/down and conversation ratings) with daily
+ * trend and breakdowns by tool and reasoning mode
+ * Query: clientId (optional, all clients by default), days (default 30)
+ */
+router.get('/csat', async (req, res) => {
+  try {
+    const clientId = req.query.clientId ? parseInt(req.query.clientId, 10) : null;
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+
+    res.json(await feedbackService.getCsatStats(clientId, days));
+  } catch (error) {
+    console.error('[Admin] Get CSAT stats error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: 'Failed to get CSAT stats' });
+  }
+});
+
 export default router;
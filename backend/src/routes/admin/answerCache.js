@@ -0,0 +1,67 @@
+import express from 'express';
+import { HTTP_STATUS } from '../../config/constants.js';
+import { Client } from '../../models/Client.js';
+import answerCacheService, { AnswerCacheError } from '../../services/answerCacheService.js';
+
+const router = express.Router();
+
+/**
+ * Map service errors to responses
+ */
+function handleAnswerCacheError(res, error, fallback) {
+  if (error instanceof AnswerCacheError) {
+    const status = error.code === 'not_found' ? HTTP_STATUS.NOT_FOUND : HTTP_STATUS.BAD_REQUEST;
+    return res.status(status).json({ error: error.message });
+  }
+  console.error(`[Admin] ${fallback} error:`, error);
+  return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: `Failed to ${fallback}` });
+}
+
+/**
+ * GET /admin/clients/:clientId/answer-cache
+ * Settings and cached answer count: { settings: { enabled, similarity, threshold, ttl_hours }, entries }
+ */
+router.get('/clients/:clientId/answer-cache', async (req, res) => {
+  try {
+    const client = await Client.findById(req.params.clientId);
+    if (!client) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Client not found' });
+    }
+
+    res.json(await answerCacheService.getStatus(client));
+  } catch (error) {
+    handleAnswerCacheError(res, error, 'get answer cache');
+  }
+});
+
+/**
+ * PUT /admin/clients/:clientId/answer-cache
+ * Body: { settings: { enabled, similarity, threshold, ttl_hours } }
+ */
+router.put('/clients/:clientId/answer-cache', async (req, res) => {
+  try {
+    res.json(await answerCacheService.updateSettings(req.params.clientId, req.body?.settings));
+  } catch (error) {
+    handleAnswerCacheError(res, error, 'update answer cache');
+  }
+});
+
+/**
+ * DELETE /admin/clients/:clientId/answer-cache
+ * Remove every cached answer of the client
+ */
+router.delete('/clients/:clientId/answer-cache', async (req, res) => {
+  try {
+    const client = await Client.findById(req.params.clientId);
+    if (!client) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Client not found' });
+    }
+
+    await answerCacheService.clear(client.id);
+    res.json(await answerCacheService.getStatus(client));
+  } catch (error) {
+    handleAnswerCacheError(res, error, 'clear answer cache');
+  }
+});
+
+export default router;
@@ -0,0 +1,58 @@
+import express from 'express';
+import { HTTP_STATUS } from '../../config/constants.js';
+import { requireRole } from '../../middleware/adminAuth.js';
+import auditService from '../../services/auditService.js';
+
+const router = express.Router();
+
+// The audit log shows every admin's and customer's changes
+router.use(requireRole('super_admin'));
+
+/**
+ * GET /admin/audit-logs
+ * Search the audit log, newest first
+ * Query: clientId, actorType, actorId, action, targetType, targetId, from, to, search, page, limit
+ */
+router.get('/', async (req, res) => {
+  try {
+    res.json(await auditService.search(req.query));
+  } catch (error) {
+    console.error('[Admin] Get audit log error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: 'Failed to get audit log' });
+  }
+});
+
+/**
+ * GET /admin/audit-logs/facets
+ * Recorded actions and target types (for filters)
+ */
+router.get('/facets', async (req, res) => {
+  try {
+    res.json(await auditService.getFacets());
+  } catch (error) {
+    console.error('[Admin] Get audit facets error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: 'Failed to get audit filters' });
+  }
+});
+
+/**
+ * GET /admin/audit-logs/export
+ * Export matching entries as CSV (same filters as the list)
+ */
+router.get('/export', async (req, res) => {
+  try {
+    const csv = await auditService.exportCsv(req.query);
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename=audit-log-${new Date().toISOString().split('T')[0]}.csv`
+    );
+    res.send(csv);
+  } catch (error) {
+    console.error('[Admin] Export audit log error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: 'Failed to export audit log' });
+  }
+});
+
+export default router;
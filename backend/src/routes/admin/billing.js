@@ -1,11 +1,61 @@
 import express from 'express';
 import { Invoice } from '../../models/Invoice.js';
 import { Client } from '../../models/Client.js';
-import { BillingService } from '../../services/billingService.js';
+import { BillingService, BillingError } from '../../services/billingService.js';
+import { PaymentProviderError } from '../../services/payments/index.js';
+import { getActor } from '../../middleware/auditTrail.js';
 import { HTTP_STATUS } from '../../config/constants.js';
 
 const router = express.Router();
 
+// Invoice statuses that can still be charged through a payment provider
+const CHARGEABLE_STATUSES = ['pending', 'overdue', 'payment_failed'];
+
+/**
+ * Map payment provider errors to HTTP status codes
+ * @param {Error} error
+ * @returns {number}
+ */
+function paymentErrorStatus(error) {
+  if (!(error instanceof PaymentProviderError)) {
+    return HTTP_STATUS.INTERNAL_SERVER_ERROR;
+  }
+  if (error.code === 'not_configured') return HTTP_STATUS.SERVICE_UNAVAILABLE;
+  if (error.code === 'invalid_signature') return HTTP_STATUS.BAD_REQUEST;
+  return HTTP_STATUS.BAD_GATEWAY;
+}
+
+/**
+ * Map invoicing errors to HTTP status codes
+ * @param {Error} error
+ * @returns {number}
+ */
+function billingErrorStatus(error) {
+  if (!(error instanceof BillingError)) return HTTP_STATUS.INTERNAL_SERVER_ERROR;
+  return error.code === 'not_found' ? HTTP_STATUS.NOT_FOUND : HTTP_STATUS.BAD_REQUEST;
+}
+
+/**
+ * POST /admin/billing/webhook
+ * Handle webhook from payment providers. Mounted before admin auth in
+ * routes/admin.js - requests are authenticated by their provider signature.
+ * Query: ?provider=stripe|fake (defaults to PAYMENT_PROVIDER)
+ */
+export async function handlePaymentWebhook(req, res) {
+  try {
+    const result = await BillingService.handleWebhook(req.query.provider, {
+      rawBody: req.rawBody,
+      headers: req.headers,
+    });
+    res.json(result);
+  } catch (error) {
+    console.error('[Admin] Billing webhook error:', error.message);
+    res
+      .status(paymentErrorStatus(error))
+      .json({ error: 'Webhook processing failed', message: error.message });
+  }
+}
+
 /**
  * GET /admin/clients/:id/invoices
  * Get all invoices for a specific client
@@ -48,11 +98,11 @@ router.get('/invoices', async (req, res) => {
 
 /**
  * GET /admin/billing/invoices/:id
- * Get invoice details by ID
+ * Get invoice details by ID, with line items, credit notes and seller details
  */
 router.get('/invoices/:id', async (req, res) => {
   try {
-    const invoice = await Invoice.findById(req.params.id);
+    const invoice = await BillingService.getInvoiceDetails(req.params.id);
     if (!invoice) {
       return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Invoice not found' });
     }
@@ -60,6 +110,7 @@ router.get('/invoices/:id', async (req, res) => {
     const client = await Client.findById(invoice.client_id);
     invoice.client_name = client?.name;
     invoice.client_domain = client?.domain;
+    invoice.seller = BillingService.getSellerDetails();
 
     res.json(invoice);
   } catch (error) {
@@ -68,13 +119,35 @@ router.get('/invoices/:id', async (req, res) => {
   }
 });
 
+/**
+ * POST /admin/billing/invoices/:id/credit-notes
+ * Issue a credit note. Body: { amount, reason } - amount before tax, omit to credit the rest
+ */
+router.post('/invoices/:id/credit-notes', async (req, res) => {
+  try {
+    const { amount = null, reason } = req.body || {};
+    const result = await BillingService.createCreditNote(
+      req.params.id,
+      { amount, reason },
+      getActor('admin', req)
+    );
+    res.status(HTTP_STATUS.CREATED).json(result);
+  } catch (error) {
+    console.error('[Admin] Create credit note error:', error);
+    res
+      .status(billingErrorStatus(error))
+      .json({ error: 'Failed to create credit note', message: error.message });
+  }
+});
+
 /**
  * POST /admin/billing/generate
  * Generate invoice(s) for a billing period
+ * Body: { clientId, billingPeriod, force, adjustments } - adjustments only for a single client
  */
 router.post('/generate', async (req, res) => {
   try {
-    const { clientId, billingPeriod, force = false } = req.body;
+    const { clientId, billingPeriod, force = false, adjustments = [] } = req.body;
 
     if (!billingPeriod) {
       return res
@@ -89,7 +162,9 @@ router.post('/generate', async (req, res) => {
     }
 
     if (clientId) {
-      const result = await BillingService.generateInvoice(clientId, billingPeriod, force);
+      const result = await BillingService.generateInvoice(clientId, billingPeriod, force, {
+        adjustments,
+      });
       res.status(HTTP_STATUS.CREATED).json(result);
     } else {
       const results = await BillingService.generateInvoicesForAllClients(billingPeriod);
@@ -101,7 +176,7 @@ router.post('/generate', async (req, res) => {
   } catch (error) {
     console.error('[Admin] Generate invoice error:', error);
     res
-      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .status(billingErrorStatus(error))
       .json({ error: 'Failed to generate invoice', message: error.message });
   }
 });
@@ -152,7 +227,7 @@ router.post('/invoices/:id/cancel', async (req, res) => {
 
 /**
  * POST /admin/billing/invoices/:id/charge
- * Charge invoice via payment provider (placeholder)
+ * Create a payment intent for the invoice with the configured payment provider
  */
 router.post('/invoices/:id/charge', async (req, res) => {
   try {
@@ -165,39 +240,83 @@ router.post('/invoices/:id/charge', async (req, res) => {
       return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: 'Invoice is already paid' });
     }
 
+    if (!CHARGEABLE_STATUSES.includes(invoice.status)) {
+      return res
+        .status(HTTP_STATUS.BAD_REQUEST)
+        .json({ error: `Invoice cannot be charged (status: ${invoice.status})` });
+    }
+
+    // Credit notes reduce what is left to pay
+    const amountDue = BillingService.roundToCents(
+      parseFloat(invoice.total_cost) - (parseFloat(invoice.amount_credited) || 0)
+    );
     const paymentIntent = await BillingService.createPaymentIntent(
       invoice.id,
-      invoice.total_cost,
-      'USD'
+      amountDue,
+      invoice.currency || 'USD',
+      { provider: req.body?.provider }
     );
 
     res.json({
-      message: 'Payment intent created (placeholder)',
+      message: 'Payment intent created',
       paymentIntent,
-      note: 'Payment provider integration not yet implemented. Use mark-paid for manual payments.',
     });
   } catch (error) {
     console.error('[Admin] Charge invoice error:', error);
     res
-      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .status(paymentErrorStatus(error))
       .json({ error: 'Failed to charge invoice', message: error.message });
   }
 });
 
 /**
- * POST /admin/billing/webhook
- * Handle webhook from payment providers (placeholder)
+ * GET /admin/billing/invoices/:id/payment-status
+ * Poll the payment provider and apply any change to the invoice
  */
-router.post('/webhook', async (req, res) => {
+router.get('/invoices/:id/payment-status', async (req, res) => {
   try {
-    const { provider = 'stripe' } = req.query;
-    const result = await BillingService.handleWebhook(provider, req.body);
+    const invoice = await Invoice.findById(req.params.id);
+    if (!invoice) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Invoice not found' });
+    }
+
+    const result = await BillingService.syncPaymentStatus(invoice.id);
     res.json(result);
   } catch (error) {
-    console.error('[Admin] Billing webhook error:', error);
+    console.error('[Admin] Payment status error:', error);
     res
-      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
-      .json({ error: 'Webhook processing failed', message: error.message });
+      .status(paymentErrorStatus(error))
+      .json({ error: 'Failed to get payment status', message: error.message });
+  }
+});
+
+/**
+ * POST /admin/billing/invoices/:id/refund
+ * Refund a paid invoice. Body: { amount } (omit for a full refund)
+ */
+router.post('/invoices/:id/refund', async (req, res) => {
+  try {
+    const { amount } = req.body || {};
+    const refundAmount = amount === undefined || amount === null ? null : Number(amount);
+
+    if (refundAmount !== null && !(refundAmount > 0)) {
+      return res
+        .status(HTTP_STATUS.BAD_REQUEST)
+        .json({ error: 'Refund amount must be a positive number' });
+    }
+
+    const invoice = await Invoice.findById(req.params.id);
+    if (!invoice) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Invoice not found' });
+    }
+
+    const result = await BillingService.refundPayment(invoice.id, refundAmount);
+    res.json(result);
+  } catch (error) {
+    console.error('[Admin] Refund invoice error:', error);
+    res
+      .status(error instanceof BillingError ? billingErrorStatus(error) : paymentErrorStatus(error))
+      .json({ error: 'Failed to refund invoice', message: error.message });
   }
 });
 
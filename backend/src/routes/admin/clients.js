@@ -1,9 +1,10 @@
 import express from 'express';
 import { Client } from '../../models/Client.js';
 import { Invoice } from '../../models/Invoice.js';
-import { BillingService } from '../../services/billingService.js';
+import planChangeService, { PlanChangeError } from '../../services/planChangeService.js';
+import { getActor } from '../../middleware/auditTrail.js';
 import { db } from '../../db.js';
-import { HTTP_STATUS } from '../../config/constants.js';
+import { HTTP_STATUS, INVOICING } from '../../config/constants.js';
 
 const router = express.Router();
 
@@ -109,12 +110,28 @@ router.put('/:id', async (req, res) => {
       widget_config,
       business_info,
       language,
+      billing_currency,
+      tax_rate,
+      tax_id,
+      billing_country,
+      billing_address,
     } = req.body;
     const updates = {};
 
+    if (billing_currency !== undefined && !INVOICING.CURRENCIES.includes(billing_currency)) {
+      return res
+        .status(HTTP_STATUS.BAD_REQUEST)
+        .json({ error: `Billing currency must be one of ${INVOICING.CURRENCIES.join(', ')}` });
+    }
+    const taxRate = tax_rate === undefined || tax_rate === '' ? undefined : Number(tax_rate);
+    if (taxRate !== undefined && !(taxRate >= 0 && taxRate <= INVOICING.MAX_TAX_RATE)) {
+      return res
+        .status(HTTP_STATUS.BAD_REQUEST)
+        .json({ error: `Tax rate must be between 0 and ${INVOICING.MAX_TAX_RATE} percent` });
+    }
+
     if (name !== undefined) updates.name = name;
     if (domain !== undefined) updates.domain = domain;
-    if (plan_type !== undefined) updates.plan_type = plan_type;
     if (status !== undefined) updates.status = status;
     if (email !== undefined) updates.email = email;
     if (llm_provider !== undefined) updates.llm_provider = llm_provider;
@@ -123,14 +140,36 @@ router.put('/:id', async (req, res) => {
     if (widget_config !== undefined) updates.widget_config = widget_config;
     if (business_info !== undefined) updates.business_info = business_info;
     if (language !== undefined) updates.language = language;
+    if (billing_currency !== undefined) updates.billing_currency = billing_currency;
+    if (taxRate !== undefined) updates.tax_rate = taxRate;
+    if (tax_id !== undefined) updates.tax_id = tax_id || null;
+    if (billing_country !== undefined) {
+      updates.billing_country = billing_country ? billing_country.toUpperCase().slice(0, 2) : null;
+    }
+    if (billing_address !== undefined) updates.billing_address = billing_address || null;
 
-    const client = await Client.update(req.params.id, updates);
-    if (!client) {
+    const existing = await Client.findById(req.params.id);
+    if (!existing) {
       return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Client not found' });
     }
 
+    // A plan set here is an admin override: recorded as a plan change taking effect now
+    if (plan_type !== undefined && plan_type !== existing.plan_type) {
+      await planChangeService.changePlan(existing.id, plan_type, getActor('admin', req), {
+        immediate: true,
+      });
+    }
+
+    const client =
+      Object.keys(updates).length > 0
+        ? await Client.update(req.params.id, updates)
+        : await Client.findById(req.params.id);
+
     res.json(client);
   } catch (error) {
+    if (error instanceof PlanChangeError) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: error.message });
+    }
     console.error('[Admin] Update client error:', error);
     console.error('[Admin] Error stack:', error.stack);
     res
@@ -297,86 +336,40 @@ router.post('/:id/access-code', async (req, res) => {
 
 /**
  * POST /admin/clients/:id/upgrade-plan
- * Upgrade/downgrade client plan with prorating
+ * Change client plan. Body: { newPlan, immediate }
+ * Upgrades apply now; downgrades are scheduled for the start of the next
+ * billing period unless immediate is set. Invoices prorate the base cost and
+ * bill usage at the plan active on each day.
  */
 router.post('/:id/upgrade-plan', async (req, res) => {
   try {
-    const { newPlan } = req.body;
+    const { newPlan, immediate = false } = req.body;
 
     if (!newPlan) {
       return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: 'New plan type is required' });
     }
 
-    const client = await Client.findById(req.params.id);
-    if (!client) {
-      return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Client not found' });
-    }
-
-    const oldPlan = client.plan_type;
-
-    if (oldPlan === newPlan) {
-      return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: 'Client is already on this plan' });
-    }
-
-    const now = new Date();
-    const currentMonth = now.getMonth();
-    const currentYear = now.getFullYear();
-    const daysInMonth = new Date(currentYear, currentMonth + 1, 0).getDate();
-    const daysRemaining = daysInMonth - now.getDate() + 1;
-    const prorateRatio = daysRemaining / daysInMonth;
-
-    const oldPricing = BillingService.getPricingConfig(oldPlan);
-    const newPricing = BillingService.getPricingConfig(newPlan);
-
-    const unusedOldPlanAmount = oldPricing.baseCost * prorateRatio;
-    const proratedNewPlanAmount = newPricing.baseCost * prorateRatio;
-    const proratedDifference = proratedNewPlanAmount - unusedOldPlanAmount;
-
-    const updatedClient = await Client.update(req.params.id, { plan_type: newPlan });
-
-    let prorateNote = '';
-    if (Math.abs(proratedDifference) > 0.01) {
-      if (proratedDifference > 0) {
-        prorateNote = `Prorated charge of $${proratedDifference.toFixed(2)} for ${daysRemaining} days at new rate.`;
-
-        const billingPeriod = `${currentYear}-${String(currentMonth + 1).padStart(2, '0')}`;
-        try {
-          await Invoice.create({
-            clientId: client.id,
-            billingPeriod,
-            planType: newPlan,
-            baseCost: proratedDifference,
-            usageCost: 0,
-            totalCost: proratedDifference,
-            status: 'pending',
-            dueDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
-            notes: `Prorated charge for plan upgrade from ${oldPlan} to ${newPlan} on ${now.toISOString().split('T')[0]}`,
-          });
-        } catch (err) {
-          console.error('[Admin] Failed to create prorated invoice:', err);
-        }
-      } else {
-        prorateNote = `Credit of $${Math.abs(proratedDifference).toFixed(2)} applied for unused ${oldPlan} plan time.`;
-      }
-    }
+    const { change, client, scheduled } = await planChangeService.changePlan(
+      req.params.id,
+      newPlan,
+      getActor('admin', req),
+      { immediate: Boolean(immediate) }
+    );
 
     res.json({
-      client: updatedClient,
-      message: `Plan changed from ${oldPlan} to ${newPlan}`,
-      effectiveDate: now.toISOString(),
-      prorating: {
-        daysRemaining,
-        daysInMonth,
-        prorateRatio: Math.round(prorateRatio * 100) / 100,
-        unusedOldPlanAmount: Math.round(unusedOldPlanAmount * 100) / 100,
-        proratedNewPlanAmount: Math.round(proratedNewPlanAmount * 100) / 100,
-        difference: Math.round(proratedDifference * 100) / 100,
-        note:
-          prorateNote ||
-          'No prorated charges apply (plans have same base cost or change at month start).',
-      },
+      client,
+      change,
+      scheduled,
+      message: scheduled
+        ? `Plan change from ${change.from_plan} to ${change.to_plan} scheduled`
+        : `Plan changed from ${change.from_plan} to ${change.to_plan}`,
+      effectiveDate: change.effective_at,
     });
   } catch (error) {
+    if (error instanceof PlanChangeError) {
+      const status = error.code === 'not_found' ? HTTP_STATUS.NOT_FOUND : HTTP_STATUS.BAD_REQUEST;
+      return res.status(status).json({ error: error.message });
+    }
     console.error('[Admin] Upgrade plan error:', error);
     res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: 'Failed to upgrade plan' });
   }
@@ -1,63 +1,63 @@
 import express from 'express';
-import { HTTP_STATUS } from '../../config/constants.js';
+import { HTTP_STATUS, LIMITS } from '../../config/constants.js';
 import { Conversation } from '../../models/Conversation.js';
 import { Message } from '../../models/Message.js';
 import { ToolExecution } from '../../models/ToolExecution.js';
 import { Client } from '../../models/Client.js';
+import { Escalation } from '../../models/Escalation.js';
+import liveAgentService, { LiveAgentError } from '../../services/liveAgentService.js';
+import feedbackService from '../../services/feedbackService.js';
+import conversationService from '../../services/conversationService.js';
+import attachmentService, { AttachmentError } from '../../services/attachmentService.js';
 import { db } from '../../db.js';
+import { createDebugMasker } from '../../utils/redaction.js';
 
 const router = express.Router();
 
+/**
+ * Mask personal data in debug messages when the client's redaction config asks for it
+ * Visible messages are the transcript itself and are left as they are.
+ * @param {Function|null} mask - From createDebugMasker()
+ */
+function maskDebugMessages(mask, messages) {
+  if (!mask) return messages;
+  return messages.map((msg) =>
+    msg.message_type && msg.message_type !== 'visible'
+      ? { ...msg, content: mask(msg.content), metadata: mask(msg.metadata) }
+      : msg
+  );
+}
+
+/**
+ * Mask personal data in tool call parameters and results (see maskDebugMessages)
+ */
+function maskToolExecutions(mask, toolExecutions) {
+  if (!mask) return toolExecutions;
+  return toolExecutions.map((exec) => ({
+    ...exec,
+    parameters: mask(exec.parameters),
+    n8n_response: mask(exec.n8n_response),
+  }));
+}
+
 /**
  * GET /admin/conversations
- * Get all conversations with pagination
+ * List conversations with pagination, newest first
+ * Query params:
+ *   - clientId, channel, provider, tool, status (active|ended), escalated (true|false), from, to
+ *   - search: full-text search in message content (also matches session ID / user identifier);
+ *     matching conversations include highlighted message snippets in `matches`
  */
 router.get('/', async (req, res) => {
   try {
-    const { clientId, page = 1, limit = 20 } = req.query;
-    const offset = (parseInt(page, 10) - 1) * parseInt(limit, 10);
-
-    let query = `
-      SELECT c.*, cl.name as client_name,
-        COALESCE(c.llm_provider, cl.llm_provider, 'ollama') as llm_provider,
-        COALESCE(c.model_name, cl.model_name) as model_name,
-        (SELECT COUNT(*) FROM messages WHERE conversation_id = c.id AND (message_type IS NULL OR message_type = 'visible')) as message_count,
-        (SELECT COUNT(*) FROM tool_executions WHERE conversation_id = c.id) as tool_call_count,
-        CASE WHEN c.ended_at IS NULL THEN 'active' ELSE 'ended' END as status
-      FROM conversations c
-      LEFT JOIN clients cl ON c.client_id = cl.id
-    `;
-    const params = [];
-
-    if (clientId && clientId !== 'all') {
-      query += ' WHERE c.client_id = $1';
-      params.push(clientId);
-    }
-
-    query +=
-      ' ORDER BY c.started_at DESC LIMIT $' +
-      (params.length + 1) +
-      ' OFFSET $' +
-      (params.length + 2);
-    params.push(parseInt(limit, 10), offset);
-
-    const result = await db.query(query, params);
-
-    let countQuery = 'SELECT COUNT(*) FROM conversations';
-    const countParams = [];
-    if (clientId && clientId !== 'all') {
-      countQuery += ' WHERE client_id = $1';
-      countParams.push(clientId);
-    }
-    const countResult = await db.query(countQuery, countParams);
-    const totalCount = parseInt(countResult.rows[0].count, 10);
+    const result = await conversationService.searchConversations(req.query);
 
     res.json({
-      conversations: result.rows,
-      page: parseInt(page, 10),
-      limit: parseInt(limit, 10),
-      totalCount,
-      totalPages: Math.ceil(totalCount / parseInt(limit, 10)),
+      conversations: result.conversations,
+      page: result.page,
+      limit: result.limit,
+      totalCount: result.total,
+      totalPages: result.totalPages,
     });
   } catch (error) {
     console.error('[Admin] Get conversations error:', error);
@@ -132,9 +132,13 @@ router.get('/:id', async (req, res) => {
     conversation.model_name = conversation.model_name || client?.model_name || null;
 
     // Get messages - with or without debug messages
-    const messages = includeDebug
-      ? await Message.getAllWithDebug(conversation.id, true)
-      : await Message.getAll(conversation.id);
+    const maskDebug = createDebugMasker(client?.redaction_config);
+    const messages = maskDebugMessages(
+      maskDebug,
+      includeDebug
+        ? await Message.getAllWithDebug(conversation.id, true)
+        : await Message.getAll(conversation.id)
+    );
 
     // Always get full message counts for the metadata cards (regardless of debug mode)
     const allMessages = await Message.getAllWithDebug(conversation.id, true);
@@ -160,8 +164,13 @@ router.get('/:id', async (req, res) => {
     });
 
     conversation.tokens_total = cumulativeTokens;
+    conversation.agent = await liveAgentService.getAgentStatus(conversation.id);
+    conversation.feedback = await feedbackService.getConversationFeedback(conversation.id);
 
-    const toolExecutions = await ToolExecution.getByConversation(conversation.id);
+    const toolExecutions = maskToolExecutions(
+      maskDebug,
+      await ToolExecution.getByConversation(conversation.id)
+    );
     conversation.tool_executions = toolExecutions.map((exec) => ({
       id: exec.id,
       tool_name: exec.tool_name,
@@ -215,6 +224,26 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+/**
+ * GET /admin/conversations/:id/attachments/:attachmentId
+ * Download a file the customer sent in this conversation
+ */
+router.get('/:id/attachments/:attachmentId', async (req, res) => {
+  try {
+    const attachment = await attachmentService.getForDownload(
+      req.params.id,
+      req.params.attachmentId
+    );
+    attachmentService.sendFile(res, attachment);
+  } catch (error) {
+    if (error instanceof AttachmentError) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({ error: error.message });
+    }
+    console.error('[Admin] Download attachment error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: 'Failed to download attachment' });
+  }
+});
+
 /**
  * GET /admin/conversations/:id/export
  * Export a single conversation as CSV or text for debugging
@@ -237,11 +266,18 @@ router.get('/:id/export', async (req, res) => {
     conversation.llm_provider = conversation.llm_provider || client?.llm_provider || 'ollama';
     conversation.model_name = conversation.model_name || client?.model_name || null;
 
-    const messages = includeDebug
-      ? await Message.getAllWithDebug(conversation.id, true)
-      : await Message.getAll(conversation.id);
+    const maskDebug = createDebugMasker(client?.redaction_config);
+    const messages = maskDebugMessages(
+      maskDebug,
+      includeDebug
+        ? await Message.getAllWithDebug(conversation.id, true)
+        : await Message.getAll(conversation.id)
+    );
 
-    const toolExecutions = await ToolExecution.getByConversation(conversation.id);
+    const toolExecutions = maskToolExecutions(
+      maskDebug,
+      await ToolExecution.getByConversation(conversation.id)
+    );
 
     if (format === 'text') {
       // Plain text format for easy copy/paste
@@ -389,4 +425,85 @@ router.get('/:id/export', async (req, res) => {
   }
 });
 
+/**
+ * POST /admin/conversations/:id/agent-messages
+ * Reply to the customer as a human agent. Requires an open escalation;
+ * sending takes the conversation over from the AI.
+ * Body: { content }
+ */
+router.post('/:id/agent-messages', async (req, res) => {
+  try {
+    const { content } = req.body;
+    if (typeof content !== 'string' || !content.trim()) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: 'Message content is required' });
+    }
+    if (content.length > LIMITS.AGENT_MESSAGE_MAX) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        error: `Message too long (max ${LIMITS.AGENT_MESSAGE_MAX} characters)`,
+      });
+    }
+
+    const conversation = await Conversation.findById(req.params.id);
+    if (!conversation) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Conversation not found' });
+    }
+
+    const escalation = await Escalation.findByConversation(conversation.id);
+    if (!escalation) {
+      return res
+        .status(HTTP_STATUS.BAD_REQUEST)
+        .json({ error: 'Conversation has not been escalated' });
+    }
+
+    const result = await liveAgentService.sendAgentMessage(
+      escalation,
+      content.trim(),
+      req.admin?.username || null
+    );
+
+    res.status(HTTP_STATUS.CREATED).json({
+      message: liveAgentService.formatMessage(result.message),
+      agent: await liveAgentService.getAgentStatus(conversation.id),
+      delivery: result.delivery,
+    });
+  } catch (error) {
+    if (error instanceof LiveAgentError) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: error.message });
+    }
+    console.error('[Admin] Send agent message error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: 'Failed to send message' });
+  }
+});
+
+/**
+ * POST /admin/conversations/:id/hand-back
+ * Resolve the conversation's escalation so the AI answers again
+ */
+router.post('/:id/hand-back', async (req, res) => {
+  try {
+    const conversation = await Conversation.findById(req.params.id);
+    if (!conversation) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Conversation not found' });
+    }
+
+    const escalation = await Escalation.findByConversation(conversation.id);
+    if (!escalation) {
+      return res
+        .status(HTTP_STATUS.BAD_REQUEST)
+        .json({ error: 'Conversation has not been escalated' });
+    }
+
+    await liveAgentService.handBack(escalation, req.admin?.username || null);
+    res.json({ agent: await liveAgentService.getAgentStatus(conversation.id) });
+  } catch (error) {
+    if (error instanceof LiveAgentError) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: error.message });
+    }
+    console.error('[Admin] Hand back conversation error:', error);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json({ error: 'Failed to hand back conversation' });
+  }
+});
+
 export default router;
@@ -1,8 +1,11 @@
 import express from 'express';
 import { HTTP_STATUS } from '../../config/constants.js';
-import { Escalation } from '../../models/Escalation.js';
+import { Escalation, NOTIFICATION_COUNTS_SQL } from '../../models/Escalation.js';
 import { Conversation } from '../../models/Conversation.js';
+import { EscalationNotification } from '../../models/EscalationNotification.js';
 import escalationService from '../../services/escalationService.js';
+import liveAgentService from '../../services/liveAgentService.js';
+import webhookService from '../../services/webhookService.js';
 import { db } from '../../db.js';
 
 const router = express.Router();
@@ -30,7 +33,8 @@ router.get('/', async (req, res) => {
         SELECT
           e.*,
           c.session_id,
-          cl.name as client_name
+          cl.name as client_name,
+          ${NOTIFICATION_COUNTS_SQL}
         FROM escalations e
         JOIN conversations c ON e.conversation_id = c.id
         JOIN clients cl ON e.client_id = cl.id
@@ -75,6 +79,7 @@ router.get('/:id', async (req, res) => {
     if (!escalation) {
       return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Escalation not found' });
     }
+    escalation.notifications = await EscalationNotification.findByEscalation(escalation.id);
     res.json(escalation);
   } catch (error) {
     console.error('[Admin] Get escalation error:', error);
@@ -106,6 +111,14 @@ router.put('/:id/status', async (req, res) => {
     // Update conversation status if resolved/cancelled
     if (status === 'resolved' || status === 'cancelled') {
       await Conversation.updateStatus(escalation.conversation_id, 'active');
+      await liveAgentService.resetAIContext(escalation.conversation_id);
+    }
+    if (status === 'resolved') {
+      webhookService.emit(
+        escalation.client_id,
+        'escalation.resolved',
+        webhookService.escalationData(escalation)
+      );
     }
 
     res.json(escalation);
@@ -129,6 +142,7 @@ router.post('/:id/resolve', async (req, res) => {
     if (!escalation) {
       return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Escalation not found' });
     }
+    await liveAgentService.resetAIContext(escalation.conversation_id);
 
     res.json(escalation);
   } catch (error) {
@@ -148,6 +162,7 @@ router.post('/:id/cancel', async (req, res) => {
     if (!escalation) {
       return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Escalation not found' });
     }
+    await liveAgentService.resetAIContext(escalation.conversation_id);
 
     res.json(escalation);
   } catch (error) {
@@ -156,6 +171,27 @@ router.post('/:id/cancel', async (req, res) => {
   }
 });
 
+/**
+ * POST /admin/escalations/:id/notifications/retry
+ * Resend failed notifications for an escalation now
+ */
+router.post('/:id/notifications/retry', async (req, res) => {
+  try {
+    const notifications = await escalationService.resendFailedNotifications(req.params.id);
+
+    if (!notifications) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Escalation not found' });
+    }
+
+    res.json({ notifications });
+  } catch (error) {
+    console.error('[Admin] Retry escalation notifications error:', error);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json({ error: 'Failed to retry notifications', message: error.message });
+  }
+});
+
 /**
  * GET /admin/clients/:clientId/escalations/stats
  * Get escalation statistics for a specific client
@@ -0,0 +1,180 @@
+import express from 'express';
+import { HTTP_STATUS, KNOWLEDGE_BASE } from '../../config/constants.js';
+import { Client } from '../../models/Client.js';
+import { KnowledgeDocument } from '../../models/KnowledgeDocument.js';
+import { KnowledgeChunk } from '../../models/KnowledgeChunk.js';
+import knowledgeBaseService from '../../services/knowledgeBaseService.js';
+
+const router = express.Router();
+
+/**
+ * Validate a document body, returning an error message or null
+ */
+function validateDocument({ title, source_type, content }, partial = false) {
+  if (!partial || title !== undefined) {
+    if (typeof title !== 'string' || !title.trim()) {
+      return 'Title is required';
+    }
+  }
+  if (!partial || source_type !== undefined) {
+    if (!KNOWLEDGE_BASE.SOURCE_TYPES.includes(source_type)) {
+      return `source_type must be one of: ${KNOWLEDGE_BASE.SOURCE_TYPES.join(', ')}`;
+    }
+  }
+  if (!partial || content !== undefined) {
+    if (typeof content !== 'string' || !content.trim()) {
+      return 'Content is required';
+    }
+  }
+  return null;
+}
+
+/**
+ * GET /admin/clients/:clientId/knowledge
+ * List a client's knowledge base documents
+ */
+router.get('/clients/:clientId/knowledge', async (req, res) => {
+  try {
+    const documents = await KnowledgeDocument.findByClient(req.params.clientId);
+    res.json(documents);
+  } catch (error) {
+    console.error('[Admin] Get knowledge documents error:', error);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json({ error: 'Failed to get knowledge documents' });
+  }
+});
+
+/**
+ * POST /admin/clients/:clientId/knowledge
+ * Add a document (markdown, HTML, PDF text or plain text) and index it
+ */
+router.post('/clients/:clientId/knowledge', async (req, res) => {
+  try {
+    const validationError = validateDocument(req.body);
+    if (validationError) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: validationError });
+    }
+
+    const client = await Client.findById(req.params.clientId);
+    if (!client) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Client not found' });
+    }
+
+    const { title, source_type, content, source_name } = req.body;
+    const document = await knowledgeBaseService.addDocument(client.id, {
+      title: title.trim(),
+      sourceType: source_type,
+      content,
+      sourceName: source_name || null,
+    });
+
+    res.status(HTTP_STATUS.CREATED).json(document);
+  } catch (error) {
+    console.error('[Admin] Create knowledge document error:', error);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json({ error: 'Failed to create knowledge document' });
+  }
+});
+
+/**
+ * POST /admin/clients/:clientId/knowledge/search
+ * Preview what adaptive mode would retrieve for a query
+ */
+router.post('/clients/:clientId/knowledge/search', async (req, res) => {
+  try {
+    const { query, limit } = req.body;
+    if (typeof query !== 'string' || !query.trim()) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: 'Query is required' });
+    }
+
+    const results = await knowledgeBaseService.search(parseInt(req.params.clientId, 10), query, {
+      limit: parseInt(limit, 10) || KNOWLEDGE_BASE.MAX_RESULTS,
+    });
+    res.json({ query, results });
+  } catch (error) {
+    console.error('[Admin] Search knowledge base error:', error);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json({ error: 'Failed to search knowledge base' });
+  }
+});
+
+/**
+ * GET /admin/knowledge/:id
+ * Get a document with its chunks
+ */
+router.get('/knowledge/:id', async (req, res) => {
+  try {
+    const document = await KnowledgeDocument.findById(req.params.id);
+    if (!document) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Document not found' });
+    }
+
+    const chunks = await KnowledgeChunk.findByDocument(document.id);
+    res.json({ ...document, chunks });
+  } catch (error) {
+    console.error('[Admin] Get knowledge document error:', error);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json({ error: 'Failed to get knowledge document' });
+  }
+});
+
+/**
+ * PUT /admin/knowledge/:id
+ * Update a document (re-indexed when its content changes)
+ */
+router.put('/knowledge/:id', async (req, res) => {
+  try {
+    const validationError = validateDocument(req.body, true);
+    if (validationError) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: validationError });
+    }
+
+    const document = await KnowledgeDocument.findById(req.params.id);
+    if (!document) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Document not found' });
+    }
+
+    const { title, source_type, content, source_name, enabled } = req.body;
+    const updated = await knowledgeBaseService.updateDocument(document, {
+      title: title?.trim(),
+      sourceType: source_type,
+      content,
+      sourceName: source_name,
+      enabled: enabled === undefined ? undefined : !!enabled,
+    });
+
+    res.json(updated);
+  } catch (error) {
+    console.error('[Admin] Update knowledge document error:', error);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json({ error: 'Failed to update knowledge document' });
+  }
+});
+
+/**
+ * DELETE /admin/knowledge/:id
+ * Delete a document and its chunks
+ */
+router.delete('/knowledge/:id', async (req, res) => {
+  try {
+    const document = await KnowledgeDocument.findById(req.params.id);
+    if (!document) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Document not found' });
+    }
+
+    await knowledgeBaseService.deleteDocument(document);
+    res.json({ message: 'Document deleted successfully' });
+  } catch (error) {
+    console.error('[Admin] Delete knowledge document error:', error);
+    res
+      .status(HTTP_STATUS.INTERNAL_SERVER_ERROR)
+      .json({ error: 'Failed to delete knowledge document' });
+  }
+});
+
+export default router;
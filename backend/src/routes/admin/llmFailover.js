@@ -0,0 +1,58 @@
+import express from 'express';
+import { HTTP_STATUS } from '../../config/constants.js';
+import { Client } from '../../models/Client.js';
+import llmService from '../../services/llmService.js';
+import llmFailoverService, { LlmFailoverError } from '../../services/llmFailoverService.js';
+
+const router = express.Router();
+
+/**
+ * Map service errors to responses
+ */
+function handleFailoverError(res, error, fallback) {
+  if (error instanceof LlmFailoverError) {
+    const status = error.code === 'not_found' ? HTTP_STATUS.NOT_FOUND : HTTP_STATUS.BAD_REQUEST;
+    return res.status(status).json({ error: error.message });
+  }
+  console.error(`[Admin] ${fallback} error:`, error);
+  return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: `Failed to ${fallback}` });
+}
+
+/**
+ * GET /admin/llm/health
+ * Circuit breaker state per provider: { [provider]: { state, requests, failures, openedAt } }
+ */
+router.get('/llm/health', (req, res) => {
+  res.json(llmService.getProviderHealth());
+});
+
+/**
+ * GET /admin/clients/:clientId/llm-failover
+ * Fallback chain: { primary, fallbacks: [{ provider, model }], providers, maxFallbacks, health }
+ */
+router.get('/clients/:clientId/llm-failover', async (req, res) => {
+  try {
+    const client = await Client.findById(req.params.clientId);
+    if (!client) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Client not found' });
+    }
+
+    res.json(llmFailoverService.getFailover(client));
+  } catch (error) {
+    handleFailoverError(res, error, 'get fallback providers');
+  }
+});
+
+/**
+ * PUT /admin/clients/:clientId/llm-failover
+ * Body: { fallbacks: [{ provider, model }] } - tried in order; model null uses the provider default
+ */
+router.put('/clients/:clientId/llm-failover', async (req, res) => {
+  try {
+    res.json(await llmFailoverService.updateFailover(req.params.clientId, req.body?.fallbacks));
+  } catch (error) {
+    handleFailoverError(res, error, 'update fallback providers');
+  }
+});
+
+export default router;
@@ -0,0 +1,119 @@
+import express from 'express';
+import { HTTP_STATUS } from '../../config/constants.js';
+import { Client } from '../../models/Client.js';
+import { PlanChange } from '../../models/PlanChange.js';
+import { getActor } from '../../middleware/auditTrail.js';
+import planChangeService, { PlanChangeError } from '../../services/planChangeService.js';
+
+const router = express.Router();
+
+/**
+ * Map service errors to responses
+ */
+function handlePlanChangeError(res, error, fallback) {
+  if (error instanceof PlanChangeError) {
+    const status = error.code === 'not_found' ? HTTP_STATUS.NOT_FOUND : HTTP_STATUS.BAD_REQUEST;
+    return res.status(status).json({ error: error.message });
+  }
+  console.error(`[Admin] ${fallback} error:`, error);
+  return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: `Failed to ${fallback}` });
+}
+
+/**
+ * GET /admin/plan-change-requests
+ * Customer upgrade requests awaiting review, oldest first (with client_name)
+ */
+router.get('/plan-change-requests', async (req, res) => {
+  try {
+    res.json(await PlanChange.findByStatus('requested'));
+  } catch (error) {
+    handlePlanChangeError(res, error, 'get plan change requests');
+  }
+});
+
+/**
+ * GET /admin/clients/:clientId/plan-changes
+ * { currentPlan, plans, openChange, changes } - changes newest first
+ */
+router.get('/clients/:clientId/plan-changes', async (req, res) => {
+  try {
+    const client = await Client.findById(req.params.clientId);
+    if (!client) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Client not found' });
+    }
+
+    res.json(await planChangeService.getPlanChanges(client));
+  } catch (error) {
+    handlePlanChangeError(res, error, 'get plan changes');
+  }
+});
+
+/**
+ * POST /admin/clients/:clientId/plan-changes
+ * Body: { plan, immediate, note } - upgrades apply now, downgrades at the start
+ * of the next billing period unless immediate is set
+ * Returns: { change, client, scheduled }
+ */
+router.post('/clients/:clientId/plan-changes', async (req, res) => {
+  try {
+    const { plan, immediate = false, note = null } = req.body || {};
+    const result = await planChangeService.changePlan(
+      req.params.clientId,
+      plan,
+      getActor('admin', req),
+      { immediate: Boolean(immediate), note }
+    );
+    res.status(HTTP_STATUS.CREATED).json(result);
+  } catch (error) {
+    handlePlanChangeError(res, error, 'change plan');
+  }
+});
+
+/**
+ * POST /admin/clients/:clientId/plan-changes/:id/approve
+ * Approve a customer request; the new plan applies from now
+ */
+router.post('/clients/:clientId/plan-changes/:id/approve', async (req, res) => {
+  try {
+    res.json(
+      await planChangeService.approve(req.params.clientId, req.params.id, getActor('admin', req))
+    );
+  } catch (error) {
+    handlePlanChangeError(res, error, 'approve plan change');
+  }
+});
+
+/**
+ * POST /admin/clients/:clientId/plan-changes/:id/reject
+ * Body: { note } - shown to the customer
+ */
+router.post('/clients/:clientId/plan-changes/:id/reject', async (req, res) => {
+  try {
+    res.json(
+      await planChangeService.reject(
+        req.params.clientId,
+        req.params.id,
+        getActor('admin', req),
+        req.body?.note ?? null
+      )
+    );
+  } catch (error) {
+    handlePlanChangeError(res, error, 'reject plan change');
+  }
+});
+
+/**
+ * POST /admin/clients/:clientId/plan-changes/:id/cancel
+ * Cancel a pending request or a scheduled downgrade
+ */
+router.post('/clients/:clientId/plan-changes/:id/cancel', async (req, res) => {
+  try {
+    res.json(
+      await planChangeService.cancel(req.params.clientId, req.params.id, getActor('admin', req))
+    );
+  } catch (error) {
+    handlePlanChangeError(res, error, 'cancel plan change');
+  }
+});
+
+export default router;
@@ -0,0 +1,143 @@
+import express from 'express';
+import { HTTP_STATUS } from '../../config/constants.js';
+import { Client } from '../../models/Client.js';
+import { getActor } from '../../middleware/auditTrail.js';
+import privacyService, { PrivacyError } from '../../services/privacyService.js';
+
+const router = express.Router();
+
+/**
+ * Map service errors to responses
+ */
+function handlePrivacyError(res, error, fallback) {
+  if (error instanceof PrivacyError) {
+    const status = error.code === 'not_found' ? HTTP_STATUS.NOT_FOUND : HTTP_STATUS.BAD_REQUEST;
+    return res.status(status).json({ error: error.message });
+  }
+  console.error(`[Admin] ${fallback} error:`, error);
+  return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: `Failed to ${fallback}` });
+}
+
+/**
+ * Load the client of the route or answer 404
+ */
+async function findClient(req, res) {
+  const client = await Client.findById(req.params.clientId);
+  if (!client) {
+    res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Client not found' });
+  }
+  return client;
+}
+
+/**
+ * GET /admin/clients/:clientId/privacy/retention
+ * Retention windows: { retention: { messages, debug_messages, tool_executions, escalations }, dataTypes, minDays, maxDays }
+ */
+router.get('/clients/:clientId/privacy/retention', async (req, res) => {
+  try {
+    const client = await findClient(req, res);
+    if (!client) return;
+
+    res.json(privacyService.getRetention(client));
+  } catch (error) {
+    handlePrivacyError(res, error, 'get retention settings');
+  }
+});
+
+/**
+ * PUT /admin/clients/:clientId/privacy/retention
+ * Body: { retention: { [dataType]: days | null } } - null keeps that data forever
+ */
+router.put('/clients/:clientId/privacy/retention', async (req, res) => {
+  try {
+    res.json(await privacyService.updateRetention(req.params.clientId, req.body?.retention));
+  } catch (error) {
+    handlePrivacyError(res, error, 'update retention settings');
+  }
+});
+
+/**
+ * GET /admin/clients/:clientId/privacy/redaction
+ * PII redaction: { redaction: { enabled, mask_debug, types, custom }, types, maxCustomRules }
+ */
+router.get('/clients/:clientId/privacy/redaction', async (req, res) => {
+  try {
+    const client = await findClient(req, res);
+    if (!client) return;
+
+    res.json(privacyService.getRedaction(client));
+  } catch (error) {
+    handlePrivacyError(res, error, 'get redaction settings');
+  }
+});
+
+/**
+ * PUT /admin/clients/:clientId/privacy/redaction
+ * Body: { redaction: { enabled, mask_debug, types: [], custom: [{ name, pattern }] } }
+ */
+router.put('/clients/:clientId/privacy/redaction', async (req, res) => {
+  try {
+    res.json(await privacyService.updateRedaction(req.params.clientId, req.body?.redaction));
+  } catch (error) {
+    handlePrivacyError(res, error, 'update redaction settings');
+  }
+});
+
+/**
+ * GET /admin/clients/:clientId/privacy/requests
+ * Export and erase history, newest first
+ * Query: page, limit
+ */
+router.get('/clients/:clientId/privacy/requests', async (req, res) => {
+  try {
+    res.json(await privacyService.listRequests(req.params.clientId, req.query));
+  } catch (error) {
+    handlePrivacyError(res, error, 'get data requests');
+  }
+});
+
+/**
+ * POST /admin/clients/:clientId/privacy/requests/export
+ * Export all data of an end user
+ * Body: { userIdentifier }
+ * Returns: { request, data }
+ */
+router.post('/clients/:clientId/privacy/requests/export', async (req, res) => {
+  try {
+    const client = await findClient(req, res);
+    if (!client) return;
+
+    const result = await privacyService.exportUserData(
+      client,
+      req.body?.userIdentifier,
+      getActor('admin', req)
+    );
+    res.json(result);
+  } catch (error) {
+    handlePrivacyError(res, error, 'export user data');
+  }
+});
+
+/**
+ * POST /admin/clients/:clientId/privacy/requests/erase
+ * Erase all data of an end user
+ * Body: { userIdentifier }
+ * Returns: the completed request with its report
+ */
+router.post('/clients/:clientId/privacy/requests/erase', async (req, res) => {
+  try {
+    const client = await findClient(req, res);
+    if (!client) return;
+
+    const request = await privacyService.eraseUserData(
+      client,
+      req.body?.userIdentifier,
+      getActor('admin', req)
+    );
+    res.json(request);
+  } catch (error) {
+    handlePrivacyError(res, error, 'erase user data');
+  }
+});
+
+export default router;
@@ -2,15 +2,25 @@ import express from 'express';
 import { HTTP_STATUS } from '../../config/constants.js';
 import { PlatformConfig } from '../../models/PlatformConfig.js';
 import { Client } from '../../models/Client.js';
+import promptVersionService, { PromptVersionError } from '../../services/promptVersionService.js';
 import promptService from '../../services/promptService.js';
-import {
-  getSystemPrompt,
-  refreshCachedConfig,
-  getAdaptiveModePromptAsync,
-} from '../../prompts/systemPrompt.js';
+import { getSystemPrompt, getAdaptiveModePromptAsync } from '../../prompts/systemPrompt.js';
+import { getActor } from '../../middleware/auditTrail.js';
 
 const router = express.Router();
 
+/**
+ * Map version service errors to responses
+ */
+function handleVersionError(res, error, fallback) {
+  if (error instanceof PromptVersionError) {
+    const status = error.code === 'not_found' ? HTTP_STATUS.NOT_FOUND : HTTP_STATUS.BAD_REQUEST;
+    return res.status(status).json({ error: error.message });
+  }
+  console.error(`[Admin] ${fallback} error:`, error);
+  return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: `Failed to ${fallback}` });
+}
+
 // =====================================================
 // PLATFORM-WIDE PROMPT CONFIG
 // =====================================================
@@ -65,14 +75,19 @@ router.put('/', async (req, res) => {
       return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: 'tool_rules must be an array' });
     }
 
-    // Update the platform config
-    await PlatformConfig.setDefaultPromptConfig(config);
-
-    // Refresh ALL caches (promptService + systemPrompt)
-    await promptService.refreshDefaultConfig();
-    await refreshCachedConfig();
+    // Save as a new version (also refreshes the promptService and systemPrompt caches)
+    const version = await promptVersionService.save(
+      'default',
+      null,
+      config,
+      getActor('admin', req)
+    );
 
-    res.json({ message: 'Prompt configuration updated successfully', config });
+    res.json({
+      message: 'Prompt configuration updated successfully',
+      config,
+      version: version.version,
+    });
   } catch (error) {
     console.error('[Admin] Error updating prompt config:', error);
     res
@@ -121,11 +136,19 @@ router.post('/preview', async (req, res) => {
 router.post('/reset', async (req, res) => {
   try {
     const defaults = PlatformConfig.getHardcodedDefaults();
-    await PlatformConfig.setDefaultPromptConfig(defaults);
-    await promptService.refreshDefaultConfig();
-    await refreshCachedConfig();
+    const version = await promptVersionService.save(
+      'default',
+      null,
+      defaults,
+      getActor('admin', req),
+      { action: 'reset' }
+    );
 
-    res.json({ message: 'Prompt configuration reset to defaults', config: defaults });
+    res.json({
+      message: 'Prompt configuration reset to defaults',
+      config: defaults,
+      version: version.version,
+    });
   } catch (error) {
     console.error('[Admin] Error resetting prompt config:', error);
     res
@@ -202,13 +225,19 @@ router.put('/adaptive', async (req, res) => {
       return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: 'tool_rules must be an array' });
     }
 
-    // Update the adaptive config
-    await PlatformConfig.setAdaptivePromptConfig(config);
+    // Save as a new version (also clears the promptService cache so it reloads)
+    const version = await promptVersionService.save(
+      'adaptive',
+      null,
+      config,
+      getActor('admin', req)
+    );
 
-    // Clear promptService cache so it reloads
-    promptService.clearCache();
-
-    res.json({ message: 'Adaptive prompt configuration updated successfully', config });
+    res.json({
+      message: 'Adaptive prompt configuration updated successfully',
+      config,
+      version: version.version,
+    });
   } catch (error) {
     console.error('[Admin] Error updating adaptive prompt config:', error);
     res
@@ -290,10 +319,19 @@ router.post('/adaptive/preview', async (req, res) => {
 router.post('/adaptive/reset', async (req, res) => {
   try {
     const defaults = PlatformConfig.getAdaptiveDefaults();
-    await PlatformConfig.setAdaptivePromptConfig(defaults);
-    promptService.clearCache();
+    const version = await promptVersionService.save(
+      'adaptive',
+      null,
+      defaults,
+      getActor('admin', req),
+      { action: 'reset' }
+    );
 
-    res.json({ message: 'Adaptive prompt configuration reset to defaults', config: defaults });
+    res.json({
+      message: 'Adaptive prompt configuration reset to defaults',
+      config: defaults,
+      version: version.version,
+    });
   } catch (error) {
     console.error('[Admin] Error resetting adaptive prompt config:', error);
     res
@@ -379,10 +417,19 @@ router.put('/clients/:clientId/prompt-config', async (req, res) => {
       }
     }
 
-    // Update the client's prompt_config
-    await Client.updatePromptConfig(clientId, config);
+    // Save the client's prompt_config as a new version
+    const version = await promptVersionService.save(
+      'client',
+      clientId,
+      config,
+      getActor('admin', req)
+    );
 
-    res.json({ message: 'Client prompt configuration updated successfully', config });
+    res.json({
+      message: 'Client prompt configuration updated successfully',
+      config,
+      version: version.version,
+    });
   } catch (error) {
     console.error('[Admin] Error updating client prompt config:', error);
     res
@@ -404,8 +451,10 @@ router.delete('/clients/:clientId/prompt-config', async (req, res) => {
       return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Client not found' });
     }
 
-    // Clear the client's prompt_config
-    await Client.updatePromptConfig(clientId, {});
+    // Clear the client's prompt_config (recorded as a version too)
+    await promptVersionService.save('client', clientId, {}, getActor('admin', req), {
+      action: 'clear',
+    });
 
     res.json({ message: 'Client prompt configuration cleared, using platform defaults' });
   } catch (error) {
@@ -443,4 +492,71 @@ router.post('/clients/:clientId/prompt-config/preview', async (req, res) => {
   }
 });
 
+// =====================================================
+// VERSION HISTORY
+// =====================================================
+
+// Every save above is recorded as a version; the same three routes exist per config
+const VERSIONED_CONFIGS = [
+  { path: '/versions', scope: 'default' },
+  { path: '/adaptive/versions', scope: 'adaptive' },
+  { path: '/clients/:clientId/prompt-config/versions', scope: 'client' },
+];
+
+for (const { path, scope } of VERSIONED_CONFIGS) {
+  /**
+   * GET /admin/prompt-config/versions (and /adaptive/versions, /clients/:clientId/prompt-config/versions)
+   * Version history, newest first: { versions, current }
+   */
+  router.get(path, async (req, res) => {
+    try {
+      res.json(await promptVersionService.listVersions(scope, req.params.clientId));
+    } catch (error) {
+      handleVersionError(res, error, 'list prompt config versions');
+    }
+  });
+
+  /**
+   * GET .../versions/:version?compare=<version>
+   * A version with its config and the changes from the version before it
+   * (or from ?compare): { version, compareTo, changes: [{ path, type, from, to }] }
+   */
+  router.get(`${path}/:version`, async (req, res) => {
+    try {
+      res.json(
+        await promptVersionService.getVersion(
+          scope,
+          req.params.clientId,
+          req.params.version,
+          req.query.compare ?? null
+        )
+      );
+    } catch (error) {
+      handleVersionError(res, error, 'get prompt config version');
+    }
+  });
+
+  /**
+   * POST .../versions/:version/rollback
+   * Make an earlier version live again (saved as a new version)
+   */
+  router.post(`${path}/:version/rollback`, async (req, res) => {
+    try {
+      const version = await promptVersionService.rollback(
+        scope,
+        req.params.clientId,
+        req.params.version,
+        getActor('admin', req)
+      );
+      res.json({
+        message: `Rolled back to version ${version.source_version}`,
+        config: version.config,
+        version: version.version,
+      });
+    } catch (error) {
+      handleVersionError(res, error, 'roll back prompt config');
+    }
+  });
+}
+
 export default router;
@@ -0,0 +1,82 @@
+import express from 'express';
+import { HTTP_STATUS } from '../../config/constants.js';
+import promptExperimentService from '../../services/promptExperimentService.js';
+import { PromptVersionError } from '../../services/promptVersionService.js';
+import { getActor } from '../../middleware/auditTrail.js';
+
+const router = express.Router();
+
+/**
+ * Map service errors to responses
+ */
+function handleExperimentError(res, error, fallback) {
+  if (error instanceof PromptVersionError) {
+    const status = error.code === 'not_found' ? HTTP_STATUS.NOT_FOUND : HTTP_STATUS.BAD_REQUEST;
+    return res.status(status).json({ error: error.message });
+  }
+  console.error(`[Admin] ${fallback} error:`, error);
+  return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: `Failed to ${fallback}` });
+}
+
+/**
+ * GET /admin/clients/:clientId/prompt-experiments
+ * Experiments of a client, newest first
+ */
+router.get('/clients/:clientId/prompt-experiments', async (req, res) => {
+  try {
+    res.json(await promptExperimentService.list(req.params.clientId));
+  } catch (error) {
+    handleExperimentError(res, error, 'list prompt experiments');
+  }
+});
+
+/**
+ * POST /admin/clients/:clientId/prompt-experiments
+ * Body: { name, versionA, versionB, splitPercent } - versions are the client's
+ * prompt config version numbers; splitPercent is the share of new conversations on B
+ */
+router.post('/clients/:clientId/prompt-experiments', async (req, res) => {
+  try {
+    const experiment = await promptExperimentService.create(
+      req.params.clientId,
+      req.body,
+      getActor('admin', req)
+    );
+    res.status(HTTP_STATUS.CREATED).json(experiment);
+  } catch (error) {
+    handleExperimentError(res, error, 'start prompt experiment');
+  }
+});
+
+/**
+ * GET /admin/clients/:clientId/prompt-experiments/:id
+ * Experiment with outcome metrics per variant: { experiment, variants: { A, B } }
+ */
+router.get('/clients/:clientId/prompt-experiments/:id', async (req, res) => {
+  try {
+    res.json(await promptExperimentService.getResults(req.params.clientId, req.params.id));
+  } catch (error) {
+    handleExperimentError(res, error, 'get prompt experiment');
+  }
+});
+
+/**
+ * POST /admin/clients/:clientId/prompt-experiments/:id/stop
+ * Body: { promote: 'A' | 'B' } (optional) - also make that variant the live config
+ */
+router.post('/clients/:clientId/prompt-experiments/:id/stop', async (req, res) => {
+  try {
+    res.json(
+      await promptExperimentService.stop(
+        req.params.clientId,
+        req.params.id,
+        req.body?.promote ?? null,
+        getActor('admin', req)
+      )
+    );
+  } catch (error) {
+    handleExperimentError(res, error, 'stop prompt experiment');
+  }
+});
+
+export default router;
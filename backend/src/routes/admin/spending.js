@@ -0,0 +1,68 @@
+import express from 'express';
+import { HTTP_STATUS } from '../../config/constants.js';
+import { Client } from '../../models/Client.js';
+import { getActor } from '../../middleware/auditTrail.js';
+import spendingService, { SpendingError } from '../../services/spendingService.js';
+
+const router = express.Router();
+
+/**
+ * Map service errors to responses
+ */
+function handleSpendingError(res, error, fallback) {
+  if (error instanceof SpendingError) {
+    const status = error.code === 'not_found' ? HTTP_STATUS.NOT_FOUND : HTTP_STATUS.BAD_REQUEST;
+    return res.status(status).json({ error: error.message });
+  }
+  console.error(`[Admin] ${fallback} error:`, error);
+  return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: `Failed to ${fallback}` });
+}
+
+/**
+ * GET /admin/clients/:clientId/spending
+ * This month's spend against the limits, credit balance and ledger:
+ * { settings, period, spent, allowance, credits, limit, limitedBy, percent, exceeded, action, transactions }
+ */
+router.get('/clients/:clientId/spending', async (req, res) => {
+  try {
+    const client = await Client.findById(req.params.clientId);
+    if (!client) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Client not found' });
+    }
+
+    res.json(await spendingService.getSpending(client));
+  } catch (error) {
+    handleSpendingError(res, error, 'get spending');
+  }
+});
+
+/**
+ * PUT /admin/clients/:clientId/spending
+ * Body: { settings: { monthly_budget, over_limit_action } }
+ */
+router.put('/clients/:clientId/spending', async (req, res) => {
+  try {
+    res.json(await spendingService.updateSettings(req.params.clientId, req.body?.settings));
+  } catch (error) {
+    handleSpendingError(res, error, 'update spending settings');
+  }
+});
+
+/**
+ * POST /admin/clients/:clientId/credits
+ * Body: { amount, type: 'grant'|'adjustment', description } - adjustments may be negative
+ */
+router.post('/clients/:clientId/credits', async (req, res) => {
+  try {
+    const spending = await spendingService.addCredits(
+      req.params.clientId,
+      req.body || {},
+      getActor('admin', req)
+    );
+    res.status(HTTP_STATUS.CREATED).json(spending);
+  } catch (error) {
+    handleSpendingError(res, error, 'add credits');
+  }
+});
+
+export default router;
@@ -0,0 +1,125 @@
+import express from 'express';
+import { HTTP_STATUS, REPLAY } from '../../config/constants.js';
+import { getActor } from '../../middleware/auditTrail.js';
+import replayService, { ReplayError } from '../../services/replayService.js';
+
+const router = express.Router();
+
+/**
+ * Map service errors to responses
+ */
+function handleReplayError(res, error, fallback) {
+  if (error instanceof ReplayError) {
+    const status = error.code === 'not_found' ? HTTP_STATUS.NOT_FOUND : HTTP_STATUS.BAD_REQUEST;
+    return res.status(status).json({ error: error.message });
+  }
+  console.error(`[Admin] ${fallback} error:`, error);
+  return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: `Failed to ${fallback}` });
+}
+
+/**
+ * Run options from the request body
+ */
+function runOptions(req) {
+  return {
+    provider: req.body?.provider || REPLAY.STUB_PROVIDER,
+    model: req.body?.model || null,
+    runBy: getActor('admin', req).name,
+  };
+}
+
+/**
+ * GET /admin/clients/:clientId/test-scenarios
+ * Scenarios with the status of their latest run: { scenarios, assertionTypes, providers }
+ */
+router.get('/clients/:clientId/test-scenarios', async (req, res) => {
+  try {
+    const scenarios = await replayService.listScenarios(req.params.clientId);
+    res.json({
+      scenarios,
+      assertionTypes: REPLAY.ASSERTION_TYPES,
+      providers: REPLAY.PROVIDERS,
+    });
+  } catch (error) {
+    handleReplayError(res, error, 'get test scenarios');
+  }
+});
+
+/**
+ * POST /admin/clients/:clientId/test-scenarios
+ * Body: { name, description, turns, tool_mocks, assertions }
+ */
+router.post('/clients/:clientId/test-scenarios', async (req, res) => {
+  try {
+    const scenario = await replayService.createScenario(req.params.clientId, req.body);
+    res.status(HTTP_STATUS.CREATED).json(scenario);
+  } catch (error) {
+    handleReplayError(res, error, 'create test scenario');
+  }
+});
+
+/**
+ * POST /admin/clients/:clientId/test-scenarios/run
+ * Replay every scenario of the client
+ * Body: { provider, model }
+ * Returns: { runs, passed, failed }
+ */
+router.post('/clients/:clientId/test-scenarios/run', async (req, res) => {
+  try {
+    res.json(await replayService.runAll(req.params.clientId, runOptions(req)));
+  } catch (error) {
+    handleReplayError(res, error, 'run test scenarios');
+  }
+});
+
+/**
+ * GET /admin/clients/:clientId/test-scenarios/:id
+ * Scenario with its recent runs: { scenario, runs }
+ */
+router.get('/clients/:clientId/test-scenarios/:id', async (req, res) => {
+  try {
+    res.json(await replayService.getScenario(req.params.clientId, req.params.id));
+  } catch (error) {
+    handleReplayError(res, error, 'get test scenario');
+  }
+});
+
+/**
+ * PUT /admin/clients/:clientId/test-scenarios/:id
+ * Body: { name, description, turns, tool_mocks, assertions }
+ */
+router.put('/clients/:clientId/test-scenarios/:id', async (req, res) => {
+  try {
+    res.json(await replayService.updateScenario(req.params.clientId, req.params.id, req.body));
+  } catch (error) {
+    handleReplayError(res, error, 'update test scenario');
+  }
+});
+
+/**
+ * DELETE /admin/clients/:clientId/test-scenarios/:id
+ */
+router.delete('/clients/:clientId/test-scenarios/:id', async (req, res) => {
+  try {
+    await replayService.deleteScenario(req.params.clientId, req.params.id);
+    res.json({ message: 'Scenario deleted' });
+  } catch (error) {
+    handleReplayError(res, error, 'delete test scenario');
+  }
+});
+
+/**
+ * POST /admin/clients/:clientId/test-scenarios/:id/run
+ * Replay one scenario
+ * Body: { provider, model }
+ * Returns: the test run { status, results, changes, transcript, error, ... }
+ */
+router.post('/clients/:clientId/test-scenarios/:id/run', async (req, res) => {
+  try {
+    res.json(await replayService.runScenario(req.params.clientId, req.params.id, runOptions(req)));
+  } catch (error) {
+    handleReplayError(res, error, 'run test scenario');
+  }
+});
+
+export default router;
@@ -0,0 +1,135 @@
+import express from 'express';
+import { HTTP_STATUS } from '../../config/constants.js';
+import { Client } from '../../models/Client.js';
+import toolPolicyService, { ToolPolicyError } from '../../services/toolPolicyService.js';
+
+const router = express.Router();
+
+/**
+ * Map service errors to responses
+ */
+function handlePolicyError(res, error, fallback) {
+  if (error instanceof ToolPolicyError) {
+    const status = error.code === 'not_found' ? HTTP_STATUS.NOT_FOUND : HTTP_STATUS.BAD_REQUEST;
+    return res.status(status).json({ error: error.message });
+  }
+  console.error(`[Admin] ${fallback} error:`, error);
+  return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: `Failed to ${fallback}` });
+}
+
+/**
+ * GET /admin/clients/:clientId/tool-policies
+ * Get a client's policy overrides: { client, tools: { [clientToolId]: policy } }
+ */
+router.get('/clients/:clientId/tool-policies', async (req, res) => {
+  try {
+    const client = await Client.findById(req.params.clientId);
+    if (!client) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Client not found' });
+    }
+
+    res.json(await toolPolicyService.getClientPolicies(client.id));
+  } catch (error) {
+    handlePolicyError(res, error, 'get tool policies');
+  }
+});
+
+/**
+ * GET /admin/clients/:clientId/tool-policies/audit
+ * Policy change history, newest first
+ */
+router.get('/clients/:clientId/tool-policies/audit', async (req, res) => {
+  try {
+    const { limit = 50, offset = 0 } = req.query;
+    const changes = await toolPolicyService.getAuditLog(req.params.clientId, {
+      limit: Math.min(parseInt(limit) || 50, 200),
+      offset: parseInt(offset) || 0,
+    });
+    res.json(changes);
+  } catch (error) {
+    handlePolicyError(res, error, 'get tool policy history');
+  }
+});
+
+/**
+ * PUT /admin/clients/:clientId/tool-policies
+ * Set the client-wide policy (applies to all of the client's tools)
+ */
+router.put('/clients/:clientId/tool-policies', async (req, res) => {
+  try {
+    const client = await Client.findById(req.params.clientId);
+    if (!client) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Client not found' });
+    }
+
+    const policy = await toolPolicyService.savePolicy(
+      client.id,
+      null,
+      req.body,
+      req.admin?.username
+    );
+    res.json(policy);
+  } catch (error) {
+    handlePolicyError(res, error, 'save tool policy');
+  }
+});
+
+/**
+ * DELETE /admin/clients/:clientId/tool-policies
+ * Remove the client-wide policy
+ */
+router.delete('/clients/:clientId/tool-policies', async (req, res) => {
+  try {
+    const deleted = await toolPolicyService.deletePolicy(
+      req.params.clientId,
+      null,
+      req.admin?.username
+    );
+    if (!deleted) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Tool policy not found' });
+    }
+    res.json({ message: 'Tool policy removed' });
+  } catch (error) {
+    handlePolicyError(res, error, 'delete tool policy');
+  }
+});
+
+/**
+ * PUT /admin/clients/:clientId/tool-policies/tools/:clientToolId
+ * Set the policy of one client tool (wins over the client-wide policy)
+ */
+router.put('/clients/:clientId/tool-policies/tools/:clientToolId', async (req, res) => {
+  try {
+    const policy = await toolPolicyService.savePolicy(
+      req.params.clientId,
+      req.params.clientToolId,
+      req.body,
+      req.admin?.username
+    );
+    res.json(policy);
+  } catch (error) {
+    handlePolicyError(res, error, 'save tool policy');
+  }
+});
+
+/**
+ * DELETE /admin/clients/:clientId/tool-policies/tools/:clientToolId
+ * Remove a client tool's policy
+ */
+router.delete('/clients/:clientId/tool-policies/tools/:clientToolId', async (req, res) => {
+  try {
+    const deleted = await toolPolicyService.deletePolicy(
+      req.params.clientId,
+      req.params.clientToolId,
+      req.admin?.username
+    );
+    if (!deleted) {
+      return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Tool policy not found' });
+    }
+    res.json({ message: 'Tool policy removed' });
+  } catch (error) {
+    handlePolicyError(res, error, 'delete tool policy');
+  }
+});
+
+export default router;
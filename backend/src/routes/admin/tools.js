@@ -1,13 +1,29 @@
 import express from 'express';
-import { HTTP_STATUS } from '../../config/constants.js';
+import { HTTP_STATUS, HTTP_TOOLS } from '../../config/constants.js';
 import { Tool } from '../../models/Tool.js';
 import { ClientTool } from '../../models/ClientTool.js';
 import n8nService from '../../services/n8nService.js';
 import integrationService from '../../services/integrationService.js';
 import toolManager from '../../services/toolManager.js';
+import toolExecutionService from '../../services/toolExecutionService.js';
+import httpToolExecutor from '../../services/httpToolExecutor.js';
 
 const router = express.Router();
 
+/**
+ * Check the executor settings of a client tool
+ * @returns {String|null} Error message, or null when valid
+ */
+function validateExecutor(executor, webhookUrl, httpConfig) {
+  if (!HTTP_TOOLS.EXECUTORS.includes(executor)) {
+    return `Executor must be one of: ${HTTP_TOOLS.EXECUTORS.join(', ')}`;
+  }
+  if (executor === 'http') {
+    return httpToolExecutor.validateConfig(httpConfig);
+  }
+  return webhookUrl ? null : 'Webhook URL is required';
+}
+
 /**
  * GET /admin/tools
  * Get all tool definitions
@@ -202,24 +218,31 @@ router.get('/clients/:clientId/tools', async (req, res) => {
 
 /**
  * POST /admin/clients/:clientId/tools
- * Enable a tool for a client with integration mapping
+ * Enable a tool for a client with integration mapping.
+ * Tools run through an n8n webhook (webhookUrl) or the built-in HTTP executor
+ * (executor: 'http' with an httpConfig request template).
  */
 router.post('/clients/:clientId/tools', async (req, res) => {
   try {
-    const { toolId, webhookUrl, integrationMapping } = req.body;
+    const { toolId, webhookUrl, integrationMapping, executor = 'n8n', httpConfig } = req.body;
 
-    if (!toolId || !webhookUrl) {
-      return res
-        .status(HTTP_STATUS.BAD_REQUEST)
-        .json({ error: 'Tool ID and webhook URL are required' });
+    if (!toolId) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: 'Tool ID is required' });
+    }
+
+    const executorError = validateExecutor(executor, webhookUrl, httpConfig);
+    if (executorError) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: executorError });
     }
 
     const clientTool = await ClientTool.enable(
       req.params.clientId,
       toolId,
-      webhookUrl,
+      webhookUrl || null,
       integrationMapping || {},
-      null
+      null,
+      executor,
+      executor === 'http' ? httpConfig : null
     );
 
     // Clear cache for this client
@@ -243,10 +266,29 @@ router.post('/clients/:clientId/tools', async (req, res) => {
  */
 router.put('/clients/:clientId/tools/:id', async (req, res) => {
   try {
-    const { webhookUrl, enabled, integrationMapping } = req.body;
+    const { webhookUrl, enabled, integrationMapping, executor, httpConfig } = req.body;
     const updates = {};
 
+    if (executor !== undefined) {
+      const current = await ClientTool.find(req.params.clientId, req.params.id);
+      const executorError = validateExecutor(
+        executor,
+        webhookUrl ?? current?.n8n_webhook_url,
+        httpConfig ?? current?.http_config
+      );
+      if (executorError) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: executorError });
+      }
+      updates.executor = executor;
+    } else if (httpConfig !== undefined && httpConfig !== null) {
+      const configError = httpToolExecutor.validateConfig(httpConfig);
+      if (configError) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({ error: configError });
+      }
+    }
+
     if (webhookUrl !== undefined) updates.n8n_webhook_url = webhookUrl;
+    if (httpConfig !== undefined) updates.http_config = httpConfig;
     if (enabled !== undefined) updates.enabled = enabled;
     if (integrationMapping !== undefined) updates.integration_mapping = integrationMapping;
 
@@ -272,7 +314,7 @@ router.put('/clients/:clientId/tools/:id', async (req, res) => {
 
 /**
  * POST /admin/clients/:clientId/tools/:id/test
- * Test a client's tool configuration by calling its webhook
+ * Test a client's tool configuration by running it with its executor
  */
 router.post('/clients/:clientId/tools/:id/test', async (req, res) => {
   try {
@@ -284,7 +326,7 @@ router.post('/clients/:clientId/tools/:id/test', async (req, res) => {
       return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Tool not found for this client' });
     }
 
-    if (!clientTool.n8n_webhook_url) {
+    if (clientTool.executor !== 'http' && !clientTool.n8n_webhook_url) {
       return res
         .status(HTTP_STATUS.BAD_REQUEST)
         .json({ error: 'Tool has no webhook URL configured' });
@@ -327,7 +369,7 @@ router.post('/clients/:clientId/tools/:id/test', async (req, res) => {
       }
     }
 
-    const result = await n8nService.executeTool(clientTool.n8n_webhook_url, parameters || {}, {
+    const result = await toolExecutionService.runTool(clientTool, parameters || {}, {
       integrations,
     });
 
@@ -335,6 +377,7 @@ router.post('/clients/:clientId/tools/:id/test', async (req, res) => {
       success: true,
       message: 'Tool test successful',
       tool: clientTool.tool_name,
+      executor: clientTool.executor || 'n8n',
       webhook: clientTool.n8n_webhook_url,
       integrationsLoaded: Object.keys(integrations),
       result: result,
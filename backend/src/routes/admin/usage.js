@@ -65,6 +65,21 @@ router.get('/clients/:id/usage/tools', async (req, res) => {
   }
 });
 
+/**
+ * GET /admin/clients/:id/usage/providers
+ * Get LLM usage per provider and model (shows traffic served by fallbacks)
+ */
+router.get('/clients/:id/usage/providers', async (req, res) => {
+  try {
+    const { period = 'month' } = req.query;
+    const providers = await UsageTracker.getProviderUsageBreakdown(req.params.id, period);
+    res.json(providers);
+  } catch (error) {
+    console.error('[Admin] Get provider usage error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({ error: 'Failed to get provider usage' });
+  }
+});
+
 /**
  * GET /admin/clients/:id/usage/compare
  * Compare usage between periods
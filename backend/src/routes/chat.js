@@ -1,9 +1,14 @@
 import express from 'express';
 import {
   sendMessage,
+  sendMessageStream,
   getHistory,
+  getUpdates,
   endSession,
   getWidgetConfig,
+  rateMessage,
+  rateConversation,
+  uploadAttachment,
 } from '../controllers/chatController.js';
 import { authenticateClient } from '../middleware/auth.js';
 import { checkPlanLimits, addUsageHeaders } from '../middleware/planLimits.js';
@@ -31,10 +36,32 @@ router.post(
   sendMessage
 );
 
+// POST /chat/message/stream - Same as /message, but streams the reply as Server-Sent Events
+router.post(
+  '/message/stream',
+  checkPlanLimits({
+    checkLimits: ['messagesPerMonth', 'tokensPerMonth'],
+    strict: false,
+  }),
+  sendMessageStream
+);
+
+// POST /chat/attachments - Upload a file to send with the next message
+router.post('/attachments', uploadAttachment);
+
 // GET /chat/history/:sessionId - Get conversation history
 router.get('/history/:sessionId', getHistory);
 
+// GET /chat/updates/:sessionId - Poll for live agent status and agent messages
+router.get('/updates/:sessionId', getUpdates);
+
 // POST /chat/end - End a conversation session
 router.post('/end', endSession);
 
+// POST /chat/feedback/message - Thumbs up/down on an AI reply
+router.post('/feedback/message', rateMessage);
+
+// POST /chat/feedback/conversation - 1-5 rating when a conversation ends
+router.post('/feedback/conversation', rateConversation);
+
 export default router;
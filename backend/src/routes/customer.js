@@ -5,22 +5,54 @@
 
 import express from 'express';
 import customerController from '../controllers/customerController.js';
-import customerAuth from '../middleware/customerAuth.js';
+import customerAuth, { requireCustomerRole } from '../middleware/customerAuth.js';
+import { auditTrail } from '../middleware/auditTrail.js';
 
 const router = express.Router();
 
+// Role scopes (owner, admin, agent, billing)
+const managers = requireCustomerRole('owner', 'admin');
+const support = requireCustomerRole('owner', 'admin', 'agent');
+const billing = requireCustomerRole('owner', 'admin', 'billing');
+
 // ==================== Authentication ====================
 
 /**
- * Login with access code
+ * Login with email and password, or with the shared access code until the
+ * client has user accounts
  * POST /api/customer/auth/login
- * Body: { accessCode, rememberMe }
+ * Body: { email, password, rememberMe } or { accessCode, rememberMe }
+ */
+router.post('/auth/login', customerController.login.bind(customerController));
+
+/**
+ * Look up a pending invitation
+ * GET /api/customer/auth/invitations/:token
+ */
+router.get('/auth/invitations/:token', customerController.getInvitation.bind(customerController));
+
+/**
+ * Accept an invitation, set the password and log in
+ * POST /api/customer/auth/invitations/:token/accept
+ * Body: { password, name? }
  */
-router.post('/auth/login', customerController.login);
+router.post(
+  '/auth/invitations/:token/accept',
+  customerController.acceptInvitation.bind(customerController)
+);
 
 // All routes below require authentication
 router.use(customerAuth);
 
+// Record every change below in the audit log
+router.use(auditTrail('customer'));
+
+/**
+ * Current user and role
+ * GET /api/customer/auth/me
+ */
+router.get('/auth/me', customerController.getCurrentUser.bind(customerController));
+
 // ==================== Dashboard ====================
 
 /**
@@ -46,14 +78,24 @@ router.get('/actions', customerController.getActions.bind(customerController));
  * GET /api/customer/conversations
  * Query params: page, limit, search, status, days (default 60)
  */
-router.get('/conversations', customerController.getConversations);
+router.get('/conversations', support, customerController.getConversations);
 
 /**
  * Get conversation detail
  * GET /api/customer/conversations/:id
  * Returns: full conversation with messages and tool executions
  */
-router.get('/conversations/:id', customerController.getConversationDetail);
+router.get('/conversations/:id', support, customerController.getConversationDetail);
+
+/**
+ * Download a file the end user sent
+ * GET /api/customer/conversations/:id/attachments/:attachmentId
+ */
+router.get(
+  '/conversations/:id/attachments/:attachmentId',
+  support,
+  customerController.downloadAttachment
+);
 
 // ==================== Billing ====================
 
@@ -62,7 +104,63 @@ router.get('/conversations/:id', customerController.getConversationDetail);
  * GET /api/customer/billing/invoices
  * Returns: list of invoices with status and amounts
  */
-router.get('/billing/invoices', customerController.getInvoices);
+router.get('/billing/invoices', billing, customerController.getInvoices);
+
+/**
+ * Get the current plan, plans on offer and plan change history
+ * GET /api/customer/billing/plan
+ * Returns: { currentPlan, plans, openChange, changes }
+ */
+router.get('/billing/plan', billing, customerController.getPlan.bind(customerController));
+
+/**
+ * Request an upgrade (applied once an admin approves it)
+ * POST /api/customer/billing/plan-change-requests
+ * Body: { plan, note }
+ */
+router.post(
+  '/billing/plan-change-requests',
+  managers,
+  customerController.requestPlanChange.bind(customerController)
+);
+
+/**
+ * Withdraw a pending upgrade request
+ * DELETE /api/customer/billing/plan-change-requests/:id
+ */
+router.delete(
+  '/billing/plan-change-requests/:id',
+  managers,
+  customerController.cancelPlanChange.bind(customerController)
+);
+
+/**
+ * Get this month's spend, limits, credit balance and ledger
+ * GET /api/customer/billing/spending
+ */
+router.get('/billing/spending', billing, customerController.getSpending.bind(customerController));
+
+/**
+ * Set the monthly budget and the over-limit action
+ * PUT /api/customer/billing/spending
+ * Body: { monthlyBudget, overLimitAction }
+ */
+router.put(
+  '/billing/spending',
+  managers,
+  customerController.updateSpending.bind(customerController)
+);
+
+/**
+ * Buy credits (invoiced; added when the invoice is paid)
+ * POST /api/customer/billing/credits
+ * Body: { amount }
+ */
+router.post(
+  '/billing/credits',
+  managers,
+  customerController.purchaseCredits.bind(customerController)
+);
 
 // ==================== Usage ====================
 
@@ -88,6 +186,13 @@ router.get('/usage/trends', customerController.getUsageTrends);
  */
 router.get('/usage/tools', customerController.getToolUsage);
 
+/**
+ * Get customer satisfaction statistics
+ * GET /api/customer/usage/csat?days=30
+ * Returns: CSAT, thumbs up/down, daily trend, breakdowns by tool and reasoning mode
+ */
+router.get('/usage/csat', customerController.getCsat);
+
 // ==================== Settings ====================
 
 /**
@@ -102,7 +207,7 @@ router.get('/settings', customerController.getSettings);
  * PUT /api/customer/settings
  * Body: { language }
  */
-router.put('/settings', customerController.updateSettings);
+router.put('/settings', managers, customerController.updateSettings);
 
 // ==================== AI Behavior ====================
 
@@ -111,27 +216,35 @@ router.put('/settings', customerController.updateSettings);
  * GET /api/customer/ai-behavior
  * Returns: reasoning_enabled, reasoning_steps, response_style, tool_rules, custom_instructions
  */
-router.get('/ai-behavior', customerController.getAIBehavior.bind(customerController));
+router.get('/ai-behavior', managers, customerController.getAIBehavior.bind(customerController));
 
 /**
  * Update AI behavior config
  * PUT /api/customer/ai-behavior
  * Body: { reasoning_enabled, reasoning_steps, response_style, tool_rules, custom_instructions }
  */
-router.put('/ai-behavior', customerController.updateAIBehavior.bind(customerController));
+router.put('/ai-behavior', managers, customerController.updateAIBehavior.bind(customerController));
 
 /**
  * Preview generated system prompt
  * POST /api/customer/ai-behavior/preview
  * Body: { config } (optional - uses current config if not provided)
  */
-router.post('/ai-behavior/preview', customerController.previewAIBehavior.bind(customerController));
+router.post(
+  '/ai-behavior/preview',
+  managers,
+  customerController.previewAIBehavior.bind(customerController)
+);
 
 /**
  * Reset AI behavior to platform defaults
  * DELETE /api/customer/ai-behavior
  */
-router.delete('/ai-behavior', customerController.resetAIBehavior.bind(customerController));
+router.delete(
+  '/ai-behavior',
+  managers,
+  customerController.resetAIBehavior.bind(customerController)
+);
 
 // ==================== Escalations ====================
 
@@ -140,7 +253,7 @@ router.delete('/ai-behavior', customerController.resetAIBehavior.bind(customerCo
  * GET /api/customer/escalations/stats
  * Returns: pending, acknowledged, resolved counts
  */
-router.get('/escalations/stats', customerController.getEscalationStats);
+router.get('/escalations/stats', support, customerController.getEscalationStats);
 
 /**
  * Get escalations list
@@ -148,21 +261,25 @@ router.get('/escalations/stats', customerController.getEscalationStats);
  * Query params: status, limit, offset
  * Returns: list of escalations for this client
  */
-router.get('/escalations', customerController.getEscalations);
+router.get('/escalations', support, customerController.getEscalations);
 
 /**
  * Get escalation detail
  * GET /api/customer/escalations/:id
  * Returns: escalation details with customer contact info
  */
-router.get('/escalations/:id', customerController.getEscalationDetail.bind(customerController));
+router.get(
+  '/escalations/:id',
+  support,
+  customerController.getEscalationDetail.bind(customerController)
+);
 
 /**
  * Acknowledge an escalation
  * POST /api/customer/escalations/:id/acknowledge
  * Marks escalation as acknowledged
  */
-router.post('/escalations/:id/acknowledge', customerController.acknowledgeEscalation);
+router.post('/escalations/:id/acknowledge', support, customerController.acknowledgeEscalation);
 
 /**
  * Resolve an escalation
@@ -170,7 +287,7 @@ router.post('/escalations/:id/acknowledge', customerController.acknowledgeEscala
  * Body: { notes }
  * Marks escalation as resolved with optional notes
  */
-router.post('/escalations/:id/resolve', customerController.resolveEscalation);
+router.post('/escalations/:id/resolve', support, customerController.resolveEscalation);
 
 /**
  * Cancel an escalation
@@ -178,6 +295,207 @@ router.post('/escalations/:id/resolve', customerController.resolveEscalation);
  * Body: { notes } (optional)
  * Marks escalation as cancelled
  */
-router.post('/escalations/:id/cancel', customerController.cancelEscalation);
+router.post('/escalations/:id/cancel', support, customerController.cancelEscalation);
+
+/**
+ * Reply to the customer as a human agent
+ * POST /api/customer/escalations/:id/messages
+ * Body: { content, agentName }
+ * Takes the conversation over from the AI until it is handed back
+ */
+router.post('/escalations/:id/messages', support, customerController.sendAgentMessage);
+
+/**
+ * Hand the conversation back to the AI
+ * POST /api/customer/escalations/:id/hand-back
+ * Resolves the escalation so the AI answers again
+ */
+router.post('/escalations/:id/hand-back', support, customerController.handBackEscalation);
+
+// ==================== Webhooks ====================
+
+/**
+ * List webhook subscriptions and subscribable events
+ * GET /api/customer/webhooks
+ */
+router.get('/webhooks', managers, customerController.getWebhooks.bind(customerController));
+
+/**
+ * Create a webhook subscription (a signing secret is generated)
+ * POST /api/customer/webhooks
+ * Body: { url, events, description?, is_active? }
+ */
+router.post('/webhooks', managers, customerController.createWebhook.bind(customerController));
+
+/**
+ * Replay a logged delivery
+ * POST /api/customer/webhooks/deliveries/:deliveryId/replay
+ */
+router.post(
+  '/webhooks/deliveries/:deliveryId/replay',
+  managers,
+  customerController.replayWebhookDelivery.bind(customerController)
+);
+
+/**
+ * Update a webhook subscription
+ * PUT /api/customer/webhooks/:id
+ */
+router.put('/webhooks/:id', managers, customerController.updateWebhook.bind(customerController));
+
+/**
+ * Delete a webhook subscription
+ * DELETE /api/customer/webhooks/:id
+ */
+router.delete('/webhooks/:id', managers, customerController.deleteWebhook.bind(customerController));
+
+/**
+ * Replace a webhook's signing secret
+ * POST /api/customer/webhooks/:id/rotate-secret
+ */
+router.post(
+  '/webhooks/:id/rotate-secret',
+  managers,
+  customerController.rotateWebhookSecret.bind(customerController)
+);
+
+/**
+ * Send a test event
+ * POST /api/customer/webhooks/:id/test
+ */
+router.post(
+  '/webhooks/:id/test',
+  managers,
+  customerController.testWebhook.bind(customerController)
+);
+
+/**
+ * Delivery log of a webhook
+ * GET /api/customer/webhooks/:id/deliveries?status=&limit=&offset=
+ */
+router.get(
+  '/webhooks/:id/deliveries',
+  managers,
+  customerController.getWebhookDeliveries.bind(customerController)
+);
+
+// ==================== Users ====================
+
+/**
+ * List the client's dashboard users
+ * GET /api/customer/users
+ */
+router.get('/users', managers, customerController.getUsers.bind(customerController));
+
+/**
+ * Invite a user (returns the invitation link, also emailed)
+ * POST /api/customer/users
+ * Body: { email, role, name? }
+ */
+router.post('/users', managers, customerController.inviteUser.bind(customerController));
+
+/**
+ * Change a user's role, status or name
+ * PUT /api/customer/users/:id
+ * Body: any of { role, status, name }
+ */
+router.put('/users/:id', managers, customerController.updateUser.bind(customerController));
+
+/**
+ * Remove a user or cancel an invitation
+ * DELETE /api/customer/users/:id
+ */
+router.delete('/users/:id', managers, customerController.deleteUser.bind(customerController));
+
+/**
+ * Send a new invitation link
+ * POST /api/customer/users/:id/resend-invite
+ */
+router.post(
+  '/users/:id/resend-invite',
+  managers,
+  customerController.resendUserInvite.bind(customerController)
+);
+
+// ==================== Privacy ====================
+
+/**
+ * Get data retention windows
+ * GET /api/customer/privacy/retention
+ * Returns: { retention: { messages, debug_messages, tool_executions, escalations }, dataTypes, minDays, maxDays }
+ */
+router.get(
+  '/privacy/retention',
+  managers,
+  customerController.getRetention.bind(customerController)
+);
+
+/**
+ * Update data retention windows
+ * PUT /api/customer/privacy/retention
+ * Body: { retention: { [dataType]: days | null } } - null keeps that data forever
+ */
+router.put(
+  '/privacy/retention',
+  managers,
+  customerController.updateRetention.bind(customerController)
+);
+
+/**
+ * Get PII redaction settings
+ * GET /api/customer/privacy/redaction
+ * Returns: { redaction: { enabled, mask_debug, types, custom }, types, maxCustomRules }
+ */
+router.get(
+  '/privacy/redaction',
+  managers,
+  customerController.getRedaction.bind(customerController)
+);
+
+/**
+ * Update PII redaction settings
+ * PUT /api/customer/privacy/redaction
+ * Body: { redaction: { enabled, mask_debug, types: [], custom: [{ name, pattern }] } }
+ */
+router.put(
+  '/privacy/redaction',
+  managers,
+  customerController.updateRedaction.bind(customerController)
+);
+
+/**
+ * Export and erase history, newest first
+ * GET /api/customer/privacy/requests
+ * Query params: page, limit
+ */
+router.get(
+  '/privacy/requests',
+  managers,
+  customerController.getDataRequests.bind(customerController)
+);
+
+/**
+ * Export all data of an end user
+ * POST /api/customer/privacy/requests/export
+ * Body: { userIdentifier }
+ * Returns: { request, data }
+ */
+router.post(
+  '/privacy/requests/export',
+  managers,
+  customerController.exportUserData.bind(customerController)
+);
+
+/**
+ * Erase all data of an end user
+ * POST /api/customer/privacy/requests/erase
+ * Body: { userIdentifier }
+ * Returns: the completed request with its report
+ */
+router.post(
+  '/privacy/requests/erase',
+  managers,
+  customerController.eraseUserData.bind(customerController)
+);
 
 export default router;
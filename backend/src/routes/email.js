@@ -6,7 +6,7 @@ import { transactionalEmailService } from '../services/transactionalEmailService
 import { gmailService } from '../services/gmailService.js';
 import { PlatformConfig } from '../models/PlatformConfig.js';
 import { Client } from '../models/Client.js';
-import { Invoice } from '../models/Invoice.js';
+import { BillingService } from '../services/billingService.js';
 
 const router = express.Router();
 
@@ -118,7 +118,7 @@ router.post('/platform/test', authenticateAdmin, async (req, res) => {
           .json({ error: 'invoiceId is required for invoice emails' });
       }
 
-      const invoice = await Invoice.findById(invoiceId);
+      const invoice = await BillingService.getInvoiceDetails(invoiceId);
       if (!invoice) {
         return res.status(HTTP_STATUS.NOT_FOUND).json({ error: 'Invoice not found' });
       }
@@ -130,7 +130,7 @@ router.post('/platform/test', authenticateAdmin, async (req, res) => {
 
       // Format invoice data for email template
       const invoiceData = {
-        invoice_number: `INV-${invoice.id.toString().padStart(6, '0')}`,
+        invoice_number: invoice.invoice_number,
         billing_period_start: invoice.billing_period
           ? `${invoice.billing_period}-01`
           : invoice.created_at,
@@ -143,7 +143,16 @@ router.post('/platform/test', authenticateAdmin, async (req, res) => {
           : invoice.created_at,
         due_date: invoice.due_date || invoice.created_at,
         status: invoice.status,
+        currency: invoice.currency,
+        line_items: invoice.line_items,
+        subtotal: invoice.subtotal ?? invoice.total_cost,
+        tax_rate: invoice.tax_rate,
+        tax_amount: invoice.tax_amount,
+        customer_tax_id: invoice.customer_tax_id,
+        amount_credited: invoice.amount_credited,
+        credit_notes: invoice.credit_notes,
         total_amount: invoice.total_cost || 0,
+        seller: BillingService.getSellerDetails(),
       };
 
       result = await transactionalEmailService.sendInvoice(to, client.name, invoiceData);
@@ -0,0 +1,71 @@
+import express from 'express';
+import { authenticateAdmin } from '../middleware/adminAuth.js';
+import * as whatsappController from '../controllers/whatsappController.js';
+
+const router = express.Router();
+
+// =====================================================
+// Webhook Routes (called by WhatsApp, signature-verified)
+// =====================================================
+
+/**
+ * GET /api/whatsapp/webhook
+ * Webhook subscription handshake
+ */
+router.get('/webhook', whatsappController.verifyWebhookSubscription);
+
+/**
+ * POST /api/whatsapp/webhook
+ * Inbound WhatsApp messages
+ */
+router.post('/webhook', whatsappController.receiveWebhook);
+
+// =====================================================
+// Protected Routes (Admin auth required)
+// =====================================================
+router.use(authenticateAdmin);
+
+/**
+ * GET /api/whatsapp/channels/:clientId
+ * Get all WhatsApp channels for a client
+ */
+router.get('/channels/:clientId', whatsappController.getChannels);
+
+/**
+ * POST /api/whatsapp/channels/:clientId
+ * Connect a WhatsApp Business number to a client
+ */
+router.post('/channels/:clientId', whatsappController.createChannel);
+
+/**
+ * GET /api/whatsapp/channel/:channelId
+ * Get a specific WhatsApp channel
+ */
+router.get('/channel/:channelId', whatsappController.getChannel);
+
+/**
+ * PUT /api/whatsapp/channel/:channelId
+ * Update WhatsApp channel settings or credentials
+ */
+router.put('/channel/:channelId', whatsappController.updateChannel);
+
+/**
+ * DELETE /api/whatsapp/channel/:channelId
+ * Disconnect a WhatsApp channel
+ */
+router.delete('/channel/:channelId', whatsappController.disconnectChannel);
+
+/**
+ * POST /api/whatsapp/channel/:channelId/test
+ * Test the WhatsApp Cloud API connection
+ */
+router.post('/channel/:channelId/test', whatsappController.testConnection);
+
+/**
+ * POST /api/whatsapp/channel/:channelId/send-test
+ * Send a test message
+ * Body: { to: string, body: string }
+ */
+router.post('/channel/:channelId/send-test', whatsappController.sendTestMessage);
+
+export default router;
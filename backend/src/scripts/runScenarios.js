@@ -0,0 +1,95 @@
+/**
+ * Replay a client's test scenarios and report pass/fail
+ *
+ * Run: npm run test:scenarios -- <clientId> [--scenario <id>] [--provider <name>] [--model <name>]
+ *
+ * Uses the stub provider unless --provider is given. Exits with 1 when a
+ * scenario fails, so it can gate deploys of prompt or tool changes.
+ */
+
+import { db } from '../db.js';
+import { redisClient } from '../redis.js';
+import { REPLAY } from '../config/constants.js';
+import replayService from '../services/replayService.js';
+
+function parseArgs(argv) {
+  const args = { clientId: null, scenarioId: null, provider: REPLAY.STUB_PROVIDER, model: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--scenario') args.scenarioId = argv[++i];
+    else if (arg === '--provider') args.provider = argv[++i];
+    else if (arg === '--model') args.model = argv[++i];
+    else if (!args.clientId) args.clientId = arg;
+  }
+  return args;
+}
+
+function format(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+function printRun(run) {
+  const icon = { passed: '✅', failed: '❌', error: '💥' }[run.status];
+  console.log(`\n${icon} ${run.scenario_name} (${run.status}, ${run.duration_ms}ms)`);
+
+  if (run.error) {
+    console.log(`   Error: ${run.error}`);
+  }
+  for (const result of run.results) {
+    if (result.passed) continue;
+    const { type, tool, text, turn } = result.assertion;
+    const label = [type, tool, text && `"${text}"`, turn && `turn ${turn}`]
+      .filter(Boolean)
+      .join(' ');
+    console.log(`   ✗ ${label}`);
+    console.log(`     expected: ${format(result.expected)}`);
+    console.log(`     actual:   ${format(result.actual)}`);
+  }
+  for (const change of run.changes) {
+    if (change.kind === 'assertion') {
+      console.log(
+        `   ↺ ${change.assertion.type} #${change.index + 1}: ${change.was} → ${change.now}`
+      );
+    } else {
+      console.log(`   ↺ reply of turn ${change.turn} changed`);
+      console.log(`     was: ${change.was}`);
+      console.log(`     now: ${change.now}`);
+    }
+  }
+}
+
+async function runScenarios() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.clientId) {
+    console.error(
+      'Usage: npm run test:scenarios -- <clientId> [--scenario <id>] [--provider <name>] [--model <name>]'
+    );
+    process.exit(1);
+  }
+
+  let exitCode = 0;
+  try {
+    const options = { provider: args.provider, model: args.model, runBy: 'cli' };
+    const runs = args.scenarioId
+      ? [await replayService.runScenario(args.clientId, args.scenarioId, options)]
+      : (await replayService.runAll(args.clientId, options)).runs;
+
+    console.log(
+      `🧪 Replaying ${runs.length} scenario(s) for client ${args.clientId} (${args.provider})`
+    );
+    runs.forEach(printRun);
+
+    const passed = runs.filter((run) => run.status === 'passed').length;
+    console.log(`\n${passed}/${runs.length} passed`);
+    if (passed < runs.length) exitCode = 1;
+  } catch (error) {
+    console.error('❌ Replay failed:', error.message);
+    exitCode = 1;
+  } finally {
+    await db.end();
+    redisClient.disconnect();
+    process.exit(exitCode);
+  }
+}
+
+runScenarios();
@@ -17,10 +17,13 @@ import toolManager from './toolManager.js';
 import escalationService from './escalationService.js';
 import toolExecutionService from './toolExecutionService.js';
 import confirmationService from './confirmationService.js';
+import knowledgeBaseService from './knowledgeBaseService.js';
+import toolPolicyService from './toolPolicyService.js';
 import { Message } from '../models/Message.js';
 import {
-  getToolPolicy,
-  applyConfidenceFloor,
+  resolveToolPolicy,
+  evaluateParameterRules,
+  containsPhrase,
   isDestructiveTool,
   isConfirmation,
 } from '../config/toolPolicies.js';
@@ -43,18 +46,39 @@ class AdaptiveReasoningService {
    * @param {string} userMessage - User's message
    * @param {Object} client - Client configuration
    * @param {Object} conversation - Conversation object
+   * @param {Object} attachmentContext - Files sent with the message
+   * @param {Array} attachmentContext.images - Images for vision-capable models ({ mimeType, data })
+   * @param {string} attachmentContext.attachmentNote - Text listing the attached files
    * @returns {Promise<Object>} Final response with tool results if any
    */
-  async processAdaptiveMessage(conversationId, clientId, userMessage, client, conversation) {
+  async processAdaptiveMessage(
+    conversationId,
+    clientId,
+    userMessage,
+    client,
+    conversation,
+    attachmentContext = {}
+  ) {
     console.log(`[AdaptiveReasoning] Processing message in Adaptive mode for client ${clientId}`);
 
     // Initialize reasoning metrics tracking
     let contextFetchCount = 0;
 
     try {
-      // Step 1: Check for confirmation first
+      // Client tool policy overrides - a failure falls back to the default policies
+      const policies = await toolPolicyService.getClientPolicies(clientId).catch((error) => {
+        console.warn('[AdaptiveReasoning] Tool policies unavailable:', error.message);
+        return null;
+      });
+
+      // Step 1: Check for confirmation first - custom phrases only apply to the
+      // tool of the pending intent
       const language = client.language || 'en';
-      if (isConfirmation(userMessage, language)) {
+      const pendingIntent = await confirmationService.getPendingIntent(conversationId);
+      const confirmationPhrases = pendingIntent
+        ? toolPolicyService.getConfirmationPhrases(policies, pendingIntent.tool)
+        : [];
+      if (pendingIntent && isConfirmation(userMessage, language, confirmationPhrases)) {
         const confirmationResult = await confirmationService.handleConfirmation(
           conversationId,
           userMessage,
@@ -84,7 +108,13 @@ class AdaptiveReasoningService {
       }));
 
       // Step 3: Build adaptive mode system prompt
-      const systemPrompt = await getAdaptiveModePromptAsync(client, toolSchemas);
+      const hasKnowledgeBase = await knowledgeBaseService.hasDocuments(clientId).catch((error) => {
+        console.warn('[AdaptiveReasoning] Knowledge base unavailable:', error.message);
+        return false;
+      });
+      const systemPrompt = await getAdaptiveModePromptAsync(client, toolSchemas, {
+        knowledgeBase: hasKnowledgeBase,
+      });
 
       // Step 4: Get recent conversation history
       const recentMessages = await Message.getRecent(
@@ -92,6 +122,7 @@ class AdaptiveReasoningService {
         ADAPTIVE_REASONING.CONTEXT_MESSAGE_COUNT
       );
       const formattedHistory = formatConversationHistory(recentMessages);
+      this._addAttachmentsToHistory(formattedHistory, attachmentContext);
 
       // Store system prompt on first message
       if (recentMessages.length <= 1) {
@@ -112,6 +143,8 @@ class AdaptiveReasoningService {
         temperature: ADAPTIVE_REASONING.DEFAULT_TEMPERATURE,
         provider: client.llm_provider,
         model: client.model_name,
+        redaction: client.redaction_config,
+        fallbacks: client.llm_fallbacks,
       });
 
       if (llmResponse.tokens) {
@@ -157,7 +190,10 @@ class AdaptiveReasoningService {
 
       // Step 8: Enforce server-side policies
       if (finalAssessment && finalAssessment.tool_call) {
-        const policyResult = this.enforceServerPolicies(finalAssessment, tools);
+        const policyResult = this.enforceServerPolicies(finalAssessment, tools, {
+          policies,
+          userMessage,
+        });
 
         if (!policyResult.allowed) {
           return await this._handlePolicyFailure(
@@ -267,6 +303,21 @@ class AdaptiveReasoningService {
     }
   }
 
+  /**
+   * Add the current message's images and file list to the last user turn
+   * @private
+   */
+  _addAttachmentsToHistory(history, { images = [], attachmentNote = null } = {}) {
+    const lastUser = [...history].reverse().find((msg) => msg.role === 'user');
+    if (!lastUser) return;
+    if (attachmentNote) {
+      lastUser.content = `${lastUser.content}\n\n${attachmentNote}`;
+    }
+    if (images.length > 0) {
+      lastUser.images = images;
+    }
+  }
+
   /**
    * Handle context fetching loop
    * @private
@@ -298,22 +349,35 @@ class AdaptiveReasoningService {
         currentAssessment.needs_more_context
       );
 
-      const { success, context, missing } = fetchContext(
+      // "knowledge:<query>" entries search the knowledge base, the rest are business_info keys
+      const requested = currentAssessment.needs_more_context;
+      const knowledgeKeys = requested.filter((key) => knowledgeBaseService.isKnowledgeRequest(key));
+      const { context, missing: missingKeys } = fetchContext(
         client,
-        currentAssessment.needs_more_context
+        requested.filter((key) => !knowledgeBaseService.isKnowledgeRequest(key))
       );
+      const knowledge =
+        knowledgeKeys.length > 0
+          ? await knowledgeBaseService.retrieve(client.id, knowledgeKeys)
+          : { results: [], found: [], missing: [] };
+      const citations = knowledgeBaseService.getCitations(knowledge.results);
 
-      if (!success && missing.length > 0) {
+      const fetched = [...Object.keys(context), ...knowledge.found];
+      const missing = [...missingKeys, ...knowledge.missing];
+
+      if (missing.length > 0) {
         console.warn('[AdaptiveReasoning] Some context keys not found:', missing);
       }
 
-      let additionalContext = formatContextForPrompt(context, client.name);
+      let additionalContext =
+        formatContextForPrompt(context, client.name) +
+        knowledgeBaseService.formatResultsForPrompt(knowledge.results);
 
       if (missing.length > 0) {
         additionalContext += `\n\n## Note: The following information was requested but is not configured for this business: ${missing.join(', ')}. Please inform the customer that this information is not available and suggest they contact the business directly.`;
       }
 
-      if (Object.keys(context).length === 0 && missing.length > 0) {
+      if (fetched.length === 0 && missing.length > 0) {
         additionalContext = `\n\n## Context Not Available\nThe following information was requested but is not configured: ${missing.join(', ')}. Please inform the customer that this information is not available and suggest they contact the business directly.`;
       }
 
@@ -328,6 +392,8 @@ class AdaptiveReasoningService {
         temperature: ADAPTIVE_REASONING.DEFAULT_TEMPERATURE,
         provider: client.llm_provider,
         model: client.model_name,
+        redaction: client.redaction_config,
+        fallbacks: client.llm_fallbacks,
       });
 
       if (contextResponse.tokens) {
@@ -341,13 +407,14 @@ class AdaptiveReasoningService {
       await Message.createDebug(
         conversationId,
         'assistant',
-        `Context fetched (attempt ${contextFetchCount}): requested=${currentAssessment.needs_more_context.join(', ')}, found=${Object.keys(context).join(', ') || 'none'}, missing=${missing.join(', ') || 'none'}`,
+        `Context fetched (attempt ${contextFetchCount}): requested=${requested.join(', ')}, found=${fetched.join(', ') || 'none'}, missing=${missing.join(', ') || 'none'}`,
         'internal',
         {
           metadata: {
-            context_keys: currentAssessment.needs_more_context,
-            fetched: Object.keys(context),
+            context_keys: requested,
+            fetched,
             missing,
+            ...(citations.length > 0 && { citations }),
           },
           reasonCode: REASON_CODES.CONTEXT_FETCHED,
         }
@@ -369,7 +436,7 @@ class AdaptiveReasoningService {
         );
       }
 
-      if (missing.length > 0 && Object.keys(context).length === 0) {
+      if (missing.length > 0 && fetched.length === 0) {
         console.log('[AdaptiveReasoning] Context unavailable, model informed, breaking loop');
         break;
       }
@@ -393,6 +460,8 @@ class AdaptiveReasoningService {
         temperature: ADAPTIVE_REASONING.DEFAULT_TEMPERATURE,
         provider: client.llm_provider,
         model: client.model_name,
+        redaction: client.redaction_config,
+        fallbacks: client.llm_fallbacks,
       });
 
       if (finalResponse.tokens) {
@@ -455,6 +524,68 @@ class AdaptiveReasoningService {
 
     console.log(`[Policy] Check failed: ${policyResult.reason_code}`);
 
+    if (policyResult.matched_rules?.length) {
+      await Message.createDebug(
+        conversationId,
+        'assistant',
+        `Tool policy rule matched for ${assessment.tool_call}`,
+        'internal',
+        {
+          reasonCode: policyResult.reason_code,
+          metadata: { tool: assessment.tool_call, rules: policyResult.matched_rules },
+        }
+      );
+    }
+
+    // Parameter rule requires confirmation: hold the call until the customer confirms
+    if (policyResult.requires_confirmation) {
+      await confirmationService.storePendingIntent(
+        conversationId,
+        assessment.tool_call,
+        assessment.tool_params
+      );
+
+      const ruleMessages = policyResult.matched_rules
+        .map((rule) => rule.message)
+        .filter(Boolean)
+        .join(' ');
+      const confirmPrompt = `Before running "${assessment.tool_call}" with ${JSON.stringify(assessment.tool_params || {})}, the customer must explicitly confirm. ${ruleMessages} Summarize what will happen in a natural, friendly way in their language and ask them to reply "yes" to confirm. Do not say that the action was done.`;
+
+      const confirmResponse = await llmService.chat(
+        [{ role: 'system', content: confirmPrompt }, ...formattedHistory],
+        {
+          maxTokens: ADAPTIVE_REASONING.REPROMPT_MAX_TOKENS,
+          temperature: ADAPTIVE_REASONING.DEFAULT_TEMPERATURE,
+          provider: client.llm_provider,
+          model: client.model_name,
+          redaction: client.redaction_config,
+          fallbacks: client.llm_fallbacks,
+        }
+      );
+
+      if (confirmResponse.tokens) {
+        totalInputTokens += confirmResponse.tokens.input || 0;
+        totalOutputTokens += confirmResponse.tokens.output || 0;
+      }
+
+      const confirmMessage =
+        confirmResponse.content || 'Please confirm that you want me to go ahead (yes/no).';
+      await Message.create(conversationId, 'assistant', confirmMessage, totalOutputTokens);
+
+      return {
+        response: confirmMessage,
+        tool_executed: false,
+        reason_code: REASON_CODES.AWAITING_CONFIRMATION,
+        reasoningMetrics: {
+          isAdaptive: true,
+          critiqueTriggered: false,
+          contextFetchCount,
+          totalInputTokens,
+          totalOutputTokens,
+        },
+      };
+    }
+
     if (policyResult.reason_code === REASON_CODES.MISSING_PARAM && !policyResult.message) {
       const missingParamsPrompt = `The tool "${assessment.tool_call}" requires additional information that the customer hasn't provided yet. The following parameters are missing: ${policyResult.missing_params.join(', ')}. Please ask the customer for this information in a natural, friendly way in their language. Do not mention technical parameter names - ask naturally (e.g., instead of "customerName", ask "What is your name?").`;
 
@@ -468,6 +599,8 @@ class AdaptiveReasoningService {
         temperature: ADAPTIVE_REASONING.DEFAULT_TEMPERATURE,
         provider: client.llm_provider,
         model: client.model_name,
+        redaction: client.redaction_config,
+        fallbacks: client.llm_fallbacks,
       });
 
       if (repromptResponse.tokens) {
@@ -495,12 +628,17 @@ class AdaptiveReasoningService {
       };
     }
 
-    // Generate error message via LLM if no message provided
-    let responseMessage = policyResult.message || visibleResponse;
+    // Generate error message via LLM if no message provided. The model's own
+    // response is not used for blocked calls - it may claim the action happened.
+    let responseMessage =
+      policyResult.message ||
+      (policyResult.reason_code === REASON_CODES.POLICY_BLOCKED ? null : visibleResponse);
     if (!responseMessage) {
       responseMessage = await this.generateErrorMessage(
         policyResult.reason_code || 'action_blocked',
-        'Unable to complete the requested action',
+        policyResult.reason_code === REASON_CODES.POLICY_BLOCKED
+          ? 'This request is not allowed by the business policy and has to be handled by a human'
+          : 'Unable to complete the requested action',
         client,
         formattedHistory
       );
@@ -594,12 +732,16 @@ class AdaptiveReasoningService {
   }
 
   /**
-   * Enforce server-side policies (hard stops and confidence floors)
+   * Enforce server-side policies (hard stops, parameter rules and confidence floors)
    * @param {Object} assessment - AI's self-assessment
    * @param {Array} tools - Available tools
-   * @returns {Object} { allowed, reason_code, message, updated_assessment }
+   * @param {Object} options - { policies: client policies (toolPolicyService.getClientPolicies),
+   *   userMessage: customer message, checked against custom destructive phrases }
+   * @returns {Object} { allowed, reason_code, message, updated_assessment, matched_rules,
+   *   requires_confirmation }
    */
-  enforceServerPolicies(assessment, tools) {
+  enforceServerPolicies(assessment, tools, options = {}) {
+    const { policies = null, userMessage = '' } = options;
     const toolName = assessment.tool_call;
     console.log(
       '[Policy] enforceServerPolicies called for tool:',
@@ -651,10 +793,35 @@ class AdaptiveReasoningService {
       };
     }
 
+    const policy = resolveToolPolicy(toolName, tool, policies);
+
+    // HARD STOP 3: Parameter rules ("block" wins over "confirm")
+    const matchedRules = evaluateParameterRules(policy.parameterRules, assessment.tool_params);
+    if (matchedRules.some((rule) => rule.action === 'block')) {
+      console.log('[Policy] Blocked by parameter rule:', matchedRules);
+      return {
+        allowed: false,
+        reason_code: REASON_CODES.POLICY_BLOCKED,
+        message: null,
+        matched_rules: matchedRules,
+        updated_assessment: assessment,
+      };
+    }
+    if (matchedRules.length > 0) {
+      console.log('[Policy] Parameter rule requires confirmation:', matchedRules);
+      return {
+        allowed: false,
+        reason_code: REASON_CODES.DESTRUCTIVE_NO_CONFIRM,
+        message: null,
+        matched_rules: matchedRules,
+        requires_confirmation: true,
+        updated_assessment: { ...assessment, is_destructive: true, needs_confirmation: true },
+      };
+    }
+
     // Apply confidence floor
-    const policy = getToolPolicy(toolName, tool);
     const original_confidence = assessment.confidence;
-    const effective_confidence = applyConfidenceFloor(toolName, assessment.confidence, tool);
+    const effective_confidence = Math.min(assessment.confidence, policy.maxConfidence);
 
     if (effective_confidence < original_confidence) {
       console.log(
@@ -665,7 +832,10 @@ class AdaptiveReasoningService {
     const updated_assessment = {
       ...assessment,
       confidence: effective_confidence,
-      is_destructive: isDestructiveTool(toolName, tool) || assessment.is_destructive,
+      is_destructive:
+        policy.isDestructive ||
+        assessment.is_destructive ||
+        (!!userMessage && containsPhrase(userMessage, policy.destructivePhrases)),
       needs_confirmation: policy.requiresConfirmation || assessment.needs_confirmation,
     };
 
@@ -743,6 +913,8 @@ class AdaptiveReasoningService {
         temperature: ADAPTIVE_REASONING.CRITIQUE_TEMPERATURE,
         provider: client.llm_provider,
         model: client.model_name,
+        redaction: client.redaction_config,
+        fallbacks: client.llm_fallbacks,
       });
 
       if (critiqueResponse.tokens) {
@@ -1020,6 +1192,8 @@ class AdaptiveReasoningService {
       temperature: 0.7,
       provider: client.llm_provider,
       model: client.model_name,
+      redaction: client.redaction_config,
+      fallbacks: client.llm_fallbacks,
     });
 
     return {
@@ -1082,6 +1256,8 @@ class AdaptiveReasoningService {
       temperature: ADAPTIVE_REASONING.DEFAULT_TEMPERATURE,
       provider: client.llm_provider,
       model: client.model_name,
+      redaction: client.redaction_config,
+      fallbacks: client.llm_fallbacks,
     });
 
     // Parse new assessment
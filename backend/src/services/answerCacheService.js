@@ -0,0 +1,380 @@
+import crypto from 'crypto';
+import { Client } from '../models/Client.js';
+import { ApiUsage } from '../models/ApiUsage.js';
+import { RedisCache } from './redisCache.js';
+import promptService from './promptService.js';
+import escalationService from './escalationService.js';
+import replaySandbox from './replaySandbox.js';
+import { ANSWER_CACHE } from '../config/constants.js';
+import { createLogger } from '../utils/logger.js';
+import { buildRules, maskText } from '../utils/redaction.js';
+
+const log = createLogger('AnswerCache');
+
+/**
+ * Thrown for invalid answer cache settings
+ */
+export class AnswerCacheError extends Error {
+  constructor(message, code = 'invalid') {
+    super(message);
+    this.name = 'AnswerCacheError';
+    this.code = code;
+  }
+}
+
+/**
+ * Answer Cache Service
+ *
+ * Reuses replies to repeated informational questions ("what are your opening
+ * hours?") instead of running the LLM again. Settings are per client
+ * (clients.answer_cache); entries live in Redis under a fingerprint of
+ * everything the reply depends on - business_info, the merged prompt config,
+ * language, provider, model, reasoning mode and channel - so changing any of
+ * them starts a fresh cache and the old entries simply expire.
+ *
+ * Only the first message of a conversation is cached or answered from the
+ * cache, and only replies that used no tools, fetched no extra context and
+ * did not escalate are stored. Answers are shared between end users, so
+ * questions carrying personal data (anything the PII redactor detects) are
+ * never cached, and neither are replies that repeat names or numbers from
+ * the question ("Hi John, ...").
+ */
+class AnswerCacheService {
+  /**
+   * Settings of a client with defaults applied
+   * @returns {Object} { enabled, similarity, threshold, ttl_hours }
+   */
+  getSettings(client) {
+    const settings = client?.answer_cache || {};
+    return {
+      enabled: settings.enabled === true,
+      similarity: settings.similarity === true,
+      threshold: settings.threshold ?? ANSWER_CACHE.DEFAULT_THRESHOLD,
+      ttl_hours: settings.ttl_hours ?? ANSWER_CACHE.DEFAULT_TTL_HOURS,
+    };
+  }
+
+  /**
+   * Validate answer cache settings
+   * @returns {Object} { enabled, similarity, threshold, ttl_hours }
+   */
+  normalizeSettings(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      throw new AnswerCacheError('Answer cache settings must be an object');
+    }
+
+    const threshold = Number(input.threshold ?? ANSWER_CACHE.DEFAULT_THRESHOLD);
+    if (!(threshold >= ANSWER_CACHE.MIN_THRESHOLD && threshold <= 1)) {
+      throw new AnswerCacheError(
+        `Similarity threshold must be between ${ANSWER_CACHE.MIN_THRESHOLD} and 1`
+      );
+    }
+
+    const ttlHours = Number(input.ttl_hours ?? ANSWER_CACHE.DEFAULT_TTL_HOURS);
+    if (!Number.isInteger(ttlHours) || ttlHours < 1 || ttlHours > ANSWER_CACHE.MAX_TTL_HOURS) {
+      throw new AnswerCacheError(
+        `Cache lifetime must be between 1 and ${ANSWER_CACHE.MAX_TTL_HOURS} hours`
+      );
+    }
+
+    return {
+      enabled: input.enabled === true,
+      similarity: input.similarity === true,
+      threshold,
+      ttl_hours: ttlHours,
+    };
+  }
+
+  /**
+   * Replace a client's settings
+   * @returns {Promise<Object>} Same shape as getStatus()
+   */
+  async updateSettings(clientId, input) {
+    const settings = this.normalizeSettings(input);
+    const client = await Client.updateAnswerCache(clientId, settings);
+    if (!client) {
+      throw new AnswerCacheError('Client not found', 'not_found');
+    }
+
+    // Turning the cache off drops what it holds
+    if (!settings.enabled) {
+      await this.clear(client.id);
+    }
+
+    log.info(`Answer cache settings updated for client ${clientId}`, settings);
+    return this.getStatus(client);
+  }
+
+  /**
+   * Settings and the number of cached answers (including ones from before the last
+   * business info or prompt change, until they expire)
+   * @returns {Promise<Object>} { settings, entries }
+   */
+  async getStatus(client) {
+    let entries = 0;
+    try {
+      entries = await RedisCache.countClientCache(client.id, `${ANSWER_CACHE.NAMESPACE}:`);
+    } catch (error) {
+      log.error('Failed to count answer cache entries', error);
+    }
+    return { settings: this.getSettings(client), entries };
+  }
+
+  /**
+   * Remove every cached answer of a client
+   * @returns {Promise<number>} Redis keys deleted
+   */
+  async clear(clientId) {
+    return await RedisCache.clearClientCache(clientId);
+  }
+
+  /**
+   * Whether a message may be answered from (and stored in) the cache
+   * @param {Object} client - Client
+   * @param {Object} conversation - Conversation, as loaded before the message was saved
+   * @param {string} userMessage - Message text
+   * @param {Object} options - processMessage options (attachments, channelMetadata)
+   */
+  isEligible(client, conversation, userMessage, options = {}) {
+    if (!this.getSettings(client).enabled || replaySandbox.isActive()) return false;
+    // Channels that save the message themselves (WhatsApp) already count it
+    const earlierMessages = conversation.message_count - (options.skipUserMessageSave ? 1 : 0);
+    if (earlierMessages > 0) return false;
+    if (options.attachments?.length > 0 || options.channelMetadata?.subject) return false;
+
+    const question = this.normalizeQuestion(userMessage);
+    if (
+      question.length < ANSWER_CACHE.MIN_QUESTION_LENGTH ||
+      question.length > ANSWER_CACHE.MAX_QUESTION_LENGTH
+    ) {
+      return false;
+    }
+
+    if (this.containsPersonalData(client, userMessage)) return false;
+
+    return !escalationService.detectExplicitRequest(userMessage, client.language || 'en');
+  }
+
+  /**
+   * Whether text holds anything the redactor detects: the built-in detectors
+   * and the client's custom redaction patterns, whether or not redaction is on
+   * @private
+   */
+  containsPersonalData(client, text) {
+    const rules = buildRules({ custom: client.redaction_config?.custom || [] });
+    return maskText(text, rules) !== text;
+  }
+
+  /**
+   * Whether a reply repeats something specific to the question: a capitalised
+   * word (usually a name) or a number. Such replies are personal to whoever asked.
+   * @param {string} userMessage - Question text
+   * @param {string} response - Reply text
+   */
+  echoesQuestion(userMessage, response) {
+    const words = (userMessage || '').match(/[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu) || [];
+    return words.some((word) => {
+      const specific = /\p{N}/u.test(word) || (/^\p{Lu}/u.test(word) && !/^I(\b|['’])/u.test(word));
+      if (!specific || word.length < 2) return false;
+      const escaped = word.replace(/[.*+?^${}()|[\]\\-]/g, '\\$&');
+      return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'u').test(
+        response || ''
+      );
+    });
+  }
+
+  /**
+   * Find a cached answer and record the lookup in usage
+   * @param {Object} client - Client
+   * @param {string} userMessage - Message text
+   * @param {Object} context - { channel, aiMode, isNewConversation }
+   * @returns {Promise<Object|null>} { response, blocks, cachedAt, match, score } or null
+   */
+  async lookup(client, userMessage, context = {}) {
+    try {
+      const settings = this.getSettings(client);
+      const namespace = await this.getNamespace(client, context);
+      const question = this.normalizeQuestion(userMessage);
+
+      let match = await this.getEntry(client.id, namespace, this.hashQuestion(question));
+      let score = 1;
+      if (match) {
+        match.match = 'exact';
+      } else if (settings.similarity) {
+        ({ match, score } = await this.findSimilar(
+          client.id,
+          namespace,
+          question,
+          settings.threshold
+        ));
+      }
+
+      await ApiUsage.recordAnswerCache(client.id, {
+        hit: !!match,
+        tokensInput: match?.tokensInput,
+        tokensOutput: match?.tokensOutput,
+        isNewConversation: context.isNewConversation,
+      });
+      if (!match) return null;
+
+      log.info(`Answer cache ${match.match} hit for client ${client.id}`, { score });
+      return { ...match, score };
+    } catch (error) {
+      log.error('Answer cache lookup failed', error);
+      return null;
+    }
+  }
+
+  /**
+   * Cache a reply to a question
+   * @param {Object} client - Client
+   * @param {string} userMessage - Message text
+   * @param {Object} reply - { response, blocks, tokensInput, tokensOutput }
+   * @param {Object} context - { channel, aiMode }
+   */
+  async store(client, userMessage, reply, context = {}) {
+    if (this.echoesQuestion(userMessage, reply.response)) {
+      log.debug(`Reply for client ${client.id} repeats the question, not cached`);
+      return;
+    }
+
+    try {
+      const settings = this.getSettings(client);
+      const namespace = await this.getNamespace(client, context);
+      const question = this.normalizeQuestion(userMessage);
+      const hash = this.hashQuestion(question);
+      const ttl = settings.ttl_hours * 3600;
+
+      await RedisCache.cacheResponse(
+        `${namespace}:${hash}`,
+        {
+          question,
+          response: reply.response,
+          blocks: reply.blocks || [],
+          tokensInput: reply.tokensInput || 0,
+          tokensOutput: reply.tokensOutput || 0,
+        },
+        client.id,
+        ttl
+      );
+      if (settings.similarity) {
+        await RedisCache.indexCachedQuery(
+          namespace,
+          hash,
+          question,
+          client.id,
+          ttl,
+          ANSWER_CACHE.MAX_INDEX_SIZE
+        );
+      }
+    } catch (error) {
+      log.error('Failed to cache answer', error);
+    }
+  }
+
+  /**
+   * Most similar cached question at or above the threshold
+   * @private
+   * @returns {Promise<Object>} { match, score } - match is null when nothing is close enough
+   */
+  async findSimilar(clientId, namespace, question, threshold) {
+    const index = await RedisCache.getCacheIndex(namespace, clientId);
+
+    let best = null;
+    for (const [hash, cachedQuestion] of Object.entries(index)) {
+      const score = this.similarity(question, cachedQuestion);
+      if (score >= threshold && (!best || score > best.score)) {
+        best = { hash, score };
+      }
+    }
+    if (!best) return { match: null, score: 0 };
+
+    const match = await this.getEntry(clientId, namespace, best.hash);
+    if (!match) {
+      // The answer expired before the index did
+      await RedisCache.removeFromCacheIndex(namespace, best.hash, clientId);
+      return { match: null, score: 0 };
+    }
+    match.match = 'similar';
+    return { match, score: best.score };
+  }
+
+  /** @private */
+  async getEntry(clientId, namespace, hash) {
+    const cached = await RedisCache.getCachedResponse(`${namespace}:${hash}`, clientId);
+    if (!cached) return null;
+    return { ...cached.response, cachedAt: cached.cached_at };
+  }
+
+  /**
+   * Cache namespace: a fingerprint of everything a reply depends on
+   * @private
+   */
+  async getNamespace(client, { channel = 'widget', aiMode = 'standard' } = {}) {
+    const promptConfig = await promptService.getClientConfig(client);
+    const fingerprint = crypto
+      .createHash('md5')
+      .update(
+        JSON.stringify({
+          businessInfo: client.business_info || {},
+          promptConfig,
+          language: client.language || 'en',
+          provider: client.llm_provider || 'ollama',
+          model: client.model_name || null,
+          aiMode,
+          channel,
+        })
+      )
+      .digest('hex')
+      .slice(0, 16);
+    return `${ANSWER_CACHE.NAMESPACE}:${fingerprint}`;
+  }
+
+  /**
+   * Lowercase, without punctuation and repeated whitespace
+   * ("What are your opening hours??" -> "what are your opening hours")
+   */
+  normalizeQuestion(text) {
+    return (text || '')
+      .normalize('NFKC')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /** @private */
+  hashQuestion(question) {
+    return RedisCache.hashQuery(question);
+  }
+
+  /**
+   * Similarity of two normalised questions (0-1): Dice coefficient of their
+   * character trigrams, which tolerates typos and small changes in wording
+   */
+  similarity(a, b) {
+    if (a === b) return 1;
+    const trigramsA = this.trigrams(a);
+    const trigramsB = this.trigrams(b);
+    if (trigramsA.size === 0 || trigramsB.size === 0) return 0;
+
+    let shared = 0;
+    for (const trigram of trigramsA) {
+      if (trigramsB.has(trigram)) shared++;
+    }
+    return (2 * shared) / (trigramsA.size + trigramsB.size);
+  }
+
+  /** @private */
+  trigrams(text) {
+    const padded = `  ${text} `;
+    const result = new Set();
+    for (let i = 0; i < padded.length - 2; i++) {
+      result.add(padded.slice(i, i + 3));
+    }
+    return result;
+  }
+}
+
+const answerCacheService = new AnswerCacheService();
+export default answerCacheService;
@@ -0,0 +1,298 @@
+import { Attachment } from '../models/Attachment.js';
+import { ATTACHMENTS } from '../config/constants.js';
+import { getPlanConfigAsync } from '../config/planLimits.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('Attachments');
+
+const MB = 1024 * 1024;
+
+/**
+ * Thrown for rejected uploads and unknown attachment IDs
+ */
+export class AttachmentError extends Error {
+  constructor(message, code = 'invalid') {
+    super(message);
+    this.name = 'AttachmentError';
+    this.code = code;
+  }
+}
+
+/**
+ * Attachment Service
+ *
+ * Files end users send with a message - widget uploads and email attachments.
+ * Files are stored per conversation and listed on the message that carries
+ * them (messages.channel_metadata.attachments). Size and type limits come
+ * from the client's plan features:
+ *   attachmentMaxSizeMb - max file size; 0 disables attachments
+ *   attachmentTypes     - allowed MIME types ("image/*" matches any image)
+ */
+class AttachmentService {
+  /**
+   * Attachment limits for a client's plan
+   * @param {object} client - Client
+   * @returns {Promise<Object>} { enabled, maxBytes, types }
+   */
+  async getLimits(client) {
+    const plan = await getPlanConfigAsync(client.plan_type || 'unlimited');
+    const features = plan?.features || {};
+
+    const configuredSize = Number(features.attachmentMaxSizeMb);
+    const sizeMb =
+      features.attachmentMaxSizeMb === undefined ||
+      features.attachmentMaxSizeMb === null ||
+      features.attachmentMaxSizeMb === '' ||
+      Number.isNaN(configuredSize)
+        ? ATTACHMENTS.DEFAULT_MAX_SIZE_MB
+        : Math.min(Math.max(configuredSize, 0), ATTACHMENTS.MAX_SIZE_MB);
+
+    let types = features.attachmentTypes;
+    if (typeof types === 'string') {
+      types = types.split(',');
+    }
+    types = Array.isArray(types)
+      ? types.map((type) => String(type).trim().toLowerCase()).filter(Boolean)
+      : [];
+
+    return {
+      enabled: sizeMb > 0,
+      maxBytes: Math.floor(sizeMb * MB),
+      types: types.length > 0 ? types : ATTACHMENTS.DEFAULT_TYPES,
+    };
+  }
+
+  /**
+   * Whether a MIME type is in the allowed list
+   */
+  isAllowedType(mimeType, types) {
+    const type = String(mimeType || '').toLowerCase();
+    return types.some((allowed) =>
+      allowed.endsWith('/*') ? type.startsWith(allowed.slice(0, -1)) : type === allowed
+    );
+  }
+
+  /**
+   * Check a file against the plan limits
+   * @returns {AttachmentError|null} Why the file is rejected, or null
+   */
+  checkFile(mimeType, size, limits) {
+    if (!limits.enabled) {
+      return new AttachmentError('Attachments are not available on this plan', 'disabled');
+    }
+    if (!this.isAllowedType(mimeType, limits.types)) {
+      return new AttachmentError(
+        `File type ${mimeType || 'unknown'} is not allowed`,
+        'unsupported_type'
+      );
+    }
+    if (!size) {
+      return new AttachmentError('File is empty');
+    }
+    if (size > limits.maxBytes) {
+      return new AttachmentError(
+        `File is too large (max ${Math.round((limits.maxBytes / MB) * 10) / 10} MB)`,
+        'too_large'
+      );
+    }
+    return null;
+  }
+
+  /**
+   * Keep only the base name and printable characters of a file name
+   */
+  sanitizeFilename(filename) {
+    const name = String(filename || '')
+      .split(/[\\/]/)
+      .pop()
+      // eslint-disable-next-line no-control-regex
+      .replace(/[\u0000-\u001f\u007f]/g, '')
+      .trim();
+    return (name || 'attachment').slice(-ATTACHMENTS.MAX_FILENAME_LENGTH);
+  }
+
+  /**
+   * Store a file uploaded in the widget; it is linked to the next message that lists it
+   * @param {object} client - Widget client
+   * @param {string} sessionId - Widget session
+   * @param {object} file - { filename, mimeType, data (base64) }
+   * @returns {Promise<Object>} Attachment metadata
+   * @throws {AttachmentError} When the file is rejected
+   */
+  async upload(client, sessionId, { filename, mimeType, data } = {}) {
+    if (typeof data !== 'string' || data.length === 0) {
+      throw new AttachmentError('File data is required (base64)');
+    }
+
+    // Accept data URLs as well as bare base64
+    const buffer = Buffer.from(data.replace(/^data:[^,]*,/, ''), 'base64');
+    const limits = await this.getLimits(client);
+    const rejection = this.checkFile(mimeType, buffer.length, limits);
+    if (rejection) {
+      throw rejection;
+    }
+
+    const attachment = await Attachment.create({
+      clientId: client.id,
+      sessionId,
+      source: 'widget',
+      filename: this.sanitizeFilename(filename),
+      mimeType: String(mimeType).toLowerCase(),
+      data: buffer,
+    });
+    log.info(`Stored upload ${attachment.id} for client ${client.id} (${buffer.length} bytes)`);
+    return this.toMetadata(attachment);
+  }
+
+  /**
+   * Store a file received on a server-side channel (email)
+   * @param {object} client - Client
+   * @param {object} conversation - Conversation the file belongs to
+   * @param {object} file - { filename, mimeType, data (Buffer), source }
+   * @param {object} limits - Result of getLimits
+   * @returns {Promise<Object|null>} Attachment, or null when the plan limits reject it
+   */
+  async store(client, conversation, { filename, mimeType, data, source = 'email' }, limits) {
+    const rejection = this.checkFile(mimeType, data.length, limits);
+    if (rejection) {
+      log.info(`Skipped ${source} attachment "${filename}": ${rejection.message}`);
+      return null;
+    }
+
+    return await Attachment.create({
+      clientId: client.id,
+      conversationId: conversation.id,
+      sessionId: conversation.session_id,
+      source,
+      filename: this.sanitizeFilename(filename),
+      mimeType: String(mimeType).toLowerCase(),
+      data,
+    });
+  }
+
+  /**
+   * Resolve the attachment IDs sent with a message
+   * @param {object} client - Client
+   * @param {string} sessionId - Session that uploaded the files
+   * @param {Array} ids - Attachment IDs
+   * @returns {Promise<Array>} Attachments (without data), in upload order
+   * @throws {AttachmentError} When an ID is invalid, unknown or already used
+   */
+  async claim(client, sessionId, ids) {
+    if (ids === undefined || ids === null) {
+      return [];
+    }
+    if (!Array.isArray(ids) || !ids.every((id) => Number.isInteger(id) && id > 0)) {
+      throw new AttachmentError('Attachment IDs must be an array of integers');
+    }
+    const uniqueIds = [...new Set(ids)];
+    if (uniqueIds.length > ATTACHMENTS.MAX_PER_MESSAGE) {
+      throw new AttachmentError(
+        `At most ${ATTACHMENTS.MAX_PER_MESSAGE} attachments can be sent with a message`
+      );
+    }
+    if (uniqueIds.length === 0) {
+      return [];
+    }
+
+    const attachments = await Attachment.findUnclaimed(uniqueIds, client.id, sessionId);
+    if (attachments.length !== uniqueIds.length) {
+      throw new AttachmentError('Attachment not found', 'not_found');
+    }
+    return attachments;
+  }
+
+  /**
+   * Link attachments to the message that carries them
+   */
+  async link(attachments, conversationId, messageId) {
+    if (attachments.length === 0) return;
+    await Attachment.linkToMessage(
+      attachments.map((attachment) => attachment.id),
+      conversationId,
+      messageId
+    );
+  }
+
+  /**
+   * Shape stored in messages.channel_metadata.attachments and returned by the APIs
+   */
+  toMetadata(attachment) {
+    return {
+      id: attachment.id,
+      filename: attachment.filename,
+      mime_type: attachment.mime_type,
+      size: attachment.size_bytes,
+    };
+  }
+
+  /**
+   * Text stand-in for attachments, e.g. "[Attachment: receipt.pdf, photo.jpg]"
+   * Used as the message text when a file is sent without one, and to tell the
+   * model about files it cannot see.
+   */
+  describe(attachments) {
+    if (attachments.length === 0) return '';
+    const label = attachments.length === 1 ? 'Attachment' : 'Attachments';
+    return `[${label}: ${attachments.map((attachment) => attachment.filename).join(', ')}]`;
+  }
+
+  /**
+   * Load image attachments for a vision-capable model
+   * @returns {Promise<Array>} [{ mimeType, data (base64) }]
+   */
+  async loadImages(attachments) {
+    const ids = attachments
+      .filter((attachment) => ATTACHMENTS.VISION_TYPES.includes(attachment.mime_type))
+      .map((attachment) => attachment.id);
+    if (ids.length === 0) {
+      return [];
+    }
+
+    const rows = await Attachment.findWithData(ids);
+    return rows.map((row) => ({ mimeType: row.mime_type, data: row.data.toString('base64') }));
+  }
+
+  /**
+   * Get an attachment of a conversation for download
+   * @throws {AttachmentError} When it does not exist in the conversation
+   */
+  async getForDownload(conversationId, attachmentId) {
+    const id = parseInt(attachmentId, 10);
+    const attachment = Number.isInteger(id)
+      ? await Attachment.findInConversation(id, conversationId)
+      : null;
+    if (!attachment) {
+      throw new AttachmentError('Attachment not found', 'not_found');
+    }
+    return attachment;
+  }
+
+  /**
+   * Send an attachment as a download response
+   * Only images and PDFs are shown inline; everything else is downloaded.
+   */
+  sendFile(res, attachment) {
+    const inline =
+      ATTACHMENTS.VISION_TYPES.includes(attachment.mime_type) ||
+      attachment.mime_type === 'application/pdf';
+    res.set({
+      'Content-Type': attachment.mime_type,
+      'Content-Length': attachment.size_bytes,
+      'Content-Disposition': `${inline ? 'inline' : 'attachment'}; filename*=UTF-8''${encodeURIComponent(attachment.filename)}`,
+      'X-Content-Type-Options': 'nosniff',
+    });
+    res.send(attachment.data);
+  }
+
+  /**
+   * Remove widget uploads that were never sent with a message
+   * @returns {Promise<number>} Number of removed uploads
+   */
+  async cleanupUnclaimed() {
+    return await Attachment.deleteUnclaimedOlderThan(ATTACHMENTS.UNCLAIMED_TTL_HOURS);
+  }
+}
+
+export const attachmentService = new AttachmentService();
+export default attachmentService;
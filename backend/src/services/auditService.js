@@ -0,0 +1,482 @@
+import { AuditLog } from '../models/AuditLog.js';
+import { Client } from '../models/Client.js';
+import { ClientIntegration } from '../models/ClientIntegration.js';
+import { ClientTool } from '../models/ClientTool.js';
+import { ClientUser } from '../models/ClientUser.js';
+import { Conversation } from '../models/Conversation.js';
+import { Escalation } from '../models/Escalation.js';
+import { Invoice } from '../models/Invoice.js';
+import { KnowledgeDocument } from '../models/KnowledgeDocument.js';
+import { Plan } from '../models/Plan.js';
+import { PlanChange } from '../models/PlanChange.js';
+import { PlatformConfig } from '../models/PlatformConfig.js';
+import { PromptExperiment } from '../models/PromptExperiment.js';
+import { TestScenario } from '../models/TestScenario.js';
+import { Tool } from '../models/Tool.js';
+import { ToolPolicy } from '../models/ToolPolicy.js';
+import { WebhookSubscription } from '../models/WebhookSubscription.js';
+import { AUDIT } from '../config/constants.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('Audit');
+
+const REDACTED = '[REDACTED]';
+
+// Keys whose values never reach the audit log (user identifiers are end-user
+// PII that an erase request must not leave behind)
+const SENSITIVE_KEY =
+  /password|secret|api_?key|access_code|credentials|authorization|^token$|_token$|token_hash|user_?identifier/i;
+
+const clientPromptConfig = async ({ clientId }) =>
+  (await Client.findById(clientId))?.prompt_config || null;
+
+const clientRetentionConfig = async ({ clientId }) =>
+  (await Client.findById(clientId))?.retention_config || null;
+
+const clientRedactionConfig = async ({ clientId }) =>
+  (await Client.findById(clientId))?.redaction_config || null;
+
+const clientLlmFallbacks = async ({ clientId }) =>
+  (await Client.findById(clientId))?.llm_fallbacks || null;
+
+const clientAnswerCache = async ({ clientId }) =>
+  (await Client.findById(clientId))?.answer_cache || null;
+
+const clientSpendingConfig = async ({ clientId }) =>
+  (await Client.findById(clientId))?.spending_config || null;
+
+/**
+ * Audited resources, matched against the request path (relative to the router
+ * mount point) in order. A path is `collection[/:id][/action...]`; `load`
+ * returns the current state of the target so changes can be diffed.
+ */
+const ADMIN_TARGETS = [
+  {
+    path: '/clients/:clientId/tool-policies/tools',
+    type: 'tool_policy',
+    load: ({ clientId, id }) => ToolPolicy.find(clientId, id),
+  },
+  {
+    path: '/clients/:clientId/tool-policies',
+    type: 'tool_policy',
+    load: ({ clientId }) => ToolPolicy.find(clientId, null),
+  },
+  {
+    path: '/clients/:clientId/prompt-config/versions',
+    type: 'client_prompt_config',
+    load: clientPromptConfig,
+  },
+  {
+    path: '/clients/:clientId/prompt-experiments',
+    type: 'prompt_experiment',
+    load: ({ id }) => id && PromptExperiment.findById(id),
+  },
+  {
+    path: '/clients/:clientId/prompt-config',
+    type: 'client_prompt_config',
+    load: clientPromptConfig,
+  },
+  {
+    path: '/clients/:clientId/privacy/retention',
+    type: 'client_retention',
+    load: clientRetentionConfig,
+  },
+  {
+    path: '/clients/:clientId/privacy/redaction',
+    type: 'client_redaction',
+    load: clientRedactionConfig,
+  },
+  { path: '/clients/:clientId/privacy/requests', type: 'data_request' },
+  {
+    path: '/clients/:clientId/plan-changes',
+    type: 'plan_change',
+    load: ({ id }) => id && PlanChange.findById(id),
+  },
+  {
+    path: '/clients/:clientId/spending',
+    type: 'client_spending',
+    load: clientSpendingConfig,
+  },
+  { path: '/clients/:clientId/credits', type: 'credit_transaction' },
+  {
+    path: '/clients/:clientId/answer-cache',
+    type: 'client_answer_cache',
+    load: clientAnswerCache,
+  },
+  {
+    path: '/clients/:clientId/llm-failover',
+    type: 'client_llm_failover',
+    load: clientLlmFallbacks,
+  },
+  {
+    path: '/clients/:clientId/test-scenarios',
+    type: 'test_scenario',
+    load: ({ clientId, id }) => id && TestScenario.find(clientId, id),
+  },
+  {
+    path: '/clients/:clientId/tools',
+    type: 'client_tool',
+    load: ({ clientId, id }) => id && ClientTool.find(clientId, id),
+  },
+  {
+    path: '/clients/:clientId/integrations',
+    type: 'integration',
+    load: ({ id }) => id && ClientIntegration.findById(id),
+  },
+  {
+    path: '/clients/:clientId/knowledge',
+    type: 'knowledge_document',
+    load: ({ id }) => id && KnowledgeDocument.findById(id),
+  },
+  { path: '/clients', type: 'client', load: ({ id }) => id && Client.findById(id) },
+  {
+    path: '/prompt-config/adaptive/versions',
+    type: 'adaptive_prompt_config',
+    load: () => PlatformConfig.get('adaptive_prompt_config'),
+  },
+  {
+    path: '/prompt-config/adaptive',
+    type: 'adaptive_prompt_config',
+    load: () => PlatformConfig.get('adaptive_prompt_config'),
+  },
+  {
+    path: '/prompt-config/versions',
+    type: 'default_prompt_config',
+    load: () => PlatformConfig.get('default_prompt_config'),
+  },
+  {
+    path: '/prompt-config',
+    type: 'default_prompt_config',
+    load: () => PlatformConfig.get('default_prompt_config'),
+  },
+  { path: '/tools', type: 'tool', load: ({ id }) => id && Tool.findById(id) },
+  {
+    path: '/integrations',
+    type: 'integration',
+    load: ({ id }) => id && ClientIntegration.findById(id),
+  },
+  {
+    path: '/knowledge',
+    type: 'knowledge_document',
+    load: ({ id }) => id && KnowledgeDocument.findById(id),
+  },
+  { path: '/plans', type: 'plan', load: ({ id }) => id && Plan.findById(id) },
+  { path: '/escalations', type: 'escalation', load: ({ id }) => id && Escalation.findById(id) },
+  { path: '/billing/invoices', type: 'invoice', load: ({ id }) => id && Invoice.findById(id) },
+  { path: '/billing', type: 'billing' },
+  {
+    path: '/conversations',
+    type: 'conversation',
+    load: ({ id }) => id && Conversation.findById(id),
+  },
+];
+
+// Customer routes act on the authenticated client (req.clientId)
+const CUSTOMER_TARGETS = [
+  { path: '/settings', type: 'client_settings', load: ({ clientId }) => Client.findById(clientId) },
+  { path: '/ai-behavior', type: 'client_prompt_config', load: clientPromptConfig },
+  { path: '/privacy/retention', type: 'client_retention', load: clientRetentionConfig },
+  { path: '/privacy/redaction', type: 'client_redaction', load: clientRedactionConfig },
+  { path: '/privacy/requests', type: 'data_request' },
+  {
+    path: '/billing/plan-change-requests',
+    type: 'plan_change',
+    load: ({ id }) => id && PlanChange.findById(id),
+  },
+  { path: '/billing/spending', type: 'client_spending', load: clientSpendingConfig },
+  { path: '/billing/credits', type: 'credit_purchase' },
+  {
+    path: '/webhooks',
+    type: 'webhook',
+    load: ({ id }) => id && WebhookSubscription.findById(id),
+  },
+  { path: '/users', type: 'client_user', load: ({ id }) => id && ClientUser.findById(id) },
+  { path: '/escalations', type: 'escalation', load: ({ id }) => id && Escalation.findById(id) },
+];
+
+const TARGETS = { admin: ADMIN_TARGETS, customer: CUSTOMER_TARGETS };
+
+const CSV_COLUMNS = [
+  ['created_at', 'Time'],
+  ['actor_type', 'Actor Type'],
+  ['actor_name', 'Actor'],
+  ['client_name', 'Client'],
+  ['action', 'Action'],
+  ['target_type', 'Target Type'],
+  ['target_id', 'Target ID'],
+  ['method', 'Method'],
+  ['path', 'Path'],
+  ['status_code', 'Status'],
+  ['ip_address', 'IP Address'],
+  ['changes', 'Changes'],
+];
+
+/**
+ * Audit Service
+ *
+ * Records who changed what through the admin and customer dashboards. The
+ * auditTrail middleware calls describe() before a mutation runs and
+ * complete() after it succeeds; entries are append-only.
+ */
+class AuditService {
+  /**
+   * Resolve a request path to an audited action
+   * @param {string} scope - 'admin' or 'customer'
+   * @param {string} method - HTTP method
+   * @param {string} path - Path relative to the router mount point
+   * @returns {object|null} { action, targetType, params, load } or null when not audited
+   */
+  describe(scope, method, path) {
+    if (!AUDIT.MUTATING_METHODS.includes(method)) {
+      return null;
+    }
+
+    const segments = path.split('/').filter(Boolean);
+    if (AUDIT.SKIPPED_ACTIONS.includes(segments[segments.length - 1])) {
+      return null;
+    }
+
+    for (const target of TARGETS[scope] || []) {
+      const match = this.matchPath(target.path, segments);
+      if (!match) continue;
+
+      const { params, rest } = match;
+      if (rest.length > 0 && /^\d+$/.test(rest[0])) {
+        params.id = rest.shift();
+      }
+      const verb = rest.length > 0 ? rest.join('.') : this.methodVerb(method, params.id);
+      return {
+        action: `${target.type}.${verb}`,
+        targetType: target.type,
+        params,
+        load: target.load,
+      };
+    }
+
+    // Unknown routes are still recorded, without a diff
+    return { action: `${method} ${path}`, targetType: null, params: {}, load: null };
+  }
+
+  /**
+   * Match a `/a/:param/b` pattern against the start of the path segments
+   * @returns {object|null} { params, rest }
+   */
+  matchPath(pattern, segments) {
+    const parts = pattern.split('/').filter(Boolean);
+    if (segments.length < parts.length) return null;
+
+    const params = {};
+    for (let i = 0; i < parts.length; i++) {
+      if (parts[i].startsWith(':')) {
+        params[parts[i].slice(1)] = segments[i];
+      } else if (parts[i] !== segments[i]) {
+        return null;
+      }
+    }
+    return { params, rest: segments.slice(parts.length) };
+  }
+
+  methodVerb(method, id) {
+    if (method === 'DELETE') return 'delete';
+    if (method === 'POST' && !id) return 'create';
+    return 'update';
+  }
+
+  /**
+   * Load the current state of a target, never throwing
+   */
+  async snapshot(description) {
+    if (!description?.load) return null;
+    try {
+      return (await description.load(description.params)) || null;
+    } catch (error) {
+      log.warn(`Failed to load ${description.targetType} for audit`, { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Top-level field changes between two states
+   * @returns {object|null} { field: { from, to } } with secrets redacted, or null if nothing changed
+   */
+  diff(before, after) {
+    if (!isObject(before) && !isObject(after)) {
+      return null;
+    }
+    const from = isObject(before) ? before : {};
+    const to = isObject(after) ? after : {};
+
+    const changes = {};
+    for (const key of new Set([...Object.keys(from), ...Object.keys(to)])) {
+      if (AUDIT.IGNORED_FIELDS.includes(key)) continue;
+      if (JSON.stringify(from[key] ?? null) === JSON.stringify(to[key] ?? null)) continue;
+
+      changes[key] = { from: this.redactField(key, from[key]), to: this.redactField(key, to[key]) };
+    }
+    return Object.keys(changes).length > 0 ? changes : null;
+  }
+
+  /**
+   * Replace sensitive values at any depth
+   */
+  redact(value) {
+    if (Array.isArray(value)) {
+      return value.map((item) => this.redact(item));
+    }
+    if (!isObject(value)) {
+      return value;
+    }
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, this.redactField(key, item)])
+    );
+  }
+
+  redactField(key, value) {
+    if (value === null || value === undefined) return null;
+    return SENSITIVE_KEY.test(key) ? REDACTED : this.redact(value);
+  }
+
+  /**
+   * Write an entry; audit failures never fail the request
+   * @param {object} entry - See AuditLog.create
+   */
+  async record(entry) {
+    try {
+      return await AuditLog.create(entry);
+    } catch (error) {
+      log.error(`Failed to record audit entry ${entry.action}`, { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Record a finished mutation
+   * @param {object} description - From describe(), with params filled in
+   * @param {object} context - { actor, clientId, before, responseBody, method, path, statusCode, body, ip, userAgent }
+   */
+  async complete(description, context) {
+    const { params } = description;
+
+    // Creates only learn the target id from the response
+    const createdId = !params.id && isObject(context.responseBody) ? context.responseBody.id : null;
+    if (createdId) {
+      params.id = String(createdId);
+    }
+
+    const after = context.method === 'DELETE' ? null : await this.snapshot(description);
+    const state = after || context.before;
+
+    return this.record({
+      actorType: context.actor.type,
+      actorId: context.actor.id,
+      actorName: context.actor.name,
+      clientId: context.clientId || toInt(params.clientId) || this.clientIdOf(description, state),
+      action: description.action,
+      targetType: description.targetType,
+      targetId: params.id || params.clientId || null,
+      method: context.method,
+      path: context.path,
+      statusCode: context.statusCode,
+      changes: this.diff(context.before, after),
+      requestBody:
+        isObject(context.body) && Object.keys(context.body).length > 0
+          ? this.redact(context.body)
+          : null,
+      ipAddress: context.ip || null,
+      userAgent: context.userAgent || null,
+    });
+  }
+
+  clientIdOf(description, state) {
+    if (description.targetType === 'client') {
+      return toInt(description.params.id);
+    }
+    return toInt(state?.client_id);
+  }
+
+  // ==================== Queries ====================
+
+  /**
+   * Search the audit log
+   * @param {object} query - Filters plus page and limit
+   * @returns {Promise<object>} { entries, total, page, totalPages }
+   */
+  async search(query = {}) {
+    const filters = this.parseFilters(query);
+    const limit = Math.min(toInt(query.limit) || AUDIT.PAGE_SIZE, 200);
+    const page = Math.max(toInt(query.page) || 1, 1);
+
+    const [entries, total] = await Promise.all([
+      AuditLog.search(filters, { limit, offset: (page - 1) * limit }),
+      AuditLog.count(filters),
+    ]);
+    return { entries, total, page, totalPages: Math.max(Math.ceil(total / limit), 1) };
+  }
+
+  /**
+   * Export matching entries as CSV (newest first, capped at AUDIT.EXPORT_LIMIT)
+   */
+  async exportCsv(query = {}) {
+    const entries = await AuditLog.search(this.parseFilters(query), {
+      limit: AUDIT.EXPORT_LIMIT,
+      offset: 0,
+    });
+    return this.toCsv(entries);
+  }
+
+  toCsv(entries) {
+    const header = CSV_COLUMNS.map(([, label]) => label).join(',');
+    const rows = entries.map((entry) =>
+      CSV_COLUMNS.map(([key]) => {
+        const value = entry[key];
+        if (value instanceof Date) return csvCell(value.toISOString());
+        if (isObject(value)) return csvCell(JSON.stringify(value));
+        return csvCell(value);
+      }).join(',')
+    );
+    return [header, ...rows].join('\n');
+  }
+
+  parseFilters(query) {
+    return {
+      clientId: toInt(query.clientId),
+      actorType: query.actorType || null,
+      actorId: toInt(query.actorId),
+      action: query.action || null,
+      targetType: query.targetType || null,
+      targetId: query.targetId || null,
+      from: query.from || null,
+      to: query.to || null,
+      search: query.search?.trim() || null,
+    };
+  }
+
+  getFacets() {
+    return AuditLog.getFacets();
+  }
+}
+
+function isObject(value) {
+  return (
+    value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)
+  );
+}
+
+function toInt(value) {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+// Quote a CSV cell; leading formula characters are neutralised for spreadsheet apps
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Export singleton instance
+export const auditService = new AuditService();
+export default auditService;
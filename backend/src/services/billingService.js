@@ -1,14 +1,37 @@
 import { Invoice } from '../models/Invoice.js';
 import { Client } from '../models/Client.js';
 import { Plan } from '../models/Plan.js';
+import { CreditNote } from '../models/CreditNote.js';
+import { PlanChange } from '../models/PlanChange.js';
+import { CreditTransaction } from '../models/CreditTransaction.js';
 import { db } from '../db.js';
+import { getPaymentProvider, getDefaultProviderName, PAYMENT_STATUS } from './payments/index.js';
+import { createLogger } from '../utils/logger.js';
+import webhookService from './webhookService.js';
+import { getPlanConfigAsync } from '../config/planLimits.js';
+import { INVOICING } from '../config/constants.js';
+
+const log = createLogger('BillingService');
+
+/**
+ * Thrown for invalid invoicing input (currency, adjustments, credit notes)
+ */
+export class BillingError extends Error {
+  constructor(message, code = 'invalid') {
+    super(message);
+    this.name = 'BillingError';
+    this.code = code;
+  }
+}
 
 /**
  * BillingService - Infrastructure for billing with configurable pricing
  *
  * This service provides:
- * - Invoice generation from usage data
- * - Payment provider abstraction (ready for Stripe/PayPal integration)
+ * - Invoice generation from usage data, with line items, tax and per-client currency
+ * - Sequential invoice numbers and credit notes
+ * - Overage above the plan's cost allowance, paid from prepaid credits first
+ * - Payment provider adapters (Stripe, fake provider for tests) with webhooks and refunds
  * - Configurable pricing (base + usage-based) from database
  * - Revenue analytics
  */
@@ -128,45 +151,69 @@ export class BillingService {
    * Uses cents-based arithmetic to avoid floating point errors
    */
   static _calculateCost(usage, pricing) {
-    // If any pricing component is null, return 0 (not configured yet)
+    const { tokenCost, messageCost, toolCallCost } = this._calculateCostBreakdown(usage, pricing);
+    return this.roundToCents(tokenCost + messageCost + toolCallCost);
+  }
+
+  /**
+   * Usage quantities and the cost of each usage component
+   * @returns {Object} { tokens, messages, toolCalls, tokenCost, messageCost, toolCallCost }
+   */
+  static _calculateCostBreakdown(usage, pricing) {
+    const quantities = {
+      tokens:
+        (parseInt(usage.total_tokens_input, 10) || 0) +
+        (parseInt(usage.total_tokens_output, 10) || 0),
+      messages: parseInt(usage.total_messages, 10) || 0,
+      toolCalls: parseInt(usage.total_tool_calls, 10) || 0,
+    };
+
+    // If any pricing component is null, usage is free (not configured yet)
     if (
       pricing.costPerThousandTokens === null ||
       pricing.costPerMessage === null ||
       pricing.costPerToolCall === null
     ) {
-      return 0;
+      return { ...quantities, tokenCost: 0, messageCost: 0, toolCallCost: 0 };
     }
 
-    const totalTokens =
-      (parseInt(usage.total_tokens_input, 10) || 0) +
-      (parseInt(usage.total_tokens_output, 10) || 0);
-    const tokensInThousands = totalTokens / 1000;
-
     // Calculate each component and round to avoid accumulating errors
-    const tokenCost = this.roundToCents(tokensInThousands * (pricing.costPerThousandTokens || 0));
-    const messageCost = this.roundToCents(
-      (parseInt(usage.total_messages, 10) || 0) * (pricing.costPerMessage || 0)
-    );
-    const toolCallCost = this.roundToCents(
-      (parseInt(usage.total_tool_calls, 10) || 0) * (pricing.costPerToolCall || 0)
-    );
-
-    return this.roundToCents(tokenCost + messageCost + toolCallCost);
+    return {
+      ...quantities,
+      tokenCost: this.roundToCents(
+        (quantities.tokens / 1000) * (pricing.costPerThousandTokens || 0)
+      ),
+      messageCost: this.roundToCents(quantities.messages * (pricing.costPerMessage || 0)),
+      toolCallCost: this.roundToCents(quantities.toolCalls * (pricing.costPerToolCall || 0)),
+    };
   }
 
   /**
    * Generate invoice for a client for a specific billing period
+   * Amounts are converted to the client's billing currency and taxed at the
+   * client's tax rate; the client's tax details are copied onto the invoice.
+   * After a mid-period plan change the base cost is prorated per plan and
+   * usage is billed at the plan that was active on each day.
+   * Cost above the plan's allowance (costLimitUSD) is billed as overage, paid
+   * from the client's prepaid credits as far as they go.
    * @param {number} clientId - Client ID
    * @param {string} billingPeriod - YYYY-MM format
    * @param {boolean} force - Force regeneration if invoice exists
-   * @returns {Object} Invoice
+   * @param {Object} options - { adjustments: [{ type: 'overage'|'credit'|'adjustment', description, amount }] }
+   *   (amounts in the invoice currency; credits are subtracted)
+   * @returns {Object} { invoice, lineItems, usage }
    */
-  static async generateInvoice(clientId, billingPeriod, force = false) {
+  static async generateInvoice(clientId, billingPeriod, force = false, options = {}) {
     // Check if invoice already exists
     const existingInvoice = await Invoice.findByClientAndPeriod(clientId, billingPeriod);
     if (existingInvoice && !force) {
       throw new Error(`Invoice already exists for period ${billingPeriod}`);
     }
+    if (existingInvoice && parseFloat(existingInvoice.amount_credited) > 0) {
+      throw new Error(
+        `Invoice ${existingInvoice.invoice_number} has credit notes and can't be regenerated`
+      );
+    }
 
     // Get client details
     const client = await Client.findById(clientId);
@@ -174,6 +221,10 @@ export class BillingService {
       throw new Error(`Client with ID ${clientId} not found`);
     }
 
+    const currency = client.billing_currency || INVOICING.BASE_CURRENCY;
+    const exchangeRate = this.getExchangeRate(currency);
+    const adjustments = this._validateAdjustments(options.adjustments);
+
     // Parse billing period (YYYY-MM)
     const [year, month] = billingPeriod.split('-');
     const startDate = new Date(year, month - 1, 1);
@@ -186,39 +237,554 @@ export class BillingService {
       endDate.toISOString().split('T')[0]
     );
 
-    // Calculate costs (using async pricing from database)
-    const pricing = await this.getPricingConfigAsync(client.plan_type);
-    const baseCost = this.roundToCents(pricing.baseCost || 0);
-    const usageCost = await this.calculateUsageCostAsync(usageData, client.plan_type);
-    const totalCost = this.roundToCents(baseCost + usageCost);
+    // Calculate costs per plan the client was on (using async pricing from database)
+    const segments = await this.getPlanSegments(client, billingPeriod);
+    const planLines = [];
+    for (const segment of segments) {
+      const pricing = await this.getPricingConfigAsync(segment.planType);
+      if (segments.length === 1) {
+        planLines.push(...this.buildLineItems(segment.planType, pricing, usageData, exchangeRate));
+        continue;
+      }
+      const segmentUsage = await this.getUsageForPeriod(
+        clientId,
+        segment.startDate,
+        segment.endDate
+      );
+      planLines.push(
+        ...this.buildLineItems(segment.planType, pricing, segmentUsage, exchangeRate, {
+          ...segment,
+          daysInPeriod: endDate.getDate(),
+        })
+      );
+    }
+    const planType = segments[segments.length - 1].planType;
+    const overage = await this.buildOverageLine(planType, usageData, exchangeRate);
+    const lineItems = [...planLines, ...(overage ? [overage.line] : []), ...adjustments];
+
+    if (this.roundToCents(lineItems.reduce((sum, item) => sum + item.amount, 0)) < 0) {
+      throw new BillingError('Credits exceed the invoice amount');
+    }
 
-    // Set due date (30 days from invoice creation)
+    // Credits used by the invoice being replaced are given back first
+    if (existingInvoice && force) {
+      await CreditTransaction.refundInvoice(existingInvoice.id, 'Invoice regenerated');
+    }
+    const credits = overage
+      ? await this._useCredits(clientId, billingPeriod, overage.costUsd, lineItems, exchangeRate)
+      : null;
+    if (credits) {
+      lineItems.push(credits.line);
+    }
+
+    const subtotal = this.roundToCents(lineItems.reduce((sum, item) => sum + item.amount, 0));
+    const baseCost = this.roundToCents(
+      lineItems.filter((item) => item.type === 'base').reduce((sum, item) => sum + item.amount, 0)
+    );
+    const usageCost = this.roundToCents(subtotal - baseCost);
+    const taxRate = parseFloat(client.tax_rate) || 0;
+    const taxAmount = this.roundToCents((subtotal * taxRate) / 100);
+    const totalCost = this.roundToCents(subtotal + taxAmount);
+
+    // Set due date (from invoice creation)
     const dueDate = new Date();
-    dueDate.setDate(dueDate.getDate() + 30);
+    dueDate.setDate(dueDate.getDate() + INVOICING.DUE_DAYS);
 
-    // If invoice exists and force=true, delete the old one
+    // If invoice exists and force=true, delete the old one (its number is reused)
     if (existingInvoice && force) {
       await Invoice.delete(existingInvoice.id);
     }
 
     // Create invoice
+    let invoice;
+    try {
+      invoice = await Invoice.create({
+        clientId,
+        billingPeriod,
+        planType,
+        baseCost,
+        usageCost,
+        totalCost,
+        status: 'pending',
+        dueDate: dueDate.toISOString().split('T')[0],
+        invoiceNumber: existingInvoice?.invoice_number || null,
+        numberPrefix: INVOICING.INVOICE_PREFIX,
+        currency,
+        exchangeRate,
+        subtotal,
+        taxRate,
+        taxAmount,
+        customerTaxId: client.tax_id || null,
+        billingCountry: client.billing_country || null,
+        billingAddress: client.billing_address || null,
+        lineItems,
+      });
+    } catch (error) {
+      if (credits) {
+        await CreditTransaction.create({
+          clientId,
+          amount: -parseFloat(credits.entry.amount),
+          type: 'refund',
+          description: `Invoice for ${billingPeriod} was not created`,
+        });
+      }
+      throw error;
+    }
+    if (credits) {
+      await CreditTransaction.setInvoice(credits.entry.id, invoice.id);
+    }
+    this._emitInvoiceEvent('invoice.generated', invoice);
+
+    return {
+      invoice,
+      lineItems,
+      usage: usageData,
+    };
+  }
+
+  /**
+   * Invoice a prepaid credit purchase; the credits are added once it is paid
+   * @param {Object} client - Client
+   * @param {number} amountUsd - Credits to buy (USD)
+   * @returns {Promise<Object>} Invoice (with line_items)
+   */
+  static async createCreditPurchaseInvoice(client, amountUsd) {
+    const currency = client.billing_currency || INVOICING.BASE_CURRENCY;
+    const exchangeRate = this.getExchangeRate(currency);
+    const subtotal = this.roundToCents(amountUsd * exchangeRate);
+    const taxRate = parseFloat(client.tax_rate) || 0;
+    const taxAmount = this.roundToCents((subtotal * taxRate) / 100);
+    const lineItems = [
+      {
+        type: 'credits',
+        description: `Prepaid credits ($${Number(amountUsd).toFixed(2)})`,
+        quantity: 1,
+        unitPrice: subtotal,
+        amount: subtotal,
+      },
+    ];
+
+    const dueDate = new Date();
+    dueDate.setDate(dueDate.getDate() + INVOICING.DUE_DAYS);
+
     const invoice = await Invoice.create({
-      clientId,
-      billingPeriod,
+      clientId: client.id,
+      billingPeriod: new Date().toISOString().slice(0, 7),
       planType: client.plan_type,
-      baseCost,
-      usageCost,
-      totalCost,
+      totalCost: this.roundToCents(subtotal + taxAmount),
       status: 'pending',
       dueDate: dueDate.toISOString().split('T')[0],
+      numberPrefix: INVOICING.INVOICE_PREFIX,
+      currency,
+      exchangeRate,
+      subtotal,
+      taxRate,
+      taxAmount,
+      customerTaxId: client.tax_id || null,
+      billingCountry: client.billing_country || null,
+      billingAddress: client.billing_address || null,
+      kind: 'credits',
+      lineItems,
     });
+    this._emitInvoiceEvent('invoice.generated', invoice);
 
+    return { ...invoice, line_items: lineItems };
+  }
+
+  /**
+   * Plans a client was on during a billing period, split at applied plan changes
+   * The day a change takes effect is billed at the new plan.
+   * @param {Object} client - Client
+   * @param {string} billingPeriod - YYYY-MM format
+   * @returns {Promise<Array>} [{ planType, startDate, endDate, days }] (dates YYYY-MM-DD)
+   */
+  static async getPlanSegments(client, billingPeriod) {
+    const [year, month] = billingPeriod.split('-').map(Number);
+    const daysInPeriod = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    const periodEnd = new Date(Date.UTC(year, month, 1));
+    const changes = await PlanChange.findAppliedSince(
+      client.id,
+      new Date(Date.UTC(year, month - 1, 1))
+    );
+
+    // The plan at the start of the period is the one the first later change replaced
+    let planType = changes[0]?.from_plan ?? client.plan_type;
+    let startDay = 1;
+    const ranges = [];
+    for (const change of changes) {
+      const effectiveAt = new Date(change.effective_at);
+      if (effectiveAt >= periodEnd) break;
+      const day = effectiveAt.getUTCDate();
+      if (day > startDay) {
+        ranges.push({ planType, startDay, endDay: day - 1 });
+      }
+      planType = change.to_plan;
+      startDay = day;
+    }
+    ranges.push({ planType, startDay, endDay: daysInPeriod });
+
+    // Back-and-forth changes can leave neighbours on the same plan
+    const merged = [];
+    for (const range of ranges) {
+      const last = merged[merged.length - 1];
+      if (last && last.planType === range.planType) {
+        last.endDay = range.endDay;
+      } else {
+        merged.push({ ...range });
+      }
+    }
+
+    const toDate = (day) =>
+      `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    return merged.map(({ planType: plan, startDay: first, endDay: last }) => ({
+      planType: plan,
+      startDate: toDate(first),
+      endDate: toDate(last),
+      days: last - first + 1,
+    }));
+  }
+
+  /**
+   * Line items for a period: the plan's base cost and each priced usage component
+   * @param {string} planType - Plan name
+   * @param {Object} pricing - Pricing config (USD)
+   * @param {Object} usage - Usage data from getUsageForPeriod
+   * @param {number} exchangeRate - Invoice currency units per USD
+   * @param {Object|null} segment - { startDate, endDate, days, daysInPeriod } when the plan
+   *   covered only part of the period (base cost prorated by days)
+   * @returns {Array} [{ type, description, quantity, unitPrice, amount }]
+   */
+  static buildLineItems(planType, pricing, usage, exchangeRate = 1, segment = null) {
+    const convert = (value) => this.roundToCents(value * exchangeRate);
+    const unitPrice = (value) => Math.round((value || 0) * exchangeRate * 1e6) / 1e6;
+    const costs = this._calculateCostBreakdown(usage, pricing);
+    const planName = planType ? planType.charAt(0).toUpperCase() + planType.slice(1) : 'Base';
+    const share = segment ? segment.days / segment.daysInPeriod : 1;
+    const dates = segment ? `${segment.startDate} to ${segment.endDate}` : '';
+
+    const lines = [
+      {
+        type: 'base',
+        description: segment
+          ? `${planName} plan, ${dates} (${segment.days} of ${segment.daysInPeriod} days)`
+          : `${planName} plan`,
+        quantity: Math.round(share * 1000) / 1000,
+        unitPrice: convert(pricing.baseCost || 0),
+        amount: convert((pricing.baseCost || 0) * share),
+      },
+    ];
+    const suffix = segment ? ` - ${planName} plan, ${dates}` : '';
+    const usageLines = [
+      {
+        type: 'tokens',
+        description: `Tokens (per 1,000)${suffix}`,
+        quantity: costs.tokens / 1000,
+        unitPrice: unitPrice(pricing.costPerThousandTokens),
+        amount: convert(costs.tokenCost),
+      },
+      {
+        type: 'messages',
+        description: `Messages${suffix}`,
+        quantity: costs.messages,
+        unitPrice: unitPrice(pricing.costPerMessage),
+        amount: convert(costs.messageCost),
+      },
+      {
+        type: 'tool_calls',
+        description: `Tool calls${suffix}`,
+        quantity: costs.toolCalls,
+        unitPrice: unitPrice(pricing.costPerToolCall),
+        amount: convert(costs.toolCallCost),
+      },
+    ];
+
+    // Usage that isn't charged for is left off the invoice
+    return [...lines, ...usageLines.filter((line) => line.amount > 0)];
+  }
+
+  /**
+   * Overage line for the cost (cost_estimate) above the plan's allowance
+   * @param {string} planType - Plan at the end of the period
+   * @param {Object} usage - Usage of the period (getUsageForPeriod)
+   * @param {number} exchangeRate - Units of the invoice currency per USD
+   * @returns {Promise<Object|null>} { line, costUsd } or null within the allowance
+   */
+  static async buildOverageLine(planType, usage, exchangeRate = 1) {
+    const allowance = (await getPlanConfigAsync(planType)).limits?.costLimitUSD ?? null;
+    if (allowance === null) return null;
+
+    const costUsd = this.roundToCents((parseFloat(usage?.total_cost_estimate) || 0) - allowance);
+    if (costUsd <= 0) return null;
+
+    const amount = this.roundToCents(costUsd * exchangeRate);
+    return {
+      costUsd,
+      line: {
+        type: 'overage',
+        description: `Usage above the $${Number(allowance).toFixed(2)} monthly allowance`,
+        quantity: 1,
+        unitPrice: amount,
+        amount,
+      },
+    };
+  }
+
+  /**
+   * Pay the overage from prepaid credits (debited from the ledger now)
+   * @param {number} clientId - Client ID
+   * @param {string} billingPeriod - YYYY-MM format
+   * @param {number} costUsd - Overage in USD
+   * @param {Array} lineItems - Line items so far (credits never exceed their sum)
+   * @param {number} exchangeRate - Units of the invoice currency per USD
+   * @returns {Promise<Object|null>} { line, entry } or null when no credits were used
+   */
+  static async _useCredits(clientId, billingPeriod, costUsd, lineItems, exchangeRate) {
+    const payable = lineItems.reduce((sum, item) => sum + item.amount, 0) / exchangeRate;
+    const balance = await CreditTransaction.getBalance(clientId);
+    const amountUsd = this.roundToCents(Math.min(balance, costUsd, payable));
+    if (!(amountUsd > 0)) return null;
+
+    const entry = await CreditTransaction.use(clientId, amountUsd, {
+      description: `Invoice for ${billingPeriod}`,
+    });
+    if (!entry) return null;
+
+    const amount = this.roundToCents(amountUsd * exchangeRate);
     return {
+      entry,
+      line: {
+        type: 'credit',
+        description: `Prepaid credits ($${amountUsd.toFixed(2)})`,
+        quantity: 1,
+        unitPrice: -amount,
+        amount: -amount,
+      },
+    };
+  }
+
+  /**
+   * Units of a currency per USD, from BILLING_EXCHANGE_RATES ("EUR=0.92,ILS=3.65")
+   * @param {string} currency - ISO currency code
+   * @throws {BillingError} for unsupported currencies or missing rates
+   */
+  static getExchangeRate(currency) {
+    if (!INVOICING.CURRENCIES.includes(currency)) {
+      throw new BillingError(`Unsupported currency: ${currency}`);
+    }
+    if (currency === INVOICING.BASE_CURRENCY) return 1;
+
+    const rates = Object.fromEntries(
+      (process.env.BILLING_EXCHANGE_RATES || '')
+        .split(',')
+        .map((pair) => pair.split('=').map((part) => part.trim()))
+        .filter(([code, rate]) => code && Number(rate) > 0)
+        .map(([code, rate]) => [code.toUpperCase(), Number(rate)])
+    );
+    if (!rates[currency]) {
+      throw new BillingError(
+        `No exchange rate configured for ${currency} (set BILLING_EXCHANGE_RATES)`
+      );
+    }
+    return rates[currency];
+  }
+
+  /**
+   * Seller details printed on invoices and credit notes
+   * @returns {Object} { name, address, taxId }
+   */
+  static getSellerDetails() {
+    return {
+      name: process.env.BILLING_SELLER_NAME || process.env.PLATFORM_NAME || 'CS AI Platform',
+      address: process.env.BILLING_SELLER_ADDRESS || null,
+      taxId: process.env.BILLING_SELLER_TAX_ID || null,
+    };
+  }
+
+  /**
+   * Check manual line items added on generation
+   * @returns {Array} Line items, credits as negative amounts
+   * @throws {BillingError}
+   */
+  static _validateAdjustments(adjustments = []) {
+    if (!Array.isArray(adjustments)) {
+      throw new BillingError('Adjustments must be a list');
+    }
+    return adjustments.map((adjustment) => {
+      const type = adjustment?.type;
+      if (!INVOICING.ADJUSTMENT_TYPES.includes(type)) {
+        throw new BillingError(`Adjustment type must be one of ${INVOICING.ADJUSTMENT_TYPES}`);
+      }
+      const description =
+        typeof adjustment.description === 'string' ? adjustment.description.trim() : '';
+      if (!description || description.length > INVOICING.MAX_DESCRIPTION_LENGTH) {
+        throw new BillingError(
+          `Adjustment description is required (at most ${INVOICING.MAX_DESCRIPTION_LENGTH} characters)`
+        );
+      }
+      const amount = this.roundToCents(Number(adjustment.amount));
+      if (!Number.isFinite(amount) || amount === 0) {
+        throw new BillingError('Adjustment amount must be a non-zero number');
+      }
+      // Credits always reduce the invoice; overages always add to it
+      const signed =
+        type === 'credit' ? -Math.abs(amount) : type === 'overage' ? Math.abs(amount) : amount;
+      return { type, description, quantity: 1, unitPrice: signed, amount: signed };
+    });
+  }
+
+  // ========================================
+  // CREDIT NOTES
+  // ========================================
+
+  /**
+   * Issue a credit note against an invoice
+   * Without an amount the rest of the invoice is credited (with its line items
+   * if nothing was credited yet). Unpaid invoices that are fully credited
+   * become 'credited'; paid ones keep their status and are refunded separately.
+   * @param {number} invoiceId - Invoice ID
+   * @param {Object} input - { amount: net amount before tax (null = everything left), reason }
+   * @param {Object} author - { type, id, name }
+   * @returns {Promise<Object>} { creditNote (with line_items), invoice }
+   * @throws {BillingError}
+   */
+  static async createCreditNote(invoiceId, { amount = null, reason } = {}, author = null) {
+    const invoice = /^\d+$/.test(String(invoiceId)) ? await Invoice.findById(invoiceId) : null;
+    if (!invoice) {
+      throw new BillingError('Invoice not found', 'not_found');
+    }
+    if (['cancelled', 'credited'].includes(invoice.status)) {
+      throw new BillingError(`Invoice is ${invoice.status}`);
+    }
+
+    const note = typeof reason === 'string' ? reason.trim() : '';
+    if (!note) {
+      throw new BillingError('A reason is required for credit notes');
+    }
+
+    const total = this.roundToCents(parseFloat(invoice.total_cost) || 0);
+    const credited = this.roundToCents(parseFloat(invoice.amount_credited) || 0);
+    const remaining = this.roundToCents(total - credited);
+    if (remaining <= 0) {
+      throw new BillingError('Invoice has been fully credited');
+    }
+
+    const taxRate = parseFloat(invoice.tax_rate) || 0;
+    let subtotal;
+    let taxAmount;
+    let lineItems;
+
+    if ((amount === null || amount === undefined || amount === '') && credited === 0) {
+      // Full credit mirrors the invoice
+      subtotal = this.roundToCents(parseFloat(invoice.subtotal ?? invoice.total_cost) || 0);
+      taxAmount = this.roundToCents(parseFloat(invoice.tax_amount) || 0);
+      lineItems = (await Invoice.findLineItems([invoice.id])).map((item) => ({
+        type: item.type,
+        description: item.description,
+        quantity: parseFloat(item.quantity),
+        unitPrice: parseFloat(item.unit_price),
+        amount: parseFloat(item.amount),
+      }));
+    } else {
+      if (amount === null || amount === undefined || amount === '') {
+        subtotal = this.roundToCents(remaining / (1 + taxRate / 100));
+        taxAmount = this.roundToCents(remaining - subtotal);
+      } else {
+        subtotal = this.roundToCents(Number(amount));
+        taxAmount = this.roundToCents((subtotal * taxRate) / 100);
+        if (!(subtotal > 0) || subtotal + taxAmount > remaining) {
+          throw new BillingError(
+            `Credit must be greater than 0 and at most ${this.roundToCents(
+              remaining / (1 + taxRate / 100)
+            )} before tax`
+          );
+        }
+      }
+      lineItems = [];
+    }
+
+    if (lineItems.length === 0) {
+      lineItems = [
+        {
+          type: 'credit',
+          description: `Credit for invoice ${invoice.invoice_number}`,
+          quantity: 1,
+          unitPrice: subtotal,
+          amount: subtotal,
+        },
+      ];
+    }
+
+    // Credits bought with a paid invoice are taken back with the credit note
+    const reversal = await this._reverseCredits(
       invoice,
-      usage: usageData,
+      this.roundToCents(credited + subtotal + taxAmount),
+      { type: 'adjustment', strict: true }
+    );
+
+    const creditNote = await CreditNote.create({
+      invoiceId: invoice.id,
+      numberPrefix: INVOICING.CREDIT_NOTE_PREFIX,
+      subtotal,
+      taxAmount,
+      total: this.roundToCents(subtotal + taxAmount),
+      reason: note,
+      createdBy: author?.name ?? null,
+      lineItems,
+    });
+    if (!creditNote) {
+      await this._restoreCredits(reversal);
+      throw new BillingError('Invoice changed while issuing the credit note, try again');
+    }
+
+    log.info(`Credit note ${creditNote.credit_note_number} issued`, {
+      invoiceId: invoice.id,
+      total: creditNote.total,
+    });
+    return {
+      creditNote: { ...creditNote, line_items: lineItems },
+      invoice: await Invoice.findById(invoice.id),
     };
   }
 
+  /**
+   * An invoice with its line items and credit notes
+   * @param {number} invoiceId - Invoice ID
+   * @returns {Promise<Object|null>}
+   */
+  static async getInvoiceDetails(invoiceId) {
+    const invoice = await Invoice.findById(invoiceId);
+    if (!invoice) return null;
+    const [detailed] = await this.withDetails([invoice]);
+    return detailed;
+  }
+
+  /**
+   * Attach line_items and credit_notes (each with line_items) to invoices
+   * @param {Array} invoices - Invoice rows
+   * @returns {Promise<Array>}
+   */
+  static async withDetails(invoices) {
+    if (invoices.length === 0) return [];
+    const ids = invoices.map((invoice) => invoice.id);
+    const [lineItems, creditNotes] = await Promise.all([
+      Invoice.findLineItems(ids),
+      CreditNote.findByInvoiceIds(ids),
+    ]);
+    const creditNoteLines =
+      creditNotes.length > 0 ? await CreditNote.findLineItems(creditNotes.map((n) => n.id)) : [];
+
+    return invoices.map((invoice) => ({
+      ...invoice,
+      line_items: lineItems.filter((item) => item.invoice_id === invoice.id),
+      credit_notes: creditNotes
+        .filter((note) => note.invoice_id === invoice.id)
+        .map((note) => ({
+          ...note,
+          line_items: creditNoteLines.filter((item) => item.credit_note_id === note.id),
+        })),
+    }));
+  }
+
   /**
    * Get usage data for a billing period
    * @param {number} clientId - Client ID
@@ -279,45 +845,41 @@ export class BillingService {
   // ========================================
   // PAYMENT PROVIDER ABSTRACTION LAYER
   // ========================================
-  // These methods provide a generic interface for payment providers
-  // Actual implementation (Stripe, PayPal, etc.) can be added later
+  // Providers are adapters in ./payments (Stripe, fake). Webhooks and status
+  // polling both feed _applyPaymentUpdate, so invoice state only moves one way.
 
   /**
-   * Create a payment intent (placeholder for Stripe/PayPal integration)
+   * Create a payment intent for an invoice and link it to the invoice
    * @param {number} invoiceId - Invoice ID
-   * @param {number} amount - Amount in USD
+   * @param {number} amount - Amount in major units
    * @param {string} currency - Currency code (default: USD)
-   * @param {Object} options - Provider-specific options
-   * @returns {Object} Payment intent data
+   * @param {Object} options - { provider, metadata, idempotencyKey }
+   * @returns {Object} Payment intent data (includes clientSecret for the payment UI)
    */
   static async createPaymentIntent(invoiceId, amount, currency = 'USD', options = {}) {
-    // PLACEHOLDER: This is where you'd integrate with Stripe or PayPal
-    // Example for Stripe:
-    // const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
-    // const paymentIntent = await stripe.paymentIntents.create({
-    //     amount: Math.round(amount * 100), // Convert to cents
-    //     currency: currency.toLowerCase(),
-    //     metadata: { invoiceId }
-    // });
-    // return paymentIntent;
-
-    // For now, return a mock payment intent
-    return {
-      id: `pi_mock_${Date.now()}`,
-      status: 'requires_payment_method',
+    const provider = getPaymentProvider(options.provider);
+    const paymentIntent = await provider.createPaymentIntent({
+      invoiceId,
       amount,
       currency,
-      invoiceId,
-      provider: 'mock',
-      ...options,
-    };
+      metadata: options.metadata,
+      idempotencyKey: options.idempotencyKey,
+    });
+
+    // Webhooks find the invoice through this ID
+    await Invoice.update(invoiceId, {
+      payment_provider: provider.name,
+      payment_provider_id: paymentIntent.id,
+    });
+
+    return paymentIntent;
   }
 
   /**
-   * Process a payment (placeholder for payment provider integration)
+   * Confirm a payment with its provider and mark the invoice as paid
    * @param {number} invoiceId - Invoice ID
    * @param {string} paymentProviderId - Payment provider ID (from createPaymentIntent)
-   * @param {string} provider - Payment provider (stripe/paypal/manual)
+   * @param {string} provider - Payment provider (stripe/fake/manual)
    * @param {string} paymentMethod - Payment method (credit_card/bank_transfer/etc)
    * @returns {Object} Updated invoice
    */
@@ -327,52 +889,69 @@ export class BillingService {
     provider = 'manual',
     paymentMethod = 'manual'
   ) {
-    // PLACEHOLDER: This is where you'd confirm the payment with the provider
-    // Example for Stripe:
-    // const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
-    // const paymentIntent = await stripe.paymentIntents.retrieve(paymentProviderId);
-    // if (paymentIntent.status !== 'succeeded') {
-    //     throw new Error('Payment not completed');
-    // }
-
-    // Mark invoice as paid
+    if (provider !== 'manual') {
+      const payment = await getPaymentProvider(provider).getPaymentStatus(paymentProviderId);
+      if (payment.status !== PAYMENT_STATUS.SUCCEEDED) {
+        throw new Error(`Payment not completed (status: ${payment.status})`);
+      }
+      paymentMethod = payment.paymentMethod || paymentMethod;
+    }
+
     const invoice = await Invoice.markAsPaid(invoiceId, {
       payment_provider: provider,
       payment_provider_id: paymentProviderId,
       payment_method: paymentMethod,
     });
+    await this._onInvoicePaid(invoice);
 
     return invoice;
   }
 
   /**
-   * Get payment status from provider (placeholder)
+   * Get payment status from provider
    * @param {string} paymentProviderId - Payment provider ID
-   * @param {string} provider - Payment provider (stripe/paypal/etc)
-   * @returns {Object} Payment status
-   */
-  static async getPaymentStatus(paymentProviderId, provider = 'stripe') {
-    // PLACEHOLDER: Query the payment provider for status
-    // Example for Stripe:
-    // const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
-    // const paymentIntent = await stripe.paymentIntents.retrieve(paymentProviderId);
-    // return {
-    //     status: paymentIntent.status,
-    //     amount: paymentIntent.amount / 100,
-    //     currency: paymentIntent.currency
-    // };
+   * @param {string} provider - Payment provider (defaults to PAYMENT_PROVIDER)
+   * @returns {Object} Normalized payment (see payments/paymentProvider.js)
+   */
+  static async getPaymentStatus(paymentProviderId, provider = getDefaultProviderName()) {
+    return await getPaymentProvider(provider).getPaymentStatus(paymentProviderId);
+  }
 
-    return {
-      id: paymentProviderId,
-      status: 'unknown',
-      provider,
-    };
+  /**
+   * Poll the provider for an invoice's payment and apply any change
+   * (fallback for missed webhooks)
+   * @param {number} invoiceId - Invoice ID
+   * @returns {Object} { invoice, payment }
+   */
+  static async syncPaymentStatus(invoiceId) {
+    const invoice = await Invoice.findById(invoiceId);
+    if (!invoice) {
+      throw new Error(`Invoice with ID ${invoiceId} not found`);
+    }
+
+    if (!this._isProviderPayment(invoice)) {
+      return { invoice, payment: null };
+    }
+
+    const payment = await this.getPaymentStatus(
+      invoice.payment_provider_id,
+      invoice.payment_provider
+    );
+    const updatedInvoice = await this._applyPaymentUpdate(
+      invoice,
+      payment,
+      invoice.payment_provider
+    );
+
+    return { invoice: updatedInvoice, payment };
   }
 
   /**
-   * Refund a payment (placeholder)
+   * Refund a payment, fully or partially
+   * Invoices paid through a provider are refunded there; manual payments are
+   * only recorded.
    * @param {number} invoiceId - Invoice ID
-   * @param {number} amount - Amount to refund (null = full refund)
+   * @param {number} amount - Amount to refund (null = remaining balance)
    * @returns {Object} Refund result
    */
   static async refundPayment(invoiceId, amount = null) {
@@ -381,65 +960,270 @@ export class BillingService {
       throw new Error(`Invoice with ID ${invoiceId} not found`);
     }
 
-    if (invoice.status !== 'paid') {
+    if (!['paid', 'partially_refunded'].includes(invoice.status)) {
       throw new Error('Can only refund paid invoices');
     }
 
-    // PLACEHOLDER: Process refund with payment provider
-    // Example for Stripe:
-    // const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
-    // const refund = await stripe.refunds.create({
-    //     payment_intent: invoice.payment_provider_id,
-    //     amount: amount ? Math.round(amount * 100) : undefined
-    // });
+    const alreadyRefunded = this.roundToCents(parseFloat(invoice.amount_refunded) || 0);
+    const remaining = this.roundToCents((parseFloat(invoice.total_cost) || 0) - alreadyRefunded);
+    const refundAmount = amount === null ? remaining : this.roundToCents(Number(amount));
 
-    // Update invoice status
-    const refundAmount = amount || invoice.total_cost;
-    const updatedInvoice = await Invoice.update(invoiceId, {
-      status: 'refunded',
-      notes: `Refunded ${refundAmount} on ${new Date().toISOString()}`,
-    });
+    if (!(refundAmount > 0) || refundAmount > remaining) {
+      throw new Error(`Refund amount must be greater than 0 and at most ${remaining}`);
+    }
+
+    // Refuses before any money moves if the credits bought were already used
+    const reversal = await this._reverseCredits(
+      invoice,
+      this.roundToCents(alreadyRefunded + refundAmount),
+      { type: 'refund', strict: true }
+    );
+
+    let refund = null;
+    if (this._isProviderPayment(invoice)) {
+      try {
+        refund = await getPaymentProvider(invoice.payment_provider).refundPayment(
+          invoice.payment_provider_id,
+          refundAmount
+        );
+      } catch (error) {
+        await this._restoreCredits(reversal);
+        throw error;
+      }
+    }
+
+    const updatedInvoice = await this._recordRefund(
+      invoice,
+      this.roundToCents(alreadyRefunded + refundAmount)
+    );
 
     return {
       success: true,
       invoice: updatedInvoice,
       refundAmount,
+      refund,
     };
   }
 
   /**
-   * Handle webhook from payment provider (placeholder)
-   * @param {string} provider - Payment provider (stripe/paypal)
-   * @param {Object} payload - Webhook payload
+   * Handle webhook from payment provider
+   * @param {string} provider - Payment provider (stripe/fake, defaults to PAYMENT_PROVIDER)
+   * @param {Object} payload - { rawBody, headers } exactly as received
    * @returns {Object} Processing result
+   * @throws {PaymentProviderError} code 'invalid_signature' if verification fails
    */
-  static async handleWebhook(provider, _payload) {
-    // PLACEHOLDER: Parse and handle webhook events
-    // Example for Stripe:
-    // const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
-    // const event = stripe.webhooks.constructEvent(
-    //     payload.body,
-    //     payload.signature,
-    //     process.env.STRIPE_WEBHOOK_SECRET
-    // );
-    //
-    // switch (event.type) {
-    //     case 'payment_intent.succeeded':
-    //         // Find invoice and mark as paid
-    //         break;
-    //     case 'payment_intent.payment_failed':
-    //         // Handle failed payment
-    //         break;
-    // }
+  static async handleWebhook(provider, payload = {}) {
+    const adapter = getPaymentProvider(provider);
+    const event = adapter.parseWebhook(payload.rawBody, payload.headers || {});
 
-    return {
+    const result = {
       received: true,
-      provider,
+      provider: adapter.name,
+      eventId: event.eventId,
+      eventType: event.type,
       processed: false,
-      message: 'Webhook handler not implemented',
+    };
+
+    if (!event.payment) {
+      return { ...result, message: 'Event type not handled' };
+    }
+
+    const invoice = await this._findInvoiceForPayment(adapter.name, event.payment);
+    if (!invoice) {
+      // Acknowledge anyway so the provider stops retrying
+      log.warn('Webhook payment does not match any invoice', {
+        provider: adapter.name,
+        paymentId: event.payment.id,
+      });
+      return { ...result, message: 'No invoice found for payment' };
+    }
+
+    const updatedInvoice = await this._applyPaymentUpdate(invoice, event.payment, adapter.name);
+
+    return {
+      ...result,
+      processed: true,
+      invoiceId: updatedInvoice.id,
+      status: updatedInvoice.status,
     };
   }
 
+  /**
+   * Move an invoice forward based on a normalized payment
+   * Safe to call repeatedly with the same payment (webhooks are retried).
+   * @param {Object} invoice - Invoice row
+   * @param {Object} payment - Normalized payment
+   * @param {string} provider - Provider name
+   * @returns {Object} Updated invoice
+   */
+  static async _applyPaymentUpdate(invoice, payment, provider) {
+    let current = invoice;
+
+    if (
+      payment.status === PAYMENT_STATUS.SUCCEEDED &&
+      ['pending', 'overdue', 'payment_failed'].includes(current.status)
+    ) {
+      if (!this._paymentCoversInvoice(current, payment)) {
+        log.warn('Payment does not match invoice amount or currency', {
+          provider,
+          paymentId: payment.id,
+          invoiceId: current.id,
+          amount: payment.amount,
+          currency: payment.currency,
+        });
+        return current;
+      }
+      current = await Invoice.markAsPaid(current.id, {
+        payment_provider: provider,
+        payment_provider_id: payment.id,
+        payment_method: payment.paymentMethod || 'card',
+      });
+      await this._onInvoicePaid(current);
+    } else if (
+      payment.status === PAYMENT_STATUS.FAILED &&
+      ['pending', 'overdue'].includes(current.status)
+    ) {
+      current = await Invoice.markPaymentFailed(current.id, payment.failureMessage);
+    }
+
+    // Providers report the cumulative refunded amount, so only move forward
+    const amountRefunded = this.roundToCents(payment.amountRefunded || 0);
+    if (amountRefunded > (parseFloat(current.amount_refunded) || 0)) {
+      current = await this._recordRefund(current, amountRefunded);
+    }
+
+    return current;
+  }
+
+  /**
+   * Whether a payment is for exactly the amount due on an invoice, in its currency
+   * (amount due = total less credit notes, as charged by the charge route)
+   */
+  static _paymentCoversInvoice(invoice, payment) {
+    const amountDue = this.roundToCents(
+      (parseFloat(invoice.total_cost) || 0) - (parseFloat(invoice.amount_credited) || 0)
+    );
+    const currency = (invoice.currency || 'USD').toUpperCase();
+    return (
+      this.roundToCents(Number(payment.amount)) === amountDue &&
+      (payment.currency || '').toUpperCase() === currency
+    );
+  }
+
+  /**
+   * Record a cumulative refund on an invoice
+   * Refunds made at the provider cannot be refused, so the credits they bought
+   * are taken back as far as the balance allows.
+   */
+  static async _recordRefund(invoice, amountRefunded) {
+    const total = this.roundToCents(parseFloat(invoice.total_cost) || 0);
+    await this._reverseCredits(invoice, amountRefunded, { type: 'refund', strict: false });
+    return await Invoice.recordRefund(invoice.id, amountRefunded, amountRefunded >= total);
+  }
+
+  /**
+   * Take back the credits of a purchase invoice in proportion to what was
+   * refunded or credited on it. Refunds and credit notes for the same money
+   * overlap, so the larger of the two is what counts.
+   * @param {Object} invoice - Invoice row
+   * @param {number} settled - Refunded or credited amount after this change (invoice currency)
+   * @param {Object} options - { type: 'refund'|'adjustment', strict: refuse if the credits were used }
+   * @returns {Promise<Object|null>} Ledger entry, or null when nothing was taken back
+   * @throws {BillingError} code 'credits_used' in strict mode when the balance is too low
+   */
+  static async _reverseCredits(invoice, settled, { type, strict }) {
+    if (invoice?.kind !== 'credits') return null;
+    const purchase = await CreditTransaction.getPurchaseSummary(invoice.id);
+    const total = parseFloat(invoice.total_cost) || 0;
+    if (!purchase || total <= 0) return null;
+
+    const alreadySettled = Math.max(
+      parseFloat(invoice.amount_refunded) || 0,
+      parseFloat(invoice.amount_credited) || 0
+    );
+    const target = this.roundToCents(
+      (purchase.purchased * Math.min(Math.max(settled, alreadySettled), total)) / total
+    );
+    const due = this.roundToCents(target - purchase.reversed);
+    if (due <= 0) return null;
+
+    const description = `${type === 'refund' ? 'Refund' : 'Credit note'} of credit purchase ${invoice.invoice_number}`;
+    if (strict) {
+      const entry = await CreditTransaction.use(purchase.clientId, due, {
+        type,
+        description,
+        invoiceId: invoice.id,
+      });
+      if (!entry) {
+        throw new BillingError(
+          `Credits bought with this invoice have already been used (${due} USD would be taken back)`,
+          'credits_used'
+        );
+      }
+      return entry;
+    }
+
+    const amount = Math.min(
+      due,
+      this.roundToCents(await CreditTransaction.getBalance(purchase.clientId))
+    );
+    if (amount < due) {
+      log.warn('Credit balance does not cover a refunded credit purchase', {
+        invoiceId: invoice.id,
+        due,
+        takenBack: Math.max(amount, 0),
+      });
+    }
+    if (amount <= 0) return null;
+    return await CreditTransaction.create({
+      clientId: purchase.clientId,
+      amount: -amount,
+      type,
+      description,
+      invoiceId: invoice.id,
+    });
+  }
+
+  /**
+   * Undo a credit reversal whose refund or credit note did not go through
+   * @param {Object|null} entry - Entry from _reverseCredits
+   */
+  static async _restoreCredits(entry) {
+    if (!entry) return;
+    await CreditTransaction.create({
+      clientId: entry.client_id,
+      amount: -parseFloat(entry.amount),
+      type: entry.type,
+      description: `${entry.description} (reverted)`,
+      invoiceId: entry.invoice_id,
+    });
+  }
+
+  /**
+   * Find the invoice a provider payment belongs to
+   */
+  static async _findInvoiceForPayment(provider, payment) {
+    if (payment.id) {
+      const invoice = await Invoice.findByPaymentProviderId(provider, payment.id);
+      if (invoice) return invoice;
+    }
+    if (payment.invoiceId) {
+      return await Invoice.findById(payment.invoiceId);
+    }
+    return null;
+  }
+
+  /**
+   * Whether an invoice was charged through a payment provider (not manually)
+   */
+  static _isProviderPayment(invoice) {
+    return Boolean(
+      invoice.payment_provider &&
+      invoice.payment_provider !== 'manual' &&
+      invoice.payment_provider_id
+    );
+  }
+
   // ========================================
   // MANUAL PAYMENT OPERATIONS
   // ========================================
@@ -460,11 +1244,53 @@ export class BillingService {
       throw new Error('Invoice is already paid');
     }
 
-    return await Invoice.markAsPaid(invoiceId, {
+    if (invoice.status === 'credited') {
+      throw new Error('Invoice has been fully credited');
+    }
+
+    const paid = await Invoice.markAsPaid(invoiceId, {
       payment_provider: 'manual',
       payment_method: paymentData.paymentMethod || 'manual',
       notes: paymentData.notes || 'Marked as paid manually',
     });
+    await this._onInvoicePaid(paid);
+    return paid;
+  }
+
+  /**
+   * Side effects of a paid invoice: the webhook event and, for credit
+   * purchases, the credits (added once per invoice, less any credit notes)
+   * @param {Object} invoice - Paid invoice
+   */
+  static async _onInvoicePaid(invoice) {
+    if (invoice?.kind === 'credits') {
+      const amount = this.roundToCents(
+        (parseFloat(invoice.subtotal) || 0) / (parseFloat(invoice.exchange_rate) || 1)
+      );
+      await CreditTransaction.createPurchase({
+        clientId: invoice.client_id,
+        amount,
+        description: `Credit purchase ${invoice.invoice_number}`,
+        invoiceId: invoice.id,
+      });
+      // Credit notes issued before payment reduced what was paid
+      const credited = parseFloat(invoice.amount_credited) || 0;
+      if (credited > 0) {
+        await this._reverseCredits(invoice, credited, { type: 'adjustment', strict: false });
+      }
+    }
+    this._emitInvoiceEvent('invoice.paid', invoice);
+  }
+
+  /**
+   * Notify the client's webhook subscribers of an invoice event
+   * @param {string} eventType - 'invoice.generated' or 'invoice.paid'
+   * @param {Object} invoice - Invoice record
+   */
+  static _emitInvoiceEvent(eventType, invoice) {
+    if (invoice) {
+      webhookService.emit(invoice.client_id, eventType, webhookService.invoiceData(invoice));
+    }
   }
 
   // ========================================
@@ -511,6 +1337,8 @@ export class BillingService {
       pending_amount: 0,
       overdue_count: 0,
       overdue_amount: 0,
+      payment_failed_count: 0,
+      payment_failed_amount: 0,
       invoices: outstanding,
     };
 
@@ -524,6 +1352,9 @@ export class BillingService {
       } else if (inv.status === 'overdue') {
         summary.overdue_count++;
         summary.overdue_amount = this.roundToCents(summary.overdue_amount + amount);
+      } else if (inv.status === 'payment_failed') {
+        summary.payment_failed_count++;
+        summary.payment_failed_amount = this.roundToCents(summary.payment_failed_amount + amount);
       }
     });
 
@@ -8,15 +8,25 @@
 import { Conversation } from '../models/Conversation.js';
 import { Message } from '../models/Message.js';
 import { Plan } from '../models/Plan.js';
+import { Escalation } from '../models/Escalation.js';
 import { RedisCache } from './redisCache.js';
 import { getContextualSystemPrompt } from '../prompts/systemPrompt.js';
 import toolManager from './toolManager.js';
 import adaptiveReasoningService from './adaptiveReasoningService.js';
 import standardReasoningService from './standardReasoningService.js';
+import llmService from './llmService.js';
+import attachmentService from './attachmentService.js';
+import answerCacheService from './answerCacheService.js';
 import { safeJsonParse } from '../utils/jsonUtils.js';
+import { buildResponseBlocks } from '../utils/responseBlocks.js';
 import { createLogger } from '../utils/logger.js';
 import { ApiUsage } from '../models/ApiUsage.js';
+import webhookService from './webhookService.js';
+import replaySandbox from './replaySandbox.js';
+import promptExperimentService from './promptExperimentService.js';
 import { STRONG_ENDING_PHRASES, WEAK_ENDING_PHRASES, THRESHOLDS } from '../config/phrases.js';
+import { CONVERSATION_SEARCH } from '../config/constants.js';
+import { REASON_CODES } from '../constants/reasonCodes.js';
 
 const log = createLogger('Conversation');
 
@@ -40,7 +50,19 @@ class ConversationService {
     llmProvider = null,
     modelName = null
   ) {
-    return await Conversation.create(clientId, sessionId, userIdentifier, llmProvider, modelName);
+    const conversation = await Conversation.create(
+      clientId,
+      sessionId,
+      userIdentifier,
+      llmProvider,
+      modelName
+    );
+    webhookService.emit(
+      clientId,
+      'conversation.started',
+      webhookService.conversationData(conversation)
+    );
+    return conversation;
   }
 
   /**
@@ -103,6 +125,101 @@ class ConversationService {
     return await Conversation.findByUserIdentifier(clientId, userIdentifier);
   }
 
+  /**
+   * Search conversations by message content and filters, newest first
+   * Used by the admin and customer conversation lists.
+   * @param {object} query - Request query: search, channel, tool, escalated, provider,
+   *   status, from, to, clientId, page, limit
+   * @param {object} scope - { clientId } forces the client (customer dashboard)
+   * @returns {Promise<Object>} { conversations, total, page, limit, totalPages } -
+   *   when searching text, each conversation has matches: [{ messageId, role, timestamp, snippet }]
+   */
+  async searchConversations(query = {}, scope = {}) {
+    const filters = this.parseSearchFilters(query);
+    if (scope.clientId) {
+      filters.clientId = scope.clientId;
+    }
+
+    const limit = Math.min(
+      Math.max(parseInt(query.limit, 10) || 20, 1),
+      CONVERSATION_SEARCH.MAX_PAGE_SIZE
+    );
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+
+    const [conversations, total] = await Promise.all([
+      Conversation.search(filters, { limit, offset: (page - 1) * limit }),
+      Conversation.countSearch(filters),
+    ]);
+
+    if (filters.text && conversations.length > 0) {
+      const matches = await Conversation.findSearchMatches(
+        conversations.map((conversation) => conversation.id),
+        filters.text,
+        CONVERSATION_SEARCH.MATCHES_PER_CONVERSATION
+      );
+      for (const conversation of conversations) {
+        conversation.matches = matches
+          .filter((match) => match.conversation_id === conversation.id)
+          .map((match) => ({
+            messageId: match.id,
+            role: match.role,
+            timestamp: match.timestamp,
+            snippet: this.splitHighlights(match.snippet),
+          }));
+      }
+    }
+
+    return { conversations, total, page, limit, totalPages: Math.ceil(total / limit) };
+  }
+
+  /**
+   * Normalize conversation search filters from a request query
+   */
+  parseSearchFilters(query = {}) {
+    const param = (name) => (typeof query[name] === 'string' ? query[name].trim() : '');
+    const parseDate = (value, endOfDay = false) => {
+      if (!value) return null;
+      // A bare date as the upper bound includes that whole day
+      const text = endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T23:59:59.999` : value;
+      const date = new Date(text);
+      return Number.isNaN(date.getTime()) ? null : date;
+    };
+    const optional = (value) => (value && value !== 'all' ? value : null);
+    const clientId = parseInt(param('clientId'), 10);
+    const escalated = param('escalated');
+
+    return {
+      clientId: Number.isInteger(clientId) ? clientId : null,
+      text: param('search').slice(0, CONVERSATION_SEARCH.MAX_QUERY_LENGTH) || null,
+      channel: optional(param('channel')),
+      tool: optional(param('tool')),
+      escalated: escalated === 'true' ? true : escalated === 'false' ? false : null,
+      provider: optional(param('provider')),
+      status: ['active', 'ended'].includes(param('status')) ? param('status') : null,
+      from: parseDate(param('from')),
+      to: parseDate(param('to'), true),
+    };
+  }
+
+  /**
+   * Split a highlighted snippet into text segments, so clients can render the
+   * highlights without inserting HTML: [{ text, highlight }]
+   */
+  splitHighlights(snippet) {
+    const segments = [];
+    const parts = String(snippet || '').split(CONVERSATION_SEARCH.HIGHLIGHT_START);
+    parts.forEach((part, index) => {
+      if (index === 0) {
+        if (part) segments.push({ text: part, highlight: false });
+        return;
+      }
+      const [highlighted, rest] = part.split(CONVERSATION_SEARCH.HIGHLIGHT_END);
+      if (highlighted) segments.push({ text: highlighted, highlight: true });
+      if (rest) segments.push({ text: rest, highlight: false });
+    });
+    return segments;
+  }
+
   /**
    * End a conversation
    */
@@ -114,9 +231,23 @@ class ConversationService {
 
     const updated = await Conversation.end(conversation.id);
     await RedisCache.deleteConversationContext(sessionId);
+    this._emitEnded(updated || conversation, 'user');
     return updated;
   }
 
+  /**
+   * Notify webhook subscribers that a conversation ended
+   * @param {object} conversation - Conversation record
+   * @param {string} reason - 'user', 'inactivity' or 'goodbye'
+   */
+  _emitEnded(conversation, reason) {
+    webhookService.emit(conversation.client_id, 'conversation.ended', {
+      ...webhookService.conversationData(conversation),
+      ended_at: conversation.ended_at || new Date().toISOString(),
+      reason,
+    });
+  }
+
   /**
    * Auto-end inactive conversations
    */
@@ -136,6 +267,7 @@ class ConversationService {
           if (conv.session_id) {
             await RedisCache.deleteConversationContext(conv.session_id);
           }
+          this._emitEnded(conv, 'inactivity');
           endedConversations.push({
             id: conv.id,
             session_id: conv.session_id,
@@ -168,6 +300,23 @@ class ConversationService {
     return message;
   }
 
+  /**
+   * Save a user message and link the files sent with it
+   * @private
+   */
+  async _saveUserMessage(conversation, content, attachments = []) {
+    if (attachments.length === 0) {
+      return await this.addMessage(conversation.id, 'user', content);
+    }
+
+    const message = await Message.create(conversation.id, 'user', content, 0, null, {
+      attachments: attachments.map((attachment) => attachmentService.toMetadata(attachment)),
+    });
+    await attachmentService.link(attachments, conversation.id, message.id);
+    await this.updateConversationStats(conversation.id);
+    return message;
+  }
+
   /**
    * Add a debug/internal message
    */
@@ -254,7 +403,8 @@ class ConversationService {
   async updateConversationContext(sessionId, conversationId, messages) {
     await RedisCache.updateConversationContext(sessionId, {
       conversationId,
-      messages,
+      // Image data is only sent with the turn it was uploaded in
+      messages: messages.map(({ images: _images, ...message }) => message),
       last_activity: new Date().toISOString(),
     });
   }
@@ -328,6 +478,7 @@ class ConversationService {
     await this.addMessage(conversation.id, 'user', userMessage);
     await Conversation.end(conversation.id);
     await RedisCache.deleteConversationContext(sessionId);
+    this._emitEnded(conversation, 'goodbye');
 
     const goodbyeMessages = [
       'Thank you for chatting with us! Have a great day!',
@@ -350,15 +501,46 @@ class ConversationService {
     };
   }
 
+  /**
+   * Handle a message while a human agent is handling the conversation
+   * The AI does not answer; response is null and agentActive tells channels to stay silent.
+   * @private
+   */
+  async _handleAgentTakeover(conversation, userMessage, options) {
+    log.info(`Conversation ${conversation.id} is handled by a human agent, AI not responding`);
+
+    if (!options.skipUserMessageSave) {
+      await this._saveUserMessage(conversation, userMessage, options.attachments || []);
+    }
+
+    return {
+      response: null,
+      toolsUsed: [],
+      tokensUsed: 0,
+      conversationId: conversation.id,
+      iterations: 0,
+      agentActive: true,
+    };
+  }
+
   // ============================================================
   // MAIN MESSAGE PROCESSING (Delegates to reasoning services)
   // ============================================================
 
   /**
    * Process a user message - routes to appropriate reasoning service
+   * @param {Function} options.onToken - Optional callback for streamed reply text (standard mode only;
+   *   adaptive mode must parse its assessment block before anything is shown, so it replies in one piece)
+   * @param {Function} options.onReset - Optional callback when streamed text is discarded
+   * @param {Array} options.attachments - Files sent with the message (see attachmentService.claim)
    */
   async processMessage(client, sessionId, userMessage, options = {}) {
-    const { userIdentifier = null } = options;
+    const { userIdentifier = null, attachments = [] } = options;
+
+    // A file sent on its own is stored with a text stand-in
+    if (!userMessage && attachments.length > 0) {
+      userMessage = attachmentService.describe(attachments);
+    }
 
     try {
       // Get or create conversation
@@ -378,76 +560,240 @@ class ConversationService {
         );
       }
 
+      // Conversations in a prompt experiment are answered with their variant's config
+      ({ client, conversation } = await promptExperimentService.apply(client, conversation));
+
+      // A human agent has taken over - store the message and let the agent reply
+      if (!isNewConversation && (await Escalation.hasAgentTakeover(conversation.id))) {
+        return await this._handleAgentTakeover(conversation, userMessage, options);
+      }
+
       // Check if user wants to end the conversation
-      if (this.detectConversationEnd(userMessage)) {
+      if (attachments.length === 0 && this.detectConversationEnd(userMessage)) {
         return await this._handleConversationEnd(conversation, sessionId, userMessage);
       }
 
       // Save user message
       if (!options.skipUserMessageSave) {
-        await this.addMessage(conversation.id, 'user', userMessage);
+        await this._saveUserMessage(conversation, userMessage, attachments);
       }
 
+      // Images go to the model when it can see them; other files are described in text
+      const images =
+        attachments.length > 0 && llmService.supportsVision(effectiveProvider, effectiveModel)
+          ? await attachmentService.loadImages(attachments)
+          : [];
+      const attachmentNote =
+        attachments.length > 0 && userMessage !== attachmentService.describe(attachments)
+          ? attachmentService.describe(attachments)
+          : null;
+
       // Check if client's plan uses Adaptive mode
       const plan = await Plan.findByName(client.plan_type || 'unlimited');
       const aiMode = plan?.ai_mode || 'standard';
 
-      if (aiMode === 'adaptive') {
-        log.info(`[Conversation] Using Adaptive mode for client ${client.id}`);
-        return await this._processAdaptiveMode(conversation, client, userMessage);
+      if (conversation.reasoning_mode !== aiMode) {
+        await Conversation.setReasoningMode(conversation.id, aiMode);
+      }
+
+      // Repeated informational questions are answered from the client's answer cache
+      const cacheContext = { channel: options.channel || 'widget', aiMode, isNewConversation };
+      const cacheable = answerCacheService.isEligible(client, conversation, userMessage, options);
+      if (cacheable) {
+        const cached = await answerCacheService.lookup(client, userMessage, cacheContext);
+        if (cached) {
+          return await this._replyFromCache(conversation, cached);
+        }
       }
 
-      // Standard mode
-      log.info(`[Conversation] Using Standard mode for client ${client.id}`);
-      return await this._processStandardMode(
-        conversation,
+      // Traced so the provider that actually answered (possibly a fallback) is recorded
+      const { result, calls } = await llmService.trace(async () => {
+        if (aiMode === 'adaptive') {
+          log.info(`[Conversation] Using Adaptive mode for client ${client.id}`);
+          const adaptiveResult = await this._processAdaptiveMode(
+            conversation,
+            client,
+            userMessage,
+            {
+              images,
+              attachmentNote,
+            }
+          );
+          const { contextFetched, ...reply } = adaptiveResult;
+          return {
+            ...reply,
+            toolResults: reply.toolExecuted && reply.toolResult ? [reply.toolResult] : [],
+            cacheableReply:
+              reply.reasonCode === REASON_CODES.RESPONDED_SUCCESSFULLY &&
+              !reply.toolExecuted &&
+              !contextFetched,
+          };
+        }
+
+        // Standard mode
+        log.info(`[Conversation] Using Standard mode for client ${client.id}`);
+        const standardResult = await this._processStandardMode(
+          conversation,
+          client,
+          sessionId,
+          userMessage,
+          isNewConversation,
+          { ...options, images, attachmentNote }
+        );
+        return { ...standardResult, cacheableReply: !standardResult.toolsUsed?.length };
+      });
+      await this._recordLlmCalls(conversation, client, calls);
+
+      const { toolResults, cacheableReply, ...reply } = result;
+      const finalReply = await this._attachResponseBlocks(reply, toolResults);
+
+      if (cacheable && cacheableReply && finalReply.response) {
+        await this._cacheReply(client, conversation, userMessage, finalReply, calls, cacheContext);
+      }
+      return finalReply;
+    } catch (error) {
+      log.error('Error processing message', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record the provider and model that produced the reply, and the LLM calls
+   * of this message per provider for usage reports
+   * @private
+   */
+  async _recordLlmCalls(conversation, client, calls) {
+    const served = calls[calls.length - 1];
+    if (!served) return;
+
+    try {
+      const reply = await Message.getLatestAssistant(conversation.id);
+      if (reply) {
+        await Message.setLlmProvider(reply.id, served.provider, served.model);
+      }
+      if (!replaySandbox.isActive()) {
+        await ApiUsage.recordProviderUsage(client.id, calls);
+      }
+    } catch (error) {
+      log.error('Failed to record LLM provider usage', error);
+    }
+  }
+
+  /**
+   * Store a reply in the answer cache, unless the message escalated the conversation
+   * @private
+   */
+  async _cacheReply(client, conversation, userMessage, reply, calls, cacheContext) {
+    try {
+      if (await Escalation.hasActiveEscalation(conversation.id)) return;
+
+      await answerCacheService.store(
         client,
-        sessionId,
         userMessage,
-        isNewConversation,
-        options
+        {
+          response: reply.response,
+          blocks: reply.blocks,
+          tokensInput: calls.reduce((sum, call) => sum + call.tokensInput, 0),
+          tokensOutput: calls.reduce((sum, call) => sum + call.tokensOutput, 0),
+        },
+        cacheContext
       );
     } catch (error) {
-      log.error('Error processing message', error);
-      throw error;
+      log.error('Failed to cache reply', error);
     }
   }
 
+  /**
+   * Reply with a cached answer, without calling the LLM
+   * @private
+   */
+  async _replyFromCache(conversation, cached) {
+    await Message.createDebug(conversation.id, 'assistant', cached.response, 'visible', {
+      metadata: {
+        ...(cached.blocks?.length > 0 && { blocks: cached.blocks }),
+        answer_cache: { match: cached.match, score: cached.score, cached_at: cached.cachedAt },
+      },
+    });
+    await this.updateConversationStats(conversation.id);
+
+    return {
+      response: cached.response,
+      toolsUsed: [],
+      tokensUsed: 0,
+      conversationId: conversation.id,
+      iterations: 0,
+      conversationEnded: false,
+      blocks: cached.blocks || [],
+      fromCache: true,
+    };
+  }
+
+  /**
+   * Turn block directives in the reply and tool result data into widget blocks
+   * The stored reply is rewritten without the directives and carries the blocks
+   * in its metadata, so history shows them too.
+   * @private
+   */
+  async _attachResponseBlocks(result, toolResults = []) {
+    if (!result.response) {
+      return result;
+    }
+
+    const { text, blocks } = buildResponseBlocks(result.response, toolResults);
+    if (blocks.length === 0 && text === result.response) {
+      return { ...result, blocks };
+    }
+
+    try {
+      const reply = await Message.getLatestAssistant(result.conversationId);
+      if (reply) {
+        await Message.setReplyBlocks(reply.id, text, blocks);
+      }
+    } catch (error) {
+      log.error('Failed to store response blocks', error);
+    }
+
+    return { ...result, response: text, blocks };
+  }
+
   /**
    * Process message in Adaptive mode
    * @private
    */
-  async _processAdaptiveMode(conversation, client, userMessage) {
+  async _processAdaptiveMode(conversation, client, userMessage, attachmentContext = {}) {
     const result = await adaptiveReasoningService.processAdaptiveMessage(
       conversation.id,
       client.id,
       userMessage,
       client,
-      conversation
+      conversation,
+      attachmentContext
     );
 
-    // Record usage
-    try {
-      const toolCallsCount = result.tool_executed ? 1 : 0;
-      const reasoningMetrics = result.reasoningMetrics || {
-        isAdaptive: true,
-        critiqueTriggered: false,
-        contextFetchCount: 0,
-      };
+    // Record usage (conversation replays are not billed)
+    if (!replaySandbox.isActive()) {
+      try {
+        const toolCallsCount = result.tool_executed ? 1 : 0;
+        const reasoningMetrics = result.reasoningMetrics || {
+          isAdaptive: true,
+          critiqueTriggered: false,
+          contextFetchCount: 0,
+        };
 
-      const tokensInput = reasoningMetrics.totalInputTokens || 0;
-      const tokensOutput = reasoningMetrics.totalOutputTokens || 0;
+        const tokensInput = reasoningMetrics.totalInputTokens || 0;
+        const tokensOutput = reasoningMetrics.totalOutputTokens || 0;
 
-      await ApiUsage.recordUsage(
-        client.id,
-        tokensInput,
-        tokensOutput,
-        toolCallsCount,
-        false,
-        reasoningMetrics
-      );
-    } catch (usageError) {
-      log.error('Failed to record usage', usageError);
+        await ApiUsage.recordUsage(
+          client.id,
+          tokensInput,
+          tokensOutput,
+          toolCallsCount,
+          false,
+          reasoningMetrics
+        );
+      } catch (usageError) {
+        log.error('Failed to record usage', usageError);
+      }
     }
 
     return {
@@ -457,6 +803,7 @@ class ConversationService {
       toolResult: result.tool_result,
       mode: 'adaptive',
       reasonCode: result.reason_code,
+      contextFetched: (result.reasoningMetrics?.contextFetchCount || 0) > 0,
     };
   }
 
@@ -489,7 +836,12 @@ class ConversationService {
       client,
       userMessage,
       messages,
-      { maxToolIterations: options.maxToolIterations || 3, isNewConversation }
+      {
+        maxToolIterations: options.maxToolIterations || 3,
+        isNewConversation,
+        onToken: options.onToken,
+        onReset: options.onReset,
+      }
     );
 
     // Record usage and finalize
@@ -533,7 +885,15 @@ class ConversationService {
       }
     }
 
-    messages.push({ role: 'user', content: userMessageContent });
+    if (options.attachmentNote) {
+      userMessageContent = `${userMessageContent}\n\n${options.attachmentNote}`;
+    }
+
+    messages.push({
+      role: 'user',
+      content: userMessageContent,
+      ...(options.images?.length > 0 && { images: options.images }),
+    });
     return messages;
   }
 }
@@ -0,0 +1,331 @@
+import crypto from 'crypto';
+import { ClientUser } from '../models/ClientUser.js';
+import { Client } from '../models/Client.js';
+import { CUSTOMER_USERS } from '../config/constants.js';
+import { transactionalEmailService } from './transactionalEmailService.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('CustomerUsers');
+
+/**
+ * Thrown when a user request is invalid or not allowed
+ * Codes: invalid_user, not_found, forbidden, conflict, invalid_invite
+ */
+export class CustomerUserError extends Error {
+  constructor(message, code = 'invalid_user') {
+    super(message);
+    this.name = 'CustomerUserError';
+    this.code = code;
+  }
+}
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Customer User Service
+ *
+ * Per-client dashboard accounts with email/password login and roles:
+ *   owner   - everything, including managing owners
+ *   admin   - everything except managing owners
+ *   agent   - conversations and escalations
+ *   billing - invoices and usage (read only)
+ *
+ * Users are invited by an owner or admin and set their password when they
+ * accept. Once a client has an active owner the shared access code stops
+ * working, so every dashboard action can be attributed to a person.
+ *
+ * The acting user ("actor") is { id, role, name }. Sessions opened with the
+ * access code act as an owner without an id.
+ */
+class CustomerUserService {
+  /**
+   * Check email and password
+   * @returns {Promise<object|null>} Active user or null
+   */
+  async authenticate(email, password) {
+    if (typeof email !== 'string' || typeof password !== 'string') {
+      return null;
+    }
+    return ClientUser.verifyCredentials(email.trim(), password);
+  }
+
+  /**
+   * Whether the client has switched to user accounts (has an active owner)
+   * @param {number} clientId - Client ID
+   */
+  async hasUserAccounts(clientId) {
+    return (await ClientUser.countByClient(clientId, { status: 'active', role: 'owner' })) > 0;
+  }
+
+  async listUsers(clientId) {
+    return ClientUser.findByClient(clientId);
+  }
+
+  /**
+   * Get a client's user
+   * @throws {CustomerUserError} When it does not exist or belongs to another client
+   */
+  async getUser(clientId, userId) {
+    const user = await ClientUser.findById(userId);
+    if (!user || user.client_id !== clientId) {
+      throw new CustomerUserError('User not found', 'not_found');
+    }
+    return user;
+  }
+
+  /**
+   * Invite a user by email
+   * @param {object} client - Inviting client
+   * @param {object} actor - Acting user { id, role, name }
+   * @param {object} body - { email, name, role }
+   * @returns {Promise<object>} { user, inviteUrl, emailSent }
+   */
+  async inviteUser(client, actor, body = {}) {
+    const email = this.validateEmail(body.email);
+    const role = this.validateRole(body.role);
+    this.assertCanAssign(actor, role);
+
+    const count = await ClientUser.countByClient(client.id);
+    if (count >= CUSTOMER_USERS.MAX_USERS_PER_CLIENT) {
+      throw new CustomerUserError(
+        `A client can have at most ${CUSTOMER_USERS.MAX_USERS_PER_CLIENT} users`
+      );
+    }
+    if (await ClientUser.findByEmail(email)) {
+      throw new CustomerUserError('A user with this email already exists', 'conflict');
+    }
+
+    const { token, tokenHash, expiresAt } = this.createInviteToken();
+    const user = await ClientUser.create({
+      clientId: client.id,
+      email,
+      name: this.normalizeName(body.name),
+      role,
+      inviteTokenHash: tokenHash,
+      inviteExpiresAt: expiresAt,
+      invitedBy: actor.id || null,
+    });
+    log.info(`User ${user.id} invited`, { clientId: client.id, role, invitedBy: actor.id });
+
+    return { user, ...(await this.sendInvite(client, actor, user, token, expiresAt)) };
+  }
+
+  /**
+   * Send a new invitation link (the previous one stops working)
+   */
+  async resendInvite(client, actor, userId) {
+    const user = await this.getUser(client.id, userId);
+    if (user.status !== 'invited') {
+      throw new CustomerUserError('User has already accepted the invitation');
+    }
+    this.assertCanManage(actor, user);
+
+    const { token, tokenHash, expiresAt } = this.createInviteToken();
+    const updated = await ClientUser.renewInvite(user.id, tokenHash, expiresAt);
+    return { user: updated, ...(await this.sendInvite(client, actor, updated, token, expiresAt)) };
+  }
+
+  /**
+   * Look up a pending invitation for the accept page
+   * @returns {Promise<object>} { email, name, role, clientName }
+   */
+  async getInvitation(token) {
+    const user = await this.findValidInvite(token);
+    const client = await Client.findById(user.client_id);
+    return { email: user.email, name: user.name, role: user.role, clientName: client?.name };
+  }
+
+  /**
+   * Accept an invitation: set the password and activate the account
+   * @returns {Promise<object>} Activated user
+   */
+  async acceptInvite(token, password, name = null) {
+    const user = await this.findValidInvite(token);
+    this.validatePassword(password);
+
+    const activated = await ClientUser.activate(user.id, password, this.normalizeName(name));
+    log.info(`User ${user.id} accepted the invitation`, { clientId: user.client_id });
+    return activated;
+  }
+
+  /**
+   * Change a user's role, status (active/disabled) or name
+   */
+  async updateUser(clientId, actor, userId, body = {}) {
+    const user = await this.getUser(clientId, userId);
+    this.assertCanManage(actor, user);
+
+    const updates = {};
+    if (body.name !== undefined) {
+      updates.name = this.normalizeName(body.name);
+    }
+    if (body.role !== undefined && body.role !== user.role) {
+      updates.role = this.validateRole(body.role);
+      this.assertCanAssign(actor, updates.role);
+    }
+    if (body.status !== undefined && body.status !== user.status) {
+      if (!['active', 'disabled'].includes(body.status) || user.status === 'invited') {
+        throw new CustomerUserError('status must be active or disabled for accepted users');
+      }
+      updates.status = body.status;
+    }
+    if (Object.keys(updates).length === 0) {
+      return user;
+    }
+
+    if ((updates.role || updates.status) && user.id === actor.id) {
+      throw new CustomerUserError('You cannot change your own role or status', 'forbidden');
+    }
+    if (user.role === 'owner' && (updates.role || updates.status === 'disabled')) {
+      await this.assertNotLastOwner(user);
+    }
+
+    const updated = await ClientUser.update(user.id, updates);
+    log.info(`User ${user.id} updated`, { clientId, updates, by: actor.id });
+    return updated;
+  }
+
+  /**
+   * Remove a user (or cancel an invitation)
+   */
+  async removeUser(clientId, actor, userId) {
+    const user = await this.getUser(clientId, userId);
+    this.assertCanManage(actor, user);
+    if (user.id === actor.id) {
+      throw new CustomerUserError('You cannot remove yourself', 'forbidden');
+    }
+    if (user.role === 'owner') {
+      await this.assertNotLastOwner(user);
+    }
+
+    await ClientUser.delete(user.id);
+    log.info(`User ${user.id} removed`, { clientId, by: actor.id });
+  }
+
+  // ==================== Rules ====================
+
+  /**
+   * Only owners can grant the owner role
+   */
+  assertCanAssign(actor, role) {
+    if (!CUSTOMER_USERS.MANAGER_ROLES.includes(actor.role)) {
+      throw new CustomerUserError('Only owners and admins can manage users', 'forbidden');
+    }
+    if (role === 'owner' && actor.role !== 'owner') {
+      throw new CustomerUserError('Only owners can grant the owner role', 'forbidden');
+    }
+  }
+
+  /**
+   * Admins cannot change or remove owners
+   */
+  assertCanManage(actor, user) {
+    if (!CUSTOMER_USERS.MANAGER_ROLES.includes(actor.role)) {
+      throw new CustomerUserError('Only owners and admins can manage users', 'forbidden');
+    }
+    if (user.role === 'owner' && actor.role !== 'owner') {
+      throw new CustomerUserError('Only owners can manage owners', 'forbidden');
+    }
+  }
+
+  /**
+   * A client keeps at least one active owner once it has users
+   */
+  async assertNotLastOwner(user) {
+    if (user.status !== 'active') return;
+    const owners = await ClientUser.countByClient(user.client_id, {
+      status: 'active',
+      role: 'owner',
+    });
+    if (owners <= 1) {
+      throw new CustomerUserError('The last owner cannot be removed, disabled or demoted');
+    }
+  }
+
+  // ==================== Validation ====================
+
+  validateEmail(value) {
+    const email = typeof value === 'string' ? value.trim().toLowerCase() : '';
+    if (!EMAIL_PATTERN.test(email) || email.length > 255) {
+      throw new CustomerUserError('A valid email is required');
+    }
+    return email;
+  }
+
+  validateRole(value) {
+    if (!CUSTOMER_USERS.ROLES.includes(value)) {
+      throw new CustomerUserError(`role must be one of: ${CUSTOMER_USERS.ROLES.join(', ')}`);
+    }
+    return value;
+  }
+
+  validatePassword(value) {
+    if (typeof value !== 'string' || value.length < CUSTOMER_USERS.PASSWORD_MIN_LENGTH) {
+      throw new CustomerUserError(
+        `Password must be at least ${CUSTOMER_USERS.PASSWORD_MIN_LENGTH} characters`
+      );
+    }
+  }
+
+  normalizeName(value) {
+    return typeof value === 'string' && value.trim() ? value.trim().slice(0, 255) : null;
+  }
+
+  // ==================== Invitations ====================
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  createInviteToken() {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(
+      Date.now() + CUSTOMER_USERS.INVITE_EXPIRY_DAYS * 24 * 60 * 60 * 1000
+    );
+    return { token, tokenHash: this.hashToken(token), expiresAt };
+  }
+
+  inviteUrl(token) {
+    const base = process.env.CUSTOMER_DASHBOARD_URL || 'http://localhost:3003';
+    return `${base}/accept-invite?token=${token}`;
+  }
+
+  async findValidInvite(token) {
+    if (typeof token !== 'string' || !token) {
+      throw new CustomerUserError('Invitation not found', 'invalid_invite');
+    }
+    const user = await ClientUser.findByInviteToken(this.hashToken(token));
+    if (!user) {
+      throw new CustomerUserError('Invitation not found', 'invalid_invite');
+    }
+    if (user.invite_expires_at && new Date(user.invite_expires_at) < new Date()) {
+      throw new CustomerUserError('Invitation has expired', 'invalid_invite');
+    }
+    return user;
+  }
+
+  /**
+   * Email the invitation link
+   * The link is also returned so it can be shared when email is not configured.
+   */
+  async sendInvite(client, actor, user, token, expiresAt) {
+    const inviteUrl = this.inviteUrl(token);
+    let emailSent = false;
+    try {
+      const result = await transactionalEmailService.sendUserInvitation(user.email, client.name, {
+        inviterName: actor.name,
+        role: user.role,
+        url: inviteUrl,
+        expiresAt,
+      });
+      emailSent = result.success;
+    } catch (error) {
+      log.warn(`Failed to email invitation for user ${user.id}`, { error: error.message });
+    }
+    return { inviteUrl, emailSent };
+  }
+}
+
+// Export singleton instance
+export const customerUserService = new CustomerUserService();
+export default customerUserService;
@@ -4,6 +4,10 @@ import { Message } from '../models/Message.js';
 import { Client } from '../models/Client.js';
 import { gmailService } from './gmailService.js';
 import conversationService from './conversationService.js';
+import webhookService from './webhookService.js';
+import attachmentService from './attachmentService.js';
+import spendingService from './spendingService.js';
+import { ATTACHMENTS } from '../config/constants.js';
 import { logger } from '../utils/logger.js';
 
 /**
@@ -121,6 +125,45 @@ class EmailMonitor {
     await EmailChannel.updateLastChecked(channel.id);
   }
 
+  /**
+   * Store the attachments of an email that the client's plan allows
+   * Files that are too large or of a disallowed type are skipped.
+   * @returns {Promise<Array>} Stored attachments
+   */
+  async saveAttachments(channel, client, conversation, email) {
+    if (!email.attachments?.length) {
+      return [];
+    }
+
+    const limits = await attachmentService.getLimits(client);
+    const saved = [];
+    for (const file of email.attachments.slice(0, ATTACHMENTS.MAX_PER_MESSAGE)) {
+      const rejection = attachmentService.checkFile(file.mimeType, file.size, limits);
+      if (rejection) {
+        logger.log(`[EmailMonitor] Skipping attachment "${file.filename}": ${rejection.message}`);
+        continue;
+      }
+
+      try {
+        const data = file.data
+          ? Buffer.from(file.data, 'base64url')
+          : await gmailService.getAttachment(channel.id, email.id, file.attachmentId);
+        const attachment = await attachmentService.store(
+          client,
+          conversation,
+          { filename: file.filename, mimeType: file.mimeType, data, source: 'email' },
+          limits
+        );
+        if (attachment) {
+          saved.push(attachment);
+        }
+      } catch (error) {
+        console.error(`[EmailMonitor] Failed to save attachment "${file.filename}":`, error);
+      }
+    }
+    return saved;
+  }
+
   /**
    * Process a single email
    * @param {object} channel - The email channel
@@ -137,6 +180,13 @@ class EmailMonitor {
       return;
     }
 
+    // Over the monthly spending limit: left unread and answered once replies are allowed again
+    const spending = await spendingService.enforce(client);
+    if (!spending.allowed) {
+      logger.log(`[EmailMonitor] Client ${client.id} reached its spending limit, not replying`);
+      return;
+    }
+
     // Find or create conversation for this thread
     let conversation = await Conversation.findByChannelThread(
       email.threadId,
@@ -169,6 +219,11 @@ class EmailMonitor {
         threadId: email.threadId,
         from: email.from,
       });
+      webhookService.emit(
+        channel.client_id,
+        'conversation.started',
+        webhookService.conversationData(conversation)
+      );
     }
 
     logger.log(`[EmailMonitor] Processing email from ${email.from}`, {
@@ -177,15 +232,18 @@ class EmailMonitor {
       threadId: email.threadId,
     });
 
+    const attachments = await this.saveAttachments(channel, client, conversation, email);
+
     // Generate AI response (conversationService will save the user message)
     // Remove skipUserMessageSave so conversationService saves it
     const result = await conversationService.processMessage(
-      client,
+      spending.client,
       conversation.session_id,
       email.body,
       {
         userIdentifier: email.from,
         channel: 'email',
+        attachments,
         channelMetadata: {
           from: email.from,
           subject: email.subject,
@@ -194,6 +252,15 @@ class EmailMonitor {
       }
     );
 
+    // A human agent is handling this thread - they reply from the dashboard
+    if (result.agentActive) {
+      await gmailService.markAsRead(channel.id, email.id);
+      logger.log(
+        `[EmailMonitor] Conversation ${conversation.id} is handled by an agent, not replying`
+      );
+      return;
+    }
+
     // Format email response
     const replyBody = this.formatEmailReply(result.response, isNewConversation, client, channel);
 
@@ -2,6 +2,12 @@ import { Escalation } from '../models/Escalation.js';
 import { Client } from '../models/Client.js';
 import { Conversation } from '../models/Conversation.js';
 import { Message } from '../models/Message.js';
+import { EscalationNotification } from '../models/EscalationNotification.js';
+import { transactionalEmailService } from './transactionalEmailService.js';
+import { getNotificationSender } from './notifications/index.js';
+import { NOTIFICATIONS } from '../config/constants.js';
+import webhookService from './webhookService.js';
+import replaySandbox from './replaySandbox.js';
 import {
   getAllClarificationPhrases,
   getEscalationTriggers,
@@ -64,6 +70,11 @@ class EscalationService {
 
       // Send notifications
       await this.sendNotifications(escalation, client, conversation);
+      webhookService.emit(
+        client.id,
+        'escalation.created',
+        webhookService.escalationData(escalation)
+      );
 
       // Note: Conversation status is tracked via escalations table, no need to update conversations table
 
@@ -76,115 +87,247 @@ class EscalationService {
 
   /**
    * Send escalation notifications to configured channels
+   * Each channel gets a row in escalation_notifications; failures are
+   * scheduled for retry instead of being thrown.
    * @param {object} escalation - Escalation record
    * @param {object} client - Client record
    * @param {object} conversation - Conversation record
+   * @returns {array} Notification records
    */
   async sendNotifications(escalation, client, conversation) {
+    // Escalations raised by conversation replays are recorded but nobody is paged
+    if (replaySandbox.isActive()) return [];
+
     const escalationConfig = client.escalation_config || {};
-    const notificationMethod = escalationConfig.notification_method || 'email';
+    const channels = this.getNotificationChannels(escalationConfig.notification_method);
 
     console.log(
-      `[Escalation] Sending ${notificationMethod} notification for escalation ${escalation.id}`
+      `[Escalation] Sending ${channels.join('+')} notification for escalation ${escalation.id}`
     );
 
-    try {
-      if (notificationMethod === 'email' || notificationMethod === 'both') {
-        await this.sendEmailNotification(escalation, client, conversation, escalationConfig);
-      }
+    const notifications = [];
+    for (const channel of channels) {
+      const recipient =
+        channel === 'email'
+          ? escalationConfig.notification_email || client.email
+          : escalationConfig.notification_phone;
 
-      if (notificationMethod === 'whatsapp' || notificationMethod === 'both') {
-        await this.sendWhatsAppNotification(escalation, client, conversation, escalationConfig);
+      if (!recipient) {
+        console.warn(
+          `[Escalation] No notification ${channel === 'email' ? 'email' : 'phone'} configured for client ${client.id}`
+        );
+        continue;
       }
 
-      if (notificationMethod === 'sms') {
-        await this.sendSMSNotification(escalation, client, conversation, escalationConfig);
+      try {
+        const notification = await EscalationNotification.create({
+          escalationId: escalation.id,
+          clientId: client.id,
+          channel,
+          recipient,
+        });
+        notifications.push(
+          await this.deliverNotification(notification, escalation, client, conversation)
+        );
+      } catch (error) {
+        // Don't throw - escalation is created even if notification fails
+        console.error(
+          `[Escalation] Error recording ${channel} notification for escalation ${escalation.id}:`,
+          error
+        );
       }
+    }
+
+    return notifications;
+  }
+
+  /**
+   * Map the configured notification method to channels
+   * ('both' predates SMS support and means email + WhatsApp)
+   * @param {string} method - email, whatsapp, sms, both
+   * @returns {string[]}
+   */
+  getNotificationChannels(method = 'email') {
+    switch (method) {
+      case 'both':
+        return ['email', 'whatsapp'];
+      case 'whatsapp':
+        return ['whatsapp'];
+      case 'sms':
+        return ['sms'];
+      default:
+        return ['email'];
+    }
+  }
+
+  /**
+   * Attempt one delivery and record the outcome
+   * @param {object} notification - escalation_notifications row
+   * @returns {object} Updated notification
+   */
+  async deliverNotification(notification, escalation, client, conversation) {
+    const senders = {
+      email: () =>
+        this.sendEmailNotification(escalation, client, conversation, notification.recipient),
+      whatsapp: () =>
+        this.sendWhatsAppNotification(escalation, client, conversation, notification.recipient),
+      sms: () => this.sendSMSNotification(escalation, client, conversation, notification.recipient),
+    };
+
+    try {
+      const { messageId } = await senders[notification.channel]();
+      console.log(
+        `[Escalation] ${notification.channel} notification ${notification.id} sent to ${notification.recipient}`
+      );
+      return await EscalationNotification.markSent(notification.id, messageId);
     } catch (error) {
+      const attempts = (notification.attempts || 0) + 1;
+      const nextRetryAt = this.getNextRetryAt(attempts);
       console.error(
-        `[Escalation] Error sending notifications for escalation ${escalation.id}:`,
-        error
+        `[Escalation] ${notification.channel} notification ${notification.id} failed (attempt ${attempts}): ${error.message}`
       );
-      // Don't throw - escalation is created even if notification fails
+      return await EscalationNotification.markFailed(notification.id, error.message, nextRetryAt);
     }
   }
 
   /**
-   * Send email notification (placeholder - will be implemented with Gmail integration)
+   * When to retry after a failed attempt (exponential backoff)
+   * @param {number} attempts - Attempts made so far
+   * @returns {Date|null} null once NOTIFICATIONS.MAX_ATTEMPTS is reached
    */
-  async sendEmailNotification(escalation, client, conversation, config) {
-    const email = config.notification_email || client.email;
-
-    if (!email) {
-      console.warn(`[Escalation] No notification email configured for client ${client.id}`);
-      return;
+  getNextRetryAt(attempts) {
+    if (attempts >= NOTIFICATIONS.MAX_ATTEMPTS) {
+      return null;
     }
+    const delay = NOTIFICATIONS.RETRY_BASE_DELAY * Math.pow(2, attempts - 1);
+    return new Date(Date.now() + delay);
+  }
 
-    console.log(`[Escalation] Sending email notification to ${email}`);
-
-    // TODO: Implement actual email sending when Gmail integration is ready
-    // For now, just log
-    const emailContent = this.buildNotificationMessage(escalation, client, conversation);
-
-    console.log('[Escalation] Email notification content:', {
-      to: email,
-      subject: `Customer Needs Help - ${client.name}`,
-      body: emailContent,
-    });
+  /**
+   * Scheduled job: resend failed notifications that are due
+   * Notifications for escalations that are no longer pending are dropped.
+   * @returns {object} { retried, sent, failed, skipped }
+   */
+  async retryFailedNotifications() {
+    const due = await EscalationNotification.findDueForRetry(NOTIFICATIONS.RETRY_BATCH_SIZE);
+    const summary = { retried: 0, sent: 0, failed: 0, skipped: 0 };
+
+    for (const notification of due) {
+      try {
+        const escalation = await Escalation.findById(notification.escalation_id);
+        if (!escalation || escalation.status !== 'pending') {
+          await EscalationNotification.cancelRetry(notification.id);
+          summary.skipped++;
+          continue;
+        }
+
+        const conversation = await Conversation.findById(escalation.conversation_id);
+        const client = await Client.findById(escalation.client_id);
+        if (!conversation || !client) {
+          await EscalationNotification.cancelRetry(notification.id);
+          summary.skipped++;
+          continue;
+        }
+
+        const result = await this.deliverNotification(
+          notification,
+          escalation,
+          client,
+          conversation
+        );
+        summary.retried++;
+        summary[result?.status === 'sent' ? 'sent' : 'failed']++;
+      } catch (error) {
+        console.error(`[Escalation] Error retrying notification ${notification.id}:`, error);
+        summary.failed++;
+      }
+    }
 
-    // Note: Escalation remains in 'pending' status until manually acknowledged
-    // Email sending will be implemented with Gmail integration in Phase 9
+    return summary;
   }
 
   /**
-   * Send WhatsApp notification (placeholder - will be implemented with WhatsApp integration)
+   * Resend all failed notifications for an escalation right away (admin action)
+   * @param {number} escalationId - Escalation ID
+   * @returns {array} Updated notifications for the escalation
    */
-  async sendWhatsAppNotification(escalation, client, conversation, config) {
-    const phone = config.notification_phone;
-
-    if (!phone) {
-      console.warn(`[Escalation] No notification phone configured for client ${client.id}`);
-      return;
+  async resendFailedNotifications(escalationId) {
+    const escalation = await Escalation.findById(escalationId);
+    if (!escalation) {
+      return null;
     }
 
-    console.log(`[Escalation] Sending WhatsApp notification to ${phone}`);
+    const [client, conversation, notifications] = await Promise.all([
+      Client.findById(escalation.client_id),
+      Conversation.findById(escalation.conversation_id),
+      EscalationNotification.findByEscalation(escalationId),
+    ]);
 
-    // TODO: Implement actual WhatsApp sending when integration is ready
-    const message = this.buildNotificationMessage(escalation, client, conversation, true);
+    for (const notification of notifications.filter((n) => n.status === 'failed')) {
+      await this.deliverNotification(notification, escalation, client, conversation);
+    }
 
-    console.log('[Escalation] WhatsApp notification content:', {
-      to: phone,
-      message,
-    });
+    return await EscalationNotification.findByEscalation(escalationId);
   }
 
   /**
-   * Send SMS notification (placeholder - will be implemented with Twilio integration)
+   * Send email notification via the platform's transactional email
+   * @returns {object} { messageId }
+   * @throws {Error} if the email could not be sent
    */
-  async sendSMSNotification(escalation, client, conversation, config) {
-    const phone = config.notification_phone;
+  async sendEmailNotification(escalation, client, conversation, email) {
+    const customerMessage = await this.getLastCustomerMessage(conversation.id);
+
+    const result = await transactionalEmailService.sendEscalationNotification(email, client.name, {
+      reason: this.getReasonText(escalation.reason),
+      channel: conversation.channel || 'widget',
+      escalated_at: escalation.escalated_at,
+      customer_message: customerMessage,
+    });
 
-    if (!phone) {
-      console.warn(`[Escalation] No notification phone configured for client ${client.id}`);
-      return;
+    if (!result?.success) {
+      throw new Error(result?.error || 'Email not sent');
     }
 
-    console.log(`[Escalation] Sending SMS notification to ${phone}`);
+    return { messageId: result.messageId || null };
+  }
 
-    // TODO: Implement actual SMS sending with Twilio
+  /**
+   * Send WhatsApp notification via the registered WhatsApp sender
+   * @returns {object} { messageId }
+   */
+  async sendWhatsAppNotification(escalation, client, conversation, phone) {
     const message = this.buildNotificationMessage(escalation, client, conversation, true);
+    return await getNotificationSender('whatsapp').send(phone, message);
+  }
 
-    console.log('[Escalation] SMS notification content:', {
-      to: phone,
-      message,
-    });
+  /**
+   * Send SMS notification via the registered SMS sender
+   * @returns {object} { messageId }
+   */
+  async sendSMSNotification(escalation, client, conversation, phone) {
+    const message = this.buildNotificationMessage(escalation, client, conversation, true);
+    return await getNotificationSender('sms').send(phone, message);
   }
 
   /**
-   * Build notification message content
-   * @param {boolean} short - Whether to use short format (for SMS/WhatsApp)
+   * Latest customer message in a conversation (for notification context)
+   * @returns {string|null}
    */
-  buildNotificationMessage(escalation, client, conversation, short = false) {
+  async getLastCustomerMessage(conversationId) {
+    try {
+      const messages = await Message.getRecent(conversationId, 10);
+      const lastUserMessage = [...messages].reverse().find((m) => m.role === 'user');
+      return lastUserMessage?.content || null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Human-readable escalation reason
+   */
+  getReasonText(reason) {
     const reasonText = {
       user_requested: 'Customer requested human assistance',
       ai_stuck: 'AI unable to help customer',
@@ -192,7 +335,15 @@ class EscalationService {
       explicit_trigger: 'Explicit escalation trigger',
     };
 
-    const reason = reasonText[escalation.reason] || 'Unknown reason';
+    return reasonText[reason] || 'Unknown reason';
+  }
+
+  /**
+   * Build notification message content
+   * @param {boolean} short - Whether to use short format (for SMS/WhatsApp)
+   */
+  buildNotificationMessage(escalation, client, conversation, short = false) {
+    const reason = this.getReasonText(escalation.reason);
 
     if (short) {
       // Short format for SMS/WhatsApp
@@ -324,6 +475,11 @@ This is an automated notification from your AI Customer Service platform.
       // Note: Conversation status is tracked via escalations table
       if (escalation) {
         console.log(`[Escalation] Resolved escalation ${escalationId}`);
+        webhookService.emit(
+          escalation.client_id,
+          'escalation.resolved',
+          webhookService.escalationData(escalation)
+        );
       }
 
       return escalation;
@@ -0,0 +1,232 @@
+import { Conversation } from '../models/Conversation.js';
+import { Message } from '../models/Message.js';
+import { ToolExecution } from '../models/ToolExecution.js';
+import { MessageFeedback } from '../models/MessageFeedback.js';
+import { ConversationFeedback } from '../models/ConversationFeedback.js';
+import { LIMITS } from '../config/constants.js';
+
+/**
+ * Thrown for invalid ratings or when the rated message/conversation cannot be found
+ */
+export class FeedbackError extends Error {
+  constructor(message, code = 'invalid_feedback') {
+    super(message);
+    this.name = 'FeedbackError';
+    this.code = code;
+  }
+}
+
+const MESSAGE_RATINGS = { up: 1, down: -1 };
+
+/**
+ * Percentage helper - null when there is nothing to measure
+ */
+function percent(part, total) {
+  return total > 0 ? Math.round((part / total) * 100) : null;
+}
+
+/**
+ * Feedback Service
+ *
+ * Stores end-user satisfaction feedback from the widget - thumbs up/down on
+ * AI answers and a 1-5 rating when a conversation ends - and aggregates it
+ * into CSAT statistics for the admin and customer dashboards.
+ *
+ * CSAT is the share of conversation ratings that are 4 or 5; message
+ * satisfaction is the share of thumbs up.
+ */
+class FeedbackService {
+  /**
+   * Find a session's conversation, scoped to the widget's client
+   * @throws {FeedbackError} When the session does not belong to the client
+   */
+  async _getConversation(client, sessionId) {
+    const conversation = sessionId ? await Conversation.findBySession(sessionId) : null;
+    if (!conversation || conversation.client_id !== client.id) {
+      throw new FeedbackError('Conversation not found', 'not_found');
+    }
+    return conversation;
+  }
+
+  _normalizeComment(comment) {
+    if (comment === undefined || comment === null || comment === '') return null;
+    if (typeof comment !== 'string') {
+      throw new FeedbackError('Comment must be a string');
+    }
+    return comment.trim().slice(0, LIMITS.FEEDBACK_COMMENT_MAX) || null;
+  }
+
+  /**
+   * Rate an AI message (rating again replaces the previous rating)
+   * @param {object} client - Widget client
+   * @param {string} sessionId - Widget session
+   * @param {number} messageId - Rated assistant message
+   * @param {string} rating - 'up' or 'down'
+   * @param {string} comment - Optional comment
+   */
+  async rateMessage(client, sessionId, messageId, rating, comment = null) {
+    if (!MESSAGE_RATINGS[rating]) {
+      throw new FeedbackError("Rating must be 'up' or 'down'");
+    }
+
+    const conversation = await this._getConversation(client, sessionId);
+    const message = await Message.findById(messageId);
+    if (
+      !message ||
+      message.conversation_id !== conversation.id ||
+      message.role !== 'assistant' ||
+      message.metadata?.sender === 'agent'
+    ) {
+      throw new FeedbackError('Message not found', 'not_found');
+    }
+
+    const toolName = await ToolExecution.findToolForMessage(conversation.id, message.timestamp);
+
+    return MessageFeedback.upsert({
+      messageId: message.id,
+      conversationId: conversation.id,
+      clientId: client.id,
+      rating: MESSAGE_RATINGS[rating],
+      comment: this._normalizeComment(comment),
+      toolName,
+    });
+  }
+
+  /**
+   * Rate a whole conversation, usually once it has ended
+   * @param {object} client - Widget client
+   * @param {string} sessionId - Widget session (may already be ended)
+   * @param {number} rating - 1 to 5
+   * @param {string} comment - Optional comment
+   */
+  async rateConversation(client, sessionId, rating, comment = null) {
+    const value = Number(rating);
+    if (!Number.isInteger(value) || value < 1 || value > 5) {
+      throw new FeedbackError('Rating must be an integer from 1 to 5');
+    }
+
+    const conversation = await this._getConversation(client, sessionId);
+
+    return ConversationFeedback.upsert({
+      conversationId: conversation.id,
+      clientId: client.id,
+      rating: value,
+      comment: this._normalizeComment(comment),
+    });
+  }
+
+  /**
+   * Feedback left on a conversation (for history and conversation detail views)
+   * @returns {Promise<object>} { messages: { [messageId]: 'up'|'down' }, conversation: { rating, comment } | null }
+   */
+  async getConversationFeedback(conversationId) {
+    const [messageFeedback, conversationFeedback] = await Promise.all([
+      MessageFeedback.findByConversation(conversationId),
+      ConversationFeedback.findByConversation(conversationId),
+    ]);
+
+    return {
+      messages: Object.fromEntries(
+        messageFeedback.map((feedback) => [
+          feedback.message_id,
+          feedback.rating > 0 ? 'up' : 'down',
+        ])
+      ),
+      conversation: conversationFeedback
+        ? { rating: conversationFeedback.rating, comment: conversationFeedback.comment }
+        : null,
+    };
+  }
+
+  /**
+   * CSAT statistics with daily trend and breakdowns by tool and reasoning mode
+   * @param {number|null} clientId - Client ID, or null for all clients
+   * @param {number} days - Look-back window
+   * @returns {Promise<object>}
+   */
+  async getCsatStats(clientId = null, days = 30) {
+    const [messageRows, conversationRows, conversationToolRows] = await Promise.all([
+      MessageFeedback.getBreakdown(clientId, days),
+      ConversationFeedback.getBreakdown(clientId, days),
+      ConversationFeedback.getToolBreakdown(clientId, days),
+    ]);
+
+    const emptyBucket = () => ({
+      positive: 0,
+      negative: 0,
+      ratings: 0,
+      satisfied: 0,
+      ratingSum: 0,
+    });
+    const totals = emptyBucket();
+    const byDate = new Map();
+    const byTool = new Map();
+    const byMode = new Map();
+
+    const bucket = (map, key) => {
+      if (!map.has(key)) map.set(key, emptyBucket());
+      return map.get(key);
+    };
+    const dateKey = (date) => (date instanceof Date ? date.toISOString().split('T')[0] : date);
+
+    for (const row of messageRows) {
+      const positive = parseInt(row.positive, 10);
+      const negative = parseInt(row.negative, 10);
+      for (const target of [
+        totals,
+        bucket(byDate, dateKey(row.date)),
+        bucket(byTool, row.tool_name || null),
+        bucket(byMode, row.reasoning_mode || 'standard'),
+      ]) {
+        target.positive += positive;
+        target.negative += negative;
+      }
+    }
+
+    for (const row of conversationRows) {
+      for (const target of [
+        totals,
+        bucket(byDate, dateKey(row.date)),
+        bucket(byMode, row.reasoning_mode || 'standard'),
+      ]) {
+        target.ratings += parseInt(row.count, 10);
+        target.satisfied += parseInt(row.satisfied, 10);
+        target.ratingSum += parseInt(row.rating_sum, 10);
+      }
+    }
+
+    for (const row of conversationToolRows) {
+      const target = bucket(byTool, row.tool_name);
+      target.ratings += parseInt(row.count, 10);
+      target.satisfied += parseInt(row.satisfied, 10);
+      target.ratingSum += parseInt(row.rating_sum, 10);
+    }
+
+    const summarize = (b) => ({
+      thumbsUp: b.positive,
+      thumbsDown: b.negative,
+      messageSatisfaction: percent(b.positive, b.positive + b.negative),
+      ratings: b.ratings,
+      averageRating: b.ratings > 0 ? Math.round((b.ratingSum / b.ratings) * 10) / 10 : null,
+      csat: percent(b.satisfied, b.ratings),
+    });
+
+    return {
+      days,
+      ...summarize(totals),
+      trend: [...byDate.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([date, b]) => ({ date, ...summarize(b) })),
+      byTool: [...byTool.entries()]
+        .map(([tool, b]) => ({ tool, ...summarize(b) }))
+        .sort(
+          (a, b) => b.thumbsUp + b.thumbsDown + b.ratings - (a.thumbsUp + a.thumbsDown + a.ratings)
+        ),
+      byMode: [...byMode.entries()].map(([mode, b]) => ({ mode, ...summarize(b) })),
+    };
+  }
+}
+
+// Export singleton instance
+export const feedbackService = new FeedbackService();
+export default feedbackService;
@@ -215,9 +215,59 @@ class GmailService {
       snippet: message.snippet,
       labelIds: message.labelIds || [],
       messageId: getHeader('Message-ID') || `<${message.id}@mail.gmail.com>`, // Add Message-ID
+      attachments: this.findAttachments(message.payload.parts || []),
     };
   }
 
+  /**
+   * List the file attachments of a message
+   * Small files carry their data inline; larger ones must be fetched with getAttachment.
+   * @param {Array} parts - MIME parts
+   * @returns {Array} [{ filename, mimeType, size, attachmentId, data }]
+   */
+  findAttachments(parts) {
+    const attachments = [];
+    for (const part of parts) {
+      if (part.filename && (part.body?.attachmentId || part.body?.data)) {
+        attachments.push({
+          filename: part.filename,
+          mimeType: part.mimeType || 'application/octet-stream',
+          size: part.body.size || 0,
+          attachmentId: part.body.attachmentId || null,
+          data: part.body.data || null,
+        });
+      }
+      if (part.parts) {
+        attachments.push(...this.findAttachments(part.parts));
+      }
+    }
+    return attachments;
+  }
+
+  /**
+   * Download an attachment
+   * @param {number} emailChannelId - The email channel ID
+   * @param {string} messageId - Gmail message ID
+   * @param {string} attachmentId - Gmail attachment ID
+   * @returns {Promise<Buffer>} File contents
+   */
+  async getAttachment(emailChannelId, messageId, attachmentId) {
+    const oauth2Client = await this.getAuthenticatedClient(emailChannelId);
+    const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
+
+    try {
+      const response = await gmail.users.messages.attachments.get({
+        userId: 'me',
+        messageId,
+        id: attachmentId,
+      });
+      return Buffer.from(response.data.data, 'base64url');
+    } catch (error) {
+      console.error('Error fetching attachment:', error);
+      throw error;
+    }
+  }
+
   /**
    * Find MIME part by type
    */
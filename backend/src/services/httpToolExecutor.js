@@ -0,0 +1,303 @@
+/**
+ * Native HTTP Tool Executor
+ *
+ * Runs simple tools directly against a client API, without an n8n workflow.
+ * A client tool selects it with executor = 'http' and describes the request
+ * in http_config:
+ *
+ *   {
+ *     "integration": "order_api",          // key from the tool's required_integrations
+ *     "endpoint": "get_order",             // endpoint_name on that integration (or "path")
+ *     "path": "/orders/{{orderNumber}}",   // used when no endpoint is named
+ *     "method": "GET",                     // overrides the endpoint's method
+ *     "query": { "expand": "items" },      // values may reference tool params
+ *     "body": { "email": "{{email}}" },
+ *     "headers": { "X-Store": "main" },
+ *     "response": { "root": "data.order", "fields": { "status": "status", "eta": "shipping.eta" } }
+ *   }
+ *
+ * "{{param}}" on its own keeps the parameter's type; inside a longer string it
+ * is interpolated. Without a query/body mapping, GET and DELETE send the
+ * parameters as query string and other methods send them as the JSON body.
+ */
+
+import { HTTP_TOOLS } from '../config/constants.js';
+import { IntegrationEndpoint } from '../models/IntegrationEndpoint.js';
+import integrationService from './integrationService.js';
+import { validateToolParameters } from './n8nService.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('HttpTool');
+
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*\}\}/g;
+const WHOLE_PLACEHOLDER = /^\{\{\s*([\w.]+)\s*\}\}$/;
+
+/**
+ * Read a dot-separated path ("order.items.0.sku") from an object
+ */
+function getPath(source, path) {
+  if (!path) return source;
+  return path
+    .split('.')
+    .reduce(
+      (value, key) => (value === null || value === undefined ? undefined : value[key]),
+      source
+    );
+}
+
+/**
+ * Fill "{{param}}" references in a template value from the tool parameters.
+ * Values that resolve to undefined are dropped from objects.
+ */
+function render(template, params, used = new Set()) {
+  if (typeof template === 'string') {
+    const whole = template.match(WHOLE_PLACEHOLDER);
+    if (whole) {
+      used.add(whole[1].split('.')[0]);
+      return getPath(params, whole[1]);
+    }
+    return template.replace(PLACEHOLDER, (_, name) => {
+      used.add(name.split('.')[0]);
+      const value = getPath(params, name);
+      return value === undefined || value === null ? '' : String(value);
+    });
+  }
+  if (Array.isArray(template)) {
+    return template.map((item) => render(item, params, used)).filter((v) => v !== undefined);
+  }
+  if (template && typeof template === 'object') {
+    const result = {};
+    for (const [key, value] of Object.entries(template)) {
+      const rendered = render(value, params, used);
+      if (rendered !== undefined) result[key] = rendered;
+    }
+    return result;
+  }
+  return template;
+}
+
+class HttpToolExecutor {
+  /**
+   * Check a request template before it is saved
+   * @param {Object} config - http_config
+   * @returns {String|null} Error message, or null when valid
+   */
+  validateConfig(config) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      return 'HTTP config must be an object';
+    }
+    if (!config.endpoint && !config.path) {
+      return 'HTTP config needs an endpoint name or a path';
+    }
+    if (config.method && !HTTP_TOOLS.METHODS.includes(String(config.method).toUpperCase())) {
+      return `Unsupported method: ${config.method}`;
+    }
+    for (const key of ['query', 'headers']) {
+      if (config[key] !== undefined && (typeof config[key] !== 'object' || config[key] === null)) {
+        return `HTTP config "${key}" must be an object`;
+      }
+    }
+    if (config.response !== undefined) {
+      const { root, fields } = config.response || {};
+      if (root !== undefined && typeof root !== 'string') {
+        return 'Response root must be a dot path string';
+      }
+      if (fields !== undefined && (typeof fields !== 'object' || Array.isArray(fields))) {
+        return 'Response fields must map output names to dot paths';
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Execute a tool by calling the client API directly
+   * @param {Object} config - http_config of the client tool
+   * @param {Object} parameters - Tool parameters from AI
+   * @param {Object} options
+   * @param {Object} options.integrations - Loaded integrations keyed by integration key
+   * @param {Number} options.timeout - Timeout in milliseconds
+   * @returns {Object} { success, data, executionTimeMs, error } - same shape as n8nService
+   */
+  async executeTool(config, parameters = {}, options = {}) {
+    const { integrations = {}, timeout = HTTP_TOOLS.TIMEOUT } = options;
+    const startTime = Date.now();
+    const fail = (error) => ({
+      success: false,
+      data: null,
+      executionTimeMs: Date.now() - startTime,
+      error,
+    });
+
+    const validationError = validateToolParameters(parameters);
+    if (validationError) {
+      log.info('Tool execution blocked - placeholder values detected');
+      return { ...fail(validationError), blocked: true };
+    }
+
+    const configError = this.validateConfig(config);
+    if (configError) {
+      return fail(`Invalid HTTP tool configuration: ${configError}`);
+    }
+
+    try {
+      const request = await this.buildRequest(config, parameters, integrations);
+      log.info(`${request.method} ${request.url}`);
+
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+      let response;
+      try {
+        response = await fetch(request.url, {
+          method: request.method,
+          headers: request.headers,
+          body: request.body,
+          signal: controller.signal,
+        });
+      } catch (fetchError) {
+        if (fetchError.name === 'AbortError') {
+          return fail(`Tool execution timed out after ${timeout}ms`);
+        }
+        throw fetchError;
+      } finally {
+        clearTimeout(timeoutId);
+      }
+
+      const responseText = await response.text();
+      if (!response.ok) {
+        log.warn(`Request failed (${response.status})`);
+        return fail(
+          `API returned ${response.status}: ${responseText.substring(0, HTTP_TOOLS.ERROR_BODY_MAX)}`
+        );
+      }
+
+      let data = responseText;
+      if (response.headers.get('content-type')?.includes('application/json')) {
+        try {
+          data = responseText ? JSON.parse(responseText) : {};
+        } catch {
+          data = { error: 'Invalid JSON response', raw: responseText };
+        }
+      }
+
+      return {
+        success: true,
+        data: this.extractResponse(data, config.response),
+        executionTimeMs: Date.now() - startTime,
+        error: null,
+      };
+    } catch (error) {
+      log.error('Tool execution error', error.message);
+      return fail(error.message || 'Unknown error during tool execution');
+    }
+  }
+
+  /**
+   * Resolve the integration and endpoint and build the fetch request
+   * @returns {Object} { url, method, headers, body }
+   */
+  async buildRequest(config, parameters, integrations) {
+    const keys = Object.keys(integrations);
+    const key = config.integration || (keys.length === 1 ? keys[0] : null);
+    const integration = key ? integrations[key] : null;
+    if (!integration) {
+      throw new Error(
+        config.integration
+          ? `Integration "${config.integration}" is not mapped for this tool`
+          : 'HTTP tools need a mapped integration'
+      );
+    }
+
+    let path = config.path;
+    let method = config.method;
+    if (config.endpoint) {
+      const endpoint = await IntegrationEndpoint.findByName(integration.id, config.endpoint);
+      if (!endpoint) {
+        throw new Error(`Endpoint "${config.endpoint}" not found on integration "${key}"`);
+      }
+      path = endpoint.endpoint_url;
+      method = method || endpoint.method;
+    }
+    method = (method || 'GET').toUpperCase();
+
+    // Path parameters are URL-encoded and not repeated in the default query/body.
+    // "." and ".." survive encoding and would be collapsed by URL resolution.
+    const used = new Set();
+    const renderedPath = path.replace(PLACEHOLDER, (_, name) => {
+      used.add(name.split('.')[0]);
+      const value = getPath(parameters, name);
+      const text = value === undefined || value === null ? '' : String(value);
+      if (text === '.' || text === '..') {
+        throw new Error(`Invalid value for path parameter "${name}"`);
+      }
+      return encodeURIComponent(text);
+    });
+    const url = new URL(this.joinUrl(integration.apiUrl, renderedPath));
+
+    const unused = Object.fromEntries(Object.entries(parameters).filter(([k]) => !used.has(k)));
+    const sendsBody = !['GET', 'DELETE'].includes(method);
+
+    const query =
+      config.query !== undefined ? render(config.query, parameters) : sendsBody ? {} : unused;
+    for (const [name, value] of Object.entries(query)) {
+      if (value === undefined || value === null) continue;
+      for (const item of Array.isArray(value) ? value : [value]) {
+        url.searchParams.append(name, typeof item === 'object' ? JSON.stringify(item) : item);
+      }
+    }
+
+    const headers = {
+      Accept: 'application/json',
+      ...integrationService.buildAuthHeaders(integration),
+      ...render(config.headers || {}, parameters),
+    };
+
+    let body;
+    if (sendsBody) {
+      body = JSON.stringify(config.body !== undefined ? render(config.body, parameters) : unused);
+      headers['Content-Type'] = 'application/json';
+    }
+
+    return { url: url.toString(), method, headers, body };
+  }
+
+  /**
+   * Join the integration base URL with an endpoint path.
+   * Absolute endpoint URLs are used as they are, but only on the integration's
+   * own host - the request carries the integration's credentials.
+   */
+  joinUrl(apiUrl, path) {
+    if (!apiUrl) {
+      throw new Error('Integration has no API URL configured');
+    }
+    const joined = /^https?:\/\//i.test(path)
+      ? path
+      : `${apiUrl.replace(/\/+$/, '')}/${path.replace(/^\/+/, '')}`;
+    if (new URL(joined).origin !== new URL(apiUrl).origin) {
+      throw new Error('Endpoint URL must be on the integration API host');
+    }
+    return joined;
+  }
+
+  /**
+   * Keep only the configured part of the response
+   * @param {*} data - Parsed response
+   * @param {Object} responseConfig - { root, fields }
+   */
+  extractResponse(data, responseConfig) {
+    if (!responseConfig) {
+      return data;
+    }
+    const root = getPath(data, responseConfig.root);
+    const { fields } = responseConfig;
+    if (!fields || root === null || typeof root !== 'object') {
+      return root;
+    }
+    const pick = (item) =>
+      Object.fromEntries(Object.entries(fields).map(([name, path]) => [name, getPath(item, path)]));
+    return Array.isArray(root) ? root.map(pick) : pick(root);
+  }
+}
+
+export const httpToolExecutor = new HttpToolExecutor();
+export default httpToolExecutor;
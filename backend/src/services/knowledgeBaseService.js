@@ -0,0 +1,456 @@
+import { KnowledgeDocument } from '../models/KnowledgeDocument.js';
+import { KnowledgeChunk } from '../models/KnowledgeChunk.js';
+import { KNOWLEDGE_BASE } from '../config/constants.js';
+
+// Words too common to help ranking (English and Hebrew)
+const STOP_WORDS = new Set(
+  [
+    'a an and are as at be by can do does for from how i in is it my of on or our that the this',
+    'to was we what when where which who will with you your',
+    'של את על עם זה זו הוא היא גם או אם כי מה יש אין לא אני אתם שלי שלכם',
+  ]
+    .join(' ')
+    .split(' ')
+);
+
+const HTML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+};
+
+/**
+ * Knowledge Base Service
+ *
+ * Per-client document store searched by adaptive mode. Documents (markdown,
+ * HTML, PDF text or plain text) are split into chunks along their headings,
+ * and chunks are ranked with BM25 over an in-memory index built per client.
+ *
+ * The model asks for a search through needs_more_context with a
+ * "knowledge:<query>" entry; matching chunks are added to the prompt with
+ * numbered sources so answers can cite the document they came from.
+ */
+class KnowledgeBaseService {
+  constructor() {
+    this.indexes = new Map(); // clientId -> { builtAt, chunks, docFreq, avgLength }
+  }
+
+  // ==================== Documents ====================
+
+  /**
+   * Store a document and index its chunks
+   * @param {number} clientId - Client ID
+   * @param {object} data - { title, sourceType, content, sourceName }
+   * @returns {Promise<object>} Created document (with chunk_count)
+   */
+  async addDocument(clientId, { title, sourceType, content, sourceName = null }) {
+    const document = await KnowledgeDocument.create(
+      clientId,
+      title,
+      sourceType,
+      content,
+      sourceName
+    );
+    return await this.reindexDocument(document);
+  }
+
+  /**
+   * Update a document, re-chunking it when its content or format changed
+   * @param {object} document - Existing document
+   * @param {object} updates - { title, sourceType, content, sourceName, enabled }
+   * @returns {Promise<object>} Updated document
+   */
+  async updateDocument(document, updates) {
+    const fields = {};
+    if (updates.title !== undefined) fields.title = updates.title;
+    if (updates.sourceType !== undefined) fields.source_type = updates.sourceType;
+    if (updates.content !== undefined) fields.content = updates.content;
+    if (updates.sourceName !== undefined) fields.source_name = updates.sourceName;
+    if (updates.enabled !== undefined) fields.enabled = updates.enabled;
+
+    const updated = await KnowledgeDocument.update(document.id, fields);
+
+    if (fields.content !== undefined || fields.source_type !== undefined) {
+      return await this.reindexDocument(updated);
+    }
+
+    this.invalidate(document.client_id);
+    return updated;
+  }
+
+  /**
+   * Delete a document and its chunks
+   */
+  async deleteDocument(document) {
+    const deleted = await KnowledgeDocument.delete(document.id);
+    this.invalidate(document.client_id);
+    return deleted;
+  }
+
+  /**
+   * Rebuild the stored chunks of a document
+   */
+  async reindexDocument(document) {
+    const chunks = this.chunkDocument(document.content, document.source_type);
+    const chunkCount = await KnowledgeChunk.replaceForDocument(document, chunks);
+    const updated = await KnowledgeDocument.update(document.id, { chunk_count: chunkCount });
+
+    this.invalidate(document.client_id);
+    console.log(`[KnowledgeBase] Indexed document ${document.id} (${chunkCount} chunks)`);
+    return updated;
+  }
+
+  // ==================== Text processing ====================
+
+  /**
+   * Convert HTML to markdown-like text, keeping headings and list items
+   * @param {string} html - HTML document or fragment
+   * @returns {string} Plain text
+   */
+  htmlToText(html) {
+    return String(html || '')
+      .replace(/<(script|style|head|noscript)[^>]*>[\s\S]*?<\/\1>/gi, '')
+      .replace(/<!--[\s\S]*?-->/g, '')
+      .replace(
+        /<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi,
+        (_, level, text) =>
+          `\n\n${'#'.repeat(Number(level))} ${text.replace(/<[^>]+>/g, '').trim()}\n\n`
+      )
+      .replace(/<li[^>]*>/gi, '\n- ')
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<\/(p|div|section|article|ul|ol|table|tr|blockquote)>/gi, '\n\n')
+      .replace(/<\/(td|th)>/gi, ' ')
+      .replace(/<[^>]+>/g, '')
+      .replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+          const code =
+            entity[1].toLowerCase() === 'x'
+              ? parseInt(entity.slice(2), 16)
+              : parseInt(entity.slice(1), 10);
+          return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+        }
+        return HTML_ENTITIES[entity.toLowerCase()] ?? match;
+      })
+      .replace(/[ \t]+/g, ' ')
+      .replace(/ *\n */g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  /**
+   * Split a document into chunks along its headings and paragraphs
+   *
+   * PDF text is expected to use form feeds (\f) between pages, as produced by
+   * common extractors such as pdftotext; page numbers are kept for citations.
+   *
+   * @param {string} content - Document body
+   * @param {string} sourceType - markdown, html, pdf or text
+   * @returns {Array} [{ heading, page, content }]
+   */
+  chunkDocument(content, sourceType = 'markdown') {
+    const text = sourceType === 'html' ? this.htmlToText(content) : String(content || '');
+    const pages = sourceType === 'pdf' ? text.split('\f') : [text];
+    const chunks = [];
+    let heading = null;
+
+    pages.forEach((pageText, pageIndex) => {
+      const page = sourceType === 'pdf' ? pageIndex + 1 : null;
+      let paragraphs = [];
+
+      const flush = () => {
+        for (const chunk of this.packParagraphs(paragraphs)) {
+          chunks.push({ heading, page, content: chunk });
+        }
+        paragraphs = [];
+      };
+
+      for (const block of pageText.replace(/\r\n?/g, '\n').split(/\n\s*\n/)) {
+        const lines = block.trim().split('\n');
+        let body = [];
+
+        for (const line of lines) {
+          const headingMatch = line.match(/^#{1,6}\s+(.+?)\s*#*\s*$/);
+          if (headingMatch) {
+            if (body.length > 0) paragraphs.push(body.join('\n'));
+            body = [];
+            flush();
+            heading = headingMatch[1].trim();
+          } else if (line.trim()) {
+            body.push(line.trim());
+          }
+        }
+
+        if (body.length > 0) paragraphs.push(body.join('\n'));
+      }
+
+      flush();
+    });
+
+    return chunks;
+  }
+
+  /**
+   * Pack paragraphs into chunks of about CHUNK_SIZE characters
+   * Paragraphs longer than a chunk are cut on sentence or word boundaries, and
+   * consecutive pieces share CHUNK_OVERLAP characters so no sentence is lost.
+   */
+  packParagraphs(paragraphs) {
+    const size = KNOWLEDGE_BASE.CHUNK_SIZE;
+    const chunks = [];
+    let current = '';
+
+    for (const paragraph of paragraphs) {
+      if (current && current.length + paragraph.length + 2 > size) {
+        chunks.push(current);
+        current = '';
+      }
+
+      if (paragraph.length <= size) {
+        current = current ? `${current}\n\n${paragraph}` : paragraph;
+        continue;
+      }
+
+      let remaining = paragraph;
+      while (remaining.length > size) {
+        let cut = Math.max(
+          remaining.lastIndexOf('. ', size),
+          remaining.lastIndexOf('\n', size),
+          remaining.lastIndexOf('? ', size),
+          remaining.lastIndexOf('! ', size)
+        );
+        if (cut < size / 2) cut = remaining.lastIndexOf(' ', size);
+        if (cut < size / 2) cut = size - 1;
+
+        chunks.push(remaining.slice(0, cut + 1).trim());
+
+        let overlapStart = Math.max(0, cut + 1 - KNOWLEDGE_BASE.CHUNK_OVERLAP);
+        const wordStart = remaining.indexOf(' ', overlapStart);
+        if (wordStart !== -1 && wordStart < cut) overlapStart = wordStart + 1;
+        remaining = remaining.slice(overlapStart).trim();
+      }
+      current = remaining;
+    }
+
+    if (current) chunks.push(current);
+    return chunks;
+  }
+
+  /**
+   * Split text into normalized search terms
+   * Works for any script: accents and Hebrew niqqud are stripped, stop words
+   * dropped, and simple English plurals folded onto their singular.
+   * @param {string} text - Text to tokenize
+   * @returns {string[]} Terms
+   */
+  tokenize(text) {
+    const words =
+      String(text || '')
+        .normalize('NFKD')
+        .replace(/\p{M}/gu, '')
+        .toLowerCase()
+        .match(/[\p{L}\p{N}]+/gu) || [];
+
+    return words
+      .filter((word) => !STOP_WORDS.has(word) && (word.length > 1 || /\d/.test(word)))
+      .map((word) => {
+        if (!/^[a-z]+$/.test(word) || word.length <= 3) return word;
+        if (word.endsWith('ies') && word.length > 4) return `${word.slice(0, -3)}y`;
+        if (word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+        return word;
+      });
+  }
+
+  // ==================== Search ====================
+
+  /**
+   * Get (or build) the BM25 index of a client
+   */
+  async getIndex(clientId) {
+    const cached = this.indexes.get(clientId);
+    if (cached && Date.now() - cached.builtAt < KNOWLEDGE_BASE.INDEX_TTL) {
+      return cached;
+    }
+
+    const rows = await KnowledgeChunk.findSearchableByClient(clientId);
+    const docFreq = new Map();
+    let totalLength = 0;
+
+    const chunks = rows.map((row) => {
+      // Title and heading count as chunk text so section names match queries
+      const terms = this.tokenize(`${row.document_title}\n${row.heading || ''}\n${row.content}`);
+      const termFreq = new Map();
+      for (const term of terms) {
+        termFreq.set(term, (termFreq.get(term) || 0) + 1);
+      }
+      for (const term of termFreq.keys()) {
+        docFreq.set(term, (docFreq.get(term) || 0) + 1);
+      }
+      totalLength += terms.length;
+      return { ...row, termFreq, length: terms.length };
+    });
+
+    const index = {
+      builtAt: Date.now(),
+      chunks,
+      docFreq,
+      avgLength: chunks.length > 0 ? totalLength / chunks.length : 0,
+    };
+    this.indexes.set(clientId, index);
+    return index;
+  }
+
+  /**
+   * Drop the cached index of a client (after documents change)
+   */
+  invalidate(clientId) {
+    this.indexes.delete(clientId);
+  }
+
+  /**
+   * Whether a client has anything to search
+   */
+  async hasDocuments(clientId) {
+    const index = await this.getIndex(clientId);
+    return index.chunks.length > 0;
+  }
+
+  /**
+   * Rank a client's chunks against a query with BM25
+   * @param {number} clientId - Client ID
+   * @param {string} query - Free-text query
+   * @param {object} options - { limit }
+   * @returns {Promise<Array>} [{ chunk_id, document_id, title, heading, page, chunk_index, content, score }]
+   */
+  async search(clientId, query, { limit = KNOWLEDGE_BASE.MAX_RESULTS } = {}) {
+    const index = await this.getIndex(clientId);
+    const queryTerms = [...new Set(this.tokenize(query))];
+    if (index.chunks.length === 0 || queryTerms.length === 0) {
+      return [];
+    }
+
+    const { BM25_K1: k1, BM25_B: b } = KNOWLEDGE_BASE;
+    const total = index.chunks.length;
+
+    return index.chunks
+      .map((chunk) => {
+        let score = 0;
+        for (const term of queryTerms) {
+          const freq = chunk.termFreq.get(term);
+          if (!freq) continue;
+
+          const docFreq = index.docFreq.get(term);
+          const idf = Math.log(1 + (total - docFreq + 0.5) / (docFreq + 0.5));
+          const norm = 1 - b + b * (chunk.length / (index.avgLength || 1));
+          score += idf * ((freq * (k1 + 1)) / (freq + k1 * norm));
+        }
+        return { chunk, score };
+      })
+      .filter((result) => result.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ chunk, score }) => ({
+        chunk_id: chunk.id,
+        document_id: chunk.document_id,
+        title: chunk.document_title,
+        heading: chunk.heading,
+        page: chunk.page,
+        chunk_index: chunk.chunk_index,
+        content: chunk.content,
+        score: Math.round(score * 1000) / 1000,
+      }));
+  }
+
+  // ==================== Adaptive mode integration ====================
+
+  /**
+   * Whether a needs_more_context entry is a knowledge base search
+   */
+  isKnowledgeRequest(key) {
+    return typeof key === 'string' && key.startsWith(KNOWLEDGE_BASE.CONTEXT_KEY_PREFIX);
+  }
+
+  /**
+   * Run the knowledge searches requested through needs_more_context
+   * @param {number} clientId - Client ID
+   * @param {string[]} keys - Entries like "knowledge:return policy for sale items"
+   * @returns {Promise<object>} { results: [{ key, query, matches }], found, missing }
+   */
+  async retrieve(clientId, keys) {
+    const results = [];
+    const found = [];
+    const missing = [];
+
+    for (const key of keys) {
+      const query = key.slice(KNOWLEDGE_BASE.CONTEXT_KEY_PREFIX.length).trim();
+      let matches = [];
+
+      try {
+        matches = query ? await this.search(clientId, query) : [];
+      } catch (error) {
+        console.error(`[KnowledgeBase] Search failed for client ${clientId}:`, error.message);
+      }
+
+      if (matches.length > 0) {
+        results.push({ key, query, matches });
+        found.push(key);
+      } else {
+        missing.push(key);
+      }
+    }
+
+    return { results, found, missing };
+  }
+
+  /**
+   * Citation list for retrieved results, numbered as in the prompt
+   */
+  getCitations(results) {
+    return results
+      .flatMap((result) => result.matches)
+      .map((match, i) => ({
+        source: i + 1,
+        document_id: match.document_id,
+        title: match.title,
+        heading: match.heading,
+        page: match.page,
+        chunk_index: match.chunk_index,
+      }));
+  }
+
+  /**
+   * Format retrieved chunks for the system prompt
+   * @param {Array} results - From retrieve()
+   * @returns {string} Prompt section (empty when nothing was found)
+   */
+  formatResultsForPrompt(results) {
+    if (results.length === 0) {
+      return '';
+    }
+
+    let formatted = '\n\n## Knowledge Base Results';
+    let source = 0;
+
+    for (const result of results) {
+      formatted += `\n\nSearch: "${result.query}"`;
+      for (const match of result.matches) {
+        source++;
+        const location = [match.heading, match.page ? `page ${match.page}` : null]
+          .filter(Boolean)
+          .join(', ');
+        formatted += `\n\n[${source}] ${match.title}${location ? ` (${location})` : ''}\n${match.content}`;
+      }
+    }
+
+    formatted +=
+      '\n\nAnswer only from these excerpts when they are relevant, and cite the document you used, e.g. "(Source: <document title>)". If they do not answer the question, say you don\'t have that information.';
+
+    return formatted;
+  }
+}
+
+// Export singleton instance
+export const knowledgeBaseService = new KnowledgeBaseService();
+export default knowledgeBaseService;
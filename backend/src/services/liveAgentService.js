@@ -0,0 +1,207 @@
+import { Escalation } from '../models/Escalation.js';
+import { Conversation } from '../models/Conversation.js';
+import { Message } from '../models/Message.js';
+import { EmailChannel } from '../models/EmailChannel.js';
+import { RedisCache } from './redisCache.js';
+import gmailService from './gmailService.js';
+import whatsappHandler from './whatsappHandler.js';
+import webhookService from './webhookService.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Thrown when an agent action does not fit the escalation's current status
+ */
+export class LiveAgentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LiveAgentError';
+    this.code = 'invalid_status';
+  }
+}
+
+/**
+ * Live Agent Service
+ *
+ * Lets a human agent take over an escalated conversation. While the
+ * conversation's escalation is acknowledged the AI stays silent
+ * (conversationService checks Escalation.hasAgentTakeover); agent messages are
+ * stored in the conversation and delivered over its channel. Widget
+ * conversations pick them up by polling GET /chat/updates/:sessionId.
+ */
+class LiveAgentService {
+  /**
+   * Takeover state of a conversation
+   * @param {number} conversationId - Conversation ID
+   * @returns {Promise<object>} { status: 'none'|'pending'|'active', agentName, escalationId }
+   */
+  async getAgentStatus(conversationId) {
+    const escalation = await Escalation.findByConversation(conversationId);
+
+    if (escalation?.status === 'acknowledged') {
+      return { status: 'active', agentName: escalation.assigned_to, escalationId: escalation.id };
+    }
+    if (escalation?.status === 'pending') {
+      return { status: 'pending', agentName: null, escalationId: escalation.id };
+    }
+    return { status: 'none', agentName: null, escalationId: escalation?.id || null };
+  }
+
+  /**
+   * Acknowledge a pending escalation on behalf of an agent (stops the AI)
+   * @param {object} escalation - Escalation
+   * @param {string} agentName - Agent taking over
+   * @param {number} userId - Dashboard user taking over, if known
+   * @returns {Promise<object>} Updated escalation
+   */
+  async takeOver(escalation, agentName = null, userId = null) {
+    if (escalation.status === 'acknowledged') {
+      return escalation;
+    }
+    if (escalation.status !== 'pending') {
+      throw new LiveAgentError(`Escalation is already ${escalation.status}`);
+    }
+
+    const updated = await Escalation.updateStatus(escalation.id, 'acknowledged', {
+      ...(agentName && { assigned_to: agentName }),
+      ...(userId && { acknowledged_by: userId }),
+    });
+    logger.log(`[LiveAgent] Escalation ${escalation.id} taken over`, { agentName });
+    return updated;
+  }
+
+  /**
+   * Send a message from a human agent to the customer
+   * Sending takes over the conversation if the escalation was still pending.
+   * @param {object} escalation - Escalation being handled
+   * @param {string} content - Message text
+   * @param {string} agentName - Name shown to the customer
+   * @param {number} userId - Dashboard user sending the message, if known
+   * @returns {Promise<object>} { message, escalation, delivery: { status, error } }
+   */
+  async sendAgentMessage(escalation, content, agentName = null, userId = null) {
+    const updatedEscalation = await this.takeOver(escalation, agentName, userId);
+    const conversation = await Conversation.findById(escalation.conversation_id);
+
+    const message = await Message.createFromAgent(
+      conversation.id,
+      content,
+      agentName || updatedEscalation.assigned_to
+    );
+    await Conversation.updateStats(
+      conversation.id,
+      await Message.count(conversation.id),
+      await Message.getTotalTokens(conversation.id)
+    );
+
+    let delivery;
+    try {
+      delivery = await this.deliver(conversation, content);
+    } catch (error) {
+      console.error(
+        `[LiveAgent] Failed to deliver agent message for conversation ${conversation.id}:`,
+        error.message
+      );
+      delivery = { status: 'failed', error: error.message };
+    }
+
+    return { message, escalation: updatedEscalation, delivery };
+  }
+
+  /**
+   * Deliver an agent message over the conversation's channel
+   * Widget conversations are delivered when the widget polls for updates.
+   * @returns {Promise<object>} { status: 'sent'|'queued', channel }
+   */
+  async deliver(conversation, content) {
+    const metadata = conversation.channel_metadata || {};
+
+    switch (conversation.channel) {
+      case 'whatsapp':
+        await whatsappHandler.sendMessage(conversation, content);
+        return { status: 'sent', channel: 'whatsapp' };
+
+      case 'email': {
+        const channel = await EmailChannel.findByClientAndEmail(
+          conversation.client_id,
+          metadata.channel_email
+        );
+        if (!channel) {
+          throw new Error('Email channel for this conversation no longer exists');
+        }
+        const subject = metadata.subject || '';
+        await gmailService.sendEmail(
+          channel.id,
+          metadata.from,
+          subject.startsWith('Re:') ? subject : `Re: ${subject}`,
+          content,
+          conversation.channel_thread_id
+        );
+        return { status: 'sent', channel: 'email' };
+      }
+
+      default:
+        return { status: 'queued', channel: conversation.channel || 'widget' };
+    }
+  }
+
+  /**
+   * Return the conversation to the AI (resolves the escalation)
+   * @param {object} escalation - Escalation being handled
+   * @param {string} agentName - Agent handing back
+   * @param {number} userId - Dashboard user handing back, if known
+   * @returns {Promise<object>} Updated escalation
+   */
+  async handBack(escalation, agentName = null, userId = null) {
+    if (escalation.status !== 'acknowledged' && escalation.status !== 'pending') {
+      throw new LiveAgentError(`Escalation is already ${escalation.status}`);
+    }
+
+    const note = `Handed back to AI${agentName ? ` by ${agentName}` : ''}`;
+    const updated = await Escalation.updateStatus(escalation.id, 'resolved', {
+      notes: escalation.notes ? `${escalation.notes}\n${note}` : note,
+      ...(userId && { resolved_by: userId }),
+    });
+
+    webhookService.emit(
+      updated.client_id,
+      'escalation.resolved',
+      webhookService.escalationData(updated)
+    );
+
+    await this.resetAIContext(escalation.conversation_id);
+
+    logger.log(`[LiveAgent] Escalation ${escalation.id} handed back to AI`, { agentName });
+    return updated;
+  }
+
+  /**
+   * Drop the cached LLM context when the AI takes a conversation back (hand back,
+   * resolve or cancel). The cache does not include the agent's messages, so the
+   * next reply rebuilds it from the DB.
+   * @param {number} conversationId - Conversation ID
+   */
+  async resetAIContext(conversationId) {
+    const conversation = await Conversation.findById(conversationId);
+    if (conversation) {
+      await RedisCache.deleteConversationContext(conversation.session_id);
+    }
+  }
+
+  /**
+   * Shape a message for dashboards and the widget
+   */
+  formatMessage(message) {
+    return {
+      id: message.id,
+      role: message.role,
+      content: message.content,
+      timestamp: message.timestamp || message.created_at,
+      sender: message.metadata?.sender === 'agent' ? 'agent' : message.role,
+      agentName: message.metadata?.agent_name || null,
+    };
+  }
+}
+
+// Export singleton instance
+export const liveAgentService = new LiveAgentService();
+export default liveAgentService;
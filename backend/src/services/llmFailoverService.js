@@ -0,0 +1,99 @@
+import { Client } from '../models/Client.js';
+import llmService from './llmService.js';
+import { LLM_FAILOVER } from '../config/constants.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('LLMFailover');
+
+/**
+ * Thrown for an invalid fallback chain
+ */
+export class LlmFailoverError extends Error {
+  constructor(message, code = 'invalid') {
+    super(message);
+    this.name = 'LlmFailoverError';
+    this.code = code;
+  }
+}
+
+/**
+ * LLM Failover Service
+ *
+ * Per-client fallback chain (clients.llm_fallbacks): when the client's provider
+ * errors or its circuit breaker is open, llmService.chat() tries these
+ * providers in order. The provider that answered is stored on the reply
+ * message and counted in api_usage_providers.
+ */
+class LlmFailoverService {
+  /**
+   * Fallback chain of a client with the provider health
+   * @param {object} client - Client
+   * @returns {object} { primary, fallbacks, providers, maxFallbacks, health }
+   */
+  getFailover(client) {
+    return {
+      primary: { provider: client.llm_provider || 'ollama', model: client.model_name || null },
+      fallbacks: client.llm_fallbacks || [],
+      providers: LLM_FAILOVER.PROVIDERS,
+      maxFallbacks: LLM_FAILOVER.MAX_FALLBACKS,
+      health: llmService.getProviderHealth(),
+    };
+  }
+
+  /**
+   * Replace a client's fallback chain
+   * @param {number} clientId - Client ID
+   * @param {Array} input - [{ provider, model }] in the order they are tried
+   * @returns {Promise<Object>} Same shape as getFailover()
+   */
+  async updateFailover(clientId, input) {
+    const fallbacks = this.normalizeFallbacks(input);
+    const client = await Client.updateLlmFallbacks(clientId, fallbacks);
+    if (!client) {
+      throw new LlmFailoverError('Client not found', 'not_found');
+    }
+
+    log.info(`Fallback chain updated for client ${clientId}`, { fallbacks });
+    return this.getFailover(client);
+  }
+
+  /**
+   * Validate a fallback chain
+   * @returns {Array} [{ provider, model }] - model null uses the provider's default
+   */
+  normalizeFallbacks(input) {
+    if (input === null || input === undefined) return [];
+    if (!Array.isArray(input)) {
+      throw new LlmFailoverError('Fallbacks must be a list of providers');
+    }
+    if (input.length > LLM_FAILOVER.MAX_FALLBACKS) {
+      throw new LlmFailoverError(`At most ${LLM_FAILOVER.MAX_FALLBACKS} fallback providers`);
+    }
+
+    const seen = new Set();
+    return input.map((item) => {
+      const provider = item?.provider;
+      if (!LLM_FAILOVER.PROVIDERS.includes(provider)) {
+        throw new LlmFailoverError(`Unknown provider: ${provider}`);
+      }
+
+      const model = typeof item.model === 'string' ? item.model.trim() : '';
+      if (model.length > LLM_FAILOVER.MAX_MODEL_LENGTH) {
+        throw new LlmFailoverError(
+          `Model names are limited to ${LLM_FAILOVER.MAX_MODEL_LENGTH} characters`
+        );
+      }
+
+      const key = `${provider}:${model}`;
+      if (seen.has(key)) {
+        throw new LlmFailoverError(`${provider} ${model || '(default model)'} is listed twice`);
+      }
+      seen.add(key);
+
+      return { provider, model: model || null };
+    });
+  }
+}
+
+const llmFailoverService = new LlmFailoverService();
+export default llmFailoverService;
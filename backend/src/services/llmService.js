@@ -1,5 +1,15 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
 import { Anthropic } from '@anthropic-ai/sdk';
 import { OLLAMA_CONFIG } from '../config.js';
+import { PROVIDER_PRICING } from './costCalculator.js';
+import { safeJsonParse } from '../utils/jsonUtils.js';
+import { createRedactor } from '../utils/redaction.js';
+import replaySandbox from './replaySandbox.js';
+import { LLM_FAILOVER, REPLAY } from '../config/constants.js';
+import { CircuitBreakerRegistry } from '../utils/circuitBreaker.js';
+
+// Successful chat() calls of the current trace() scope
+const callTrace = new AsyncLocalStorage();
 
 /**
  * LLM Service - Multi-Provider Architecture
@@ -18,6 +28,12 @@ class LLMService {
     this.provider = process.env.LLM_PROVIDER || 'ollama'; // ollama | groq | openai | claude
     this.model = this.getModelForProvider();
     this.client = this.initializeClient();
+    this.circuitBreakers = new CircuitBreakerRegistry({
+      window: LLM_FAILOVER.CIRCUIT_WINDOW,
+      minRequests: LLM_FAILOVER.CIRCUIT_MIN_REQUESTS,
+      failureRate: LLM_FAILOVER.CIRCUIT_FAILURE_RATE,
+      cooldown: LLM_FAILOVER.CIRCUIT_COOLDOWN,
+    });
 
     // Log available providers (provider is set per-client, not globally)
     const providers = ['ollama', 'groq', 'claude', 'openai'];
@@ -41,16 +57,17 @@ class LLMService {
   }
 
   /**
-   * Get the appropriate model based on provider
+   * Get the default model of a provider
+   * @param {String} provider - Provider (defaults to this.provider)
    */
-  getModelForProvider() {
+  getModelForProvider(provider = this.provider) {
     const models = {
       ollama: process.env.OLLAMA_MODEL || 'llama2',
       groq: process.env.GROQ_MODEL || 'llama-3.3-70b-versatile',
       openai: process.env.OPENAI_MODEL || 'gpt-4o',
       claude: process.env.CLAUDE_MODEL || 'claude-3-5-sonnet-20241022',
     };
-    return models[this.provider];
+    return models[provider];
   }
 
   /**
@@ -65,8 +82,7 @@ class LLMService {
         return null; // Groq uses direct HTTP requests
 
       case 'openai':
-        // Will implement OpenAI SDK
-        return null;
+        return null; // OpenAI uses direct HTTP requests
 
       case 'claude':
         return new Anthropic({
@@ -84,78 +100,174 @@ class LLMService {
    * @param {Array} messages - Array of message objects [{role, content}]
    * @param {Object} options - Optional parameters
    * @param {Array} options.tools - Tool definitions for function calling
-   * @param {Boolean} options.stream - Enable streaming
+   * @param {Boolean} options.stream - Enable streaming (the full response is still returned)
+   * @param {Function} options.onToken - Called with each text delta while streaming
    * @param {Number} options.maxTokens - Max tokens to generate
    * @param {Number} options.temperature - Sampling temperature
    * @param {String} options.model - Override model for this request (per-client)
    * @param {String} options.provider - Override provider for this request (per-client)
-   * @returns {Object} Response with content, tokens, and tool calls
+   * @param {Object} options.redaction - Client redaction config (clients.redaction_config);
+   *   when enabled, personal data is sent as tokens and re-hydrated in the response
+   * @param {Array} options.fallbacks - Client fallback chain (clients.llm_fallbacks),
+   *   [{ provider, model }] tried in order when the provider fails or its circuit is open
+   * @returns {Object} Response with content, tokens, and tool calls; provider and model
+   *   are the ones that answered, and failover lists the failed attempts before them
    */
   async chat(messages, options = {}) {
     const {
       tools = null,
       stream = false,
+      onToken = null,
       maxTokens = 4096,
       temperature = 0.7,
       model = null, // Per-client model override
       provider = null, // Per-client provider override
+      redaction = null,
+      fallbacks = null,
     } = options;
 
+    const redactor = createRedactor(redaction);
+    if (redactor) {
+      const streamRehydrator = onToken ? redactor.createStreamRehydrator(onToken) : null;
+      const response = await this.chat(redactor.tokenizeMessages(messages), {
+        ...options,
+        redaction: null,
+        onToken: streamRehydrator?.onToken ?? null,
+      });
+      streamRehydrator?.flush();
+      return redactor.rehydrateResponse(response);
+    }
+
     // Use per-request overrides or fall back to default
-    const activeProvider = provider || this.provider;
-    const activeModel = model || this.model;
+    const chain = this.buildProviderChain(provider || this.provider, model, fallbacks);
+    const request = { tools, stream, maxTokens, temperature };
+    const attempts = [];
+    let lastError = null;
+
+    for (const [index, target] of chain.entries()) {
+      // An open circuit is skipped, unless every provider's is open - then the first is tried
+      const allowed = this.circuitBreakers.get(target.provider).canRequest();
+      const lastResort = index === chain.length - 1 && attempts.every((a) => a.skipped);
+      if (!allowed && !lastResort) {
+        attempts.push({ ...target, skipped: true, error: 'Circuit open' });
+        continue;
+      }
+      const activeTarget = allowed ? target : chain[0];
+
+      // Tokens already shown to the user cannot be taken back by another provider
+      let streamed = false;
+      const trackedOnToken = onToken
+        ? (token) => {
+            streamed = true;
+            onToken(token);
+          }
+        : null;
+
+      try {
+        const response = await this.callProvider(activeTarget, messages, {
+          ...request,
+          onToken: trackedOnToken,
+        });
+        this.circuitBreakers.get(activeTarget.provider).recordSuccess();
+
+        if (attempts.length > 0) {
+          response.failover = { from: chain[0].provider, attempts };
+          console.warn(
+            `[LLMService] Failed over from ${chain[0].provider} to ${activeTarget.provider}`
+          );
+        }
+        callTrace.getStore()?.push({
+          provider: response.provider || activeTarget.provider,
+          model: response.model || activeTarget.model,
+          tokensInput: response.tokens?.input || 0,
+          tokensOutput: response.tokens?.output || 0,
+          failedOver: attempts.length > 0,
+        });
+        return response;
+      } catch (error) {
+        console.error(`LLM Service Error (${activeTarget.provider}):`, error);
+        if (this.isProviderFailure(error)) {
+          this.circuitBreakers.get(activeTarget.provider).recordFailure();
+        }
+        lastError = error;
+        attempts.push({ ...activeTarget, error: error.message });
+        if (streamed) break;
+      }
+    }
 
+    throw this.handleError(lastError);
+  }
+
+  /**
+   * Provider chain of a request: the requested provider, then the client's fallbacks
+   * (without repeating a provider/model pair)
+   * @returns {Array} [{ provider, model }]
+   */
+  buildProviderChain(provider, model, fallbacks) {
+    const chain = [{ provider, model: model || null }];
+    for (const fallback of fallbacks || []) {
+      const target = { provider: fallback.provider, model: fallback.model || null };
+      if (!chain.some((item) => item.provider === target.provider && item.model === target.model)) {
+        chain.push(target);
+      }
+    }
+    return chain;
+  }
+
+  /**
+   * Send one request to one provider
+   * @param {Object} target - { provider, model }
+   */
+  async callProvider({ provider, model }, messages, options) {
     console.log(
-      `[LLMService] Calling ${activeProvider.toUpperCase()} API with model: ${activeModel || 'default'}`
+      `[LLMService] Calling ${provider.toUpperCase()} API with model: ${model || 'default'}`
     );
 
-    try {
-      switch (activeProvider) {
-        case 'ollama':
-          return await this.ollamaChat(messages, {
-            tools,
-            stream,
-            maxTokens,
-            temperature,
-            model: activeModel,
-          });
-
-        case 'groq':
-          return await this.groqChat(messages, {
-            tools,
-            stream,
-            maxTokens,
-            temperature,
-            model: activeModel,
-          });
-
-        case 'openai':
-          return await this.openaiChat(messages, {
-            tools,
-            stream,
-            maxTokens,
-            temperature,
-            model: activeModel,
-          });
-
-        case 'claude':
-          return await this.claudeChat(messages, {
-            tools,
-            stream,
-            maxTokens,
-            temperature,
-            model: activeModel,
-          });
-
-        default:
-          throw new Error(`Unsupported provider: ${activeProvider}`);
-      }
-    } catch (error) {
-      console.error('LLM Service Error:', error);
-      throw this.handleError(error);
+    const request = { ...options, model };
+    switch (provider) {
+      case 'ollama':
+        return await this.ollamaChat(messages, request);
+      case 'groq':
+        return await this.groqChat(messages, request);
+      case 'openai':
+        return await this.openaiChat(messages, request);
+      case 'claude':
+        return await this.claudeChat(messages, request);
+      case REPLAY.STUB_PROVIDER:
+        return this.stubChat(messages, request);
+      default:
+        throw new Error(`Unsupported provider: ${provider}`);
     }
   }
 
+  /**
+   * Whether an error says the provider is unhealthy (network errors, timeouts,
+   * rate limits, 5xx) rather than that the request itself was rejected
+   */
+  isProviderFailure(error) {
+    const status = error?.status;
+    return !status || status === 408 || status === 429 || status >= 500;
+  }
+
+  /**
+   * Collect the provider and tokens of every chat() call made inside fn
+   * @param {Function} fn - async () => result
+   * @returns {Promise<Object>} { result, calls: [{ provider, model, tokensInput, tokensOutput, failedOver }] }
+   */
+  async trace(fn) {
+    const calls = [];
+    const result = await callTrace.run(calls, fn);
+    return { result, calls };
+  }
+
+  /**
+   * Circuit breaker status per provider
+   * @returns {Object} { [provider]: { state, requests, failures, openedAt } }
+   */
+  getProviderHealth() {
+    return this.circuitBreakers.getStatus();
+  }
+
   /**
    * Ollama Implementation
    */
@@ -189,10 +301,14 @@ class LLMService {
 
     if (!response.ok) {
       const errorText = await response.text();
-      throw new Error(`Ollama API error: ${response.statusText} - ${errorText}`);
+      const error = new Error(`Ollama API error: ${response.statusText} - ${errorText}`);
+      error.status = response.status;
+      throw error;
     }
 
-    const data = await response.json();
+    const data = options.stream
+      ? await this.readOllamaStream(response.body, options.onToken)
+      : await response.json();
 
     // Ollama token counting:
     // - prompt_eval_count: tokens in prompt that were actually evaluated (excludes cached tokens)
@@ -257,7 +373,7 @@ class LLMService {
       throw new Error('GROQ_API_KEY environment variable is not set');
     }
 
-    const modelToUse = options.model || this.model;
+    const modelToUse = options.model || this.getModelForProvider('groq');
 
     const requestBody = {
       model: modelToUse,
@@ -267,6 +383,10 @@ class LLMService {
       stream: options.stream || false,
     };
 
+    if (options.stream) {
+      requestBody.stream_options = { include_usage: true };
+    }
+
     // Add tools if provided (Groq supports OpenAI-style function calling)
     if (options.tools && Array.isArray(options.tools) && options.tools.length > 0) {
       requestBody.tools = this.formatToolsForGroq(options.tools);
@@ -284,10 +404,14 @@ class LLMService {
 
     if (!response.ok) {
       const errorText = await response.text();
-      throw new Error(`Groq API error: ${response.statusText} - ${errorText}`);
+      const error = new Error(`Groq API error: ${response.statusText} - ${errorText}`);
+      error.status = response.status;
+      throw error;
     }
 
-    const data = await response.json();
+    const data = options.stream
+      ? await this.readChatCompletionStream(response.body, options.onToken)
+      : await response.json();
     const choice = data.choices[0];
     const message = choice.message;
 
@@ -316,19 +440,97 @@ class LLMService {
   }
 
   /**
-   * OpenAI Implementation
-   * Not currently used - Claude and Groq are the primary providers.
-   * To implement: Install openai SDK and follow the Groq pattern.
+   * OpenAI Implementation (Chat Completions API)
+   * OPENAI_BASE_URL can point at an Azure/OpenAI-compatible gateway or a local stub.
    */
-  async openaiChat(_messages, _options) {
-    throw new Error('OpenAI provider not implemented. Use Claude or Groq instead.');
+  async openaiChat(messages, options) {
+    const apiKey = process.env.OPENAI_API_KEY;
+    if (!apiKey) {
+      throw new Error('OPENAI_API_KEY environment variable is not set');
+    }
+
+    const baseUrl = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(
+      /\/+$/,
+      ''
+    );
+    const modelToUse = options.model || process.env.OPENAI_MODEL || 'gpt-4o';
+
+    const requestBody = {
+      model: modelToUse,
+      messages: this.formatMessagesForOpenAI(messages),
+      temperature: options.temperature,
+      max_tokens: options.maxTokens,
+      stream: options.stream || false,
+    };
+
+    if (options.stream) {
+      requestBody.stream_options = { include_usage: true };
+    }
+
+    if (options.tools && Array.isArray(options.tools) && options.tools.length > 0) {
+      requestBody.tools = this.formatToolsForOpenAI(options.tools);
+      requestBody.tool_choice = 'auto';
+    }
+
+    const response = await fetch(`${baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${apiKey}`,
+      },
+      body: JSON.stringify(requestBody),
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      const error = new Error(`OpenAI API error: ${response.statusText} - ${errorText}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    const data = options.stream
+      ? await this.readChatCompletionStream(response.body, options.onToken)
+      : await response.json();
+    const choice = data.choices[0];
+    const message = choice.message;
+
+    // OpenAI returns arguments as a JSON string; a malformed string becomes empty params
+    // so the tool's own validation reports the missing fields instead of crashing here
+    const toolCalls =
+      message.tool_calls?.map((tc) => ({
+        id: tc.id,
+        name: tc.function.name,
+        arguments: safeJsonParse(tc.function.arguments, {}),
+      })) || null;
+
+    const usage = data.usage || { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+
+    return {
+      content: message.content || '',
+      role: message.role,
+      toolCalls: toolCalls,
+      tokens: {
+        input: usage.prompt_tokens,
+        output: usage.completion_tokens,
+        total: usage.total_tokens ?? usage.prompt_tokens + usage.completion_tokens,
+      },
+      cost: this.calculateOpenAICost(usage, modelToUse),
+      model: modelToUse,
+      provider: 'openai',
+      stopReason: choice.finish_reason,
+    };
   }
 
   /**
    * Claude Implementation (Anthropic API)
    */
   async claudeChat(messages, options) {
-    const modelToUse = options.model || this.model;
+    const modelToUse = options.model || this.getModelForProvider('claude');
+
+    // Created on first use when Claude is a per-client or fallback provider
+    if (!this.client) {
+      this.client = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+    }
 
     // Separate system message from other messages
     const systemMessage = messages.find((m) => m.role === 'system');
@@ -351,7 +553,16 @@ class LLMService {
       requestParams.tools = this.formatToolsForClaude(options.tools);
     }
 
-    const response = await this.client.messages.create(requestParams);
+    let response;
+    if (options.stream) {
+      const stream = this.client.messages.stream(requestParams);
+      if (options.onToken) {
+        stream.on('text', (text) => options.onToken(text));
+      }
+      response = await stream.finalMessage();
+    } else {
+      response = await this.client.messages.create(requestParams);
+    }
 
     // Extract text content and tool calls
     const textContent = response.content
@@ -377,12 +588,170 @@ class LLMService {
         total: response.usage.input_tokens + response.usage.output_tokens,
       },
       cost: this.calculateClaudeCost(response.usage),
-      model: this.model,
+      model: modelToUse,
       provider: 'claude',
       stopReason: response.stop_reason,
     };
   }
 
+  /**
+   * Stub Implementation (conversation replays)
+   * Answers with the scripted replies of the current replay turn, so scenarios
+   * can exercise prompts and tool flows without calling a provider
+   */
+  stubChat(messages, options) {
+    const replay = replaySandbox.current();
+    if (!replay) {
+      throw new Error('The stub provider is only available in conversation replays');
+    }
+
+    const reply = replay.nextStubReply();
+    const content = reply.content || '';
+    const toolCalls = (reply.tool_calls || []).map((call, index) => ({
+      id: `stub_${replay.turn}_${index + 1}`,
+      name: call.name,
+      arguments: call.arguments || {},
+    }));
+
+    if (options.stream && options.onToken && content) {
+      options.onToken(content);
+    }
+
+    return {
+      content,
+      role: 'assistant',
+      toolCalls: toolCalls.length > 0 ? toolCalls : null,
+      tokens: { input: 0, output: 0, total: 0 },
+      cost: 0,
+      model: options.model || REPLAY.STUB_PROVIDER,
+      provider: REPLAY.STUB_PROVIDER,
+      stopReason: toolCalls.length > 0 ? 'tool_calls' : 'stop',
+    };
+  }
+
+  /**
+   * Split a streaming HTTP body into non-empty lines
+   * Works for both NDJSON (Ollama) and SSE "data:" framing (Groq/OpenAI).
+   * @param {ReadableStream} body - fetch response body
+   */
+  async *readStreamLines(body) {
+    const reader = body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        if (line.trim()) yield line.trim();
+      }
+    }
+
+    buffer += decoder.decode();
+    if (buffer.trim()) yield buffer.trim();
+  }
+
+  /**
+   * Consume an Ollama NDJSON stream
+   * Forwards content deltas to onToken and returns the same shape as a non-streamed /api/chat reply.
+   */
+  async readOllamaStream(body, onToken = null) {
+    let content = '';
+    let role = 'assistant';
+    let toolCalls = null;
+    let final = {};
+
+    for await (const line of this.readStreamLines(body)) {
+      const chunk = JSON.parse(line);
+      if (chunk.error) {
+        throw new Error(`Ollama API error: ${chunk.error}`);
+      }
+
+      const delta = chunk.message?.content || '';
+      if (delta) {
+        content += delta;
+        if (onToken) onToken(delta);
+      }
+      if (chunk.message?.role) role = chunk.message.role;
+      if (chunk.message?.tool_calls) toolCalls = chunk.message.tool_calls;
+      if (chunk.done) final = chunk;
+    }
+
+    return {
+      ...final,
+      message: { role, content, ...(toolCalls && { tool_calls: toolCalls }) },
+    };
+  }
+
+  /**
+   * Consume an OpenAI-style SSE stream (Groq and OpenAI)
+   * Reassembles content and tool call deltas and returns the same shape as a
+   * non-streamed chat completion, so the callers' parsing stays identical.
+   */
+  async readChatCompletionStream(body, onToken = null) {
+    let content = '';
+    let role = 'assistant';
+    let finishReason = null;
+    let usage = null;
+    const toolCallsByIndex = new Map();
+
+    for await (const line of this.readStreamLines(body)) {
+      if (!line.startsWith('data:')) continue;
+
+      const payload = line.slice(5).trim();
+      if (payload === '[DONE]') break;
+
+      const chunk = JSON.parse(payload);
+      // OpenAI sends usage in a final chunk with no choices; Groq nests it under x_groq
+      usage = chunk.usage || chunk.x_groq?.usage || usage;
+
+      const choice = chunk.choices?.[0];
+      if (!choice) continue;
+
+      const delta = choice.delta || {};
+      if (delta.role) role = delta.role;
+      if (delta.content) {
+        content += delta.content;
+        if (onToken) onToken(delta.content);
+      }
+
+      for (const tc of delta.tool_calls || []) {
+        const existing = toolCallsByIndex.get(tc.index) || {
+          id: null,
+          type: 'function',
+          function: { name: '', arguments: '' },
+        };
+        if (tc.id) existing.id = tc.id;
+        if (tc.function?.name) existing.function.name += tc.function.name;
+        if (tc.function?.arguments) existing.function.arguments += tc.function.arguments;
+        toolCallsByIndex.set(tc.index, existing);
+      }
+
+      if (choice.finish_reason) finishReason = choice.finish_reason;
+    }
+
+    const toolCalls = [...toolCallsByIndex.entries()].sort(([a], [b]) => a - b).map(([, tc]) => tc);
+
+    return {
+      choices: [
+        {
+          message: {
+            role,
+            content,
+            ...(toolCalls.length > 0 && { tool_calls: toolCalls }),
+          },
+          finish_reason: finishReason,
+        },
+      ],
+      usage: usage || { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+    };
+  }
+
   /**
    * Check if current model/provider supports native function calling
    * @param {String} provider - Optional provider to check (defaults to this.provider)
@@ -399,6 +768,9 @@ class LLMService {
     // OpenAI supports function calling
     if (providerToCheck === 'openai') return true;
 
+    // Replay stub scripts tool calls directly
+    if (providerToCheck === REPLAY.STUB_PROVIDER) return true;
+
     // Ollama function calling is experimental and inconsistent
     // Return false for now - we'll use prompt engineering instead
     if (providerToCheck === 'ollama') return false;
@@ -406,6 +778,33 @@ class LLMService {
     return false;
   }
 
+  /**
+   * Check if a provider/model can read images sent with user messages
+   * @param {String} provider - Provider (defaults to this.provider)
+   * @param {String} model - Model name (defaults to the provider's default model)
+   */
+  supportsVision(provider = null, model = null) {
+    const providerToCheck = provider || this.provider;
+    const defaultModel = providerToCheck === this.provider ? this.model : null;
+    const modelToCheck = (model || defaultModel || '').toLowerCase();
+
+    // All Claude 3+ models accept images
+    if (providerToCheck === 'claude') return true;
+
+    if (providerToCheck === 'openai') {
+      return /gpt-4o|gpt-4\.1|gpt-4-turbo|gpt-5|^o[134]/.test(modelToCheck || 'gpt-4o');
+    }
+
+    // Ollama needs a multimodal model (llava, llama3.2-vision, ...)
+    if (providerToCheck === 'ollama') {
+      return /llava|vision|moondream|minicpm-v|gemma3|qwen2\.5vl|-vl\b/.test(
+        modelToCheck || OLLAMA_CONFIG.model.toLowerCase()
+      );
+    }
+
+    return false;
+  }
+
   /**
    * Format messages for Ollama
    * Ollama doesn't support 'tool' role natively, so we format tool results
@@ -432,6 +831,7 @@ class LLMService {
         formatted.push({
           role: msg.role,
           content: msg.content,
+          ...(msg.images?.length > 0 && { images: msg.images.map((image) => image.data) }),
         });
       }
     }
@@ -462,6 +862,19 @@ class LLMService {
           ],
         });
       }
+      // Images sent by the user go before the text
+      else if (msg.role === 'user' && msg.images?.length > 0) {
+        formatted.push({
+          role: 'user',
+          content: [
+            ...msg.images.map((image) => ({
+              type: 'image',
+              source: { type: 'base64', media_type: image.mimeType, data: image.data },
+            })),
+            { type: 'text', text: msg.content },
+          ],
+        });
+      }
       // Handle regular messages
       else {
         formatted.push({
@@ -524,6 +937,34 @@ class LLMService {
     });
   }
 
+  /**
+   * Format messages for OpenAI
+   * Same wire format as Groq, except assistant turns that only carry tool calls
+   * must send null content rather than an empty string, and user turns with
+   * images send content parts.
+   */
+  formatMessagesForOpenAI(messages) {
+    return this.formatMessagesForGroq(messages).map((msg, index) => {
+      if (msg.tool_calls && !msg.content) {
+        return { ...msg, content: null };
+      }
+      const images = messages[index].images;
+      if (msg.role === 'user' && images?.length > 0) {
+        return {
+          ...msg,
+          content: [
+            { type: 'text', text: msg.content },
+            ...images.map((image) => ({
+              type: 'image_url',
+              image_url: { url: `data:${image.mimeType};base64,${image.data}` },
+            })),
+          ],
+        };
+      }
+      return msg;
+    });
+  }
+
   /**
    * Format tools for Ollama
    */
@@ -557,7 +998,31 @@ class LLMService {
       function: {
         name: tool.name,
         description: (tool.description || '') + guidance,
-        parameters: tool.parameters,
+        parameters: tool.parameters || tool.input_schema,
+      },
+    }));
+  }
+
+  /**
+   * Format tools for OpenAI
+   * Tool guidance is now configurable via prompt config
+   * @param {Array} tools - Tool definitions
+   * @param {String} toolGuidance - Optional guidance text from config
+   */
+  formatToolsForOpenAI(tools, toolGuidance = null) {
+    if (!tools || !Array.isArray(tools)) {
+      console.warn('[LLMService] formatToolsForOpenAI: tools is not an array', typeof tools, tools);
+      return [];
+    }
+
+    const guidance = toolGuidance ? ` ${toolGuidance}` : '';
+
+    return tools.map((tool) => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: (tool.description || '') + guidance,
+        parameters: tool.parameters || tool.input_schema || { type: 'object', properties: {} },
       },
     }));
   }
@@ -574,7 +1039,7 @@ class LLMService {
     return tools.map((tool) => ({
       name: tool.name,
       description: (tool.description || '') + guidance,
-      input_schema: tool.parameters,
+      input_schema: tool.parameters || tool.input_schema,
     }));
   }
 
@@ -605,14 +1070,15 @@ class LLMService {
 
   /**
    * Calculate cost for OpenAI API
-   * Available for future use if OpenAI provider is added.
-   */
-  calculateOpenAICost(usage) {
-    // GPT-4o pricing (as of 2024):
-    // - Input: $2.50 per million tokens
-    // - Output: $10 per million tokens
-    const inputCost = (usage.prompt_tokens / 1_000_000) * 2.5;
-    const outputCost = (usage.completion_tokens / 1_000_000) * 10;
+   * Uses the per-model rates from costCalculator's PROVIDER_PRICING,
+   * falling back to GPT-4o pricing for models without an entry.
+   * @param {Object} usage - OpenAI usage block ({ prompt_tokens, completion_tokens })
+   * @param {String} model - Model name the request was made with
+   */
+  calculateOpenAICost(usage, model = 'gpt-4o') {
+    const pricing = PROVIDER_PRICING[model] || PROVIDER_PRICING['gpt-4o'];
+    const inputCost = ((usage.prompt_tokens || 0) / 1_000_000) * pricing.inputCostPer1M;
+    const outputCost = ((usage.completion_tokens || 0) / 1_000_000) * pricing.outputCostPer1M;
     return inputCost + outputCost;
   }
 
@@ -17,7 +17,7 @@ const log = createLogger('n8n');
  * Validate tool parameters to detect placeholder/made-up values
  * Returns null if valid, error message if invalid
  */
-function validateToolParameters(parameters) {
+export function validateToolParameters(parameters) {
   const placeholderPatterns = [
     // Common placeholder strings
     /^your\s*(name|email|phone|address)$/i,
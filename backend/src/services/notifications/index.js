@@ -0,0 +1,49 @@
+/**
+ * Notification sender registry
+ *
+ * SMS and WhatsApp senders are pluggable: anything with
+ * `send(to, body) -> { messageId }` and `isConfigured()` can be registered for
+ * a channel (tests register a stub; production uses the Twilio-style sender).
+ */
+import { TwilioSender } from './twilioSender.js';
+
+const factories = {
+  sms: () => new TwilioSender('sms'),
+  whatsapp: () => new TwilioSender('whatsapp'),
+};
+
+const senders = new Map();
+
+/**
+ * Get the sender for a channel
+ * @param {string} channel - 'sms' or 'whatsapp'
+ * @returns {object} Sender
+ */
+export function getNotificationSender(channel) {
+  if (!senders.has(channel)) {
+    const factory = factories[channel];
+    if (!factory) {
+      throw new Error(`No notification sender for channel: ${channel}`);
+    }
+    senders.set(channel, factory());
+  }
+  return senders.get(channel);
+}
+
+/**
+ * Replace the sender for a channel
+ * @param {string} channel - 'sms' or 'whatsapp'
+ * @param {object} sender - Object implementing send() and isConfigured()
+ */
+export function setNotificationSender(channel, sender) {
+  senders.set(channel, sender);
+}
+
+/**
+ * Drop registered senders so the defaults are rebuilt from the environment
+ */
+export function resetNotificationSenders() {
+  senders.clear();
+}
+
+export { TwilioSender } from './twilioSender.js';
@@ -0,0 +1,94 @@
+/**
+ * Twilio-style SMS / WhatsApp sender
+ *
+ * Sends messages through the Twilio Messages REST API (no SDK). TWILIO_API_BASE
+ * can point at any compatible endpoint, e.g. a local stub during development.
+ *
+ * Environment:
+ *   TWILIO_ACCOUNT_SID    - Account SID (used in the URL and as basic-auth user)
+ *   TWILIO_AUTH_TOKEN     - Auth token (basic-auth password)
+ *   TWILIO_SMS_FROM       - Sender number for SMS (E.164)
+ *   TWILIO_WHATSAPP_FROM  - Sender number for WhatsApp (E.164, without "whatsapp:")
+ *   TWILIO_API_BASE       - Optional, defaults to https://api.twilio.com
+ */
+import { safeJsonParse } from '../../utils/jsonUtils.js';
+import { NOTIFICATIONS } from '../../config/constants.js';
+
+const DEFAULT_API_BASE = 'https://api.twilio.com';
+
+export class TwilioSender {
+  /**
+   * @param {string} channel - 'sms' or 'whatsapp'
+   * @param {object} options - Overrides for the environment settings
+   */
+  constructor(channel, options = {}) {
+    this.name = 'twilio';
+    this.channel = channel;
+    this.accountSid = options.accountSid ?? process.env.TWILIO_ACCOUNT_SID;
+    this.authToken = options.authToken ?? process.env.TWILIO_AUTH_TOKEN;
+    this.from =
+      options.from ??
+      (channel === 'whatsapp' ? process.env.TWILIO_WHATSAPP_FROM : process.env.TWILIO_SMS_FROM);
+    this.apiBase = (options.apiBase || process.env.TWILIO_API_BASE || DEFAULT_API_BASE).replace(
+      /\/+$/,
+      ''
+    );
+  }
+
+  isConfigured() {
+    return Boolean(this.accountSid && this.authToken && this.from);
+  }
+
+  /**
+   * Address a number for this channel (WhatsApp numbers are prefixed)
+   */
+  formatAddress(phone) {
+    const number = String(phone).trim();
+    if (this.channel !== 'whatsapp' || number.startsWith('whatsapp:')) {
+      return number;
+    }
+    return `whatsapp:${number}`;
+  }
+
+  /**
+   * Send a message
+   * @param {string} to - Recipient phone number
+   * @param {string} body - Message text
+   * @returns {Promise<{messageId: string}>}
+   * @throws {Error} when not configured or the API rejects the message
+   */
+  async send(to, body) {
+    if (!this.isConfigured()) {
+      throw new Error(`Twilio ${this.channel} sender is not configured`);
+    }
+
+    const form = new URLSearchParams({
+      To: this.formatAddress(to),
+      From: this.formatAddress(this.from),
+      Body: body,
+    });
+    const auth = Buffer.from(`${this.accountSid}:${this.authToken}`).toString('base64');
+
+    const response = await fetch(
+      `${this.apiBase}/2010-04-01/Accounts/${encodeURIComponent(this.accountSid)}/Messages.json`,
+      {
+        method: 'POST',
+        headers: {
+          Authorization: `Basic ${auth}`,
+          'Content-Type': 'application/x-www-form-urlencoded',
+        },
+        body: form.toString(),
+        signal: AbortSignal.timeout(NOTIFICATIONS.SEND_TIMEOUT),
+      }
+    );
+
+    const data = safeJsonParse(await response.text(), {});
+    if (!response.ok) {
+      throw new Error(
+        `Twilio API error (${response.status}): ${data.message || response.statusText}`
+      );
+    }
+
+    return { messageId: data.sid || null };
+  }
+}
@@ -0,0 +1,158 @@
+/**
+ * Fake Payment Provider
+ *
+ * In-memory provider for tests and local development (PAYMENT_PROVIDER=fake).
+ * Payments never leave the process; helpers let a test drive a payment to
+ * success/failure and build correctly signed webhook requests for it.
+ *
+ * Webhooks are signed with FAKE_PAYMENT_WEBHOOK_SECRET, or a random per-process
+ * secret when unset (only buildWebhook can then produce valid signatures).
+ */
+import crypto from 'crypto';
+import {
+  PaymentProvider,
+  PaymentProviderError,
+  PAYMENT_STATUS,
+  signWebhookPayload,
+  verifyWebhookSignature,
+} from './paymentProvider.js';
+import { safeJsonParse } from '../../utils/jsonUtils.js';
+
+export const FAKE_SIGNATURE_HEADER = 'x-fake-signature';
+
+export class FakePaymentProvider extends PaymentProvider {
+  constructor(options = {}) {
+    super('fake');
+    this.webhookSecret =
+      options.webhookSecret ||
+      process.env.FAKE_PAYMENT_WEBHOOK_SECRET ||
+      crypto.randomBytes(32).toString('hex');
+    this.payments = new Map();
+    this.refunds = [];
+    this.sequence = 0;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async createPaymentIntent({ invoiceId, amount, currency = 'USD' }) {
+    const id = `pi_fake_${++this.sequence}`;
+    const payment = {
+      id,
+      invoiceId: invoiceId ? String(invoiceId) : null,
+      status: PAYMENT_STATUS.REQUIRES_PAYMENT,
+      amount: Number(amount),
+      amountRefunded: 0,
+      currency: currency.toUpperCase(),
+      paymentMethod: 'card',
+      failureMessage: null,
+    };
+    this.payments.set(id, payment);
+
+    return { ...payment, clientSecret: `${id}_secret`, provider: this.name };
+  }
+
+  async getPaymentStatus(paymentId) {
+    return { ...this.getPayment(paymentId) };
+  }
+
+  async refundPayment(paymentId, amount = null) {
+    const payment = this.getPayment(paymentId);
+    if (payment.status !== PAYMENT_STATUS.SUCCEEDED) {
+      throw new PaymentProviderError('Cannot refund a payment that has not succeeded', {
+        statusCode: 400,
+        provider: this.name,
+      });
+    }
+
+    const remaining = Math.round((payment.amount - payment.amountRefunded) * 100) / 100;
+    const refundAmount = amount === null ? remaining : Number(amount);
+    if (refundAmount <= 0 || refundAmount > remaining) {
+      throw new PaymentProviderError('Refund amount exceeds the refundable balance', {
+        statusCode: 400,
+        provider: this.name,
+      });
+    }
+
+    payment.amountRefunded = Math.round((payment.amountRefunded + refundAmount) * 100) / 100;
+    const refund = { id: `re_fake_${++this.sequence}`, amount: refundAmount, status: 'succeeded' };
+    this.refunds.push({ ...refund, paymentId });
+    return refund;
+  }
+
+  parseWebhook(rawBody, headers = {}) {
+    verifyWebhookSignature(rawBody, headers[FAKE_SIGNATURE_HEADER], this.webhookSecret, {
+      provider: this.name,
+    });
+
+    const event = safeJsonParse(rawBody?.toString(), null);
+    if (!event?.type) {
+      throw new PaymentProviderError('Malformed fake event', {
+        code: 'invalid_signature',
+        statusCode: 400,
+        provider: this.name,
+      });
+    }
+
+    return { eventId: event.id, type: event.type, payment: event.payment || null };
+  }
+
+  // ========================================
+  // TEST HELPERS
+  // ========================================
+
+  /**
+   * Mark a payment as succeeded
+   */
+  completePayment(paymentId) {
+    const payment = this.getPayment(paymentId);
+    payment.status = PAYMENT_STATUS.SUCCEEDED;
+    payment.failureMessage = null;
+    return { ...payment };
+  }
+
+  /**
+   * Mark a payment as failed
+   */
+  failPayment(paymentId, failureMessage = 'Your card was declined.') {
+    const payment = this.getPayment(paymentId);
+    payment.status = PAYMENT_STATUS.FAILED;
+    payment.failureMessage = failureMessage;
+    return { ...payment };
+  }
+
+  /**
+   * Build a signed webhook request carrying the current state of a payment
+   * @param {string} type - Event type (e.g. 'payment.succeeded')
+   * @param {string} paymentId - Payment ID
+   * @returns {Object} { rawBody, headers } ready for BillingService.handleWebhook
+   */
+  buildWebhook(type, paymentId) {
+    const rawBody = JSON.stringify({
+      id: `evt_fake_${++this.sequence}`,
+      type,
+      payment: { ...this.getPayment(paymentId) },
+    });
+    return {
+      rawBody,
+      headers: { [FAKE_SIGNATURE_HEADER]: signWebhookPayload(rawBody, this.webhookSecret) },
+    };
+  }
+
+  reset() {
+    this.payments.clear();
+    this.refunds = [];
+  }
+
+  getPayment(paymentId) {
+    const payment = this.payments.get(paymentId);
+    if (!payment) {
+      throw new PaymentProviderError(`No such payment: ${paymentId}`, {
+        statusCode: 404,
+        provider: this.name,
+      });
+    }
+    return payment;
+  }
+}
@@ -0,0 +1,85 @@
+/**
+ * Payment provider registry
+ *
+ * Adapters are created lazily, once per process. PAYMENT_PROVIDER selects the
+ * default provider for new charges (default: stripe); existing invoices keep
+ * using whichever provider they were charged through.
+ *
+ * The fake provider settles payments on request, so it is only available in
+ * test/development or when PAYMENT_PROVIDER=fake is set explicitly.
+ */
+import { PaymentProviderError } from './paymentProvider.js';
+import { StripeProvider } from './stripeProvider.js';
+import { FakePaymentProvider } from './fakePaymentProvider.js';
+
+const factories = {
+  stripe: () => new StripeProvider(),
+  fake: () => new FakePaymentProvider(),
+};
+
+const instances = new Map();
+
+/**
+ * Name of the provider used for new charges
+ * @returns {string}
+ */
+export function getDefaultProviderName() {
+  return (process.env.PAYMENT_PROVIDER || 'stripe').toLowerCase();
+}
+
+/**
+ * Whether the in-memory fake provider may be used in this process
+ * @returns {boolean}
+ */
+export function isFakeProviderAllowed() {
+  return (
+    ['test', 'development'].includes(process.env.NODE_ENV) ||
+    (process.env.PAYMENT_PROVIDER || '').toLowerCase() === 'fake'
+  );
+}
+
+/**
+ * Get a payment provider adapter by name
+ * @param {string} name - Provider name (defaults to PAYMENT_PROVIDER)
+ * @returns {PaymentProvider}
+ * @throws {PaymentProviderError} if the provider is unknown or not allowed here
+ */
+export function getPaymentProvider(name = getDefaultProviderName()) {
+  const key = (name || getDefaultProviderName()).toLowerCase();
+  if (!instances.has(key)) {
+    if (key === 'fake' && !isFakeProviderAllowed()) {
+      throw new PaymentProviderError('The fake payment provider is disabled in this environment', {
+        code: 'not_configured',
+        provider: key,
+      });
+    }
+    const factory = factories[key];
+    if (!factory) {
+      throw new PaymentProviderError(`Unknown payment provider: ${name}`, {
+        code: 'not_configured',
+        provider: key,
+      });
+    }
+    instances.set(key, factory());
+  }
+  return instances.get(key);
+}
+
+/**
+ * Register (or replace) a provider adapter
+ * @param {string} name - Provider name
+ * @param {Function} factory - Returns a PaymentProvider instance
+ */
+export function registerPaymentProvider(name, factory) {
+  factories[name.toLowerCase()] = factory;
+  instances.delete(name.toLowerCase());
+}
+
+/**
+ * Drop cached adapter instances (picks up changed env vars; used by tests)
+ */
+export function resetPaymentProviders() {
+  instances.clear();
+}
+
+export { PaymentProvider, PaymentProviderError, PAYMENT_STATUS } from './paymentProvider.js';
@@ -0,0 +1,203 @@
+/**
+ * Payment Provider Adapter Interface
+ *
+ * BillingService talks to payment providers only through this interface, so
+ * adding a provider means implementing one adapter and registering it in
+ * ./index.js. Every adapter reports payments in the same normalized shape:
+ *
+ *   {
+ *     id,              // provider payment ID (stored as invoices.payment_provider_id)
+ *     invoiceId,       // invoice ID from payment metadata (may be null)
+ *     status,          // one of PAYMENT_STATUS, or null when the event carries no status
+ *     amount,          // amount in major units (e.g. dollars)
+ *     amountRefunded,  // cumulative refunded amount in major units
+ *     currency,
+ *     paymentMethod,   // e.g. 'card'
+ *     failureMessage,  // last failure reason, if any
+ *   }
+ */
+import crypto from 'crypto';
+import { TIMEOUTS } from '../../config/constants.js';
+
+/**
+ * Normalized payment statuses shared by all providers
+ */
+export const PAYMENT_STATUS = {
+  REQUIRES_PAYMENT: 'requires_payment',
+  PROCESSING: 'processing',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  CANCELED: 'canceled',
+};
+
+/**
+ * Error raised by payment provider adapters
+ *
+ * `code` is one of: 'not_configured', 'invalid_signature', 'provider_error'
+ */
+export class PaymentProviderError extends Error {
+  constructor(message, { code = 'provider_error', statusCode = null, provider = null } = {}) {
+    super(message);
+    this.name = 'PaymentProviderError';
+    this.code = code;
+    this.statusCode = statusCode;
+    this.provider = provider;
+  }
+}
+
+/**
+ * Base class for payment provider adapters
+ */
+export class PaymentProvider {
+  /**
+   * @param {string} name - Provider name stored on invoices (e.g. 'stripe')
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Whether the provider has the credentials it needs
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return false;
+  }
+
+  /**
+   * Create a payment intent for an invoice
+   * @param {Object} params - { invoiceId, amount, currency, metadata, idempotencyKey }
+   * @returns {Promise<Object>} Normalized payment plus `clientSecret` and `provider`
+   */
+  async createPaymentIntent(_params) {
+    throw this.notImplemented('createPaymentIntent');
+  }
+
+  /**
+   * Fetch the current state of a payment (status polling)
+   * @param {string} paymentId - Provider payment ID
+   * @returns {Promise<Object>} Normalized payment
+   */
+  async getPaymentStatus(_paymentId) {
+    throw this.notImplemented('getPaymentStatus');
+  }
+
+  /**
+   * Refund a payment, fully or partially
+   * @param {string} paymentId - Provider payment ID
+   * @param {number|null} amount - Amount in major units (null = full refund)
+   * @returns {Promise<Object>} { id, amount, status }
+   */
+  async refundPayment(_paymentId, _amount = null) {
+    throw this.notImplemented('refundPayment');
+  }
+
+  /**
+   * Verify a webhook signature and translate the event
+   * @param {string|Buffer} rawBody - Raw request body exactly as received
+   * @param {Object} headers - Request headers (lower-cased keys)
+   * @returns {Object} { eventId, type, payment } - payment is null for events we don't act on
+   * @throws {PaymentProviderError} code 'invalid_signature' when verification fails
+   */
+  parseWebhook(_rawBody, _headers) {
+    throw this.notImplemented('parseWebhook');
+  }
+
+  /**
+   * Throw a 'not_configured' error unless the provider is configured
+   */
+  assertConfigured() {
+    if (!this.isConfigured()) {
+      throw new PaymentProviderError(`Payment provider "${this.name}" is not configured`, {
+        code: 'not_configured',
+        provider: this.name,
+      });
+    }
+  }
+
+  notImplemented(method) {
+    return new PaymentProviderError(`${this.name} provider does not implement ${method}`, {
+      provider: this.name,
+    });
+  }
+}
+
+/**
+ * Convert major units (dollars) to minor units (cents)
+ * @param {number|string} amount
+ * @returns {number}
+ */
+export function toMinorUnits(amount) {
+  return Math.round((parseFloat(amount) || 0) * 100);
+}
+
+/**
+ * Convert minor units (cents) to major units (dollars)
+ * @param {number} amount
+ * @returns {number}
+ */
+export function fromMinorUnits(amount) {
+  return Math.round(Number(amount) || 0) / 100;
+}
+
+/**
+ * Build a `t=<timestamp>,v1=<hmac>` signature header for a payload.
+ * The HMAC is SHA-256 over `<timestamp>.<payload>` (Stripe's scheme).
+ * @param {string|Buffer} payload - Raw body
+ * @param {string} secret - Webhook signing secret
+ * @param {number} timestamp - Unix seconds (defaults to now)
+ * @returns {string}
+ */
+export function signWebhookPayload(payload, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${payload.toString()}`)
+    .digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Verify a `t=<timestamp>,v1=<hmac>` signature header
+ * @param {string|Buffer} payload - Raw body
+ * @param {string} header - Signature header value
+ * @param {string} secret - Webhook signing secret
+ * @param {Object} options - { provider, tolerance (seconds) }
+ * @throws {PaymentProviderError} code 'invalid_signature'
+ */
+export function verifyWebhookSignature(
+  payload,
+  header,
+  secret,
+  { provider = null, tolerance = TIMEOUTS.PAYMENT_WEBHOOK_TOLERANCE } = {}
+) {
+  const fail = (message) =>
+    new PaymentProviderError(`Webhook signature verification failed: ${message}`, {
+      code: 'invalid_signature',
+      statusCode: 400,
+      provider,
+    });
+
+  if (!header) throw fail('missing signature header');
+  if (payload === undefined || payload === null) throw fail('missing raw body');
+
+  const parts = header.split(',').map((part) => part.trim().split('='));
+  const timestamp = parseInt(parts.find(([key]) => key === 't')?.[1], 10);
+  const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+
+  if (!timestamp || signatures.length === 0) throw fail('malformed signature header');
+
+  if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > tolerance) {
+    throw fail('timestamp outside tolerance');
+  }
+
+  const expected = Buffer.from(
+    signWebhookPayload(payload, secret, timestamp).split('v1=')[1],
+    'utf8'
+  );
+  const matches = signatures.some((signature) => {
+    const received = Buffer.from(signature, 'utf8');
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+  });
+
+  if (!matches) throw fail('signature mismatch');
+}
@@ -0,0 +1,246 @@
+/**
+ * Stripe Payment Provider
+ *
+ * Talks to the Stripe REST API directly (form-encoded requests, no SDK).
+ * STRIPE_API_BASE can point at any Stripe-compatible API (e.g. stripe-mock).
+ *
+ * Environment:
+ *   STRIPE_SECRET_KEY      - API secret key (sk_...)
+ *   STRIPE_WEBHOOK_SECRET  - Webhook signing secret (whsec_...)
+ *   STRIPE_API_BASE        - Optional, defaults to https://api.stripe.com/v1
+ */
+import {
+  PaymentProvider,
+  PaymentProviderError,
+  PAYMENT_STATUS,
+  toMinorUnits,
+  fromMinorUnits,
+  verifyWebhookSignature,
+} from './paymentProvider.js';
+import { safeJsonParse } from '../../utils/jsonUtils.js';
+import { TIMEOUTS } from '../../config/constants.js';
+
+const DEFAULT_API_BASE = 'https://api.stripe.com/v1';
+
+/**
+ * Stripe PaymentIntent status -> normalized status
+ */
+const STATUS_MAP = {
+  requires_payment_method: PAYMENT_STATUS.REQUIRES_PAYMENT,
+  requires_confirmation: PAYMENT_STATUS.REQUIRES_PAYMENT,
+  requires_action: PAYMENT_STATUS.REQUIRES_PAYMENT,
+  processing: PAYMENT_STATUS.PROCESSING,
+  requires_capture: PAYMENT_STATUS.PROCESSING,
+  succeeded: PAYMENT_STATUS.SUCCEEDED,
+  canceled: PAYMENT_STATUS.CANCELED,
+};
+
+/**
+ * Encode nested params the way Stripe expects (metadata[invoiceId]=1, expand[]=x)
+ * @param {Object} params
+ * @param {string} prefix
+ * @returns {URLSearchParams}
+ */
+export function encodeStripeParams(params, prefix = '', form = new URLSearchParams()) {
+  for (const [key, value] of Object.entries(params)) {
+    if (value === undefined || value === null) continue;
+    const name = prefix ? `${prefix}[${key}]` : key;
+    if (Array.isArray(value)) {
+      value.forEach((item) => form.append(`${name}[]`, String(item)));
+    } else if (typeof value === 'object') {
+      encodeStripeParams(value, name, form);
+    } else {
+      form.append(name, String(value));
+    }
+  }
+  return form;
+}
+
+export class StripeProvider extends PaymentProvider {
+  constructor(options = {}) {
+    super('stripe');
+    this.secretKey = options.secretKey ?? process.env.STRIPE_SECRET_KEY;
+    this.webhookSecret = options.webhookSecret ?? process.env.STRIPE_WEBHOOK_SECRET;
+    this.apiBase = (options.apiBase || process.env.STRIPE_API_BASE || DEFAULT_API_BASE).replace(
+      /\/+$/,
+      ''
+    );
+  }
+
+  isConfigured() {
+    return Boolean(this.secretKey);
+  }
+
+  /**
+   * Make an authenticated request to the Stripe API
+   * @param {string} method - HTTP method
+   * @param {string} path - API path (e.g. /payment_intents)
+   * @param {Object} params - Form params (body for POST, query string for GET)
+   * @param {Object} options - { idempotencyKey }
+   * @returns {Promise<Object>} Parsed response
+   */
+  async request(method, path, params = {}, options = {}) {
+    this.assertConfigured();
+
+    const form = encodeStripeParams(params);
+    const query = method === 'GET' && form.toString() ? `?${form}` : '';
+    const headers = { Authorization: `Bearer ${this.secretKey}` };
+    if (method !== 'GET') {
+      headers['Content-Type'] = 'application/x-www-form-urlencoded';
+    }
+    if (options.idempotencyKey) {
+      headers['Idempotency-Key'] = options.idempotencyKey;
+    }
+
+    let response;
+    try {
+      response = await fetch(`${this.apiBase}${path}${query}`, {
+        method,
+        headers,
+        body: method === 'GET' ? undefined : form.toString(),
+        signal: AbortSignal.timeout(TIMEOUTS.PAYMENT_PROVIDER_REQUEST),
+      });
+    } catch (error) {
+      throw new PaymentProviderError(`Stripe request failed: ${error.message}`, {
+        provider: this.name,
+      });
+    }
+
+    const text = await response.text();
+    const data = safeJsonParse(text, {});
+    if (!response.ok) {
+      throw new PaymentProviderError(
+        `Stripe API error: ${data.error?.message || response.statusText}`,
+        { statusCode: response.status, provider: this.name }
+      );
+    }
+    return data;
+  }
+
+  async createPaymentIntent({
+    invoiceId,
+    amount,
+    currency = 'USD',
+    metadata = {},
+    idempotencyKey,
+  }) {
+    const intent = await this.request(
+      'POST',
+      '/payment_intents',
+      {
+        amount: toMinorUnits(amount),
+        currency: currency.toLowerCase(),
+        metadata: { ...metadata, invoiceId },
+        automatic_payment_methods: { enabled: true },
+      },
+      { idempotencyKey }
+    );
+
+    return {
+      ...this.normalizePaymentIntent(intent),
+      clientSecret: intent.client_secret,
+      provider: this.name,
+    };
+  }
+
+  async getPaymentStatus(paymentId) {
+    const intent = await this.request('GET', `/payment_intents/${encodeURIComponent(paymentId)}`, {
+      expand: ['latest_charge'],
+    });
+    return this.normalizePaymentIntent(intent);
+  }
+
+  async refundPayment(paymentId, amount = null) {
+    const refund = await this.request('POST', '/refunds', {
+      payment_intent: paymentId,
+      amount: amount === null ? undefined : toMinorUnits(amount),
+    });
+
+    return {
+      id: refund.id,
+      amount: fromMinorUnits(refund.amount),
+      status: refund.status,
+    };
+  }
+
+  parseWebhook(rawBody, headers = {}) {
+    if (!this.webhookSecret) {
+      throw new PaymentProviderError('STRIPE_WEBHOOK_SECRET is not configured', {
+        code: 'not_configured',
+        provider: this.name,
+      });
+    }
+
+    verifyWebhookSignature(rawBody, headers['stripe-signature'], this.webhookSecret, {
+      provider: this.name,
+    });
+
+    const event = safeJsonParse(rawBody?.toString(), null);
+    if (!event?.type || !event.data?.object) {
+      throw new PaymentProviderError('Malformed Stripe event', {
+        code: 'invalid_signature',
+        statusCode: 400,
+        provider: this.name,
+      });
+    }
+
+    const object = event.data.object;
+    let payment = null;
+
+    switch (event.type) {
+      case 'payment_intent.succeeded':
+      case 'payment_intent.payment_failed':
+      case 'payment_intent.processing':
+      case 'payment_intent.canceled':
+        payment = this.normalizePaymentIntent(object);
+        break;
+
+      case 'charge.refunded':
+        // Refund events carry the charge; amount_refunded is cumulative
+        payment = {
+          id: object.payment_intent,
+          invoiceId: object.metadata?.invoiceId || null,
+          status: null,
+          amount: fromMinorUnits(object.amount),
+          amountRefunded: fromMinorUnits(object.amount_refunded),
+          currency: object.currency?.toUpperCase(),
+          paymentMethod: object.payment_method_details?.type || null,
+          failureMessage: null,
+        };
+        break;
+
+      default:
+        break;
+    }
+
+    return { eventId: event.id, type: event.type, payment };
+  }
+
+  /**
+   * Translate a Stripe PaymentIntent into the normalized payment shape
+   * @param {Object} intent - Stripe PaymentIntent
+   * @returns {Object}
+   */
+  normalizePaymentIntent(intent) {
+    const failureMessage = intent.last_payment_error?.message || null;
+    let status = STATUS_MAP[intent.status] || PAYMENT_STATUS.PROCESSING;
+    // A declined payment goes back to requires_payment_method with an error attached
+    if (status === PAYMENT_STATUS.REQUIRES_PAYMENT && failureMessage) {
+      status = PAYMENT_STATUS.FAILED;
+    }
+
+    const charge = typeof intent.latest_charge === 'object' ? intent.latest_charge : null;
+
+    return {
+      id: intent.id,
+      invoiceId: intent.metadata?.invoiceId || null,
+      status,
+      amount: fromMinorUnits(intent.amount),
+      amountRefunded: fromMinorUnits(charge?.amount_refunded || 0),
+      currency: intent.currency?.toUpperCase(),
+      paymentMethod:
+        charge?.payment_method_details?.type || intent.payment_method_types?.[0] || null,
+      failureMessage,
+    };
+  }
+}
@@ -0,0 +1,318 @@
+import { Client } from '../models/Client.js';
+import { Plan } from '../models/Plan.js';
+import { PlanChange } from '../models/PlanChange.js';
+import { BillingService } from './billingService.js';
+import { PLAN_CHANGES } from '../config/constants.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('PlanChanges');
+
+/**
+ * Thrown for invalid plan changes, requests and reviews
+ */
+export class PlanChangeError extends Error {
+  constructor(message, code = 'invalid') {
+    super(message);
+    this.name = 'PlanChangeError';
+    this.code = code;
+  }
+}
+
+/**
+ * Plan Change Service
+ *
+ * Moves clients between plans with an effective date on every change, so
+ * invoices can prorate the base cost and bill usage at the plan that was
+ * active on each day (see BillingService.getPlanSegments).
+ *
+ * - Upgrades (higher base cost) apply immediately.
+ * - Downgrades are scheduled for the start of the next billing period and
+ *   applied by the scheduled job; admins can apply them immediately instead.
+ * - Customers can request upgrades from their dashboard; an admin approves
+ *   (applied from the moment of approval) or rejects the request.
+ *
+ * A client has at most one open (requested or scheduled) change; a new admin
+ * change replaces it.
+ */
+class PlanChangeService {
+  /**
+   * Plans and changes of a client
+   * @param {object} client - Client
+   * @returns {Promise<Object>} { currentPlan, plans, openChange, changes }
+   */
+  async getPlanChanges(client) {
+    const [plans, changes] = await Promise.all([
+      Plan.findAll(true),
+      PlanChange.findByClient(client.id, PLAN_CHANGES.HISTORY_LIMIT),
+    ]);
+    return {
+      currentPlan: client.plan_type,
+      plans: plans.map((plan) => this.formatPlan(plan)),
+      openChange:
+        changes.find((change) => PLAN_CHANGES.OPEN_STATUSES.includes(change.status)) || null,
+      changes,
+    };
+  }
+
+  /**
+   * Change a client's plan (admin)
+   * Upgrades apply now; downgrades wait for the next billing period unless
+   * `immediate` is set. Any open change of the client is cancelled.
+   * @param {number} clientId - Client ID
+   * @param {string} planName - New plan
+   * @param {Object} author - { type, id, name }
+   * @param {Object} options - { immediate, note }
+   * @returns {Promise<Object>} { change, client, scheduled }
+   * @throws {PlanChangeError}
+   */
+  async changePlan(clientId, planName, author = null, { immediate = false, note = null } = {}) {
+    const client = await this.getClient(clientId);
+    const plan = await this.getActivePlan(planName);
+    if (plan.name === client.plan_type) {
+      throw new PlanChangeError('Client is already on this plan');
+    }
+
+    const downgrade = await this.isDowngrade(client.plan_type, plan.name);
+    const scheduled = downgrade && !immediate;
+
+    await this.cancelOpenChange(client.id, author, `Replaced by a change to ${plan.name}`);
+    const change = await this.createChange({
+      clientId: client.id,
+      fromPlan: client.plan_type,
+      toPlan: plan.name,
+      status: scheduled ? 'scheduled' : 'applied',
+      effectiveAt: scheduled ? this.nextPeriodStart() : new Date(),
+      requestedByType: 'admin',
+      requestedBy: author?.name ?? null,
+      note: this.normalizeNote(note),
+    });
+
+    log.info(
+      `Plan of client ${client.id} ${scheduled ? 'scheduled to change' : 'changed'} from ${client.plan_type} to ${plan.name}`,
+      { changeId: change.id, effectiveAt: change.effective_at }
+    );
+    return { change, client: await Client.findById(client.id), scheduled };
+  }
+
+  /**
+   * Request an upgrade (customer); an admin reviews it
+   * @param {object} client - Client
+   * @param {string} planName - Requested plan
+   * @param {Object} author - { type, id, name }
+   * @param {string} note - Optional message to the reviewer
+   * @returns {Promise<Object>} Created request
+   * @throws {PlanChangeError}
+   */
+  async requestUpgrade(client, planName, author = null, note = null) {
+    const plan = await this.getActivePlan(planName);
+    if (plan.name === client.plan_type) {
+      throw new PlanChangeError('You are already on this plan');
+    }
+    if (await this.isDowngrade(client.plan_type, plan.name)) {
+      throw new PlanChangeError('Only upgrades can be requested; contact support to downgrade');
+    }
+
+    return this.createChange({
+      clientId: client.id,
+      fromPlan: client.plan_type,
+      toPlan: plan.name,
+      status: 'requested',
+      requestedByType: 'customer',
+      requestedBy: author?.name ?? null,
+      note: this.normalizeNote(note),
+    });
+  }
+
+  /**
+   * Approve a customer request; the new plan applies from now
+   * @param {number} clientId - Client ID
+   * @param {number} changeId - Plan change ID
+   * @param {Object} author - { type, id, name }
+   * @returns {Promise<Object>} { change, client }
+   * @throws {PlanChangeError}
+   */
+  async approve(clientId, changeId, author = null) {
+    const change = await this.getChange(clientId, changeId);
+    if (change.status !== 'requested') {
+      throw new PlanChangeError(`Plan change is ${change.status}`);
+    }
+
+    const applied = await PlanChange.apply(change.id, {
+      effectiveAt: new Date(),
+      reviewedBy: author?.name ?? 'admin',
+    });
+    if (!applied) {
+      throw new PlanChangeError('Plan change was updated meanwhile, reload and try again');
+    }
+
+    log.info(`Approved plan change ${change.id} of client ${clientId} to ${change.to_plan}`);
+    return { change: applied, client: await Client.findById(clientId) };
+  }
+
+  /**
+   * Reject a customer request
+   * @param {number} clientId - Client ID
+   * @param {number} changeId - Plan change ID
+   * @param {Object} author - { type, id, name }
+   * @param {string} note - Reason shown to the customer
+   * @throws {PlanChangeError}
+   */
+  async reject(clientId, changeId, author = null, note = null) {
+    const change = await this.getChange(clientId, changeId);
+    if (change.status !== 'requested') {
+      throw new PlanChangeError(`Plan change is ${change.status}`);
+    }
+    return this.closeChange(change, 'rejected', author, this.normalizeNote(note));
+  }
+
+  /**
+   * Cancel a pending request or a scheduled downgrade
+   * Customers can only cancel their own requests.
+   * @param {number} clientId - Client ID
+   * @param {number} changeId - Plan change ID
+   * @param {Object} author - { type, id, name }
+   * @throws {PlanChangeError}
+   */
+  async cancel(clientId, changeId, author = null) {
+    const change = await this.getChange(clientId, changeId);
+    if (!PLAN_CHANGES.OPEN_STATUSES.includes(change.status)) {
+      throw new PlanChangeError(`Plan change is ${change.status}`);
+    }
+    if (author?.type !== 'admin' && change.requested_by_type !== 'customer') {
+      throw new PlanChangeError('Only requests you made can be cancelled');
+    }
+    return this.closeChange(change, 'cancelled', author, null);
+  }
+
+  /**
+   * Apply scheduled changes that are due (scheduled job)
+   * @returns {Promise<Object>} { applied }
+   */
+  async applyDueChanges() {
+    const due = await PlanChange.findDue();
+    let applied = 0;
+
+    for (const change of due) {
+      try {
+        if (await PlanChange.apply(change.id)) {
+          applied++;
+          log.info(
+            `Applied scheduled plan change ${change.id} of client ${change.client_id} to ${change.to_plan}`
+          );
+        }
+      } catch (error) {
+        log.error(`Failed to apply plan change ${change.id}`, { error: error.message });
+      }
+    }
+
+    return { applied };
+  }
+
+  /**
+   * Whether moving between two plans lowers the base cost
+   */
+  async isDowngrade(fromPlan, toPlan) {
+    const [from, to] = await Promise.all([
+      BillingService.getPricingConfigAsync(fromPlan),
+      BillingService.getPricingConfigAsync(toPlan),
+    ]);
+    return (parseFloat(to.baseCost) || 0) < (parseFloat(from.baseCost) || 0);
+  }
+
+  /**
+   * Start of the next billing period (first day of next month, UTC)
+   */
+  nextPeriodStart(now = new Date()) {
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+  }
+
+  /**
+   * Plan fields shown when choosing a plan
+   */
+  formatPlan(plan) {
+    return {
+      name: plan.name,
+      displayName: plan.display_name || plan.name,
+      description: plan.description || null,
+      baseCost: parseFloat(plan.base_cost) || 0,
+    };
+  }
+
+  normalizeNote(note) {
+    if (note === null || note === undefined) return null;
+    if (typeof note !== 'string') {
+      throw new PlanChangeError('note must be a string');
+    }
+    const trimmed = note.trim();
+    if (trimmed.length > PLAN_CHANGES.MAX_NOTE_LENGTH) {
+      throw new PlanChangeError(`note must be at most ${PLAN_CHANGES.MAX_NOTE_LENGTH} characters`);
+    }
+    return trimmed || null;
+  }
+
+  async getClient(clientId) {
+    const client = /^\d+$/.test(String(clientId)) ? await Client.findById(clientId) : null;
+    if (!client) {
+      throw new PlanChangeError('Client not found', 'not_found');
+    }
+    return client;
+  }
+
+  async getActivePlan(planName) {
+    if (!planName || typeof planName !== 'string') {
+      throw new PlanChangeError('plan is required');
+    }
+    const plan = await Plan.findByName(planName);
+    if (!plan || !plan.is_active) {
+      throw new PlanChangeError(`Unknown or inactive plan: ${planName}`);
+    }
+    return plan;
+  }
+
+  async getChange(clientId, changeId) {
+    const change = /^\d+$/.test(String(changeId)) ? await PlanChange.findById(changeId) : null;
+    if (!change || String(change.client_id) !== String(clientId)) {
+      throw new PlanChangeError('Plan change not found', 'not_found');
+    }
+    return change;
+  }
+
+  /**
+   * Insert a change; the unique index allows one open change per client
+   */
+  async createChange(data) {
+    try {
+      return await PlanChange.create(data);
+    } catch (error) {
+      if (error.code === '23505') {
+        throw new PlanChangeError('A plan change is already pending for this client');
+      }
+      throw error;
+    }
+  }
+
+  async closeChange(change, status, author, reviewNote) {
+    const closed = await PlanChange.close(change.id, status, {
+      reviewedBy: author?.name ?? null,
+      reviewNote,
+    });
+    if (!closed) {
+      throw new PlanChangeError('Plan change was updated meanwhile, reload and try again');
+    }
+    log.info(`Plan change ${change.id} of client ${change.client_id} ${status}`);
+    return closed;
+  }
+
+  async cancelOpenChange(clientId, author, reviewNote) {
+    const open = await PlanChange.findOpen(clientId);
+    if (open) {
+      await PlanChange.close(open.id, 'cancelled', {
+        reviewedBy: author?.name ?? null,
+        reviewNote,
+      });
+    }
+  }
+}
+
+const planChangeService = new PlanChangeService();
+export default planChangeService;
@@ -0,0 +1,492 @@
+import RE2 from 're2';
+import { Attachment } from '../models/Attachment.js';
+import { Client } from '../models/Client.js';
+import { Conversation } from '../models/Conversation.js';
+import { ConversationFeedback } from '../models/ConversationFeedback.js';
+import { DataRequest } from '../models/DataRequest.js';
+import { Escalation } from '../models/Escalation.js';
+import { Message } from '../models/Message.js';
+import { MessageFeedback } from '../models/MessageFeedback.js';
+import { ToolExecution } from '../models/ToolExecution.js';
+import { WebhookDelivery } from '../models/WebhookDelivery.js';
+import { RedisCache } from './redisCache.js';
+import { REDACTION, RETENTION } from '../config/constants.js';
+import { createLogger } from '../utils/logger.js';
+import { toLabel } from '../utils/redaction.js';
+
+const log = createLogger('Privacy');
+
+/**
+ * Thrown for invalid retention / redaction settings and data requests
+ */
+export class PrivacyError extends Error {
+  constructor(message, code = 'invalid') {
+    super(message);
+    this.name = 'PrivacyError';
+    this.code = code;
+  }
+}
+
+/**
+ * Masked form of an end-user identifier, kept on erase requests so the erased
+ * value itself is not stored: jane@example.com -> j***@example.com,
+ * +15551234567 -> ***4567
+ */
+function maskIdentifier(identifier) {
+  const at = identifier.lastIndexOf('@');
+  if (at > 0) {
+    return `${identifier[0]}***${identifier.slice(at)}`;
+  }
+  return identifier.length > 6 ? `***${identifier.slice(-4)}` : '***';
+}
+
+/**
+ * Privacy Service
+ *
+ * Data retention and end-user data requests.
+ *
+ * Retention: clients.retention_config sets a window in days per data type
+ * (RETENTION.DATA_TYPES). The scheduled job deletes older records; data
+ * types without a window are kept forever. Conversations themselves are kept
+ * (usage statistics live on them), and attachments of deleted messages are
+ * removed by the hourly attachment cleanup.
+ *
+ * Data requests: export or erase everything stored for one end user of a
+ * client, found by conversations.user_identifier (case-insensitive). Each
+ * request is recorded in data_requests with a report of what it covered;
+ * erase requests keep only a masked identifier (maskIdentifier).
+ *
+ * Redaction: clients.redaction_config turns on PII tokenisation for LLM calls
+ * and masking of the debug view (detection lives in utils/redaction.js).
+ */
+class PrivacyService {
+  /**
+   * Retention windows of a client, with every data type present
+   * @param {object} client - Client
+   * @returns {object} { retention: { [dataType]: days|null }, dataTypes, minDays, maxDays }
+   */
+  getRetention(client) {
+    const config = client.retention_config || {};
+    const retention = Object.fromEntries(
+      RETENTION.DATA_TYPES.map((type) => [type, config[type] ?? null])
+    );
+    return {
+      retention,
+      dataTypes: RETENTION.DATA_TYPES,
+      minDays: RETENTION.MIN_DAYS,
+      maxDays: RETENTION.MAX_DAYS,
+    };
+  }
+
+  /**
+   * Replace a client's retention windows
+   * @param {number} clientId - Client ID
+   * @param {object} input - { [dataType]: days } - null or '' keeps that data forever
+   * @returns {Promise<Object>} Same shape as getRetention()
+   */
+  async updateRetention(clientId, input) {
+    const config = this.normalizeRetention(input);
+    const client = await Client.updateRetentionConfig(clientId, config);
+    if (!client) {
+      throw new PrivacyError('Client not found', 'not_found');
+    }
+
+    log.info(`Retention updated for client ${clientId}`, { retention: config });
+    return this.getRetention(client);
+  }
+
+  /**
+   * Validate retention input
+   * @returns {object|null} Windows that are set, or null when none is
+   */
+  normalizeRetention(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      throw new PrivacyError('retention must be an object of days per data type');
+    }
+
+    const config = {};
+    for (const [type, value] of Object.entries(input)) {
+      if (!RETENTION.DATA_TYPES.includes(type)) {
+        throw new PrivacyError(`Unknown data type: ${type}`);
+      }
+      if (value === null || value === undefined || value === '') continue;
+
+      const days = Number(value);
+      if (!Number.isInteger(days) || days < RETENTION.MIN_DAYS || days > RETENTION.MAX_DAYS) {
+        throw new PrivacyError(
+          `${type} retention must be a whole number of days between ${RETENTION.MIN_DAYS} and ${RETENTION.MAX_DAYS}`
+        );
+      }
+      config[type] = days;
+    }
+
+    return Object.keys(config).length > 0 ? config : null;
+  }
+
+  /**
+   * PII redaction settings of a client, with defaults filled in
+   * @param {object} client - Client
+   * @returns {object} { redaction: { enabled, mask_debug, types, custom }, types, maxCustomRules }
+   */
+  getRedaction(client) {
+    const config = client.redaction_config || {};
+    return {
+      redaction: {
+        enabled: Boolean(config.enabled),
+        mask_debug: Boolean(config.mask_debug),
+        types: config.types || REDACTION.TYPES,
+        custom: config.custom || [],
+      },
+      types: REDACTION.TYPES,
+      maxCustomRules: REDACTION.MAX_CUSTOM_RULES,
+    };
+  }
+
+  /**
+   * Replace a client's PII redaction settings
+   * @param {number} clientId - Client ID
+   * @param {object} input - { enabled, mask_debug, types, custom: [{ name, pattern }] }
+   * @returns {Promise<Object>} Same shape as getRedaction()
+   */
+  async updateRedaction(clientId, input) {
+    const config = this.normalizeRedaction(input);
+    const client = await Client.updateRedactionConfig(clientId, config);
+    if (!client) {
+      throw new PrivacyError('Client not found', 'not_found');
+    }
+
+    log.info(`Redaction updated for client ${clientId}`, {
+      enabled: config?.enabled ?? false,
+      maskDebug: config?.mask_debug ?? false,
+      customRules: config?.custom.length ?? 0,
+    });
+    return this.getRedaction(client);
+  }
+
+  /**
+   * Validate redaction input
+   * Custom patterns must compile with RE2 (no lookarounds or backreferences) and
+   * must not match empty text.
+   * @returns {object|null} Config, or null when both redaction and debug masking are off
+   */
+  normalizeRedaction(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      throw new PrivacyError('redaction must be an object');
+    }
+
+    const types = input.types ?? REDACTION.TYPES;
+    if (!Array.isArray(types)) {
+      throw new PrivacyError('types must be an array');
+    }
+    for (const type of types) {
+      if (!REDACTION.TYPES.includes(type)) {
+        throw new PrivacyError(`Unknown redaction type: ${type}`);
+      }
+    }
+
+    const custom = input.custom ?? [];
+    if (!Array.isArray(custom)) {
+      throw new PrivacyError('custom must be an array of { name, pattern }');
+    }
+    if (custom.length > REDACTION.MAX_CUSTOM_RULES) {
+      throw new PrivacyError(`At most ${REDACTION.MAX_CUSTOM_RULES} custom patterns are allowed`);
+    }
+
+    const rules = custom.map((rule) => {
+      const name = typeof rule?.name === 'string' ? rule.name.trim() : '';
+      const pattern = typeof rule?.pattern === 'string' ? rule.pattern : '';
+      if (!name || name.length > REDACTION.MAX_NAME_LENGTH) {
+        throw new PrivacyError(
+          `Custom pattern names are required (up to ${REDACTION.MAX_NAME_LENGTH} characters)`
+        );
+      }
+      if (!pattern || pattern.length > REDACTION.MAX_PATTERN_LENGTH) {
+        throw new PrivacyError(
+          `Pattern of "${name}" is required (up to ${REDACTION.MAX_PATTERN_LENGTH} characters)`
+        );
+      }
+
+      let regex;
+      try {
+        regex = new RE2(pattern);
+      } catch {
+        throw new PrivacyError(
+          `Pattern of "${name}" is not a supported regular expression (lookarounds and backreferences are not allowed)`
+        );
+      }
+      if (regex.test('')) {
+        throw new PrivacyError(`Pattern of "${name}" matches empty text`);
+      }
+      return { name, pattern };
+    });
+
+    const labels = rules.map((rule) => toLabel(rule.name));
+    const duplicate = labels.find((label, index) => labels.indexOf(label) !== index);
+    if (duplicate) {
+      throw new PrivacyError(`Custom pattern names must be distinct (${duplicate})`);
+    }
+
+    const enabled = Boolean(input.enabled);
+    const maskDebug = Boolean(input.mask_debug);
+    if (!enabled && !maskDebug) return null;
+    if (types.length === 0 && rules.length === 0) {
+      throw new PrivacyError('Select at least one data type or add a custom pattern');
+    }
+
+    return { enabled, mask_debug: maskDebug, types, custom: rules };
+  }
+
+  /**
+   * Delete data older than each client's retention windows (scheduled job)
+   * A failing client is logged and skipped so the others are still processed.
+   * @returns {Promise<Object>} { clients, deleted: { [dataType]: count } }
+   */
+  async applyRetention() {
+    const clients = await Client.findWithRetention();
+    const deleted = Object.fromEntries(RETENTION.DATA_TYPES.map((type) => [type, 0]));
+
+    for (const client of clients) {
+      try {
+        const counts = await this.applyClientRetention(client.id, client.retention_config);
+        for (const [type, count] of Object.entries(counts)) {
+          deleted[type] += count;
+        }
+      } catch (error) {
+        log.error(`Retention failed for client ${client.id}`, error);
+      }
+    }
+
+    return { clients: clients.length, deleted };
+  }
+
+  /**
+   * Enforce one client's retention windows
+   * @param {number} clientId - Client ID
+   * @param {object} config - clients.retention_config
+   * @returns {Promise<Object>} Deleted records per data type
+   */
+  async applyClientRetention(clientId, config) {
+    const counts = {};
+    const days = (type) => config?.[type] ?? null;
+
+    if (days('messages')) {
+      counts.messages = await Message.deleteOlderThanForClient(clientId, days('messages'));
+    }
+    if (days('debug_messages')) {
+      counts.debug_messages = await Message.deleteOlderThanForClient(
+        clientId,
+        days('debug_messages'),
+        { debugOnly: true }
+      );
+    }
+    if (days('tool_executions')) {
+      counts.tool_executions = await ToolExecution.deleteOlderThanForClient(
+        clientId,
+        days('tool_executions')
+      );
+    }
+    if (days('escalations')) {
+      counts.escalations = await Escalation.deleteClosedOlderThan(
+        clientId,
+        days('escalations'),
+        RETENTION.CLOSED_ESCALATION_STATUSES
+      );
+    }
+
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    if (total > 0) {
+      log.info(`Retention removed ${total} record(s) for client ${clientId}`, counts);
+    }
+    return counts;
+  }
+
+  /**
+   * Export everything stored for an end user
+   * @param {object} client - Client
+   * @param {string} userIdentifier - Email, phone number or widget user ID
+   * @param {object} actor - { type, id, name } of who asked
+   * @returns {Promise<Object>} { request, data }
+   */
+  async exportUserData(client, userIdentifier, actor) {
+    const identifier = this.normalizeIdentifier(userIdentifier);
+    let data = null;
+
+    const request = await this.runRequest(client, 'export', identifier, actor, async () => {
+      const conversations = await Conversation.findByUserIdentifier(client.id, identifier);
+      const exported = [];
+      for (const conversation of conversations) {
+        exported.push(await this.exportConversation(conversation));
+      }
+
+      data = {
+        user_identifier: identifier,
+        client: { id: client.id, name: client.name },
+        exported_at: new Date().toISOString(),
+        conversations: exported,
+      };
+      return this.countExport(exported);
+    });
+
+    return { request, data };
+  }
+
+  /**
+   * One conversation with everything stored about it
+   */
+  async exportConversation(conversation) {
+    const [messages, toolExecutions, escalations, messageFeedback, rating, attachments] =
+      await Promise.all([
+        Message.getAllWithDebug(conversation.id, true),
+        ToolExecution.getByConversation(conversation.id),
+        Escalation.findAllByConversation(conversation.id),
+        MessageFeedback.findByConversation(conversation.id),
+        ConversationFeedback.findByConversation(conversation.id),
+        Attachment.findByConversation(conversation.id),
+      ]);
+
+    return {
+      ...conversation,
+      messages,
+      tool_executions: toolExecutions,
+      escalations,
+      feedback: { messages: messageFeedback, conversation: rating },
+      attachments: attachments.map(({ data, ...attachment }) => ({
+        ...attachment,
+        data: data ? Buffer.from(data).toString('base64') : null,
+      })),
+    };
+  }
+
+  /**
+   * Record counts of an export, in the same shape as an erase report
+   */
+  countExport(conversations) {
+    const count = (key) => conversations.reduce((sum, c) => sum + c[key].length, 0);
+    return {
+      conversations: conversations.length,
+      messages: count('messages'),
+      tool_executions: count('tool_executions'),
+      escalations: count('escalations'),
+      message_feedback: conversations.reduce((sum, c) => sum + c.feedback.messages.length, 0),
+      conversation_feedback: conversations.filter((c) => c.feedback.conversation).length,
+      attachments: count('attachments'),
+    };
+  }
+
+  /**
+   * Erase everything stored for an end user
+   * Conversations are deleted with everything that cascades from them; logged
+   * webhook deliveries about them, unsent uploads of their sessions and their
+   * cached context go too. Audit log entries are append-only and kept (the
+   * audit trail redacts the identifier of the request itself).
+   * @param {object} client - Client
+   * @param {string} userIdentifier - Email, phone number or widget user ID
+   * @param {object} actor - { type, id, name } of who asked
+   * @returns {Promise<Object>} The completed data request, with its report
+   */
+  async eraseUserData(client, userIdentifier, actor) {
+    const identifier = this.normalizeIdentifier(userIdentifier);
+
+    return this.runRequest(client, 'erase', maskIdentifier(identifier), actor, async () => {
+      const conversations = await Conversation.findByUserIdentifier(client.id, identifier);
+      if (conversations.length === 0) {
+        return { ...this.countExport([]), webhook_deliveries: 0 };
+      }
+
+      const ids = conversations.map((conversation) => conversation.id);
+      const sessionIds = conversations.map((conversation) => conversation.session_id);
+
+      const related = await Conversation.countRelated(ids);
+      const webhookDeliveries = await WebhookDelivery.deleteForConversations(client.id, ids);
+      const unsentUploads = await Attachment.deleteUnclaimedForSessions(client.id, sessionIds);
+      const deleted = await Conversation.deleteMany(ids);
+
+      await this.clearCachedState(conversations);
+
+      return {
+        conversations: deleted,
+        ...related,
+        attachments: related.attachments + unsentUploads,
+        webhook_deliveries: webhookDeliveries,
+      };
+    });
+  }
+
+  /**
+   * Drop cached context of erased conversations (best effort)
+   */
+  async clearCachedState(conversations) {
+    for (const conversation of conversations) {
+      try {
+        await RedisCache.deleteConversationContext(conversation.session_id);
+        await RedisCache.clearPendingIntent(conversation.id);
+      } catch (error) {
+        log.warn(`Could not clear cache for conversation ${conversation.id}`, error);
+      }
+    }
+  }
+
+  /**
+   * Record a data request around the work it does
+   * @param {Function} work - Returns the report
+   * @returns {Promise<Object>} The completed request
+   */
+  async runRequest(client, requestType, userIdentifier, actor, work) {
+    const request = await DataRequest.create({
+      clientId: client.id,
+      requestType,
+      userIdentifier,
+      requestedBy: actor,
+    });
+
+    try {
+      const report = await work();
+      log.info(`Data ${requestType} #${request.id} completed for client ${client.id}`, report);
+      return await DataRequest.complete(request.id, report);
+    } catch (error) {
+      log.error(`Data ${requestType} #${request.id} failed for client ${client.id}`, error);
+      await DataRequest.fail(request.id, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Validate an end-user identifier
+   */
+  normalizeIdentifier(userIdentifier) {
+    const identifier = typeof userIdentifier === 'string' ? userIdentifier.trim() : '';
+    if (!identifier) {
+      throw new PrivacyError('userIdentifier is required');
+    }
+    if (identifier.length > RETENTION.MAX_IDENTIFIER_LENGTH) {
+      throw new PrivacyError(
+        `userIdentifier must be at most ${RETENTION.MAX_IDENTIFIER_LENGTH} characters`
+      );
+    }
+    return identifier;
+  }
+
+  /**
+   * A client's export and erase history, newest first
+   * @param {number} clientId - Client ID
+   * @param {object} query - { page, limit }
+   * @returns {Promise<Object>} { requests, total, page, limit, totalPages }
+   */
+  async listRequests(clientId, query = {}) {
+    const limit = Math.min(
+      Math.max(parseInt(query.limit, 10) || RETENTION.REQUESTS_PAGE_SIZE, 1),
+      100
+    );
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+
+    const [requests, total] = await Promise.all([
+      DataRequest.findByClient(clientId, { limit, offset: (page - 1) * limit }),
+      DataRequest.countByClient(clientId),
+    ]);
+
+    return { requests, total, page, limit, totalPages: Math.ceil(total / limit) };
+  }
+}
+
+export const privacyService = new PrivacyService();
+export default privacyService;
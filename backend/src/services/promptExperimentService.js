@@ -0,0 +1,202 @@
+import crypto from 'crypto';
+import { Client } from '../models/Client.js';
+import { Conversation } from '../models/Conversation.js';
+import { PromptExperiment } from '../models/PromptExperiment.js';
+import promptVersionService, { PromptVersionError } from './promptVersionService.js';
+import replaySandbox from './replaySandbox.js';
+import { PROMPT_VERSIONS } from '../config/constants.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('PromptExperiments');
+
+const VARIANTS = ['A', 'B'];
+
+/**
+ * Prompt Experiment Service
+ *
+ * A/B tests between two versions of a client's prompt config. While an
+ * experiment runs, each conversation started after it began is assigned a
+ * variant on its first message (stable per session) and answered with that
+ * variant's config; the variant is stored on the conversation so outcomes can
+ * be compared once the experiment is stopped.
+ */
+class PromptExperimentService {
+  /**
+   * Start an experiment
+   * @param {number} clientId - Client ID
+   * @param {Object} input - { name, versionA, versionB, splitPercent } (client prompt config version numbers)
+   * @param {Object} author - { type, id, name }
+   */
+  async create(clientId, input, author) {
+    const client = await Client.findById(clientId);
+    if (!client) {
+      throw new PromptVersionError('Client not found', 'not_found');
+    }
+
+    const name = typeof input?.name === 'string' ? input.name.trim() : '';
+    if (!name || name.length > PROMPT_VERSIONS.MAX_EXPERIMENT_NAME_LENGTH) {
+      throw new PromptVersionError(
+        `Experiment name is required (at most ${PROMPT_VERSIONS.MAX_EXPERIMENT_NAME_LENGTH} characters)`
+      );
+    }
+
+    const splitPercent = Number(input.splitPercent ?? PROMPT_VERSIONS.DEFAULT_SPLIT_PERCENT);
+    if (
+      !Number.isInteger(splitPercent) ||
+      splitPercent < PROMPT_VERSIONS.MIN_SPLIT_PERCENT ||
+      splitPercent > PROMPT_VERSIONS.MAX_SPLIT_PERCENT
+    ) {
+      throw new PromptVersionError(
+        `Split must be between ${PROMPT_VERSIONS.MIN_SPLIT_PERCENT} and ${PROMPT_VERSIONS.MAX_SPLIT_PERCENT} percent`
+      );
+    }
+
+    const versionA = await promptVersionService.findVersion('client', client.id, input.versionA);
+    const versionB = await promptVersionService.findVersion('client', client.id, input.versionB);
+    if (versionA.id === versionB.id) {
+      throw new PromptVersionError('Pick two different versions');
+    }
+
+    if (await PromptExperiment.findRunning(client.id)) {
+      throw new PromptVersionError('Stop the running experiment before starting another');
+    }
+
+    const experiment = await PromptExperiment.create({
+      clientId: client.id,
+      name,
+      versionAId: versionA.id,
+      versionBId: versionB.id,
+      splitPercent,
+      createdBy: author?.name ?? null,
+    });
+    log.info(`Prompt experiment ${experiment.id} started for client ${client.id}`, {
+      versionA: versionA.version,
+      versionB: versionB.version,
+      splitPercent,
+    });
+    return experiment;
+  }
+
+  /**
+   * Stop the running experiment, optionally making a variant the live config
+   * @param {string|null} promote - 'A' or 'B'
+   * @param {Object} author - { type, id, name } (recorded on the promoted version)
+   */
+  async stop(clientId, id, promote, author) {
+    const experiment = await this.find(clientId, id);
+    if (experiment.status !== 'running') {
+      throw new PromptVersionError('Experiment is not running');
+    }
+    if (promote && !VARIANTS.includes(promote)) {
+      throw new PromptVersionError('Promote must be A or B');
+    }
+
+    const stopped = await PromptExperiment.stop(experiment.id, promote || null);
+    if (promote) {
+      const version = promote === 'A' ? experiment.version_a : experiment.version_b;
+      await promptVersionService.rollback('client', experiment.client_id, version, author);
+    }
+
+    log.info(`Prompt experiment ${experiment.id} stopped`, { promote });
+    return stopped;
+  }
+
+  /**
+   * Experiments of a client, newest first
+   */
+  async list(clientId) {
+    return PromptExperiment.findByClient(clientId);
+  }
+
+  /**
+   * An experiment with outcome metrics per variant
+   * @returns {Promise<Object>} { experiment, variants: { A, B } } - each variant:
+   *   { conversations, escalationRate, toolCalls, toolSuccessRate, csat, ratedConversations, thumbsUpRate, ratedMessages }
+   *   (rates in %, null without data)
+   */
+  async getResults(clientId, id) {
+    const experiment = await this.find(clientId, id);
+    const rows = await PromptExperiment.getVariantMetrics(experiment.id);
+
+    const variants = {};
+    for (const variant of VARIANTS) {
+      const row = rows.find((r) => r.variant === variant) || {};
+      variants[variant] = {
+        conversations: row.conversations || 0,
+        escalationRate: this.rate(row.escalated, row.conversations),
+        toolCalls: row.tool_calls || 0,
+        toolSuccessRate: this.rate(row.tool_successes, row.tool_calls),
+        // CSAT proxy: share of 4-5 star conversation ratings, backed by thumbs up on answers
+        csat: this.rate(row.satisfied_conversations, row.rated_conversations),
+        ratedConversations: row.rated_conversations || 0,
+        thumbsUpRate: this.rate(row.positive_messages, row.rated_messages),
+        ratedMessages: row.rated_messages || 0,
+      };
+    }
+
+    const { config_a: _configA, config_b: _configB, ...summary } = experiment;
+    return { experiment: summary, variants };
+  }
+
+  /**
+   * Assign a conversation to the running experiment and swap in its variant's config
+   * @param {Object} client - Client
+   * @param {Object} conversation - Conversation
+   * @returns {Promise<Object>} { client, conversation } - client with the variant's prompt_config
+   */
+  async apply(client, conversation) {
+    if (replaySandbox.isActive()) return { client, conversation };
+
+    try {
+      let experiment;
+      if (conversation.prompt_variant) {
+        if (!conversation.prompt_experiment_id) return { client, conversation };
+        experiment = await PromptExperiment.findById(conversation.prompt_experiment_id);
+      } else {
+        experiment = await PromptExperiment.findRunning(client.id);
+        // Conversations already under way keep the config they started with
+        if (!experiment || new Date(conversation.created_at) < new Date(experiment.started_at)) {
+          return { client, conversation };
+        }
+        const variant = this.pickVariant(conversation.session_id, experiment);
+        conversation =
+          (await Conversation.setPromptVariant(conversation.id, experiment.id, variant)) ||
+          conversation;
+      }
+
+      if (experiment?.status !== 'running') return { client, conversation };
+      const config =
+        conversation.prompt_variant === 'B' ? experiment.config_b : experiment.config_a;
+      return { client: { ...client, prompt_config: config }, conversation };
+    } catch (error) {
+      log.error('Failed to apply prompt experiment', error);
+      return { client, conversation };
+    }
+  }
+
+  /**
+   * Variant for a session: stable for the session, B for splitPercent% of sessions
+   */
+  pickVariant(sessionId, experiment) {
+    const hash = crypto.createHash('md5').update(`${experiment.id}:${sessionId}`).digest();
+    return hash.readUInt32BE(0) % 100 < experiment.split_percent ? 'B' : 'A';
+  }
+
+  /** @private */
+  async find(clientId, id) {
+    const experiment = /^\d+$/.test(String(id)) ? await PromptExperiment.findById(id) : null;
+    if (!experiment || experiment.client_id !== Number(clientId)) {
+      throw new PromptVersionError('Experiment not found', 'not_found');
+    }
+    return experiment;
+  }
+
+  /** @private */
+  rate(count, total) {
+    if (!total) return null;
+    return Math.round(((count || 0) / total) * 1000) / 10;
+  }
+}
+
+const promptExperimentService = new PromptExperimentService();
+export default promptExperimentService;
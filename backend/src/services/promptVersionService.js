@@ -0,0 +1,211 @@
+import { PlatformConfig } from '../models/PlatformConfig.js';
+import { Client } from '../models/Client.js';
+import { PromptConfigVersion } from '../models/PromptConfigVersion.js';
+import promptService from './promptService.js';
+import { refreshCachedConfig } from '../prompts/systemPrompt.js';
+import { PROMPT_VERSIONS } from '../config/constants.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('PromptVersions');
+
+/**
+ * Thrown for unknown versions and invalid experiments
+ */
+export class PromptVersionError extends Error {
+  constructor(message, code = 'invalid') {
+    super(message);
+    this.name = 'PromptVersionError';
+    this.code = code;
+  }
+}
+
+/**
+ * Prompt Version Service
+ *
+ * Every save of a prompt config - the platform default, the adaptive mode
+ * config or a client's overrides - goes through save(), which writes the live
+ * config and records it as an immutable version with its author. The first
+ * versioned save also records the config that was live before it ('baseline'),
+ * so the very first edit can be rolled back too.
+ */
+class PromptVersionService {
+  /**
+   * Save a config and record it as the next version
+   * @param {string} scope - 'default', 'adaptive' or 'client'
+   * @param {number|null} clientId - Client ID for the client scope
+   * @param {Object} config - Complete config to store
+   * @param {Object} author - { type, id, name } (see getActor)
+   * @param {Object} options - { action: 'update'|'reset'|'clear'|'rollback', sourceVersion }
+   * @returns {Promise<Object>} The new version
+   */
+  async save(scope, clientId, config, author, { action = 'update', sourceVersion = null } = {}) {
+    this.checkScope(scope);
+    const ownerId = scope === 'client' ? Number(clientId) : null;
+
+    if (!(await PromptConfigVersion.findLatest(scope, ownerId))) {
+      await PromptConfigVersion.create({
+        scope,
+        clientId: ownerId,
+        config: await this.getLiveConfig(scope, ownerId),
+        action: 'baseline',
+      });
+    }
+
+    await this.writeLiveConfig(scope, ownerId, config);
+    const version = await PromptConfigVersion.create({
+      scope,
+      clientId: ownerId,
+      config,
+      action,
+      sourceVersion,
+      author,
+    });
+
+    log.info(`Prompt config ${scope} saved as version ${version.version}`, {
+      clientId: ownerId,
+      action,
+      author: author?.name,
+    });
+    return version;
+  }
+
+  /**
+   * Restore an earlier version; recorded as a new version so history stays linear
+   * @returns {Promise<Object>} The new version
+   */
+  async rollback(scope, clientId, version, author) {
+    const target = await this.findVersion(scope, clientId, version);
+    return this.save(scope, clientId, target.config, author, {
+      action: 'rollback',
+      sourceVersion: target.version,
+    });
+  }
+
+  /**
+   * Version history, newest first
+   * @returns {Promise<Object>} { versions, current } - current is the live version number (null before the first save)
+   */
+  async listVersions(scope, clientId) {
+    this.checkScope(scope);
+    const ownerId = scope === 'client' ? Number(clientId) : null;
+    const versions = await PromptConfigVersion.list(scope, ownerId, PROMPT_VERSIONS.LIST_LIMIT);
+    return { versions, current: versions[0]?.version ?? null };
+  }
+
+  /**
+   * A version with its changes
+   * @param {number|null} compareTo - Version to diff against (default: the one before it)
+   * @returns {Promise<Object>} { version, compareTo, changes: [{ path, type, from, to }] }
+   */
+  async getVersion(scope, clientId, version, compareTo = null) {
+    const target = await this.findVersion(scope, clientId, version);
+    const ownerId = target.client_id;
+    const base =
+      compareTo === null || compareTo === undefined
+        ? await PromptConfigVersion.findPrevious(scope, ownerId, target.version)
+        : await this.findVersion(scope, clientId, compareTo);
+
+    return {
+      version: target,
+      compareTo: base?.version ?? null,
+      changes: this.diff(base?.config ?? {}, target.config),
+    };
+  }
+
+  /**
+   * A version by number
+   * @throws {PromptVersionError} not_found
+   */
+  async findVersion(scope, clientId, version) {
+    this.checkScope(scope);
+    const number = Number(version);
+    const ownerId = scope === 'client' ? Number(clientId) : null;
+    const found = Number.isInteger(number)
+      ? await PromptConfigVersion.find(scope, ownerId, number)
+      : null;
+    if (!found) {
+      throw new PromptVersionError(`Version ${version} not found`, 'not_found');
+    }
+    return found;
+  }
+
+  /**
+   * Changes between two configs, down to individual fields and list items
+   * @returns {Array} [{ path, type: 'added'|'removed'|'changed', from, to }] - paths like "reasoning_steps[1].title"
+   */
+  diff(before, after, path = '') {
+    if (
+      this.isContainer(before) &&
+      this.isContainer(after) &&
+      Array.isArray(before) === Array.isArray(after)
+    ) {
+      const keys = Array.isArray(after)
+        ? [...Array(Math.max(before.length, after.length)).keys()]
+        : [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+
+      return keys.flatMap((key) => {
+        const childPath = Array.isArray(after) ? `${path}[${key}]` : path ? `${path}.${key}` : key;
+        const hasBefore = Array.isArray(before) ? key < before.length : key in before;
+        const hasAfter = Array.isArray(after) ? key < after.length : key in after;
+
+        if (!hasBefore) return [{ path: childPath, type: 'added', from: null, to: after[key] }];
+        if (!hasAfter) return [{ path: childPath, type: 'removed', from: before[key], to: null }];
+        return this.diff(before[key], after[key], childPath);
+      });
+    }
+
+    if (JSON.stringify(before) === JSON.stringify(after)) return [];
+    return [{ path, type: 'changed', from: before ?? null, to: after ?? null }];
+  }
+
+  /** @private */
+  isContainer(value) {
+    return value !== null && typeof value === 'object';
+  }
+
+  /** @private */
+  checkScope(scope) {
+    if (!PROMPT_VERSIONS.SCOPES.includes(scope)) {
+      throw new PromptVersionError(`Unknown prompt config: ${scope}`);
+    }
+  }
+
+  /**
+   * Config currently in use
+   * @private
+   */
+  async getLiveConfig(scope, clientId) {
+    if (scope === 'default') return PlatformConfig.getDefaultPromptConfig();
+    if (scope === 'adaptive') return PlatformConfig.getAdaptivePromptConfig();
+
+    const client = await Client.findById(clientId);
+    if (!client) {
+      throw new PromptVersionError('Client not found', 'not_found');
+    }
+    return client.prompt_config || {};
+  }
+
+  /**
+   * Store a config and refresh the caches that hold it
+   * @private
+   */
+  async writeLiveConfig(scope, clientId, config) {
+    if (scope === 'default') {
+      await PlatformConfig.setDefaultPromptConfig(config);
+      await promptService.refreshDefaultConfig();
+      await refreshCachedConfig();
+    } else if (scope === 'adaptive') {
+      await PlatformConfig.setAdaptivePromptConfig(config);
+      promptService.clearCache();
+    } else {
+      const client = await Client.updatePromptConfig(clientId, config);
+      if (!client) {
+        throw new PromptVersionError('Client not found', 'not_found');
+      }
+      await refreshCachedConfig();
+    }
+  }
+}
+
+const promptVersionService = new PromptVersionService();
+export default promptVersionService;
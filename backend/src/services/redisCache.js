@@ -264,6 +264,43 @@ export class RedisCache {
     return result > 0;
   }
 
+  /**
+   * Add a cached query to an index, so lookups can compare against every cached query
+   * Indexes are capped at maxSize entries; queries past that are only found by exact hash.
+   * @param {string} indexName - Index name (part of the cache key)
+   * @param {string} queryHash - Hash of the cached query
+   * @param {string} query - Query text to compare against
+   * @param {string|number} clientId - Client ID
+   * @param {number} ttl - Index TTL in seconds (refreshed on every add)
+   * @param {number} maxSize - Maximum indexed queries
+   * @returns {Promise<boolean>} Whether the query was indexed
+   */
+  static async indexCachedQuery(indexName, queryHash, query, clientId, ttl, maxSize) {
+    const key = this.getCacheKey(`${indexName}:index`, clientId);
+    if ((await redisClient.hlen(key)) >= maxSize) {
+      return false;
+    }
+
+    await redisClient.hset(key, queryHash, query);
+    await redisClient.expire(key, ttl);
+    return true;
+  }
+
+  /**
+   * Get the queries of a cache index
+   * @returns {Promise<Object>} { [queryHash]: query }
+   */
+  static async getCacheIndex(indexName, clientId) {
+    return (await redisClient.hgetall(this.getCacheKey(`${indexName}:index`, clientId))) || {};
+  }
+
+  /**
+   * Remove a query from a cache index (e.g. after its response expired)
+   */
+  static async removeFromCacheIndex(indexName, queryHash, clientId) {
+    await redisClient.hdel(this.getCacheKey(`${indexName}:index`, clientId), queryHash);
+  }
+
   /**
    * ============================================
    * SESSION LOCKS
@@ -486,6 +523,26 @@ export class RedisCache {
     }
   }
 
+  /**
+   * Count cache entries of a client (index keys excluded)
+   * @param {string|number} clientId - Client identifier
+   * @param {string} prefix - Only keys starting with this after the client ID
+   * @returns {Promise<number>} Number of entries
+   */
+  static async countClientCache(clientId, prefix = '') {
+    const pattern = `${this.CACHE_PREFIX}${clientId}:${prefix}*`;
+    let cursor = '0';
+    let count = 0;
+
+    do {
+      const [nextCursor, keys] = await redisClient.scan(cursor, 'MATCH', pattern, 'COUNT', 100);
+      cursor = nextCursor;
+      count += keys.filter((key) => !key.endsWith(':index')).length;
+    } while (cursor !== '0');
+
+    return count;
+  }
+
   /**
    * Get TTL for a key
    * @param {string} key - Redis key
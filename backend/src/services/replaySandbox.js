@@ -0,0 +1,95 @@
+/**
+ * Replay Sandbox
+ *
+ * Marks the async call chain of a conversation replay (replayService) so
+ * services it passes through can swap real side effects for test doubles:
+ * - toolExecutionService.runTool answers with the scenario's mocked responses
+ * - llmService answers the 'stub' provider with the turn's scripted replies
+ * - webhooks, escalation notifications and usage records are skipped
+ *
+ * Uses AsyncLocalStorage, so live conversations handled at the same time are
+ * never affected.
+ */
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { REPLAY } from '../config/constants.js';
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * State of one replay run
+ */
+class ReplayState {
+  /**
+   * @param {object} toolMocks - { [toolName]: response | response[] } - arrays answer successive calls
+   */
+  constructor(toolMocks = {}) {
+    this.toolMocks = toolMocks;
+    this.toolCalls = []; // { turn, tool, params, response, mocked }
+    this.stubReplies = [];
+    this.turn = 0;
+  }
+
+  /**
+   * Start a user turn with its scripted stub replies
+   */
+  startTurn(turn, stubReplies = []) {
+    this.turn = turn;
+    this.stubReplies = [...stubReplies];
+  }
+
+  /**
+   * Next scripted LLM reply of the current turn
+   * @returns {object} { content, tool_calls }
+   */
+  nextStubReply() {
+    return this.stubReplies.shift() || { content: REPLAY.DEFAULT_STUB_REPLY };
+  }
+
+  /**
+   * Answer a tool call from the mocks and record it
+   * @returns {object} Tool result in the shape of toolExecutionService.runTool()
+   */
+  runTool(toolName, params) {
+    const mock = this.toolMocks[toolName];
+    const callIndex = this.toolCalls.filter((call) => call.tool === toolName).length;
+    const response = Array.isArray(mock) ? mock[Math.min(callIndex, mock.length - 1)] : mock;
+    const mocked = response !== undefined;
+
+    this.toolCalls.push({ turn: this.turn, tool: toolName, params, response, mocked });
+
+    if (!mocked) {
+      return {
+        success: false,
+        error: `No mocked response for tool ${toolName}`,
+        executionTimeMs: 0,
+      };
+    }
+    return { success: true, data: response, executionTimeMs: 0 };
+  }
+}
+
+export const replaySandbox = {
+  /**
+   * Run fn inside a sandbox
+   * @param {object} toolMocks - Mocked tool responses
+   * @param {Function} fn - (state) => Promise
+   */
+  run(toolMocks, fn) {
+    const state = new ReplayState(toolMocks);
+    return storage.run(state, () => fn(state));
+  },
+
+  /**
+   * State of the replay this call chain belongs to, or null outside replays
+   * @returns {ReplayState|null}
+   */
+  current() {
+    return storage.getStore() || null;
+  },
+
+  isActive() {
+    return Boolean(storage.getStore());
+  },
+};
+
+export default replaySandbox;
@@ -0,0 +1,465 @@
+import { Client } from '../models/Client.js';
+import { Conversation } from '../models/Conversation.js';
+import { Escalation } from '../models/Escalation.js';
+import { TestRun } from '../models/TestRun.js';
+import { TestScenario } from '../models/TestScenario.js';
+import { RedisCache } from './redisCache.js';
+import conversationService from './conversationService.js';
+import replaySandbox from './replaySandbox.js';
+import { REPLAY } from '../config/constants.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('Replay');
+
+/**
+ * Thrown for invalid scenarios and run options
+ */
+export class ReplayError extends Error {
+  constructor(message, code = 'invalid') {
+    super(message);
+    this.name = 'ReplayError';
+    this.code = code;
+  }
+}
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Loose value equality for assertion params: strings ignore case and
+ * surrounding whitespace, everything else compares as JSON
+ */
+function sameValue(expected, actual) {
+  if (typeof expected === 'string' && typeof actual === 'string') {
+    return expected.trim().toLowerCase() === actual.trim().toLowerCase();
+  }
+  return JSON.stringify(expected) === JSON.stringify(actual);
+}
+
+/**
+ * Replay Service
+ *
+ * Regression tests for a client's prompts and tools. A test scenario is a
+ * sequence of user messages replayed through the real conversationService,
+ * with mocked tool responses and assertions on the outcome:
+ *
+ *   turns:      [{ message, stub_replies: [{ content, tool_calls: [{ name, arguments }] }] }]
+ *   tool_mocks: { [toolName]: response | response[] } - arrays answer successive calls
+ *   assertions: [{ type, tool, params, text, turn }] - see REPLAY.ASSERTION_TYPES
+ *
+ * Runs use the 'stub' provider by default, which answers each LLM call with the
+ * turn's scripted stub_replies; choosing a real provider tests the live prompt.
+ * Replays run inside replaySandbox, so no tool endpoint, webhook, escalation
+ * notification or usage record is touched, and the replay conversation is
+ * deleted afterwards. Each run stores its results and how they changed since
+ * the previous run.
+ */
+class ReplayService {
+  /**
+   * Scenarios of a client with their latest run status
+   */
+  async listScenarios(clientId) {
+    return TestScenario.findByClient(clientId);
+  }
+
+  /**
+   * Get a scenario with its recent runs
+   */
+  async getScenario(clientId, id) {
+    const scenario = await TestScenario.find(clientId, id);
+    if (!scenario) {
+      throw new ReplayError('Scenario not found', 'not_found');
+    }
+    const runs = await TestRun.findByScenario(scenario.id, REPLAY.RUNS_PAGE_SIZE);
+    return { scenario, runs };
+  }
+
+  /**
+   * Create a scenario
+   * @param {number} clientId - Client ID
+   * @param {object} input - { name, description, turns, tool_mocks, assertions }
+   */
+  async createScenario(clientId, input) {
+    const data = this.normalizeScenario(input);
+    const scenario = await TestScenario.create({ clientId, ...data });
+    log.info(`Scenario ${scenario.id} created for client ${clientId}`);
+    return scenario;
+  }
+
+  /**
+   * Replace a scenario
+   */
+  async updateScenario(clientId, id, input) {
+    const data = this.normalizeScenario(input);
+    const scenario = await TestScenario.update(clientId, id, data);
+    if (!scenario) {
+      throw new ReplayError('Scenario not found', 'not_found');
+    }
+    return scenario;
+  }
+
+  /**
+   * Delete a scenario and its runs
+   */
+  async deleteScenario(clientId, id) {
+    const scenario = await TestScenario.delete(clientId, id);
+    if (!scenario) {
+      throw new ReplayError('Scenario not found', 'not_found');
+    }
+    return scenario;
+  }
+
+  /**
+   * Validate a scenario and bring it into its stored shape
+   * @returns {object} { name, description, turns, toolMocks, assertions }
+   */
+  normalizeScenario(input = {}) {
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (!name) {
+      throw new ReplayError('Scenario name is required');
+    }
+
+    if (!Array.isArray(input.turns) || input.turns.length === 0) {
+      throw new ReplayError('Add at least one user message');
+    }
+    if (input.turns.length > REPLAY.MAX_TURNS) {
+      throw new ReplayError(`A scenario can have at most ${REPLAY.MAX_TURNS} messages`);
+    }
+    const turns = input.turns.map((turn, index) => this.normalizeTurn(turn, index + 1));
+
+    const toolMocks = input.tool_mocks ?? {};
+    if (!isPlainObject(toolMocks)) {
+      throw new ReplayError('Tool mocks must map tool names to responses');
+    }
+
+    const assertions = input.assertions ?? [];
+    if (!Array.isArray(assertions) || assertions.length === 0) {
+      throw new ReplayError('Add at least one assertion');
+    }
+    if (assertions.length > REPLAY.MAX_ASSERTIONS) {
+      throw new ReplayError(`A scenario can have at most ${REPLAY.MAX_ASSERTIONS} assertions`);
+    }
+
+    return {
+      name,
+      description: input.description?.trim() || null,
+      turns,
+      toolMocks,
+      assertions: assertions.map((assertion) => this.normalizeAssertion(assertion, turns.length)),
+    };
+  }
+
+  normalizeTurn(turn, number) {
+    const message = typeof turn?.message === 'string' ? turn.message.trim() : '';
+    if (!message) {
+      throw new ReplayError(`Message ${number} is empty`);
+    }
+
+    const stubReplies = turn.stub_replies ?? [];
+    if (!Array.isArray(stubReplies) || stubReplies.length > REPLAY.MAX_STUB_REPLIES) {
+      throw new ReplayError(
+        `Message ${number} can have at most ${REPLAY.MAX_STUB_REPLIES} stub replies`
+      );
+    }
+
+    return {
+      message,
+      stub_replies: stubReplies.map((reply) => {
+        const toolCalls = reply?.tool_calls ?? [];
+        if (!Array.isArray(toolCalls) || toolCalls.some((call) => !call?.name)) {
+          throw new ReplayError(`Stub tool calls of message ${number} need a tool name`);
+        }
+        return {
+          content: reply?.content ?? '',
+          tool_calls: toolCalls.map((call) => ({
+            name: call.name,
+            arguments: isPlainObject(call.arguments) ? call.arguments : {},
+          })),
+        };
+      }),
+    };
+  }
+
+  normalizeAssertion(assertion, turnCount) {
+    const type = assertion?.type;
+    if (!REPLAY.ASSERTION_TYPES.includes(type)) {
+      throw new ReplayError(`Unknown assertion type: ${type}`);
+    }
+
+    const normalized = { type };
+    if (type === 'tool_called' || type === 'tool_not_called') {
+      if (!assertion.tool) {
+        throw new ReplayError(`Assertion ${type} needs a tool name`);
+      }
+      normalized.tool = assertion.tool;
+      if (type === 'tool_called' && assertion.params) {
+        if (!isPlainObject(assertion.params)) {
+          throw new ReplayError('Expected tool params must be an object');
+        }
+        normalized.params = assertion.params;
+      }
+    }
+    if (type === 'reply_contains' || type === 'reply_not_contains') {
+      if (typeof assertion.text !== 'string' || !assertion.text.trim()) {
+        throw new ReplayError(`Assertion ${type} needs the text to look for`);
+      }
+      normalized.text = assertion.text.trim();
+    }
+
+    if ((assertion.turn ?? '') !== '') {
+      const turn = Number(assertion.turn);
+      if (!Number.isInteger(turn) || turn < 1 || turn > turnCount) {
+        throw new ReplayError(`Assertion turn must be between 1 and ${turnCount}`);
+      }
+      normalized.turn = turn;
+    }
+    return normalized;
+  }
+
+  /**
+   * Replay a scenario and record the run
+   * @param {number} clientId - Client ID
+   * @param {number} id - Scenario ID
+   * @param {object} options - { provider, model, runBy }
+   * @returns {Promise<Object>} The stored test run
+   */
+  async runScenario(clientId, id, options = {}) {
+    const client = await Client.findById(clientId);
+    const scenario = client ? await TestScenario.find(clientId, id) : null;
+    if (!scenario) {
+      throw new ReplayError('Scenario not found', 'not_found');
+    }
+    return this.execute(client, scenario, options);
+  }
+
+  /**
+   * Replay every scenario of a client, one after another
+   * @returns {Promise<Object>} { runs, passed, failed }
+   */
+  async runAll(clientId, options = {}) {
+    const client = await Client.findById(clientId);
+    if (!client) {
+      throw new ReplayError('Client not found', 'not_found');
+    }
+
+    const scenarios = await TestScenario.findByClient(clientId);
+    const runs = [];
+    for (const scenario of scenarios) {
+      runs.push(await this.execute(client, scenario, options));
+    }
+    const passed = runs.filter((run) => run.status === 'passed').length;
+    return { runs, passed, failed: runs.length - passed };
+  }
+
+  /**
+   * Replay one scenario for a client
+   * @private
+   */
+  async execute(client, scenario, { provider = REPLAY.STUB_PROVIDER, model = null, runBy = null }) {
+    if (!REPLAY.PROVIDERS.includes(provider)) {
+      throw new ReplayError(`Unknown provider: ${provider}`);
+    }
+
+    const startedAt = Date.now();
+    const previous = await TestRun.findLatest(scenario.id);
+    let transcript = [];
+    let results = [];
+    let status;
+    let error = null;
+
+    try {
+      const outcome = await this.replay(client, scenario, { provider, model });
+      transcript = outcome.transcript;
+      results = this.evaluate(scenario.assertions, outcome);
+      status = results.every((result) => result.passed) ? 'passed' : 'failed';
+    } catch (replayError) {
+      log.error(`Scenario ${scenario.id} could not be replayed`, replayError);
+      status = 'error';
+      error = replayError.message;
+    }
+
+    const run = await TestRun.create({
+      scenarioId: scenario.id,
+      clientId: client.id,
+      status,
+      provider,
+      model,
+      results,
+      changes: this.diff(previous, { results, transcript }),
+      transcript,
+      error,
+      durationMs: Date.now() - startedAt,
+      runBy,
+    });
+
+    log.info(`Scenario ${scenario.id} replayed: ${status}`);
+    return { ...run, scenario_name: scenario.name };
+  }
+
+  /**
+   * Send the scenario's messages through conversationService inside the sandbox
+   * @private
+   * @returns {Promise<Object>} { transcript, toolCalls, escalations }
+   */
+  async replay(client, scenario, { provider, model }) {
+    const sessionId = `${REPLAY.SESSION_PREFIX}${scenario.id}_${Date.now()}`;
+    const replayClient = {
+      ...client,
+      llm_provider: provider,
+      model_name: model || (provider === client.llm_provider ? client.model_name : null),
+    };
+
+    return replaySandbox.run(scenario.tool_mocks || {}, async (state) => {
+      const transcript = [];
+      try {
+        for (const [index, turn] of scenario.turns.entries()) {
+          state.startTurn(index + 1, turn.stub_replies);
+          const result = await conversationService.processMessage(
+            replayClient,
+            sessionId,
+            turn.message
+          );
+          transcript.push({
+            turn: index + 1,
+            message: turn.message,
+            reply: result.response || '',
+            tools: state.toolCalls.filter((call) => call.turn === index + 1),
+          });
+        }
+
+        const conversation = await Conversation.findBySession(sessionId);
+        const escalations = conversation
+          ? await Escalation.findAllByConversation(conversation.id)
+          : [];
+        return { transcript, toolCalls: state.toolCalls, escalations };
+      } finally {
+        await this.cleanup(sessionId);
+      }
+    });
+  }
+
+  /**
+   * Remove the replay conversation and its cached context
+   * @private
+   */
+  async cleanup(sessionId) {
+    try {
+      const conversation = await Conversation.findBySession(sessionId);
+      if (conversation) {
+        await Conversation.deleteMany([conversation.id]);
+      }
+      await RedisCache.deleteConversationContext(sessionId);
+    } catch (error) {
+      log.error(`Failed to clean up replay session ${sessionId}`, error);
+    }
+  }
+
+  /**
+   * Check assertions against the outcome of a replay
+   * @param {Array} assertions - Scenario assertions
+   * @param {object} outcome - { transcript, toolCalls, escalations }
+   * @returns {Array} [{ index, assertion, passed, expected, actual }]
+   */
+  evaluate(assertions, { transcript, toolCalls, escalations }) {
+    return assertions.map((assertion, index) => {
+      const calls = assertion.turn
+        ? toolCalls.filter((call) => call.turn === assertion.turn)
+        : toolCalls;
+      const turn = assertion.turn
+        ? transcript.find((entry) => entry.turn === assertion.turn)
+        : transcript[transcript.length - 1];
+      const reply = turn?.reply || '';
+
+      let passed;
+      let expected;
+      let actual;
+
+      switch (assertion.type) {
+        case 'tool_called': {
+          const named = calls.filter((call) => call.tool === assertion.tool);
+          const matching = named.filter(
+            (call) =>
+              !assertion.params ||
+              Object.entries(assertion.params).every(([key, value]) =>
+                sameValue(value, call.params?.[key])
+              )
+          );
+          passed = matching.length > 0;
+          expected = assertion.params
+            ? { tool: assertion.tool, params: assertion.params }
+            : { tool: assertion.tool };
+          actual = named.length > 0 ? named.map((call) => call.params) : 'not called';
+          break;
+        }
+        case 'tool_not_called': {
+          const named = calls.filter((call) => call.tool === assertion.tool);
+          passed = named.length === 0;
+          expected = 'not called';
+          actual = named.length > 0 ? named.map((call) => call.params) : 'not called';
+          break;
+        }
+        case 'escalates':
+        case 'no_escalation': {
+          const reasons = escalations.map((escalation) => escalation.reason);
+          passed = assertion.type === 'escalates' ? reasons.length > 0 : reasons.length === 0;
+          expected = assertion.type === 'escalates' ? 'escalated' : 'not escalated';
+          actual = reasons.length > 0 ? reasons : 'not escalated';
+          break;
+        }
+        case 'reply_contains':
+        case 'reply_not_contains': {
+          const found = reply.toLowerCase().includes(assertion.text.toLowerCase());
+          passed = assertion.type === 'reply_contains' ? found : !found;
+          expected = assertion.text;
+          actual = reply;
+          break;
+        }
+        default:
+          passed = false;
+          expected = assertion.type;
+          actual = 'unknown assertion type';
+      }
+
+      return { index, assertion, passed, expected, actual };
+    });
+  }
+
+  /**
+   * What changed since the previous run: assertions that flipped and replies that differ
+   * @param {object|null} previous - Previous test run
+   * @param {object} current - { results, transcript }
+   * @returns {Array} [{ kind: 'assertion', index, was, now } | { kind: 'reply', turn, was, now }]
+   */
+  diff(previous, { results, transcript }) {
+    if (!previous) return [];
+
+    const changes = [];
+    for (const result of results) {
+      const before = previous.results?.find((entry) => entry.index === result.index);
+      if (
+        before &&
+        JSON.stringify(before.assertion) === JSON.stringify(result.assertion) &&
+        before.passed !== result.passed
+      ) {
+        changes.push({
+          kind: 'assertion',
+          index: result.index,
+          assertion: result.assertion,
+          was: before.passed ? 'passed' : 'failed',
+          now: result.passed ? 'passed' : 'failed',
+        });
+      }
+    }
+
+    for (const entry of transcript) {
+      const before = previous.transcript?.find((item) => item.turn === entry.turn);
+      if (before && before.message === entry.message && before.reply !== entry.reply) {
+        changes.push({ kind: 'reply', turn: entry.turn, was: before.reply, now: entry.reply });
+      }
+    }
+    return changes;
+  }
+}
+
+const replayService = new ReplayService();
+export default replayService;
@@ -0,0 +1,314 @@
+import { Client } from '../models/Client.js';
+import { ApiUsage } from '../models/ApiUsage.js';
+import { CreditTransaction } from '../models/CreditTransaction.js';
+import { SpendingAlert } from '../models/SpendingAlert.js';
+import { BillingService, BillingError } from './billingService.js';
+import transactionalEmailService from './transactionalEmailService.js';
+import { getPlanConfigAsync } from '../config/planLimits.js';
+import { SPENDING } from '../config/constants.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('Spending');
+
+/**
+ * Thrown for invalid spending settings and credit operations
+ */
+export class SpendingError extends Error {
+  constructor(message, code = 'invalid') {
+    super(message);
+    this.name = 'SpendingError';
+    this.code = code;
+  }
+}
+
+/**
+ * Spending Service
+ *
+ * Monthly cost limits per client. The month's spend (SUM of api_usage
+ * cost_estimate) is compared against:
+ *
+ * - the plan allowance (costLimitUSD) plus the client's prepaid credits, where
+ *   the client's over_limit_action applies: 'block' stops AI replies,
+ *   'degrade' answers with a cheaper model, 'overage' keeps going and bills
+ *   the extra on the invoice;
+ * - the client's own monthly_budget (clients.spending_config), which is a hard
+ *   stop - 'degrade' still degrades, 'overage' blocks.
+ *
+ * Warning emails go out once per period at 50/80/100% of the lower limit.
+ * Credits are bought through a credit purchase invoice and added when it is
+ * paid; invoices use them to pay the overage (see BillingService).
+ */
+class SpendingService {
+  /**
+   * Settings of a client with defaults applied
+   * @returns {Object} { monthly_budget, over_limit_action }
+   */
+  getSettings(client) {
+    const settings = client?.spending_config || {};
+    return {
+      monthly_budget: settings.monthly_budget ?? null,
+      over_limit_action: SPENDING.OVER_LIMIT_ACTIONS.includes(settings.over_limit_action)
+        ? settings.over_limit_action
+        : SPENDING.DEFAULT_ACTION,
+    };
+  }
+
+  /**
+   * Validate spending settings
+   * @returns {Object} { monthly_budget, over_limit_action }
+   */
+  normalizeSettings(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      throw new SpendingError('Spending settings must be an object');
+    }
+
+    let budget = input.monthly_budget ?? null;
+    if (budget !== null && budget !== '') {
+      budget = Number(budget);
+      if (!(budget > 0 && budget <= SPENDING.MAX_BUDGET)) {
+        throw new SpendingError(`Monthly budget must be between 0 and ${SPENDING.MAX_BUDGET} USD`);
+      }
+      budget = BillingService.roundToCents(budget);
+    } else {
+      budget = null;
+    }
+
+    const action = input.over_limit_action ?? SPENDING.DEFAULT_ACTION;
+    if (!SPENDING.OVER_LIMIT_ACTIONS.includes(action)) {
+      throw new SpendingError(
+        `Over-limit action must be one of: ${SPENDING.OVER_LIMIT_ACTIONS.join(', ')}`
+      );
+    }
+
+    return { monthly_budget: budget, over_limit_action: action };
+  }
+
+  /**
+   * Replace a client's settings
+   * @returns {Promise<Object>} Same shape as getSpending()
+   */
+  async updateSettings(clientId, input) {
+    const settings = this.normalizeSettings(input);
+    const client = await Client.updateSpendingConfig(clientId, settings);
+    if (!client) {
+      throw new SpendingError('Client not found', 'not_found');
+    }
+
+    log.info(`Spending settings updated for client ${clientId}`, settings);
+    return this.getSpending(client);
+  }
+
+  /**
+   * This month's spend against the client's limits
+   * @param {Object} client - Client
+   * @returns {Promise<Object>} { settings, period, spent, allowance, credits, limit,
+   *   limitedBy: 'plan'|'budget'|null, percent, exceeded, action }
+   *   (action is what happens now: null within the limits)
+   */
+  async getStatus(client) {
+    const period = this.getPeriod();
+    const [planConfig, spent, credits] = await Promise.all([
+      getPlanConfigAsync(client.plan_type || 'free'),
+      ApiUsage.calculateCost(client.id, `${period}-01`, this.getPeriodEnd(period)),
+      CreditTransaction.getBalance(client.id),
+    ]);
+    const settings = this.getSettings(client);
+    const allowance = planConfig.limits?.costLimitUSD ?? null;
+    const budget = settings.monthly_budget;
+    const planLimit = allowance === null ? null : BillingService.roundToCents(allowance + credits);
+
+    let limitedBy = null;
+    let action = null;
+    if (budget !== null && spent >= budget) {
+      limitedBy = 'budget';
+      action = settings.over_limit_action === 'degrade' ? 'degrade' : 'block';
+    } else if (planLimit !== null && spent >= planLimit) {
+      limitedBy = 'plan';
+      action = settings.over_limit_action;
+    } else if (budget !== null || planLimit !== null) {
+      limitedBy =
+        planLimit === null || (budget !== null && budget <= planLimit) ? 'budget' : 'plan';
+    }
+
+    const limit = limitedBy === 'budget' ? budget : limitedBy === 'plan' ? planLimit : null;
+    let percent = null;
+    if (limit !== null) {
+      percent = limit > 0 ? Math.floor((spent / limit) * 100) : 100;
+    }
+
+    return {
+      settings,
+      period,
+      spent: BillingService.roundToCents(spent),
+      allowance,
+      credits,
+      limit,
+      limitedBy,
+      percent,
+      exceeded: action !== null,
+      action,
+    };
+  }
+
+  /**
+   * Check a client's limits before an AI reply and send due warnings
+   * @param {Object} client - Client
+   * @returns {Promise<Object>} { allowed, client (degraded copy when degrading), status }
+   */
+  async enforce(client) {
+    const status = await this.getStatus(client);
+    this.sendWarnings(client, status).catch((error) => {
+      log.error(`Failed to send spending warning for client ${client.id}`, error);
+    });
+
+    if (status.action === 'block') {
+      return { allowed: false, client, status };
+    }
+    if (status.action === 'degrade') {
+      return { allowed: true, client: this.degrade(client), status };
+    }
+    return { allowed: true, client, status };
+  }
+
+  /**
+   * Copy of a client answering with the cheaper model (without its fallback chain)
+   */
+  degrade(client) {
+    return {
+      ...client,
+      llm_provider: process.env.SPENDING_DEGRADE_PROVIDER || SPENDING.DEGRADE_PROVIDER,
+      model_name: process.env.SPENDING_DEGRADE_MODEL || null,
+      llm_fallbacks: [],
+    };
+  }
+
+  /**
+   * Email the client about the highest warning threshold reached this period,
+   * once per threshold
+   * @returns {Promise<number|null>} Threshold emailed about
+   */
+  async sendWarnings(client, status) {
+    if (status.percent === null) return null;
+
+    const reached = SPENDING.WARNING_THRESHOLDS.filter((threshold) => status.percent >= threshold);
+    if (reached.length === 0) return null;
+
+    const fresh = await SpendingAlert.record(client.id, status.period, reached);
+    if (fresh.length === 0 || !client.email) return null;
+
+    const threshold = Math.max(...fresh);
+    await transactionalEmailService.sendSpendingWarning(client.email, client.name, {
+      threshold,
+      spent: status.spent,
+      limit: status.limit,
+      action:
+        status.limitedBy === 'budget' && status.settings.over_limit_action === 'overage'
+          ? 'block'
+          : status.settings.over_limit_action,
+    });
+    log.info(`Spending warning (${threshold}%) sent to client ${client.id}`);
+    return threshold;
+  }
+
+  /**
+   * Status with the latest credit ledger entries (newest first)
+   * @returns {Promise<Object>} getStatus() fields and transactions
+   */
+  async getSpending(client) {
+    const [status, transactions] = await Promise.all([
+      this.getStatus(client),
+      CreditTransaction.findByClient(client.id, SPENDING.LEDGER_LIMIT),
+    ]);
+    return { ...status, transactions };
+  }
+
+  /**
+   * Grant or correct credits (admin)
+   * @param {number} clientId - Client ID
+   * @param {Object} input - { amount (negative to remove), type: 'grant'|'adjustment', description }
+   * @param {Object} author - { type, id, name }
+   * @returns {Promise<Object>} Same shape as getSpending()
+   */
+  async addCredits(clientId, input = {}, author = null) {
+    const client = await Client.findById(clientId);
+    if (!client) {
+      throw new SpendingError('Client not found', 'not_found');
+    }
+
+    const type = input.type || 'grant';
+    if (!['grant', 'adjustment'].includes(type)) {
+      throw new SpendingError('Type must be grant or adjustment');
+    }
+    const amount = BillingService.roundToCents(Number(input.amount));
+    if (!Number.isFinite(amount) || amount === 0 || Math.abs(amount) > SPENDING.MAX_PURCHASE) {
+      throw new SpendingError(`Amount must be non-zero and at most ${SPENDING.MAX_PURCHASE} USD`);
+    }
+    if (type === 'grant' && amount < 0) {
+      throw new SpendingError('Grants must be positive, use an adjustment to remove credits');
+    }
+    const description = typeof input.description === 'string' ? input.description.trim() : '';
+    if (type === 'adjustment' && !description) {
+      throw new SpendingError('A description is required for adjustments');
+    }
+    if (amount < 0 && (await CreditTransaction.getBalance(client.id)) + amount < 0) {
+      throw new SpendingError('Adjustment exceeds the credit balance');
+    }
+
+    await CreditTransaction.create({
+      clientId: client.id,
+      amount,
+      type,
+      description: description.slice(0, 255) || null,
+      createdBy: author?.name ?? null,
+    });
+    log.info(`Credits ${type} of ${amount} USD for client ${client.id}`);
+    return this.getSpending(client);
+  }
+
+  /**
+   * Buy credits: creates a credit purchase invoice, credited when paid
+   * @param {Object} client - Client
+   * @param {number} amount - USD
+   * @returns {Promise<Object>} Invoice (with line_items)
+   */
+  async purchaseCredits(client, amount) {
+    const value = Number(amount);
+    if (!(value >= SPENDING.MIN_PURCHASE && value <= SPENDING.MAX_PURCHASE)) {
+      throw new SpendingError(
+        `Credit purchases must be between ${SPENDING.MIN_PURCHASE} and ${SPENDING.MAX_PURCHASE} USD`
+      );
+    }
+
+    let invoice;
+    try {
+      invoice = await BillingService.createCreditPurchaseInvoice(
+        client,
+        BillingService.roundToCents(value)
+      );
+    } catch (error) {
+      // Unsupported billing currency or missing exchange rate
+      if (error instanceof BillingError) throw new SpendingError(error.message);
+      throw error;
+    }
+    log.info(`Credit purchase invoice ${invoice.invoice_number} created for client ${client.id}`);
+    return invoice;
+  }
+
+  /**
+   * Current billing period (YYYY-MM, UTC like api_usage.date)
+   */
+  getPeriod() {
+    return new Date().toISOString().slice(0, 7);
+  }
+
+  /**
+   * Last day of a billing period (YYYY-MM-DD)
+   */
+  getPeriodEnd(period) {
+    const [year, month] = period.split('-').map(Number);
+    return new Date(Date.UTC(year, month, 0)).toISOString().slice(0, 10);
+  }
+}
+
+const spendingService = new SpendingService();
+export default spendingService;
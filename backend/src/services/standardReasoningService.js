@@ -9,11 +9,12 @@ import llmService from './llmService.js';
 import toolManager from './toolManager.js';
 import toolExecutionService from './toolExecutionService.js';
 import escalationService from './escalationService.js';
+import replaySandbox from './replaySandbox.js';
 import { Message } from '../models/Message.js';
 import { ApiUsage } from '../models/ApiUsage.js';
 import { getContextualSystemPrompt } from '../prompts/systemPrompt.js';
 import { createLogger } from '../utils/logger.js';
-import { LIMITS } from '../config/constants.js';
+import { LIMITS, RESPONSE_BLOCKS } from '../config/constants.js';
 import {
   ACTION_CLAIM_WORDS,
   TOOL_SIMULATION_PHRASES,
@@ -30,10 +31,18 @@ class StandardReasoningService {
    * @param {string} userMessage - User's message
    * @param {Array} messages - Prepared messages array with context
    * @param {Object} options - Additional options
+   * @param {Function} options.onToken - Stream text deltas of the reply as they are generated
+   * @param {Function} options.onReset - Called when already-streamed text is discarded
+   *   (the iteration turned into a tool call or a retry)
    * @returns {Promise<Object>} Processing result
    */
   async processStandardMessage(conversation, client, userMessage, messages, options = {}) {
-    const { maxToolIterations = 3, isNewConversation = false } = options;
+    const {
+      maxToolIterations = 3,
+      isNewConversation = false,
+      onToken = null,
+      onReset = null,
+    } = options;
     const effectiveProvider = client.llm_provider || 'ollama';
     const effectiveModel = client.model_name || null;
 
@@ -42,6 +51,7 @@ class StandardReasoningService {
 
     // Track tool usage and tokens
     const toolsUsed = [];
+    const toolResults = []; // Returned data, for widget cards
     let totalTokens = 0;
     let totalTokensInput = 0;
     let totalTokensOutput = 0;
@@ -49,6 +59,7 @@ class StandardReasoningService {
     let finalResponse = null;
     let lastLLMResponse = null;
     let lastExecutedToolKeys = null;
+    let streamGuard = null;
 
     // Format tools for LLM
     const formattedTools = toolManager.formatToolsForLLM(clientTools, effectiveProvider);
@@ -77,6 +88,12 @@ class StandardReasoningService {
     while (iterationCount < maxToolIterations) {
       iterationCount++;
 
+      // Text streamed by the previous iteration was not the final answer
+      if (streamGuard?.hasEmitted() && onReset) {
+        onReset();
+      }
+      streamGuard = onToken ? this._createStreamGuard(onToken) : null;
+
       // Call LLM
       let llmResponse;
       try {
@@ -84,10 +101,14 @@ class StandardReasoningService {
           tools: llmService.supportsNativeFunctionCalling(effectiveProvider)
             ? formattedTools
             : null,
+          stream: Boolean(streamGuard),
+          onToken: streamGuard?.onToken,
           maxTokens: 2048,
           temperature: 0.3,
           model: effectiveModel,
           provider: effectiveProvider,
+          redaction: client.redaction_config,
+          fallbacks: client.llm_fallbacks,
         });
       } catch (llmError) {
         log.error(`LLM call failed on iteration ${iterationCount}`, llmError);
@@ -99,6 +120,7 @@ class StandardReasoningService {
         throw llmError;
       }
 
+      streamGuard?.flush();
       lastLLMResponse = llmResponse;
       totalTokens += llmResponse.tokens.total;
 
@@ -217,6 +239,9 @@ class StandardReasoningService {
             success: result.success,
             executionTime: result.executionTime,
           });
+          if (result.data) {
+            toolResults.push(result.data);
+          }
         }
       }
 
@@ -237,6 +262,7 @@ class StandardReasoningService {
     return {
       response: finalResponse,
       toolsUsed,
+      toolResults,
       totalTokens,
       totalTokensInput,
       totalTokensOutput,
@@ -271,6 +297,7 @@ class StandardReasoningService {
     const {
       response,
       toolsUsed,
+      toolResults = [],
       totalTokens,
       totalTokensInput,
       totalTokensOutput,
@@ -291,25 +318,27 @@ class StandardReasoningService {
     messages.push({ role: 'assistant', content: response });
     await updateContext(sessionId, conversation.id, messages);
 
-    // Record usage for billing/analytics
-    try {
-      const tokensInput = totalTokensInput || Math.floor(totalTokens * 0.7);
-      const tokensOutput = totalTokensOutput || Math.floor(totalTokens * 0.3);
-      const toolCallsCount = toolsUsed.length;
-
-      log.debug(
-        `Recording usage: client=${client.id}, tokens=${tokensInput + tokensOutput}, tools=${toolCallsCount}`
-      );
-      await ApiUsage.recordUsage(
-        client.id,
-        tokensInput,
-        tokensOutput,
-        toolCallsCount,
-        isNewConversation,
-        { isAdaptive: false, critiqueTriggered: false, contextFetchCount: 0 }
-      );
-    } catch (usageError) {
-      log.error('Failed to record usage', usageError);
+    // Record usage for billing/analytics (conversation replays are not billed)
+    if (!replaySandbox.isActive()) {
+      try {
+        const tokensInput = totalTokensInput || Math.floor(totalTokens * 0.7);
+        const tokensOutput = totalTokensOutput || Math.floor(totalTokens * 0.3);
+        const toolCallsCount = toolsUsed.length;
+
+        log.debug(
+          `Recording usage: client=${client.id}, tokens=${tokensInput + tokensOutput}, tools=${toolCallsCount}`
+        );
+        await ApiUsage.recordUsage(
+          client.id,
+          tokensInput,
+          tokensOutput,
+          toolCallsCount,
+          isNewConversation,
+          { isAdaptive: false, critiqueTriggered: false, contextFetchCount: 0 }
+        );
+      } catch (usageError) {
+        log.error('Failed to record usage', usageError);
+      }
     }
 
     // Auto-detect escalation needs
@@ -323,6 +352,7 @@ class StandardReasoningService {
     return {
       response,
       toolsUsed,
+      toolResults,
       tokensUsed: totalTokens,
       conversationId: conversation.id,
       iterations: iterationCount,
@@ -330,6 +360,61 @@ class StandardReasoningService {
     };
   }
 
+  /**
+   * Wrap a token callback so prompt-engineered tool syntax (Ollama's USE_TOOL format)
+   * and response block directives ([[quick_replies: ...]]) never reach the user.
+   * Text is forwarded until a marker appears; a trailing fragment that could be
+   * the start of a marker is held back until the next delta, or until flush()
+   * when the stream ends.
+   * @private
+   */
+  _createStreamGuard(onToken) {
+    const markers = ['USE_TOOL', RESPONSE_BLOCKS.MARKER_PREFIX];
+    let buffer = '';
+    let forwarded = 0;
+    let blocked = false;
+
+    return {
+      onToken: (text) => {
+        if (blocked) return;
+        buffer += text;
+
+        const upper = buffer.toUpperCase();
+        let safeEnd = buffer.length;
+        const markerIndex = Math.min(
+          ...markers.map((marker) => upper.indexOf(marker)).filter((index) => index !== -1)
+        );
+
+        if (Number.isFinite(markerIndex)) {
+          blocked = true;
+          safeEnd = markerIndex;
+        } else {
+          for (const marker of markers) {
+            for (let len = Math.min(marker.length - 1, upper.length); len > 0; len--) {
+              if (marker.startsWith(upper.slice(-len))) {
+                safeEnd = Math.min(safeEnd, buffer.length - len);
+                break;
+              }
+            }
+          }
+        }
+
+        if (safeEnd > forwarded) {
+          onToken(buffer.slice(forwarded, safeEnd));
+          forwarded = safeEnd;
+        }
+      },
+      // Stream finished: a held-back fragment that never became a marker is text
+      flush: () => {
+        if (!blocked && buffer.length > forwarded) {
+          onToken(buffer.slice(forwarded));
+          forwarded = buffer.length;
+        }
+      },
+      hasEmitted: () => forwarded > 0,
+    };
+  }
+
   /**
    * Check if LLM is hallucinating tool usage
    * @private
@@ -1,17 +1,20 @@
 /**
  * Tool Execution Service
  *
- * Handles tool execution via n8n webhooks and response generation.
+ * Handles tool execution (n8n webhooks or the built-in HTTP executor) and response generation.
  * Unified service for both Standard and Adaptive reasoning modes.
  */
 
 import llmService from './llmService.js';
 import n8nService from './n8nService.js';
+import httpToolExecutor from './httpToolExecutor.js';
 import integrationService from './integrationService.js';
 import toolManager from './toolManager.js';
 import { ToolExecution } from '../models/ToolExecution.js';
 import { Message } from '../models/Message.js';
 import { RedisCache } from './redisCache.js';
+import webhookService from './webhookService.js';
+import replaySandbox from './replaySandbox.js';
 import { ADAPTIVE_REASONING, ENV, LIMITS } from '../config/constants.js';
 import { REASON_CODES } from '../constants/reasonCodes.js';
 import { createLogger } from '../utils/logger.js';
@@ -144,11 +147,9 @@ class ToolExecutionService {
         console.log(`[Tool Execution] Tool ${toolName} has no required integrations`);
       }
 
-      // Execute via n8n
-      console.log(`[Tool Execution] Calling n8n webhook for: ${toolName}`);
-      const result = await n8nService.executeTool(tool.n8n_webhook_url, toolParams, {
-        integrations,
-      });
+      // Execute via n8n or the built-in HTTP executor
+      console.log(`[Tool Execution] Running ${toolName} via ${tool.executor || 'n8n'}`);
+      const result = await this.runTool(tool, toolParams, { integrations });
 
       // Handle blocked tools (placeholder values detected)
       if (result.blocked) {
@@ -170,6 +171,7 @@ class ToolExecutionService {
         result.success,
         result.executionTimeMs
       );
+      this._emitToolEvent(clientId, conversationId, toolName, toolParams, result);
 
       if (!result.success) {
         await Message.createDebug(
@@ -287,6 +289,8 @@ Instructions:
         temperature: ADAPTIVE_REASONING.DEFAULT_TEMPERATURE,
         provider: client.llm_provider,
         model: client.model_name,
+        redaction: client.redaction_config,
+        fallbacks: client.llm_fallbacks,
       });
 
       return response.content || this.basicFormatToolResult(toolResult);
@@ -536,8 +540,8 @@ Instructions:
         }
       }
 
-      // Execute via n8n
-      result = await n8nService.executeTool(tool.n8n_webhook_url, finalArgs, { integrations });
+      // Execute via n8n or the built-in HTTP executor
+      result = await this.runTool(tool, finalArgs, { integrations });
 
       // Handle blocked tools (placeholder values detected)
       if (result.blocked) {
@@ -560,6 +564,7 @@ Instructions:
         result.success,
         result.executionTimeMs
       );
+      this._emitToolEvent(client.id, conversation.id, name, finalArgs, result);
     } finally {
       await RedisCache.releaseLock(lockKey);
     }
@@ -606,8 +611,43 @@ Instructions:
       success: result.success,
       name,
       executionTime: result.executionTimeMs,
+      data: result.success ? result.data : null,
     };
   }
+
+  /**
+   * Run a client tool with the executor it selects
+   * @param {Object} tool - Client tool (n8n_webhook_url, executor, http_config)
+   * @param {Object} params - Tool parameters
+   * @param {Object} options - { integrations }
+   * @returns {Object} { success, data, executionTimeMs, error, blocked? }
+   */
+  async runTool(tool, params, options = {}) {
+    // Conversation replays answer from the scenario's mocked responses
+    const replay = replaySandbox.current();
+    if (replay) {
+      return replay.runTool(tool.tool_name, params);
+    }
+    if (tool.executor === 'http') {
+      return httpToolExecutor.executeTool(tool.http_config, params, options);
+    }
+    return n8nService.executeTool(tool.n8n_webhook_url, params, options);
+  }
+
+  /**
+   * Notify webhook subscribers of a tool call
+   * @private
+   */
+  _emitToolEvent(clientId, conversationId, toolName, params, result) {
+    webhookService.emit(clientId, result.success ? 'tool.executed' : 'tool.failed', {
+      conversation_id: conversationId,
+      tool: toolName,
+      parameters: params,
+      success: result.success,
+      execution_time_ms: result.executionTimeMs ?? null,
+      ...(!result.success && { error: result.error || null }),
+    });
+  }
 }
 
 // Export singleton
@@ -0,0 +1,243 @@
+import { ToolPolicy } from '../models/ToolPolicy.js';
+import { ToolPolicyChange } from '../models/ToolPolicyChange.js';
+import { ClientTool } from '../models/ClientTool.js';
+import { PARAMETER_RULE_OPERATORS, PARAMETER_RULE_ACTIONS } from '../config/toolPolicies.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Thrown when a policy body is invalid or targets a tool the client does not have
+ */
+export class ToolPolicyError extends Error {
+  constructor(message, code = 'invalid_policy') {
+    super(message);
+    this.name = 'ToolPolicyError';
+    this.code = code;
+  }
+}
+
+const POLICY_FIELDS = [
+  'max_confidence',
+  'is_destructive',
+  'requires_confirmation',
+  'confirmation_phrases',
+  'destructive_phrases',
+  'parameter_rules',
+];
+
+/**
+ * Tool Policy Service
+ *
+ * Manages client and client-tool overrides of the tool safety policies in
+ * config/toolPolicies.js. Adaptive mode loads them once per message with
+ * getClientPolicies and resolves them with resolveToolPolicy. Every change is
+ * recorded in tool_policy_changes.
+ */
+class ToolPolicyService {
+  /**
+   * Load a client's policies in the shape resolveToolPolicy expects
+   * @param {number} clientId - Client ID
+   * @returns {Promise<object>} { client, tools: { [clientToolId]: policy } }
+   */
+  async getClientPolicies(clientId) {
+    const rows = await ToolPolicy.findByClient(clientId);
+    const policies = { client: null, tools: {} };
+
+    for (const row of rows) {
+      if (row.client_tool_id) {
+        policies.tools[row.client_tool_id] = row;
+      } else {
+        policies.client = row;
+      }
+    }
+    return policies;
+  }
+
+  /**
+   * Custom confirmation phrases that may confirm a pending call of one tool:
+   * the client-level phrases plus that tool's own
+   * @param {object} policies - Result of getClientPolicies
+   * @param {string} toolName - Tool of the pending intent
+   * @returns {string[]}
+   */
+  getConfirmationPhrases(policies, toolName) {
+    if (!policies) return [];
+    const toolPolicy = Object.values(policies.tools || {}).find(
+      (policy) => policy.tool_name === toolName
+    );
+    const levels = [policies.client, toolPolicy];
+    return [...new Set(levels.flatMap((policy) => policy?.confirmation_phrases || []))];
+  }
+
+  /**
+   * Validate and normalize a policy body
+   * Missing or null scalar fields mean "inherit".
+   * @param {object} body - Policy from the admin API
+   * @returns {object} Normalized policy
+   * @throws {ToolPolicyError}
+   */
+  validatePolicy(body = {}) {
+    const policy = {
+      max_confidence: body.max_confidence ?? null,
+      is_destructive: body.is_destructive ?? null,
+      requires_confirmation: body.requires_confirmation ?? null,
+      confirmation_phrases: this._normalizePhrases(
+        body.confirmation_phrases,
+        'confirmation_phrases'
+      ),
+      destructive_phrases: this._normalizePhrases(body.destructive_phrases, 'destructive_phrases'),
+      parameter_rules: this._normalizeRules(body.parameter_rules),
+    };
+
+    if (policy.max_confidence !== null) {
+      const value = Number(policy.max_confidence);
+      if (!Number.isInteger(value) || value < 1 || value > 10) {
+        throw new ToolPolicyError('max_confidence must be an integer between 1 and 10');
+      }
+      policy.max_confidence = value;
+    }
+    for (const field of ['is_destructive', 'requires_confirmation']) {
+      if (policy[field] !== null && typeof policy[field] !== 'boolean') {
+        throw new ToolPolicyError(`${field} must be true, false or null`);
+      }
+    }
+
+    return policy;
+  }
+
+  _normalizePhrases(phrases, field) {
+    if (phrases === undefined || phrases === null) return [];
+    if (!Array.isArray(phrases) || phrases.some((phrase) => typeof phrase !== 'string')) {
+      throw new ToolPolicyError(`${field} must be a list of strings`);
+    }
+    return [...new Set(phrases.map((phrase) => phrase.trim()).filter(Boolean))];
+  }
+
+  _normalizeRules(rules) {
+    if (rules === undefined || rules === null) return [];
+    if (!Array.isArray(rules)) {
+      throw new ToolPolicyError('parameter_rules must be a list');
+    }
+
+    return rules.map((rule, index) => {
+      const label = `parameter_rules[${index}]`;
+      if (!rule || typeof rule.param !== 'string' || !rule.param.trim()) {
+        throw new ToolPolicyError(`${label}.param is required`);
+      }
+      if (!PARAMETER_RULE_OPERATORS.includes(rule.operator)) {
+        throw new ToolPolicyError(
+          `${label}.operator must be one of: ${PARAMETER_RULE_OPERATORS.join(', ')}`
+        );
+      }
+      if (!PARAMETER_RULE_ACTIONS.includes(rule.action)) {
+        throw new ToolPolicyError(
+          `${label}.action must be one of: ${PARAMETER_RULE_ACTIONS.join(', ')}`
+        );
+      }
+      if (rule.value === undefined || rule.value === null || rule.value === '') {
+        throw new ToolPolicyError(`${label}.value is required`);
+      }
+      if (['gt', 'gte', 'lt', 'lte'].includes(rule.operator) && Number.isNaN(Number(rule.value))) {
+        throw new ToolPolicyError(`${label}.value must be a number for ${rule.operator}`);
+      }
+
+      return {
+        param: rule.param.trim(),
+        operator: rule.operator,
+        value: rule.value,
+        action: rule.action,
+        ...(rule.message && { message: String(rule.message) }),
+      };
+    });
+  }
+
+  /**
+   * Find the client tool a per-tool policy targets
+   * @throws {ToolPolicyError} When the client does not have the tool
+   */
+  async _getClientTool(clientId, clientToolId) {
+    const tools = await ClientTool.getAllTools(clientId);
+    const clientTool = tools.find((tool) => String(tool.id) === String(clientToolId));
+    if (!clientTool) {
+      throw new ToolPolicyError('Tool not found for this client', 'not_found');
+    }
+    return clientTool;
+  }
+
+  /**
+   * Create or replace a policy and record the change
+   * @param {number} clientId - Client ID
+   * @param {number|null} clientToolId - ClientTool ID, or null for the client-wide policy
+   * @param {object} body - Policy fields
+   * @param {string} changedBy - Admin username
+   * @returns {Promise<object>} Saved policy
+   */
+  async savePolicy(clientId, clientToolId, body, changedBy = null) {
+    const policy = this.validatePolicy(body);
+    const clientTool = clientToolId ? await this._getClientTool(clientId, clientToolId) : null;
+
+    const previous = await ToolPolicy.find(clientId, clientTool?.id ?? null);
+    const saved = await ToolPolicy.upsert(clientId, clientTool?.id ?? null, policy, changedBy);
+
+    await ToolPolicyChange.create({
+      clientId,
+      clientToolId: clientTool?.id ?? null,
+      toolName: clientTool?.tool_name ?? null,
+      action: previous ? 'updated' : 'created',
+      previous: previous ? this._snapshot(previous) : null,
+      current: this._snapshot(saved),
+      changedBy,
+    });
+
+    logger.log(`[ToolPolicy] Policy ${previous ? 'updated' : 'created'}`, {
+      clientId,
+      tool: clientTool?.tool_name || '(client-wide)',
+      changedBy,
+    });
+    return saved;
+  }
+
+  /**
+   * Delete a policy (the level inherits again) and record the change
+   * @returns {Promise<object|null>} Deleted policy, or null if there was none
+   */
+  async deletePolicy(clientId, clientToolId, changedBy = null) {
+    const clientTool = clientToolId ? await this._getClientTool(clientId, clientToolId) : null;
+    const existing = await ToolPolicy.find(clientId, clientTool?.id ?? null);
+    if (!existing) {
+      return null;
+    }
+
+    await ToolPolicy.delete(existing.id);
+    await ToolPolicyChange.create({
+      clientId,
+      clientToolId: clientTool?.id ?? null,
+      toolName: clientTool?.tool_name ?? null,
+      action: 'deleted',
+      previous: this._snapshot(existing),
+      current: null,
+      changedBy,
+    });
+
+    logger.log('[ToolPolicy] Policy deleted', {
+      clientId,
+      tool: clientTool?.tool_name || '(client-wide)',
+      changedBy,
+    });
+    return existing;
+  }
+
+  /**
+   * Policy changes of a client, newest first
+   */
+  async getAuditLog(clientId, options = {}) {
+    return ToolPolicyChange.findByClient(clientId, options);
+  }
+
+  _snapshot(row) {
+    return Object.fromEntries(POLICY_FIELDS.map((field) => [field, row[field] ?? null]));
+  }
+}
+
+// Export singleton instance
+export const toolPolicyService = new ToolPolicyService();
+export default toolPolicyService;
@@ -159,6 +159,27 @@ class TransactionalEmailService {
     }
   }
 
+  /**
+   * Escape user-supplied text for inclusion in an HTML email
+   */
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Format an amount in a currency (e.g. $12.50, €12.50, ₪12.50)
+   */
+  formatMoney(amount, currency = 'USD') {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(
+      parseFloat(amount) || 0
+    );
+  }
+
   /**
    * Simple HTML to text conversion
    */
@@ -243,10 +264,51 @@ ${this.platformName}
    * Send invoice email
    * @param {string} to - Client email
    * @param {string} clientName - Client name
-   * @param {object} invoice - Invoice details
+   * @param {object} invoice - Invoice details: invoice_number, billing_period_start/end, due_date,
+   *   status, total_amount, and for itemized invoices currency, line_items, subtotal, tax_rate,
+   *   tax_amount, customer_tax_id, amount_credited, credit_notes and seller ({ name, address, taxId })
    */
   async sendInvoice(to, clientName, invoice) {
+    const currency = invoice.currency || 'USD';
+    const money = (amount) => this.formatMoney(amount, currency);
+    const lineItems = invoice.line_items || [];
+    const creditNotes = invoice.credit_notes || [];
+    const taxAmount = parseFloat(invoice.tax_amount) || 0;
+    const amountCredited = parseFloat(invoice.amount_credited) || 0;
+    const amountDue = (parseFloat(invoice.total_amount) || 0) - amountCredited;
+    const seller = invoice.seller || {};
+
     const subject = `Invoice #${invoice.invoice_number} - ${this.platformName}`;
+    const totalRows = [
+      lineItems.length > 0 && ['Subtotal', money(invoice.subtotal ?? invoice.total_amount)],
+      (lineItems.length > 0 || taxAmount > 0) && [
+        `Tax (${parseFloat(invoice.tax_rate) || 0}%)`,
+        money(taxAmount),
+      ],
+      ['Total', money(invoice.total_amount)],
+      ...creditNotes.map((note) => [
+        `Credit note ${note.credit_note_number}`,
+        `-${money(note.total)}`,
+      ]),
+    ].filter(Boolean);
+    const rows = [
+      ...lineItems.map((item) => [this.escapeHtml(item.description), money(item.amount)]),
+      ...totalRows.map(([label, value]) => [`<strong>${label}</strong>`, value]),
+    ];
+    const breakdownTable =
+      rows.length > 1
+        ? `<table>${rows
+            .map(
+              ([label, value]) =>
+                `<tr><td>${label}</td><td style="text-align: right;">${value}</td></tr>`
+            )
+            .join('')}</table>`
+        : '';
+    const taxIds = [
+      seller.taxId && `${seller.name} tax ID: ${seller.taxId}`,
+      invoice.customer_tax_id && `Your tax ID: ${invoice.customer_tax_id}`,
+    ].filter(Boolean);
+
     const htmlBody = `
 <!DOCTYPE html>
 <html>
@@ -261,6 +323,7 @@ ${this.platformName}
         .status { display: inline-block; padding: 4px 12px; border-radius: 12px; font-size: 12px; font-weight: bold; }
         .status-pending { background: #fef3c7; color: #92400e; }
         .status-paid { background: #d1fae5; color: #065f46; }
+        .parties { font-size: 12px; color: #666; }
         table { width: 100%; border-collapse: collapse; margin: 15px 0; }
         td { padding: 8px 0; border-bottom: 1px solid #e5e7eb; }
         .footer { text-align: center; margin-top: 20px; color: #666; font-size: 12px; }
@@ -293,10 +356,12 @@ ${this.platformName}
                         <td style="text-align: right;"><span class="status status-${invoice.status}">${invoice.status.toUpperCase()}</span></td>
                     </tr>
                 </table>
+                ${breakdownTable}
                 <div style="text-align: center; margin-top: 20px;">
                     <p style="margin: 0; color: #666;">Amount Due</p>
-                    <p class="amount">$${parseFloat(invoice.total_amount).toFixed(2)}</p>
+                    <p class="amount">${money(amountDue)}</p>
                 </div>
+                ${taxIds.length > 0 ? `<p class="parties">${taxIds.map((line) => this.escapeHtml(line)).join('<br>')}</p>` : ''}
             </div>
             <p>View detailed billing information in your <a href="${process.env.CUSTOMER_DASHBOARD_URL || 'http://localhost:3003'}/billing">Customer Dashboard</a>.</p>
         </div>
@@ -308,6 +373,11 @@ ${this.platformName}
 </html>
         `;
 
+    const textLines = [
+      ...lineItems.map((item) => `${item.description}: ${money(item.amount)}`),
+      ...totalRows.map(([label, value]) => `${label}: ${value}`),
+    ].join('\n');
+
     const textBody = `
 Hello ${clientName},
 
@@ -318,7 +388,10 @@ Billing Period: ${new Date(invoice.billing_period_start).toLocaleDateString()} -
 Due Date: ${new Date(invoice.due_date).toLocaleDateString()}
 Status: ${invoice.status.toUpperCase()}
 
-Amount Due: $${parseFloat(invoice.total_amount).toFixed(2)}
+${textLines}
+
+Amount Due: ${money(amountDue)}
+${taxIds.join('\n')}
 
 View detailed billing information in your Customer Dashboard.
 
@@ -409,7 +482,7 @@ ${this.platformName}
                 <strong>Channel:</strong> ${escalation.channel || 'Widget'}<br>
                 <strong>Time:</strong> ${new Date(escalation.escalated_at).toLocaleString()}
             </div>
-            ${escalation.customer_message ? `<p><strong>Customer's Last Message:</strong></p><blockquote style="background: white; padding: 15px; border-left: 3px solid #ccc; margin: 15px 0;">${escalation.customer_message}</blockquote>` : ''}
+            ${escalation.customer_message ? `<p><strong>Customer's Last Message:</strong></p><blockquote style="background: white; padding: 15px; border-left: 3px solid #ccc; margin: 15px 0;">${this.escapeHtml(escalation.customer_message)}</blockquote>` : ''}
             <p><a href="${process.env.ADMIN_DASHBOARD_URL || 'http://localhost:3002'}/escalations" class="btn">View in Dashboard</a></p>
         </div>
         <div class="footer">
@@ -423,6 +496,119 @@ ${this.platformName}
     return this.sendEmail(to, subject, htmlBody);
   }
 
+  /**
+   * Send a monthly spending warning (50/80/100% of the limit)
+   * @param {string} to - Client email
+   * @param {string} clientName - Client name
+   * @param {object} warning - { threshold, spent, limit, action }
+   */
+  async sendSpendingWarning(to, clientName, warning) {
+    const reached = warning.threshold >= 100;
+    const subject = reached
+      ? 'Monthly spending limit reached'
+      : `You've used ${warning.threshold}% of your monthly spending limit`;
+    const consequences = {
+      block:
+        'AI replies are paused until the next billing period, a higher budget or more credits.',
+      degrade: 'AI replies continue with a lower-cost model until the next billing period.',
+      overage: 'AI replies continue and the extra usage is billed on your next invoice.',
+    };
+    const dashboardUrl = `${process.env.CUSTOMER_DASHBOARD_URL || 'http://localhost:3003'}/billing`;
+    const htmlBody = `
+<!DOCTYPE html>
+<html>
+<head>
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: linear-gradient(135deg, #f59e0b 0%, #d97706 100%); color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+        .content { background: #f9fafb; padding: 30px; border-radius: 0 0 8px 8px; }
+        .alert-box { background: #fef3c7; border-left: 4px solid #f59e0b; padding: 15px; margin: 20px 0; }
+        .btn { display: inline-block; padding: 12px 24px; background: #f59e0b; color: white; text-decoration: none; border-radius: 6px; font-weight: bold; }
+        .footer { text-align: center; margin-top: 20px; color: #666; font-size: 12px; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>${reached ? 'Spending Limit Reached' : 'Spending Warning'}</h1>
+        </div>
+        <div class="content">
+            <h2>Hello ${this.escapeHtml(clientName)},</h2>
+            <div class="alert-box">
+                <strong>Spent this month:</strong> ${this.formatMoney(warning.spent)} of ${this.formatMoney(warning.limit)} (${warning.threshold}%)
+            </div>
+            ${reached ? `<p>${consequences[warning.action] || consequences.block}</p>` : '<p>You can raise your budget or buy credits before the limit is reached.</p>'}
+            <p><a href="${dashboardUrl}" class="btn">Manage Spending</a></p>
+        </div>
+        <div class="footer">
+            <p>&copy; ${new Date().getFullYear()} ${this.platformName}. All rights reserved.</p>
+        </div>
+    </div>
+</body>
+</html>
+        `;
+
+    return this.sendEmail(to, subject, htmlBody);
+  }
+
+  /**
+   * Send a customer dashboard invitation
+   * @param {string} to - Invitee email
+   * @param {string} clientName - Client business name
+   * @param {object} invite - { inviterName, role, url, expiresAt }
+   */
+  async sendUserInvitation(to, clientName, invite) {
+    const subject = `You're invited to the ${clientName} dashboard`;
+    const inviter = invite.inviterName ? this.escapeHtml(invite.inviterName) : 'Your team';
+    const htmlBody = `
+<!DOCTYPE html>
+<html>
+<head>
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+        .content { background: #f9fafb; padding: 30px; border-radius: 0 0 8px 8px; }
+        .btn { display: inline-block; padding: 12px 24px; background: #667eea; color: white; text-decoration: none; border-radius: 6px; font-weight: bold; }
+        .footer { text-align: center; margin-top: 20px; color: #666; font-size: 12px; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>${this.platformName}</h1>
+        </div>
+        <div class="content">
+            <h2>Hello,</h2>
+            <p>${inviter} invited you to the <strong>${this.escapeHtml(clientName)}</strong> customer dashboard as <strong>${invite.role}</strong>.</p>
+            <p><a href="${invite.url}" class="btn">Accept Invitation</a></p>
+            <p>This link expires on ${new Date(invite.expiresAt).toLocaleDateString()}.</p>
+        </div>
+        <div class="footer">
+            <p>&copy; ${new Date().getFullYear()} ${this.platformName}. All rights reserved.</p>
+        </div>
+    </div>
+</body>
+</html>
+        `;
+
+    const textBody = `
+Hello,
+
+${invite.inviterName || 'Your team'} invited you to the ${clientName} customer dashboard as ${invite.role}.
+
+Accept the invitation: ${invite.url}
+
+This link expires on ${new Date(invite.expiresAt).toLocaleDateString()}.
+
+Best regards,
+${this.platformName}
+        `;
+
+    return this.sendEmail(to, subject, htmlBody, textBody);
+  }
+
   /**
    * Send welcome email to new client
    * @param {string} to - Client email
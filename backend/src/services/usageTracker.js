@@ -99,6 +99,10 @@ export class UsageTracker {
         SUM(adaptive_count) as adaptive_count,
         SUM(critique_count) as critique_count,
         SUM(context_fetch_count) as context_fetch_count,
+        SUM(answer_cache_lookups) as answer_cache_lookups,
+        SUM(answer_cache_hits) as answer_cache_hits,
+        SUM(answer_cache_tokens_saved) as answer_cache_tokens_saved,
+        SUM(answer_cache_cost_saved) as answer_cache_cost_saved,
         COUNT(DISTINCT date) as active_days
        FROM api_usage
        WHERE client_id = $1
@@ -107,6 +111,8 @@ export class UsageTracker {
     );
 
     const usage = result.rows[0];
+    const cacheLookups = parseInt(usage.answer_cache_lookups, 10) || 0;
+    const cacheHits = parseInt(usage.answer_cache_hits, 10) || 0;
 
     return {
       conversations: parseInt(usage.conversations, 10) || 0,
@@ -123,6 +129,13 @@ export class UsageTracker {
         critiqueTriggers: parseInt(usage.critique_count, 10) || 0,
         contextFetches: parseInt(usage.context_fetch_count, 10) || 0,
       },
+      answerCache: {
+        lookups: cacheLookups,
+        hits: cacheHits,
+        hitRate: cacheLookups > 0 ? Math.round((cacheHits / cacheLookups) * 100) : 0,
+        tokensSaved: parseInt(usage.answer_cache_tokens_saved, 10) || 0,
+        costSaved: parseFloat(usage.answer_cache_cost_saved) || 0,
+      },
       activeDays: parseInt(usage.active_days, 10) || 0,
       period,
     };
@@ -159,6 +172,41 @@ export class UsageTracker {
     }));
   }
 
+  /**
+   * Get LLM usage per provider and model, including calls served by a fallback
+   * @param {number} clientId - Client ID
+   * @param {string} period - Time period
+   * @returns {Promise<Array>} [{ provider, model, calls, tokensInput, tokensOutput, failovers }]
+   */
+  static async getProviderUsageBreakdown(clientId, period = 'month') {
+    const dateFilter = this.getDateFilter(period);
+
+    const result = await db.query(
+      `SELECT
+        provider,
+        model,
+        SUM(call_count) as calls,
+        SUM(tokens_input) as tokens_input,
+        SUM(tokens_output) as tokens_output,
+        SUM(failover_count) as failovers
+       FROM api_usage_providers
+       WHERE client_id = $1
+       AND date >= ${dateFilter}
+       GROUP BY provider, model
+       ORDER BY calls DESC`,
+      [clientId]
+    );
+
+    return result.rows.map((row) => ({
+      provider: row.provider,
+      model: row.model || null,
+      calls: parseInt(row.calls, 10),
+      tokensInput: parseInt(row.tokens_input, 10),
+      tokensOutput: parseInt(row.tokens_output, 10),
+      failovers: parseInt(row.failovers, 10),
+    }));
+  }
+
   /**
    * Compare usage between two periods
    * @param {number} clientId - Client ID
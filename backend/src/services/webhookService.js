@@ -0,0 +1,469 @@
+import crypto from 'crypto';
+import net from 'net';
+import { WebhookSubscription } from '../models/WebhookSubscription.js';
+import { WebhookDelivery } from '../models/WebhookDelivery.js';
+import { WEBHOOKS, ENV } from '../config/constants.js';
+import { createLogger } from '../utils/logger.js';
+import { createPublicAgent, isPrivateAddress, resolvePublicHost } from '../utils/publicHost.js';
+import replaySandbox from './replaySandbox.js';
+
+const log = createLogger('Webhooks');
+
+/**
+ * Thrown when a subscription body is invalid or a subscription/delivery cannot be found
+ */
+export class WebhookError extends Error {
+  constructor(message, code = 'invalid_webhook') {
+    super(message);
+    this.name = 'WebhookError';
+    this.code = code;
+  }
+}
+
+// Names that always point at the platform itself
+const LOCAL_HOST_PATTERN = /(^|\.)localhost$/i;
+
+/**
+ * Webhook Service
+ *
+ * Delivers platform events (conversation, escalation, tool and invoice events)
+ * to the URLs clients subscribe in the customer dashboard.
+ *
+ * Each request carries:
+ *   X-CSAI-Event      event type
+ *   X-CSAI-Delivery   delivery ID (stays the same across retries)
+ *   X-CSAI-Timestamp  unix seconds when the attempt was signed
+ *   X-CSAI-Signature  sha256=HMAC-SHA256(secret, `${timestamp}.${body}`) in hex
+ *
+ * Failed deliveries are retried with exponential backoff by the scheduler
+ * (see index.js) and can be replayed from the delivery log.
+ */
+class WebhookService {
+  /**
+   * Send an event to the client's subscribed endpoints
+   * Never throws - callers fire and forget so webhooks cannot break the flow
+   * that produced the event.
+   * @param {number} clientId - Client ID
+   * @param {string} eventType - One of WEBHOOKS.EVENTS
+   * @param {object} data - Event data
+   * @returns {Promise<Array>} Delivery records
+   */
+  async emit(clientId, eventType, data = {}) {
+    try {
+      // Conversation replays must not reach client endpoints
+      if (!clientId || replaySandbox.isActive()) return [];
+
+      const subscriptions = await WebhookSubscription.findActiveForEvent(clientId, eventType);
+      if (subscriptions.length === 0) return [];
+
+      const payload = this.buildPayload(clientId, eventType, data);
+      return await Promise.all(
+        subscriptions.map((subscription) => this._createAndDeliver(subscription, payload))
+      );
+    } catch (error) {
+      log.error(`Failed to emit ${eventType} for client ${clientId}`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Event envelope sent to endpoints
+   * The event id is shared by all deliveries (and replays) of the event so
+   * receivers can deduplicate.
+   */
+  buildPayload(clientId, eventType, data) {
+    return {
+      id: `evt_${crypto.randomUUID()}`,
+      type: eventType,
+      created_at: new Date().toISOString(),
+      client_id: clientId,
+      data,
+    };
+  }
+
+  /**
+   * Event data for conversation.* events
+   */
+  conversationData(conversation) {
+    return {
+      conversation_id: conversation.id,
+      session_id: conversation.session_id,
+      channel: conversation.channel || 'widget',
+      user_identifier: conversation.user_identifier || null,
+      started_at: conversation.started_at || null,
+      ended_at: conversation.ended_at || null,
+    };
+  }
+
+  /**
+   * Event data for escalation.* events
+   */
+  escalationData(escalation) {
+    return {
+      escalation_id: escalation.id,
+      conversation_id: escalation.conversation_id,
+      status: escalation.status,
+      reason: escalation.reason,
+      assigned_to: escalation.assigned_to || null,
+      notes: escalation.notes || null,
+      escalated_at: escalation.escalated_at || null,
+      resolved_at: escalation.resolved_at || null,
+    };
+  }
+
+  /**
+   * Event data for invoice.* events
+   */
+  invoiceData(invoice) {
+    return {
+      invoice_id: invoice.id,
+      invoice_number: invoice.invoice_number || null,
+      billing_period: invoice.billing_period,
+      plan_type: invoice.plan_type,
+      currency: invoice.currency || 'USD',
+      tax_amount: parseFloat(invoice.tax_amount) || 0,
+      total_cost: parseFloat(invoice.total_cost),
+      status: invoice.status,
+      due_date: invoice.due_date || null,
+      paid_at: invoice.paid_at || null,
+    };
+  }
+
+  async _createAndDeliver(subscription, payload, replayOf = null) {
+    const delivery = await WebhookDelivery.create({
+      subscriptionId: subscription.id,
+      clientId: subscription.client_id,
+      eventType: payload.type,
+      payload,
+      replayOf,
+    });
+    return this.deliver(delivery, subscription);
+  }
+
+  /**
+   * Signature header value for a request body
+   * @param {string} secret - Subscription secret
+   * @param {number} timestamp - Unix seconds
+   * @param {string} body - Raw JSON body
+   * @returns {string} 'sha256=<hex>'
+   */
+  sign(secret, timestamp, body) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+  }
+
+  /**
+   * Make one delivery attempt and record the outcome
+   * @param {object} delivery - WebhookDelivery row
+   * @param {object} subscription - WebhookSubscription row
+   * @returns {Promise<object>} Updated delivery
+   */
+  async deliver(delivery, subscription) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    try {
+      await this._assertPublicUrl(subscription.url);
+      const response = await fetch(subscription.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'CSAI-Webhooks/1.0',
+          'X-CSAI-Event': delivery.event_type,
+          'X-CSAI-Delivery': String(delivery.id),
+          'X-CSAI-Timestamp': String(timestamp),
+          'X-CSAI-Signature': this.sign(subscription.secret, timestamp, body),
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(WEBHOOKS.SEND_TIMEOUT),
+        ...(ENV.isProduction && { dispatcher: this._getPublicAgent() }),
+      });
+      const responseBody = await this._readBody(response);
+
+      if (response.ok) {
+        return WebhookDelivery.markSent(delivery.id, response.status, responseBody);
+      }
+      return this._markFailed(delivery, {
+        error: `HTTP ${response.status}`,
+        responseStatus: response.status,
+        responseBody,
+      });
+    } catch (error) {
+      const message = error.name === 'TimeoutError' ? 'Request timed out' : error.message;
+      return this._markFailed(delivery, { error: message });
+    }
+  }
+
+  /**
+   * Connection pool that re-checks each address it dials (production only)
+   */
+  _getPublicAgent() {
+    this.publicAgent ??= createPublicAgent();
+    return this.publicAgent;
+  }
+
+  async _readBody(response) {
+    try {
+      const text = await response.text();
+      return text.slice(0, WEBHOOKS.RESPONSE_BODY_MAX) || null;
+    } catch {
+      return null;
+    }
+  }
+
+  async _markFailed(delivery, failure) {
+    const nextRetryAt = this.getNextRetryAt((delivery.attempts || 0) + 1);
+    log.warn(`Delivery ${delivery.id} (${delivery.event_type}) failed: ${failure.error}`, {
+      attempt: (delivery.attempts || 0) + 1,
+      retry: nextRetryAt ? nextRetryAt.toISOString() : 'giving up',
+    });
+    return WebhookDelivery.markFailed(delivery.id, { ...failure, nextRetryAt });
+  }
+
+  /**
+   * When to retry after a failed attempt (exponential backoff)
+   * @param {number} attempts - Attempts made so far
+   * @returns {Date|null} null once WEBHOOKS.MAX_ATTEMPTS is reached
+   */
+  getNextRetryAt(attempts) {
+    if (attempts >= WEBHOOKS.MAX_ATTEMPTS) {
+      return null;
+    }
+    const delay = WEBHOOKS.RETRY_BASE_DELAY * Math.pow(2, attempts - 1);
+    return new Date(Date.now() + delay);
+  }
+
+  /**
+   * Scheduled job: resend failed deliveries that are due
+   * Deliveries of deleted or paused subscriptions are dropped.
+   * @returns {object} { retried, sent, failed, skipped }
+   */
+  async retryFailedDeliveries() {
+    const due = await WebhookDelivery.findDueForRetry(WEBHOOKS.RETRY_BATCH_SIZE);
+    const summary = { retried: 0, sent: 0, failed: 0, skipped: 0 };
+
+    for (const delivery of due) {
+      try {
+        const subscription = await WebhookSubscription.findById(delivery.subscription_id);
+        if (!subscription || !subscription.is_active) {
+          await WebhookDelivery.cancelRetry(delivery.id);
+          summary.skipped++;
+          continue;
+        }
+
+        const result = await this.deliver(delivery, subscription);
+        summary.retried++;
+        if (result?.status === 'sent') {
+          summary.sent++;
+        } else {
+          summary.failed++;
+        }
+      } catch (error) {
+        log.error(`Retry of delivery ${delivery.id} failed`, error);
+        summary.failed++;
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Send an event again as a new delivery (same payload and event id)
+   * @param {number} clientId - Client ID (ownership check)
+   * @param {number} deliveryId - Delivery to replay
+   * @returns {Promise<object>} New delivery
+   */
+  async replay(clientId, deliveryId) {
+    const original = await WebhookDelivery.findById(deliveryId);
+    if (!original || original.client_id !== clientId) {
+      throw new WebhookError('Delivery not found', 'not_found');
+    }
+
+    const subscription = await WebhookSubscription.findById(original.subscription_id);
+    if (!subscription) {
+      throw new WebhookError('Webhook not found', 'not_found');
+    }
+
+    // Stop retrying the original - the replay takes over
+    if (original.next_retry_at) {
+      await WebhookDelivery.cancelRetry(original.id);
+    }
+
+    return this._createAndDeliver(subscription, original.payload, original.id);
+  }
+
+  /**
+   * Send a test event to one subscription (also when it is paused)
+   * @returns {Promise<object>} Delivery
+   */
+  async sendTest(clientId, subscriptionId) {
+    const subscription = await this.getSubscription(clientId, subscriptionId);
+    const payload = this.buildPayload(clientId, WEBHOOKS.TEST_EVENT, {
+      message: 'This is a test event from your webhook settings',
+    });
+    return this._createAndDeliver(subscription, payload);
+  }
+
+  // ==================== Subscriptions ====================
+
+  /**
+   * Get a client's subscription
+   * @throws {WebhookError} When it does not exist or belongs to another client
+   */
+  async getSubscription(clientId, subscriptionId) {
+    const subscription = await WebhookSubscription.findById(subscriptionId);
+    if (!subscription || subscription.client_id !== clientId) {
+      throw new WebhookError('Webhook not found', 'not_found');
+    }
+    return subscription;
+  }
+
+  async listSubscriptions(clientId) {
+    return WebhookSubscription.findByClient(clientId);
+  }
+
+  /**
+   * Validate and normalize a subscription body
+   * @param {object} body - { url, description, events, is_active }
+   * @param {boolean} partial - Only validate the fields present (updates)
+   * @returns {object} Normalized fields
+   * @throws {WebhookError}
+   */
+  validateSubscription(body = {}, partial = false) {
+    const fields = {};
+
+    if (!partial || body.url !== undefined) {
+      fields.url = this._validateUrl(body.url);
+    }
+    if (!partial || body.events !== undefined) {
+      if (
+        !Array.isArray(body.events) ||
+        body.events.length === 0 ||
+        body.events.some((event) => !WEBHOOKS.EVENTS.includes(event))
+      ) {
+        throw new WebhookError(`events must be a list of: ${WEBHOOKS.EVENTS.join(', ')}`);
+      }
+      fields.events = [...new Set(body.events)];
+    }
+    if (body.description !== undefined) {
+      if (body.description !== null && typeof body.description !== 'string') {
+        throw new WebhookError('description must be a string');
+      }
+      fields.description = body.description?.trim().slice(0, 255) || null;
+    }
+    if (body.is_active !== undefined) {
+      if (typeof body.is_active !== 'boolean') {
+        throw new WebhookError('is_active must be true or false');
+      }
+      fields.is_active = body.is_active;
+    }
+
+    return fields;
+  }
+
+  _validateUrl(value) {
+    let url;
+    try {
+      url = new URL(value);
+    } catch {
+      throw new WebhookError('url must be a valid URL');
+    }
+
+    if (url.protocol !== 'https:' && !(url.protocol === 'http:' && !ENV.isProduction)) {
+      throw new WebhookError('url must use https');
+    }
+    if (url.username || url.password) {
+      throw new WebhookError('url must not contain credentials');
+    }
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    if (
+      ENV.isProduction &&
+      (LOCAL_HOST_PATTERN.test(host) || (net.isIP(host) && isPrivateAddress(host)))
+    ) {
+      throw new WebhookError('url must be publicly reachable');
+    }
+    return url.toString();
+  }
+
+  /**
+   * Refuse URLs whose host resolves to a non-public address (production only)
+   * Checked when a subscription is saved and before every request; the request
+   * itself goes through _getPublicAgent(), which checks the address it connects to.
+   * @throws {WebhookError}
+   */
+  async _assertPublicUrl(value) {
+    if (!ENV.isProduction) return;
+    try {
+      await resolvePublicHost(new URL(value).hostname);
+    } catch {
+      throw new WebhookError('url must be publicly reachable');
+    }
+  }
+
+  generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  /**
+   * Create a subscription with a new signing secret
+   */
+  async createSubscription(clientId, body) {
+    const fields = this.validateSubscription(body);
+    await this._assertPublicUrl(fields.url);
+
+    const count = await WebhookSubscription.countByClient(clientId);
+    if (count >= WEBHOOKS.MAX_SUBSCRIPTIONS_PER_CLIENT) {
+      throw new WebhookError(
+        `A client can have at most ${WEBHOOKS.MAX_SUBSCRIPTIONS_PER_CLIENT} webhooks`
+      );
+    }
+
+    const subscription = await WebhookSubscription.create({
+      clientId,
+      url: fields.url,
+      description: fields.description ?? null,
+      events: fields.events,
+      secret: this.generateSecret(),
+      isActive: fields.is_active ?? true,
+    });
+    log.info(`Webhook ${subscription.id} created`, { clientId, events: fields.events });
+    return subscription;
+  }
+
+  async updateSubscription(clientId, subscriptionId, body) {
+    const subscription = await this.getSubscription(clientId, subscriptionId);
+    const fields = this.validateSubscription(body, true);
+    if (fields.url) {
+      await this._assertPublicUrl(fields.url);
+    }
+    return WebhookSubscription.update(subscription.id, fields);
+  }
+
+  /**
+   * Replace the signing secret (the old one stops working immediately)
+   */
+  async rotateSecret(clientId, subscriptionId) {
+    const subscription = await this.getSubscription(clientId, subscriptionId);
+    return WebhookSubscription.update(subscription.id, { secret: this.generateSecret() });
+  }
+
+  async deleteSubscription(clientId, subscriptionId) {
+    const subscription = await this.getSubscription(clientId, subscriptionId);
+    await WebhookSubscription.delete(subscription.id);
+    log.info(`Webhook ${subscription.id} deleted`, { clientId });
+    return subscription;
+  }
+
+  /**
+   * Delivery log of a subscription, newest first
+   */
+  async getDeliveries(clientId, subscriptionId, options = {}) {
+    const subscription = await this.getSubscription(clientId, subscriptionId);
+    return WebhookDelivery.findBySubscription(subscription.id, options);
+  }
+}
+
+// Export singleton instance
+export const webhookService = new WebhookService();
+export default webhookService;
@@ -0,0 +1,269 @@
+import { WhatsAppChannel } from '../models/WhatsAppChannel.js';
+import { Conversation } from '../models/Conversation.js';
+import { Message } from '../models/Message.js';
+import { Client } from '../models/Client.js';
+import { whatsappService, WhatsAppWindowError } from './whatsappService.js';
+import conversationService from './conversationService.js';
+import webhookService from './webhookService.js';
+import spendingService from './spendingService.js';
+import { WHATSAPP } from '../config/constants.js';
+import { logger } from '../utils/logger.js';
+
+const UNSUPPORTED_MESSAGE_REPLY =
+  "Sorry, I can only read text messages at the moment. Please type your question and I'll be happy to help.";
+
+/**
+ * WhatsApp Handler
+ *
+ * Processes inbound WhatsApp webhooks: maps the customer's phone number to a
+ * conversation, runs the message through the AI conversation service and
+ * sends the reply back, respecting WhatsApp's 24-hour customer service window.
+ */
+class WhatsAppHandler {
+  /**
+   * Verify a webhook request against the app secret of every channel it targets
+   * @param {Buffer} rawBody - Exact bytes received
+   * @param {string} signatureHeader - X-Hub-Signature-256 header
+   * @param {object} payload - Parsed body (used to find the target channels)
+   * @returns {Promise<boolean>}
+   */
+  async verifyWebhook(rawBody, signatureHeader, payload) {
+    const secrets = new Set();
+    for (const phoneNumberId of whatsappService.getPhoneNumberIds(payload)) {
+      const channel = await WhatsAppChannel.findByPhoneNumberId(phoneNumberId);
+      const secret = whatsappService.getAppSecret(channel);
+      if (secret) secrets.add(secret);
+    }
+    if (secrets.size === 0 && whatsappService.getAppSecret()) {
+      secrets.add(whatsappService.getAppSecret());
+    }
+    if (secrets.size === 0) {
+      return false;
+    }
+
+    return [...secrets].every((secret) =>
+      whatsappService.verifySignature(rawBody, signatureHeader, secret)
+    );
+  }
+
+  /**
+   * Process every inbound message in a (verified) webhook payload
+   * @param {object} payload - Parsed webhook body
+   * @returns {object} { processed, skipped }
+   */
+  async handleWebhook(payload) {
+    const summary = { processed: 0, skipped: 0 };
+
+    for (const message of whatsappService.parseWebhook(payload)) {
+      try {
+        const handled = await this.processMessage(message);
+        summary[handled ? 'processed' : 'skipped']++;
+      } catch (error) {
+        console.error(`[WhatsApp] Error processing message ${message.id}:`, error);
+        summary.skipped++;
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Process a single inbound message
+   * @param {object} message - Normalized message from whatsappService.parseWebhook
+   * @returns {boolean} True if the message was handled
+   */
+  async processMessage(message) {
+    const channel = await WhatsAppChannel.findByPhoneNumberId(message.phoneNumberId);
+    if (!channel || channel.status !== 'active') {
+      logger.log(`[WhatsApp] No active channel for phone number ${message.phoneNumberId}`);
+      return false;
+    }
+
+    // Webhooks are retried by WhatsApp - skip messages we've already stored
+    const existingMessage = await Message.findByExternalId(message.id);
+    if (existingMessage) {
+      logger.log(`[WhatsApp] Skipping already processed message ${message.id}`);
+      return false;
+    }
+
+    const client = await Client.findById(channel.client_id);
+    if (!client || client.status !== 'active') {
+      console.error(`[WhatsApp] Client not found or inactive for channel ${channel.id}`);
+      return false;
+    }
+
+    const conversation = await this.getOrCreateConversation(channel, client, message);
+
+    // Every inbound message (re)opens the 24-hour window
+    const updatedConversation = await Conversation.updateChannelMetadata(conversation.id, {
+      last_inbound_at: message.timestamp.toISOString(),
+      name: message.name || conversation.channel_metadata?.name || null,
+    });
+    await WhatsAppChannel.updateLastMessage(channel.id);
+
+    try {
+      await whatsappService.markAsRead(channel, message.id);
+    } catch (readError) {
+      // Non-critical error, just log it
+      console.warn('[WhatsApp] Could not mark message as read:', readError.message);
+    }
+
+    if (!message.text) {
+      await Message.create(conversation.id, 'user', `[${message.type} message]`, 0, message.id, {
+        type: message.type,
+      });
+      await this.sendMessage(updatedConversation, UNSUPPORTED_MESSAGE_REPLY, channel);
+      return true;
+    }
+
+    // Store the message ourselves so the WhatsApp message ID is kept for deduplication
+    await Message.create(conversation.id, 'user', message.text, 0, message.id, {
+      type: message.type,
+    });
+    await conversationService.updateConversationStats(conversation.id);
+
+    if (channel.settings?.auto_reply === false) {
+      logger.log(`[WhatsApp] Auto-reply disabled for channel ${channel.id}, not responding`);
+      return true;
+    }
+
+    const spending = await spendingService.enforce(client);
+    if (!spending.allowed) {
+      logger.log(`[WhatsApp] Client ${client.id} reached its spending limit, not responding`);
+      return true;
+    }
+
+    const result = await conversationService.processMessage(
+      spending.client,
+      conversation.session_id,
+      message.text,
+      {
+        userIdentifier: message.from,
+        channel: 'whatsapp',
+        skipUserMessageSave: true,
+        channelMetadata: { from: message.from, name: message.name },
+      }
+    );
+
+    if (result?.agentActive) {
+      logger.log(`[WhatsApp] Conversation ${conversation.id} is handled by an agent, not replying`);
+      return true;
+    }
+
+    if (result?.response) {
+      await this.sendMessage(updatedConversation, result.response, channel);
+    }
+
+    logger.log(`[WhatsApp] Replied to message ${message.id}`, {
+      conversationId: conversation.id,
+      to: message.from,
+    });
+
+    return true;
+  }
+
+  /**
+   * Find the open conversation for this phone number or start a new one
+   */
+  async getOrCreateConversation(channel, client, message) {
+    const existing = await Conversation.findActiveByChannelThread(
+      message.from,
+      'whatsapp',
+      client.id
+    );
+    if (existing) {
+      return existing;
+    }
+
+    const sessionId = `whatsapp-${channel.phone_number_id}-${message.from}-${Date.now()}`;
+    const conversation = await Conversation.create(
+      client.id,
+      sessionId,
+      message.from, // user identifier
+      client.llm_provider || 'ollama',
+      client.model_name,
+      'whatsapp',
+      message.from,
+      {
+        phone: message.from,
+        name: message.name,
+        whatsapp_channel_id: channel.id,
+        business_phone: channel.display_phone_number,
+      }
+    );
+
+    logger.log('[WhatsApp] Created new WhatsApp conversation', {
+      conversationId: conversation.id,
+      from: message.from,
+    });
+    webhookService.emit(
+      client.id,
+      'conversation.started',
+      webhookService.conversationData(conversation)
+    );
+
+    return conversation;
+  }
+
+  /**
+   * Whether free-form messages can still be sent to this conversation
+   * @param {object} conversation - Conversation with channel_metadata.last_inbound_at
+   * @param {number} now - Current time (ms)
+   */
+  isWithinServiceWindow(conversation, now = Date.now()) {
+    const lastInbound = conversation?.channel_metadata?.last_inbound_at;
+    if (!lastInbound) {
+      return false;
+    }
+    return now - new Date(lastInbound).getTime() < WHATSAPP.SERVICE_WINDOW;
+  }
+
+  /**
+   * Send a message to the customer of a WhatsApp conversation
+   *
+   * Inside the 24-hour window the text is sent as-is. Outside it, WhatsApp only
+   * accepts approved templates, so the channel's template is sent instead to
+   * invite the customer back; without one the send is refused.
+   *
+   * @param {object} conversation - WhatsApp conversation
+   * @param {string} text - Message text
+   * @param {object} channel - Optional channel (looked up from the conversation otherwise)
+   * @returns {Promise<{messageIds: string[], template: boolean}>}
+   * @throws {WhatsAppWindowError} when outside the window with no template configured
+   */
+  async sendMessage(conversation, text, channel = null) {
+    const metadata = conversation.channel_metadata || {};
+    const whatsappChannel =
+      channel || (await WhatsAppChannel.findById(metadata.whatsapp_channel_id));
+    if (!whatsappChannel) {
+      throw new Error(`WhatsApp channel not found for conversation ${conversation.id}`);
+    }
+
+    const to = metadata.phone || conversation.channel_thread_id;
+
+    if (this.isWithinServiceWindow(conversation)) {
+      const result = await whatsappService.sendText(whatsappChannel, to, text);
+      return { ...result, template: false };
+    }
+
+    const templateName = whatsappChannel.settings?.template_name;
+    if (!templateName) {
+      throw new WhatsAppWindowError(
+        'The 24-hour WhatsApp window has closed and no template is configured for this channel'
+      );
+    }
+
+    logger.log(`[WhatsApp] Window closed for conversation ${conversation.id}, sending template`);
+    const result = await whatsappService.sendTemplate(
+      whatsappChannel,
+      to,
+      templateName,
+      whatsappChannel.settings?.template_language || 'en'
+    );
+    return { ...result, template: true };
+  }
+}
+
+// Export singleton instance
+export const whatsappHandler = new WhatsAppHandler();
+export default whatsappHandler;
@@ -0,0 +1,255 @@
+import crypto from 'crypto';
+import { safeJsonParse } from '../utils/jsonUtils.js';
+import { WHATSAPP } from '../config/constants.js';
+
+const DEFAULT_API_BASE = 'https://graph.facebook.com';
+
+/**
+ * Thrown when a free-form message would be sent outside the 24-hour
+ * customer service window and no template is configured to reopen it
+ */
+export class WhatsAppWindowError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WhatsAppWindowError';
+    this.code = 'outside_window';
+  }
+}
+
+/**
+ * WhatsApp Service
+ *
+ * Thin client for the WhatsApp Business Cloud API (no SDK): sending messages,
+ * verifying webhook signatures and normalizing webhook payloads.
+ *
+ * Environment (per-channel connection_config takes precedence):
+ *   WHATSAPP_ACCESS_TOKEN          - System user access token
+ *   WHATSAPP_APP_SECRET            - Meta app secret used to sign webhooks
+ *   WHATSAPP_WEBHOOK_VERIFY_TOKEN  - Token echoed during webhook subscription
+ *   WHATSAPP_API_BASE              - Optional, defaults to https://graph.facebook.com
+ */
+class WhatsAppService {
+  get apiBase() {
+    return (process.env.WHATSAPP_API_BASE || DEFAULT_API_BASE).replace(/\/+$/, '');
+  }
+
+  /**
+   * Access token for a channel
+   */
+  getAccessToken(channel) {
+    return channel.connection_config?.access_token || process.env.WHATSAPP_ACCESS_TOKEN || null;
+  }
+
+  /**
+   * App secret used to sign webhooks for a channel
+   */
+  getAppSecret(channel = null) {
+    return channel?.connection_config?.app_secret || process.env.WHATSAPP_APP_SECRET || null;
+  }
+
+  /**
+   * Verify the X-Hub-Signature-256 header against the raw request body
+   * @param {Buffer|string} rawBody - Exact bytes received
+   * @param {string} signatureHeader - "sha256=<hex>"
+   * @param {string} appSecret - Meta app secret
+   * @returns {boolean}
+   */
+  verifySignature(rawBody, signatureHeader, appSecret) {
+    if (!rawBody || !signatureHeader || !appSecret) {
+      return false;
+    }
+
+    const [scheme, signature] = String(signatureHeader).split('=');
+    if (scheme !== 'sha256' || !signature) {
+      return false;
+    }
+
+    const expected = crypto.createHmac('sha256', appSecret).update(rawBody).digest('hex');
+    const expectedBuffer = Buffer.from(expected, 'hex');
+    const signatureBuffer = Buffer.from(signature, 'hex');
+
+    return (
+      expectedBuffer.length === signatureBuffer.length &&
+      crypto.timingSafeEqual(expectedBuffer, signatureBuffer)
+    );
+  }
+
+  /**
+   * Extract inbound messages from a webhook payload
+   * Status updates (sent/delivered/read) are ignored.
+   * @param {object} payload - Parsed webhook body
+   * @returns {array} [{ phoneNumberId, from, name, id, timestamp, type, text }]
+   */
+  parseWebhook(payload) {
+    const messages = [];
+    if (payload?.object !== 'whatsapp_business_account') {
+      return messages;
+    }
+
+    for (const entry of payload.entry || []) {
+      for (const change of entry.changes || []) {
+        if (change.field !== 'messages') continue;
+
+        const value = change.value || {};
+        const contacts = value.contacts || [];
+
+        for (const message of value.messages || []) {
+          const contact = contacts.find((c) => c.wa_id === message.from);
+          messages.push({
+            phoneNumberId: value.metadata?.phone_number_id,
+            displayPhoneNumber: value.metadata?.display_phone_number || null,
+            from: message.from,
+            name: contact?.profile?.name || null,
+            id: message.id,
+            timestamp: new Date(parseInt(message.timestamp, 10) * 1000),
+            type: message.type,
+            text: this.getMessageText(message),
+          });
+        }
+      }
+    }
+
+    return messages;
+  }
+
+  /**
+   * Text content of an inbound message (null for media, location, etc.)
+   */
+  getMessageText(message) {
+    switch (message.type) {
+      case 'text':
+        return message.text?.body || null;
+      case 'button':
+        return message.button?.text || null;
+      case 'interactive':
+        return (
+          message.interactive?.button_reply?.title || message.interactive?.list_reply?.title || null
+        );
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Phone number IDs referenced by a webhook payload
+   */
+  getPhoneNumberIds(payload) {
+    const ids = new Set();
+    for (const entry of payload?.entry || []) {
+      for (const change of entry.changes || []) {
+        const id = change.value?.metadata?.phone_number_id;
+        if (id) ids.add(id);
+      }
+    }
+    return [...ids];
+  }
+
+  /**
+   * Make an authenticated request to the Cloud API
+   * @returns {Promise<object>} Parsed response
+   */
+  async request(channel, method, path, body = null) {
+    const accessToken = this.getAccessToken(channel);
+    if (!accessToken) {
+      throw new Error(`WhatsApp channel ${channel.id} has no access token configured`);
+    }
+
+    const response = await fetch(`${this.apiBase}/${WHATSAPP.API_VERSION}${path}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(WHATSAPP.SEND_TIMEOUT),
+    });
+
+    const data = safeJsonParse(await response.text(), {});
+    if (!response.ok) {
+      throw new Error(
+        `WhatsApp API error (${response.status}): ${data.error?.message || response.statusText}`
+      );
+    }
+    return data;
+  }
+
+  /**
+   * Send a free-form text message (split into multiple messages when too long)
+   * @param {object} channel - WhatsApp channel
+   * @param {string} to - Recipient WhatsApp ID (phone number)
+   * @param {string} body - Message text
+   * @returns {Promise<{messageIds: string[]}>}
+   */
+  async sendText(channel, to, body) {
+    const messageIds = [];
+    for (const chunk of this.splitMessage(body)) {
+      const data = await this.request(channel, 'POST', `/${channel.phone_number_id}/messages`, {
+        messaging_product: 'whatsapp',
+        recipient_type: 'individual',
+        to,
+        type: 'text',
+        text: { body: chunk, preview_url: false },
+      });
+      messageIds.push(data.messages?.[0]?.id || null);
+    }
+    return { messageIds };
+  }
+
+  /**
+   * Send an approved template message (allowed outside the 24-hour window)
+   * @returns {Promise<{messageIds: string[]}>}
+   */
+  async sendTemplate(channel, to, templateName, language = 'en') {
+    const data = await this.request(channel, 'POST', `/${channel.phone_number_id}/messages`, {
+      messaging_product: 'whatsapp',
+      to,
+      type: 'template',
+      template: { name: templateName, language: { code: language } },
+    });
+    return { messageIds: [data.messages?.[0]?.id || null] };
+  }
+
+  /**
+   * Mark an inbound message as read (blue ticks)
+   */
+  async markAsRead(channel, messageId) {
+    return await this.request(channel, 'POST', `/${channel.phone_number_id}/messages`, {
+      messaging_product: 'whatsapp',
+      status: 'read',
+      message_id: messageId,
+    });
+  }
+
+  /**
+   * Look up the business phone number (connection test)
+   */
+  async getPhoneNumber(channel) {
+    return await this.request(
+      channel,
+      'GET',
+      `/${channel.phone_number_id}?fields=display_phone_number,verified_name,quality_rating`
+    );
+  }
+
+  /**
+   * Split text into chunks under the Cloud API body limit, preferring line breaks
+   */
+  splitMessage(text, maxLength = WHATSAPP.MAX_MESSAGE_LENGTH) {
+    const chunks = [];
+    let remaining = String(text || '');
+
+    while (remaining.length > maxLength) {
+      let cut = remaining.lastIndexOf('\n', maxLength);
+      if (cut <= 0) cut = remaining.lastIndexOf(' ', maxLength);
+      if (cut <= 0) cut = maxLength;
+      chunks.push(remaining.slice(0, cut).trimEnd());
+      remaining = remaining.slice(cut).trimStart();
+    }
+
+    if (remaining) chunks.push(remaining);
+    return chunks;
+  }
+}
+
+export const whatsappService = new WhatsAppService();
+export default whatsappService;
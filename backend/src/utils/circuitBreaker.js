@@ -0,0 +1,140 @@
+/**
+ * Circuit breaker
+ *
+ * Tracks the error rate of a dependency over a sliding window:
+ * - closed: requests flow; the circuit opens once the window holds at least
+ *   minRequests outcomes and the failure rate reaches failureRate
+ * - open: requests are refused until cooldown has passed
+ * - half_open: one probe request is let through; success closes the circuit,
+ *   failure opens it again for another cooldown
+ *
+ * State lives in process memory, so every backend instance judges a provider
+ * on the traffic it sees itself.
+ */
+
+export class CircuitBreaker {
+  /**
+   * @param {object} options - { window, minRequests, failureRate, cooldown } (times in ms)
+   * @param {Function} now - Clock, for tests
+   */
+  constructor({ window, minRequests, failureRate, cooldown }, now = Date.now) {
+    this.window = window;
+    this.minRequests = minRequests;
+    this.failureRate = failureRate;
+    this.cooldown = cooldown;
+    this.now = now;
+    this.outcomes = []; // { at, ok }
+    this.state = 'closed';
+    this.openedAt = null;
+    this.probing = false;
+  }
+
+  /**
+   * Whether a request may be sent now (claims the probe slot when half open)
+   */
+  canRequest() {
+    if (this.state === 'open' && this.now() - this.openedAt >= this.cooldown) {
+      this.state = 'half_open';
+      this.probing = false;
+    }
+    if (this.state === 'open') return false;
+    if (this.state === 'half_open') {
+      if (this.probing) return false;
+      this.probing = true;
+    }
+    return true;
+  }
+
+  recordSuccess() {
+    if (this.state === 'half_open') {
+      this.reset();
+      return;
+    }
+    this.record(true);
+  }
+
+  recordFailure() {
+    if (this.state === 'half_open') {
+      this.open();
+      return;
+    }
+    this.record(false);
+
+    const failures = this.outcomes.filter((outcome) => !outcome.ok).length;
+    if (
+      this.state === 'closed' &&
+      this.outcomes.length >= this.minRequests &&
+      failures / this.outcomes.length >= this.failureRate
+    ) {
+      this.open();
+    }
+  }
+
+  /**
+   * @returns {object} { state, requests, failures, openedAt }
+   */
+  getStatus() {
+    this.prune();
+    return {
+      state: this.state,
+      requests: this.outcomes.length,
+      failures: this.outcomes.filter((outcome) => !outcome.ok).length,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+    };
+  }
+
+  /** @private */
+  record(ok) {
+    this.outcomes.push({ at: this.now(), ok });
+    this.prune();
+  }
+
+  /** @private */
+  prune() {
+    const since = this.now() - this.window;
+    this.outcomes = this.outcomes.filter((outcome) => outcome.at > since);
+  }
+
+  /** @private */
+  open() {
+    this.state = 'open';
+    this.openedAt = this.now();
+    this.probing = false;
+    this.outcomes = [];
+  }
+
+  /** @private */
+  reset() {
+    this.state = 'closed';
+    this.openedAt = null;
+    this.probing = false;
+    this.outcomes = [];
+  }
+}
+
+/**
+ * One circuit breaker per key (e.g. per LLM provider), created on first use
+ */
+export class CircuitBreakerRegistry {
+  constructor(options, now = Date.now) {
+    this.options = options;
+    this.now = now;
+    this.breakers = new Map();
+  }
+
+  get(key) {
+    if (!this.breakers.has(key)) {
+      this.breakers.set(key, new CircuitBreaker(this.options, this.now));
+    }
+    return this.breakers.get(key);
+  }
+
+  /**
+   * @returns {object} { [key]: status }
+   */
+  getStatus() {
+    return Object.fromEntries(
+      [...this.breakers.entries()].map(([key, breaker]) => [key, breaker.getStatus()])
+    );
+  }
+}
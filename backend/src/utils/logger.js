@@ -11,6 +11,7 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { LIMITS } from '../config/constants.js';
+import { maskText } from './redaction.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -34,6 +35,13 @@ const getMinLevel = () => {
 
 const MIN_LEVEL = getMinLevel();
 
+// Mask personal data (emails, phone numbers, card numbers, national IDs) in log output
+// LOG_MASK_PII=true|false, default: on in production
+const MASK_PII = process.env.LOG_MASK_PII
+  ? process.env.LOG_MASK_PII === 'true'
+  : process.env.NODE_ENV === 'production';
+const maskOutput = (output) => (MASK_PII ? maskText(output) : output);
+
 // Log file path
 const LOG_FILE = path.join(__dirname, '../../logs/app.log');
 
@@ -212,7 +220,7 @@ function logMessage(level, module, message, data) {
   }
 
   // Console output with colors
-  const consoleOutput = formatConsoleOutput(level, module, message, data);
+  const consoleOutput = maskOutput(formatConsoleOutput(level, module, message, data));
   switch (level) {
     case 'debug':
       console.debug('\x1b[90m%s\x1b[0m', consoleOutput); // Gray
@@ -231,7 +239,7 @@ function logMessage(level, module, message, data) {
   }
 
   // File output (structured JSON)
-  const fileEntry = formatLogEntry(level, module, message, data);
+  const fileEntry = maskOutput(formatLogEntry(level, module, message, data));
   writeToFile(fileEntry);
 }
 
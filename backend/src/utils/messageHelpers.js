@@ -90,6 +90,8 @@ Keep it apologetic but helpful. One sentence max.`;
       temperature: ADAPTIVE_REASONING.ERROR_MESSAGE_TEMPERATURE || 0.7,
       provider: client?.llm_provider,
       model: client?.model_name,
+      redaction: client?.redaction_config,
+      fallbacks: client?.llm_fallbacks,
     });
 
     return response.content;
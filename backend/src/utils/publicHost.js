@@ -0,0 +1,108 @@
+/**
+ * Public host checks
+ *
+ * Keeps outbound requests to client-supplied URLs (webhooks) off the
+ * platform's own network. A hostname is resolved and every address it maps to
+ * must be publicly routable: loopback, private, link-local, CGNAT, ULA,
+ * multicast/reserved and IPv4-mapped or NAT64 IPv6 addresses are refused.
+ *
+ * resolvePublicHost() rejects a URL up front; createPublicAgent() repeats the
+ * check on the addresses a request actually connects to, so a host whose DNS
+ * answer changes between the two (DNS rebinding) is still refused.
+ */
+import dns from 'dns';
+import net from 'net';
+import { Agent } from 'undici';
+
+// Separate lists: a BlockList holding ::ffff:0:0/96 also matches every IPv4 address
+const BLOCKED_IPV4 = new net.BlockList();
+const BLOCKED_IPV6 = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8], // private
+  ['100.64.0.0', 10], // CGNAT
+  ['127.0.0.0', 8], // loopback
+  ['169.254.0.0', 16], // link-local (cloud metadata)
+  ['172.16.0.0', 12], // private
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.0.2.0', 24], // documentation
+  ['192.168.0.0', 16], // private
+  ['198.18.0.0', 15], // benchmarking
+  ['198.51.100.0', 24], // documentation
+  ['203.0.113.0', 24], // documentation
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4], // reserved and broadcast
+]) {
+  BLOCKED_IPV4.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [
+  ['::', 128], // unspecified
+  ['::1', 128], // loopback
+  ['::ffff:0:0', 96], // IPv4-mapped
+  ['64:ff9b::', 96], // NAT64
+  ['100::', 64], // discard
+  ['2001:db8::', 32], // documentation
+  ['fc00::', 7], // unique local (ULA)
+  ['fe80::', 10], // link-local
+  ['ff00::', 8], // multicast
+]) {
+  BLOCKED_IPV6.addSubnet(address, prefix, 'ipv6');
+}
+
+/**
+ * Whether an IP address must not be reached from the platform
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} true for non-public or malformed addresses
+ */
+export function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return family === 4 ? BLOCKED_IPV4.check(address, 'ipv4') : BLOCKED_IPV6.check(address, 'ipv6');
+}
+
+/**
+ * Resolve a hostname and make sure every address is public
+ * @param {string} hostname - URL hostname (IPv6 literals may keep their brackets)
+ * @returns {Promise<string[]>} Resolved addresses
+ * @throws {Error} When the host does not resolve or maps to a non-public address
+ */
+export async function resolvePublicHost(hostname) {
+  const host = String(hostname || '').replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(host)
+    ? [host]
+    : (await dns.promises.lookup(host, { all: true, verbatim: true })).map(
+        (entry) => entry.address
+      );
+
+  if (addresses.length === 0 || addresses.some(isPrivateAddress)) {
+    throw new Error(`${hostname} is not a publicly reachable host`);
+  }
+  return addresses;
+}
+
+/**
+ * dns.lookup() for sockets that refuses non-public answers
+ * Same signature as the `lookup` option of net.connect().
+ */
+export function lookupPublic(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const entries = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = entries.find((entry) => isPrivateAddress(entry.address));
+    if (entries.length === 0 || blocked) {
+      const refused = new Error(`${hostname} is not a publicly reachable host`);
+      refused.code = 'ENOTPUBLIC';
+      return callback(refused);
+    }
+    callback(null, address, family);
+  });
+}
+
+/**
+ * fetch() dispatcher that only connects to public addresses
+ * @returns {Agent}
+ */
+export function createPublicAgent() {
+  return new Agent({ connect: { lookup: lookupPublic } });
+}
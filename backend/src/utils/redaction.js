@@ -0,0 +1,306 @@
+/**
+ * PII Redaction
+ *
+ * Detects personal data in text (emails, phone numbers, card numbers, national
+ * IDs and client-defined patterns) and either:
+ * - tokenises it reversibly: a Redactor swaps each value for a stable token
+ *   like [EMAIL_1] before text goes to an LLM provider, and re-hydrates the
+ *   tokens in what comes back (reply text, tool call arguments), or
+ * - masks it one-way with maskText() for logs and the debug view ([EMAIL]).
+ *
+ * Detectors favour precision over recall: card numbers must pass the Luhn
+ * check, national IDs the US SSN rules or the Israeli ID checksum, and a
+ * phone number needs a leading + or 0 or separators between its digits
+ * (bare digit runs are usually order numbers).
+ *
+ * Client-defined patterns run on RE2, which matches in linear time, so a
+ * pattern like (a|a)+b cannot stall the process with catastrophic backtracking.
+ */
+import RE2 from 're2';
+import { REDACTION } from '../config/constants.js';
+
+const DATE_PATTERN = /^(\d{4}[-/.]\d{1,2}[-/.]\d{1,2}|\d{1,2}[-/.]\d{1,2}[-/.]\d{2,4})$/;
+const IP_PATTERN = /^\d{1,3}(\.\d{1,3}){3}$/;
+const TOKEN_PATTERN = /\[([A-Z][A-Z0-9_]*_\d+)\]/g;
+
+/**
+ * Luhn checksum (card numbers)
+ */
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Israeli ID (teudat zehut) checksum
+ */
+function passesIsraeliIdChecksum(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    const step = Number(digits[i]) * ((i % 2) + 1);
+    sum += step > 9 ? step - 9 : step;
+  }
+  return sum % 10 === 0;
+}
+
+const onlyDigits = (value) => value.replace(/\D/g, '');
+
+/**
+ * Built-in detectors
+ * label is the token prefix; validate (optional) filters out look-alikes.
+ */
+const DETECTORS = {
+  email: {
+    label: 'EMAIL',
+    pattern: /[A-Z0-9._%+-]+@[A-Z0-9-]+(?:\.[A-Z0-9-]+)*\.[A-Z]{2,}/gi,
+  },
+  card: {
+    label: 'CARD',
+    pattern: /(?<![\w+])\d(?:[ -]?\d){12,18}(?!\w)/g,
+    validate: (match) => passesLuhn(onlyDigits(match)),
+  },
+  national_id: {
+    label: 'NATIONAL_ID',
+    pattern: /(?<![\w+-])(?:\d{3}-\d{2}-\d{4}|\d{9})(?![\w-])/g,
+    validate: (match) => {
+      if (match.includes('-')) {
+        const [area, group, serial] = match.split('-');
+        return (
+          area !== '000' && area !== '666' && area[0] !== '9' && group !== '00' && serial !== '0000'
+        );
+      }
+      return passesIsraeliIdChecksum(match);
+    },
+  },
+  phone: {
+    label: 'PHONE',
+    pattern: /(?<![\w+])\+?\(?\d[\d\s().-]{5,20}\d(?!\w)/g,
+    validate: (match) => {
+      const digits = onlyDigits(match);
+      if (
+        digits.length < REDACTION.MIN_PHONE_DIGITS ||
+        digits.length > REDACTION.MAX_PHONE_DIGITS
+      ) {
+        return false;
+      }
+      if (DATE_PATTERN.test(match) || IP_PATTERN.test(match)) return false;
+      return match.startsWith('+') || match.startsWith('0') || /\D/.test(match);
+    },
+  },
+};
+
+/**
+ * Token label of a custom rule name, e.g. "Order ref" -> ORDER_REF
+ */
+export function toLabel(name) {
+  return (
+    String(name)
+      .toUpperCase()
+      .replace(/[^A-Z0-9]+/g, '_')
+      .replace(/^[^A-Z]+|_+$/g, '') || 'CUSTOM'
+  );
+}
+
+/**
+ * Detection rules of a redaction config, custom patterns first
+ * @param {object} config - { types: string[], custom: [{ name, pattern }] }
+ * @returns {Array<{ label, pattern, validate? }>}
+ */
+export function buildRules({ types = REDACTION.TYPES, custom = [] } = {}) {
+  const rules = (custom || []).map((rule) => ({
+    label: toLabel(rule.name),
+    pattern: new RE2(rule.pattern, 'g'),
+  }));
+  for (const type of REDACTION.TYPES) {
+    if (types.includes(type)) {
+      rules.push(DETECTORS[type]);
+    }
+  }
+  return rules;
+}
+
+/**
+ * Replace every detected value in text
+ * @param {string} text
+ * @param {Array} rules - From buildRules()
+ * @param {Function} replace - (value, label) => replacement
+ */
+function replaceDetected(text, rules, replace) {
+  let result = text;
+  for (const rule of rules) {
+    rule.pattern.lastIndex = 0;
+    result = result.replace(rule.pattern, (match) =>
+      !rule.validate || rule.validate(match) ? replace(match, rule.label) : match
+    );
+  }
+  return result;
+}
+
+/**
+ * Apply fn to every string in a value (objects and arrays are copied)
+ */
+function mapStrings(value, fn) {
+  if (typeof value === 'string') return fn(value);
+  if (Array.isArray(value)) return value.map((item) => mapStrings(item, fn));
+  if (value && typeof value === 'object' && !(value instanceof Date) && !Buffer.isBuffer(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, mapStrings(item, fn)])
+    );
+  }
+  return value;
+}
+
+const DEFAULT_RULES = buildRules();
+
+/**
+ * Mask personal data one-way, e.g. "mail jane@example.com" -> "mail [EMAIL]"
+ * @param {string} text
+ * @param {Array} rules - From buildRules(), defaults to every built-in detector
+ */
+export function maskText(text, rules = DEFAULT_RULES) {
+  if (typeof text !== 'string' || !text) return text;
+  return replaceDetected(text, rules, (value, label) => `[${label}]`);
+}
+
+/**
+ * maskText() over every string of a value
+ */
+export function maskValue(value, rules = DEFAULT_RULES) {
+  return mapStrings(value, (text) => maskText(text, rules));
+}
+
+/**
+ * Reversible tokenisation for one or more LLM calls
+ * The same value always gets the same token, so the model can refer to it
+ * consistently (e.g. pass [EMAIL_1] as a tool argument).
+ */
+export class Redactor {
+  constructor(rules) {
+    this.rules = rules;
+    this.tokens = new Map(); // token -> value
+    this.values = new Map(); // value -> token
+    this.counters = {};
+  }
+
+  /**
+   * Number of distinct values tokenised so far
+   */
+  get size() {
+    return this.tokens.size;
+  }
+
+  tokenize(text) {
+    if (typeof text !== 'string' || !text) return text;
+    return replaceDetected(text, this.rules, (value, label) => {
+      const key = `${label}:${value}`;
+      if (!this.values.has(key)) {
+        this.counters[label] = (this.counters[label] || 0) + 1;
+        const token = `[${label}_${this.counters[label]}]`;
+        this.values.set(key, token);
+        this.tokens.set(token, value);
+      }
+      return this.values.get(key);
+    });
+  }
+
+  rehydrate(text) {
+    if (typeof text !== 'string' || !text) return text;
+    return text.replace(TOKEN_PATTERN, (token) => this.tokens.get(token) ?? token);
+  }
+
+  tokenizeValue(value) {
+    return mapStrings(value, (text) => this.tokenize(text));
+  }
+
+  rehydrateValue(value) {
+    return mapStrings(value, (text) => this.rehydrate(text));
+  }
+
+  /**
+   * Copy of a chat messages array with message text and tool call arguments tokenised
+   * Images are passed through unchanged.
+   */
+  tokenizeMessages(messages) {
+    return messages.map((message) => ({
+      ...message,
+      content: this.tokenize(message.content),
+      ...(message.tool_calls && { tool_calls: this.tokenizeValue(message.tool_calls) }),
+    }));
+  }
+
+  /**
+   * Re-hydrate an llmService.chat() response: reply text and tool call arguments
+   */
+  rehydrateResponse(response) {
+    return {
+      ...response,
+      content: this.rehydrate(response.content),
+      toolCalls: response.toolCalls
+        ? response.toolCalls.map((toolCall) => ({
+            ...toolCall,
+            arguments: this.rehydrateValue(toolCall.arguments),
+          }))
+        : response.toolCalls,
+    };
+  }
+
+  /**
+   * Wrap a streaming token callback so tokens split across deltas are re-hydrated whole
+   * Call flush() once the stream has ended.
+   * @param {Function} onToken - Receives re-hydrated text
+   */
+  createStreamRehydrator(onToken) {
+    let pending = '';
+
+    return {
+      onToken: (text) => {
+        pending += text;
+        let held = '';
+        const open = pending.lastIndexOf('[');
+        if (
+          open !== -1 &&
+          !pending.includes(']', open) &&
+          pending.length - open <= REDACTION.MAX_TOKEN_LENGTH
+        ) {
+          held = pending.slice(open);
+          pending = pending.slice(0, open);
+        }
+        if (pending) onToken(this.rehydrate(pending));
+        pending = held;
+      },
+      flush: () => {
+        if (pending) onToken(this.rehydrate(pending));
+        pending = '';
+      },
+    };
+  }
+}
+
+/**
+ * Redactor for a client's redaction config, or null when redaction is off
+ * @param {object|null} config - clients.redaction_config
+ */
+export function createRedactor(config) {
+  if (!config?.enabled) return null;
+  const rules = buildRules(config);
+  return rules.length > 0 ? new Redactor(rules) : null;
+}
+
+/**
+ * One-way masker for a client's debug view, or null when it shows raw data
+ * @param {object|null} config - clients.redaction_config
+ * @returns {Function|null} (value) => masked value
+ */
+export function createDebugMasker(config) {
+  if (!config?.mask_debug) return null;
+  const rules = buildRules(config);
+  return rules.length > 0 ? (value) => maskValue(value, rules) : null;
+}
@@ -0,0 +1,191 @@
+/**
+ * Response Blocks
+ *
+ * Structured extras the chat widget renders under an AI reply:
+ * - quick_replies: buttons the customer can tap instead of typing
+ * - cards: product/order cards built from the data a tool returned
+ * - date_picker: a calendar input (booking tools)
+ *
+ * The AI asks for quick replies and date pickers with directives at the end of
+ * its reply ([[quick_replies: Yes | No]], [[date_picker]]). They are removed
+ * from the stored text, so other channels only ever see plain text.
+ */
+
+import { RESPONSE_BLOCKS } from '../config/constants.js';
+
+const DIRECTIVE_PATTERN = /\[\[\s*(quick_replies|date_picker)\s*(?::([^\]]*))?\]\]/gi;
+
+// Keys under which tools commonly return lists
+const LIST_KEYS = ['items', 'products', 'orders', 'results', 'data'];
+
+/**
+ * Truncate text to a maximum length
+ */
+function truncate(value, max) {
+  const text = String(value).trim();
+  return text.length > max ? `${text.slice(0, max - 1).trimEnd()}…` : text;
+}
+
+/**
+ * Only http(s) links and images are passed to the widget
+ */
+function safeUrl(value) {
+  return typeof value === 'string' && /^https?:\/\//i.test(value.trim()) ? value.trim() : null;
+}
+
+/**
+ * First defined value among the given keys
+ */
+function pick(item, keys) {
+  for (const key of keys) {
+    if (item[key] !== undefined && item[key] !== null && item[key] !== '') {
+      return item[key];
+    }
+  }
+  return null;
+}
+
+/**
+ * Build a card from one tool result item, or null if it doesn't look like a product or order
+ * @param {Object} item - Item of a tool result
+ * @returns {Object|null} { kind, title, subtitle, image, url, fields: [{ key, value }] }
+ */
+function toCard(item) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    return null;
+  }
+
+  const orderNumber = pick(item, ['order_number', 'orderNumber', 'order_id', 'orderId']);
+  const status = pick(item, ['status', 'order_status', 'orderStatus']);
+  if (orderNumber !== null && status !== null) {
+    const total = pick(item, ['total', 'total_price', 'totalPrice', 'amount']);
+    const currency = pick(item, ['currency']);
+    const eta = pick(item, ['estimated_delivery', 'estimatedDelivery', 'eta', 'delivery_date']);
+    return {
+      kind: 'order',
+      title: `#${orderNumber}`,
+      subtitle: truncate(status, RESPONSE_BLOCKS.MAX_CARD_TEXT_LENGTH),
+      image: null,
+      url: safeUrl(pick(item, ['tracking_url', 'trackingUrl', 'url'])),
+      fields: [
+        total !== null && {
+          key: 'total',
+          value: currency ? `${total} ${currency}` : String(total),
+        },
+        eta !== null && { key: 'eta', value: String(eta) },
+      ].filter(Boolean),
+    };
+  }
+
+  const title = pick(item, ['title', 'name', 'product_name', 'productName']);
+  if (title === null || typeof title === 'object') {
+    return null;
+  }
+  const price = pick(item, ['price', 'sale_price', 'salePrice']);
+  const image = safeUrl(pick(item, ['image', 'image_url', 'imageUrl', 'thumbnail']));
+  const url = safeUrl(pick(item, ['url', 'link', 'product_url', 'productUrl']));
+  // A name alone (e.g. a customer record) is not a product
+  if (price === null && !image && !url) {
+    return null;
+  }
+  const currency = pick(item, ['currency']);
+  const stock = pick(item, ['in_stock', 'inStock', 'available', 'quantity', 'stock']);
+  const description = pick(item, ['description', 'summary']);
+  return {
+    kind: 'product',
+    title: truncate(title, RESPONSE_BLOCKS.MAX_CARD_TEXT_LENGTH),
+    subtitle:
+      typeof description === 'string'
+        ? truncate(description, RESPONSE_BLOCKS.MAX_CARD_TEXT_LENGTH)
+        : null,
+    image,
+    url,
+    fields: [
+      price !== null &&
+        typeof price !== 'object' && {
+          key: 'price',
+          value: currency ? `${price} ${currency}` : String(price),
+        },
+      stock !== null &&
+        typeof stock !== 'object' && {
+          key: 'stock',
+          value: typeof stock === 'number' ? stock > 0 : Boolean(stock),
+        },
+    ].filter(Boolean),
+  };
+}
+
+/**
+ * Build product/order cards from the data returned by a tool
+ * @param {*} data - Tool result data
+ * @returns {Array} Cards (empty if the data has no recognisable items)
+ */
+export function buildToolCards(data) {
+  if (!data || typeof data !== 'object') {
+    return [];
+  }
+
+  let items = Array.isArray(data) ? data : null;
+  if (!items) {
+    const listKey = LIST_KEYS.find((key) => Array.isArray(data[key]));
+    items = listKey ? data[listKey] : [data.order || data.product || data];
+  }
+
+  return items.map(toCard).filter(Boolean).slice(0, RESPONSE_BLOCKS.MAX_CARDS);
+}
+
+/**
+ * Remove block directives from an AI reply and turn them into blocks
+ * @param {string} text - AI reply
+ * @returns {Object} { text, blocks }
+ */
+export function extractDirectives(text) {
+  if (typeof text !== 'string' || !text.includes(RESPONSE_BLOCKS.MARKER_PREFIX)) {
+    return { text, blocks: [] };
+  }
+
+  const blocks = [];
+  const cleaned = text.replace(DIRECTIVE_PATTERN, (_, type, args = '') => {
+    if (type.toLowerCase() === 'date_picker') {
+      if (!blocks.some((block) => block.type === 'date_picker')) {
+        blocks.push({ type: 'date_picker', label: args.trim() || null });
+      }
+      return '';
+    }
+
+    const options = [
+      ...new Set(
+        args
+          .split('|')
+          .map((option) => option.trim())
+          .filter(Boolean)
+          .map((option) => truncate(option, RESPONSE_BLOCKS.MAX_QUICK_REPLY_LENGTH))
+      ),
+    ].slice(0, RESPONSE_BLOCKS.MAX_QUICK_REPLIES);
+    if (options.length > 0 && !blocks.some((block) => block.type === 'quick_replies')) {
+      blocks.push({ type: 'quick_replies', options });
+    }
+    return '';
+  });
+
+  return { text: cleaned.replace(/[ \t]+$/gm, '').trim(), blocks };
+}
+
+/**
+ * Build all blocks for a reply
+ * @param {string} text - AI reply (may contain directives)
+ * @param {Array} toolResults - Data returned by tools during this turn
+ * @returns {Object} { text, blocks } - text without directives; cards come first
+ */
+export function buildResponseBlocks(text, toolResults = []) {
+  const { text: cleaned, blocks } = extractDirectives(text);
+
+  const cards = toolResults
+    .flatMap((data) => buildToolCards(data))
+    .slice(0, RESPONSE_BLOCKS.MAX_CARDS);
+  if (cards.length > 0) {
+    blocks.unshift({ type: 'cards', cards });
+  }
+
+  return { text: cleaned, blocks };
+}
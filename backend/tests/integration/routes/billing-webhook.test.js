@@ -0,0 +1,115 @@
+/**
+ * Tests for the payment provider webhook endpoint
+ *
+ * Sends signed requests through the full Express app (raw body capture,
+ * no admin auth) with the fake payment provider and a mocked database.
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+
+vi.mock('../../../src/db.js', () => ({
+  db: {
+    query: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/redis.js', () => ({
+  redisClient: {
+    get: vi.fn().mockResolvedValue(null),
+    set: vi.fn().mockResolvedValue('OK'),
+    del: vi.fn().mockResolvedValue(1),
+    isReady: true,
+  },
+}));
+
+const app = (await import('../../../src/app.js')).default;
+const { db } = await import('../../../src/db.js');
+const { getPaymentProvider, resetPaymentProviders } =
+  await import('../../../src/services/payments/index.js');
+
+describe('POST /admin/billing/webhook', () => {
+  const fake = getPaymentProvider('fake');
+  let paymentId;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    fake.reset();
+    paymentId = (await fake.createPaymentIntent({ invoiceId: 12, amount: 40 })).id;
+  });
+
+  const send = ({ rawBody, headers }) =>
+    request(app)
+      .post('/admin/billing/webhook?provider=fake')
+      .set('Content-Type', 'application/json')
+      .set(headers)
+      .send(rawBody);
+
+  it('should mark the invoice as paid without admin auth', async () => {
+    fake.completePayment(paymentId);
+    const invoice = {
+      id: 12,
+      status: 'pending',
+      total_cost: '40.00',
+      amount_refunded: '0.00',
+      payment_provider: 'fake',
+      payment_provider_id: paymentId,
+    };
+    db.query
+      .mockResolvedValueOnce({ rows: [invoice] })
+      .mockResolvedValueOnce({ rows: [{ ...invoice, status: 'paid' }] });
+
+    const res = await send(fake.buildWebhook('payment.succeeded', paymentId));
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ received: true, processed: true, status: 'paid' });
+    const [updateSql, updateValues] = db.query.mock.calls[1];
+    expect(updateSql).toContain('UPDATE invoices');
+    expect(updateValues).toContain('paid');
+  });
+
+  it('should verify the signature against the raw body', async () => {
+    const webhook = fake.buildWebhook('payment.succeeded', paymentId);
+    // Same JSON, different bytes - must not verify
+    webhook.rawBody = JSON.stringify(JSON.parse(webhook.rawBody), null, 2);
+
+    const res = await send(webhook);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Webhook processing failed');
+    expect(db.query).not.toHaveBeenCalled();
+  });
+
+  it('should reject unsigned requests', async () => {
+    const res = await request(app)
+      .post('/admin/billing/webhook?provider=fake')
+      .send({ type: 'payment.succeeded' });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should report unconfigured providers as unavailable', async () => {
+    const res = await request(app)
+      .post('/admin/billing/webhook?provider=paypal')
+      .send({ type: 'payment.succeeded' });
+
+    expect(res.status).toBe(503);
+  });
+
+  it('should not accept the fake provider in production', async () => {
+    vi.stubEnv('NODE_ENV', 'production');
+    vi.stubEnv('PAYMENT_PROVIDER', 'stripe');
+    resetPaymentProviders();
+    fake.completePayment(paymentId);
+
+    try {
+      const res = await send(fake.buildWebhook('payment.succeeded', paymentId));
+
+      expect(res.status).toBe(503);
+      expect(db.query).not.toHaveBeenCalled();
+    } finally {
+      vi.unstubAllEnvs();
+      resetPaymentProviders();
+    }
+  });
+});
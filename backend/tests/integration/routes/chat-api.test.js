@@ -225,6 +225,87 @@ describe('Chat API', () => {
     });
   });
 
+  describe('POST /chat/message/stream', () => {
+    const parseEvents = (text) =>
+      text
+        .trim()
+        .split('\n\n')
+        .map((frame) => {
+          const [eventLine, dataLine] = frame.split('\n');
+          return { event: eventLine.slice(7), data: JSON.parse(dataLine.slice(6)) };
+        });
+
+    it('should stream tokens, resets and the final reply as SSE', async () => {
+      conversationService.processMessage.mockImplementation(
+        async (_client, _sessionId, _message, options) => {
+          options.onToken('Let me ');
+          options.onReset();
+          options.onToken('Your order ');
+          options.onToken('has shipped.');
+          return {
+            response: 'Your order has shipped.',
+            conversationId: 1,
+            toolsUsed: [{ name: 'get_order_status', success: true }],
+            tokensUsed: 42,
+            iterations: 2,
+          };
+        }
+      );
+
+      const res = await request(app)
+        .post('/chat/message/stream')
+        .set('Authorization', `Bearer ${testClientApiKey}`)
+        .send({ sessionId: testSessionId, message: 'Where is my order?' });
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toContain('text/event-stream');
+
+      const events = parseEvents(res.text);
+      expect(events.map((e) => e.event)).toEqual(['token', 'reset', 'token', 'token', 'done']);
+      expect(events[2].data).toEqual({ text: 'Your order ' });
+      expect(events[4].data).toMatchObject({
+        response: 'Your order has shipped.',
+        conversationId: 1,
+        conversationEnded: false,
+        metadata: { tokensUsed: 42, iterations: 2 },
+      });
+    });
+
+    it('should send an error event when processing fails mid-stream', async () => {
+      conversationService.processMessage.mockRejectedValue(new Error('LLM down'));
+
+      const res = await request(app)
+        .post('/chat/message/stream')
+        .set('Authorization', `Bearer ${testClientApiKey}`)
+        .send({ sessionId: testSessionId, message: 'Hello' });
+
+      expect(res.status).toBe(200);
+      const events = parseEvents(res.text);
+      expect(events).toEqual([
+        { event: 'error', data: { error: 'Failed to process message', message: 'LLM down' } },
+      ]);
+    });
+
+    it('should reject invalid requests as JSON before opening the stream', async () => {
+      const res = await request(app)
+        .post('/chat/message/stream')
+        .set('Authorization', `Bearer ${testClientApiKey}`)
+        .send({ sessionId: testSessionId, message: '' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toContain('Message is required');
+      expect(conversationService.processMessage).not.toHaveBeenCalled();
+    });
+
+    it('should reject without API key', async () => {
+      const res = await request(app)
+        .post('/chat/message/stream')
+        .send({ sessionId: 'test', message: 'Test' });
+
+      expect(res.status).toBe(401);
+    });
+  });
+
   describe('GET /chat/history/:sessionId', () => {
     it('should return conversation history', async () => {
       conversationService.getConversationHistory.mockResolvedValue([
@@ -0,0 +1,104 @@
+/**
+ * Tests for closing escalations from the customer dashboard
+ *
+ * Sends requests through the full Express app with authentication mocked
+ * (the dashboard user comes from X-Test-User) and a mocked database.
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+
+vi.mock('../../../src/db.js', () => ({
+  db: {
+    query: vi.fn().mockResolvedValue({ rows: [] }),
+  },
+}));
+
+vi.mock('../../../src/redis.js', () => ({
+  redisClient: {
+    get: vi.fn().mockResolvedValue(null),
+    set: vi.fn().mockResolvedValue('OK'),
+    del: vi.fn().mockResolvedValue(1),
+    isReady: true,
+  },
+}));
+
+vi.mock('../../../src/middleware/customerAuth.js', async (importOriginal) => {
+  const actual = await importOriginal();
+  const customerAuth = (req, res, next) => {
+    const userId = req.get('X-Test-User');
+    req.client = { id: 1 };
+    req.clientId = 1;
+    req.user = userId ? { id: Number(userId), role: 'agent', name: 'Dana' } : null;
+    req.userRole = userId ? 'agent' : 'owner';
+    next();
+  };
+  return { ...actual, default: customerAuth, customerAuth };
+});
+
+vi.mock('../../../src/models/Escalation.js', async (importOriginal) => {
+  const actual = await importOriginal();
+  return {
+    ...actual,
+    Escalation: {
+      findById: vi.fn(),
+      updateStatus: vi.fn(),
+    },
+  };
+});
+
+const app = (await import('../../../src/app.js')).default;
+const { Escalation } = await import('../../../src/models/Escalation.js');
+const { RedisCache } = await import('../../../src/services/redisCache.js');
+const liveAgentService = (await import('../../../src/services/liveAgentService.js')).default;
+
+const ACKNOWLEDGED = { id: 7, client_id: 1, conversation_id: 42, status: 'acknowledged' };
+
+describe('Customer escalation actions', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(RedisCache, 'checkRateLimit').mockResolvedValue({ allowed: true });
+    vi.spyOn(liveAgentService, 'resetAIContext').mockResolvedValue();
+    Escalation.findById.mockResolvedValue(ACKNOWLEDGED);
+  });
+
+  it('should drop the cached AI context when resolving', async () => {
+    Escalation.updateStatus.mockResolvedValue({ ...ACKNOWLEDGED, status: 'resolved' });
+
+    const res = await request(app)
+      .post('/api/customer/escalations/7/resolve')
+      .set('X-Test-User', '5')
+      .send({ notes: 'Refunded' });
+
+    expect(res.status).toBe(200);
+    expect(Escalation.updateStatus).toHaveBeenCalledWith('7', 'resolved', {
+      notes: 'Refunded',
+      resolved_by: 5,
+    });
+    expect(liveAgentService.resetAIContext).toHaveBeenCalledWith(42);
+  });
+
+  it('should drop the cached AI context when cancelling', async () => {
+    Escalation.updateStatus.mockResolvedValue({ ...ACKNOWLEDGED, status: 'cancelled' });
+
+    const res = await request(app).post('/api/customer/escalations/7/cancel').send({});
+
+    expect(res.status).toBe(200);
+    expect(liveAgentService.resetAIContext).toHaveBeenCalledWith(42);
+  });
+
+  it('should record the dashboard user who cancelled', async () => {
+    Escalation.updateStatus.mockResolvedValue({ ...ACKNOWLEDGED, status: 'cancelled' });
+
+    const res = await request(app)
+      .post('/api/customer/escalations/7/cancel')
+      .set('X-Test-User', '5')
+      .send({ notes: 'Duplicate' });
+
+    expect(res.status).toBe(200);
+    expect(Escalation.updateStatus).toHaveBeenCalledWith(7, 'cancelled', {
+      notes: 'Duplicate',
+      resolved_by: 5,
+    });
+  });
+});
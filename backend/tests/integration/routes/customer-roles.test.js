@@ -0,0 +1,130 @@
+/**
+ * Tests for role scopes on the customer dashboard API
+ *
+ * Sends requests through the full Express app with authentication mocked:
+ * the role comes from an X-Test-Role header and controllers are stubbed.
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+
+vi.mock('../../../src/db.js', () => ({
+  db: {
+    query: vi.fn().mockResolvedValue({ rows: [] }),
+  },
+}));
+
+vi.mock('../../../src/redis.js', () => ({
+  redisClient: {
+    get: vi.fn().mockResolvedValue(null),
+    set: vi.fn().mockResolvedValue('OK'),
+    del: vi.fn().mockResolvedValue(1),
+    isReady: true,
+  },
+}));
+
+vi.mock('../../../src/middleware/customerAuth.js', async (importOriginal) => {
+  const actual = await importOriginal();
+  const customerAuth = (req, res, next) => {
+    req.client = { id: 1 };
+    req.clientId = 1;
+    req.user = null;
+    req.userRole = req.get('X-Test-Role');
+    next();
+  };
+  return { ...actual, default: customerAuth, customerAuth };
+});
+
+vi.mock('../../../src/controllers/customerController.js', () => {
+  const handlers = {};
+  const controller = new Proxy(handlers, {
+    get: (target, name) => {
+      target[name] ??= vi.fn((req, res) => res.json({ ok: true }));
+      return target[name];
+    },
+  });
+  return { default: controller };
+});
+
+const app = (await import('../../../src/app.js')).default;
+const customerController = (await import('../../../src/controllers/customerController.js')).default;
+
+describe('Customer API role scopes', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('plan change requests', () => {
+    it('should let billing viewers read the plan', async () => {
+      const res = await request(app)
+        .get('/api/customer/billing/plan')
+        .set('X-Test-Role', 'billing');
+
+      expect(res.status).toBe(200);
+    });
+
+    it('should not let billing viewers request or cancel upgrades', async () => {
+      const create = await request(app)
+        .post('/api/customer/billing/plan-change-requests')
+        .set('X-Test-Role', 'billing')
+        .send({ plan: 'pro' });
+      const cancel = await request(app)
+        .delete('/api/customer/billing/plan-change-requests/4')
+        .set('X-Test-Role', 'billing');
+
+      expect(create.status).toBe(403);
+      expect(cancel.status).toBe(403);
+      expect(customerController.requestPlanChange).not.toHaveBeenCalled();
+      expect(customerController.cancelPlanChange).not.toHaveBeenCalled();
+    });
+
+    it('should let owners request upgrades', async () => {
+      const res = await request(app)
+        .post('/api/customer/billing/plan-change-requests')
+        .set('X-Test-Role', 'owner')
+        .send({ plan: 'pro' });
+
+      expect(res.status).toBe(200);
+    });
+  });
+
+  describe('spending and credits', () => {
+    it('should let billing viewers read spending', async () => {
+      const res = await request(app)
+        .get('/api/customer/billing/spending')
+        .set('X-Test-Role', 'billing');
+
+      expect(res.status).toBe(200);
+    });
+
+    it('should not let billing viewers change the budget or buy credits', async () => {
+      const update = await request(app)
+        .put('/api/customer/billing/spending')
+        .set('X-Test-Role', 'billing')
+        .send({ monthlyBudget: 500, overLimitAction: 'overage' });
+      const purchase = await request(app)
+        .post('/api/customer/billing/credits')
+        .set('X-Test-Role', 'billing')
+        .send({ amount: 100 });
+
+      expect(update.status).toBe(403);
+      expect(purchase.status).toBe(403);
+      expect(customerController.updateSpending).not.toHaveBeenCalled();
+      expect(customerController.purchaseCredits).not.toHaveBeenCalled();
+    });
+
+    it('should let admins change the budget and buy credits', async () => {
+      const update = await request(app)
+        .put('/api/customer/billing/spending')
+        .set('X-Test-Role', 'admin')
+        .send({ monthlyBudget: 500 });
+      const purchase = await request(app)
+        .post('/api/customer/billing/credits')
+        .set('X-Test-Role', 'admin')
+        .send({ amount: 100 });
+
+      expect(update.status).toBe(200);
+      expect(purchase.status).toBe(200);
+    });
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Tests for the WhatsApp webhook endpoint
+ *
+ * Sends requests through the full Express app (raw body capture, no admin
+ * auth) with a mocked database.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import request from 'supertest';
+import crypto from 'crypto';
+
+vi.mock('../../../src/db.js', () => ({
+  db: {
+    query: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/redis.js', () => ({
+  redisClient: {
+    get: vi.fn().mockResolvedValue(null),
+    set: vi.fn().mockResolvedValue('OK'),
+    del: vi.fn().mockResolvedValue(1),
+    isReady: true,
+  },
+}));
+
+const app = (await import('../../../src/app.js')).default;
+const { db } = await import('../../../src/db.js');
+const { whatsappHandler } = await import('../../../src/services/whatsappHandler.js');
+
+const APP_SECRET = 'whatsapp-app-secret';
+
+const payload = {
+  object: 'whatsapp_business_account',
+  entry: [
+    {
+      changes: [
+        {
+          field: 'messages',
+          value: {
+            metadata: { phone_number_id: '1098765' },
+            messages: [
+              {
+                from: '972501234567',
+                id: 'wamid.in1',
+                timestamp: '1768550400',
+                type: 'text',
+                text: { body: 'Hi' },
+              },
+            ],
+          },
+        },
+      ],
+    },
+  ],
+};
+
+const sign = (body, secret = APP_SECRET) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+describe('WhatsApp webhook', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    process.env.WHATSAPP_WEBHOOK_VERIFY_TOKEN = 'verify-me';
+    // No channel row carries its own app secret - fall back to the global one
+    db.query.mockResolvedValue({ rows: [] });
+    process.env.WHATSAPP_APP_SECRET = APP_SECRET;
+    vi.spyOn(whatsappHandler, 'handleWebhook').mockResolvedValue({ processed: 1, skipped: 0 });
+  });
+
+  afterEach(() => {
+    delete process.env.WHATSAPP_WEBHOOK_VERIFY_TOKEN;
+    delete process.env.WHATSAPP_APP_SECRET;
+  });
+
+  describe('GET /api/whatsapp/webhook', () => {
+    it('should echo the challenge for a matching verify token', async () => {
+      const res = await request(app).get('/api/whatsapp/webhook').query({
+        'hub.mode': 'subscribe',
+        'hub.verify_token': 'verify-me',
+        'hub.challenge': '1158201444',
+      });
+
+      expect(res.status).toBe(200);
+      expect(res.text).toBe('1158201444');
+    });
+
+    it('should reject a wrong verify token', async () => {
+      const res = await request(app).get('/api/whatsapp/webhook').query({
+        'hub.mode': 'subscribe',
+        'hub.verify_token': 'nope',
+        'hub.challenge': '1',
+      });
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('POST /api/whatsapp/webhook', () => {
+    it('should accept signed payloads without admin auth', async () => {
+      const body = JSON.stringify(payload);
+
+      const res = await request(app)
+        .post('/api/whatsapp/webhook')
+        .set('Content-Type', 'application/json')
+        .set('X-Hub-Signature-256', sign(body))
+        .send(body);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ received: true });
+      expect(whatsappHandler.handleWebhook).toHaveBeenCalledWith(payload);
+    });
+
+    it('should reject payloads signed with another secret', async () => {
+      const body = JSON.stringify(payload);
+
+      const res = await request(app)
+        .post('/api/whatsapp/webhook')
+        .set('Content-Type', 'application/json')
+        .set('X-Hub-Signature-256', sign(body, 'wrong'))
+        .send(body);
+
+      expect(res.status).toBe(401);
+      expect(whatsappHandler.handleWebhook).not.toHaveBeenCalled();
+    });
+
+    it('should reject unsigned payloads', async () => {
+      const res = await request(app).post('/api/whatsapp/webhook').send(payload);
+
+      expect(res.status).toBe(401);
+    });
+  });
+});
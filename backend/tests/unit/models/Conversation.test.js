@@ -0,0 +1,18 @@
+import { describe, it, expect, vi } from 'vitest';
+import { Conversation } from '../../../src/models/Conversation.js';
+
+vi.mock('../../../src/db.js', () => ({
+  db: {
+    query: vi.fn(),
+  },
+}));
+
+describe('Conversation Model - Search Filters', () => {
+  it('should match LIKE wildcards in the search text literally', () => {
+    const { where, params } = Conversation.buildSearchFilters({ text: '100%_a\\b' });
+
+    expect(params).toEqual(['100%_a\\b', '%100\\%\\_a\\\\b%']);
+    expect(where).toContain("c.session_id ILIKE $2 ESCAPE '\\'");
+    expect(where).toContain("c.user_identifier ILIKE $2 ESCAPE '\\'");
+  });
+});
@@ -167,6 +167,16 @@ describe('Escalation Model', () => {
       const query = db.query.mock.calls[0][0];
       expect(query).toContain('notes = $');
     });
+
+    it('should record the dashboard user who acted', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ id: 1, resolved_by: 7 }] });
+
+      await Escalation.updateStatus(1, 'resolved', { resolved_by: 7 });
+
+      const [query, params] = db.query.mock.calls[0];
+      expect(query).toContain('resolved_by = $2');
+      expect(params).toEqual(['resolved', 7, 1]);
+    });
   });
 
   describe('getStats', () => {
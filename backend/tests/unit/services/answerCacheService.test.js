@@ -0,0 +1,332 @@
+/**
+ * Tests for the answer cache (eligibility, matching and settings)
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../../src/models/Client.js', () => ({
+  Client: { updateAnswerCache: vi.fn() },
+}));
+
+vi.mock('../../../src/models/ApiUsage.js', () => ({
+  ApiUsage: { recordAnswerCache: vi.fn() },
+}));
+
+vi.mock('../../../src/services/redisCache.js', () => ({
+  RedisCache: {
+    cacheResponse: vi.fn(),
+    getCachedResponse: vi.fn(),
+    indexCachedQuery: vi.fn(),
+    getCacheIndex: vi.fn(),
+    removeFromCacheIndex: vi.fn(),
+    countClientCache: vi.fn(),
+    clearClientCache: vi.fn(),
+    hashQuery: (query) => `hash(${query})`,
+  },
+}));
+
+vi.mock('../../../src/services/promptService.js', () => ({
+  default: { getClientConfig: vi.fn() },
+}));
+
+vi.mock('../../../src/services/escalationService.js', () => ({
+  default: { detectExplicitRequest: vi.fn() },
+}));
+
+const { Client } = await import('../../../src/models/Client.js');
+const { ApiUsage } = await import('../../../src/models/ApiUsage.js');
+const { RedisCache } = await import('../../../src/services/redisCache.js');
+const promptService = (await import('../../../src/services/promptService.js')).default;
+const escalationService = (await import('../../../src/services/escalationService.js')).default;
+const { default: answerCacheService, AnswerCacheError } =
+  await import('../../../src/services/answerCacheService.js');
+
+const client = {
+  id: 1,
+  language: 'en',
+  business_info: { hours: '9-17' },
+  answer_cache: { enabled: true, similarity: true, threshold: 0.8, ttl_hours: 12 },
+};
+const context = { channel: 'widget', aiMode: 'standard', isNewConversation: true };
+const entry = {
+  question: 'what are your opening hours',
+  response: 'We are open 9-17',
+  blocks: [],
+  tokensInput: 300,
+  tokensOutput: 20,
+};
+
+describe('answerCacheService', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    promptService.getClientConfig.mockResolvedValue({ tone: 'friendly' });
+    escalationService.detectExplicitRequest.mockReturnValue(false);
+    RedisCache.getCacheIndex.mockResolvedValue({});
+  });
+
+  describe('normalizeQuestion', () => {
+    it('should ignore case, punctuation and extra whitespace', () => {
+      expect(answerCacheService.normalizeQuestion('  What are your   OPENING hours?? ')).toBe(
+        'what are your opening hours'
+      );
+    });
+
+    it('should keep non-Latin letters', () => {
+      expect(answerCacheService.normalizeQuestion('מה שעות הפתיחה?')).toBe('מה שעות הפתיחה');
+    });
+  });
+
+  describe('similarity', () => {
+    it('should score small wording changes and typos above unrelated questions', () => {
+      const question = 'what are your opening hours';
+
+      expect(answerCacheService.similarity(question, question)).toBe(1);
+      expect(
+        answerCacheService.similarity(question, 'what are your openning hours')
+      ).toBeGreaterThan(0.8);
+      expect(answerCacheService.similarity(question, 'do you ship abroad')).toBeLessThan(0.3);
+    });
+  });
+
+  describe('isEligible', () => {
+    const conversation = { id: 5, message_count: 0 };
+
+    it('should accept the first message of a conversation', () => {
+      expect(answerCacheService.isEligible(client, conversation, 'Opening hours?')).toBe(true);
+    });
+
+    it('should reject when the cache is disabled', () => {
+      expect(
+        answerCacheService.isEligible(
+          { ...client, answer_cache: {} },
+          conversation,
+          'Opening hours?'
+        )
+      ).toBe(false);
+    });
+
+    it('should reject later messages of a conversation', () => {
+      expect(
+        answerCacheService.isEligible(client, { ...conversation, message_count: 2 }, 'Hours?')
+      ).toBe(false);
+    });
+
+    it('should count a message the channel saved itself', () => {
+      expect(
+        answerCacheService.isEligible(client, { ...conversation, message_count: 1 }, 'Hours?', {
+          skipUserMessageSave: true,
+        })
+      ).toBe(true);
+    });
+
+    it('should reject attachments, email subjects and requests for a human', () => {
+      expect(
+        answerCacheService.isEligible(client, conversation, 'Hours?', { attachments: [{ id: 1 }] })
+      ).toBe(false);
+      expect(
+        answerCacheService.isEligible(client, conversation, 'Hours?', {
+          channelMetadata: { subject: 'Question' },
+        })
+      ).toBe(false);
+
+      escalationService.detectExplicitRequest.mockReturnValueOnce(true);
+      expect(answerCacheService.isEligible(client, conversation, 'Talk to a human')).toBe(false);
+    });
+
+    it('should reject questions carrying personal data', () => {
+      expect(
+        answerCacheService.isEligible(
+          client,
+          conversation,
+          'I am John (john@example.com), what are your hours?'
+        )
+      ).toBe(false);
+      expect(
+        answerCacheService.isEligible(
+          { ...client, redaction_config: { custom: [{ name: 'Member', pattern: 'M-\\d{6}' }] } },
+          conversation,
+          'Is membership M-123456 still valid?'
+        )
+      ).toBe(false);
+    });
+  });
+
+  describe('lookup', () => {
+    it('should return an exact match and record the hit with its savings', async () => {
+      RedisCache.getCachedResponse.mockResolvedValueOnce({
+        response: entry,
+        cached_at: '2026-01-01T00:00:00.000Z',
+      });
+
+      const result = await answerCacheService.lookup(
+        client,
+        'What are your opening hours?',
+        context
+      );
+
+      expect(RedisCache.getCachedResponse.mock.calls[0][0]).toMatch(
+        /^answers:[0-9a-f]{16}:hash\(what are your opening hours\)$/
+      );
+      expect(result).toMatchObject({ response: 'We are open 9-17', match: 'exact', score: 1 });
+      expect(ApiUsage.recordAnswerCache).toHaveBeenCalledWith(1, {
+        hit: true,
+        tokensInput: 300,
+        tokensOutput: 20,
+        isNewConversation: true,
+      });
+    });
+
+    it('should fall back to the most similar cached question', async () => {
+      RedisCache.getCachedResponse
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce({ response: entry, cached_at: '2026-01-01T00:00:00.000Z' });
+      RedisCache.getCacheIndex.mockResolvedValueOnce({
+        'hash(do you ship abroad)': 'do you ship abroad',
+        'hash(what are your opening hours)': 'what are your opening hours',
+      });
+
+      const result = await answerCacheService.lookup(
+        client,
+        'What are your openning hours',
+        context
+      );
+
+      expect(RedisCache.getCachedResponse.mock.calls[1][0]).toMatch(
+        /:hash\(what are your opening hours\)$/
+      );
+      expect(result.match).toBe('similar');
+      expect(result.score).toBeGreaterThan(0.8);
+    });
+
+    it('should not match similar questions when similarity matching is off', async () => {
+      RedisCache.getCachedResponse.mockResolvedValueOnce(null);
+
+      const result = await answerCacheService.lookup(
+        { ...client, answer_cache: { enabled: true } },
+        'What are your openning hours',
+        context
+      );
+
+      expect(result).toBeNull();
+      expect(RedisCache.getCacheIndex).not.toHaveBeenCalled();
+      expect(ApiUsage.recordAnswerCache).toHaveBeenCalledWith(
+        1,
+        expect.objectContaining({ hit: false })
+      );
+    });
+
+    it('should drop an indexed question whose answer expired', async () => {
+      RedisCache.getCachedResponse.mockResolvedValueOnce(null).mockResolvedValueOnce(null);
+      RedisCache.getCacheIndex.mockResolvedValueOnce({
+        'hash(what are your opening hours)': 'what are your opening hours',
+      });
+
+      const result = await answerCacheService.lookup(
+        client,
+        'what are your openning hours',
+        context
+      );
+
+      expect(result).toBeNull();
+      expect(RedisCache.removeFromCacheIndex).toHaveBeenCalledWith(
+        expect.stringMatching(/^answers:/),
+        'hash(what are your opening hours)',
+        1
+      );
+    });
+
+    it('should use a different namespace once business info changes', async () => {
+      await answerCacheService.lookup(client, 'Opening hours?', context);
+      await answerCacheService.lookup(
+        { ...client, business_info: { hours: '10-18' } },
+        'Opening hours?',
+        context
+      );
+
+      const [first, second] = RedisCache.getCachedResponse.mock.calls.map(([key]) => key);
+      expect(first).not.toBe(second);
+    });
+
+    it('should treat cache errors as a miss', async () => {
+      RedisCache.getCachedResponse.mockRejectedValueOnce(new Error('Redis down'));
+
+      expect(await answerCacheService.lookup(client, 'Opening hours?', context)).toBeNull();
+    });
+  });
+
+  describe('store', () => {
+    it('should cache the reply with the client TTL and index the question', async () => {
+      await answerCacheService.store(
+        client,
+        'What are your opening hours?',
+        { response: 'We are open 9-17', blocks: [], tokensInput: 300, tokensOutput: 20 },
+        context
+      );
+
+      expect(RedisCache.cacheResponse).toHaveBeenCalledWith(
+        expect.stringMatching(/^answers:[0-9a-f]{16}:hash\(what are your opening hours\)$/),
+        entry,
+        1,
+        12 * 3600
+      );
+      expect(RedisCache.indexCachedQuery).toHaveBeenCalledWith(
+        expect.stringMatching(/^answers:[0-9a-f]{16}$/),
+        'hash(what are your opening hours)',
+        'what are your opening hours',
+        1,
+        12 * 3600,
+        500
+      );
+    });
+
+    it('should not cache a reply that repeats a name or number from the question', async () => {
+      await answerCacheService.store(
+        client,
+        "I'm John, what are your opening hours?",
+        { response: 'Hi John, we are open 9-17', blocks: [], tokensInput: 300, tokensOutput: 20 },
+        context
+      );
+      await answerCacheService.store(
+        client,
+        'Can I still return order 48213?',
+        { response: 'Order 48213 can be returned within 30 days', blocks: [] },
+        context
+      );
+
+      expect(RedisCache.cacheResponse).not.toHaveBeenCalled();
+      expect(RedisCache.indexCachedQuery).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateSettings', () => {
+    it('should validate the threshold and lifetime', () => {
+      expect(() => answerCacheService.normalizeSettings({ enabled: true, threshold: 0.2 })).toThrow(
+        AnswerCacheError
+      );
+      expect(() =>
+        answerCacheService.normalizeSettings({ enabled: true, ttl_hours: 1000 })
+      ).toThrow('Cache lifetime must be between 1 and 168 hours');
+    });
+
+    it('should clear cached answers when the cache is turned off', async () => {
+      Client.updateAnswerCache.mockResolvedValueOnce({ id: 1, answer_cache: { enabled: false } });
+      RedisCache.countClientCache.mockResolvedValueOnce(0);
+
+      const result = await answerCacheService.updateSettings(1, { enabled: false });
+
+      expect(RedisCache.clearClientCache).toHaveBeenCalledWith(1);
+      expect(result).toEqual({
+        settings: { enabled: false, similarity: false, threshold: 0.85, ttl_hours: 24 },
+        entries: 0,
+      });
+    });
+
+    it('should report an unknown client', async () => {
+      Client.updateAnswerCache.mockResolvedValueOnce(undefined);
+
+      await expect(answerCacheService.updateSettings(99, { enabled: true })).rejects.toMatchObject({
+        code: 'not_found',
+      });
+    });
+  });
+});
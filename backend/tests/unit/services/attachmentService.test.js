@@ -0,0 +1,187 @@
+/**
+ * Tests for end-user attachments: plan limits, widget uploads, claiming
+ * uploads for a message and loading images for vision models
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../../src/db.js', () => ({
+  db: {
+    query: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/models/Attachment.js', () => ({
+  Attachment: {
+    create: vi.fn(),
+    findUnclaimed: vi.fn(),
+    linkToMessage: vi.fn(),
+    findInConversation: vi.fn(),
+    findWithData: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/config/planLimits.js', () => ({
+  getPlanConfigAsync: vi.fn(),
+}));
+
+import { attachmentService, AttachmentError } from '../../../src/services/attachmentService.js';
+import { Attachment } from '../../../src/models/Attachment.js';
+import { getPlanConfigAsync } from '../../../src/config/planLimits.js';
+
+const client = { id: 7, plan_type: 'starter' };
+const PNG_BASE64 = Buffer.from('fake png bytes').toString('base64');
+
+describe('AttachmentService', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    getPlanConfigAsync.mockResolvedValue({ features: {} });
+  });
+
+  describe('getLimits', () => {
+    it('should use the defaults when the plan sets no attachment limits', async () => {
+      const limits = await attachmentService.getLimits(client);
+
+      expect(limits.enabled).toBe(true);
+      expect(limits.maxBytes).toBe(5 * 1024 * 1024);
+      expect(limits.types).toContain('application/pdf');
+    });
+
+    it('should read size and types from the plan features', async () => {
+      getPlanConfigAsync.mockResolvedValue({
+        features: { attachmentMaxSizeMb: '2', attachmentTypes: 'image/*, application/pdf' },
+      });
+
+      const limits = await attachmentService.getLimits(client);
+
+      expect(limits.maxBytes).toBe(2 * 1024 * 1024);
+      expect(limits.types).toEqual(['image/*', 'application/pdf']);
+    });
+
+    it('should disable attachments when the plan size is 0 and cap large sizes', async () => {
+      getPlanConfigAsync.mockResolvedValueOnce({ features: { attachmentMaxSizeMb: 0 } });
+      expect((await attachmentService.getLimits(client)).enabled).toBe(false);
+
+      getPlanConfigAsync.mockResolvedValueOnce({ features: { attachmentMaxSizeMb: 500 } });
+      expect((await attachmentService.getLimits(client)).maxBytes).toBe(10 * 1024 * 1024);
+    });
+  });
+
+  describe('checkFile', () => {
+    const limits = { enabled: true, maxBytes: 1000, types: ['image/*', 'application/pdf'] };
+
+    it('should accept allowed types within the size limit', () => {
+      expect(attachmentService.checkFile('image/webp', 500, limits)).toBeNull();
+      expect(attachmentService.checkFile('application/pdf', 1000, limits)).toBeNull();
+    });
+
+    it('should reject other types, empty and oversized files', () => {
+      expect(attachmentService.checkFile('application/zip', 10, limits).code).toBe(
+        'unsupported_type'
+      );
+      expect(attachmentService.checkFile('image/png', 0, limits).code).toBe('invalid');
+      expect(attachmentService.checkFile('image/png', 1001, limits).code).toBe('too_large');
+      expect(attachmentService.checkFile('image/png', 10, { ...limits, enabled: false }).code).toBe(
+        'disabled'
+      );
+    });
+  });
+
+  describe('upload', () => {
+    it('should store the decoded file for the session', async () => {
+      Attachment.create.mockResolvedValue({
+        id: 3,
+        filename: 'photo.png',
+        mime_type: 'image/png',
+        size_bytes: 14,
+      });
+
+      const result = await attachmentService.upload(client, 'sess-1', {
+        filename: '../../etc/photo.png',
+        mimeType: 'IMAGE/PNG',
+        data: `data:image/png;base64,${PNG_BASE64}`,
+      });
+
+      expect(result).toEqual({ id: 3, filename: 'photo.png', mime_type: 'image/png', size: 14 });
+      const stored = Attachment.create.mock.calls[0][0];
+      expect(stored).toMatchObject({
+        clientId: 7,
+        sessionId: 'sess-1',
+        source: 'widget',
+        filename: 'photo.png',
+        mimeType: 'image/png',
+      });
+      expect(stored.data.toString()).toBe('fake png bytes');
+    });
+
+    it('should reject files the plan does not allow', async () => {
+      await expect(
+        attachmentService.upload(client, 'sess-1', {
+          filename: 'setup.exe',
+          mimeType: 'application/x-msdownload',
+          data: PNG_BASE64,
+        })
+      ).rejects.toBeInstanceOf(AttachmentError);
+      expect(Attachment.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('claim', () => {
+    it('should return nothing when no IDs are sent', async () => {
+      expect(await attachmentService.claim(client, 'sess-1', undefined)).toEqual([]);
+      expect(Attachment.findUnclaimed).not.toHaveBeenCalled();
+    });
+
+    it("should resolve the session's unsent uploads", async () => {
+      const uploads = [{ id: 1 }, { id: 2 }];
+      Attachment.findUnclaimed.mockResolvedValue(uploads);
+
+      expect(await attachmentService.claim(client, 'sess-1', [1, 2, 2])).toBe(uploads);
+      expect(Attachment.findUnclaimed).toHaveBeenCalledWith([1, 2], 7, 'sess-1');
+    });
+
+    it('should fail for unknown or already sent uploads', async () => {
+      Attachment.findUnclaimed.mockResolvedValue([{ id: 1 }]);
+
+      await expect(attachmentService.claim(client, 'sess-1', [1, 9])).rejects.toMatchObject({
+        code: 'not_found',
+      });
+    });
+
+    it('should validate the ID list', async () => {
+      await expect(attachmentService.claim(client, 'sess-1', ['1'])).rejects.toBeInstanceOf(
+        AttachmentError
+      );
+      await expect(attachmentService.claim(client, 'sess-1', [1, 2, 3, 4, 5, 6])).rejects.toThrow(
+        'At most 5 attachments'
+      );
+    });
+  });
+
+  describe('loadImages', () => {
+    it('should load only image attachments as base64', async () => {
+      Attachment.findWithData.mockResolvedValue([
+        { mime_type: 'image/jpeg', data: Buffer.from('jpeg') },
+      ]);
+
+      const images = await attachmentService.loadImages([
+        { id: 1, mime_type: 'image/jpeg' },
+        { id: 2, mime_type: 'application/pdf' },
+      ]);
+
+      expect(Attachment.findWithData).toHaveBeenCalledWith([1]);
+      expect(images).toEqual([
+        { mimeType: 'image/jpeg', data: Buffer.from('jpeg').toString('base64') },
+      ]);
+    });
+  });
+
+  it('should describe attachments for text-only contexts', () => {
+    expect(attachmentService.describe([{ filename: 'receipt.pdf' }])).toBe(
+      '[Attachment: receipt.pdf]'
+    );
+    expect(attachmentService.describe([{ filename: 'a.jpg' }, { filename: 'b.jpg' }])).toBe(
+      '[Attachments: a.jpg, b.jpg]'
+    );
+  });
+});
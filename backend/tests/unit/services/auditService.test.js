@@ -0,0 +1,261 @@
+/**
+ * Tests for the audit trail: action resolution, diffs with redaction,
+ * the recording middleware and CSV export
+ */
+
+import { EventEmitter } from 'events';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../../src/db.js', () => ({
+  db: {
+    query: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/models/AuditLog.js', () => ({
+  AuditLog: {
+    create: vi.fn(),
+    search: vi.fn(),
+    count: vi.fn(),
+    getFacets: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/models/Client.js', () => ({
+  Client: {
+    findById: vi.fn(),
+  },
+}));
+
+import { auditService } from '../../../src/services/auditService.js';
+import { auditTrail } from '../../../src/middleware/auditTrail.js';
+import { AuditLog } from '../../../src/models/AuditLog.js';
+import { Client } from '../../../src/models/Client.js';
+
+const mockReqRes = (overrides = {}) => {
+  const req = {
+    method: 'PUT',
+    path: '/',
+    originalUrl: '/api/admin/',
+    body: {},
+    ip: '10.0.0.1',
+    get: () => 'vitest',
+    ...overrides,
+  };
+  const res = new EventEmitter();
+  res.statusCode = 200;
+  res.json = vi.fn().mockReturnValue(res);
+  return { req, res };
+};
+
+// Run the middleware, let the handler respond, and wait for the entry
+const runMutation = async (scope, req, res, respond) => {
+  const next = vi.fn();
+  await auditTrail(scope)(req, res, next);
+  respond?.(res);
+  res.emit('finish');
+  await vi.waitFor(() => expect(AuditLog.create).toHaveBeenCalled());
+  return next;
+};
+
+describe('auditService', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    AuditLog.create.mockImplementation(async (entry) => entry);
+  });
+
+  describe('describe', () => {
+    it('should name actions after the target and route', () => {
+      expect(auditService.describe('admin', 'PUT', '/clients/5').action).toBe('client.update');
+      expect(auditService.describe('admin', 'POST', '/clients').action).toBe('client.create');
+      expect(auditService.describe('admin', 'POST', '/clients/5/api-key').action).toBe(
+        'client.api-key'
+      );
+      expect(auditService.describe('admin', 'PUT', '/clients/5/prompt-config')).toMatchObject({
+        action: 'client_prompt_config.update',
+        params: { clientId: '5' },
+      });
+      expect(
+        auditService.describe('admin', 'DELETE', '/clients/5/tool-policies/tools/9')
+      ).toMatchObject({ action: 'tool_policy.delete', params: { clientId: '5', id: '9' } });
+      expect(auditService.describe('admin', 'POST', '/billing/invoices/3/mark-paid').action).toBe(
+        'invoice.mark-paid'
+      );
+      expect(auditService.describe('customer', 'DELETE', '/users/4').action).toBe(
+        'client_user.delete'
+      );
+    });
+
+    it('should skip reads and routes that change nothing', () => {
+      expect(auditService.describe('admin', 'GET', '/clients/5')).toBeNull();
+      expect(auditService.describe('admin', 'POST', '/prompt-config/preview')).toBeNull();
+      expect(auditService.describe('admin', 'POST', '/tools/2/test')).toBeNull();
+      expect(auditService.describe('admin', 'POST', '/test-chat')).toBeNull();
+    });
+
+    it('should still record unknown mutation routes', () => {
+      expect(auditService.describe('admin', 'POST', '/something/new')).toMatchObject({
+        action: 'POST /something/new',
+        targetType: null,
+      });
+    });
+  });
+
+  describe('diff', () => {
+    it('should list changed fields only', () => {
+      const changes = auditService.diff(
+        { name: 'Acme', plan_type: 'free', updated_at: 'a', widget_config: { color: 'red' } },
+        { name: 'Acme', plan_type: 'pro', updated_at: 'b', widget_config: { color: 'blue' } }
+      );
+
+      expect(changes).toEqual({
+        plan_type: { from: 'free', to: 'pro' },
+        widget_config: { from: { color: 'red' }, to: { color: 'blue' } },
+      });
+      expect(auditService.diff({ a: 1 }, { a: 1 })).toBeNull();
+    });
+
+    it('should show that secrets changed without their values', () => {
+      const changes = auditService.diff(
+        { api_key: 'old-key', connection_config: { apiKey: 'k1', url: 'a' } },
+        { api_key: 'new-key', connection_config: { apiKey: 'k1', url: 'b' } }
+      );
+
+      expect(changes.api_key).toEqual({ from: '[REDACTED]', to: '[REDACTED]' });
+      expect(changes.connection_config.to).toEqual({ apiKey: '[REDACTED]', url: 'b' });
+      expect(JSON.stringify(changes)).not.toMatch(/new-key|k1/);
+    });
+
+    it('should redact end-user identifiers', () => {
+      expect(auditService.redact({ userIdentifier: 'jane@example.com', note: 'x' })).toEqual({
+        userIdentifier: '[REDACTED]',
+        note: 'x',
+      });
+    });
+
+    it('should treat creates and deletes as changes from and to nothing', () => {
+      expect(auditService.diff(null, { name: 'Acme' })).toEqual({
+        name: { from: null, to: 'Acme' },
+      });
+      expect(auditService.diff({ name: 'Acme' }, null)).toEqual({
+        name: { from: 'Acme', to: null },
+      });
+    });
+  });
+
+  describe('auditTrail middleware', () => {
+    it('should record the admin, the client and the before/after diff', async () => {
+      Client.findById
+        .mockResolvedValueOnce({ id: 5, prompt_config: { tone: 'friendly' } })
+        .mockResolvedValueOnce({ id: 5, prompt_config: { tone: 'formal' } });
+      const { req, res } = mockReqRes({
+        path: '/clients/5/prompt-config',
+        originalUrl: '/admin/clients/5/prompt-config?x=1',
+        body: { tone: 'formal' },
+        admin: { id: 1, username: 'root' },
+      });
+
+      const next = await runMutation('admin', req, res);
+
+      expect(next).toHaveBeenCalled();
+      expect(AuditLog.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          actorType: 'admin',
+          actorId: 1,
+          actorName: 'root',
+          clientId: 5,
+          action: 'client_prompt_config.update',
+          targetType: 'client_prompt_config',
+          targetId: '5',
+          path: '/admin/clients/5/prompt-config',
+          changes: { tone: { from: 'friendly', to: 'formal' } },
+          requestBody: { tone: 'formal' },
+          ipAddress: '10.0.0.1',
+        })
+      );
+    });
+
+    it('should attribute customer changes to the dashboard user', async () => {
+      Client.findById
+        .mockResolvedValueOnce({ id: 7, language: 'en' })
+        .mockResolvedValueOnce({ id: 7, language: 'he' });
+      const { req, res } = mockReqRes({
+        path: '/settings',
+        clientId: 7,
+        user: { id: 12, name: 'Nina', email: 'nina@acme.com' },
+      });
+
+      await runMutation('customer', req, res);
+
+      expect(AuditLog.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          actorType: 'client_user',
+          actorId: 12,
+          actorName: 'Nina',
+          clientId: 7,
+          action: 'client_settings.update',
+          changes: { language: { from: 'en', to: 'he' } },
+        })
+      );
+    });
+
+    it('should take the id of created targets from the response', async () => {
+      Client.findById.mockResolvedValue({ id: 9, name: 'New Co' });
+      const { req, res } = mockReqRes({
+        method: 'POST',
+        path: '/clients',
+        body: { name: 'New Co' },
+        admin: { id: 1, username: 'root' },
+      });
+
+      await runMutation('admin', req, res, (response) => response.json({ id: 9, name: 'New Co' }));
+
+      expect(Client.findById).toHaveBeenCalledWith('9');
+      expect(AuditLog.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: 'client.create',
+          targetId: '9',
+          clientId: 9,
+          changes: { id: { from: null, to: 9 }, name: { from: null, to: 'New Co' } },
+        })
+      );
+    });
+
+    it('should not record failed requests', async () => {
+      Client.findById.mockResolvedValue({ id: 2 });
+      const { req, res } = mockReqRes({ path: '/clients/2', admin: { id: 1, username: 'root' } });
+      await auditTrail('admin')(req, res, vi.fn());
+      res.statusCode = 400;
+      res.emit('finish');
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      expect(AuditLog.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('exportCsv', () => {
+    it('should quote cells and neutralise formulas', async () => {
+      AuditLog.search.mockResolvedValue([
+        {
+          created_at: new Date('2026-01-20T10:00:00Z'),
+          actor_type: 'admin',
+          actor_name: '=HYPERLINK("x")',
+          client_name: 'Acme, Inc',
+          action: 'client.update',
+          changes: { name: { from: 'a', to: 'b' } },
+        },
+      ]);
+
+      const csv = await auditService.exportCsv({ clientId: '5' });
+      const [header, row] = csv.split('\n');
+
+      expect(AuditLog.search).toHaveBeenCalledWith(
+        expect.objectContaining({ clientId: 5 }),
+        expect.objectContaining({ offset: 0 })
+      );
+      expect(header).toMatch(/^Time,Actor Type,Actor,Client,Action/);
+      expect(row).toContain('2026-01-20T10:00:00.000Z,admin,"\'=HYPERLINK(""x"")","Acme, Inc"');
+      expect(row).toContain('"{""name"":{""from"":""a"",""to"":""b""}}"');
+    });
+  });
+});
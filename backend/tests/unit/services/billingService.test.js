@@ -1,4 +1,4 @@
-import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 
 // Mock dependencies
 vi.mock('../../../src/db.js', () => ({
@@ -21,18 +21,49 @@ vi.mock('../../../src/models/Invoice.js', () => ({
     findByClientAndPeriod: vi.fn(),
     delete: vi.fn(),
     markAsPaid: vi.fn(),
+    markPaymentFailed: vi.fn(),
+    recordRefund: vi.fn(),
+    findByPaymentProviderId: vi.fn(),
     update: vi.fn(),
     getRevenueAnalytics: vi.fn(),
     getRevenueByMonth: vi.fn(),
     getRevenueByPlan: vi.fn(),
     getOutstanding: vi.fn(),
     markOverdueInvoices: vi.fn(),
+    findLineItems: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/models/CreditNote.js', () => ({
+  CreditNote: {
+    create: vi.fn(),
+    findByInvoiceIds: vi.fn(),
+    findLineItems: vi.fn(),
   },
 }));
 
 vi.mock('../../../src/models/Plan.js', () => ({
   Plan: {
     findByName: vi.fn(),
+    getAllConfigs: vi.fn(async () => null), // Fallback plan limits
+  },
+}));
+
+vi.mock('../../../src/models/PlanChange.js', () => ({
+  PlanChange: {
+    findAppliedSince: vi.fn(async () => []),
+  },
+}));
+
+vi.mock('../../../src/models/CreditTransaction.js', () => ({
+  CreditTransaction: {
+    getBalance: vi.fn(async () => 0),
+    use: vi.fn(),
+    create: vi.fn(),
+    createPurchase: vi.fn(),
+    getPurchaseSummary: vi.fn(async () => null),
+    refundInvoice: vi.fn(async () => null),
+    setInvoice: vi.fn(),
   },
 }));
 
@@ -40,7 +71,12 @@ const { db } = await import('../../../src/db.js');
 const { Client } = await import('../../../src/models/Client.js');
 const { Invoice } = await import('../../../src/models/Invoice.js');
 const { Plan } = await import('../../../src/models/Plan.js');
-const { BillingService } = await import('../../../src/services/billingService.js');
+const { CreditNote } = await import('../../../src/models/CreditNote.js');
+const { PlanChange } = await import('../../../src/models/PlanChange.js');
+const { CreditTransaction } = await import('../../../src/models/CreditTransaction.js');
+const { BillingService, BillingError } = await import('../../../src/services/billingService.js');
+const { getPaymentProvider, resetPaymentProviders, PaymentProviderError } =
+  await import('../../../src/services/payments/index.js');
 
 describe('BillingService', () => {
   beforeEach(() => {
@@ -268,15 +304,664 @@ describe('BillingService', () => {
     });
   });
 
+  describe('invoice line items, currency and tax', () => {
+    const usage = {
+      total_messages: '1000',
+      total_tokens_input: '60000',
+      total_tokens_output: '40000',
+      total_tool_calls: '10',
+    };
+    const originalRates = process.env.BILLING_EXCHANGE_RATES;
+
+    beforeEach(() => {
+      process.env.BILLING_EXCHANGE_RATES = 'EUR=0.9, ILS=3.5';
+      Plan.findByName.mockResolvedValue(null); // Fallback pricing
+      Invoice.create.mockImplementation(async (data) => ({ id: 7, ...data }));
+    });
+
+    afterEach(() => {
+      process.env.BILLING_EXCHANGE_RATES = originalRates;
+      Plan.findByName.mockReset();
+      Invoice.create.mockReset();
+    });
+
+    it('should itemize the base plan and each priced usage component', async () => {
+      Invoice.findByClientAndPeriod.mockResolvedValueOnce(null);
+      Client.findById.mockResolvedValueOnce({ id: 1, plan_type: 'pro' });
+      db.query.mockResolvedValueOnce({ rows: [usage] });
+
+      const { lineItems } = await BillingService.generateInvoice(1, '2026-03');
+
+      // pro: 99.99 base, 0.008 per 1k tokens, 0.0008 per message, 0.04 per tool call
+      expect(lineItems.map((item) => [item.type, item.amount])).toEqual([
+        ['base', 99.99],
+        ['tokens', 0.8],
+        ['messages', 0.8],
+        ['tool_calls', 0.4],
+      ]);
+      expect(lineItems[1].quantity).toBe(100);
+      expect(Invoice.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          currency: 'USD',
+          exchangeRate: 1,
+          subtotal: 101.99,
+          baseCost: 99.99,
+          usageCost: 2,
+          taxAmount: 0,
+          totalCost: 101.99,
+          numberPrefix: 'INV',
+          invoiceNumber: null,
+        })
+      );
+    });
+
+    it("should convert to the client's currency and add its tax", async () => {
+      Invoice.findByClientAndPeriod.mockResolvedValueOnce(null);
+      Client.findById.mockResolvedValueOnce({
+        id: 1,
+        plan_type: 'starter',
+        billing_currency: 'EUR',
+        tax_rate: '20.00',
+        tax_id: 'DE123456789',
+        billing_country: 'DE',
+      });
+      db.query.mockResolvedValueOnce({ rows: [{ total_messages: '0' }] });
+
+      await BillingService.generateInvoice(1, '2026-03');
+
+      // 29.99 USD at 0.9 = 26.99 EUR, plus 20% VAT
+      expect(Invoice.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          currency: 'EUR',
+          exchangeRate: 0.9,
+          subtotal: 26.99,
+          taxRate: 20,
+          taxAmount: 5.4,
+          totalCost: 32.39,
+          customerTaxId: 'DE123456789',
+          billingCountry: 'DE',
+          lineItems: [expect.objectContaining({ type: 'base', amount: 26.99 })],
+        })
+      );
+    });
+
+    it('should reject currencies without an exchange rate', async () => {
+      process.env.BILLING_EXCHANGE_RATES = '';
+      Invoice.findByClientAndPeriod.mockResolvedValueOnce(null);
+      Client.findById.mockResolvedValueOnce({ id: 1, plan_type: 'pro', billing_currency: 'ILS' });
+
+      await expect(BillingService.generateInvoice(1, '2026-03')).rejects.toThrow(
+        'No exchange rate configured for ILS'
+      );
+      expect(Invoice.create).not.toHaveBeenCalled();
+    });
+
+    it('should add overages and subtract credits given on generation', async () => {
+      Invoice.findByClientAndPeriod.mockResolvedValueOnce(null);
+      Client.findById.mockResolvedValueOnce({ id: 1, plan_type: 'starter' });
+      db.query.mockResolvedValueOnce({ rows: [{}] });
+
+      const { invoice, lineItems } = await BillingService.generateInvoice(1, '2026-03', false, {
+        adjustments: [
+          { type: 'overage', description: 'Extra WhatsApp numbers', amount: 10 },
+          { type: 'credit', description: 'Outage goodwill', amount: 5 },
+        ],
+      });
+
+      expect(lineItems.slice(1)).toEqual([
+        expect.objectContaining({ type: 'overage', amount: 10 }),
+        expect.objectContaining({ type: 'credit', amount: -5 }),
+      ]);
+      expect(invoice.subtotal).toBe(34.99);
+      expect(invoice.baseCost).toBe(29.99);
+      expect(invoice.usageCost).toBe(5);
+    });
+
+    it('should reject credits larger than the invoice', async () => {
+      Invoice.findByClientAndPeriod.mockResolvedValueOnce(null);
+      Client.findById.mockResolvedValueOnce({ id: 1, plan_type: 'free' });
+      db.query.mockResolvedValueOnce({ rows: [{}] });
+
+      await expect(
+        BillingService.generateInvoice(1, '2026-03', false, {
+          adjustments: [{ type: 'credit', description: 'Too much', amount: 5 }],
+        })
+      ).rejects.toBeInstanceOf(BillingError);
+    });
+
+    it('should reject invalid adjustments', async () => {
+      Invoice.findByClientAndPeriod.mockResolvedValueOnce(null);
+      Client.findById.mockResolvedValueOnce({ id: 1, plan_type: 'pro' });
+
+      await expect(
+        BillingService.generateInvoice(1, '2026-03', false, {
+          adjustments: [{ type: 'base', description: 'Sneaky', amount: 5 }],
+        })
+      ).rejects.toThrow('Adjustment type');
+    });
+
+    it('should keep the invoice number when regenerating', async () => {
+      Invoice.findByClientAndPeriod.mockResolvedValueOnce({
+        id: 3,
+        invoice_number: 'INV-2026-000012',
+        amount_credited: '0.00',
+      });
+      Client.findById.mockResolvedValueOnce({ id: 1, plan_type: 'pro' });
+      db.query.mockResolvedValueOnce({ rows: [{}] });
+      Invoice.delete.mockResolvedValueOnce({});
+
+      await BillingService.generateInvoice(1, '2026-03', true);
+
+      expect(Invoice.create).toHaveBeenCalledWith(
+        expect.objectContaining({ invoiceNumber: 'INV-2026-000012' })
+      );
+    });
+
+    it('should not regenerate credited invoices', async () => {
+      Invoice.findByClientAndPeriod.mockResolvedValueOnce({
+        id: 3,
+        invoice_number: 'INV-2026-000012',
+        amount_credited: '10.00',
+      });
+
+      await expect(BillingService.generateInvoice(1, '2026-03', true)).rejects.toThrow(
+        'has credit notes'
+      );
+      expect(Invoice.delete).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('plan changes and proration', () => {
+    const usage = {
+      total_messages: '1000',
+      total_tokens_input: '60000',
+      total_tokens_output: '40000',
+      total_tool_calls: '10',
+    };
+
+    beforeEach(() => {
+      Plan.findByName.mockResolvedValue(null); // Fallback pricing
+      Invoice.create.mockImplementation(async (data) => ({ id: 7, ...data }));
+    });
+
+    afterEach(() => {
+      Plan.findByName.mockReset();
+      Invoice.create.mockReset();
+      PlanChange.findAppliedSince.mockReset();
+      PlanChange.findAppliedSince.mockImplementation(async () => []);
+    });
+
+    it('should cover the whole period with the current plan when nothing changed', async () => {
+      const segments = await BillingService.getPlanSegments({ id: 1, plan_type: 'pro' }, '2026-04');
+
+      expect(segments).toEqual([
+        { planType: 'pro', startDate: '2026-04-01', endDate: '2026-04-30', days: 30 },
+      ]);
+    });
+
+    it('should split the period at applied changes, the change day going to the new plan', async () => {
+      PlanChange.findAppliedSince.mockResolvedValueOnce([
+        { from_plan: 'starter', to_plan: 'pro', effective_at: '2026-04-11T09:30:00Z' },
+        { from_plan: 'pro', to_plan: 'enterprise', effective_at: '2026-05-01T00:00:00Z' },
+      ]);
+
+      const segments = await BillingService.getPlanSegments(
+        { id: 1, plan_type: 'enterprise' },
+        '2026-04'
+      );
+
+      expect(segments).toEqual([
+        { planType: 'starter', startDate: '2026-04-01', endDate: '2026-04-10', days: 10 },
+        { planType: 'pro', startDate: '2026-04-11', endDate: '2026-04-30', days: 20 },
+      ]);
+    });
+
+    it('should merge segments when the client returned to the same plan', async () => {
+      PlanChange.findAppliedSince.mockResolvedValueOnce([
+        { from_plan: 'pro', to_plan: 'starter', effective_at: '2026-04-01T00:00:00Z' },
+        { from_plan: 'starter', to_plan: 'pro', effective_at: '2026-04-01T12:00:00Z' },
+        { from_plan: 'pro', to_plan: 'starter', effective_at: '2026-04-21T00:00:00Z' },
+      ]);
+
+      const segments = await BillingService.getPlanSegments(
+        { id: 1, plan_type: 'starter' },
+        '2026-04'
+      );
+
+      expect(segments.map((segment) => [segment.planType, segment.days])).toEqual([
+        ['pro', 20],
+        ['starter', 10],
+      ]);
+    });
+
+    it('should prorate the base cost and bill usage per plan segment', async () => {
+      Invoice.findByClientAndPeriod.mockResolvedValueOnce(null);
+      Client.findById.mockResolvedValueOnce({ id: 1, plan_type: 'pro' });
+      PlanChange.findAppliedSince.mockResolvedValueOnce([
+        { from_plan: 'starter', to_plan: 'pro', effective_at: '2026-04-16T10:00:00Z' },
+      ]);
+      db.query
+        .mockResolvedValueOnce({ rows: [usage] }) // Whole period
+        .mockResolvedValueOnce({ rows: [{ total_messages: '0' }] }) // Starter segment
+        .mockResolvedValueOnce({ rows: [usage] }); // Pro segment
+
+      const { invoice, lineItems } = await BillingService.generateInvoice(1, '2026-04');
+
+      // starter: 29.99 for 15 of 30 days; pro: 99.99 for 15 of 30 days
+      const baseLines = lineItems.filter((item) => item.type === 'base');
+      expect(baseLines.map((item) => [item.quantity, item.amount])).toEqual([
+        [0.5, 15],
+        [0.5, 50],
+      ]);
+      expect(baseLines[0].description).toBe(
+        'Starter plan, 2026-04-01 to 2026-04-15 (15 of 30 days)'
+      );
+      expect(db.query).toHaveBeenLastCalledWith(expect.any(String), [
+        1,
+        '2026-04-16',
+        '2026-04-30',
+      ]);
+      expect(
+        lineItems
+          .filter((item) => item.type !== 'base')
+          .every((item) => item.description.includes('Pro plan'))
+      ).toBe(true);
+      expect(invoice.planType).toBe('pro');
+      expect(invoice.baseCost).toBe(65);
+    });
+  });
+
+  describe('overage and prepaid credits', () => {
+    // Free plan: no usage pricing, $5 cost allowance
+    const usage = { total_messages: '100', total_cost_estimate: '12.5' };
+
+    beforeEach(() => {
+      Plan.findByName.mockResolvedValue(null); // Fallback pricing
+      Client.findById.mockResolvedValue({ id: 1, plan_type: 'free' });
+      Invoice.create.mockImplementation(async (data) => ({ id: 7, ...data }));
+      db.query.mockResolvedValueOnce({ rows: [usage] });
+    });
+
+    afterEach(() => {
+      Plan.findByName.mockReset();
+      Client.findById.mockReset();
+      Invoice.create.mockReset();
+      db.query.mockReset();
+      CreditTransaction.getBalance.mockImplementation(async () => 0);
+    });
+
+    it('should bill the cost above the plan allowance as overage', async () => {
+      Invoice.findByClientAndPeriod.mockResolvedValueOnce(null);
+
+      const { invoice, lineItems } = await BillingService.generateInvoice(1, '2026-04');
+
+      expect(lineItems.find((item) => item.type === 'overage')).toMatchObject({
+        description: 'Usage above the $5.00 monthly allowance',
+        amount: 7.5,
+      });
+      expect(CreditTransaction.use).not.toHaveBeenCalled();
+      expect(invoice.subtotal).toBe(7.5);
+    });
+
+    it('should pay the overage from prepaid credits', async () => {
+      Invoice.findByClientAndPeriod.mockResolvedValueOnce(null);
+      CreditTransaction.getBalance.mockResolvedValueOnce(5);
+      CreditTransaction.use.mockResolvedValueOnce({ id: 40, amount: '-5.00' });
+
+      const { invoice, lineItems } = await BillingService.generateInvoice(1, '2026-04');
+
+      expect(CreditTransaction.use).toHaveBeenCalledWith(1, 5, {
+        description: 'Invoice for 2026-04',
+      });
+      expect(lineItems.find((item) => item.type === 'credit')).toMatchObject({
+        description: 'Prepaid credits ($5.00)',
+        amount: -5,
+      });
+      expect(invoice.subtotal).toBe(2.5);
+      expect(CreditTransaction.setInvoice).toHaveBeenCalledWith(40, 7);
+    });
+
+    it('should give the credits back when the invoice is not created', async () => {
+      Invoice.findByClientAndPeriod.mockResolvedValueOnce(null);
+      CreditTransaction.getBalance.mockResolvedValueOnce(20);
+      CreditTransaction.use.mockResolvedValueOnce({ id: 40, amount: '-7.50' });
+      Invoice.create.mockRejectedValueOnce(new Error('db down'));
+
+      await expect(BillingService.generateInvoice(1, '2026-04')).rejects.toThrow('db down');
+
+      expect(CreditTransaction.create).toHaveBeenCalledWith(
+        expect.objectContaining({ clientId: 1, amount: 7.5, type: 'refund' })
+      );
+    });
+
+    it('should refund the credits of a regenerated invoice before using them again', async () => {
+      Invoice.findByClientAndPeriod.mockResolvedValueOnce({
+        id: 3,
+        invoice_number: 'INV-000003',
+        amount_credited: '0',
+      });
+
+      await BillingService.generateInvoice(1, '2026-04', true);
+
+      expect(CreditTransaction.refundInvoice).toHaveBeenCalledWith(3, 'Invoice regenerated');
+      expect(CreditTransaction.refundInvoice.mock.invocationCallOrder[0]).toBeLessThan(
+        CreditTransaction.getBalance.mock.invocationCallOrder[0]
+      );
+      expect(Invoice.delete).toHaveBeenCalledWith(3);
+    });
+
+    it('should invoice a credit purchase with tax', async () => {
+      const invoice = await BillingService.createCreditPurchaseInvoice(
+        { id: 1, plan_type: 'pro', tax_rate: '10' },
+        50
+      );
+
+      expect(Invoice.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          kind: 'credits',
+          subtotal: 50,
+          taxAmount: 5,
+          totalCost: 55,
+          lineItems: [expect.objectContaining({ type: 'credits', amount: 50 })],
+        })
+      );
+      expect(invoice.line_items).toHaveLength(1);
+    });
+
+    it('should add the credits when a purchase invoice is paid', async () => {
+      Invoice.findById.mockResolvedValueOnce({ id: 8, status: 'pending' });
+      Invoice.markAsPaid.mockResolvedValueOnce({
+        id: 8,
+        client_id: 1,
+        kind: 'credits',
+        invoice_number: 'INV-000008',
+        subtotal: '182.50',
+        exchange_rate: '3.65',
+        status: 'paid',
+      });
+
+      await BillingService.markInvoiceAsPaidManually(8);
+
+      expect(CreditTransaction.createPurchase).toHaveBeenCalledWith({
+        clientId: 1,
+        amount: 50,
+        description: 'Credit purchase INV-000008',
+        invoiceId: 8,
+      });
+    });
+
+    it('should not add credits for a credit note issued before payment', async () => {
+      const paid = {
+        id: 8,
+        client_id: 1,
+        kind: 'credits',
+        invoice_number: 'INV-000008',
+        subtotal: '100.00',
+        exchange_rate: '1',
+        total_cost: '100.00',
+        amount_credited: '40.00',
+        amount_refunded: '0.00',
+        status: 'paid',
+      };
+      Invoice.findById.mockResolvedValueOnce({ id: 8, status: 'pending' });
+      Invoice.markAsPaid.mockResolvedValueOnce(paid);
+      CreditTransaction.getPurchaseSummary.mockResolvedValueOnce({
+        clientId: 1,
+        purchased: 100,
+        reversed: 0,
+      });
+      CreditTransaction.getBalance.mockResolvedValueOnce(100);
+
+      await BillingService.markInvoiceAsPaidManually(8);
+
+      expect(CreditTransaction.createPurchase).toHaveBeenCalledWith(
+        expect.objectContaining({ amount: 100, invoiceId: 8 })
+      );
+      expect(CreditTransaction.create).toHaveBeenCalledWith({
+        clientId: 1,
+        amount: -40,
+        type: 'adjustment',
+        description: 'Credit note of credit purchase INV-000008',
+        invoiceId: 8,
+      });
+    });
+
+    it('should not add credits for monthly invoices', async () => {
+      Invoice.findById.mockResolvedValueOnce({ id: 1, status: 'pending' });
+      Invoice.markAsPaid.mockResolvedValueOnce({ id: 1, kind: 'period', status: 'paid' });
+
+      await BillingService.markInvoiceAsPaidManually(1);
+
+      expect(CreditTransaction.createPurchase).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createCreditNote', () => {
+    const invoice = {
+      id: 5,
+      client_id: 1,
+      invoice_number: 'INV-2026-000005',
+      status: 'pending',
+      currency: 'EUR',
+      subtotal: '100.00',
+      tax_rate: '17.00',
+      tax_amount: '17.00',
+      total_cost: '117.00',
+      amount_credited: '0.00',
+    };
+    const author = { type: 'admin', id: 1, name: 'admin' };
+
+    beforeEach(() => {
+      CreditNote.create.mockImplementation(async (data) => ({
+        id: 9,
+        credit_note_number: 'CN-2026-000001',
+        ...data,
+      }));
+    });
+
+    afterEach(() => {
+      CreditNote.create.mockReset();
+    });
+
+    it('should credit the whole invoice with its line items', async () => {
+      Invoice.findById.mockResolvedValueOnce(invoice).mockResolvedValueOnce({
+        ...invoice,
+        status: 'credited',
+      });
+      Invoice.findLineItems.mockResolvedValueOnce([
+        {
+          type: 'base',
+          description: 'Pro plan',
+          quantity: '1.000',
+          unit_price: '100.000000',
+          amount: '100.00',
+        },
+      ]);
+
+      const result = await BillingService.createCreditNote(5, { reason: 'Billed twice' }, author);
+
+      expect(CreditNote.create).toHaveBeenCalledWith({
+        invoiceId: 5,
+        numberPrefix: 'CN',
+        subtotal: 100,
+        taxAmount: 17,
+        total: 117,
+        reason: 'Billed twice',
+        createdBy: 'admin',
+        lineItems: [
+          { type: 'base', description: 'Pro plan', quantity: 1, unitPrice: 100, amount: 100 },
+        ],
+      });
+      expect(result.invoice.status).toBe('credited');
+    });
+
+    it('should tax a partial credit at the invoice rate', async () => {
+      Invoice.findById.mockResolvedValueOnce(invoice).mockResolvedValueOnce(invoice);
+
+      await BillingService.createCreditNote(5, { amount: 50, reason: 'Outage' }, author);
+
+      expect(CreditNote.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          subtotal: 50,
+          taxAmount: 8.5,
+          total: 58.5,
+          lineItems: [
+            expect.objectContaining({
+              type: 'credit',
+              description: 'Credit for invoice INV-2026-000005',
+              amount: 50,
+            }),
+          ],
+        })
+      );
+    });
+
+    it('should credit what is left after an earlier credit note', async () => {
+      Invoice.findById
+        .mockResolvedValueOnce({ ...invoice, amount_credited: '58.50' })
+        .mockResolvedValueOnce(invoice);
+
+      await BillingService.createCreditNote(5, { reason: 'Rest' }, author);
+
+      expect(Invoice.findLineItems).not.toHaveBeenCalled();
+      expect(CreditNote.create).toHaveBeenCalledWith(
+        expect.objectContaining({ subtotal: 50, taxAmount: 8.5, total: 58.5 })
+      );
+    });
+
+    it('should reject credits above what is left', async () => {
+      Invoice.findById.mockResolvedValueOnce({ ...invoice, amount_credited: '58.50' });
+
+      await expect(
+        BillingService.createCreditNote(5, { amount: 60, reason: 'Too much' }, author)
+      ).rejects.toThrow('at most 50 before tax');
+      expect(CreditNote.create).not.toHaveBeenCalled();
+    });
+
+    it('should require a reason', async () => {
+      Invoice.findById.mockResolvedValueOnce(invoice);
+
+      await expect(BillingService.createCreditNote(5, { amount: 10 }, author)).rejects.toThrow(
+        'reason is required'
+      );
+    });
+
+    it('should not credit cancelled invoices', async () => {
+      Invoice.findById.mockResolvedValueOnce({ ...invoice, status: 'cancelled' });
+
+      await expect(
+        BillingService.createCreditNote(5, { reason: 'x' }, author)
+      ).rejects.toMatchObject({ code: 'invalid' });
+    });
+
+    it('should report unknown invoices as not found', async () => {
+      Invoice.findById.mockResolvedValueOnce(null);
+
+      await expect(
+        BillingService.createCreditNote(404, { reason: 'x' }, author)
+      ).rejects.toMatchObject({ code: 'not_found' });
+    });
+
+    it('should fail when the invoice changed underneath', async () => {
+      Invoice.findById.mockResolvedValueOnce(invoice);
+      CreditNote.create.mockResolvedValueOnce(null);
+
+      await expect(
+        BillingService.createCreditNote(5, { amount: 10, reason: 'Race' }, author)
+      ).rejects.toThrow('try again');
+    });
+
+    describe('on a paid credit purchase', () => {
+      const purchase = {
+        ...invoice,
+        kind: 'credits',
+        status: 'paid',
+        amount_refunded: '0.00',
+      };
+
+      afterEach(() => {
+        CreditTransaction.getPurchaseSummary.mockReset();
+        CreditTransaction.use.mockReset();
+      });
+
+      beforeEach(() => {
+        CreditTransaction.getPurchaseSummary.mockResolvedValueOnce({
+          clientId: 1,
+          purchased: 100,
+          reversed: 0,
+        });
+      });
+
+      it('should take back the credited share of the credits', async () => {
+        Invoice.findById.mockResolvedValueOnce(purchase).mockResolvedValueOnce(purchase);
+        CreditTransaction.use.mockResolvedValueOnce({ id: 42, amount: '-50.00' });
+
+        await BillingService.createCreditNote(5, { amount: 50, reason: 'Goodwill' }, author);
+
+        expect(CreditTransaction.use).toHaveBeenCalledWith(1, 50, {
+          type: 'adjustment',
+          description: 'Credit note of credit purchase INV-2026-000005',
+          invoiceId: 5,
+        });
+        expect(CreditNote.create).toHaveBeenCalled();
+      });
+
+      it('should refuse when the credits were already used', async () => {
+        Invoice.findById.mockResolvedValueOnce(purchase);
+        Invoice.findLineItems.mockResolvedValueOnce([]);
+        CreditTransaction.use.mockResolvedValueOnce(null);
+
+        await expect(
+          BillingService.createCreditNote(5, { reason: 'Changed my mind' }, author)
+        ).rejects.toMatchObject({ code: 'credits_used' });
+        expect(CreditTransaction.use).toHaveBeenCalledWith(1, 100, expect.any(Object));
+        expect(CreditNote.create).not.toHaveBeenCalled();
+      });
+    });
+  });
+
+  describe('withDetails', () => {
+    it('should attach line items and credit notes to their invoices', async () => {
+      Invoice.findLineItems.mockResolvedValueOnce([
+        { id: 1, invoice_id: 1, type: 'base' },
+        { id: 2, invoice_id: 2, type: 'base' },
+      ]);
+      CreditNote.findByInvoiceIds.mockResolvedValueOnce([{ id: 4, invoice_id: 2 }]);
+      CreditNote.findLineItems.mockResolvedValueOnce([{ id: 3, credit_note_id: 4 }]);
+
+      const [first, second] = await BillingService.withDetails([{ id: 1 }, { id: 2 }]);
+
+      expect(first.line_items).toEqual([{ id: 1, invoice_id: 1, type: 'base' }]);
+      expect(first.credit_notes).toEqual([]);
+      expect(second.credit_notes).toEqual([
+        { id: 4, invoice_id: 2, line_items: [{ id: 3, credit_note_id: 4 }] },
+      ]);
+    });
+  });
+
   describe('createPaymentIntent', () => {
-    it('should return mock payment intent', async () => {
-      const intent = await BillingService.createPaymentIntent(1, 100.00, 'USD');
+    it('should create an intent with the provider and link it to the invoice', async () => {
+      Invoice.update.mockResolvedValueOnce({});
+
+      const intent = await BillingService.createPaymentIntent(1, 100.0, 'USD', {
+        provider: 'fake',
+      });
 
-      expect(intent).toHaveProperty('id');
-      expect(intent.id).toContain('pi_mock_');
-      expect(intent.amount).toBe(100.00);
+      expect(intent.id).toMatch(/^pi_fake_/);
+      expect(intent.amount).toBe(100.0);
       expect(intent.currency).toBe('USD');
-      expect(intent.provider).toBe('mock');
+      expect(intent.provider).toBe('fake');
+      expect(intent.clientSecret).toBeDefined();
+      expect(Invoice.update).toHaveBeenCalledWith(1, {
+        payment_provider: 'fake',
+        payment_provider_id: intent.id,
+      });
+    });
+
+    it('should reject unknown providers', async () => {
+      await expect(
+        BillingService.createPaymentIntent(1, 100, 'USD', { provider: 'nope' })
+      ).rejects.toThrow(PaymentProviderError);
     });
   });
 
@@ -292,6 +977,26 @@ describe('BillingService', () => {
       }));
       expect(result.status).toBe('paid');
     });
+
+    it('should confirm provider payments before marking paid', async () => {
+      const fake = getPaymentProvider('fake');
+      const intent = await fake.createPaymentIntent({ invoiceId: 1, amount: 50 });
+
+      await expect(BillingService.processPayment(1, intent.id, 'fake')).rejects.toThrow(
+        'Payment not completed'
+      );
+
+      fake.completePayment(intent.id);
+      Invoice.markAsPaid.mockResolvedValueOnce({ id: 1, status: 'paid' });
+
+      await BillingService.processPayment(1, intent.id, 'fake');
+
+      expect(Invoice.markAsPaid).toHaveBeenCalledWith(1, {
+        payment_provider: 'fake',
+        payment_provider_id: intent.id,
+        payment_method: 'card',
+      });
+    });
   });
 
   describe('markInvoiceAsPaidManually', () => {
@@ -327,12 +1032,147 @@ describe('BillingService', () => {
         status: 'paid',
         total_cost: 100.00,
       });
-      Invoice.update.mockResolvedValueOnce({ id: 1, status: 'refunded' });
+      Invoice.recordRefund.mockResolvedValueOnce({ id: 1, status: 'refunded' });
 
       const result = await BillingService.refundPayment(1);
 
       expect(result.success).toBe(true);
       expect(result.refundAmount).toBe(100.00);
+      expect(result.refund).toBeNull();
+      expect(Invoice.recordRefund).toHaveBeenCalledWith(1, 100, true);
+    });
+
+    it('should partially refund through the payment provider', async () => {
+      const fake = getPaymentProvider('fake');
+      const intent = await fake.createPaymentIntent({ invoiceId: 1, amount: 100 });
+      fake.completePayment(intent.id);
+      Invoice.findById.mockResolvedValueOnce({
+        id: 1,
+        status: 'paid',
+        total_cost: '100.00',
+        amount_refunded: '0.00',
+        payment_provider: 'fake',
+        payment_provider_id: intent.id,
+      });
+      Invoice.recordRefund.mockResolvedValueOnce({ id: 1, status: 'partially_refunded' });
+
+      const result = await BillingService.refundPayment(1, 30);
+
+      expect(result.refundAmount).toBe(30);
+      expect(result.refund.amount).toBe(30);
+      expect(Invoice.recordRefund).toHaveBeenCalledWith(1, 30, false);
+      expect((await fake.getPaymentStatus(intent.id)).amountRefunded).toBe(30);
+    });
+
+    it('should complete a refund on a partially refunded invoice', async () => {
+      Invoice.findById.mockResolvedValueOnce({
+        id: 1,
+        status: 'partially_refunded',
+        total_cost: '100.00',
+        amount_refunded: '30.00',
+      });
+      Invoice.recordRefund.mockResolvedValueOnce({ id: 1, status: 'refunded' });
+
+      const result = await BillingService.refundPayment(1);
+
+      expect(result.refundAmount).toBe(70);
+      expect(Invoice.recordRefund).toHaveBeenCalledWith(1, 100, true);
+    });
+
+    describe('of a credit purchase', () => {
+      const purchase = {
+        id: 8,
+        client_id: 1,
+        kind: 'credits',
+        invoice_number: 'INV-000008',
+        status: 'paid',
+        total_cost: '55.00',
+        amount_refunded: '0.00',
+      };
+
+      afterEach(() => {
+        CreditTransaction.getPurchaseSummary.mockReset();
+        CreditTransaction.use.mockReset();
+      });
+
+      beforeEach(() => {
+        CreditTransaction.getPurchaseSummary.mockResolvedValueOnce({
+          clientId: 1,
+          purchased: 50,
+          reversed: 0,
+        });
+      });
+
+      it('should take back the credits it bought', async () => {
+        Invoice.findById.mockResolvedValueOnce(purchase);
+        CreditTransaction.use.mockResolvedValueOnce({ id: 43, amount: '-50.00' });
+        Invoice.recordRefund.mockResolvedValueOnce({ ...purchase, status: 'refunded' });
+
+        await BillingService.refundPayment(8);
+
+        expect(CreditTransaction.use).toHaveBeenCalledWith(1, 50, {
+          type: 'refund',
+          description: 'Refund of credit purchase INV-000008',
+          invoiceId: 8,
+        });
+        expect(Invoice.recordRefund).toHaveBeenCalledWith(8, 55, true);
+      });
+
+      it('should refuse when the credits were already used', async () => {
+        const fake = getPaymentProvider('fake');
+        const intent = await fake.createPaymentIntent({ invoiceId: 8, amount: 55 });
+        fake.completePayment(intent.id);
+        Invoice.findById.mockResolvedValueOnce({
+          ...purchase,
+          payment_provider: 'fake',
+          payment_provider_id: intent.id,
+        });
+        CreditTransaction.use.mockResolvedValueOnce(null);
+
+        await expect(BillingService.refundPayment(8, 22)).rejects.toMatchObject({
+          code: 'credits_used',
+        });
+        expect(CreditTransaction.use).toHaveBeenCalledWith(1, 20, expect.any(Object));
+        expect((await fake.getPaymentStatus(intent.id)).amountRefunded).toBe(0);
+        expect(Invoice.recordRefund).not.toHaveBeenCalled();
+      });
+
+      it('should take back what is left of credits refunded at the provider', async () => {
+        const fake = getPaymentProvider('fake');
+        const intent = await fake.createPaymentIntent({ invoiceId: 8, amount: 55 });
+        fake.completePayment(intent.id);
+        await fake.refundPayment(intent.id);
+        Invoice.findByPaymentProviderId.mockResolvedValueOnce({
+          ...purchase,
+          payment_provider: 'fake',
+          payment_provider_id: intent.id,
+        });
+        CreditTransaction.getBalance.mockResolvedValueOnce(12.5);
+        Invoice.recordRefund.mockResolvedValueOnce({ ...purchase, status: 'refunded' });
+
+        await BillingService.handleWebhook('fake', fake.buildWebhook('refund.updated', intent.id));
+
+        expect(CreditTransaction.create).toHaveBeenCalledWith({
+          clientId: 1,
+          amount: -12.5,
+          type: 'refund',
+          description: 'Refund of credit purchase INV-000008',
+          invoiceId: 8,
+        });
+        expect(Invoice.recordRefund).toHaveBeenCalledWith(8, 55, true);
+      });
+    });
+
+    it('should reject refunds above the remaining balance', async () => {
+      Invoice.findById.mockResolvedValueOnce({
+        id: 1,
+        status: 'partially_refunded',
+        total_cost: '100.00',
+        amount_refunded: '90.00',
+      });
+
+      await expect(BillingService.refundPayment(1, 20)).rejects.toThrow('at most 10');
+      expect(Invoice.recordRefund).not.toHaveBeenCalled();
     });
 
     it('should throw error for non-existent invoice', async () => {
@@ -394,12 +1234,210 @@ describe('BillingService', () => {
   });
 
   describe('handleWebhook', () => {
-    it('should return placeholder response', async () => {
-      const result = await BillingService.handleWebhook('stripe', {});
+    const pendingInvoice = (paymentId) => ({
+      id: 7,
+      status: 'pending',
+      total_cost: '80.00',
+      amount_refunded: '0.00',
+      payment_provider: 'fake',
+      payment_provider_id: paymentId,
+    });
+
+    const createPayment = async () => {
+      const fake = getPaymentProvider('fake');
+      const intent = await fake.createPaymentIntent({ invoiceId: 7, amount: 80 });
+      return { fake, paymentId: intent.id };
+    };
+
+    it('should reject webhooks with an invalid signature', async () => {
+      const { fake, paymentId } = await createPayment();
+      const webhook = fake.buildWebhook('payment.succeeded', paymentId);
+      webhook.headers['x-fake-signature'] = 't=1,v1=deadbeef';
+
+      await expect(BillingService.handleWebhook('fake', webhook)).rejects.toMatchObject({
+        code: 'invalid_signature',
+      });
+      expect(Invoice.markAsPaid).not.toHaveBeenCalled();
+    });
+
+    it('should reject webhooks whose body was tampered with', async () => {
+      const { fake, paymentId } = await createPayment();
+      const webhook = fake.buildWebhook('payment.succeeded', paymentId);
+      webhook.rawBody = webhook.rawBody.replace('"amount":80', '"amount":1');
+
+      await expect(BillingService.handleWebhook('fake', webhook)).rejects.toThrow(
+        'signature mismatch'
+      );
+    });
+
+    it('should mark the invoice as paid on a successful payment', async () => {
+      const { fake, paymentId } = await createPayment();
+      fake.completePayment(paymentId);
+      Invoice.findByPaymentProviderId.mockResolvedValueOnce(pendingInvoice(paymentId));
+      Invoice.markAsPaid.mockResolvedValueOnce({ id: 7, status: 'paid', amount_refunded: '0' });
+
+      const result = await BillingService.handleWebhook(
+        'fake',
+        fake.buildWebhook('payment.succeeded', paymentId)
+      );
+
+      expect(Invoice.findByPaymentProviderId).toHaveBeenCalledWith('fake', paymentId);
+      expect(Invoice.markAsPaid).toHaveBeenCalledWith(7, {
+        payment_provider: 'fake',
+        payment_provider_id: paymentId,
+        payment_method: 'card',
+      });
+      expect(result).toMatchObject({ received: true, processed: true, status: 'paid' });
+    });
+
+    it('should ignore a replayed success for an already paid invoice', async () => {
+      const { fake, paymentId } = await createPayment();
+      fake.completePayment(paymentId);
+      Invoice.findByPaymentProviderId.mockResolvedValueOnce({
+        ...pendingInvoice(paymentId),
+        status: 'paid',
+      });
+
+      const result = await BillingService.handleWebhook(
+        'fake',
+        fake.buildWebhook('payment.succeeded', paymentId)
+      );
+
+      expect(Invoice.markAsPaid).not.toHaveBeenCalled();
+      expect(result.status).toBe('paid');
+    });
+
+    it('should record failed payments', async () => {
+      const { fake, paymentId } = await createPayment();
+      fake.failPayment(paymentId, 'Insufficient funds');
+      Invoice.findByPaymentProviderId.mockResolvedValueOnce(pendingInvoice(paymentId));
+      Invoice.markPaymentFailed.mockResolvedValueOnce({ id: 7, status: 'payment_failed' });
+
+      const result = await BillingService.handleWebhook(
+        'fake',
+        fake.buildWebhook('payment.failed', paymentId)
+      );
+
+      expect(Invoice.markPaymentFailed).toHaveBeenCalledWith(7, 'Insufficient funds');
+      expect(result.status).toBe('payment_failed');
+    });
+
+    it('should record partial refunds reported by the provider', async () => {
+      const { fake, paymentId } = await createPayment();
+      fake.completePayment(paymentId);
+      await fake.refundPayment(paymentId, 20);
+      Invoice.findByPaymentProviderId.mockResolvedValueOnce({
+        ...pendingInvoice(paymentId),
+        status: 'paid',
+      });
+      Invoice.recordRefund.mockResolvedValueOnce({ id: 7, status: 'partially_refunded' });
+
+      const result = await BillingService.handleWebhook(
+        'fake',
+        fake.buildWebhook('refund.updated', paymentId)
+      );
+
+      expect(Invoice.recordRefund).toHaveBeenCalledWith(7, 20, false);
+      expect(result.status).toBe('partially_refunded');
+    });
+
+    it('should fall back to the invoice ID in payment metadata', async () => {
+      const { fake, paymentId } = await createPayment();
+      fake.completePayment(paymentId);
+      Invoice.findByPaymentProviderId.mockResolvedValueOnce(null);
+      Invoice.findById.mockResolvedValueOnce(pendingInvoice(null));
+      Invoice.markAsPaid.mockResolvedValueOnce({ id: 7, status: 'paid' });
+
+      await BillingService.handleWebhook('fake', fake.buildWebhook('payment.succeeded', paymentId));
+
+      expect(Invoice.findById).toHaveBeenCalledWith('7');
+      expect(Invoice.markAsPaid).toHaveBeenCalled();
+    });
+
+    it('should acknowledge payments that match no invoice', async () => {
+      const fake = getPaymentProvider('fake');
+      const intent = await fake.createPaymentIntent({ amount: 5 });
+      Invoice.findByPaymentProviderId.mockResolvedValueOnce(null);
+
+      const result = await BillingService.handleWebhook(
+        'fake',
+        fake.buildWebhook('payment.succeeded', intent.id)
+      );
 
       expect(result.received).toBe(true);
       expect(result.processed).toBe(false);
     });
+
+    it('should not mark the invoice as paid when the amount does not match', async () => {
+      const fake = getPaymentProvider('fake');
+      const intent = await fake.createPaymentIntent({ invoiceId: 7, amount: 1 });
+      fake.completePayment(intent.id);
+      Invoice.findByPaymentProviderId.mockResolvedValueOnce(pendingInvoice(intent.id));
+
+      const result = await BillingService.handleWebhook(
+        'fake',
+        fake.buildWebhook('payment.succeeded', intent.id)
+      );
+
+      expect(Invoice.markAsPaid).not.toHaveBeenCalled();
+      expect(result.status).toBe('pending');
+    });
+
+    it('should not mark the invoice as paid when the currency does not match', async () => {
+      const fake = getPaymentProvider('fake');
+      const intent = await fake.createPaymentIntent({ invoiceId: 7, amount: 80, currency: 'JPY' });
+      fake.completePayment(intent.id);
+      Invoice.findByPaymentProviderId.mockResolvedValueOnce(pendingInvoice(intent.id));
+
+      await BillingService.handleWebhook('fake', fake.buildWebhook('payment.succeeded', intent.id));
+
+      expect(Invoice.markAsPaid).not.toHaveBeenCalled();
+    });
+
+    it('should refuse the fake provider in production', async () => {
+      vi.stubEnv('NODE_ENV', 'production');
+      vi.stubEnv('PAYMENT_PROVIDER', 'stripe');
+      resetPaymentProviders();
+
+      try {
+        await expect(
+          BillingService.handleWebhook('fake', { rawBody: '{}', headers: {} })
+        ).rejects.toMatchObject({ code: 'not_configured' });
+      } finally {
+        vi.unstubAllEnvs();
+        resetPaymentProviders();
+      }
+    });
+  });
+
+  describe('syncPaymentStatus', () => {
+    it('should apply the polled provider status to the invoice', async () => {
+      const fake = getPaymentProvider('fake');
+      const intent = await fake.createPaymentIntent({ invoiceId: 3, amount: 10 });
+      fake.completePayment(intent.id);
+      Invoice.findById.mockResolvedValueOnce({
+        id: 3,
+        status: 'overdue',
+        total_cost: '10.00',
+        payment_provider: 'fake',
+        payment_provider_id: intent.id,
+      });
+      Invoice.markAsPaid.mockResolvedValueOnce({ id: 3, status: 'paid' });
+
+      const result = await BillingService.syncPaymentStatus(3);
+
+      expect(result.payment.status).toBe('succeeded');
+      expect(result.invoice.status).toBe('paid');
+    });
+
+    it('should skip invoices without a provider payment', async () => {
+      Invoice.findById.mockResolvedValueOnce({ id: 3, status: 'pending', payment_provider: null });
+
+      const result = await BillingService.syncPaymentStatus(3);
+
+      expect(result.payment).toBeNull();
+      expect(Invoice.markAsPaid).not.toHaveBeenCalled();
+    });
   });
 
   describe('generateInvoicesForAllClients', () => {
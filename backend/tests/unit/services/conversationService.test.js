@@ -11,6 +11,10 @@ vi.mock('../../../src/models/Conversation.js', () => ({
     findInactive: vi.fn(),
     end: vi.fn(),
     updateStats: vi.fn(),
+    setReasoningMode: vi.fn(),
+    search: vi.fn(),
+    countSearch: vi.fn(),
+    findSearchMatches: vi.fn(),
   },
 }));
 
@@ -32,6 +36,13 @@ vi.mock('../../../src/models/Plan.js', () => ({
   },
 }));
 
+vi.mock('../../../src/models/Escalation.js', () => ({
+  Escalation: {
+    hasAgentTakeover: vi.fn().mockResolvedValue(false),
+    hasActiveEscalation: vi.fn().mockResolvedValue(false),
+  },
+}));
+
 vi.mock('../../../src/models/ApiUsage.js', () => ({
   ApiUsage: {
     recordUsage: vi.fn(),
@@ -82,11 +93,13 @@ vi.mock('../../../src/utils/logger.js', () => ({
 const { Conversation } = await import('../../../src/models/Conversation.js');
 const { Message } = await import('../../../src/models/Message.js');
 const { Plan } = await import('../../../src/models/Plan.js');
+const { Escalation } = await import('../../../src/models/Escalation.js');
 const { RedisCache } = await import('../../../src/services/redisCache.js');
 const toolManager = (await import('../../../src/services/toolManager.js')).default;
 const adaptiveReasoningService = (await import('../../../src/services/adaptiveReasoningService.js')).default;
 const standardReasoningService = (await import('../../../src/services/standardReasoningService.js')).default;
 const conversationService = (await import('../../../src/services/conversationService.js')).default;
+const answerCacheService = (await import('../../../src/services/answerCacheService.js')).default;
 
 describe('ConversationService', () => {
   beforeEach(() => {
@@ -191,6 +204,79 @@ describe('ConversationService', () => {
     });
   });
 
+  describe('searchConversations', () => {
+    it('should parse filters and page through results', async () => {
+      Conversation.search.mockResolvedValueOnce([{ id: 5 }]);
+      Conversation.countSearch.mockResolvedValueOnce(41);
+
+      const result = await conversationService.searchConversations({
+        clientId: '3',
+        channel: 'email',
+        provider: 'all',
+        escalated: 'true',
+        status: 'bogus',
+        to: '2026-01-31',
+        page: '3',
+        limit: '20',
+      });
+
+      const filters = Conversation.search.mock.calls[0][0];
+      expect(filters).toMatchObject({
+        clientId: 3,
+        channel: 'email',
+        provider: null,
+        escalated: true,
+        status: null,
+        text: null,
+      });
+      expect(filters.to.toISOString()).toMatch(/^2026-01-31T23:59:59/);
+      expect(Conversation.search.mock.calls[0][1]).toEqual({ limit: 20, offset: 40 });
+      expect(Conversation.findSearchMatches).not.toHaveBeenCalled();
+      expect(result).toMatchObject({ total: 41, page: 3, totalPages: 3 });
+    });
+
+    it('should scope the search to a client', async () => {
+      Conversation.search.mockResolvedValueOnce([]);
+      Conversation.countSearch.mockResolvedValueOnce(0);
+
+      await conversationService.searchConversations({ clientId: '99' }, { clientId: 7 });
+
+      expect(Conversation.search.mock.calls[0][0].clientId).toBe(7);
+    });
+
+    it('should attach highlighted matches when searching text', async () => {
+      Conversation.search.mockResolvedValueOnce([{ id: 1 }, { id: 2 }]);
+      Conversation.countSearch.mockResolvedValueOnce(2);
+      Conversation.findSearchMatches.mockResolvedValueOnce([
+        {
+          id: 10,
+          conversation_id: 1,
+          role: 'user',
+          timestamp: 't',
+          snippet: 'I want a \uE000refund\uE001 for order \uE00012345\uE001',
+        },
+      ]);
+
+      const result = await conversationService.searchConversations({ search: '  refund 12345 ' });
+
+      expect(Conversation.findSearchMatches).toHaveBeenCalledWith([1, 2], 'refund 12345', 3);
+      expect(result.conversations[0].matches).toEqual([
+        {
+          messageId: 10,
+          role: 'user',
+          timestamp: 't',
+          snippet: [
+            { text: 'I want a ', highlight: false },
+            { text: 'refund', highlight: true },
+            { text: ' for order ', highlight: false },
+            { text: '12345', highlight: true },
+          ],
+        },
+      ]);
+      expect(result.conversations[1].matches).toEqual([]);
+    });
+  });
+
   describe('endConversation', () => {
     it('should end conversation and clear cache', async () => {
       const mockConversation = { id: 1 };
@@ -509,6 +595,32 @@ describe('ConversationService', () => {
       expect(standardReasoningService.processStandardMessage).toHaveBeenCalled();
     });
 
+    it('should store the message without an AI reply while an agent has taken over', async () => {
+      Conversation.findBySession.mockResolvedValueOnce({ id: 1 });
+      Escalation.hasAgentTakeover.mockResolvedValueOnce(true);
+      Message.create.mockResolvedValueOnce({ id: 10 });
+      Message.count.mockResolvedValueOnce(3);
+      Message.getTotalTokens.mockResolvedValueOnce(0);
+
+      const result = await conversationService.processMessage(mockClient, 'session-1', 'bye');
+
+      expect(result).toMatchObject({ response: null, agentActive: true, conversationId: 1 });
+      expect(Message.create).toHaveBeenCalledWith(1, 'user', 'bye', 0);
+      expect(Conversation.end).not.toHaveBeenCalled();
+      expect(Plan.findByName).not.toHaveBeenCalled();
+      expect(adaptiveReasoningService.processAdaptiveMessage).not.toHaveBeenCalled();
+      expect(standardReasoningService.processStandardMessage).not.toHaveBeenCalled();
+    });
+
+    it('should not check for a takeover on new conversations', async () => {
+      Conversation.findBySession.mockResolvedValueOnce(null);
+      Conversation.create.mockResolvedValueOnce({ id: 2 });
+
+      await conversationService.processMessage(mockClient, 'new-session', 'bye');
+
+      expect(Escalation.hasAgentTakeover).not.toHaveBeenCalled();
+    });
+
     it('should create new conversation if none exists', async () => {
       Conversation.findBySession.mockResolvedValueOnce(null);
       Conversation.create.mockResolvedValueOnce({ id: 1 });
@@ -530,5 +642,94 @@ describe('ConversationService', () => {
 
       expect(Conversation.create).toHaveBeenCalled();
     });
+
+    describe('answer cache', () => {
+      const cachingClient = { ...mockClient, answer_cache: { enabled: true } };
+
+      beforeEach(() => {
+        vi.restoreAllMocks();
+        Conversation.findBySession.mockResolvedValueOnce({ id: 1, message_count: 0 });
+        Plan.findByName.mockResolvedValueOnce({ ai_mode: 'standard' });
+        vi.spyOn(answerCacheService, 'isEligible').mockReturnValue(true);
+      });
+
+      it('should reply from the cache without running reasoning', async () => {
+        vi.spyOn(answerCacheService, 'lookup').mockResolvedValueOnce({
+          response: 'We are open 9-17',
+          blocks: [],
+          match: 'exact',
+          score: 1,
+          cachedAt: '2026-01-01T00:00:00.000Z',
+        });
+
+        const result = await conversationService.processMessage(
+          cachingClient,
+          'session-1',
+          'Opening hours?',
+          { skipUserMessageSave: true }
+        );
+
+        expect(result).toMatchObject({
+          response: 'We are open 9-17',
+          tokensUsed: 0,
+          fromCache: true,
+        });
+        expect(Message.createDebug).toHaveBeenCalledWith(
+          1,
+          'assistant',
+          'We are open 9-17',
+          'visible',
+          {
+            metadata: {
+              answer_cache: { match: 'exact', score: 1, cached_at: '2026-01-01T00:00:00.000Z' },
+            },
+          }
+        );
+        expect(standardReasoningService.processStandardMessage).not.toHaveBeenCalled();
+      });
+
+      it('should cache a reply that used no tools', async () => {
+        vi.spyOn(answerCacheService, 'lookup').mockResolvedValueOnce(null);
+        const store = vi.spyOn(answerCacheService, 'store').mockResolvedValueOnce();
+        toolManager.getClientTools.mockResolvedValueOnce([]);
+        RedisCache.getConversationContext.mockResolvedValueOnce({ messages: [] });
+        standardReasoningService.processStandardMessage.mockResolvedValueOnce({});
+        standardReasoningService.recordUsageAndFinalize.mockResolvedValueOnce({
+          response: 'We are open 9-17',
+          toolsUsed: [],
+          conversationId: 1,
+        });
+
+        await conversationService.processMessage(cachingClient, 'session-1', 'Opening hours?', {
+          skipUserMessageSave: true,
+        });
+
+        expect(store).toHaveBeenCalledWith(
+          cachingClient,
+          'Opening hours?',
+          { response: 'We are open 9-17', blocks: [], tokensInput: 0, tokensOutput: 0 },
+          { channel: 'widget', aiMode: 'standard', isNewConversation: false }
+        );
+      });
+
+      it('should not cache a reply that used tools', async () => {
+        vi.spyOn(answerCacheService, 'lookup').mockResolvedValueOnce(null);
+        const store = vi.spyOn(answerCacheService, 'store');
+        toolManager.getClientTools.mockResolvedValueOnce([]);
+        RedisCache.getConversationContext.mockResolvedValueOnce({ messages: [] });
+        standardReasoningService.processStandardMessage.mockResolvedValueOnce({});
+        standardReasoningService.recordUsageAndFinalize.mockResolvedValueOnce({
+          response: 'Your order has shipped',
+          toolsUsed: ['get_order_status'],
+          conversationId: 1,
+        });
+
+        await conversationService.processMessage(cachingClient, 'session-1', 'Where is my order?', {
+          skipUserMessageSave: true,
+        });
+
+        expect(store).not.toHaveBeenCalled();
+      });
+    });
   });
 });
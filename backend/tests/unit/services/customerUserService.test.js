@@ -0,0 +1,268 @@
+/**
+ * Tests for customer dashboard users: invitations, role rules and
+ * role-scoped authentication
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../../src/db.js', () => ({
+  db: {
+    query: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/models/ClientUser.js', () => ({
+  ClientUser: {
+    create: vi.fn(),
+    findById: vi.fn(),
+    findByEmail: vi.fn(),
+    findByInviteToken: vi.fn(),
+    findByClient: vi.fn(),
+    countByClient: vi.fn(),
+    verifyCredentials: vi.fn(),
+    activate: vi.fn(),
+    renewInvite: vi.fn(),
+    update: vi.fn(),
+    delete: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/models/Client.js', () => ({
+  Client: {
+    findById: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/services/transactionalEmailService.js', () => ({
+  transactionalEmailService: {
+    sendUserInvitation: vi.fn(),
+  },
+}));
+
+import {
+  customerUserService,
+  CustomerUserError,
+} from '../../../src/services/customerUserService.js';
+import customerAuth, { requireCustomerRole } from '../../../src/middleware/customerAuth.js';
+import { ClientUser } from '../../../src/models/ClientUser.js';
+import { Client } from '../../../src/models/Client.js';
+import { transactionalEmailService } from '../../../src/services/transactionalEmailService.js';
+
+const CLIENT = { id: 1, name: 'Acme', status: 'active' };
+const OWNER = { id: 10, role: 'owner', name: 'Olivia' };
+const ADMIN = { id: 11, role: 'admin', name: 'Adam' };
+const AGENT_USER = { id: 12, client_id: 1, email: 'agent@acme.com', role: 'agent', status: 'active' };
+const OWNER_USER = { id: 10, client_id: 1, email: 'owner@acme.com', role: 'owner', status: 'active' };
+
+const mockRes = () => {
+  const res = {};
+  res.status = vi.fn().mockReturnValue(res);
+  res.json = vi.fn().mockReturnValue(res);
+  return res;
+};
+
+describe('Customer users', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    ClientUser.countByClient.mockResolvedValue(1);
+    ClientUser.findByEmail.mockResolvedValue(null);
+    ClientUser.create.mockImplementation(async (fields) => ({
+      id: 20,
+      client_id: fields.clientId,
+      email: fields.email,
+      role: fields.role,
+      status: 'invited',
+    }));
+    transactionalEmailService.sendUserInvitation.mockResolvedValue({ success: true });
+  });
+
+  describe('inviteUser', () => {
+    it('should store a hashed token and email the invitation link', async () => {
+      const result = await customerUserService.inviteUser(CLIENT, OWNER, {
+        email: ' New@Acme.com ',
+        role: 'agent',
+        name: 'Nina',
+      });
+
+      const token = new URL(result.inviteUrl).searchParams.get('token');
+      expect(ClientUser.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          clientId: 1,
+          email: 'new@acme.com',
+          name: 'Nina',
+          role: 'agent',
+          inviteTokenHash: crypto.createHash('sha256').update(token).digest('hex'),
+          invitedBy: 10,
+        })
+      );
+      expect(transactionalEmailService.sendUserInvitation).toHaveBeenCalledWith(
+        'new@acme.com',
+        'Acme',
+        expect.objectContaining({ inviterName: 'Olivia', role: 'agent', url: result.inviteUrl })
+      );
+      expect(result.emailSent).toBe(true);
+    });
+
+    it('should only let owners grant the owner role', async () => {
+      await expect(
+        customerUserService.inviteUser(CLIENT, ADMIN, { email: 'x@acme.com', role: 'owner' })
+      ).rejects.toMatchObject({ code: 'forbidden' });
+      await expect(
+        customerUserService.inviteUser(CLIENT, { id: 12, role: 'agent' }, {
+          email: 'x@acme.com',
+          role: 'agent',
+        })
+      ).rejects.toMatchObject({ code: 'forbidden' });
+      expect(ClientUser.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject invalid input and taken emails', async () => {
+      await expect(
+        customerUserService.inviteUser(CLIENT, OWNER, { email: 'nope', role: 'agent' })
+      ).rejects.toThrow(CustomerUserError);
+      await expect(
+        customerUserService.inviteUser(CLIENT, OWNER, { email: 'x@acme.com', role: 'viewer' })
+      ).rejects.toThrow(/role must be/);
+
+      ClientUser.findByEmail.mockResolvedValue(AGENT_USER);
+      await expect(
+        customerUserService.inviteUser(CLIENT, OWNER, { email: 'agent@acme.com', role: 'agent' })
+      ).rejects.toMatchObject({ code: 'conflict' });
+    });
+  });
+
+  describe('acceptInvite', () => {
+    it('should activate the user with a password', async () => {
+      ClientUser.findByInviteToken.mockResolvedValue({
+        id: 20,
+        client_id: 1,
+        invite_expires_at: new Date(Date.now() + 60000),
+      });
+      ClientUser.activate.mockResolvedValue({ id: 20, status: 'active' });
+
+      await customerUserService.acceptInvite('abc', 'longenough', ' Nina ');
+
+      expect(ClientUser.findByInviteToken).toHaveBeenCalledWith(
+        crypto.createHash('sha256').update('abc').digest('hex')
+      );
+      expect(ClientUser.activate).toHaveBeenCalledWith(20, 'longenough', 'Nina');
+    });
+
+    it('should reject expired invitations and short passwords', async () => {
+      ClientUser.findByInviteToken.mockResolvedValueOnce({
+        id: 20,
+        invite_expires_at: new Date(Date.now() - 1000),
+      });
+      await expect(customerUserService.acceptInvite('abc', 'longenough')).rejects.toThrow(
+        /expired/
+      );
+
+      ClientUser.findByInviteToken.mockResolvedValueOnce({ id: 20, invite_expires_at: null });
+      await expect(customerUserService.acceptInvite('abc', 'short')).rejects.toThrow(/at least/);
+      expect(ClientUser.activate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateUser and removeUser', () => {
+    it('should change roles', async () => {
+      ClientUser.findById.mockResolvedValue(AGENT_USER);
+      ClientUser.update.mockResolvedValue({ ...AGENT_USER, role: 'billing' });
+
+      await customerUserService.updateUser(1, ADMIN, 12, { role: 'billing' });
+
+      expect(ClientUser.update).toHaveBeenCalledWith(12, { role: 'billing' });
+    });
+
+    it('should keep admins away from owners and users from themselves', async () => {
+      ClientUser.findById.mockResolvedValue(OWNER_USER);
+      await expect(
+        customerUserService.updateUser(1, ADMIN, 10, { status: 'disabled' })
+      ).rejects.toMatchObject({ code: 'forbidden' });
+      await expect(customerUserService.removeUser(1, OWNER, 10)).rejects.toThrow(/yourself/);
+      expect(ClientUser.update).not.toHaveBeenCalled();
+      expect(ClientUser.delete).not.toHaveBeenCalled();
+    });
+
+    it('should not demote the last owner', async () => {
+      ClientUser.findById.mockResolvedValue(OWNER_USER);
+      ClientUser.countByClient.mockResolvedValue(1);
+
+      await expect(
+        customerUserService.updateUser(1, { id: 99, role: 'owner' }, 10, { role: 'admin' })
+      ).rejects.toThrow(/last owner/);
+      expect(ClientUser.countByClient).toHaveBeenCalledWith(1, { status: 'active', role: 'owner' });
+    });
+
+    it('should not touch users of other clients', async () => {
+      ClientUser.findById.mockResolvedValue({ ...AGENT_USER, client_id: 2 });
+
+      await expect(customerUserService.removeUser(1, OWNER, 12)).rejects.toMatchObject({
+        code: 'not_found',
+      });
+    });
+  });
+
+  describe('customerAuth', () => {
+    const authenticate = async (payload) => {
+      const token = jwt.sign({ type: 'customer', ...payload }, process.env.JWT_SECRET);
+      const req = { headers: { authorization: `Bearer ${token}` } };
+      const res = mockRes();
+      const next = vi.fn();
+      await customerAuth(req, res, next);
+      return { req, res, next };
+    };
+
+    beforeEach(() => {
+      process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret-for-unit-tests';
+      Client.findById.mockResolvedValue(CLIENT);
+    });
+
+    it('should attach the user and role from the database', async () => {
+      ClientUser.findById.mockResolvedValue(AGENT_USER);
+
+      const { req, next } = await authenticate({ clientId: 1, userId: 12 });
+
+      expect(next).toHaveBeenCalled();
+      expect(req.user).toEqual(AGENT_USER);
+      expect(req.userRole).toBe('agent');
+    });
+
+    it('should reject disabled users', async () => {
+      ClientUser.findById.mockResolvedValue({ ...AGENT_USER, status: 'disabled' });
+
+      const { res, next } = await authenticate({ clientId: 1, userId: 12 });
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+
+    it('should accept access code sessions only until the client has an owner account', async () => {
+      ClientUser.countByClient.mockResolvedValueOnce(0);
+      const legacy = await authenticate({ clientId: 1 });
+      expect(legacy.next).toHaveBeenCalled();
+      expect(legacy.req.userRole).toBe('owner');
+
+      ClientUser.countByClient.mockResolvedValueOnce(1);
+      const blocked = await authenticate({ clientId: 1 });
+      expect(blocked.next).not.toHaveBeenCalled();
+      expect(blocked.res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ error: 'Access code disabled' })
+      );
+    });
+  });
+
+  it('should scope routes by role', () => {
+    const guard = requireCustomerRole('owner', 'admin', 'billing');
+    const next = vi.fn();
+
+    guard({ userRole: 'billing' }, mockRes(), next);
+    expect(next).toHaveBeenCalledTimes(1);
+
+    const res = mockRes();
+    guard({ userRole: 'agent' }, res, next);
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+});
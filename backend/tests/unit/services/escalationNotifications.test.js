@@ -0,0 +1,313 @@
+/**
+ * Tests for escalation notification delivery and retries
+ *
+ * Models and the transactional email service are mocked; SMS/WhatsApp go
+ * through stub senders registered in the notification sender registry.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+vi.mock('../../../src/db.js', () => ({
+  db: {
+    query: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/models/Escalation.js', () => ({
+  Escalation: {
+    findById: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/models/Client.js', () => ({
+  Client: {
+    findById: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/models/Conversation.js', () => ({
+  Conversation: {
+    findById: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/models/Message.js', () => ({
+  Message: {
+    getRecent: vi.fn().mockResolvedValue([]),
+  },
+}));
+
+vi.mock('../../../src/models/EscalationNotification.js', () => ({
+  EscalationNotification: {
+    create: vi.fn(),
+    findByEscalation: vi.fn(),
+    markSent: vi.fn(),
+    markFailed: vi.fn(),
+    findDueForRetry: vi.fn(),
+    cancelRetry: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/services/transactionalEmailService.js', () => ({
+  transactionalEmailService: {
+    sendEscalationNotification: vi.fn(),
+  },
+}));
+
+const { Escalation } = await import('../../../src/models/Escalation.js');
+const { Client } = await import('../../../src/models/Client.js');
+const { Conversation } = await import('../../../src/models/Conversation.js');
+const { Message } = await import('../../../src/models/Message.js');
+const { EscalationNotification } = await import('../../../src/models/EscalationNotification.js');
+const { transactionalEmailService } =
+  await import('../../../src/services/transactionalEmailService.js');
+const { setNotificationSender, resetNotificationSenders } =
+  await import('../../../src/services/notifications/index.js');
+const { NOTIFICATIONS } = await import('../../../src/config/constants.js');
+const escalationService = (await import('../../../src/services/escalationService.js')).default;
+
+describe('EscalationService notifications', () => {
+  const escalation = {
+    id: 7,
+    client_id: 3,
+    conversation_id: 11,
+    reason: 'user_requested',
+    status: 'pending',
+    escalated_at: '2026-01-16T10:00:00Z',
+  };
+  const conversation = { id: 11, session_id: 'sess_abc', channel: 'widget' };
+  const clientFor = (config) => ({
+    id: 3,
+    name: 'Acme',
+    email: 'owner@acme.test',
+    escalation_config: config,
+  });
+
+  let smsSender;
+  let whatsappSender;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    smsSender = { send: vi.fn().mockResolvedValue({ messageId: 'SM1' }), isConfigured: () => true };
+    whatsappSender = {
+      send: vi.fn().mockResolvedValue({ messageId: 'WA1' }),
+      isConfigured: () => true,
+    };
+    setNotificationSender('sms', smsSender);
+    setNotificationSender('whatsapp', whatsappSender);
+
+    let nextId = 1;
+    EscalationNotification.create.mockImplementation(async (data) => ({
+      id: nextId++,
+      escalation_id: data.escalationId,
+      channel: data.channel,
+      recipient: data.recipient,
+      status: 'pending',
+      attempts: 0,
+    }));
+    EscalationNotification.markSent.mockImplementation(async (id, messageId) => ({
+      id,
+      status: 'sent',
+      provider_message_id: messageId,
+    }));
+    EscalationNotification.markFailed.mockImplementation(async (id, error, nextRetryAt) => ({
+      id,
+      status: 'failed',
+      last_error: error,
+      next_retry_at: nextRetryAt,
+    }));
+  });
+
+  afterEach(() => {
+    resetNotificationSenders();
+  });
+
+  describe('sendNotifications', () => {
+    it('should email the configured address with the last customer message', async () => {
+      Message.getRecent.mockResolvedValue([
+        { role: 'user', content: 'Where is my order?' },
+        { role: 'assistant', content: 'Let me check.' },
+      ]);
+      transactionalEmailService.sendEscalationNotification.mockResolvedValue({
+        success: true,
+        messageId: 'gmail-1',
+      });
+
+      const notifications = await escalationService.sendNotifications(
+        escalation,
+        clientFor({ notification_method: 'email', notification_email: 'support@acme.test' }),
+        conversation
+      );
+
+      expect(transactionalEmailService.sendEscalationNotification).toHaveBeenCalledWith(
+        'support@acme.test',
+        'Acme',
+        expect.objectContaining({
+          reason: 'Customer requested human assistance',
+          channel: 'widget',
+          customer_message: 'Where is my order?',
+        })
+      );
+      expect(EscalationNotification.markSent).toHaveBeenCalledWith(1, 'gmail-1');
+      expect(notifications).toHaveLength(1);
+      expect(notifications[0].status).toBe('sent');
+    });
+
+    it('should fall back to the client email', async () => {
+      transactionalEmailService.sendEscalationNotification.mockResolvedValue({ success: true });
+
+      await escalationService.sendNotifications(escalation, clientFor({}), conversation);
+
+      expect(EscalationNotification.create).toHaveBeenCalledWith(
+        expect.objectContaining({ channel: 'email', recipient: 'owner@acme.test' })
+      );
+    });
+
+    it('should record a failed email and schedule a retry', async () => {
+      transactionalEmailService.sendEscalationNotification.mockResolvedValue({
+        success: false,
+        error: 'Gmail not connected',
+      });
+
+      const [notification] = await escalationService.sendNotifications(
+        escalation,
+        clientFor({ notification_method: 'email' }),
+        conversation
+      );
+
+      expect(notification.status).toBe('failed');
+      const [id, error, nextRetryAt] = EscalationNotification.markFailed.mock.calls[0];
+      expect(id).toBe(1);
+      expect(error).toBe('Gmail not connected');
+      expect(nextRetryAt).toBeInstanceOf(Date);
+    });
+
+    it('should send SMS through the registered sender', async () => {
+      await escalationService.sendNotifications(
+        escalation,
+        clientFor({ notification_method: 'sms', notification_phone: '+15550001111' }),
+        conversation
+      );
+
+      expect(smsSender.send).toHaveBeenCalledWith(
+        '+15550001111',
+        expect.stringContaining('Customer requested human assistance')
+      );
+      expect(EscalationNotification.markSent).toHaveBeenCalledWith(1, 'SM1');
+    });
+
+    it('should send email and WhatsApp for "both"', async () => {
+      transactionalEmailService.sendEscalationNotification.mockResolvedValue({ success: true });
+      whatsappSender.send.mockRejectedValue(new Error('Twilio API error (400): bad number'));
+
+      const notifications = await escalationService.sendNotifications(
+        escalation,
+        clientFor({ notification_method: 'both', notification_phone: '+15550001111' }),
+        conversation
+      );
+
+      expect(notifications.map((n) => n.status)).toEqual(['sent', 'failed']);
+      expect(whatsappSender.send).toHaveBeenCalledWith('+15550001111', expect.any(String));
+    });
+
+    it('should skip phone channels without a configured number', async () => {
+      const notifications = await escalationService.sendNotifications(
+        escalation,
+        clientFor({ notification_method: 'whatsapp' }),
+        conversation
+      );
+
+      expect(notifications).toEqual([]);
+      expect(EscalationNotification.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getNextRetryAt', () => {
+    it('should back off exponentially', () => {
+      const now = Date.now();
+      const first = escalationService.getNextRetryAt(1).getTime() - now;
+      const second = escalationService.getNextRetryAt(2).getTime() - now;
+
+      expect(first).toBeGreaterThanOrEqual(NOTIFICATIONS.RETRY_BASE_DELAY);
+      expect(second).toBeGreaterThanOrEqual(NOTIFICATIONS.RETRY_BASE_DELAY * 2);
+    });
+
+    it('should give up after the maximum attempts', () => {
+      expect(escalationService.getNextRetryAt(NOTIFICATIONS.MAX_ATTEMPTS)).toBeNull();
+    });
+  });
+
+  describe('retryFailedNotifications', () => {
+    it('should resend due notifications for pending escalations', async () => {
+      EscalationNotification.findDueForRetry.mockResolvedValue([
+        { id: 4, escalation_id: 7, channel: 'sms', recipient: '+15550001111', attempts: 2 },
+      ]);
+      Escalation.findById.mockResolvedValue(escalation);
+      Conversation.findById.mockResolvedValue(conversation);
+      Client.findById.mockResolvedValue(clientFor({ notification_method: 'sms' }));
+
+      const summary = await escalationService.retryFailedNotifications();
+
+      expect(summary).toEqual({ retried: 1, sent: 1, failed: 0, skipped: 0 });
+      expect(smsSender.send).toHaveBeenCalled();
+    });
+
+    it('should stop retrying once the escalation is no longer pending', async () => {
+      EscalationNotification.findDueForRetry.mockResolvedValue([
+        { id: 4, escalation_id: 7, channel: 'sms', recipient: '+15550001111', attempts: 1 },
+      ]);
+      Escalation.findById.mockResolvedValue({ ...escalation, status: 'resolved' });
+
+      const summary = await escalationService.retryFailedNotifications();
+
+      expect(summary.skipped).toBe(1);
+      expect(EscalationNotification.cancelRetry).toHaveBeenCalledWith(4);
+      expect(smsSender.send).not.toHaveBeenCalled();
+    });
+
+    it('should not schedule another retry on the final attempt', async () => {
+      EscalationNotification.findDueForRetry.mockResolvedValue([
+        {
+          id: 4,
+          escalation_id: 7,
+          channel: 'sms',
+          recipient: '+15550001111',
+          attempts: NOTIFICATIONS.MAX_ATTEMPTS - 1,
+        },
+      ]);
+      Escalation.findById.mockResolvedValue(escalation);
+      Conversation.findById.mockResolvedValue(conversation);
+      Client.findById.mockResolvedValue(clientFor({ notification_method: 'sms' }));
+      smsSender.send.mockRejectedValue(new Error('still down'));
+
+      const summary = await escalationService.retryFailedNotifications();
+
+      expect(summary).toEqual({ retried: 1, sent: 0, failed: 1, skipped: 0 });
+      expect(EscalationNotification.markFailed).toHaveBeenCalledWith(4, 'still down', null);
+    });
+  });
+
+  describe('resendFailedNotifications', () => {
+    it('should only resend failed notifications', async () => {
+      Escalation.findById.mockResolvedValue(escalation);
+      Conversation.findById.mockResolvedValue(conversation);
+      Client.findById.mockResolvedValue(clientFor({ notification_method: 'both' }));
+      EscalationNotification.findByEscalation.mockResolvedValue([
+        { id: 1, channel: 'email', recipient: 'owner@acme.test', status: 'sent', attempts: 1 },
+        { id: 2, channel: 'whatsapp', recipient: '+15550001111', status: 'failed', attempts: 5 },
+      ]);
+
+      await escalationService.resendFailedNotifications(7);
+
+      expect(transactionalEmailService.sendEscalationNotification).not.toHaveBeenCalled();
+      expect(whatsappSender.send).toHaveBeenCalledTimes(1);
+      expect(EscalationNotification.markSent).toHaveBeenCalledWith(2, 'WA1');
+    });
+
+    it('should return null for unknown escalations', async () => {
+      Escalation.findById.mockResolvedValue(null);
+
+      expect(await escalationService.resendFailedNotifications(999)).toBeNull();
+    });
+  });
+});
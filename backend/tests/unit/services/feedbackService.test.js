@@ -0,0 +1,221 @@
+/**
+ * Tests for satisfaction feedback: message thumbs, conversation ratings
+ * and CSAT aggregation
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../../src/db.js', () => ({
+  db: {
+    query: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/models/Conversation.js', () => ({
+  Conversation: {
+    findBySession: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/models/Message.js', () => ({
+  Message: {
+    findById: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/models/ToolExecution.js', () => ({
+  ToolExecution: {
+    findToolForMessage: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/models/MessageFeedback.js', () => ({
+  MessageFeedback: {
+    upsert: vi.fn(),
+    findByConversation: vi.fn(),
+    getBreakdown: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/models/ConversationFeedback.js', () => ({
+  ConversationFeedback: {
+    upsert: vi.fn(),
+    findByConversation: vi.fn(),
+    getBreakdown: vi.fn(),
+    getToolBreakdown: vi.fn(),
+  },
+}));
+
+import { feedbackService, FeedbackError } from '../../../src/services/feedbackService.js';
+import { Conversation } from '../../../src/models/Conversation.js';
+import { Message } from '../../../src/models/Message.js';
+import { ToolExecution } from '../../../src/models/ToolExecution.js';
+import { MessageFeedback } from '../../../src/models/MessageFeedback.js';
+import { ConversationFeedback } from '../../../src/models/ConversationFeedback.js';
+
+const CLIENT = { id: 1 };
+const CONVERSATION = { id: 10, client_id: 1, session_id: 'sess-1' };
+const AI_MESSAGE = {
+  id: 100,
+  conversation_id: 10,
+  role: 'assistant',
+  timestamp: new Date('2026-01-20T10:00:00Z'),
+  metadata: null,
+};
+
+describe('FeedbackService', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    Conversation.findBySession.mockResolvedValue(CONVERSATION);
+    Message.findById.mockResolvedValue(AI_MESSAGE);
+    ToolExecution.findToolForMessage.mockResolvedValue(null);
+  });
+
+  describe('rateMessage', () => {
+    it('should store the rating with the tool that produced the answer', async () => {
+      ToolExecution.findToolForMessage.mockResolvedValue('get_order_status');
+
+      await feedbackService.rateMessage(CLIENT, 'sess-1', 100, 'down', '  wrong order  ');
+
+      expect(ToolExecution.findToolForMessage).toHaveBeenCalledWith(10, AI_MESSAGE.timestamp);
+      expect(MessageFeedback.upsert).toHaveBeenCalledWith({
+        messageId: 100,
+        conversationId: 10,
+        clientId: 1,
+        rating: -1,
+        comment: 'wrong order',
+        toolName: 'get_order_status',
+      });
+    });
+
+    it('should reject unknown ratings', async () => {
+      await expect(feedbackService.rateMessage(CLIENT, 'sess-1', 100, 'meh')).rejects.toThrow(
+        FeedbackError
+      );
+      expect(MessageFeedback.upsert).not.toHaveBeenCalled();
+    });
+
+    it('should not rate conversations of other clients', async () => {
+      Conversation.findBySession.mockResolvedValue({ ...CONVERSATION, client_id: 2 });
+
+      await expect(feedbackService.rateMessage(CLIENT, 'sess-1', 100, 'up')).rejects.toMatchObject({
+        code: 'not_found',
+      });
+    });
+
+    it('should only rate AI answers of the same conversation', async () => {
+      for (const message of [
+        { ...AI_MESSAGE, conversation_id: 11 },
+        { ...AI_MESSAGE, role: 'user' },
+        { ...AI_MESSAGE, metadata: { sender: 'agent' } },
+      ]) {
+        Message.findById.mockResolvedValueOnce(message);
+        await expect(
+          feedbackService.rateMessage(CLIENT, 'sess-1', 100, 'up')
+        ).rejects.toMatchObject({ code: 'not_found' });
+      }
+      expect(MessageFeedback.upsert).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('rateConversation', () => {
+    it('should store a 1-5 rating', async () => {
+      await feedbackService.rateConversation(CLIENT, 'sess-1', '4');
+
+      expect(ConversationFeedback.upsert).toHaveBeenCalledWith({
+        conversationId: 10,
+        clientId: 1,
+        rating: 4,
+        comment: null,
+      });
+    });
+
+    it('should reject ratings outside 1-5', async () => {
+      for (const rating of [0, 6, 3.5, 'great']) {
+        await expect(feedbackService.rateConversation(CLIENT, 'sess-1', rating)).rejects.toThrow(
+          /1 to 5/
+        );
+      }
+      expect(ConversationFeedback.upsert).not.toHaveBeenCalled();
+    });
+  });
+
+  it('should map stored feedback for a conversation', async () => {
+    MessageFeedback.findByConversation.mockResolvedValue([
+      { message_id: 100, rating: 1 },
+      { message_id: 102, rating: -1 },
+    ]);
+    ConversationFeedback.findByConversation.mockResolvedValue({ rating: 5, comment: null });
+
+    const feedback = await feedbackService.getConversationFeedback(10);
+
+    expect(feedback).toEqual({
+      messages: { 100: 'up', 102: 'down' },
+      conversation: { rating: 5, comment: null },
+    });
+  });
+
+  describe('getCsatStats', () => {
+    it('should aggregate totals, trend and breakdowns by tool and mode', async () => {
+      MessageFeedback.getBreakdown.mockResolvedValue([
+        {
+          date: '2026-01-19',
+          tool_name: 'get_order_status',
+          reasoning_mode: 'adaptive',
+          positive: '3',
+          negative: '1',
+        },
+        { date: '2026-01-20', tool_name: null, reasoning_mode: null, positive: '1', negative: '1' },
+      ]);
+      ConversationFeedback.getBreakdown.mockResolvedValue([
+        { date: '2026-01-19', reasoning_mode: 'adaptive', count: '2', satisfied: '2', rating_sum: '9' },
+        { date: '2026-01-20', reasoning_mode: 'standard', count: '2', satisfied: '0', rating_sum: '4' },
+      ]);
+      ConversationFeedback.getToolBreakdown.mockResolvedValue([
+        { tool_name: 'get_order_status', count: '2', satisfied: '2', rating_sum: '9' },
+      ]);
+
+      const stats = await feedbackService.getCsatStats(1, 30);
+
+      expect(MessageFeedback.getBreakdown).toHaveBeenCalledWith(1, 30);
+      expect(stats).toMatchObject({
+        days: 30,
+        thumbsUp: 4,
+        thumbsDown: 2,
+        messageSatisfaction: 67,
+        ratings: 4,
+        averageRating: 3.3,
+        csat: 50,
+      });
+      expect(stats.trend.map((day) => [day.date, day.csat])).toEqual([
+        ['2026-01-19', 100],
+        ['2026-01-20', 0],
+      ]);
+      expect(stats.byTool[0]).toMatchObject({
+        tool: 'get_order_status',
+        thumbsUp: 3,
+        ratings: 2,
+        csat: 100,
+      });
+      expect(stats.byTool[1]).toMatchObject({ tool: null, messageSatisfaction: 50 });
+      expect(stats.byMode).toEqual(
+        expect.arrayContaining([
+          expect.objectContaining({ mode: 'adaptive', csat: 100, averageRating: 4.5 }),
+          expect.objectContaining({ mode: 'standard', csat: 0, thumbsUp: 1 }),
+        ])
+      );
+    });
+
+    it('should return empty stats without feedback', async () => {
+      MessageFeedback.getBreakdown.mockResolvedValue([]);
+      ConversationFeedback.getBreakdown.mockResolvedValue([]);
+      ConversationFeedback.getToolBreakdown.mockResolvedValue([]);
+
+      const stats = await feedbackService.getCsatStats();
+
+      expect(stats).toMatchObject({ csat: null, averageRating: null, messageSatisfaction: null });
+      expect(stats.trend).toEqual([]);
+      expect(MessageFeedback.getBreakdown).toHaveBeenCalledWith(null, 30);
+    });
+  });
+});
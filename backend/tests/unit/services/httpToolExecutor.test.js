@@ -0,0 +1,258 @@
+/**
+ * Tests for the native HTTP tool executor: request templates, endpoint
+ * resolution, auth headers, response extraction and failure handling
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+vi.mock('../../../src/db.js', () => ({
+  db: {
+    query: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/models/IntegrationEndpoint.js', () => ({
+  IntegrationEndpoint: {
+    findByName: vi.fn(),
+  },
+}));
+
+import { httpToolExecutor } from '../../../src/services/httpToolExecutor.js';
+import { IntegrationEndpoint } from '../../../src/models/IntegrationEndpoint.js';
+
+const INTEGRATIONS = {
+  order_api: {
+    id: 12,
+    type: 'order_api',
+    apiUrl: 'https://shop.example.com/api/',
+    apiKey: 'sk_live_123',
+    authMethod: 'bearer',
+    headers: {},
+  },
+};
+
+const mockResponse = (status, body, contentType = 'application/json') => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: { get: () => contentType },
+  text: vi.fn().mockResolvedValue(typeof body === 'string' ? body : JSON.stringify(body)),
+});
+
+describe('HttpToolExecutor', () => {
+  const originalFetch = global.fetch;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    global.fetch = vi.fn().mockResolvedValue(mockResponse(200, { ok: true }));
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  it('should build the URL from the integration endpoint and path parameters', async () => {
+    IntegrationEndpoint.findByName.mockResolvedValue({
+      endpoint_url: '/orders/{{orderNumber}}',
+      method: 'GET',
+    });
+
+    const result = await httpToolExecutor.executeTool(
+      { integration: 'order_api', endpoint: 'get_order' },
+      { orderNumber: 'A/100', includeItems: true },
+      { integrations: INTEGRATIONS }
+    );
+
+    expect(result.success).toBe(true);
+    expect(IntegrationEndpoint.findByName).toHaveBeenCalledWith(12, 'get_order');
+    const [url, request] = global.fetch.mock.calls[0];
+    // Path params are encoded and the rest go to the query string
+    expect(url).toBe('https://shop.example.com/api/orders/A%2F100?includeItems=true');
+    expect(request.method).toBe('GET');
+    expect(request.headers.Authorization).toBe('Bearer sk_live_123');
+    expect(request.body).toBeUndefined();
+  });
+
+  it('should map parameters into the query and JSON body', async () => {
+    await httpToolExecutor.executeTool(
+      {
+        path: '/bookings',
+        method: 'post',
+        query: { source: 'chat', store: '{{store}}' },
+        body: { guest: { email: '{{email}}', party: '{{partySize}}' }, note: 'Via {{channel}}' },
+      },
+      { store: 'tlv', email: 'dana@example.com', partySize: 4, channel: 'widget' },
+      { integrations: INTEGRATIONS }
+    );
+
+    const [url, request] = global.fetch.mock.calls[0];
+    expect(url).toBe('https://shop.example.com/api/bookings?source=chat&store=tlv');
+    expect(request.method).toBe('POST');
+    expect(request.headers['Content-Type']).toBe('application/json');
+    expect(JSON.parse(request.body)).toEqual({
+      guest: { email: 'dana@example.com', party: 4 },
+      note: 'Via widget',
+    });
+  });
+
+  it('should drop mappings for parameters that were not provided', async () => {
+    await httpToolExecutor.executeTool(
+      { path: '/products', query: { q: '{{query}}', category: '{{category}}' } },
+      { query: 'boots' },
+      { integrations: INTEGRATIONS }
+    );
+
+    expect(global.fetch.mock.calls[0][0]).toBe('https://shop.example.com/api/products?q=boots');
+  });
+
+  it('should extract the configured response fields', async () => {
+    global.fetch.mockResolvedValue(
+      mockResponse(200, {
+        data: {
+          orders: [
+            { id: 1, status: 'shipped', shipping: { eta: '2026-02-01' }, internal: 'x' },
+            { id: 2, status: 'pending', shipping: {}, internal: 'y' },
+          ],
+        },
+      })
+    );
+
+    const result = await httpToolExecutor.executeTool(
+      {
+        path: '/orders',
+        response: {
+          root: 'data.orders',
+          fields: { id: 'id', status: 'status', eta: 'shipping.eta' },
+        },
+      },
+      {},
+      { integrations: INTEGRATIONS }
+    );
+
+    expect(result.data).toEqual([
+      { id: 1, status: 'shipped', eta: '2026-02-01' },
+      { id: 2, status: 'pending', eta: undefined },
+    ]);
+  });
+
+  it('should only call absolute endpoint URLs on the integration host', async () => {
+    IntegrationEndpoint.findByName.mockResolvedValue({
+      endpoint_url: 'https://shop.example.com/v2/orders',
+      method: 'GET',
+    });
+
+    const sameHost = await httpToolExecutor.executeTool(
+      { endpoint: 'list_orders' },
+      {},
+      { integrations: INTEGRATIONS }
+    );
+
+    expect(sameHost.success).toBe(true);
+    expect(global.fetch.mock.calls[0][0]).toBe('https://shop.example.com/v2/orders');
+
+    global.fetch.mockClear();
+    const otherHost = await httpToolExecutor.executeTool(
+      { path: 'https://collector.example.net/steal' },
+      {},
+      { integrations: INTEGRATIONS }
+    );
+
+    expect(otherHost.success).toBe(false);
+    expect(otherHost.error).toBe('Endpoint URL must be on the integration API host');
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('should refuse dot segments as path parameter values', async () => {
+    for (const id of ['.', '..']) {
+      const result = await httpToolExecutor.executeTool(
+        { path: '/orders/{{id}}/notes' },
+        { id },
+        { integrations: INTEGRATIONS }
+      );
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Invalid value for path parameter "id"');
+    }
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('should block placeholder parameter values without calling the API', async () => {
+    const result = await httpToolExecutor.executeTool(
+      { path: '/orders' },
+      { email: 'your email' },
+      { integrations: INTEGRATIONS }
+    );
+
+    expect(result.blocked).toBe(true);
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('should fail when the integration is not mapped', async () => {
+    const result = await httpToolExecutor.executeTool(
+      { integration: 'crm_api', path: '/contacts' },
+      {},
+      { integrations: INTEGRATIONS }
+    );
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('crm_api');
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('should fail when the endpoint does not exist', async () => {
+    IntegrationEndpoint.findByName.mockResolvedValue(null);
+
+    const result = await httpToolExecutor.executeTool(
+      { endpoint: 'missing' },
+      {},
+      { integrations: INTEGRATIONS }
+    );
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('Endpoint "missing" not found');
+  });
+
+  it('should report API errors with the status code', async () => {
+    global.fetch.mockResolvedValue(mockResponse(404, 'Order not found', 'text/plain'));
+
+    const result = await httpToolExecutor.executeTool(
+      { path: '/orders/{{id}}' },
+      { id: '999' },
+      { integrations: INTEGRATIONS }
+    );
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('API returned 404: Order not found');
+  });
+
+  it('should report timeouts', async () => {
+    const abortError = new Error('aborted');
+    abortError.name = 'AbortError';
+    global.fetch.mockRejectedValue(abortError);
+
+    const result = await httpToolExecutor.executeTool(
+      { path: '/slow' },
+      {},
+      { integrations: INTEGRATIONS, timeout: 50 }
+    );
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('Tool execution timed out after 50ms');
+  });
+
+  describe('validateConfig', () => {
+    it('should require an endpoint or a path', () => {
+      expect(httpToolExecutor.validateConfig({})).toContain('endpoint name or a path');
+      expect(httpToolExecutor.validateConfig({ endpoint: 'get_order' })).toBeNull();
+    });
+
+    it('should reject unsupported methods and malformed mappings', () => {
+      expect(httpToolExecutor.validateConfig({ path: '/x', method: 'TRACE' })).toContain(
+        'Unsupported method'
+      );
+      expect(httpToolExecutor.validateConfig({ path: '/x', query: 'a=1' })).toContain('query');
+      expect(
+        httpToolExecutor.validateConfig({ path: '/x', response: { fields: ['status'] } })
+      ).toContain('Response fields');
+    });
+  });
+});
@@ -0,0 +1,257 @@
+/**
+ * Tests for knowledge base chunking and BM25 retrieval
+ *
+ * Models are mocked; the index is built from the chunks they return.
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../../src/db.js', () => ({
+  db: {
+    query: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/models/KnowledgeDocument.js', () => ({
+  KnowledgeDocument: {
+    create: vi.fn(),
+    update: vi.fn(),
+    delete: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/models/KnowledgeChunk.js', () => ({
+  KnowledgeChunk: {
+    replaceForDocument: vi.fn(),
+    findSearchableByClient: vi.fn(),
+  },
+}));
+
+import { knowledgeBaseService } from '../../../src/services/knowledgeBaseService.js';
+import { KnowledgeDocument } from '../../../src/models/KnowledgeDocument.js';
+import { KnowledgeChunk } from '../../../src/models/KnowledgeChunk.js';
+import { KNOWLEDGE_BASE } from '../../../src/config/constants.js';
+
+const CHUNKS = [
+  {
+    id: 1,
+    document_id: 10,
+    chunk_index: 0,
+    heading: 'Laptops',
+    page: null,
+    content: 'All laptops come with a two year warranty covering manufacturing defects.',
+    document_title: 'Product Catalogue',
+  },
+  {
+    id: 2,
+    document_id: 10,
+    chunk_index: 1,
+    heading: 'Phones',
+    page: null,
+    content: 'Phones include a one year warranty. Screen damage is not covered.',
+    document_title: 'Product Catalogue',
+  },
+  {
+    id: 3,
+    document_id: 11,
+    chunk_index: 0,
+    heading: 'Returns',
+    page: 2,
+    content: 'Items bought on sale can be returned within 14 days for store credit.',
+    document_title: 'Store Policies',
+  },
+  {
+    id: 4,
+    document_id: 11,
+    chunk_index: 1,
+    heading: 'משלוחים',
+    page: 3,
+    content: 'משלוח חינם בהזמנות מעל 200 ש"ח. זמן אספקה עד חמישה ימי עסקים.',
+    document_title: 'Store Policies',
+  },
+];
+
+describe('KnowledgeBaseService', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    knowledgeBaseService.indexes.clear();
+    KnowledgeChunk.findSearchableByClient.mockResolvedValue(CHUNKS);
+  });
+
+  describe('chunkDocument', () => {
+    it('should split markdown along headings', () => {
+      const chunks = knowledgeBaseService.chunkDocument(
+        '# Shipping\n\nWe ship worldwide.\n\n## Costs\n\nFree over $50.\n\nExpress is $10.',
+        'markdown'
+      );
+
+      expect(chunks).toEqual([
+        { heading: 'Shipping', page: null, content: 'We ship worldwide.' },
+        { heading: 'Costs', page: null, content: 'Free over $50.\n\nExpress is $10.' },
+      ]);
+    });
+
+    it('should convert HTML before chunking', () => {
+      const chunks = knowledgeBaseService.chunkDocument(
+        '<html><head><title>x</title></head><body><h2>Warranty &amp; Repairs</h2>' +
+          '<p>Two&nbsp;years on <b>all</b> laptops.</p><script>track()</script>' +
+          '<ul><li>Free pickup</li><li>Loaner device</li></ul></body></html>',
+        'html'
+      );
+
+      expect(chunks).toHaveLength(1);
+      expect(chunks[0].heading).toBe('Warranty & Repairs');
+      expect(chunks[0].content).toBe('Two years on all laptops.\n\n- Free pickup\n- Loaner device');
+    });
+
+    it('should keep page numbers for PDF text', () => {
+      const chunks = knowledgeBaseService.chunkDocument(
+        'Terms of service.\fReturns accepted within 30 days.',
+        'pdf'
+      );
+
+      expect(chunks.map((c) => c.page)).toEqual([1, 2]);
+      expect(chunks[1].content).toBe('Returns accepted within 30 days.');
+    });
+
+    it('should split long paragraphs with overlap', () => {
+      const sentence = 'The quick brown fox jumps over the lazy dog. ';
+      const paragraph = sentence.repeat(80).trim();
+
+      const chunks = knowledgeBaseService.chunkDocument(paragraph, 'text');
+
+      expect(chunks.length).toBeGreaterThan(1);
+      for (const chunk of chunks) {
+        expect(chunk.content.length).toBeLessThanOrEqual(KNOWLEDGE_BASE.CHUNK_SIZE);
+      }
+      // The start of each chunk repeats the end of the previous one
+      const tail = chunks[0].content.slice(-50);
+      expect(chunks[1].content).toContain(tail.slice(tail.indexOf(' ') + 1));
+    });
+  });
+
+  describe('tokenize', () => {
+    it('should drop stop words and fold plurals', () => {
+      expect(knowledgeBaseService.tokenize('What is the warranty on Laptops?')).toEqual([
+        'warranty',
+        'laptop',
+      ]);
+    });
+
+    it('should handle Hebrew text and strip niqqud', () => {
+      expect(knowledgeBaseService.tokenize('מה זמן הַמִּשְׁלוֹחַ של ההזמנה?')).toEqual([
+        'זמן',
+        'המשלוח',
+        'ההזמנה',
+      ]);
+    });
+  });
+
+  describe('search', () => {
+    it('should rank the most relevant chunk first', async () => {
+      const results = await knowledgeBaseService.search(1, 'laptop warranty');
+
+      expect(results[0]).toMatchObject({
+        chunk_id: 1,
+        document_id: 10,
+        title: 'Product Catalogue',
+        heading: 'Laptops',
+      });
+      expect(results.map((r) => r.chunk_id)).not.toContain(3);
+    });
+
+    it('should match Hebrew queries', async () => {
+      const results = await knowledgeBaseService.search(1, 'משלוח חינם');
+
+      expect(results).toHaveLength(1);
+      expect(results[0]).toMatchObject({ chunk_id: 4, page: 3 });
+    });
+
+    it('should return nothing when no terms match', async () => {
+      expect(await knowledgeBaseService.search(1, 'gift cards')).toEqual([]);
+    });
+
+    it('should reuse the cached index until invalidated', async () => {
+      await knowledgeBaseService.search(1, 'warranty');
+      await knowledgeBaseService.search(1, 'returns');
+      expect(KnowledgeChunk.findSearchableByClient).toHaveBeenCalledTimes(1);
+
+      knowledgeBaseService.invalidate(1);
+      await knowledgeBaseService.search(1, 'returns');
+      expect(KnowledgeChunk.findSearchableByClient).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('retrieve', () => {
+    it('should split requests into found and missing', async () => {
+      const { results, found, missing } = await knowledgeBaseService.retrieve(1, [
+        'knowledge:return sale items',
+        'knowledge:gift cards',
+      ]);
+
+      expect(found).toEqual(['knowledge:return sale items']);
+      expect(missing).toEqual(['knowledge:gift cards']);
+      expect(results[0].query).toBe('return sale items');
+      expect(results[0].matches[0].chunk_id).toBe(3);
+    });
+
+    it('should treat search errors as missing context', async () => {
+      KnowledgeChunk.findSearchableByClient.mockRejectedValue(new Error('db down'));
+
+      const { found, missing } = await knowledgeBaseService.retrieve(1, ['knowledge:warranty']);
+
+      expect(found).toEqual([]);
+      expect(missing).toEqual(['knowledge:warranty']);
+    });
+
+    it('should format numbered sources and matching citations', async () => {
+      const { results } = await knowledgeBaseService.retrieve(1, ['knowledge:return sale items']);
+
+      const prompt = knowledgeBaseService.formatResultsForPrompt(results);
+      expect(prompt).toContain('## Knowledge Base Results');
+      expect(prompt).toContain('[1] Store Policies (Returns, page 2)');
+      expect(prompt).toContain('Source:');
+
+      expect(knowledgeBaseService.getCitations(results)[0]).toEqual({
+        source: 1,
+        document_id: 11,
+        title: 'Store Policies',
+        heading: 'Returns',
+        page: 2,
+        chunk_index: 0,
+      });
+    });
+  });
+
+  describe('documents', () => {
+    it('should chunk and index new documents', async () => {
+      const document = { id: 5, client_id: 1, content: '# A\n\nText', source_type: 'markdown' };
+      KnowledgeDocument.create.mockResolvedValue(document);
+      KnowledgeChunk.replaceForDocument.mockResolvedValue(1);
+      KnowledgeDocument.update.mockResolvedValue({ ...document, chunk_count: 1 });
+      knowledgeBaseService.indexes.set(1, { builtAt: Date.now(), chunks: [] });
+
+      const result = await knowledgeBaseService.addDocument(1, {
+        title: 'Doc',
+        sourceType: 'markdown',
+        content: document.content,
+      });
+
+      expect(KnowledgeChunk.replaceForDocument).toHaveBeenCalledWith(document, [
+        { heading: 'A', page: null, content: 'Text' },
+      ]);
+      expect(result.chunk_count).toBe(1);
+      expect(knowledgeBaseService.indexes.has(1)).toBe(false);
+    });
+
+    it('should not re-chunk when only the title changes', async () => {
+      const document = { id: 5, client_id: 1 };
+      KnowledgeDocument.update.mockResolvedValue({ ...document, title: 'New' });
+
+      await knowledgeBaseService.updateDocument(document, { title: 'New' });
+
+      expect(KnowledgeDocument.update).toHaveBeenCalledWith(5, { title: 'New' });
+      expect(KnowledgeChunk.replaceForDocument).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,217 @@
+/**
+ * Tests for human agent takeover, replies and hand back
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../../src/db.js', () => ({
+  db: {
+    query: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/models/Escalation.js', () => ({
+  Escalation: {
+    findByConversation: vi.fn(),
+    updateStatus: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/models/Conversation.js', () => ({
+  Conversation: {
+    findById: vi.fn(),
+    updateStats: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/models/Message.js', () => ({
+  Message: {
+    createFromAgent: vi.fn(),
+    count: vi.fn().mockResolvedValue(3),
+    getTotalTokens: vi.fn().mockResolvedValue(120),
+  },
+}));
+
+vi.mock('../../../src/models/EmailChannel.js', () => ({
+  EmailChannel: {
+    findByClientAndEmail: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/services/redisCache.js', () => ({
+  RedisCache: {
+    deleteConversationContext: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/services/gmailService.js', () => ({
+  default: {
+    sendEmail: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/services/whatsappHandler.js', () => ({
+  default: {
+    sendMessage: vi.fn(),
+  },
+}));
+
+import { liveAgentService, LiveAgentError } from '../../../src/services/liveAgentService.js';
+import { Escalation } from '../../../src/models/Escalation.js';
+import { Conversation } from '../../../src/models/Conversation.js';
+import { Message } from '../../../src/models/Message.js';
+import { EmailChannel } from '../../../src/models/EmailChannel.js';
+import { RedisCache } from '../../../src/services/redisCache.js';
+import gmailService from '../../../src/services/gmailService.js';
+import whatsappHandler from '../../../src/services/whatsappHandler.js';
+
+const PENDING = { id: 7, conversation_id: 42, status: 'pending', notes: null };
+const ACKNOWLEDGED = { ...PENDING, status: 'acknowledged', assigned_to: 'Dana' };
+
+describe('LiveAgentService', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    Conversation.findById.mockResolvedValue({
+      id: 42,
+      client_id: 1,
+      session_id: 'session-42',
+      channel: 'widget',
+    });
+    Message.createFromAgent.mockResolvedValue({
+      id: 99,
+      role: 'assistant',
+      content: 'Hi, Dana here',
+      metadata: { sender: 'agent', agent_name: 'Dana' },
+    });
+  });
+
+  describe('getAgentStatus', () => {
+    it('should report an active agent for acknowledged escalations', async () => {
+      Escalation.findByConversation.mockResolvedValue(ACKNOWLEDGED);
+
+      expect(await liveAgentService.getAgentStatus(42)).toEqual({
+        status: 'active',
+        agentName: 'Dana',
+        escalationId: 7,
+      });
+    });
+
+    it('should report none when the escalation is closed or missing', async () => {
+      Escalation.findByConversation.mockResolvedValue({ ...PENDING, status: 'resolved' });
+      expect((await liveAgentService.getAgentStatus(42)).status).toBe('none');
+
+      Escalation.findByConversation.mockResolvedValue(null);
+      expect((await liveAgentService.getAgentStatus(42)).status).toBe('none');
+    });
+  });
+
+  describe('sendAgentMessage', () => {
+    it('should take over a pending escalation before replying', async () => {
+      Escalation.updateStatus.mockResolvedValue(ACKNOWLEDGED);
+
+      const result = await liveAgentService.sendAgentMessage(PENDING, 'Hi, Dana here', 'Dana');
+
+      expect(Escalation.updateStatus).toHaveBeenCalledWith(7, 'acknowledged', {
+        assigned_to: 'Dana',
+      });
+      expect(Message.createFromAgent).toHaveBeenCalledWith(42, 'Hi, Dana here', 'Dana');
+      expect(Conversation.updateStats).toHaveBeenCalledWith(42, 3, 120);
+      expect(result.delivery).toEqual({ status: 'queued', channel: 'widget' });
+    });
+
+    it('should not re-acknowledge an escalation the agent already handles', async () => {
+      await liveAgentService.sendAgentMessage(ACKNOWLEDGED, 'Anything else?');
+
+      expect(Escalation.updateStatus).not.toHaveBeenCalled();
+      expect(Message.createFromAgent).toHaveBeenCalledWith(42, 'Anything else?', 'Dana');
+    });
+
+    it('should refuse closed escalations', async () => {
+      await expect(
+        liveAgentService.sendAgentMessage({ ...PENDING, status: 'cancelled' }, 'Hello')
+      ).rejects.toBeInstanceOf(LiveAgentError);
+      expect(Message.createFromAgent).not.toHaveBeenCalled();
+    });
+
+    it('should send WhatsApp replies immediately', async () => {
+      const conversation = { id: 42, client_id: 1, channel: 'whatsapp' };
+      Conversation.findById.mockResolvedValue(conversation);
+
+      const result = await liveAgentService.sendAgentMessage(ACKNOWLEDGED, 'On it');
+
+      expect(whatsappHandler.sendMessage).toHaveBeenCalledWith(conversation, 'On it');
+      expect(result.delivery.status).toBe('sent');
+    });
+
+    it('should reply to email conversations in the original thread', async () => {
+      Conversation.findById.mockResolvedValue({
+        id: 42,
+        client_id: 1,
+        channel: 'email',
+        channel_thread_id: 'thread-1',
+        channel_metadata: { from: 'customer@example.com', subject: 'Order', channel_email: 'support@shop.com' },
+      });
+      EmailChannel.findByClientAndEmail.mockResolvedValue({ id: 5 });
+
+      await liveAgentService.sendAgentMessage(ACKNOWLEDGED, 'Refund sent');
+
+      expect(EmailChannel.findByClientAndEmail).toHaveBeenCalledWith(1, 'support@shop.com');
+      expect(gmailService.sendEmail).toHaveBeenCalledWith(
+        5,
+        'customer@example.com',
+        'Re: Order',
+        'Refund sent',
+        'thread-1'
+      );
+    });
+
+    it('should keep the message when delivery fails', async () => {
+      Conversation.findById.mockResolvedValue({ id: 42, client_id: 1, channel: 'whatsapp' });
+      whatsappHandler.sendMessage.mockRejectedValueOnce(new Error('window closed'));
+
+      const result = await liveAgentService.sendAgentMessage(ACKNOWLEDGED, 'Hello?');
+
+      expect(result.message.id).toBe(99);
+      expect(result.delivery).toEqual({ status: 'failed', error: 'window closed' });
+    });
+  });
+
+  describe('handBack', () => {
+    it('should resolve the escalation and drop the cached context', async () => {
+      Escalation.updateStatus.mockResolvedValue({ ...ACKNOWLEDGED, status: 'resolved' });
+
+      await liveAgentService.handBack({ ...ACKNOWLEDGED, notes: 'Called customer' }, 'Dana');
+
+      expect(Escalation.updateStatus).toHaveBeenCalledWith(7, 'resolved', {
+        notes: 'Called customer\nHanded back to AI by Dana',
+      });
+      expect(RedisCache.deleteConversationContext).toHaveBeenCalledWith('session-42');
+    });
+
+    it('should refuse escalations that are already closed', async () => {
+      await expect(
+        liveAgentService.handBack({ ...PENDING, status: 'resolved' })
+      ).rejects.toBeInstanceOf(LiveAgentError);
+      expect(Escalation.updateStatus).not.toHaveBeenCalled();
+    });
+  });
+
+  it('should label agent messages for dashboards and the widget', () => {
+    expect(
+      liveAgentService.formatMessage({
+        id: 99,
+        role: 'assistant',
+        content: 'Hi',
+        timestamp: '2026-01-01T00:00:00Z',
+        metadata: { sender: 'agent', agent_name: 'Dana' },
+      })
+    ).toEqual({
+      id: 99,
+      role: 'assistant',
+      content: 'Hi',
+      timestamp: '2026-01-01T00:00:00Z',
+      sender: 'agent',
+      agentName: 'Dana',
+    });
+  });
+});
@@ -0,0 +1,267 @@
+/**
+ * Tests for the OpenAI provider in LLMService
+ *
+ * Runs openaiChat against a local HTTP stub of the Chat Completions API
+ * (real fetch, no mocks) so request shape and response parsing are both covered.
+ */
+
+import { describe, it, expect, vi, beforeAll, afterAll, beforeEach } from 'vitest';
+import http from 'http';
+
+vi.mock('@anthropic-ai/sdk', () => ({
+  Anthropic: vi.fn().mockImplementation(() => ({ messages: { create: vi.fn() } })),
+}));
+
+vi.mock('../../../src/config.js', () => ({
+  OLLAMA_CONFIG: { url: 'http://localhost:11434', model: 'llama2' },
+}));
+
+process.env.LLM_PROVIDER = 'ollama';
+
+const llmService = (await import('../../../src/services/llmService.js')).default;
+
+let server;
+let lastRequest;
+let nextResponse;
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      lastRequest = {
+        method: req.method,
+        url: req.url,
+        headers: req.headers,
+        body: body ? JSON.parse(body) : null,
+      };
+      res.writeHead(nextResponse.status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(nextResponse.body));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  process.env.OPENAI_BASE_URL = `http://127.0.0.1:${server.address().port}/v1`;
+});
+
+afterAll(async () => {
+  delete process.env.OPENAI_BASE_URL;
+  await new Promise((resolve) => server.close(resolve));
+});
+
+beforeEach(() => {
+  process.env.OPENAI_API_KEY = 'test-openai-key';
+  lastRequest = null;
+  nextResponse = {
+    status: 200,
+    body: {
+      id: 'chatcmpl-1',
+      choices: [
+        {
+          index: 0,
+          message: { role: 'assistant', content: 'Hello from OpenAI!' },
+          finish_reason: 'stop',
+        },
+      ],
+      usage: { prompt_tokens: 1000, completion_tokens: 500, total_tokens: 1500 },
+    },
+  };
+});
+
+describe('LLMService - OpenAI provider', () => {
+  describe('openaiChat', () => {
+    it('should POST to /chat/completions with bearer auth', async () => {
+      await llmService.openaiChat([{ role: 'user', content: 'Hi' }], {
+        maxTokens: 100,
+        temperature: 0.3,
+        model: 'gpt-4o-mini',
+      });
+
+      expect(lastRequest.method).toBe('POST');
+      expect(lastRequest.url).toBe('/v1/chat/completions');
+      expect(lastRequest.headers.authorization).toBe('Bearer test-openai-key');
+      expect(lastRequest.body).toMatchObject({
+        model: 'gpt-4o-mini',
+        messages: [{ role: 'user', content: 'Hi' }],
+        max_tokens: 100,
+        temperature: 0.3,
+        stream: false,
+      });
+      expect(lastRequest.body.tools).toBeUndefined();
+    });
+
+    it('should return content, token counts and model-specific cost', async () => {
+      const result = await llmService.openaiChat([{ role: 'user', content: 'Hi' }], {
+        model: 'gpt-4o-mini',
+      });
+
+      expect(result.content).toBe('Hello from OpenAI!');
+      expect(result.provider).toBe('openai');
+      expect(result.model).toBe('gpt-4o-mini');
+      expect(result.toolCalls).toBeNull();
+      expect(result.stopReason).toBe('stop');
+      expect(result.tokens).toEqual({ input: 1000, output: 500, total: 1500 });
+      // gpt-4o-mini: 1000/1M * $0.15 + 500/1M * $0.60
+      expect(result.cost).toBeCloseTo(0.00045, 6);
+    });
+
+    it('should send tools in function format and parse tool calls', async () => {
+      nextResponse.body.choices[0] = {
+        index: 0,
+        message: {
+          role: 'assistant',
+          content: null,
+          tool_calls: [
+            {
+              id: 'call_abc',
+              type: 'function',
+              function: { name: 'get_order_status', arguments: '{"orderNumber":"123"}' },
+            },
+          ],
+        },
+        finish_reason: 'tool_calls',
+      };
+
+      const result = await llmService.openaiChat([{ role: 'user', content: 'Where is 123?' }], {
+        tools: [
+          {
+            name: 'get_order_status',
+            description: 'Look up an order',
+            parameters: { type: 'object', properties: { orderNumber: { type: 'string' } } },
+          },
+        ],
+      });
+
+      expect(lastRequest.body.tool_choice).toBe('auto');
+      expect(lastRequest.body.tools).toEqual([
+        {
+          type: 'function',
+          function: {
+            name: 'get_order_status',
+            description: 'Look up an order',
+            parameters: { type: 'object', properties: { orderNumber: { type: 'string' } } },
+          },
+        },
+      ]);
+      expect(result.content).toBe('');
+      expect(result.stopReason).toBe('tool_calls');
+      expect(result.toolCalls).toEqual([
+        { id: 'call_abc', name: 'get_order_status', arguments: { orderNumber: '123' } },
+      ]);
+    });
+
+    it('should fall back to empty arguments when tool call JSON is malformed', async () => {
+      nextResponse.body.choices[0].message.tool_calls = [
+        { id: 'call_bad', type: 'function', function: { name: 'book', arguments: '{oops' } },
+      ];
+
+      const result = await llmService.openaiChat([{ role: 'user', content: 'Book it' }], {});
+
+      expect(result.toolCalls[0].arguments).toEqual({});
+    });
+
+    it('should send tool call history and tool results back in OpenAI format', async () => {
+      await llmService.openaiChat(
+        [
+          { role: 'user', content: 'Where is 123?' },
+          {
+            role: 'assistant',
+            content: '',
+            tool_calls: [
+              {
+                id: 'call_abc',
+                type: 'function',
+                function: { name: 'get_order_status', arguments: '{"orderNumber":"123"}' },
+              },
+            ],
+          },
+          { role: 'tool', content: 'Shipped', tool_call_id: 'call_abc' },
+        ],
+        {}
+      );
+
+      const [, assistant, tool] = lastRequest.body.messages;
+      expect(assistant.content).toBeNull();
+      expect(assistant.tool_calls[0].function.name).toBe('get_order_status');
+      expect(tool).toEqual({ role: 'tool', content: 'Shipped', tool_call_id: 'call_abc' });
+    });
+
+    it('should send user images as data URL content parts', async () => {
+      await llmService.openaiChat(
+        [{ role: 'user', content: 'Damaged box', images: [{ mimeType: 'image/png', data: 'iVBOR' }] }],
+        {}
+      );
+
+      expect(lastRequest.body.messages[0].content).toEqual([
+        { type: 'text', text: 'Damaged box' },
+        { type: 'image_url', image_url: { url: 'data:image/png;base64,iVBOR' } },
+      ]);
+    });
+
+    it('should throw with the HTTP status on API errors', async () => {
+      nextResponse = { status: 401, body: { error: { message: 'Incorrect API key' } } };
+
+      await expect(
+        llmService.openaiChat([{ role: 'user', content: 'Hi' }], {})
+      ).rejects.toMatchObject({ status: 401, message: expect.stringContaining('OpenAI API error') });
+    });
+
+    it('should throw when OPENAI_API_KEY is missing', async () => {
+      delete process.env.OPENAI_API_KEY;
+
+      await expect(llmService.openaiChat([{ role: 'user', content: 'Hi' }], {})).rejects.toThrow(
+        'OPENAI_API_KEY'
+      );
+      expect(lastRequest).toBeNull();
+    });
+  });
+
+  describe('chat', () => {
+    it('should route openai provider to the Chat Completions API', async () => {
+      const result = await llmService.chat([{ role: 'user', content: 'Hi' }], {
+        provider: 'openai',
+        model: 'gpt-4o',
+      });
+
+      expect(lastRequest.url).toBe('/v1/chat/completions');
+      expect(result.provider).toBe('openai');
+    });
+
+    it('should map auth failures through handleError', async () => {
+      nextResponse = { status: 401, body: { error: { message: 'Incorrect API key' } } };
+
+      await expect(
+        llmService.chat([{ role: 'user', content: 'Hi' }], { provider: 'openai' })
+      ).rejects.toThrow('Invalid API key');
+    });
+  });
+
+  describe('formatToolsForOpenAI', () => {
+    it('should match the Groq formatter output', () => {
+      const tools = [{ name: 'test', description: 'Test tool', parameters: { type: 'object' } }];
+
+      expect(llmService.formatToolsForOpenAI(tools, 'Use carefully')).toEqual(
+        llmService.formatToolsForGroq(tools, 'Use carefully')
+      );
+    });
+
+    it('should accept Claude-style input_schema definitions', () => {
+      const tools = [{ name: 'test', description: 'Test', input_schema: { type: 'object' } }];
+
+      expect(llmService.formatToolsForOpenAI(tools)[0].function.parameters).toEqual({
+        type: 'object',
+      });
+    });
+
+    it('should return empty array for invalid input', () => {
+      expect(llmService.formatToolsForOpenAI(null)).toEqual([]);
+    });
+  });
+
+  describe('calculateOpenAICost', () => {
+    it('should fall back to GPT-4o pricing for unknown models', () => {
+      const usage = { prompt_tokens: 1000, completion_tokens: 500 };
+
+      expect(llmService.calculateOpenAICost(usage, 'gpt-unknown')).toBeCloseTo(0.0075, 6);
+    });
+  });
+});
@@ -71,7 +71,31 @@ describe('LLMService', () => {
     });
   });
 
+  describe('supportsVision', () => {
+    it('should accept images for claude and vision-capable models', () => {
+      expect(llmService.supportsVision('claude')).toBe(true);
+      expect(llmService.supportsVision('openai', 'gpt-4o-mini')).toBe(true);
+      expect(llmService.supportsVision('ollama', 'llava:13b')).toBe(true);
+    });
+
+    it('should not send images to text-only models', () => {
+      expect(llmService.supportsVision('openai', 'gpt-3.5-turbo')).toBe(false);
+      expect(llmService.supportsVision('ollama', 'llama2')).toBe(false);
+      expect(llmService.supportsVision('groq', 'llama-3.3-70b-versatile')).toBe(false);
+    });
+  });
+
   describe('formatMessagesForOllama', () => {
+    it('should pass user images as base64 strings', () => {
+      const messages = [
+        { role: 'user', content: 'Is this broken?', images: [{ mimeType: 'image/png', data: 'iVBORw0' }] },
+      ];
+
+      const result = llmService.formatMessagesForOllama(messages);
+
+      expect(result[0]).toEqual({ role: 'user', content: 'Is this broken?', images: ['iVBORw0'] });
+    });
+
     it('should format regular messages correctly', () => {
       const messages = [
         { role: 'system', content: 'You are helpful' },
@@ -142,6 +166,19 @@ describe('LLMService', () => {
       expect(result[0].role).toBe('user');
     });
 
+    it('should send user images as image blocks before the text', () => {
+      const messages = [
+        { role: 'user', content: 'Here is my receipt', images: [{ mimeType: 'image/jpeg', data: '/9j/4AA' }] },
+      ];
+
+      const result = llmService.formatMessagesForClaude(messages);
+
+      expect(result[0].content).toEqual([
+        { type: 'image', source: { type: 'base64', media_type: 'image/jpeg', data: '/9j/4AA' } },
+        { type: 'text', text: 'Here is my receipt' },
+      ]);
+    });
+
     it('should format tool results correctly', () => {
       const messages = [
         { role: 'tool', content: 'Result data', tool_call_id: 'tool-123' },
@@ -297,6 +334,186 @@ describe('LLMService', () => {
     });
   });
 
+  describe('chat with redaction', () => {
+    const redaction = { enabled: true, types: ['email', 'phone'], custom: [] };
+
+    afterEach(() => {
+      vi.restoreAllMocks();
+    });
+
+    it('should send tokens to the provider and re-hydrate the response', async () => {
+      const groqChat = vi.spyOn(llmService, 'groqChat').mockResolvedValue({
+        content: 'I emailed [EMAIL_1]',
+        toolCalls: [{ id: 't1', name: 'send', arguments: { to: '[EMAIL_1]' } }],
+        tokens: { total: 10 },
+      });
+
+      const response = await llmService.chat(
+        [
+          { role: 'system', content: 'Be brief' },
+          { role: 'user', content: 'Email me at jane@example.com or call +1 555 123 4567' },
+        ],
+        { provider: 'groq', redaction }
+      );
+
+      const [sentMessages, sentOptions] = groqChat.mock.calls[0];
+      expect(sentMessages[1].content).toBe('Email me at [EMAIL_1] or call [PHONE_1]');
+      expect(sentOptions.onToken).toBeNull();
+      expect(response.content).toBe('I emailed jane@example.com');
+      expect(response.toolCalls[0].arguments).toEqual({ to: 'jane@example.com' });
+    });
+
+    it('should re-hydrate streamed text', async () => {
+      vi.spyOn(llmService, 'groqChat').mockImplementation(async (messages, options) => {
+        options.onToken('Hi [EM');
+        options.onToken('AIL_1]');
+        return { content: 'Hi [EMAIL_1]', toolCalls: null, tokens: { total: 3 } };
+      });
+      const onToken = vi.fn();
+
+      await llmService.chat([{ role: 'user', content: 'I am jane@example.com' }], {
+        provider: 'groq',
+        stream: true,
+        onToken,
+        redaction,
+      });
+
+      expect(onToken.mock.calls.map(([text]) => text).join('')).toBe('Hi jane@example.com');
+    });
+
+    it('should send text unchanged when redaction is off', async () => {
+      const groqChat = vi
+        .spyOn(llmService, 'groqChat')
+        .mockResolvedValue({ content: 'ok', toolCalls: null, tokens: { total: 1 } });
+
+      await llmService.chat([{ role: 'user', content: 'jane@example.com' }], {
+        provider: 'groq',
+        redaction: { ...redaction, enabled: false },
+      });
+
+      expect(groqChat.mock.calls[0][0][0].content).toBe('jane@example.com');
+    });
+  });
+
+  describe('chat failover', () => {
+    const messages = [{ role: 'user', content: 'Hi' }];
+    const fallbacks = [{ provider: 'claude', model: null }];
+    const serverError = () => Object.assign(new Error('Service unavailable'), { status: 503 });
+
+    beforeEach(() => {
+      llmService.circuitBreakers.breakers.clear();
+    });
+
+    afterEach(() => {
+      vi.restoreAllMocks();
+    });
+
+    it('should answer from the next provider when the first one fails', async () => {
+      vi.spyOn(llmService, 'groqChat').mockRejectedValue(serverError());
+      const claudeChat = vi
+        .spyOn(llmService, 'claudeChat')
+        .mockResolvedValue({ content: 'ok', provider: 'claude', tokens: { input: 2, output: 1 } });
+
+      const response = await llmService.chat(messages, { provider: 'groq', fallbacks });
+
+      expect(claudeChat).toHaveBeenCalledTimes(1);
+      expect(response.content).toBe('ok');
+      expect(response.failover.from).toBe('groq');
+      expect(response.failover.attempts[0]).toMatchObject({
+        provider: 'groq',
+        error: 'Service unavailable',
+      });
+    });
+
+    it('should throw the last error when every provider fails', async () => {
+      vi.spyOn(llmService, 'groqChat').mockRejectedValue(serverError());
+      vi.spyOn(llmService, 'claudeChat').mockRejectedValue(new Error('Claude down'));
+
+      await expect(llmService.chat(messages, { provider: 'groq', fallbacks })).rejects.toThrow(
+        'Claude down'
+      );
+    });
+
+    it('should not fail over once tokens have been streamed', async () => {
+      vi.spyOn(llmService, 'groqChat').mockImplementation(async (sent, options) => {
+        options.onToken('Hel');
+        throw serverError();
+      });
+      const claudeChat = vi.spyOn(llmService, 'claudeChat');
+
+      await expect(
+        llmService.chat(messages, { provider: 'groq', fallbacks, stream: true, onToken: vi.fn() })
+      ).rejects.toThrow();
+      expect(claudeChat).not.toHaveBeenCalled();
+    });
+
+    it('should skip a provider whose circuit is open', async () => {
+      const groqChat = vi.spyOn(llmService, 'groqChat').mockRejectedValue(serverError());
+      vi.spyOn(llmService, 'claudeChat').mockResolvedValue({ content: 'ok', tokens: {} });
+
+      for (let i = 0; i < 5; i++) {
+        await llmService.chat(messages, { provider: 'groq', fallbacks });
+      }
+      expect(llmService.getProviderHealth().groq.state).toBe('open');
+
+      groqChat.mockClear();
+      const response = await llmService.chat(messages, { provider: 'groq', fallbacks });
+
+      expect(groqChat).not.toHaveBeenCalled();
+      expect(response.failover.attempts[0]).toMatchObject({ provider: 'groq', skipped: true });
+    });
+
+    it('should not count rejected requests against the circuit', async () => {
+      vi.spyOn(llmService, 'groqChat').mockRejectedValue(
+        Object.assign(new Error('Bad request'), { status: 400 })
+      );
+      vi.spyOn(llmService, 'claudeChat').mockResolvedValue({ content: 'ok', tokens: {} });
+
+      for (let i = 0; i < 5; i++) {
+        await llmService.chat(messages, { provider: 'groq', fallbacks });
+      }
+
+      expect(llmService.getProviderHealth().groq.state).toBe('closed');
+    });
+
+    it('should report the provider that answered to a trace', async () => {
+      vi.spyOn(llmService, 'groqChat').mockRejectedValue(serverError());
+      vi.spyOn(llmService, 'claudeChat').mockResolvedValue({
+        content: 'ok',
+        provider: 'claude',
+        model: 'claude-3-5-haiku-20241022',
+        tokens: { input: 10, output: 4 },
+      });
+
+      const { result, calls } = await llmService.trace(() =>
+        llmService.chat(messages, { provider: 'groq', fallbacks })
+      );
+
+      expect(result.content).toBe('ok');
+      expect(calls).toEqual([
+        {
+          provider: 'claude',
+          model: 'claude-3-5-haiku-20241022',
+          tokensInput: 10,
+          tokensOutput: 4,
+          failedOver: true,
+        },
+      ]);
+    });
+
+    it('should not repeat a provider and model already in the chain', () => {
+      expect(
+        llmService.buildProviderChain('groq', null, [
+          { provider: 'groq' },
+          { provider: 'claude', model: 'claude-3-5-haiku-20241022' },
+        ])
+      ).toEqual([
+        { provider: 'groq', model: null },
+        { provider: 'claude', model: 'claude-3-5-haiku-20241022' },
+      ]);
+    });
+  });
+
   describe('parseAssessment', () => {
     it('should parse valid assessment block', () => {
       const response = `Here is my response.
@@ -623,6 +840,138 @@ Response text here.
     });
   });
 
+  describe('streaming', () => {
+    const streamBody = (chunks) =>
+      new ReadableStream({
+        start(controller) {
+          const encoder = new TextEncoder();
+          chunks.forEach((chunk) => controller.enqueue(encoder.encode(chunk)));
+          controller.close();
+        },
+      });
+
+    it('should stream Ollama NDJSON and forward content deltas', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        body: streamBody([
+          '{"message":{"role":"assistant","content":"Hel"},"done":false}\n{"message":{"role":"assist',
+          'ant","content":"lo!"},"done":false}\n',
+          '{"message":{"role":"assistant","content":""},"done":true,"prompt_eval_count":12,"eval_count":4}\n',
+        ]),
+      });
+      const tokens = [];
+
+      const result = await llmService.ollamaChat([{ role: 'user', content: 'Hi' }], {
+        stream: true,
+        onToken: (text) => tokens.push(text),
+      });
+
+      expect(JSON.parse(global.fetch.mock.calls[0][1].body).stream).toBe(true);
+      expect(tokens).toEqual(['Hel', 'lo!']);
+      expect(result.content).toBe('Hello!');
+      expect(result.tokens).toEqual({ input: 12, output: 4, total: 16 });
+    });
+
+    it('should stream Groq SSE and reassemble content, tool calls and usage', async () => {
+      const frame = (data) => `data: ${JSON.stringify(data)}\n\n`;
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        body: streamBody([
+          frame({ choices: [{ delta: { role: 'assistant', content: 'Checking' } }] }),
+          frame({
+            choices: [
+              {
+                delta: {
+                  tool_calls: [
+                    { index: 0, id: 'call-1', function: { name: 'get_order', arguments: '{"id":' } },
+                  ],
+                },
+              },
+            ],
+          }),
+          frame({
+            choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: '"123"}' } }] } }],
+          }),
+          frame({
+            choices: [{ delta: {}, finish_reason: 'tool_calls' }],
+            x_groq: { usage: { prompt_tokens: 20, completion_tokens: 10, total_tokens: 30 } },
+          }),
+          'data: [DONE]\n\n',
+        ]),
+      });
+      const tokens = [];
+
+      const result = await llmService.groqChat([{ role: 'user', content: 'Order 123?' }], {
+        stream: true,
+        onToken: (text) => tokens.push(text),
+        tools: [{ name: 'get_order' }],
+      });
+
+      expect(JSON.parse(global.fetch.mock.calls[0][1].body).stream_options).toEqual({
+        include_usage: true,
+      });
+      expect(tokens).toEqual(['Checking']);
+      expect(result.content).toBe('Checking');
+      expect(result.stopReason).toBe('tool_calls');
+      expect(result.toolCalls).toEqual([{ id: 'call-1', name: 'get_order', arguments: { id: '123' } }]);
+      expect(result.tokens.total).toBe(30);
+    });
+
+    it('should stream Claude text through the SDK stream helper', async () => {
+      const handlers = {};
+      llmService.client = {
+        messages: {
+          create: vi.fn(),
+          stream: vi.fn().mockReturnValue({
+            on: (event, handler) => {
+              handlers[event] = handler;
+            },
+            finalMessage: async () => {
+              handlers.text('Hi ');
+              handlers.text('there');
+              return {
+                role: 'assistant',
+                content: [{ type: 'text', text: 'Hi there' }],
+                usage: { input_tokens: 10, output_tokens: 2 },
+                stop_reason: 'end_turn',
+              };
+            },
+          }),
+        },
+      };
+      const tokens = [];
+
+      const result = await llmService.claudeChat([{ role: 'user', content: 'Hello' }], {
+        stream: true,
+        onToken: (text) => tokens.push(text),
+        maxTokens: 100,
+      });
+
+      expect(llmService.client.messages.create).not.toHaveBeenCalled();
+      expect(tokens).toEqual(['Hi ', 'there']);
+      expect(result.content).toBe('Hi there');
+      expect(result.tokens.total).toBe(12);
+    });
+
+    it('should pass onToken through chat()', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        body: streamBody([
+          '{"message":{"role":"assistant","content":"Hey"},"done":true,"prompt_eval_count":1,"eval_count":1}\n',
+        ]),
+      });
+      const onToken = vi.fn();
+
+      await llmService.chat([{ role: 'user', content: 'Hi' }], {
+        provider: 'ollama',
+        stream: true,
+        onToken,
+      });
+
+      expect(onToken).toHaveBeenCalledWith('Hey');
+    });
+  });
+
   describe('chat', () => {
     it('should route to correct provider based on options', async () => {
       const mockResponse = {
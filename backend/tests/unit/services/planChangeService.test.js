@@ -0,0 +1,246 @@
+/**
+ * Tests for plan changes: upgrades, scheduled downgrades and customer requests
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+vi.mock('../../../src/models/Client.js', () => ({
+  Client: {
+    findById: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/models/Plan.js', () => ({
+  Plan: {
+    findAll: vi.fn(),
+    findByName: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/models/PlanChange.js', () => ({
+  PlanChange: {
+    create: vi.fn(),
+    findById: vi.fn(),
+    findByClient: vi.fn(),
+    findOpen: vi.fn(),
+    findDue: vi.fn(),
+    apply: vi.fn(),
+    close: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/services/billingService.js', () => ({
+  BillingService: {
+    getPricingConfigAsync: vi.fn(),
+  },
+}));
+
+const { Client } = await import('../../../src/models/Client.js');
+const { Plan } = await import('../../../src/models/Plan.js');
+const { PlanChange } = await import('../../../src/models/PlanChange.js');
+const { BillingService } = await import('../../../src/services/billingService.js');
+const { default: planChangeService, PlanChangeError } =
+  await import('../../../src/services/planChangeService.js');
+
+const PRICES = { free: 0, starter: 29.99, pro: 99.99, enterprise: 499.99 };
+const admin = { type: 'admin', id: 1, name: 'alice' };
+const customer = { type: 'client_user', id: 5, name: 'bob@example.com' };
+
+describe('PlanChangeService', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2026-04-16T10:00:00Z'));
+    Client.findById.mockResolvedValue({ id: 3, plan_type: 'pro' });
+    Plan.findByName.mockImplementation(async (name) =>
+      name in PRICES ? { name, is_active: name !== 'free', base_cost: PRICES[name] } : null
+    );
+    BillingService.getPricingConfigAsync.mockImplementation(async (name) => ({
+      baseCost: PRICES[name],
+    }));
+    PlanChange.findOpen.mockResolvedValue(null);
+    PlanChange.create.mockImplementation(async (data) => ({ id: 9, ...data }));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('changePlan', () => {
+    it('should apply an upgrade immediately', async () => {
+      const result = await planChangeService.changePlan(3, 'enterprise', admin);
+
+      expect(PlanChange.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          clientId: 3,
+          fromPlan: 'pro',
+          toPlan: 'enterprise',
+          status: 'applied',
+          effectiveAt: new Date('2026-04-16T10:00:00Z'),
+          requestedByType: 'admin',
+          requestedBy: 'alice',
+        })
+      );
+      expect(result.scheduled).toBe(false);
+    });
+
+    it('should schedule a downgrade for the start of the next billing period', async () => {
+      const result = await planChangeService.changePlan(3, 'starter', admin);
+
+      expect(PlanChange.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          status: 'scheduled',
+          effectiveAt: new Date('2026-05-01T00:00:00Z'),
+        })
+      );
+      expect(result.scheduled).toBe(true);
+    });
+
+    it('should apply a downgrade now when asked to', async () => {
+      await planChangeService.changePlan(3, 'starter', admin, { immediate: true });
+
+      expect(PlanChange.create).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'applied' })
+      );
+    });
+
+    it('should replace an open change', async () => {
+      PlanChange.findOpen.mockResolvedValueOnce({ id: 4, status: 'scheduled' });
+
+      await planChangeService.changePlan(3, 'enterprise', admin);
+
+      expect(PlanChange.close).toHaveBeenCalledWith(4, 'cancelled', {
+        reviewedBy: 'alice',
+        reviewNote: 'Replaced by a change to enterprise',
+      });
+    });
+
+    it('should reject the current, unknown and inactive plans', async () => {
+      await expect(planChangeService.changePlan(3, 'pro', admin)).rejects.toThrow(
+        'already on this plan'
+      );
+      await expect(planChangeService.changePlan(3, 'gold', admin)).rejects.toThrow(PlanChangeError);
+      await expect(planChangeService.changePlan(3, 'free', admin)).rejects.toThrow('inactive plan');
+      expect(PlanChange.create).not.toHaveBeenCalled();
+    });
+
+    it('should report a missing client as not found', async () => {
+      Client.findById.mockResolvedValueOnce(null);
+
+      await expect(planChangeService.changePlan(99, 'enterprise', admin)).rejects.toMatchObject({
+        code: 'not_found',
+      });
+    });
+
+    it('should turn a concurrent open change into a validation error', async () => {
+      PlanChange.create.mockRejectedValueOnce(Object.assign(new Error('dup'), { code: '23505' }));
+
+      await expect(planChangeService.changePlan(3, 'enterprise', admin)).rejects.toThrow(
+        'already pending'
+      );
+    });
+  });
+
+  describe('customer requests', () => {
+    it('should record an upgrade request for review', async () => {
+      await planChangeService.requestUpgrade(
+        { id: 3, plan_type: 'starter' },
+        'pro',
+        customer,
+        '  More volume  '
+      );
+
+      expect(PlanChange.create).toHaveBeenCalledWith({
+        clientId: 3,
+        fromPlan: 'starter',
+        toPlan: 'pro',
+        status: 'requested',
+        requestedByType: 'customer',
+        requestedBy: 'bob@example.com',
+        note: 'More volume',
+      });
+    });
+
+    it('should not accept downgrade requests', async () => {
+      await expect(
+        planChangeService.requestUpgrade({ id: 3, plan_type: 'pro' }, 'starter', customer)
+      ).rejects.toThrow('Only upgrades can be requested');
+    });
+
+    it('should apply an approved request from now', async () => {
+      PlanChange.findById.mockResolvedValueOnce({ id: 9, client_id: 3, status: 'requested' });
+      PlanChange.apply.mockResolvedValueOnce({ id: 9, status: 'applied' });
+
+      const result = await planChangeService.approve('3', '9', admin);
+
+      expect(PlanChange.apply).toHaveBeenCalledWith(9, {
+        effectiveAt: new Date('2026-04-16T10:00:00Z'),
+        reviewedBy: 'alice',
+      });
+      expect(result.change.status).toBe('applied');
+    });
+
+    it('should only review requests', async () => {
+      PlanChange.findById.mockResolvedValue({ id: 9, client_id: 3, status: 'scheduled' });
+
+      await expect(planChangeService.approve(3, 9, admin)).rejects.toThrow(
+        'Plan change is scheduled'
+      );
+      await expect(planChangeService.reject(3, 9, admin)).rejects.toThrow(
+        'Plan change is scheduled'
+      );
+    });
+
+    it("should not find another client's change", async () => {
+      PlanChange.findById.mockResolvedValueOnce({ id: 9, client_id: 4, status: 'requested' });
+
+      await expect(planChangeService.reject(3, 9, admin)).rejects.toMatchObject({
+        code: 'not_found',
+      });
+    });
+
+    it('should let customers cancel their requests but not scheduled downgrades', async () => {
+      PlanChange.findById
+        .mockResolvedValueOnce({
+          id: 9,
+          client_id: 3,
+          status: 'requested',
+          requested_by_type: 'customer',
+        })
+        .mockResolvedValueOnce({
+          id: 10,
+          client_id: 3,
+          status: 'scheduled',
+          requested_by_type: 'admin',
+        });
+      PlanChange.close.mockResolvedValueOnce({ id: 9, status: 'cancelled' });
+
+      await expect(planChangeService.cancel(3, 9, customer)).resolves.toEqual({
+        id: 9,
+        status: 'cancelled',
+      });
+      await expect(planChangeService.cancel(3, 10, customer)).rejects.toThrow(
+        'Only requests you made'
+      );
+    });
+  });
+
+  describe('applyDueChanges', () => {
+    it('should apply due changes and carry on after a failure', async () => {
+      PlanChange.findDue.mockResolvedValueOnce([
+        { id: 1, client_id: 3, to_plan: 'starter' },
+        { id: 2, client_id: 4, to_plan: 'free' },
+        { id: 3, client_id: 5, to_plan: 'pro' },
+      ]);
+      PlanChange.apply
+        .mockResolvedValueOnce({ id: 1 })
+        .mockRejectedValueOnce(new Error('db down'))
+        .mockResolvedValueOnce(null); // Cancelled meanwhile
+
+      const result = await planChangeService.applyDueChanges();
+
+      expect(PlanChange.apply).toHaveBeenCalledTimes(3);
+      expect(result).toEqual({ applied: 1 });
+    });
+  });
+});
@@ -0,0 +1,410 @@
+/**
+ * Tests for data retention and end-user data requests (export / erase)
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../../src/db.js', () => ({
+  db: {
+    query: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/models/Client.js', () => ({
+  Client: {
+    updateRetentionConfig: vi.fn(),
+    updateRedactionConfig: vi.fn(),
+    findWithRetention: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/models/Conversation.js', () => ({
+  Conversation: {
+    findByUserIdentifier: vi.fn(),
+    countRelated: vi.fn(),
+    deleteMany: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/models/Message.js', () => ({
+  Message: {
+    getAllWithDebug: vi.fn(),
+    deleteOlderThanForClient: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/models/ToolExecution.js', () => ({
+  ToolExecution: {
+    getByConversation: vi.fn(),
+    deleteOlderThanForClient: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/models/Escalation.js', () => ({
+  Escalation: {
+    findAllByConversation: vi.fn(),
+    deleteClosedOlderThan: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/models/MessageFeedback.js', () => ({
+  MessageFeedback: { findByConversation: vi.fn() },
+}));
+
+vi.mock('../../../src/models/ConversationFeedback.js', () => ({
+  ConversationFeedback: { findByConversation: vi.fn() },
+}));
+
+vi.mock('../../../src/models/Attachment.js', () => ({
+  Attachment: {
+    findByConversation: vi.fn(),
+    deleteUnclaimedForSessions: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/models/WebhookDelivery.js', () => ({
+  WebhookDelivery: { deleteForConversations: vi.fn() },
+}));
+
+vi.mock('../../../src/models/DataRequest.js', () => ({
+  DataRequest: {
+    create: vi.fn(),
+    complete: vi.fn(),
+    fail: vi.fn(),
+    findByClient: vi.fn(),
+    countByClient: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/services/redisCache.js', () => ({
+  RedisCache: {
+    deleteConversationContext: vi.fn(),
+    clearPendingIntent: vi.fn(),
+  },
+}));
+
+import { privacyService, PrivacyError } from '../../../src/services/privacyService.js';
+import { Client } from '../../../src/models/Client.js';
+import { Conversation } from '../../../src/models/Conversation.js';
+import { Message } from '../../../src/models/Message.js';
+import { ToolExecution } from '../../../src/models/ToolExecution.js';
+import { Escalation } from '../../../src/models/Escalation.js';
+import { MessageFeedback } from '../../../src/models/MessageFeedback.js';
+import { ConversationFeedback } from '../../../src/models/ConversationFeedback.js';
+import { Attachment } from '../../../src/models/Attachment.js';
+import { WebhookDelivery } from '../../../src/models/WebhookDelivery.js';
+import { DataRequest } from '../../../src/models/DataRequest.js';
+import { RedisCache } from '../../../src/services/redisCache.js';
+
+const client = { id: 7, name: 'Acme' };
+const actor = { type: 'admin', id: 1, name: 'root' };
+
+describe('PrivacyService', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    DataRequest.create.mockResolvedValue({ id: 11 });
+    DataRequest.complete.mockImplementation(async (id, report) => ({
+      id,
+      status: 'completed',
+      report,
+    }));
+  });
+
+  describe('getRetention', () => {
+    it('should list every data type, unset ones as null', () => {
+      const result = privacyService.getRetention({ retention_config: { messages: 90 } });
+
+      expect(result.retention).toEqual({
+        messages: 90,
+        debug_messages: null,
+        tool_executions: null,
+        escalations: null,
+      });
+      expect(result.dataTypes).toHaveLength(4);
+    });
+  });
+
+  describe('updateRetention', () => {
+    it('should store only the windows that are set', async () => {
+      Client.updateRetentionConfig.mockResolvedValue({
+        retention_config: { messages: 365, debug_messages: 30 },
+      });
+
+      await privacyService.updateRetention(7, {
+        messages: '365',
+        debug_messages: 30,
+        tool_executions: '',
+        escalations: null,
+      });
+
+      expect(Client.updateRetentionConfig).toHaveBeenCalledWith(7, {
+        messages: 365,
+        debug_messages: 30,
+      });
+    });
+
+    it('should clear the config when no window is set', async () => {
+      Client.updateRetentionConfig.mockResolvedValue({ retention_config: null });
+
+      await privacyService.updateRetention(7, { messages: null });
+
+      expect(Client.updateRetentionConfig).toHaveBeenCalledWith(7, null);
+    });
+
+    it('should reject unknown data types and invalid windows', async () => {
+      await expect(privacyService.updateRetention(7, { logs: 30 })).rejects.toThrow(
+        'Unknown data type: logs'
+      );
+      await expect(privacyService.updateRetention(7, { messages: 0 })).rejects.toThrow(
+        PrivacyError
+      );
+      await expect(privacyService.updateRetention(7, { messages: 2.5 })).rejects.toThrow(
+        PrivacyError
+      );
+      expect(Client.updateRetentionConfig).not.toHaveBeenCalled();
+    });
+
+    it('should report a missing client as not found', async () => {
+      Client.updateRetentionConfig.mockResolvedValue(undefined);
+
+      await expect(privacyService.updateRetention(99, { messages: 30 })).rejects.toMatchObject({
+        code: 'not_found',
+      });
+    });
+  });
+
+  describe('updateRedaction', () => {
+    it('should store a validated config', async () => {
+      Client.updateRedactionConfig.mockImplementation(async (id, config) => ({
+        id,
+        redaction_config: config,
+      }));
+
+      const result = await privacyService.updateRedaction(7, {
+        enabled: true,
+        types: ['email', 'card'],
+        custom: [{ name: ' Policy number ', pattern: 'POL-\\d{8}' }],
+      });
+
+      expect(Client.updateRedactionConfig).toHaveBeenCalledWith(7, {
+        enabled: true,
+        mask_debug: false,
+        types: ['email', 'card'],
+        custom: [{ name: 'Policy number', pattern: 'POL-\\d{8}' }],
+      });
+      expect(result.redaction.enabled).toBe(true);
+    });
+
+    it('should clear the config when redaction and debug masking are off', async () => {
+      Client.updateRedactionConfig.mockResolvedValue({ redaction_config: null });
+
+      const result = await privacyService.updateRedaction(7, { enabled: false, types: ['email'] });
+
+      expect(Client.updateRedactionConfig).toHaveBeenCalledWith(7, null);
+      expect(result.redaction).toMatchObject({ enabled: false, mask_debug: false });
+    });
+
+    it('should accept patterns that would backtrack catastrophically, since RE2 runs them', async () => {
+      Client.updateRedactionConfig.mockResolvedValueOnce({});
+
+      await privacyService.updateRedaction(7, {
+        enabled: true,
+        types: [],
+        custom: [{ name: 'Evil', pattern: '(a|a)+b' }],
+      });
+
+      expect(Client.updateRedactionConfig).toHaveBeenCalledWith(7, {
+        enabled: true,
+        mask_debug: false,
+        types: [],
+        custom: [{ name: 'Evil', pattern: '(a|a)+b' }],
+      });
+    });
+
+    it('should reject unknown types and unsafe custom patterns', async () => {
+      const update = (input) => privacyService.updateRedaction(7, { enabled: true, ...input });
+
+      await expect(update({ types: ['address'] })).rejects.toThrow(
+        'Unknown redaction type: address'
+      );
+      await expect(update({ custom: [{ name: 'x', pattern: '(' }] })).rejects.toThrow(
+        'not a supported regular expression'
+      );
+      await expect(update({ custom: [{ name: 'x', pattern: '(?<=#)\\d+' }] })).rejects.toThrow(
+        'not a supported regular expression'
+      );
+      await expect(update({ custom: [{ name: 'x', pattern: 'a*' }] })).rejects.toThrow(
+        'matches empty text'
+      );
+      await expect(
+        update({
+          custom: [
+            { name: 'Ref', pattern: 'R\\d+' },
+            { name: 'ref', pattern: 'X\\d+' },
+          ],
+        })
+      ).rejects.toThrow(PrivacyError);
+      await expect(update({ types: [], custom: [] })).rejects.toThrow('at least one');
+      expect(Client.updateRedactionConfig).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('applyRetention', () => {
+    it('should enforce each client window and total the deletions', async () => {
+      Client.findWithRetention.mockResolvedValue([
+        { id: 1, retention_config: { messages: 365, debug_messages: 30 } },
+        { id: 2, retention_config: { tool_executions: 90, escalations: 180 } },
+      ]);
+      Message.deleteOlderThanForClient.mockResolvedValueOnce(5).mockResolvedValueOnce(12);
+      ToolExecution.deleteOlderThanForClient.mockResolvedValue(3);
+      Escalation.deleteClosedOlderThan.mockResolvedValue(1);
+
+      const result = await privacyService.applyRetention();
+
+      expect(Message.deleteOlderThanForClient).toHaveBeenCalledWith(1, 365);
+      expect(Message.deleteOlderThanForClient).toHaveBeenCalledWith(1, 30, { debugOnly: true });
+      expect(ToolExecution.deleteOlderThanForClient).toHaveBeenCalledWith(2, 90);
+      expect(Escalation.deleteClosedOlderThan).toHaveBeenCalledWith(2, 180, [
+        'resolved',
+        'cancelled',
+      ]);
+      expect(result).toEqual({
+        clients: 2,
+        deleted: { messages: 5, debug_messages: 12, tool_executions: 3, escalations: 1 },
+      });
+    });
+
+    it('should keep going when one client fails', async () => {
+      Client.findWithRetention.mockResolvedValue([
+        { id: 1, retention_config: { messages: 30 } },
+        { id: 2, retention_config: { messages: 30 } },
+      ]);
+      Message.deleteOlderThanForClient
+        .mockRejectedValueOnce(new Error('db down'))
+        .mockResolvedValueOnce(4);
+
+      const result = await privacyService.applyRetention();
+
+      expect(result.deleted.messages).toBe(4);
+    });
+  });
+
+  describe('exportUserData', () => {
+    it('should export every conversation of the user and record the request', async () => {
+      Conversation.findByUserIdentifier.mockResolvedValue([
+        { id: 3, session_id: 's-3', user_identifier: 'jane@example.com' },
+      ]);
+      Message.getAllWithDebug.mockResolvedValue([{ id: 1 }, { id: 2 }]);
+      ToolExecution.getByConversation.mockResolvedValue([{ id: 5 }]);
+      Escalation.findAllByConversation.mockResolvedValue([]);
+      MessageFeedback.findByConversation.mockResolvedValue([{ id: 8 }]);
+      ConversationFeedback.findByConversation.mockResolvedValue({ rating: 5 });
+      Attachment.findByConversation.mockResolvedValue([
+        { id: 9, filename: 'a.png', data: Buffer.from('png') },
+      ]);
+
+      const { request, data } = await privacyService.exportUserData(
+        client,
+        '  Jane@example.com ',
+        actor
+      );
+
+      expect(Conversation.findByUserIdentifier).toHaveBeenCalledWith(7, 'Jane@example.com');
+      expect(DataRequest.create).toHaveBeenCalledWith({
+        clientId: 7,
+        requestType: 'export',
+        userIdentifier: 'Jane@example.com',
+        requestedBy: actor,
+      });
+      expect(data.conversations[0].messages).toHaveLength(2);
+      expect(data.conversations[0].attachments[0].data).toBe(Buffer.from('png').toString('base64'));
+      expect(request.report).toEqual({
+        conversations: 1,
+        messages: 2,
+        tool_executions: 1,
+        escalations: 0,
+        message_feedback: 1,
+        conversation_feedback: 1,
+        attachments: 1,
+      });
+    });
+
+    it('should require a user identifier', async () => {
+      await expect(privacyService.exportUserData(client, '   ', actor)).rejects.toThrow(
+        'userIdentifier is required'
+      );
+      expect(DataRequest.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('eraseUserData', () => {
+    it('should delete the conversations and report what was removed', async () => {
+      Conversation.findByUserIdentifier.mockResolvedValue([
+        { id: 3, session_id: 's-3' },
+        { id: 4, session_id: 's-4' },
+      ]);
+      Conversation.countRelated.mockResolvedValue({
+        messages: 10,
+        tool_executions: 2,
+        escalations: 1,
+        message_feedback: 0,
+        conversation_feedback: 1,
+        attachments: 1,
+      });
+      WebhookDelivery.deleteForConversations.mockResolvedValue(3);
+      Attachment.deleteUnclaimedForSessions.mockResolvedValue(1);
+      Conversation.deleteMany.mockResolvedValue(2);
+
+      const request = await privacyService.eraseUserData(client, '+15551234567', actor);
+
+      expect(WebhookDelivery.deleteForConversations).toHaveBeenCalledWith(7, [3, 4]);
+      expect(Attachment.deleteUnclaimedForSessions).toHaveBeenCalledWith(7, ['s-3', 's-4']);
+      expect(Conversation.deleteMany).toHaveBeenCalledWith([3, 4]);
+      expect(RedisCache.deleteConversationContext).toHaveBeenCalledWith('s-4');
+      expect(request.report).toEqual({
+        conversations: 2,
+        messages: 10,
+        tool_executions: 2,
+        escalations: 1,
+        message_feedback: 0,
+        conversation_feedback: 1,
+        attachments: 2,
+        webhook_deliveries: 3,
+      });
+    });
+
+    it('should record only a masked identifier', async () => {
+      Conversation.findByUserIdentifier.mockResolvedValue([]);
+
+      await privacyService.eraseUserData(client, ' jane@example.com ', actor);
+      await privacyService.eraseUserData(client, '+15551234567', actor);
+
+      expect(Conversation.findByUserIdentifier).toHaveBeenCalledWith(7, 'jane@example.com');
+      expect(DataRequest.create.mock.calls.map(([data]) => data.userIdentifier)).toEqual([
+        'j***@example.com',
+        '***4567',
+      ]);
+    });
+
+    it('should complete with an empty report when the user has no data', async () => {
+      Conversation.findByUserIdentifier.mockResolvedValue([]);
+
+      const request = await privacyService.eraseUserData(client, 'nobody', actor);
+
+      expect(Conversation.deleteMany).not.toHaveBeenCalled();
+      expect(request.report.conversations).toBe(0);
+    });
+
+    it('should mark the request failed when deletion fails', async () => {
+      Conversation.findByUserIdentifier.mockResolvedValue([{ id: 3, session_id: 's-3' }]);
+      Conversation.countRelated.mockResolvedValue({ attachments: 0 });
+      WebhookDelivery.deleteForConversations.mockResolvedValue(0);
+      Attachment.deleteUnclaimedForSessions.mockResolvedValue(0);
+      Conversation.deleteMany.mockRejectedValue(new Error('db down'));
+
+      await expect(privacyService.eraseUserData(client, 'jane', actor)).rejects.toThrow('db down');
+      expect(DataRequest.fail).toHaveBeenCalledWith(11, 'db down');
+      expect(DataRequest.complete).not.toHaveBeenCalled();
+    });
+  });
+});
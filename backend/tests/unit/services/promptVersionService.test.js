@@ -0,0 +1,435 @@
+/**
+ * Tests for prompt config versions (save, rollback, diff) and A/B experiments
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../../src/models/PlatformConfig.js', () => ({
+  PlatformConfig: {
+    getDefaultPromptConfig: vi.fn(),
+    setDefaultPromptConfig: vi.fn(),
+    getAdaptivePromptConfig: vi.fn(),
+    setAdaptivePromptConfig: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/models/Client.js', () => ({
+  Client: { findById: vi.fn(), updatePromptConfig: vi.fn() },
+}));
+
+vi.mock('../../../src/models/Conversation.js', () => ({
+  Conversation: { setPromptVariant: vi.fn() },
+}));
+
+vi.mock('../../../src/models/PromptConfigVersion.js', () => ({
+  PromptConfigVersion: {
+    create: vi.fn(),
+    find: vi.fn(),
+    findPrevious: vi.fn(),
+    findLatest: vi.fn(),
+    list: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/models/PromptExperiment.js', () => ({
+  PromptExperiment: {
+    create: vi.fn(),
+    findById: vi.fn(),
+    findRunning: vi.fn(),
+    findByClient: vi.fn(),
+    stop: vi.fn(),
+    getVariantMetrics: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/services/promptService.js', () => ({
+  default: { refreshDefaultConfig: vi.fn(), clearCache: vi.fn() },
+}));
+
+vi.mock('../../../src/prompts/systemPrompt.js', () => ({
+  refreshCachedConfig: vi.fn(),
+}));
+
+const { PlatformConfig } = await import('../../../src/models/PlatformConfig.js');
+const { Client } = await import('../../../src/models/Client.js');
+const { Conversation } = await import('../../../src/models/Conversation.js');
+const { PromptConfigVersion } = await import('../../../src/models/PromptConfigVersion.js');
+const { PromptExperiment } = await import('../../../src/models/PromptExperiment.js');
+const promptService = (await import('../../../src/services/promptService.js')).default;
+const { refreshCachedConfig } = await import('../../../src/prompts/systemPrompt.js');
+const { default: promptVersionService, PromptVersionError } =
+  await import('../../../src/services/promptVersionService.js');
+const promptExperimentService = (await import('../../../src/services/promptExperimentService.js'))
+  .default;
+const replaySandbox = (await import('../../../src/services/replaySandbox.js')).default;
+
+const admin = { type: 'admin', id: 1, name: 'root' };
+
+// Versions are numbered in order of creation, like the database does
+function recordVersions() {
+  let next = 1;
+  PromptConfigVersion.create.mockImplementation(async (data) => ({
+    id: next + 100,
+    version: next++,
+    client_id: data.clientId,
+    config: data.config,
+    action: data.action,
+    source_version: data.sourceVersion ?? null,
+  }));
+}
+
+describe('promptVersionService', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    recordVersions();
+  });
+
+  describe('save', () => {
+    it('should record the live config as a baseline before the first versioned save', async () => {
+      PromptConfigVersion.findLatest.mockResolvedValue(null);
+      PlatformConfig.getDefaultPromptConfig.mockResolvedValue({ reasoning_enabled: true });
+
+      const version = await promptVersionService.save(
+        'default',
+        null,
+        { reasoning_enabled: false },
+        admin
+      );
+
+      expect(PromptConfigVersion.create).toHaveBeenNthCalledWith(1, {
+        scope: 'default',
+        clientId: null,
+        config: { reasoning_enabled: true },
+        action: 'baseline',
+      });
+      expect(PlatformConfig.setDefaultPromptConfig).toHaveBeenCalledWith({
+        reasoning_enabled: false,
+      });
+      expect(version).toMatchObject({ version: 2, action: 'update' });
+      expect(PromptConfigVersion.create).toHaveBeenLastCalledWith(
+        expect.objectContaining({ author: admin, config: { reasoning_enabled: false } })
+      );
+    });
+
+    it('should refresh the caches that hold the saved config', async () => {
+      PromptConfigVersion.findLatest.mockResolvedValue({ version: 3 });
+
+      await promptVersionService.save('default', null, {}, admin);
+      expect(promptService.refreshDefaultConfig).toHaveBeenCalled();
+      expect(refreshCachedConfig).toHaveBeenCalled();
+
+      await promptVersionService.save('adaptive', null, {}, admin);
+      expect(PlatformConfig.setAdaptivePromptConfig).toHaveBeenCalledWith({});
+      expect(promptService.clearCache).toHaveBeenCalled();
+    });
+
+    it('should store client overrides on the client', async () => {
+      PromptConfigVersion.findLatest.mockResolvedValue({ version: 1 });
+      Client.updatePromptConfig.mockResolvedValue({ id: 5 });
+
+      await promptVersionService.save('client', '5', { tool_rules: ['x'] }, admin, {
+        action: 'clear',
+      });
+
+      expect(Client.updatePromptConfig).toHaveBeenCalledWith(5, { tool_rules: ['x'] });
+      expect(PromptConfigVersion.create).toHaveBeenCalledWith(
+        expect.objectContaining({ scope: 'client', clientId: 5, action: 'clear' })
+      );
+    });
+
+    it('should refuse unknown clients and scopes', async () => {
+      PromptConfigVersion.findLatest.mockResolvedValue(null);
+      Client.findById.mockResolvedValue(null);
+
+      await expect(promptVersionService.save('client', 99, {}, admin)).rejects.toMatchObject({
+        code: 'not_found',
+      });
+      await expect(promptVersionService.save('widget', null, {}, admin)).rejects.toThrow(
+        PromptVersionError
+      );
+      expect(PromptConfigVersion.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('rollback', () => {
+    it('should save the old config as a new version', async () => {
+      PromptConfigVersion.find.mockResolvedValue({
+        version: 2,
+        config: { custom_instructions: 'a' },
+      });
+      PromptConfigVersion.findLatest.mockResolvedValue({ version: 4 });
+
+      await promptVersionService.rollback('default', null, '2', admin);
+
+      expect(PromptConfigVersion.find).toHaveBeenCalledWith('default', null, 2);
+      expect(PlatformConfig.setDefaultPromptConfig).toHaveBeenCalledWith({
+        custom_instructions: 'a',
+      });
+      expect(PromptConfigVersion.create).toHaveBeenCalledWith(
+        expect.objectContaining({ action: 'rollback', sourceVersion: 2, author: admin })
+      );
+    });
+
+    it('should report a missing version', async () => {
+      PromptConfigVersion.find.mockResolvedValue(null);
+
+      await expect(promptVersionService.rollback('default', null, 7, admin)).rejects.toMatchObject({
+        code: 'not_found',
+      });
+      await expect(
+        promptVersionService.rollback('default', null, 'latest', admin)
+      ).rejects.toMatchObject({ code: 'not_found' });
+    });
+  });
+
+  describe('getVersion', () => {
+    it('should diff against the previous version by default', async () => {
+      PromptConfigVersion.find.mockResolvedValue({
+        version: 3,
+        client_id: null,
+        config: { tool_rules: ['a', 'b'] },
+      });
+      PromptConfigVersion.findPrevious.mockResolvedValue({
+        version: 2,
+        config: { tool_rules: ['a'] },
+      });
+
+      const result = await promptVersionService.getVersion('default', null, 3);
+
+      expect(PromptConfigVersion.findPrevious).toHaveBeenCalledWith('default', null, 3);
+      expect(result.compareTo).toBe(2);
+      expect(result.changes).toEqual([
+        { path: 'tool_rules[1]', type: 'added', from: null, to: 'b' },
+      ]);
+    });
+  });
+
+  describe('diff', () => {
+    it('should list changed, added and removed fields with their paths', () => {
+      const before = {
+        reasoning_steps: [{ title: 'Understand', instruction: 'Read' }],
+        response_style: { tone: 'friendly', max_sentences: 3 },
+        custom_instructions: 'Be nice',
+      };
+      const after = {
+        reasoning_steps: [{ title: 'Understand', instruction: 'Read carefully' }],
+        response_style: { tone: 'friendly', formality: 'formal' },
+      };
+
+      expect(promptVersionService.diff(before, after)).toEqual([
+        { path: 'custom_instructions', type: 'removed', from: 'Be nice', to: null },
+        {
+          path: 'reasoning_steps[0].instruction',
+          type: 'changed',
+          from: 'Read',
+          to: 'Read carefully',
+        },
+        { path: 'response_style.formality', type: 'added', from: null, to: 'formal' },
+        { path: 'response_style.max_sentences', type: 'removed', from: 3, to: null },
+      ]);
+    });
+
+    it('should report a value whose type changed as a whole', () => {
+      expect(promptVersionService.diff({ tool_rules: 'x' }, { tool_rules: ['x'] })).toEqual([
+        { path: 'tool_rules', type: 'changed', from: 'x', to: ['x'] },
+      ]);
+      expect(promptVersionService.diff({ a: 1 }, { a: 1 })).toEqual([]);
+    });
+  });
+});
+
+describe('promptExperimentService', () => {
+  const experiment = {
+    id: 9,
+    client_id: 5,
+    status: 'running',
+    split_percent: 50,
+    started_at: '2026-02-01T10:00:00Z',
+    version_a: 1,
+    version_b: 2,
+    config_a: { custom_instructions: 'A' },
+    config_b: { custom_instructions: 'B' },
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    recordVersions();
+    Client.findById.mockResolvedValue({ id: 5 });
+  });
+
+  describe('create', () => {
+    beforeEach(() => {
+      PromptConfigVersion.find.mockImplementation(async (scope, clientId, version) => ({
+        id: 100 + version,
+        version,
+      }));
+      PromptExperiment.findRunning.mockResolvedValue(null);
+      PromptExperiment.create.mockImplementation(async (data) => ({ id: 9, ...data }));
+    });
+
+    it('should start an experiment between two client versions', async () => {
+      await promptExperimentService.create(
+        5,
+        { name: ' Shorter replies ', versionA: 1, versionB: 2, splitPercent: 20 },
+        admin
+      );
+
+      expect(PromptExperiment.create).toHaveBeenCalledWith({
+        clientId: 5,
+        name: 'Shorter replies',
+        versionAId: 101,
+        versionBId: 102,
+        splitPercent: 20,
+        createdBy: 'root',
+      });
+    });
+
+    it('should reject invalid experiments', async () => {
+      const valid = { name: 'Test', versionA: 1, versionB: 2 };
+
+      await expect(
+        promptExperimentService.create(5, { ...valid, name: '' }, admin)
+      ).rejects.toThrow('Experiment name is required');
+      await expect(
+        promptExperimentService.create(5, { ...valid, splitPercent: 100 }, admin)
+      ).rejects.toThrow('Split must be between');
+      await expect(
+        promptExperimentService.create(5, { ...valid, versionB: 1 }, admin)
+      ).rejects.toThrow('two different versions');
+
+      PromptExperiment.findRunning.mockResolvedValue(experiment);
+      await expect(promptExperimentService.create(5, valid, admin)).rejects.toThrow(
+        'Stop the running experiment'
+      );
+      expect(PromptExperiment.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('stop', () => {
+    it('should promote the winning variant to the live config', async () => {
+      PromptExperiment.findById.mockResolvedValue(experiment);
+      PromptExperiment.stop.mockResolvedValue({ ...experiment, status: 'stopped', winner: 'B' });
+      PromptConfigVersion.find.mockResolvedValue({ version: 2, config: experiment.config_b });
+      PromptConfigVersion.findLatest.mockResolvedValue({ version: 2 });
+      Client.updatePromptConfig.mockResolvedValue({ id: 5 });
+
+      await promptExperimentService.stop('5', '9', 'B', admin);
+
+      expect(PromptExperiment.stop).toHaveBeenCalledWith(9, 'B');
+      expect(Client.updatePromptConfig).toHaveBeenCalledWith(5, experiment.config_b);
+      expect(PromptConfigVersion.create).toHaveBeenCalledWith(
+        expect.objectContaining({ action: 'rollback', sourceVersion: 2 })
+      );
+    });
+
+    it("should not find another client's experiment", async () => {
+      PromptExperiment.findById.mockResolvedValue(experiment);
+
+      await expect(promptExperimentService.stop(6, 9, null, admin)).rejects.toMatchObject({
+        code: 'not_found',
+      });
+      expect(PromptExperiment.stop).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getResults', () => {
+    it('should compare outcome rates per variant', async () => {
+      PromptExperiment.findById.mockResolvedValue(experiment);
+      PromptExperiment.getVariantMetrics.mockResolvedValue([
+        {
+          variant: 'A',
+          conversations: 40,
+          escalated: 4,
+          tool_calls: 10,
+          tool_successes: 9,
+          rated_conversations: 8,
+          satisfied_conversations: 6,
+          rated_messages: 3,
+          positive_messages: 2,
+        },
+      ]);
+
+      const { experiment: summary, variants } = await promptExperimentService.getResults(5, 9);
+
+      expect(summary).not.toHaveProperty('config_a');
+      expect(variants.A).toEqual({
+        conversations: 40,
+        escalationRate: 10,
+        toolCalls: 10,
+        toolSuccessRate: 90,
+        csat: 75,
+        ratedConversations: 8,
+        thumbsUpRate: 66.7,
+        ratedMessages: 3,
+      });
+      expect(variants.B).toMatchObject({ conversations: 0, escalationRate: null, csat: null });
+    });
+  });
+
+  describe('apply', () => {
+    const client = { id: 5, prompt_config: { custom_instructions: 'live' } };
+
+    it('should assign new conversations a variant and use its config', async () => {
+      PromptExperiment.findRunning.mockResolvedValue(experiment);
+      Conversation.setPromptVariant.mockImplementation(async (id, experimentId, variant) => ({
+        id,
+        prompt_experiment_id: experimentId,
+        prompt_variant: variant,
+      }));
+      const conversation = { id: 1, session_id: 's1', created_at: '2026-02-01T11:00:00Z' };
+
+      const result = await promptExperimentService.apply(client, conversation);
+
+      const variant = promptExperimentService.pickVariant('s1', experiment);
+      expect(Conversation.setPromptVariant).toHaveBeenCalledWith(1, 9, variant);
+      expect(result.client.prompt_config).toEqual(
+        variant === 'B' ? experiment.config_b : experiment.config_a
+      );
+    });
+
+    it('should leave conversations started before the experiment alone', async () => {
+      PromptExperiment.findRunning.mockResolvedValue(experiment);
+      const conversation = { id: 1, session_id: 's1', created_at: '2026-02-01T09:00:00Z' };
+
+      const result = await promptExperimentService.apply(client, conversation);
+
+      expect(result.client).toBe(client);
+      expect(Conversation.setPromptVariant).not.toHaveBeenCalled();
+    });
+
+    it('should keep the assigned variant while the experiment runs', async () => {
+      PromptExperiment.findById.mockResolvedValue(experiment);
+      const conversation = { id: 1, prompt_experiment_id: 9, prompt_variant: 'B' };
+
+      const result = await promptExperimentService.apply(client, conversation);
+      expect(result.client.prompt_config).toEqual(experiment.config_b);
+
+      PromptExperiment.findById.mockResolvedValue({ ...experiment, status: 'stopped' });
+      expect((await promptExperimentService.apply(client, conversation)).client).toBe(client);
+    });
+
+    it('should not assign replayed test conversations', async () => {
+      await replaySandbox.run({}, () =>
+        promptExperimentService.apply(client, { id: 1, session_id: 's1' })
+      );
+
+      expect(PromptExperiment.findRunning).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('pickVariant', () => {
+    it('should be stable per session and follow the split', () => {
+      const sessions = Array.from({ length: 1000 }, (_, i) => `session-${i}`);
+      const split = { ...experiment, split_percent: 20 };
+
+      const variants = sessions.map((session) =>
+        promptExperimentService.pickVariant(session, split)
+      );
+      const shareB = variants.filter((variant) => variant === 'B').length / sessions.length;
+
+      expect(promptExperimentService.pickVariant('session-1', split)).toBe(variants[1]);
+      expect(shareB).toBeGreaterThan(0.15);
+      expect(shareB).toBeLessThan(0.25);
+    });
+  });
+});
@@ -0,0 +1,238 @@
+/**
+ * Tests for conversation replay scenarios (validation, sandboxed runs, assertions and diffs)
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../../src/db.js', () => ({
+  db: {
+    query: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/models/Client.js', () => ({
+  Client: { findById: vi.fn() },
+}));
+
+vi.mock('../../../src/models/Conversation.js', () => ({
+  Conversation: {
+    findBySession: vi.fn(),
+    deleteMany: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/models/Escalation.js', () => ({
+  Escalation: { findAllByConversation: vi.fn() },
+}));
+
+vi.mock('../../../src/models/TestScenario.js', () => ({
+  TestScenario: {
+    create: vi.fn(),
+    find: vi.fn(),
+    findByClient: vi.fn(),
+    update: vi.fn(),
+    delete: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/models/TestRun.js', () => ({
+  TestRun: {
+    create: vi.fn(),
+    findLatest: vi.fn(),
+    findByScenario: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/services/redisCache.js', () => ({
+  RedisCache: { deleteConversationContext: vi.fn() },
+}));
+
+vi.mock('../../../src/services/conversationService.js', () => ({
+  default: { processMessage: vi.fn() },
+}));
+
+const { Client } = await import('../../../src/models/Client.js');
+const { Conversation } = await import('../../../src/models/Conversation.js');
+const { Escalation } = await import('../../../src/models/Escalation.js');
+const { TestScenario } = await import('../../../src/models/TestScenario.js');
+const { TestRun } = await import('../../../src/models/TestRun.js');
+const { RedisCache } = await import('../../../src/services/redisCache.js');
+const conversationService = (await import('../../../src/services/conversationService.js')).default;
+const replaySandbox = (await import('../../../src/services/replaySandbox.js')).default;
+const replayService = (await import('../../../src/services/replayService.js')).default;
+const { ReplayError } = await import('../../../src/services/replayService.js');
+const llmService = (await import('../../../src/services/llmService.js')).default;
+
+const scenario = {
+  id: 7,
+  client_id: 1,
+  name: 'Order status',
+  turns: [{ message: 'Where is order 123?', stub_replies: [] }],
+  tool_mocks: { get_order_status: { status: 'shipped' } },
+  assertions: [
+    { type: 'tool_called', tool: 'get_order_status', params: { orderNumber: '123' } },
+    { type: 'reply_contains', text: 'shipped' },
+    { type: 'no_escalation' },
+  ],
+};
+
+describe('ReplayService', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    Client.findById.mockResolvedValue({ id: 1, llm_provider: 'groq', model_name: 'llama' });
+    TestScenario.find.mockResolvedValue(scenario);
+    TestRun.findLatest.mockResolvedValue(null);
+    TestRun.create.mockImplementation(async (data) => ({ id: 1, ...data }));
+    Conversation.findBySession.mockResolvedValue({ id: 55 });
+    Escalation.findAllByConversation.mockResolvedValue([]);
+  });
+
+  describe('normalizeScenario', () => {
+    it('should keep the stored shape of a valid scenario', () => {
+      const data = replayService.normalizeScenario({
+        name: '  Refund  ',
+        turns: [
+          {
+            message: 'I want a refund',
+            stub_replies: [{ tool_calls: [{ name: 'refund' }] }, { content: 'Done' }],
+          },
+        ],
+        assertions: [{ type: 'tool_called', tool: 'refund', turn: '1' }],
+      });
+
+      expect(data.name).toBe('Refund');
+      expect(data.toolMocks).toEqual({});
+      expect(data.turns[0].stub_replies).toEqual([
+        { content: '', tool_calls: [{ name: 'refund', arguments: {} }] },
+        { content: 'Done', tool_calls: [] },
+      ]);
+      expect(data.assertions).toEqual([{ type: 'tool_called', tool: 'refund', turn: 1 }]);
+    });
+
+    it('should reject unknown assertions and turns outside the scenario', () => {
+      const base = { name: 'Test', turns: [{ message: 'Hi' }] };
+
+      expect(() =>
+        replayService.normalizeScenario({ ...base, assertions: [{ type: 'replies_fast' }] })
+      ).toThrow('Unknown assertion type: replies_fast');
+      expect(() =>
+        replayService.normalizeScenario({ ...base, assertions: [{ type: 'escalates', turn: 3 }] })
+      ).toThrow('Assertion turn must be between 1 and 1');
+      expect(() =>
+        replayService.normalizeScenario({ ...base, turns: [], assertions: [{ type: 'escalates' }] })
+      ).toThrow(ReplayError);
+    });
+  });
+
+  describe('runScenario', () => {
+    it('should replay through conversationService with mocked tools and record a passing run', async () => {
+      conversationService.processMessage.mockImplementation(async () => {
+        const result = await replaySandbox
+          .current()
+          .runTool('get_order_status', { orderNumber: '123' });
+        return { response: `Your order is ${result.data.status}` };
+      });
+
+      const run = await replayService.runScenario(1, 7, { runBy: 'admin' });
+
+      const [client, sessionId, message] = conversationService.processMessage.mock.calls[0];
+      expect(client.llm_provider).toBe('stub');
+      expect(sessionId).toMatch(/^replay_7_/);
+      expect(message).toBe('Where is order 123?');
+      expect(run.status).toBe('passed');
+      expect(run.results.every((result) => result.passed)).toBe(true);
+      expect(run.transcript[0].tools[0]).toMatchObject({ tool: 'get_order_status', mocked: true });
+      expect(Conversation.deleteMany).toHaveBeenCalledWith([55]);
+      expect(RedisCache.deleteConversationContext).toHaveBeenCalledWith(sessionId);
+      expect(replaySandbox.isActive()).toBe(false);
+    });
+
+    it('should report failed assertions with what changed since the previous run', async () => {
+      conversationService.processMessage.mockResolvedValue({ response: 'Let me get a human' });
+      Escalation.findAllByConversation.mockResolvedValue([{ reason: 'user_requested' }]);
+      TestRun.findLatest.mockResolvedValue({
+        results: scenario.assertions.map((assertion, index) => ({
+          index,
+          assertion,
+          passed: true,
+        })),
+        transcript: [{ turn: 1, message: 'Where is order 123?', reply: 'Your order is shipped' }],
+      });
+
+      const run = await replayService.runScenario(1, 7);
+
+      expect(run.status).toBe('failed');
+      expect(run.results[0]).toMatchObject({ passed: false, actual: 'not called' });
+      expect(run.results[2]).toMatchObject({ passed: false, actual: ['user_requested'] });
+      expect(run.changes).toEqual([
+        expect.objectContaining({ kind: 'assertion', index: 0, was: 'passed', now: 'failed' }),
+        expect.objectContaining({ kind: 'assertion', index: 1, was: 'passed', now: 'failed' }),
+        expect.objectContaining({ kind: 'assertion', index: 2, was: 'passed', now: 'failed' }),
+        {
+          kind: 'reply',
+          turn: 1,
+          was: 'Your order is shipped',
+          now: 'Let me get a human',
+        },
+      ]);
+    });
+
+    it('should record an error run and still clean up when the replay throws', async () => {
+      conversationService.processMessage.mockRejectedValue(new Error('Provider down'));
+
+      const run = await replayService.runScenario(1, 7);
+
+      expect(run).toMatchObject({ status: 'error', error: 'Provider down', results: [] });
+      expect(Conversation.deleteMany).toHaveBeenCalledWith([55]);
+    });
+
+    it('should reject unknown providers and missing scenarios', async () => {
+      await expect(replayService.runScenario(1, 7, { provider: 'acme' })).rejects.toThrow(
+        'Unknown provider: acme'
+      );
+
+      TestScenario.find.mockResolvedValue(null);
+      await expect(replayService.runScenario(1, 8)).rejects.toMatchObject({ code: 'not_found' });
+    });
+  });
+});
+
+describe('replaySandbox', () => {
+  it('should answer successive calls from array mocks and flag unmocked tools', async () => {
+    await replaySandbox.run({ lookup: [{ n: 1 }, { n: 2 }] }, async (state) => {
+      expect(state.runTool('lookup', {}).data).toEqual({ n: 1 });
+      expect(state.runTool('lookup', {}).data).toEqual({ n: 2 });
+      expect(state.runTool('lookup', {}).data).toEqual({ n: 2 });
+      expect(state.runTool('book', {})).toMatchObject({
+        success: false,
+        error: 'No mocked response for tool book',
+      });
+    });
+
+    expect(replaySandbox.current()).toBeNull();
+  });
+});
+
+describe('llmService stub provider', () => {
+  it('should answer with the scripted replies of the current turn', async () => {
+    await replaySandbox.run({}, async (state) => {
+      state.startTurn(1, [
+        { tool_calls: [{ name: 'lookup', arguments: { id: 1 } }] },
+        { content: 'Found it' },
+      ]);
+
+      const first = await llmService.chat([], { provider: 'stub' });
+      const second = await llmService.chat([], { provider: 'stub' });
+      const third = await llmService.chat([], { provider: 'stub' });
+
+      expect(first.toolCalls).toEqual([{ id: 'stub_1_1', name: 'lookup', arguments: { id: 1 } }]);
+      expect(first.stopReason).toBe('tool_calls');
+      expect(second).toMatchObject({ content: 'Found it', toolCalls: null, cost: 0 });
+      expect(third.content).toBe('OK');
+    });
+  });
+
+  it('should refuse the stub provider outside replays', async () => {
+    await expect(llmService.chat([], { provider: 'stub' })).rejects.toThrow();
+  });
+});
@@ -0,0 +1,329 @@
+/**
+ * Tests for monthly spending limits, over-limit actions, warnings and credits
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+vi.mock('../../../src/models/Client.js', () => ({
+  Client: {
+    findById: vi.fn(),
+    updateSpendingConfig: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/models/ApiUsage.js', () => ({
+  ApiUsage: {
+    calculateCost: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/models/CreditTransaction.js', () => ({
+  CreditTransaction: {
+    create: vi.fn(),
+    getBalance: vi.fn(),
+    findByClient: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/models/SpendingAlert.js', () => ({
+  SpendingAlert: {
+    record: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/config/planLimits.js', () => ({
+  getPlanConfigAsync: vi.fn(),
+}));
+
+vi.mock('../../../src/services/transactionalEmailService.js', () => ({
+  default: {
+    sendSpendingWarning: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/services/billingService.js', () => {
+  class BillingError extends Error {}
+  return {
+    BillingError,
+    BillingService: {
+      roundToCents: (value) => Math.round(value * 100) / 100,
+      createCreditPurchaseInvoice: vi.fn(),
+    },
+  };
+});
+
+const { Client } = await import('../../../src/models/Client.js');
+const { ApiUsage } = await import('../../../src/models/ApiUsage.js');
+const { CreditTransaction } = await import('../../../src/models/CreditTransaction.js');
+const { SpendingAlert } = await import('../../../src/models/SpendingAlert.js');
+const { getPlanConfigAsync } = await import('../../../src/config/planLimits.js');
+const transactionalEmailService = (
+  await import('../../../src/services/transactionalEmailService.js')
+).default;
+const { BillingService, BillingError } = await import('../../../src/services/billingService.js');
+const { default: spendingService, SpendingError } =
+  await import('../../../src/services/spendingService.js');
+
+const admin = { type: 'admin', id: 1, name: 'alice' };
+
+describe('SpendingService', () => {
+  const client = {
+    id: 3,
+    name: 'Acme',
+    email: 'billing@acme.test',
+    plan_type: 'starter',
+    llm_provider: 'claude',
+    model_name: 'claude-3-5-sonnet',
+    llm_fallbacks: [{ provider: 'openai', model: null }],
+    spending_config: {},
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2026-04-16T10:00:00Z'));
+    getPlanConfigAsync.mockResolvedValue({ limits: { costLimitUSD: 100 } });
+    ApiUsage.calculateCost.mockResolvedValue(20);
+    CreditTransaction.getBalance.mockResolvedValue(0);
+    CreditTransaction.findByClient.mockResolvedValue([]);
+    SpendingAlert.record.mockResolvedValue([]);
+    transactionalEmailService.sendSpendingWarning.mockResolvedValue({ success: true });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('normalizeSettings', () => {
+    it('should accept a budget and an action', () => {
+      expect(
+        spendingService.normalizeSettings({
+          monthly_budget: '49.999',
+          over_limit_action: 'degrade',
+        })
+      ).toEqual({ monthly_budget: 50, over_limit_action: 'degrade' });
+    });
+
+    it('should treat an empty budget as none and default the action', () => {
+      expect(spendingService.normalizeSettings({ monthly_budget: '' })).toEqual({
+        monthly_budget: null,
+        over_limit_action: 'block',
+      });
+    });
+
+    it('should reject invalid budgets and actions', () => {
+      expect(() => spendingService.normalizeSettings({ monthly_budget: 0 })).toThrow(SpendingError);
+      expect(() => spendingService.normalizeSettings({ monthly_budget: 'abc' })).toThrow(
+        SpendingError
+      );
+      expect(() => spendingService.normalizeSettings({ over_limit_action: 'ignore' })).toThrow(
+        SpendingError
+      );
+      expect(() => spendingService.normalizeSettings(null)).toThrow(SpendingError);
+    });
+  });
+
+  describe('getStatus', () => {
+    it('should measure the month against the plan allowance plus credits', async () => {
+      CreditTransaction.getBalance.mockResolvedValue(25);
+      ApiUsage.calculateCost.mockResolvedValue(100);
+
+      const status = await spendingService.getStatus(client);
+
+      expect(ApiUsage.calculateCost).toHaveBeenCalledWith(3, '2026-04-01', '2026-04-30');
+      expect(status).toMatchObject({
+        period: '2026-04',
+        spent: 100,
+        allowance: 100,
+        credits: 25,
+        limit: 125,
+        limitedBy: 'plan',
+        percent: 80,
+        exceeded: false,
+        action: null,
+      });
+    });
+
+    it('should apply the over-limit action at the plan limit', async () => {
+      ApiUsage.calculateCost.mockResolvedValue(100);
+
+      const status = await spendingService.getStatus({
+        ...client,
+        spending_config: { over_limit_action: 'overage' },
+      });
+
+      expect(status).toMatchObject({ limitedBy: 'plan', exceeded: true, action: 'overage' });
+    });
+
+    it('should use the lower customer budget and block instead of overage there', async () => {
+      ApiUsage.calculateCost.mockResolvedValue(40);
+
+      const status = await spendingService.getStatus({
+        ...client,
+        spending_config: { monthly_budget: 40, over_limit_action: 'overage' },
+      });
+
+      expect(status).toMatchObject({ limit: 40, limitedBy: 'budget', action: 'block' });
+    });
+
+    it('should have no limit on plans without a cost limit', async () => {
+      getPlanConfigAsync.mockResolvedValue({ limits: { costLimitUSD: null } });
+
+      const status = await spendingService.getStatus(client);
+
+      expect(status).toMatchObject({ limit: null, limitedBy: null, percent: null, action: null });
+    });
+  });
+
+  describe('enforce', () => {
+    it('should allow clients within their limits unchanged', async () => {
+      const result = await spendingService.enforce(client);
+
+      expect(result.allowed).toBe(true);
+      expect(result.client).toBe(client);
+    });
+
+    it('should block over the limit', async () => {
+      ApiUsage.calculateCost.mockResolvedValue(150);
+
+      const result = await spendingService.enforce(client);
+
+      expect(result.allowed).toBe(false);
+      expect(result.status.action).toBe('block');
+    });
+
+    it('should switch to the cheaper model without fallbacks when degrading', async () => {
+      ApiUsage.calculateCost.mockResolvedValue(150);
+
+      const result = await spendingService.enforce({
+        ...client,
+        spending_config: { over_limit_action: 'degrade' },
+      });
+
+      expect(result.allowed).toBe(true);
+      expect(result.client).toMatchObject({
+        id: 3,
+        llm_provider: 'ollama',
+        model_name: null,
+        llm_fallbacks: [],
+      });
+    });
+
+    it('should let the request through when overage is allowed', async () => {
+      ApiUsage.calculateCost.mockResolvedValue(150);
+      const overage = { ...client, spending_config: { over_limit_action: 'overage' } };
+
+      const result = await spendingService.enforce(overage);
+
+      expect(result).toMatchObject({ allowed: true, client: overage });
+    });
+  });
+
+  describe('sendWarnings', () => {
+    it('should record every threshold reached and email the highest new one', async () => {
+      ApiUsage.calculateCost.mockResolvedValue(85);
+      SpendingAlert.record.mockResolvedValue([50, 80]);
+      const status = await spendingService.getStatus(client);
+
+      expect(await spendingService.sendWarnings(client, status)).toBe(80);
+
+      expect(SpendingAlert.record).toHaveBeenCalledWith(3, '2026-04', [50, 80]);
+      expect(transactionalEmailService.sendSpendingWarning).toHaveBeenCalledWith(
+        'billing@acme.test',
+        'Acme',
+        { threshold: 80, spent: 85, limit: 100, action: 'block' }
+      );
+    });
+
+    it('should not email thresholds already sent this period', async () => {
+      ApiUsage.calculateCost.mockResolvedValue(85);
+      const status = await spendingService.getStatus(client);
+
+      expect(await spendingService.sendWarnings(client, status)).toBeNull();
+      expect(transactionalEmailService.sendSpendingWarning).not.toHaveBeenCalled();
+    });
+
+    it('should do nothing below the first threshold', async () => {
+      const status = await spendingService.getStatus(client);
+
+      expect(await spendingService.sendWarnings(client, status)).toBeNull();
+      expect(SpendingAlert.record).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('addCredits', () => {
+    beforeEach(() => {
+      Client.findById.mockResolvedValue(client);
+    });
+
+    it('should grant credits', async () => {
+      await spendingService.addCredits(3, { amount: 20, description: 'Welcome' }, admin);
+
+      expect(CreditTransaction.create).toHaveBeenCalledWith({
+        clientId: 3,
+        amount: 20,
+        type: 'grant',
+        description: 'Welcome',
+        createdBy: 'alice',
+      });
+    });
+
+    it('should not remove more credits than the balance', async () => {
+      CreditTransaction.getBalance.mockResolvedValue(10);
+
+      await expect(
+        spendingService.addCredits(
+          3,
+          { amount: -15, type: 'adjustment', description: 'Fix' },
+          admin
+        )
+      ).rejects.toThrow('Adjustment exceeds the credit balance');
+      expect(CreditTransaction.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject negative grants and adjustments without a description', async () => {
+      await expect(spendingService.addCredits(3, { amount: -5 }, admin)).rejects.toThrow(
+        SpendingError
+      );
+      await expect(
+        spendingService.addCredits(3, { amount: 5, type: 'adjustment' }, admin)
+      ).rejects.toThrow('A description is required for adjustments');
+    });
+
+    it('should fail for unknown clients', async () => {
+      Client.findById.mockResolvedValue(null);
+
+      await expect(spendingService.addCredits(99, { amount: 5 }, admin)).rejects.toMatchObject({
+        code: 'not_found',
+      });
+    });
+  });
+
+  describe('purchaseCredits', () => {
+    it('should invoice the purchase', async () => {
+      BillingService.createCreditPurchaseInvoice.mockResolvedValue({
+        id: 7,
+        invoice_number: 'INV-7',
+      });
+
+      const invoice = await spendingService.purchaseCredits(client, '50');
+
+      expect(invoice.id).toBe(7);
+      expect(BillingService.createCreditPurchaseInvoice).toHaveBeenCalledWith(client, 50);
+    });
+
+    it('should reject amounts outside the purchase range', async () => {
+      await expect(spendingService.purchaseCredits(client, 5)).rejects.toThrow(SpendingError);
+      await expect(spendingService.purchaseCredits(client, 20000)).rejects.toThrow(SpendingError);
+      expect(BillingService.createCreditPurchaseInvoice).not.toHaveBeenCalled();
+    });
+
+    it('should report billing currency problems as spending errors', async () => {
+      BillingService.createCreditPurchaseInvoice.mockRejectedValue(
+        new BillingError('No exchange rate configured for ILS')
+      );
+
+      await expect(spendingService.purchaseCredits(client, 50)).rejects.toThrow(SpendingError);
+    });
+  });
+});
@@ -0,0 +1,258 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../../src/services/llmService.js', () => ({
+  default: {
+    chat: vi.fn(),
+    supportsNativeFunctionCalling: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/services/toolManager.js', () => ({
+  default: {
+    getClientTools: vi.fn(),
+    formatToolsForLLM: vi.fn(),
+    parseToolCallsFromContent: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/services/toolExecutionService.js', () => ({
+  default: {
+    executeStandardToolCall: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/services/escalationService.js', () => ({
+  default: {
+    autoDetect: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/models/Message.js', () => ({
+  Message: {
+    createDebug: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/models/ApiUsage.js', () => ({
+  ApiUsage: {
+    recordUsage: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/prompts/systemPrompt.js', () => ({
+  getContextualSystemPrompt: vi.fn().mockReturnValue('System prompt'),
+}));
+
+vi.mock('../../../src/utils/logger.js', () => ({
+  createLogger: vi.fn().mockReturnValue({
+    info: vi.fn(),
+    error: vi.fn(),
+    warn: vi.fn(),
+    debug: vi.fn(),
+  }),
+}));
+
+const llmService = (await import('../../../src/services/llmService.js')).default;
+const toolManager = (await import('../../../src/services/toolManager.js')).default;
+const toolExecutionService = (await import('../../../src/services/toolExecutionService.js'))
+  .default;
+const standardReasoningService = (
+  await import('../../../src/services/standardReasoningService.js')
+).default;
+
+/**
+ * Build a fake llmService.chat that streams `content` in the given chunks
+ */
+const streamingReply = (chunks, extra = {}) =>
+  vi.fn().mockImplementationOnce(async (_messages, options) => {
+    chunks.forEach((chunk) => options.onToken?.(chunk));
+    return {
+      content: chunks.join(''),
+      toolCalls: null,
+      tokens: { input: 10, output: 5, total: 15 },
+      stopReason: 'stop',
+      ...extra,
+    };
+  });
+
+describe('StandardReasoningService', () => {
+  const conversation = { id: 1 };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    toolManager.getClientTools.mockResolvedValue([]);
+    toolManager.formatToolsForLLM.mockReturnValue([]);
+    toolManager.parseToolCallsFromContent.mockReturnValue(null);
+    llmService.supportsNativeFunctionCalling.mockReturnValue(true);
+  });
+
+  describe('processStandardMessage streaming', () => {
+    it('should request a streamed completion and forward tokens', async () => {
+      llmService.chat = streamingReply(['Hello', ' there!']);
+      const tokens = [];
+
+      const result = await standardReasoningService.processStandardMessage(
+        conversation,
+        { id: 1, llm_provider: 'groq' },
+        'Hi',
+        [{ role: 'user', content: 'Hi' }],
+        { onToken: (text) => tokens.push(text) }
+      );
+
+      expect(llmService.chat.mock.calls[0][1].stream).toBe(true);
+      expect(tokens.join('')).toBe('Hello there!');
+      expect(result.response).toBe('Hello there!');
+    });
+
+    it('should not stream when no onToken callback is given', async () => {
+      llmService.chat = streamingReply(['Hello']);
+
+      await standardReasoningService.processStandardMessage(
+        conversation,
+        { id: 1, llm_provider: 'groq' },
+        'Hi',
+        [{ role: 'user', content: 'Hi' }]
+      );
+
+      expect(llmService.chat.mock.calls[0][1].stream).toBe(false);
+      expect(llmService.chat.mock.calls[0][1].onToken).toBeUndefined();
+    });
+
+    it('should reset streamed text when the iteration turns into a tool call', async () => {
+      llmService.chat = vi.fn();
+      llmService.chat.mockImplementationOnce(async (_messages, options) => {
+        options.onToken('Let me check.');
+        return {
+          content: 'Let me check.',
+          toolCalls: [{ id: 'c1', name: 'get_order_status', arguments: { orderNumber: '1' } }],
+          tokens: { input: 10, output: 5, total: 15 },
+          stopReason: 'tool_calls',
+        };
+      });
+      llmService.chat.mockImplementationOnce(async (_messages, options) => {
+        options.onToken('Shipped!');
+        return {
+          content: 'Shipped!',
+          toolCalls: null,
+          tokens: { input: 10, output: 5, total: 15 },
+          stopReason: 'stop',
+        };
+      });
+      toolExecutionService.executeStandardToolCall.mockResolvedValue({
+        name: 'get_order_status',
+        success: true,
+      });
+      const events = [];
+
+      const result = await standardReasoningService.processStandardMessage(
+        conversation,
+        { id: 1, llm_provider: 'groq' },
+        'Where is order 1?',
+        [{ role: 'user', content: 'Where is order 1?' }],
+        {
+          onToken: (text) => events.push(text),
+          onReset: () => events.push('<reset>'),
+        }
+      );
+
+      expect(events).toEqual(['Let me check.', '<reset>', 'Shipped!']);
+      expect(result.response).toBe('Shipped!');
+    });
+
+    it('should release a held-back fragment when the stream ends', async () => {
+      llmService.chat = streamingReply(['Happy to help, just ask', ' about our US']);
+      const tokens = [];
+
+      const result = await standardReasoningService.processStandardMessage(
+        conversation,
+        { id: 1, llm_provider: 'groq' },
+        'Hi',
+        [{ role: 'user', content: 'Hi' }],
+        { onToken: (text) => tokens.push(text) }
+      );
+
+      expect(tokens.join('')).toBe('Happy to help, just ask about our US');
+      expect(result.response).toBe('Happy to help, just ask about our US');
+    });
+
+    it('should hold back prompt-engineered USE_TOOL syntax', async () => {
+      llmService.supportsNativeFunctionCalling.mockReturnValue(false);
+      llmService.chat = streamingReply(['One moment. US', 'E_TOOL: get_order_status PARAMETERS: {}']);
+      llmService.chat.mockImplementationOnce(async () => ({
+        content: 'Done.',
+        toolCalls: null,
+        tokens: { input: 1, output: 1, total: 2 },
+        stopReason: 'stop',
+      }));
+      toolManager.parseToolCallsFromContent
+        .mockReturnValueOnce([{ id: 'c1', name: 'get_order_status', arguments: { a: 1 } }])
+        .mockReturnValue(null);
+      toolExecutionService.executeStandardToolCall.mockResolvedValue({
+        name: 'get_order_status',
+        success: true,
+      });
+      const tokens = [];
+
+      await standardReasoningService.processStandardMessage(
+        conversation,
+        { id: 1, llm_provider: 'ollama' },
+        'Status?',
+        [{ role: 'system', content: 'System prompt' }],
+        { onToken: (text) => tokens.push(text) }
+      );
+
+      expect(tokens.join('')).toBe('One moment. ');
+      expect(tokens.join('')).not.toContain('USE');
+    });
+  });
+
+  describe('_createStreamGuard', () => {
+    it('should release a held-back fragment once it cannot be the marker', () => {
+      const tokens = [];
+      const guard = standardReasoningService._createStreamGuard((text) => tokens.push(text));
+
+      guard.onToken('We use');
+      expect(tokens.join('')).toBe('We ');
+
+      guard.onToken('d it');
+      expect(tokens.join('')).toBe('We used it');
+      expect(guard.hasEmitted()).toBe(true);
+    });
+
+    it('should hold back response block directives', () => {
+      const tokens = [];
+      const guard = standardReasoningService._createStreamGuard((text) => tokens.push(text));
+
+      guard.onToken('Shall I book it? [');
+      expect(tokens.join('')).toBe('Shall I book it? ');
+
+      guard.onToken('[quick_replies: Yes | No]]');
+      expect(tokens.join('')).toBe('Shall I book it? ');
+    });
+
+    it('should flush the held-back fragment but never a marker', () => {
+      const tokens = [];
+      const guard = standardReasoningService._createStreamGuard((text) => tokens.push(text));
+
+      guard.onToken('Ask about our US');
+      guard.flush();
+      expect(tokens.join('')).toBe('Ask about our US');
+
+      const blockedTokens = [];
+      const blocked = standardReasoningService._createStreamGuard((text) =>
+        blockedTokens.push(text)
+      );
+      blocked.onToken('Sure [[quick_rep');
+      blocked.flush();
+      expect(blockedTokens.join('')).toBe('Sure ');
+    });
+
+    it('should report nothing emitted before the first safe text', () => {
+      const guard = standardReasoningService._createStreamGuard(vi.fn());
+
+      guard.onToken('USE_TOOL: x');
+
+      expect(guard.hasEmitted()).toBe(false);
+    });
+  });
+});
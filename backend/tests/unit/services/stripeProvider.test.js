@@ -0,0 +1,289 @@
+/**
+ * Tests for the Stripe payment provider adapter
+ *
+ * Runs against a local HTTP stub of the Stripe API (real fetch, no mocks) so
+ * form encoding, auth headers and response normalization are all covered.
+ */
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import http from 'http';
+import {
+  StripeProvider,
+  encodeStripeParams,
+} from '../../../src/services/payments/stripeProvider.js';
+import {
+  PaymentProviderError,
+  signWebhookPayload,
+} from '../../../src/services/payments/paymentProvider.js';
+
+const WEBHOOK_SECRET = 'whsec_test';
+
+let server;
+let apiBase;
+let lastRequest;
+let nextResponse;
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      lastRequest = {
+        method: req.method,
+        url: req.url,
+        headers: req.headers,
+        form: new URLSearchParams(body),
+      };
+      res.writeHead(nextResponse.status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(nextResponse.body));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  apiBase = `http://127.0.0.1:${server.address().port}/v1`;
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => server.close(resolve));
+});
+
+const createProvider = (options = {}) =>
+  new StripeProvider({
+    secretKey: 'sk_test_123',
+    webhookSecret: WEBHOOK_SECRET,
+    apiBase,
+    ...options,
+  });
+
+const stripeEvent = (type, object) => {
+  const rawBody = JSON.stringify({ id: 'evt_1', type, data: { object } });
+  return {
+    rawBody: Buffer.from(rawBody),
+    headers: { 'stripe-signature': signWebhookPayload(rawBody, WEBHOOK_SECRET) },
+  };
+};
+
+describe('StripeProvider', () => {
+  beforeEach(() => {
+    lastRequest = null;
+    nextResponse = { status: 200, body: {} };
+  });
+
+  describe('encodeStripeParams', () => {
+    it('should encode nested objects and arrays with bracket notation', () => {
+      const form = encodeStripeParams({
+        amount: 1000,
+        metadata: { invoiceId: 5 },
+        expand: ['latest_charge'],
+        skipped: undefined,
+      });
+
+      expect(form.toString()).toBe(
+        'amount=1000&metadata%5BinvoiceId%5D=5&expand%5B%5D=latest_charge'
+      );
+    });
+  });
+
+  describe('createPaymentIntent', () => {
+    it('should create an intent in minor units with invoice metadata', async () => {
+      nextResponse.body = {
+        id: 'pi_123',
+        client_secret: 'pi_123_secret',
+        status: 'requires_payment_method',
+        amount: 12999,
+        currency: 'usd',
+        metadata: { invoiceId: '5' },
+      };
+
+      const intent = await createProvider().createPaymentIntent({
+        invoiceId: 5,
+        amount: 129.99,
+        currency: 'USD',
+        idempotencyKey: 'invoice-5',
+      });
+
+      expect(lastRequest.method).toBe('POST');
+      expect(lastRequest.url).toBe('/v1/payment_intents');
+      expect(lastRequest.headers.authorization).toBe('Bearer sk_test_123');
+      expect(lastRequest.headers['idempotency-key']).toBe('invoice-5');
+      expect(lastRequest.form.get('amount')).toBe('12999');
+      expect(lastRequest.form.get('currency')).toBe('usd');
+      expect(lastRequest.form.get('metadata[invoiceId]')).toBe('5');
+      expect(intent).toMatchObject({
+        id: 'pi_123',
+        clientSecret: 'pi_123_secret',
+        status: 'requires_payment',
+        amount: 129.99,
+        currency: 'USD',
+        invoiceId: '5',
+        provider: 'stripe',
+      });
+    });
+
+    it('should throw not_configured without a secret key', async () => {
+      await expect(
+        createProvider({ secretKey: '' }).createPaymentIntent({ invoiceId: 1, amount: 1 })
+      ).rejects.toMatchObject({ code: 'not_configured' });
+    });
+
+    it('should surface Stripe API errors', async () => {
+      nextResponse = { status: 402, body: { error: { message: 'Your card was declined.' } } };
+
+      const error = await createProvider()
+        .createPaymentIntent({ invoiceId: 1, amount: 1 })
+        .catch((e) => e);
+
+      expect(error).toBeInstanceOf(PaymentProviderError);
+      expect(error.statusCode).toBe(402);
+      expect(error.message).toContain('Your card was declined.');
+    });
+  });
+
+  describe('getPaymentStatus', () => {
+    it('should poll the intent with its latest charge expanded', async () => {
+      nextResponse.body = {
+        id: 'pi_123',
+        status: 'succeeded',
+        amount: 5000,
+        currency: 'usd',
+        latest_charge: {
+          amount_refunded: 1500,
+          payment_method_details: { type: 'card' },
+        },
+      };
+
+      const payment = await createProvider().getPaymentStatus('pi_123');
+
+      expect(lastRequest.method).toBe('GET');
+      expect(lastRequest.url).toBe('/v1/payment_intents/pi_123?expand%5B%5D=latest_charge');
+      expect(payment).toMatchObject({
+        status: 'succeeded',
+        amount: 50,
+        amountRefunded: 15,
+        paymentMethod: 'card',
+      });
+    });
+
+    it('should report declined intents as failed', async () => {
+      nextResponse.body = {
+        id: 'pi_123',
+        status: 'requires_payment_method',
+        amount: 5000,
+        last_payment_error: { message: 'Insufficient funds' },
+      };
+
+      const payment = await createProvider().getPaymentStatus('pi_123');
+
+      expect(payment.status).toBe('failed');
+      expect(payment.failureMessage).toBe('Insufficient funds');
+    });
+  });
+
+  describe('refundPayment', () => {
+    it('should send partial refund amounts in minor units', async () => {
+      nextResponse.body = { id: 're_1', amount: 2550, status: 'succeeded' };
+
+      const refund = await createProvider().refundPayment('pi_123', 25.5);
+
+      expect(lastRequest.url).toBe('/v1/refunds');
+      expect(lastRequest.form.get('payment_intent')).toBe('pi_123');
+      expect(lastRequest.form.get('amount')).toBe('2550');
+      expect(refund).toEqual({ id: 're_1', amount: 25.5, status: 'succeeded' });
+    });
+
+    it('should omit the amount for full refunds', async () => {
+      nextResponse.body = { id: 're_2', amount: 5000, status: 'succeeded' };
+
+      await createProvider().refundPayment('pi_123');
+
+      expect(lastRequest.form.has('amount')).toBe(false);
+    });
+  });
+
+  describe('parseWebhook', () => {
+    it('should verify and normalize payment_intent.succeeded', () => {
+      const { rawBody, headers } = stripeEvent('payment_intent.succeeded', {
+        id: 'pi_123',
+        status: 'succeeded',
+        amount: 5000,
+        currency: 'usd',
+        metadata: { invoiceId: '9' },
+        payment_method_types: ['card'],
+      });
+
+      const event = createProvider().parseWebhook(rawBody, headers);
+
+      expect(event.type).toBe('payment_intent.succeeded');
+      expect(event.payment).toMatchObject({
+        id: 'pi_123',
+        invoiceId: '9',
+        status: 'succeeded',
+        paymentMethod: 'card',
+      });
+    });
+
+    it('should normalize payment_intent.payment_failed', () => {
+      const { rawBody, headers } = stripeEvent('payment_intent.payment_failed', {
+        id: 'pi_123',
+        status: 'requires_payment_method',
+        amount: 5000,
+        last_payment_error: { message: 'Card expired' },
+      });
+
+      const event = createProvider().parseWebhook(rawBody, headers);
+
+      expect(event.payment.status).toBe('failed');
+      expect(event.payment.failureMessage).toBe('Card expired');
+    });
+
+    it('should read cumulative refunds from charge.refunded', () => {
+      const { rawBody, headers } = stripeEvent('charge.refunded', {
+        id: 'ch_1',
+        payment_intent: 'pi_123',
+        amount: 5000,
+        amount_refunded: 2000,
+        currency: 'usd',
+      });
+
+      const event = createProvider().parseWebhook(rawBody, headers);
+
+      expect(event.payment).toMatchObject({ id: 'pi_123', status: null, amountRefunded: 20 });
+    });
+
+    it('should return no payment for unhandled event types', () => {
+      const { rawBody, headers } = stripeEvent('customer.created', { id: 'cus_1' });
+
+      expect(createProvider().parseWebhook(rawBody, headers).payment).toBeNull();
+    });
+
+    it('should reject a signature made with another secret', () => {
+      const rawBody = JSON.stringify({ id: 'evt_1', type: 'x', data: { object: {} } });
+      const headers = { 'stripe-signature': signWebhookPayload(rawBody, 'whsec_other') };
+
+      expect(() => createProvider().parseWebhook(rawBody, headers)).toThrow('signature mismatch');
+    });
+
+    it('should reject stale signatures', () => {
+      const rawBody = JSON.stringify({ id: 'evt_1', type: 'x', data: { object: {} } });
+      const oneHourAgo = Math.floor(Date.now() / 1000) - 3600;
+      const headers = {
+        'stripe-signature': signWebhookPayload(rawBody, WEBHOOK_SECRET, oneHourAgo),
+      };
+
+      expect(() => createProvider().parseWebhook(rawBody, headers)).toThrow(
+        'timestamp outside tolerance'
+      );
+    });
+
+    it('should reject requests without a signature header', () => {
+      expect(() => createProvider().parseWebhook('{}', {})).toThrow('missing signature header');
+    });
+
+    it('should require a webhook secret', () => {
+      const { rawBody, headers } = stripeEvent('payment_intent.succeeded', { id: 'pi_1' });
+
+      expect(() => createProvider({ webhookSecret: '' }).parseWebhook(rawBody, headers)).toThrow(
+        'STRIPE_WEBHOOK_SECRET is not configured'
+      );
+    });
+  });
+});
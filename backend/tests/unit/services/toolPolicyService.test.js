@@ -0,0 +1,305 @@
+/**
+ * Tests for per-client tool policies: resolution, parameter rules,
+ * admin edits with audit trail, and enforcement in adaptive mode
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../../src/db.js', () => ({
+  db: {
+    query: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/models/ToolPolicy.js', () => ({
+  ToolPolicy: {
+    findByClient: vi.fn(),
+    find: vi.fn(),
+    upsert: vi.fn(),
+    delete: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/models/ToolPolicyChange.js', () => ({
+  ToolPolicyChange: {
+    create: vi.fn(),
+    findByClient: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/models/ClientTool.js', () => ({
+  ClientTool: {
+    getAllTools: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/services/redisCache.js');
+vi.mock('../../../src/services/llmService.js');
+
+import { toolPolicyService, ToolPolicyError } from '../../../src/services/toolPolicyService.js';
+import adaptiveReasoningService from '../../../src/services/adaptiveReasoningService.js';
+import { ToolPolicy } from '../../../src/models/ToolPolicy.js';
+import { ToolPolicyChange } from '../../../src/models/ToolPolicyChange.js';
+import { ClientTool } from '../../../src/models/ClientTool.js';
+import {
+  resolveToolPolicy,
+  evaluateParameterRules,
+  isConfirmation,
+} from '../../../src/config/toolPolicies.js';
+import { REASON_CODES } from '../../../src/constants/reasonCodes.js';
+
+const REFUND_TOOL = {
+  id: 11,
+  tool_name: 'process_refund',
+  parameters_schema: { required: ['orderId', 'amount'] },
+  is_destructive: true,
+  requires_confirmation: false,
+  max_confidence: 7,
+};
+
+const REFUND_RULE = { param: 'amount', operator: 'gt', value: 100, action: 'confirm' };
+
+describe('Tool policies', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('resolveToolPolicy', () => {
+    it('should use the tool defaults when the client has no overrides', () => {
+      const policy = resolveToolPolicy('process_refund', REFUND_TOOL, null);
+
+      expect(policy.maxConfidence).toBe(7);
+      expect(policy.isDestructive).toBe(true);
+      expect(policy.parameterRules).toEqual([]);
+    });
+
+    it('should let client-tool policies win over client-wide ones', () => {
+      const policy = resolveToolPolicy('process_refund', REFUND_TOOL, {
+        client: { max_confidence: 5, requires_confirmation: true, parameter_rules: [] },
+        tools: { 11: { max_confidence: 3, is_destructive: null, parameter_rules: [REFUND_RULE] } },
+      });
+
+      expect(policy.maxConfidence).toBe(3);
+      expect(policy.requiresConfirmation).toBe(true);
+      expect(policy.isDestructive).toBe(true); // null inherits
+      expect(policy.parameterRules).toEqual([REFUND_RULE]);
+    });
+
+    it('should ignore policies of other client tools', () => {
+      const policy = resolveToolPolicy('process_refund', REFUND_TOOL, {
+        client: null,
+        tools: { 12: { max_confidence: 2 } },
+      });
+
+      expect(policy.maxConfidence).toBe(7);
+    });
+  });
+
+  describe('evaluateParameterRules', () => {
+    it('should match numeric thresholds, including numbers passed as strings', () => {
+      expect(evaluateParameterRules([REFUND_RULE], { amount: 150 })).toHaveLength(1);
+      expect(evaluateParameterRules([REFUND_RULE], { amount: '150.50' })).toHaveLength(1);
+      expect(evaluateParameterRules([REFUND_RULE], { amount: 100 })).toHaveLength(0);
+    });
+
+    it('should not match missing or non-numeric parameters', () => {
+      expect(evaluateParameterRules([REFUND_RULE], {})).toHaveLength(0);
+      expect(evaluateParameterRules([REFUND_RULE], { amount: 'lots' })).toHaveLength(0);
+    });
+
+    it('should support nested parameters and list membership', () => {
+      const rule = { param: 'shipping.country', operator: 'in', value: ['RU', 'kp'], action: 'block' };
+
+      expect(evaluateParameterRules([rule], { shipping: { country: 'KP' } })).toEqual([rule]);
+      expect(evaluateParameterRules([rule], { shipping: { country: 'IL' } })).toEqual([]);
+    });
+  });
+
+  it('should accept client confirmation phrases', () => {
+    expect(isConfirmation('refund it', 'en')).toBe(false);
+    expect(isConfirmation('refund it', 'en', ['refund it'])).toBe(true);
+  });
+
+  describe('validatePolicy', () => {
+    it('should normalize phrases and keep nulls as inherit', () => {
+      const policy = toolPolicyService.validatePolicy({
+        max_confidence: '4',
+        confirmation_phrases: [' go ahead ', 'go ahead', ''],
+        parameter_rules: [REFUND_RULE],
+      });
+
+      expect(policy).toEqual({
+        max_confidence: 4,
+        is_destructive: null,
+        requires_confirmation: null,
+        confirmation_phrases: ['go ahead'],
+        destructive_phrases: [],
+        parameter_rules: [REFUND_RULE],
+      });
+    });
+
+    it('should reject invalid rules and values', () => {
+      expect(() => toolPolicyService.validatePolicy({ max_confidence: 11 })).toThrow(
+        ToolPolicyError
+      );
+      expect(() =>
+        toolPolicyService.validatePolicy({ parameter_rules: [{ ...REFUND_RULE, operator: 'like' }] })
+      ).toThrow(/operator/);
+      expect(() =>
+        toolPolicyService.validatePolicy({ parameter_rules: [{ ...REFUND_RULE, value: 'abc' }] })
+      ).toThrow(/number/);
+    });
+  });
+
+  describe('savePolicy and deletePolicy', () => {
+    it('should record an audit entry for each change', async () => {
+      ClientTool.getAllTools.mockResolvedValue([REFUND_TOOL]);
+      ToolPolicy.find.mockResolvedValue({ id: 3, max_confidence: 5, parameter_rules: [] });
+      ToolPolicy.upsert.mockResolvedValue({ id: 3, max_confidence: 4, parameter_rules: [] });
+
+      await toolPolicyService.savePolicy(1, '11', { max_confidence: 4 }, 'admin');
+
+      expect(ToolPolicy.upsert).toHaveBeenCalledWith(
+        1,
+        11,
+        expect.objectContaining({ max_confidence: 4 }),
+        'admin'
+      );
+      expect(ToolPolicyChange.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          clientId: 1,
+          clientToolId: 11,
+          toolName: 'process_refund',
+          action: 'updated',
+          previous: expect.objectContaining({ max_confidence: 5 }),
+          current: expect.objectContaining({ max_confidence: 4 }),
+          changedBy: 'admin',
+        })
+      );
+    });
+
+    it('should refuse tools the client does not have', async () => {
+      ClientTool.getAllTools.mockResolvedValue([]);
+
+      await expect(toolPolicyService.savePolicy(1, 99, {})).rejects.toMatchObject({
+        code: 'not_found',
+      });
+      expect(ToolPolicy.upsert).not.toHaveBeenCalled();
+    });
+
+    it('should log deletions of the client-wide policy', async () => {
+      ToolPolicy.find.mockResolvedValue({ id: 5, requires_confirmation: true });
+
+      await toolPolicyService.deletePolicy(1, null, 'admin');
+
+      expect(ToolPolicy.delete).toHaveBeenCalledWith(5);
+      expect(ToolPolicyChange.create).toHaveBeenCalledWith(
+        expect.objectContaining({ action: 'deleted', toolName: null, current: null })
+      );
+    });
+  });
+
+  it('should group policies by level and collect confirmation phrases', async () => {
+    ToolPolicy.findByClient.mockResolvedValue([
+      { id: 1, client_tool_id: null, confirmation_phrases: ['go ahead'] },
+      {
+        id: 2,
+        client_tool_id: 11,
+        tool_name: 'process_refund',
+        confirmation_phrases: ['refund it', 'go ahead'],
+      },
+    ]);
+
+    const policies = await toolPolicyService.getClientPolicies(1);
+
+    expect(policies.client.id).toBe(1);
+    expect(policies.tools[11].id).toBe(2);
+    expect(toolPolicyService.getConfirmationPhrases(policies, 'process_refund')).toEqual([
+      'go ahead',
+      'refund it',
+    ]);
+  });
+
+  it("should not confirm a pending call with another tool's phrases", async () => {
+    ToolPolicy.findByClient.mockResolvedValue([
+      {
+        id: 2,
+        client_tool_id: 11,
+        tool_name: 'process_refund',
+        confirmation_phrases: ['refund it'],
+      },
+      { id: 3, client_tool_id: 12, tool_name: 'cancel_order', confirmation_phrases: [] },
+    ]);
+
+    const policies = await toolPolicyService.getClientPolicies(1);
+    const cancelPhrases = toolPolicyService.getConfirmationPhrases(policies, 'cancel_order');
+
+    expect(cancelPhrases).toEqual([]);
+    expect(isConfirmation('refund it', 'en', cancelPhrases)).toBe(false);
+    expect(
+      isConfirmation(
+        'refund it',
+        'en',
+        toolPolicyService.getConfirmationPhrases(policies, 'process_refund')
+      )
+    ).toBe(true);
+  });
+
+  describe('enforceServerPolicies', () => {
+    const assessment = {
+      tool_call: 'process_refund',
+      tool_params: { orderId: 'A1', amount: 250 },
+      confidence: 9,
+    };
+
+    it('should require confirmation when a confirm rule matches', () => {
+      const result = adaptiveReasoningService.enforceServerPolicies(assessment, [REFUND_TOOL], {
+        policies: { client: null, tools: { 11: { parameter_rules: [REFUND_RULE] } } },
+      });
+
+      expect(result.allowed).toBe(false);
+      expect(result.requires_confirmation).toBe(true);
+      expect(result.reason_code).toBe(REASON_CODES.DESTRUCTIVE_NO_CONFIRM);
+      expect(result.matched_rules).toEqual([REFUND_RULE]);
+    });
+
+    it('should block when a block rule matches', () => {
+      const result = adaptiveReasoningService.enforceServerPolicies(assessment, [REFUND_TOOL], {
+        policies: {
+          client: {
+            parameter_rules: [REFUND_RULE, { ...REFUND_RULE, value: 200, action: 'block' }],
+          },
+          tools: {},
+        },
+      });
+
+      expect(result.allowed).toBe(false);
+      expect(result.reason_code).toBe(REASON_CODES.POLICY_BLOCKED);
+      expect(result.requires_confirmation).toBeUndefined();
+    });
+
+    it('should apply client confidence floors and destructive phrases', () => {
+      const result = adaptiveReasoningService.enforceServerPolicies(
+        { ...assessment, tool_call: 'lookup', tool_params: {} },
+        [{ id: 12, tool_name: 'lookup', max_confidence: 10, is_destructive: false }],
+        {
+          policies: { client: { max_confidence: 6, destructive_phrases: ['chargeback'] }, tools: {} },
+          userMessage: 'I will file a Chargeback',
+        }
+      );
+
+      expect(result.allowed).toBe(true);
+      expect(result.reason_code).toBe(REASON_CODES.CONFIDENCE_FLOOR_APPLIED);
+      expect(result.updated_assessment.confidence).toBe(6);
+      expect(result.updated_assessment.is_destructive).toBe(true);
+    });
+
+    it('should behave as before without client policies', () => {
+      const result = adaptiveReasoningService.enforceServerPolicies(assessment, [REFUND_TOOL]);
+
+      expect(result.allowed).toBe(true);
+      expect(result.updated_assessment.confidence).toBe(7);
+      expect(result.updated_assessment.is_destructive).toBe(true);
+    });
+  });
+});
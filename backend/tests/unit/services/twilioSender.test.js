@@ -0,0 +1,90 @@
+/**
+ * Tests for the Twilio SMS / WhatsApp sender
+ *
+ * Runs against a local HTTP stub of the Twilio Messages API (real fetch).
+ */
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import http from 'http';
+import { TwilioSender } from '../../../src/services/notifications/twilioSender.js';
+
+let server;
+let apiBase;
+let lastRequest;
+let nextResponse;
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      lastRequest = {
+        method: req.method,
+        url: req.url,
+        headers: req.headers,
+        form: new URLSearchParams(body),
+      };
+      res.writeHead(nextResponse.status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(nextResponse.body));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  apiBase = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => server.close(resolve));
+});
+
+const createSender = (channel, options = {}) =>
+  new TwilioSender(channel, {
+    accountSid: 'AC123',
+    authToken: 'secret',
+    from: '+15550000000',
+    apiBase,
+    ...options,
+  });
+
+describe('TwilioSender', () => {
+  beforeEach(() => {
+    lastRequest = null;
+    nextResponse = { status: 201, body: { sid: 'SM123' } };
+  });
+
+  it('should post an SMS with basic auth', async () => {
+    const result = await createSender('sms').send('+15551112222', 'Hello');
+
+    expect(lastRequest.method).toBe('POST');
+    expect(lastRequest.url).toBe('/2010-04-01/Accounts/AC123/Messages.json');
+    expect(lastRequest.headers.authorization).toBe(
+      `Basic ${Buffer.from('AC123:secret').toString('base64')}`
+    );
+    expect(lastRequest.form.get('To')).toBe('+15551112222');
+    expect(lastRequest.form.get('From')).toBe('+15550000000');
+    expect(lastRequest.form.get('Body')).toBe('Hello');
+    expect(result).toEqual({ messageId: 'SM123' });
+  });
+
+  it('should prefix WhatsApp addresses', async () => {
+    await createSender('whatsapp').send('+15551112222', 'Hello');
+
+    expect(lastRequest.form.get('To')).toBe('whatsapp:+15551112222');
+    expect(lastRequest.form.get('From')).toBe('whatsapp:+15550000000');
+  });
+
+  it('should surface API errors', async () => {
+    nextResponse = { status: 400, body: { message: 'Invalid To number' } };
+
+    await expect(createSender('sms').send('123', 'Hello')).rejects.toThrow(
+      'Twilio API error (400): Invalid To number'
+    );
+  });
+
+  it('should refuse to send when not configured', async () => {
+    const sender = createSender('sms', { authToken: '' });
+
+    expect(sender.isConfigured()).toBe(false);
+    await expect(sender.send('+15551112222', 'Hello')).rejects.toThrow('not configured');
+    expect(lastRequest).toBeNull();
+  });
+});
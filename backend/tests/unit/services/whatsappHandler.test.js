@@ -0,0 +1,289 @@
+/**
+ * Tests for inbound WhatsApp message handling
+ *
+ * Models, the conversation service and the Cloud API client are mocked.
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../../src/db.js', () => ({
+  db: {
+    query: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/models/WhatsAppChannel.js', () => ({
+  WhatsAppChannel: {
+    findById: vi.fn(),
+    findByPhoneNumberId: vi.fn(),
+    updateLastMessage: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/models/Conversation.js', () => ({
+  Conversation: {
+    create: vi.fn(),
+    findActiveByChannelThread: vi.fn(),
+    updateChannelMetadata: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/models/Message.js', () => ({
+  Message: {
+    create: vi.fn(),
+    findByExternalId: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/models/Client.js', () => ({
+  Client: {
+    findById: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/services/conversationService.js', () => ({
+  default: {
+    processMessage: vi.fn(),
+    updateConversationStats: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/services/spendingService.js', () => ({
+  default: {
+    enforce: vi.fn(),
+  },
+}));
+
+const { WhatsAppChannel } = await import('../../../src/models/WhatsAppChannel.js');
+const { Conversation } = await import('../../../src/models/Conversation.js');
+const { Message } = await import('../../../src/models/Message.js');
+const { Client } = await import('../../../src/models/Client.js');
+const conversationService = (await import('../../../src/services/conversationService.js')).default;
+const spendingService = (await import('../../../src/services/spendingService.js')).default;
+const { whatsappService, WhatsAppWindowError } =
+  await import('../../../src/services/whatsappService.js');
+const { whatsappHandler } = await import('../../../src/services/whatsappHandler.js');
+
+describe('WhatsAppHandler', () => {
+  const channel = {
+    id: 4,
+    client_id: 2,
+    phone_number_id: '1098765',
+    display_phone_number: '15550001111',
+    status: 'active',
+    connection_config: { access_token: 'token', app_secret: 'secret' },
+    settings: { auto_reply: true, template_name: '', template_language: 'en' },
+  };
+  const client = { id: 2, name: 'Acme', status: 'active', llm_provider: 'openai' };
+  const message = {
+    phoneNumberId: '1098765',
+    from: '972501234567',
+    name: 'Dana',
+    id: 'wamid.in1',
+    timestamp: new Date(),
+    type: 'text',
+    text: 'Where is my order?',
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(whatsappService, 'sendText').mockResolvedValue({ messageIds: ['wamid.out1'] });
+    vi.spyOn(whatsappService, 'sendTemplate').mockResolvedValue({ messageIds: ['wamid.tpl1'] });
+    vi.spyOn(whatsappService, 'markAsRead').mockResolvedValue({ success: true });
+
+    WhatsAppChannel.findByPhoneNumberId.mockResolvedValue(channel);
+    Message.findByExternalId.mockResolvedValue(null);
+    Client.findById.mockResolvedValue(client);
+    Conversation.updateChannelMetadata.mockImplementation(async (id, metadata) => ({
+      id,
+      session_id: 'whatsapp-session',
+      channel_thread_id: message.from,
+      channel_metadata: { phone: message.from, whatsapp_channel_id: channel.id, ...metadata },
+    }));
+    conversationService.processMessage.mockResolvedValue({ response: 'It ships tomorrow.' });
+    spendingService.enforce.mockImplementation(async (current) => ({
+      allowed: true,
+      client: current,
+    }));
+  });
+
+  describe('processMessage', () => {
+    it('should create a conversation for a new phone number and reply', async () => {
+      Conversation.findActiveByChannelThread.mockResolvedValue(null);
+      Conversation.create.mockResolvedValue({ id: 10, session_id: 'whatsapp-session' });
+
+      const handled = await whatsappHandler.processMessage(message);
+
+      expect(handled).toBe(true);
+      const createArgs = Conversation.create.mock.calls[0];
+      expect(createArgs[0]).toBe(2);
+      expect(createArgs[5]).toBe('whatsapp');
+      expect(createArgs[6]).toBe('972501234567');
+      expect(createArgs[7]).toMatchObject({ phone: '972501234567', whatsapp_channel_id: 4 });
+      expect(Message.create).toHaveBeenCalledWith(
+        10,
+        'user',
+        'Where is my order?',
+        0,
+        'wamid.in1',
+        { type: 'text' }
+      );
+      expect(conversationService.processMessage).toHaveBeenCalledWith(
+        client,
+        'whatsapp-session',
+        'Where is my order?',
+        expect.objectContaining({ channel: 'whatsapp', skipUserMessageSave: true })
+      );
+      expect(whatsappService.markAsRead).toHaveBeenCalledWith(channel, 'wamid.in1');
+      expect(whatsappService.sendText).toHaveBeenCalledWith(
+        channel,
+        '972501234567',
+        'It ships tomorrow.'
+      );
+    });
+
+    it('should reuse the open conversation for a known phone number', async () => {
+      Conversation.findActiveByChannelThread.mockResolvedValue({
+        id: 11,
+        session_id: 'existing-session',
+      });
+
+      await whatsappHandler.processMessage(message);
+
+      expect(Conversation.create).not.toHaveBeenCalled();
+      expect(Conversation.findActiveByChannelThread).toHaveBeenCalledWith(
+        '972501234567',
+        'whatsapp',
+        2
+      );
+      expect(conversationService.processMessage.mock.calls[0][1]).toBe('existing-session');
+    });
+
+    it('should skip messages that were already processed', async () => {
+      Message.findByExternalId.mockResolvedValue({ id: 99 });
+
+      const handled = await whatsappHandler.processMessage(message);
+
+      expect(handled).toBe(false);
+      expect(conversationService.processMessage).not.toHaveBeenCalled();
+    });
+
+    it('should ignore messages for unknown or inactive numbers', async () => {
+      WhatsAppChannel.findByPhoneNumberId.mockResolvedValue({ ...channel, status: 'inactive' });
+
+      expect(await whatsappHandler.processMessage(message)).toBe(false);
+      expect(Message.create).not.toHaveBeenCalled();
+    });
+
+    it('should store but not answer when auto-reply is disabled', async () => {
+      WhatsAppChannel.findByPhoneNumberId.mockResolvedValue({
+        ...channel,
+        settings: { auto_reply: false },
+      });
+      Conversation.findActiveByChannelThread.mockResolvedValue({ id: 11, session_id: 's' });
+
+      await whatsappHandler.processMessage(message);
+
+      expect(Message.create).toHaveBeenCalled();
+      expect(conversationService.processMessage).not.toHaveBeenCalled();
+      expect(whatsappService.sendText).not.toHaveBeenCalled();
+    });
+
+    it('should store but not answer when the spending limit is reached', async () => {
+      spendingService.enforce.mockResolvedValue({ allowed: false, client });
+      Conversation.findActiveByChannelThread.mockResolvedValue({ id: 11, session_id: 's' });
+
+      expect(await whatsappHandler.processMessage(message)).toBe(true);
+
+      expect(Message.create).toHaveBeenCalled();
+      expect(conversationService.processMessage).not.toHaveBeenCalled();
+      expect(whatsappService.sendText).not.toHaveBeenCalled();
+    });
+
+    it('should answer with the degraded client over the limit', async () => {
+      const degraded = { ...client, llm_provider: 'ollama', llm_fallbacks: [] };
+      spendingService.enforce.mockResolvedValue({ allowed: true, client: degraded });
+      Conversation.findActiveByChannelThread.mockResolvedValue({ id: 11, session_id: 's' });
+
+      await whatsappHandler.processMessage(message);
+
+      expect(conversationService.processMessage.mock.calls[0][0]).toBe(degraded);
+    });
+
+    it('should answer non-text messages without calling the AI', async () => {
+      Conversation.findActiveByChannelThread.mockResolvedValue({ id: 11, session_id: 's' });
+
+      await whatsappHandler.processMessage({ ...message, type: 'image', text: null });
+
+      expect(conversationService.processMessage).not.toHaveBeenCalled();
+      expect(whatsappService.sendText).toHaveBeenCalledWith(
+        channel,
+        '972501234567',
+        expect.stringContaining('only read text messages')
+      );
+    });
+  });
+
+  describe('sendMessage', () => {
+    const conversationWith = (lastInboundAt) => ({
+      id: 11,
+      channel_thread_id: '972501234567',
+      channel_metadata: {
+        phone: '972501234567',
+        whatsapp_channel_id: 4,
+        last_inbound_at: lastInboundAt,
+      },
+    });
+
+    it('should send free-form text inside the 24-hour window', async () => {
+      const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+
+      const result = await whatsappHandler.sendMessage(conversationWith(oneHourAgo), 'Hi', channel);
+
+      expect(result.template).toBe(false);
+      expect(whatsappService.sendText).toHaveBeenCalled();
+    });
+
+    it('should refuse free-form text after the window closes without a template', async () => {
+      const twoDaysAgo = new Date(Date.now() - 48 * 60 * 60 * 1000).toISOString();
+
+      await expect(
+        whatsappHandler.sendMessage(conversationWith(twoDaysAgo), 'Hi', channel)
+      ).rejects.toBeInstanceOf(WhatsAppWindowError);
+      expect(whatsappService.sendText).not.toHaveBeenCalled();
+    });
+
+    it('should send the configured template after the window closes', async () => {
+      const twoDaysAgo = new Date(Date.now() - 48 * 60 * 60 * 1000).toISOString();
+      WhatsAppChannel.findById.mockResolvedValue({
+        ...channel,
+        settings: { template_name: 'support_follow_up', template_language: 'he' },
+      });
+
+      const result = await whatsappHandler.sendMessage(conversationWith(twoDaysAgo), 'Hi');
+
+      expect(result.template).toBe(true);
+      expect(whatsappService.sendTemplate).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 4 }),
+        '972501234567',
+        'support_follow_up',
+        'he'
+      );
+    });
+  });
+
+  describe('verifyWebhook', () => {
+    it('should verify against the target channel app secret', async () => {
+      const payload = {
+        object: 'whatsapp_business_account',
+        entry: [{ changes: [{ value: { metadata: { phone_number_id: '1098765' } } }] }],
+      };
+      const rawBody = Buffer.from(JSON.stringify(payload));
+      const { createHmac } = await import('crypto');
+      const signature = `sha256=${createHmac('sha256', 'secret').update(rawBody).digest('hex')}`;
+
+      expect(await whatsappHandler.verifyWebhook(rawBody, signature, payload)).toBe(true);
+      expect(await whatsappHandler.verifyWebhook(rawBody, 'sha256=00', payload)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * Tests for the WhatsApp Cloud API client
+ *
+ * Sending runs against a local HTTP stub of the Graph API (real fetch).
+ */
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import http from 'http';
+import crypto from 'crypto';
+import { whatsappService } from '../../../src/services/whatsappService.js';
+
+let server;
+let lastRequests;
+let nextResponse;
+let originalApiBase;
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      lastRequests.push({
+        method: req.method,
+        url: req.url,
+        headers: req.headers,
+        body: body ? JSON.parse(body) : null,
+      });
+      res.writeHead(nextResponse.status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(nextResponse.body));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  originalApiBase = process.env.WHATSAPP_API_BASE;
+  process.env.WHATSAPP_API_BASE = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  if (originalApiBase === undefined) {
+    delete process.env.WHATSAPP_API_BASE;
+  } else {
+    process.env.WHATSAPP_API_BASE = originalApiBase;
+  }
+  await new Promise((resolve) => server.close(resolve));
+});
+
+const channel = {
+  id: 1,
+  phone_number_id: '1098765',
+  connection_config: { access_token: 'EAAtoken', app_secret: 'app-secret' },
+};
+
+const sign = (body, secret) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+describe('WhatsAppService', () => {
+  beforeEach(() => {
+    lastRequests = [];
+    nextResponse = { status: 200, body: { messages: [{ id: 'wamid.1' }] } };
+  });
+
+  describe('verifySignature', () => {
+    const body = Buffer.from('{"object":"whatsapp_business_account"}');
+
+    it('should accept a valid signature', () => {
+      expect(whatsappService.verifySignature(body, sign(body, 'app-secret'), 'app-secret')).toBe(
+        true
+      );
+    });
+
+    it('should reject a signature made with another secret', () => {
+      expect(whatsappService.verifySignature(body, sign(body, 'other'), 'app-secret')).toBe(false);
+    });
+
+    it('should reject missing or malformed headers', () => {
+      expect(whatsappService.verifySignature(body, undefined, 'app-secret')).toBe(false);
+      expect(whatsappService.verifySignature(body, 'md5=abc', 'app-secret')).toBe(false);
+      expect(whatsappService.verifySignature(body, 'sha256=abc', 'app-secret')).toBe(false);
+    });
+  });
+
+  describe('parseWebhook', () => {
+    it('should normalize inbound messages with the contact name', () => {
+      const messages = whatsappService.parseWebhook({
+        object: 'whatsapp_business_account',
+        entry: [
+          {
+            changes: [
+              {
+                field: 'messages',
+                value: {
+                  metadata: { phone_number_id: '1098765', display_phone_number: '15550001111' },
+                  contacts: [{ wa_id: '972501234567', profile: { name: 'Dana' } }],
+                  messages: [
+                    {
+                      from: '972501234567',
+                      id: 'wamid.in1',
+                      timestamp: '1768550400',
+                      type: 'text',
+                      text: { body: 'Hi there' },
+                    },
+                    {
+                      from: '972501234567',
+                      id: 'wamid.in2',
+                      timestamp: '1768550401',
+                      type: 'image',
+                      image: { id: 'media1' },
+                    },
+                  ],
+                },
+              },
+            ],
+          },
+        ],
+      });
+
+      expect(messages).toHaveLength(2);
+      expect(messages[0]).toMatchObject({
+        phoneNumberId: '1098765',
+        from: '972501234567',
+        name: 'Dana',
+        id: 'wamid.in1',
+        type: 'text',
+        text: 'Hi there',
+      });
+      expect(messages[0].timestamp.getTime()).toBe(1768550400 * 1000);
+      expect(messages[1].text).toBeNull();
+    });
+
+    it('should ignore status updates and other objects', () => {
+      expect(
+        whatsappService.parseWebhook({
+          object: 'whatsapp_business_account',
+          entry: [{ changes: [{ field: 'messages', value: { statuses: [{ id: 'x' }] } }] }],
+        })
+      ).toEqual([]);
+      expect(whatsappService.parseWebhook({ object: 'page', entry: [] })).toEqual([]);
+    });
+  });
+
+  describe('splitMessage', () => {
+    it('should split long text on line breaks', () => {
+      const chunks = whatsappService.splitMessage('aaaa\nbbbb\ncccc', 10);
+
+      expect(chunks).toEqual(['aaaa\nbbbb', 'cccc']);
+    });
+
+    it('should keep short text in one message', () => {
+      expect(whatsappService.splitMessage('hello')).toEqual(['hello']);
+    });
+  });
+
+  describe('sendText', () => {
+    it('should post a text message with the channel access token', async () => {
+      const result = await whatsappService.sendText(channel, '972501234567', 'Hello!');
+
+      expect(lastRequests).toHaveLength(1);
+      const [request] = lastRequests;
+      expect(request.method).toBe('POST');
+      expect(request.url).toBe('/v21.0/1098765/messages');
+      expect(request.headers.authorization).toBe('Bearer EAAtoken');
+      expect(request.body).toMatchObject({
+        messaging_product: 'whatsapp',
+        to: '972501234567',
+        type: 'text',
+        text: { body: 'Hello!' },
+      });
+      expect(result).toEqual({ messageIds: ['wamid.1'] });
+    });
+
+    it('should surface API errors', async () => {
+      nextResponse = {
+        status: 400,
+        body: { error: { message: 'Re-engagement message' } },
+      };
+
+      await expect(whatsappService.sendText(channel, '1', 'Hello')).rejects.toThrow(
+        'WhatsApp API error (400): Re-engagement message'
+      );
+    });
+  });
+
+  describe('sendTemplate', () => {
+    it('should post a template message', async () => {
+      await whatsappService.sendTemplate(channel, '972501234567', 'support_follow_up', 'he');
+
+      expect(lastRequests[0].body).toMatchObject({
+        type: 'template',
+        template: { name: 'support_follow_up', language: { code: 'he' } },
+      });
+    });
+  });
+});
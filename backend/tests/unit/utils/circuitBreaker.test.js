@@ -0,0 +1,92 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { CircuitBreaker, CircuitBreakerRegistry } from '../../../src/utils/circuitBreaker.js';
+
+const options = { window: 60000, minRequests: 4, failureRate: 0.5, cooldown: 30000 };
+
+describe('CircuitBreaker', () => {
+  let time;
+  let breaker;
+
+  beforeEach(() => {
+    time = 1000000;
+    breaker = new CircuitBreaker(options, () => time);
+  });
+
+  const fail = (count) => {
+    for (let i = 0; i < count; i++) breaker.recordFailure();
+  };
+
+  it('should stay closed until the window holds enough requests', () => {
+    fail(3);
+
+    expect(breaker.getStatus()).toMatchObject({ state: 'closed', requests: 3, failures: 3 });
+    expect(breaker.canRequest()).toBe(true);
+  });
+
+  it('should open when the failure rate is reached', () => {
+    breaker.recordSuccess();
+    breaker.recordSuccess();
+    fail(2);
+
+    expect(breaker.getStatus().state).toBe('open');
+    expect(breaker.canRequest()).toBe(false);
+  });
+
+  it('should stay closed below the failure rate', () => {
+    breaker.recordSuccess();
+    breaker.recordSuccess();
+    breaker.recordSuccess();
+    fail(2);
+
+    expect(breaker.getStatus().state).toBe('closed');
+  });
+
+  it('should forget outcomes older than the window', () => {
+    fail(3);
+    time += options.window + 1;
+    breaker.recordFailure();
+
+    expect(breaker.getStatus()).toMatchObject({ state: 'closed', requests: 1 });
+  });
+
+  it('should let one probe through after the cooldown', () => {
+    fail(4);
+    time += options.cooldown;
+
+    expect(breaker.canRequest()).toBe(true);
+    expect(breaker.getStatus().state).toBe('half_open');
+    expect(breaker.canRequest()).toBe(false);
+  });
+
+  it('should close when the probe succeeds', () => {
+    fail(4);
+    time += options.cooldown;
+    breaker.canRequest();
+    breaker.recordSuccess();
+
+    expect(breaker.getStatus()).toMatchObject({ state: 'closed', requests: 0, openedAt: null });
+  });
+
+  it('should open again when the probe fails', () => {
+    fail(4);
+    time += options.cooldown;
+    breaker.canRequest();
+    breaker.recordFailure();
+
+    expect(breaker.getStatus().state).toBe('open');
+    expect(breaker.canRequest()).toBe(false);
+  });
+});
+
+describe('CircuitBreakerRegistry', () => {
+  it('should keep one breaker per key', () => {
+    const registry = new CircuitBreakerRegistry(options);
+
+    registry.get('groq').recordFailure();
+
+    expect(registry.get('groq')).toBe(registry.get('groq'));
+    expect(registry.getStatus()).toEqual({
+      groq: { state: 'closed', requests: 1, failures: 1, openedAt: null },
+    });
+  });
+});
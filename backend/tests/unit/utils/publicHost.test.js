@@ -0,0 +1,128 @@
+import http from 'http';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('dns', () => ({
+  default: { lookup: vi.fn(), promises: { lookup: vi.fn() } },
+}));
+
+const dns = (await import('dns')).default;
+const { createPublicAgent, isPrivateAddress, lookupPublic, resolvePublicHost } =
+  await import('../../../src/utils/publicHost.js');
+
+const lookup = (hostname, options) =>
+  new Promise((resolve, reject) =>
+    lookupPublic(hostname, options, (error, address) => (error ? reject(error) : resolve(address)))
+  );
+
+describe('publicHost', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('isPrivateAddress', () => {
+    it.each([
+      '127.0.0.1',
+      '10.1.2.3',
+      '172.20.0.1',
+      '192.168.1.1',
+      '169.254.169.254',
+      '100.64.0.1',
+      '0.0.0.0',
+      '::1',
+      '::',
+      'fd00::1',
+      'fe80::1',
+      '::ffff:7f00:1',
+      '::ffff:8.8.8.8',
+      '64:ff9b::a00:1',
+      'not-an-ip',
+    ])('should refuse %s', (address) => {
+      expect(isPrivateAddress(address)).toBe(true);
+    });
+
+    it.each(['8.8.8.8', '100.128.0.1', '172.32.0.1', '2606:4700:4700::1111'])(
+      'should allow %s',
+      (address) => {
+        expect(isPrivateAddress(address)).toBe(false);
+      }
+    );
+  });
+
+  describe('resolvePublicHost', () => {
+    it('should check IP literals without a lookup, brackets included', async () => {
+      await expect(resolvePublicHost('[::ffff:7f00:1]')).rejects.toThrow(
+        'not a publicly reachable'
+      );
+      await expect(resolvePublicHost('8.8.8.8')).resolves.toEqual(['8.8.8.8']);
+      expect(dns.promises.lookup).not.toHaveBeenCalled();
+    });
+
+    it('should refuse names that resolve to a private address', async () => {
+      dns.promises.lookup.mockResolvedValueOnce([
+        { address: '93.184.216.34', family: 4 },
+        { address: '127.0.0.1', family: 4 },
+      ]);
+
+      await expect(resolvePublicHost('localtest.me')).rejects.toThrow('not a publicly reachable');
+      expect(dns.promises.lookup).toHaveBeenCalledWith('localtest.me', {
+        all: true,
+        verbatim: true,
+      });
+    });
+
+    it('should return the addresses of public names', async () => {
+      dns.promises.lookup.mockResolvedValueOnce([{ address: '93.184.216.34', family: 4 }]);
+
+      await expect(resolvePublicHost('hooks.example.com')).resolves.toEqual(['93.184.216.34']);
+    });
+  });
+
+  describe('lookupPublic', () => {
+    it('should check every answer, so a rebinding host is refused on its second lookup', async () => {
+      dns.lookup
+        .mockImplementationOnce((host, options, callback) =>
+          callback(null, [{ address: '93.184.216.34', family: 4 }])
+        )
+        .mockImplementationOnce((host, options, callback) =>
+          callback(null, [{ address: '169.254.169.254', family: 4 }])
+        );
+
+      await expect(lookup('rebind.example', { all: true })).resolves.toEqual([
+        { address: '93.184.216.34', family: 4 },
+      ]);
+      await expect(lookup('rebind.example', { all: true })).rejects.toMatchObject({
+        code: 'ENOTPUBLIC',
+      });
+    });
+
+    it('should handle single-address lookups', async () => {
+      dns.lookup.mockImplementationOnce((host, options, callback) => callback(null, '10.0.0.5', 4));
+
+      await expect(lookup('internal.example', {})).rejects.toMatchObject({ code: 'ENOTPUBLIC' });
+    });
+  });
+
+  describe('createPublicAgent', () => {
+    it('should refuse to connect to a private address', async () => {
+      const received = vi.fn((req, res) => res.end('ok'));
+      const server = http.createServer(received);
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+      dns.lookup.mockImplementation((host, options, callback) =>
+        callback(null, [{ address: '127.0.0.1', family: 4 }])
+      );
+      const agent = createPublicAgent();
+
+      try {
+        const error = await fetch(`http://hooks.example:${server.address().port}/`, {
+          dispatcher: agent,
+        }).catch((failure) => failure);
+
+        expect(error.cause).toMatchObject({ code: 'ENOTPUBLIC' });
+        expect(received).not.toHaveBeenCalled();
+      } finally {
+        await agent.close();
+        server.close();
+      }
+    });
+  });
+});
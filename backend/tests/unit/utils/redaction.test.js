@@ -0,0 +1,133 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  buildRules,
+  createDebugMasker,
+  createRedactor,
+  maskText,
+  maskValue,
+  Redactor,
+} from '../../../src/utils/redaction.js';
+
+describe('redaction', () => {
+  describe('maskText', () => {
+    it('should mask emails, phone numbers, cards and national IDs', () => {
+      const text =
+        'Mail jane.doe@example.co.uk or call +1 (555) 123-4567. Card 4111 1111 1111 1111, SSN 123-45-6789, ID 000000018';
+
+      expect(maskText(text)).toBe(
+        'Mail [EMAIL] or call [PHONE]. Card [CARD], SSN [NATIONAL_ID], ID [NATIONAL_ID]'
+      );
+    });
+
+    it('should leave look-alikes alone', () => {
+      const text =
+        'Order 12345678 on 2026-01-15 from 10.0.0.1, card-like 4111 1111 1111 1112, id 123456789';
+
+      expect(maskText(text)).toBe(text);
+    });
+
+    it('should accept local phone formats', () => {
+      expect(maskText('050-123-4567 or 020 7946 0958')).toBe('[PHONE] or [PHONE]');
+    });
+
+    it('should apply custom patterns with their name as label', () => {
+      const rules = buildRules({
+        types: [],
+        custom: [{ name: 'Policy no.', pattern: 'POL-\\d{6}' }],
+      });
+
+      expect(maskText('Policy POL-123456, mail a@b.io', rules)).toBe(
+        'Policy [POLICY_NO], mail a@b.io'
+      );
+    });
+
+    it('should run custom patterns without catastrophic backtracking', () => {
+      const rules = buildRules({ types: [], custom: [{ name: 'Evil', pattern: '(a|a)+b' }] });
+      const text = 'a'.repeat(10000);
+
+      const started = Date.now();
+      expect(maskText(text, rules)).toBe(text);
+      expect(maskText(`${text}b`, rules)).toBe('[EVIL]');
+      expect(Date.now() - started).toBeLessThan(1000);
+    });
+
+    it('should mask strings nested in objects', () => {
+      expect(maskValue({ email: 'a@b.io', items: ['+972 52 123 4567'], count: 2 })).toEqual({
+        email: '[EMAIL]',
+        items: ['[PHONE]'],
+        count: 2,
+      });
+    });
+  });
+
+  describe('Redactor', () => {
+    const config = { enabled: true, types: ['email', 'phone'], custom: [] };
+
+    it('should give each value a stable token and restore it', () => {
+      const redactor = createRedactor(config);
+      const tokenized = redactor.tokenize('a@b.io, c@d.io and a@b.io again');
+
+      expect(tokenized).toBe('[EMAIL_1], [EMAIL_2] and [EMAIL_1] again');
+      expect(redactor.size).toBe(2);
+      expect(redactor.rehydrate('Sent to [EMAIL_2] [UNKNOWN_1]')).toBe(
+        'Sent to c@d.io [UNKNOWN_1]'
+      );
+    });
+
+    it('should tokenise messages and re-hydrate tool call arguments', () => {
+      const redactor = createRedactor(config);
+      const messages = redactor.tokenizeMessages([
+        { role: 'user', content: 'I am a@b.io', images: [{ data: 'x' }] },
+        {
+          role: 'assistant',
+          content: '',
+          tool_calls: [{ id: '1', function: { name: 'lookup', arguments: '{"email":"a@b.io"}' } }],
+        },
+      ]);
+
+      expect(messages[0]).toEqual({
+        role: 'user',
+        content: 'I am [EMAIL_1]',
+        images: [{ data: 'x' }],
+      });
+      expect(messages[1].tool_calls[0].function.arguments).toBe('{"email":"[EMAIL_1]"}');
+
+      const response = redactor.rehydrateResponse({
+        content: 'Checking [EMAIL_1]',
+        toolCalls: [{ id: '2', name: 'lookup', arguments: { email: '[EMAIL_1]' } }],
+      });
+      expect(response.content).toBe('Checking a@b.io');
+      expect(response.toolCalls[0].arguments).toEqual({ email: 'a@b.io' });
+    });
+
+    it('should re-hydrate tokens split across stream deltas', () => {
+      const redactor = new Redactor(buildRules(config));
+      redactor.tokenize('a@b.io');
+      const onToken = vi.fn();
+      const stream = redactor.createStreamRehydrator(onToken);
+
+      stream.onToken('Your email is [EM');
+      stream.onToken('AIL_1], thanks [');
+      stream.flush();
+
+      expect(onToken.mock.calls.map(([text]) => text).join('')).toBe(
+        'Your email is a@b.io, thanks ['
+      );
+      expect(onToken).toHaveBeenCalledWith('Your email is ');
+    });
+  });
+
+  describe('createRedactor / createDebugMasker', () => {
+    it('should return null when turned off', () => {
+      expect(createRedactor(null)).toBeNull();
+      expect(createRedactor({ enabled: false, types: ['email'] })).toBeNull();
+      expect(createDebugMasker({ enabled: true, types: ['email'] })).toBeNull();
+    });
+
+    it('should mask with the client rules', () => {
+      const mask = createDebugMasker({ mask_debug: true, types: ['card'], custom: [] });
+
+      expect(mask('a@b.io 4111111111111111')).toBe('a@b.io [CARD]');
+    });
+  });
+});
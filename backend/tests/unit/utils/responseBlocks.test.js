@@ -0,0 +1,118 @@
+import { describe, it, expect } from 'vitest';
+import {
+  buildResponseBlocks,
+  buildToolCards,
+  extractDirectives,
+} from '../../../src/utils/responseBlocks.js';
+
+describe('responseBlocks', () => {
+  describe('extractDirectives', () => {
+    it('should leave plain replies untouched', () => {
+      expect(extractDirectives('Your order has shipped.')).toEqual({
+        text: 'Your order has shipped.',
+        blocks: [],
+      });
+    });
+
+    it('should turn quick replies into a block and strip the directive', () => {
+      const result = extractDirectives(
+        'Would you like delivery or pickup?\n[[quick_replies: Delivery | Pickup | Delivery ]]'
+      );
+
+      expect(result.text).toBe('Would you like delivery or pickup?');
+      expect(result.blocks).toEqual([{ type: 'quick_replies', options: ['Delivery', 'Pickup'] }]);
+    });
+
+    it('should limit the number and length of quick replies', () => {
+      const long = 'x'.repeat(60);
+      const result = extractDirectives(
+        `Pick one [[quick_replies: a | b | c | d | e | f | ${long}]]`
+      );
+
+      expect(result.blocks[0].options).toEqual(['a', 'b', 'c', 'd', 'e']);
+      expect(extractDirectives(`[[quick_replies: ${long}]]`).blocks[0].options[0]).toHaveLength(40);
+    });
+
+    it('should parse a date picker with an optional label', () => {
+      expect(extractDirectives('Which day works?\n[[date_picker]]').blocks).toEqual([
+        { type: 'date_picker', label: null },
+      ]);
+      expect(extractDirectives('Which day? [[DATE_PICKER: Pick a day]]').blocks).toEqual([
+        { type: 'date_picker', label: 'Pick a day' },
+      ]);
+    });
+
+    it('should keep unknown bracketed text', () => {
+      expect(extractDirectives('See [[notes]] below').text).toBe('See [[notes]] below');
+    });
+  });
+
+  describe('buildToolCards', () => {
+    it('should build product cards from a product list', () => {
+      const cards = buildToolCards({
+        products: [
+          {
+            name: 'Trail Boots',
+            price: 89.9,
+            currency: 'USD',
+            in_stock: true,
+            image_url: 'https://cdn.example.com/boots.jpg',
+            url: 'javascript:alert(1)',
+          },
+        ],
+      });
+
+      expect(cards).toEqual([
+        {
+          kind: 'product',
+          title: 'Trail Boots',
+          subtitle: null,
+          image: 'https://cdn.example.com/boots.jpg',
+          url: null,
+          fields: [
+            { key: 'price', value: '89.9 USD' },
+            { key: 'stock', value: true },
+          ],
+        },
+      ]);
+    });
+
+    it('should build an order card from an order result', () => {
+      const [card] = buildToolCards({
+        order: {
+          order_number: '1042',
+          status: 'Shipped',
+          total: 120,
+          estimated_delivery: 'Friday',
+        },
+      });
+
+      expect(card).toMatchObject({
+        kind: 'order',
+        title: '#1042',
+        subtitle: 'Shipped',
+        fields: [
+          { key: 'total', value: '120' },
+          { key: 'eta', value: 'Friday' },
+        ],
+      });
+    });
+
+    it('should not build cards from results that are not products or orders', () => {
+      expect(buildToolCards({ success: true, message: 'Booked' })).toEqual([]);
+      expect(buildToolCards({ name: 'Dana', email: 'dana@example.com' })).toEqual([]);
+      expect(buildToolCards('Booked')).toEqual([]);
+    });
+  });
+
+  describe('buildResponseBlocks', () => {
+    it('should put cards before directive blocks', () => {
+      const result = buildResponseBlocks('Here it is. [[quick_replies: Track | Cancel]]', [
+        { order_id: 7, status: 'pending' },
+      ]);
+
+      expect(result.text).toBe('Here it is.');
+      expect(result.blocks.map((block) => block.type)).toEqual(['cards', 'quick_replies']);
+    });
+  });
+});
@@ -16,6 +16,7 @@ import TestChat from './pages/TestChat';
 import Billing from './pages/Billing';
 import UsageReports from './pages/UsageReports';
 import Settings from './pages/Settings';
+import AuditLog from './pages/AuditLog';
 
 function ProtectedRoute({ children }) {
   const { isAuthenticated, loading } = useAuth();
@@ -59,6 +60,7 @@ function App() {
                 <Route path="/billing" element={<Billing />} />
                 <Route path="/usage" element={<UsageReports />} />
                 <Route path="/settings" element={<Settings />} />
+                <Route path="/audit-log" element={<AuditLog />} />
               </Routes>
             </Layout>
           </ProtectedRoute>
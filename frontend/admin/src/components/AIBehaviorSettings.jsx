@@ -1,7 +1,7 @@
 import { useState, useEffect } from 'react';
 import api from '../services/api';
 
-export default function AIBehaviorSettings({ onMessage }) {
+export default function AIBehaviorSettings({ onMessage, onSaved }) {
   const [config, setConfig] = useState(null);
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
@@ -31,6 +31,7 @@ export default function AIBehaviorSettings({ onMessage }) {
     try {
       await api.put('/admin/prompt-config', config);
       onMessage?.({ type: 'success', text: 'AI behavior settings saved successfully!' });
+      onSaved?.();
     } catch (error) {
       onMessage?.({
         type: 'error',
@@ -42,13 +43,19 @@ export default function AIBehaviorSettings({ onMessage }) {
   };
 
   const resetConfig = async () => {
-    if (!confirm('Reset AI behavior settings to defaults? This cannot be undone.')) return;
+    if (
+      !confirm(
+        'Reset AI behavior settings to defaults? The current settings stay in the version history.'
+      )
+    )
+      return;
 
     setSaving(true);
     try {
       const response = await api.post('/admin/prompt-config/reset');
       setConfig(response.data.config);
       onMessage?.({ type: 'success', text: 'AI behavior settings reset to defaults' });
+      onSaved?.();
     } catch {
       onMessage?.({ type: 'error', text: 'Failed to reset settings' });
     } finally {
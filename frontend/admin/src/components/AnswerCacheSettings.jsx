@@ -0,0 +1,184 @@
+import { useState, useEffect } from 'react';
+import { answerCache } from '../services/api';
+import { Card, CardBody, CardHeader, Button, Input, LoadingSpinner } from './common';
+
+export default function AnswerCacheSettings({ clientId }) {
+  const [form, setForm] = useState(null);
+  const [entries, setEntries] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [isClearing, setIsClearing] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  useEffect(() => {
+    if (clientId) {
+      fetchAnswerCache();
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [clientId]);
+
+  const applyResponse = (data) => {
+    setForm(data.settings);
+    setEntries(data.entries);
+  };
+
+  const showSuccess = (message) => {
+    setSuccess(message);
+    setTimeout(() => setSuccess(null), 3000);
+  };
+
+  const fetchAnswerCache = async () => {
+    try {
+      setLoading(true);
+      const response = await answerCache.get(clientId);
+      applyResponse(response.data);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load answer cache settings');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSave = async () => {
+    try {
+      setIsSaving(true);
+      const response = await answerCache.update(clientId, {
+        ...form,
+        threshold: Number(form.threshold),
+        ttl_hours: Number(form.ttl_hours),
+      });
+      applyResponse(response.data);
+      setError(null);
+      showSuccess('Answer cache settings saved');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save answer cache settings');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleClear = async () => {
+    if (!window.confirm('Remove all cached answers? They are rebuilt as questions come in.')) {
+      return;
+    }
+    try {
+      setIsClearing(true);
+      const response = await answerCache.clear(clientId);
+      applyResponse(response.data);
+      setError(null);
+      showSuccess('Cached answers removed');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to clear the answer cache');
+    } finally {
+      setIsClearing(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center py-8">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  if (!form) {
+    return error ? (
+      <div className="p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">
+        {error}
+      </div>
+    ) : null;
+  }
+
+  return (
+    <Card>
+      <CardHeader className="flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-semibold">Answer Cache</h3>
+          <p className="text-sm text-gray-500 mt-1">
+            Replies to repeated questions that opened a conversation and needed no tools are reused
+            instead of calling the AI again. Changing business info or prompts starts a fresh cache.
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <Button variant="secondary" onClick={handleClear} loading={isClearing}>
+            Clear Cache
+          </Button>
+          <Button onClick={handleSave} loading={isSaving}>
+            Save
+          </Button>
+        </div>
+      </CardHeader>
+      <CardBody className="space-y-6">
+        {error && (
+          <div className="p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">
+            {error}
+            <button onClick={() => setError(null)} className="ml-2 font-bold">
+              &times;
+            </button>
+          </div>
+        )}
+        {success && (
+          <div className="p-3 bg-green-50 border border-green-200 text-green-700 rounded-lg text-sm">
+            {success}
+          </div>
+        )}
+
+        <div className="space-y-3">
+          <div className="flex items-center gap-3">
+            <input
+              type="checkbox"
+              id="answer_cache_enabled"
+              checked={form.enabled}
+              onChange={(e) => setForm({ ...form, enabled: e.target.checked })}
+              className="w-4 h-4 text-primary-600 rounded focus:ring-primary-500"
+            />
+            <label htmlFor="answer_cache_enabled" className="text-sm text-gray-700">
+              Answer repeated questions from the cache
+            </label>
+          </div>
+          <div className="flex items-center gap-3">
+            <input
+              type="checkbox"
+              id="answer_cache_similarity"
+              checked={form.similarity}
+              onChange={(e) => setForm({ ...form, similarity: e.target.checked })}
+              className="w-4 h-4 text-primary-600 rounded focus:ring-primary-500"
+            />
+            <label htmlFor="answer_cache_similarity" className="text-sm text-gray-700">
+              Also match similar wording and typos, not only the same question
+            </label>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <Input
+            label="Similarity threshold (0.6 - 1)"
+            type="number"
+            min="0.6"
+            max="1"
+            step="0.01"
+            value={form.threshold}
+            disabled={!form.similarity}
+            onChange={(e) => setForm({ ...form, threshold: e.target.value })}
+          />
+          <Input
+            label="Keep answers for (hours)"
+            type="number"
+            min="1"
+            max="168"
+            value={form.ttl_hours}
+            onChange={(e) => setForm({ ...form, ttl_hours: e.target.value })}
+          />
+        </div>
+
+        <p className="text-sm text-gray-500">
+          {entries === 1 ? '1 cached answer' : `${entries} cached answers`}. Hit rate and savings
+          are shown in Usage Reports.
+        </p>
+      </CardBody>
+    </Card>
+  );
+}
@@ -0,0 +1,217 @@
+import { useState, useEffect } from 'react';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from 'recharts';
+import { analytics, clients } from '../services/api';
+import {
+  Card,
+  CardBody,
+  CardHeader,
+  Select,
+  LoadingSpinner,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableHeader,
+  TableCell,
+} from './common';
+
+const PERIOD_OPTIONS = [
+  { value: '7', label: 'Last 7 days' },
+  { value: '30', label: 'Last 30 days' },
+  { value: '90', label: 'Last 90 days' },
+];
+
+const formatPercent = (value) => (value === null || value === undefined ? '-' : `${value}%`);
+
+function Metric({ label, value, hint }) {
+  return (
+    <div>
+      <p className="text-sm font-medium text-gray-600">{label}</p>
+      <p className="text-2xl font-bold text-gray-900 mt-1">{value}</p>
+      {hint && <p className="text-xs text-gray-500 mt-1">{hint}</p>}
+    </div>
+  );
+}
+
+function BreakdownTable({ title, rows, labelKey, formatLabel }) {
+  return (
+    <div>
+      <h4 className="text-sm font-semibold text-gray-700 mb-2">{title}</h4>
+      {rows.length === 0 ? (
+        <p className="text-sm text-gray-500">No feedback yet</p>
+      ) : (
+        <Table>
+          <TableHead>
+            <TableRow>
+              <TableHeader>{labelKey === 'tool' ? 'Tool' : 'Mode'}</TableHeader>
+              <TableHeader>Helpful</TableHeader>
+              <TableHeader>Ratings</TableHeader>
+              <TableHeader>CSAT</TableHeader>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {rows.map((row) => (
+              <TableRow key={row[labelKey] || 'none'}>
+                <TableCell className="font-medium text-gray-900">
+                  {formatLabel(row[labelKey])}
+                </TableCell>
+                <TableCell>
+                  {formatPercent(row.messageSatisfaction)}
+                  <span className="text-gray-400 ml-1">
+                    ({row.thumbsUp}/{row.thumbsUp + row.thumbsDown})
+                  </span>
+                </TableCell>
+                <TableCell>
+                  {row.ratings}
+                  {row.averageRating !== null && (
+                    <span className="text-gray-400 ml-1">(avg {row.averageRating})</span>
+                  )}
+                </TableCell>
+                <TableCell>{formatPercent(row.csat)}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Customer satisfaction: thumbs up/down on AI replies and end-of-conversation
+ * ratings, with a daily trend and breakdowns by tool and reasoning mode
+ */
+export default function CsatOverview() {
+  const [stats, setStats] = useState(null);
+  const [clientList, setClientList] = useState([]);
+  const [clientId, setClientId] = useState('');
+  const [days, setDays] = useState('30');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    clients
+      .getAll()
+      .then((response) => setClientList(response.data))
+      .catch(() => setClientList([]));
+  }, []);
+
+  useEffect(() => {
+    const fetchCsat = async () => {
+      setLoading(true);
+      try {
+        const response = await analytics.getCsat({ clientId: clientId || undefined, days });
+        setStats(response.data);
+        setError(null);
+      } catch (err) {
+        setError(err.response?.data?.error || 'Failed to load CSAT stats');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchCsat();
+  }, [clientId, days]);
+
+  const clientOptions = [
+    { value: '', label: 'All clients' },
+    ...clientList.map((client) => ({ value: String(client.id), label: client.name })),
+  ];
+
+  return (
+    <Card>
+      <CardHeader className="flex items-center justify-between">
+        <h3 className="text-lg font-semibold text-gray-900">Customer Satisfaction</h3>
+        <div className="flex gap-3">
+          <Select
+            options={clientOptions}
+            value={clientId}
+            onChange={(e) => setClientId(e.target.value)}
+          />
+          <Select options={PERIOD_OPTIONS} value={days} onChange={(e) => setDays(e.target.value)} />
+        </div>
+      </CardHeader>
+      <CardBody>
+        {loading && !stats ? (
+          <div className="flex justify-center py-8">
+            <LoadingSpinner />
+          </div>
+        ) : error ? (
+          <div className="bg-red-50 border border-red-200 text-red-700 p-4 rounded-lg">{error}</div>
+        ) : (
+          <div className="space-y-6">
+            <div className="grid grid-cols-2 lg:grid-cols-4 gap-6">
+              <Metric
+                label="CSAT"
+                value={formatPercent(stats.csat)}
+                hint="Conversations rated 4 or 5"
+              />
+              <Metric
+                label="Average rating"
+                value={stats.averageRating ?? '-'}
+                hint={`${stats.ratings} rated conversations`}
+              />
+              <Metric
+                label="Helpful replies"
+                value={formatPercent(stats.messageSatisfaction)}
+                hint={`${stats.thumbsUp} up / ${stats.thumbsDown} down`}
+              />
+              <Metric label="Period" value={`${stats.days} days`} />
+            </div>
+
+            {stats.trend.length > 0 && (
+              <ResponsiveContainer width="100%" height={250}>
+                <LineChart data={stats.trend}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+                  <XAxis dataKey="date" stroke="#6b7280" fontSize={12} />
+                  <YAxis domain={[0, 100]} unit="%" stroke="#6b7280" fontSize={12} />
+                  <Tooltip />
+                  <Legend />
+                  <Line
+                    type="monotone"
+                    dataKey="csat"
+                    name="CSAT"
+                    stroke="#0ea5e9"
+                    strokeWidth={2}
+                    connectNulls
+                  />
+                  <Line
+                    type="monotone"
+                    dataKey="messageSatisfaction"
+                    name="Helpful replies"
+                    stroke="#22c55e"
+                    strokeWidth={2}
+                    connectNulls
+                  />
+                </LineChart>
+              </ResponsiveContainer>
+            )}
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              <BreakdownTable
+                title="By tool"
+                rows={stats.byTool}
+                labelKey="tool"
+                formatLabel={(tool) => tool || 'No tool'}
+              />
+              <BreakdownTable
+                title="By reasoning mode"
+                rows={stats.byMode}
+                labelKey="mode"
+                formatLabel={(mode) => mode}
+              />
+            </div>
+          </div>
+        )}
+      </CardBody>
+    </Card>
+  );
+}
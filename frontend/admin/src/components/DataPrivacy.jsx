@@ -0,0 +1,317 @@
+import { useState, useEffect } from 'react';
+import { privacy } from '../services/api';
+import { Card, CardBody, CardHeader, Button, Badge, Input, LoadingSpinner } from './common';
+import RedactionSettings from './RedactionSettings';
+
+const DATA_TYPE_LABELS = {
+  messages: {
+    label: 'Messages',
+    help: 'Whole transcripts, including debug messages',
+  },
+  debug_messages: {
+    label: 'Debug messages',
+    help: 'Tool calls, tool results and internal reasoning messages',
+  },
+  tool_executions: { label: 'Tool executions', help: 'Tool call log with parameters and results' },
+  escalations: { label: 'Escalations', help: 'Resolved and cancelled escalations' },
+};
+
+const REPORT_LABELS = {
+  conversations: 'Conversations',
+  messages: 'Messages',
+  tool_executions: 'Tool executions',
+  escalations: 'Escalations',
+  message_feedback: 'Message ratings',
+  conversation_feedback: 'Conversation ratings',
+  attachments: 'Attachments',
+  webhook_deliveries: 'Webhook deliveries',
+};
+
+// Retention windows as form values ('' = keep forever)
+const toForm = (values) =>
+  Object.fromEntries(Object.entries(values).map(([type, days]) => [type, days ?? '']));
+
+const STATUS_VARIANTS = { completed: 'success', failed: 'danger', processing: 'warning' };
+
+// Record counts of a request report, e.g. "3 Conversations, 41 Messages"
+const describeReport = (report) =>
+  Object.entries(report || {})
+    .filter(([, count]) => count > 0)
+    .map(([key, count]) => `${count} ${REPORT_LABELS[key] || key}`)
+    .join(', ') || 'No data found';
+
+// Save an export as a JSON file
+const downloadJson = (data, fileName) => {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  window.URL.revokeObjectURL(url);
+  document.body.removeChild(a);
+};
+
+export default function DataPrivacy({ clientId }) {
+  const [retention, setRetention] = useState(null);
+  const [form, setForm] = useState({});
+  const [requests, setRequests] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [userIdentifier, setUserIdentifier] = useState('');
+  const [runningRequest, setRunningRequest] = useState(null); // 'export' | 'erase'
+  const [lastReport, setLastReport] = useState(null);
+
+  useEffect(() => {
+    if (clientId) {
+      fetchData();
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [clientId]);
+
+  const fetchData = async () => {
+    try {
+      setLoading(true);
+      const [retentionResponse, requestsResponse] = await Promise.all([
+        privacy.getRetention(clientId),
+        privacy.getRequests(clientId),
+      ]);
+      setRetention(retentionResponse.data);
+      setForm(toForm(retentionResponse.data.retention));
+      setRequests(requestsResponse.data.requests);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load privacy settings');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchRequests = async () => {
+    try {
+      const response = await privacy.getRequests(clientId);
+      setRequests(response.data.requests);
+    } catch (err) {
+      console.error('Failed to load data requests:', err);
+    }
+  };
+
+  const handleSave = async () => {
+    try {
+      setIsSaving(true);
+      const values = Object.fromEntries(
+        Object.entries(form).map(([type, days]) => [type, days === '' ? null : parseInt(days)])
+      );
+      const response = await privacy.updateRetention(clientId, values);
+      setRetention(response.data);
+      setForm(toForm(response.data.retention));
+      setError(null);
+      setSuccess('Retention settings saved');
+      setTimeout(() => setSuccess(null), 3000);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save retention settings');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleExport = async () => {
+    const identifier = userIdentifier.trim();
+    if (!identifier) return;
+
+    try {
+      setRunningRequest('export');
+      const response = await privacy.exportUserData(clientId, identifier);
+      const { request, data } = response.data;
+      downloadJson(data, `user-data-${identifier.replace(/[^\w.@+-]/g, '_')}.json`);
+      setLastReport(request);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Export failed');
+    } finally {
+      setRunningRequest(null);
+      fetchRequests();
+    }
+  };
+
+  const handleErase = async () => {
+    const identifier = userIdentifier.trim();
+    if (!identifier) return;
+    if (
+      !confirm(
+        `Permanently delete all conversations and data of "${identifier}"? This cannot be undone.`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      setRunningRequest('erase');
+      const response = await privacy.eraseUserData(clientId, identifier);
+      setLastReport(response.data);
+      setUserIdentifier('');
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Erase failed');
+    } finally {
+      setRunningRequest(null);
+      fetchRequests();
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center py-8">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {error && (
+        <div className="p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">
+          {error}
+          <button onClick={() => setError(null)} className="ml-2 font-bold">
+            &times;
+          </button>
+        </div>
+      )}
+
+      <RedactionSettings clientId={clientId} />
+
+      {/* Retention */}
+      <Card>
+        <CardHeader className="flex items-center justify-between">
+          <div>
+            <h3 className="text-lg font-semibold">Data Retention</h3>
+            <p className="text-sm text-gray-500 mt-1">
+              Records older than these windows are deleted automatically. Leave empty to keep
+              forever.
+            </p>
+          </div>
+          <Button onClick={handleSave} loading={isSaving}>
+            Save
+          </Button>
+        </CardHeader>
+        <CardBody>
+          {success && (
+            <div className="mb-4 p-3 bg-green-50 border border-green-200 text-green-700 rounded-lg text-sm">
+              {success}
+            </div>
+          )}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {(retention?.dataTypes || []).map((type) => (
+              <div key={type}>
+                <Input
+                  type="number"
+                  label={`${DATA_TYPE_LABELS[type]?.label || type} (days)`}
+                  min={retention.minDays}
+                  max={retention.maxDays}
+                  value={form[type] ?? ''}
+                  onChange={(e) => setForm((prev) => ({ ...prev, [type]: e.target.value }))}
+                  placeholder="Keep forever"
+                />
+                <p className="text-xs text-gray-500 mt-1">{DATA_TYPE_LABELS[type]?.help}</p>
+              </div>
+            ))}
+          </div>
+        </CardBody>
+      </Card>
+
+      {/* End-user data requests */}
+      <Card>
+        <CardHeader>
+          <h3 className="text-lg font-semibold">End-User Data</h3>
+          <p className="text-sm text-gray-500 mt-1">
+            Export or erase everything stored for one end user, found by the email, phone number or
+            user ID their conversations were started with
+          </p>
+        </CardHeader>
+        <CardBody>
+          <div className="flex gap-2">
+            <Input
+              className="flex-1"
+              value={userIdentifier}
+              onChange={(e) => setUserIdentifier(e.target.value)}
+              placeholder="e.g. jane@example.com or +15551234567"
+            />
+            <Button
+              variant="secondary"
+              onClick={handleExport}
+              loading={runningRequest === 'export'}
+              disabled={!userIdentifier.trim() || Boolean(runningRequest)}
+            >
+              Export
+            </Button>
+            <Button
+              variant="danger"
+              onClick={handleErase}
+              loading={runningRequest === 'erase'}
+              disabled={!userIdentifier.trim() || Boolean(runningRequest)}
+            >
+              Erase
+            </Button>
+          </div>
+
+          {lastReport && (
+            <div className="mt-4 bg-blue-50 border border-blue-200 rounded-lg p-4 text-sm text-blue-900">
+              <div className="font-semibold mb-1">
+                {lastReport.request_type === 'erase' ? 'Erased' : 'Exported'} data of{' '}
+                {lastReport.user_identifier}
+              </div>
+              {describeReport(lastReport.report)}
+            </div>
+          )}
+
+          <h4 className="font-semibold text-gray-900 mt-6 mb-2">Request History</h4>
+          {requests.length === 0 ? (
+            <p className="text-sm text-gray-500">No requests yet</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-2 text-left font-medium text-gray-500">Date</th>
+                    <th className="px-4 py-2 text-left font-medium text-gray-500">Type</th>
+                    <th className="px-4 py-2 text-left font-medium text-gray-500">User</th>
+                    <th className="px-4 py-2 text-left font-medium text-gray-500">Requested By</th>
+                    <th className="px-4 py-2 text-left font-medium text-gray-500">Status</th>
+                    <th className="px-4 py-2 text-left font-medium text-gray-500">Report</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {requests.map((request) => (
+                    <tr key={request.id}>
+                      <td className="px-4 py-2 whitespace-nowrap text-gray-500">
+                        {new Date(request.created_at).toLocaleString()}
+                      </td>
+                      <td className="px-4 py-2 capitalize">{request.request_type}</td>
+                      <td className="px-4 py-2">{request.user_identifier}</td>
+                      <td className="px-4 py-2 text-gray-500">
+                        {request.requested_by_name || request.requested_by_type}
+                      </td>
+                      <td className="px-4 py-2">
+                        <Badge variant={STATUS_VARIANTS[request.status] || 'default'}>
+                          {request.status}
+                        </Badge>
+                      </td>
+                      <td className="px-4 py-2 text-gray-600">
+                        {request.status === 'failed'
+                          ? request.error
+                          : describeReport(request.report)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </CardBody>
+      </Card>
+    </div>
+  );
+}
@@ -1,7 +1,7 @@
 import { useState, useEffect } from 'react';
 import api from '../services/api';
 
-export default function GuidedReasoningSettings({ onMessage }) {
+export default function GuidedReasoningSettings({ onMessage, onSaved }) {
   const [config, setConfig] = useState(null);
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
@@ -30,6 +30,7 @@ export default function GuidedReasoningSettings({ onMessage }) {
     try {
       await api.put('/admin/prompt-config/adaptive', config);
       onMessage?.({ type: 'success', text: 'Guided reasoning settings saved successfully!' });
+      onSaved?.();
     } catch (error) {
       onMessage?.({
         type: 'error',
@@ -41,13 +42,19 @@ export default function GuidedReasoningSettings({ onMessage }) {
   };
 
   const resetConfig = async () => {
-    if (!confirm('Reset guided reasoning settings to defaults? This cannot be undone.')) return;
+    if (
+      !confirm(
+        'Reset guided reasoning settings to defaults? The current settings stay in the version history.'
+      )
+    )
+      return;
 
     setSaving(true);
     try {
       const response = await api.post('/admin/prompt-config/adaptive/reset');
       setConfig(response.data.config);
       onMessage?.({ type: 'success', text: 'Guided reasoning settings reset to defaults' });
+      onSaved?.();
     } catch {
       onMessage?.({ type: 'error', text: 'Failed to reset settings' });
     } finally {
@@ -76,6 +76,38 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     fontSize: 16,
   },
+  table: {
+    marginTop: 10,
+  },
+  tableHeader: {
+    flexDirection: 'row',
+    borderBottom: '1 solid #000',
+    paddingBottom: 5,
+    marginBottom: 5,
+    fontSize: 10,
+    fontWeight: 'bold',
+  },
+  tableRow: {
+    flexDirection: 'row',
+    borderBottom: '1 solid #eee',
+    paddingVertical: 5,
+    fontSize: 10,
+  },
+  colDescription: {
+    width: '46%',
+  },
+  colQuantity: {
+    width: '14%',
+    textAlign: 'right',
+  },
+  colUnitPrice: {
+    width: '20%',
+    textAlign: 'right',
+  },
+  colAmount: {
+    width: '20%',
+    textAlign: 'right',
+  },
   grid: {
     flexDirection: 'row',
     flexWrap: 'wrap',
@@ -102,6 +134,9 @@ const styles = StyleSheet.create({
   statusBadgeCancelled: {
     backgroundColor: '#9E9E9E',
   },
+  statusBadgeCredited: {
+    backgroundColor: '#2196F3',
+  },
   paymentInfo: {
     backgroundColor: '#e8f5e9',
     padding: 12,
@@ -140,24 +175,87 @@ const getStatusBadgeStyle = (status) => {
       return [styles.statusBadge, styles.statusBadgeOverdue];
     case 'cancelled':
       return [styles.statusBadge, styles.statusBadgeCancelled];
+    case 'credited':
+      return [styles.statusBadge, styles.statusBadgeCredited];
     default:
       return styles.statusBadge;
   }
 };
 
-const formatCurrency = (amount) => {
+const formatCurrency = (amount, currency = 'USD') => {
   return new Intl.NumberFormat('en-US', {
     style: 'currency',
-    currency: 'USD',
+    currency: currency || 'USD',
   }).format(amount || 0);
 };
 
+const formatQuantity = (quantity) => {
+  return new Intl.NumberFormat('en-US', { maximumFractionDigits: 3 }).format(quantity || 0);
+};
+
 const formatDate = (dateString) => {
   if (!dateString) return 'N/A';
   return new Date(dateString).toLocaleDateString();
 };
 
-export const InvoicePDF = ({ invoice }) => {
+// Seller and customer details (with tax IDs) shown on invoices and credit notes
+const Parties = ({ seller, invoice }) => (
+  <View style={[styles.section, { flexDirection: 'row' }]}>
+    {seller && (
+      <View style={{ width: '50%', paddingRight: 10 }}>
+        <Text style={styles.sectionTitle}>From</Text>
+        <View style={styles.box}>
+          <Text style={styles.value}>{seller.name}</Text>
+          {seller.address && <Text style={styles.subtitle}>{seller.address}</Text>}
+          {seller.taxId && <Text style={styles.subtitle}>Tax ID: {seller.taxId}</Text>}
+        </View>
+      </View>
+    )}
+    <View style={{ width: seller ? '50%' : '100%' }}>
+      <Text style={styles.sectionTitle}>Billed To</Text>
+      <View style={styles.box}>
+        <Text style={styles.value}>{invoice.client_name || `Client ${invoice.client_id}`}</Text>
+        {invoice.billing_address && <Text style={styles.subtitle}>{invoice.billing_address}</Text>}
+        {invoice.billing_country && <Text style={styles.subtitle}>{invoice.billing_country}</Text>}
+        {invoice.customer_tax_id && (
+          <Text style={styles.subtitle}>Tax ID: {invoice.customer_tax_id}</Text>
+        )}
+      </View>
+    </View>
+  </View>
+);
+
+const LineItems = ({ items, currency }) => (
+  <View style={styles.table}>
+    <View style={styles.tableHeader}>
+      <Text style={styles.colDescription}>Description</Text>
+      <Text style={styles.colQuantity}>Qty</Text>
+      <Text style={styles.colUnitPrice}>Unit Price</Text>
+      <Text style={styles.colAmount}>Amount</Text>
+    </View>
+    {items.map((item) => (
+      <View key={item.id} style={styles.tableRow}>
+        <Text style={styles.colDescription}>{item.description}</Text>
+        <Text style={styles.colQuantity}>{formatQuantity(item.quantity)}</Text>
+        <Text style={styles.colUnitPrice}>
+          {new Intl.NumberFormat('en-US', {
+            style: 'currency',
+            currency: currency || 'USD',
+            maximumFractionDigits: 6,
+          }).format(item.unit_price || 0)}
+        </Text>
+        <Text style={styles.colAmount}>{formatCurrency(item.amount, currency)}</Text>
+      </View>
+    ))}
+  </View>
+);
+
+export const InvoicePDF = ({ invoice, seller }) => {
+  const currency = invoice.currency || 'USD';
+  const lineItems = invoice.line_items || [];
+  const creditNotes = invoice.credit_notes || [];
+  const balanceDue = parseFloat(invoice.total_cost || 0) - parseFloat(invoice.amount_credited || 0);
+
   return (
     <Document>
       <Page size="A4" style={styles.page}>
@@ -172,7 +270,9 @@ export const InvoicePDF = ({ invoice }) => {
           >
             <View>
               <Text style={styles.title}>INVOICE</Text>
-              <Text style={styles.subtitle}>Invoice #{invoice.id}</Text>
+              <Text style={styles.subtitle}>
+                Invoice {invoice.invoice_number || `#${invoice.id}`}
+              </Text>
               <Text style={styles.subtitle}>Billing Period: {invoice.billing_period}</Text>
             </View>
             <View style={{ alignItems: 'flex-end' }}>
@@ -188,43 +288,51 @@ export const InvoicePDF = ({ invoice }) => {
           </View>
         </View>
 
-        {/* Client Information */}
-        <View style={styles.section}>
-          <Text style={styles.sectionTitle}>Client Information</Text>
-          <View style={styles.box}>
-            <View style={{ marginBottom: 5 }}>
-              <Text style={styles.label}>
-                Name:{' '}
-                <Text style={styles.value}>
-                  {invoice.client_name || `Client ${invoice.client_id}`}
-                </Text>
-              </Text>
-            </View>
-            <View>
-              <Text style={styles.label}>
-                Client ID: <Text style={styles.value}>{invoice.client_id}</Text>
-              </Text>
-            </View>
-          </View>
-        </View>
+        <Parties seller={seller} invoice={invoice} />
 
         {/* Cost Breakdown */}
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>Cost Breakdown</Text>
-          <View style={styles.costBreakdown}>
-            <View style={styles.costRow}>
-              <Text style={styles.label}>Base Cost ({invoice.plan_type || 'N/A'}):</Text>
-              <Text style={styles.value}>{formatCurrency(invoice.base_cost || 0)}</Text>
+          {lineItems.length > 0 ? (
+            <LineItems items={lineItems} currency={currency} />
+          ) : (
+            <View style={styles.costBreakdown}>
+              <View style={styles.costRow}>
+                <Text style={styles.label}>Base Cost ({invoice.plan_type || 'N/A'}):</Text>
+                <Text style={styles.value}>{formatCurrency(invoice.base_cost, currency)}</Text>
+              </View>
+              <View style={styles.costRow}>
+                <Text style={styles.label}>Usage Cost:</Text>
+                <Text style={styles.value}>{formatCurrency(invoice.usage_cost, currency)}</Text>
+              </View>
             </View>
-            <View style={styles.costRow}>
-              <Text style={styles.label}>Usage Cost:</Text>
-              <Text style={styles.value}>{formatCurrency(invoice.usage_cost || 0)}</Text>
+          )}
+          <View style={[styles.row, { marginTop: 10 }]}>
+            <Text style={styles.label}>Subtotal:</Text>
+            <Text style={styles.value}>
+              {formatCurrency(invoice.subtotal ?? invoice.total_cost, currency)}
+            </Text>
+          </View>
+          <View style={styles.row}>
+            <Text style={styles.label}>Tax ({parseFloat(invoice.tax_rate || 0)}%):</Text>
+            <Text style={styles.value}>{formatCurrency(invoice.tax_amount, currency)}</Text>
+          </View>
+          <View style={styles.totalRow}>
+            <Text style={styles.totalLabel}>Total Amount:</Text>
+            <Text style={styles.totalValue}>{formatCurrency(invoice.total_cost, currency)}</Text>
+          </View>
+          {creditNotes.map((note) => (
+            <View key={note.id} style={[styles.row, { marginTop: 5 }]}>
+              <Text style={styles.label}>Credit note {note.credit_note_number}:</Text>
+              <Text style={styles.value}>-{formatCurrency(note.total, currency)}</Text>
             </View>
-            <View style={styles.totalRow}>
-              <Text style={styles.totalLabel}>Total Amount:</Text>
-              <Text style={styles.totalValue}>{formatCurrency(invoice.total_cost)}</Text>
+          ))}
+          {creditNotes.length > 0 && (
+            <View style={[styles.row, { marginTop: 5 }]}>
+              <Text style={styles.totalLabel}>Balance Due:</Text>
+              <Text style={styles.totalLabel}>{formatCurrency(balanceDue, currency)}</Text>
             </View>
-          </View>
+          )}
         </View>
 
         {/* Dates */}
@@ -315,3 +423,55 @@ export const InvoicePDF = ({ invoice }) => {
     </Document>
   );
 };
+
+export const CreditNotePDF = ({ creditNote, invoice, seller }) => {
+  const currency = creditNote.currency || invoice.currency || 'USD';
+
+  return (
+    <Document>
+      <Page size="A4" style={styles.page}>
+        <View style={styles.header}>
+          <Text style={styles.title}>CREDIT NOTE</Text>
+          <Text style={styles.subtitle}>Credit Note {creditNote.credit_note_number}</Text>
+          <Text style={styles.subtitle}>
+            For Invoice {invoice.invoice_number} ({invoice.billing_period})
+          </Text>
+          <Text style={styles.subtitle}>Issued: {formatDate(creditNote.created_at)}</Text>
+        </View>
+
+        <Parties seller={seller} invoice={invoice} />
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Credited Items</Text>
+          <LineItems items={creditNote.line_items || []} currency={currency} />
+          <View style={[styles.row, { marginTop: 10 }]}>
+            <Text style={styles.label}>Subtotal:</Text>
+            <Text style={styles.value}>{formatCurrency(creditNote.subtotal, currency)}</Text>
+          </View>
+          <View style={styles.row}>
+            <Text style={styles.label}>Tax ({parseFloat(creditNote.tax_rate || 0)}%):</Text>
+            <Text style={styles.value}>{formatCurrency(creditNote.tax_amount, currency)}</Text>
+          </View>
+          <View style={styles.totalRow}>
+            <Text style={styles.totalLabel}>Total Credited:</Text>
+            <Text style={styles.totalValue}>{formatCurrency(creditNote.total, currency)}</Text>
+          </View>
+        </View>
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Reason</Text>
+          <View style={styles.notes}>
+            <Text>{creditNote.reason}</Text>
+          </View>
+        </View>
+
+        <View style={styles.footer}>
+          <Text>
+            This credit note corrects the invoice referenced above. For questions, please contact
+            support.
+          </Text>
+        </View>
+      </Page>
+    </Document>
+  );
+};
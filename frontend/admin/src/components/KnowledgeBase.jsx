@@ -0,0 +1,370 @@
+import { useState, useEffect } from 'react';
+import { knowledge } from '../services/api';
+import {
+  Card,
+  CardBody,
+  CardHeader,
+  Button,
+  Badge,
+  Modal,
+  Input,
+  Select,
+  LoadingSpinner,
+} from './common';
+
+const SOURCE_TYPES = [
+  { value: 'markdown', label: 'Markdown' },
+  { value: 'html', label: 'HTML' },
+  { value: 'pdf', label: 'PDF text' },
+  { value: 'text', label: 'Plain text' },
+];
+
+const EMPTY_DOCUMENT = { title: '', source_type: 'markdown', content: '', source_name: '' };
+
+// Guess the document format from a file name
+const getSourceType = (fileName) => {
+  const extension = fileName.split('.').pop().toLowerCase();
+  if (['md', 'markdown'].includes(extension)) return 'markdown';
+  if (['html', 'htm'].includes(extension)) return 'html';
+  if (extension === 'pdf') return 'pdf';
+  return 'text';
+};
+
+export default function KnowledgeBase({ clientId }) {
+  const [documents, setDocuments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [isModalOpen, setIsModalOpen] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(EMPTY_DOCUMENT);
+  const [isSaving, setIsSaving] = useState(false);
+  const [query, setQuery] = useState('');
+  const [searchResults, setSearchResults] = useState(null);
+  const [isSearching, setIsSearching] = useState(false);
+
+  useEffect(() => {
+    if (clientId) {
+      fetchDocuments();
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [clientId]);
+
+  const fetchDocuments = async () => {
+    try {
+      setLoading(true);
+      const response = await knowledge.getDocuments(clientId);
+      setDocuments(response.data);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load knowledge base');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleOpenAdd = () => {
+    setEditingId(null);
+    setForm(EMPTY_DOCUMENT);
+    setIsModalOpen(true);
+  };
+
+  const handleOpenEdit = async (documentId) => {
+    try {
+      const response = await knowledge.getDocument(documentId);
+      const document = response.data;
+      setEditingId(documentId);
+      setForm({
+        title: document.title,
+        source_type: document.source_type,
+        content: document.content,
+        source_name: document.source_name || '',
+      });
+      setIsModalOpen(true);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load document');
+    }
+  };
+
+  const handleFileChange = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    const sourceType = getSourceType(file.name);
+    if (sourceType === 'pdf') {
+      alert(
+        'PDF files must be converted to text first (e.g. with pdftotext). Paste the extracted text below.'
+      );
+      setForm({ ...form, source_type: 'pdf', source_name: file.name });
+      return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      setForm((current) => ({
+        ...current,
+        title: current.title || file.name.replace(/\.[^.]+$/, ''),
+        source_type: sourceType,
+        source_name: file.name,
+        content: String(reader.result || ''),
+      }));
+    };
+    reader.readAsText(file);
+  };
+
+  const handleSave = async () => {
+    if (!form.title.trim() || !form.content.trim()) {
+      alert('Title and content are required');
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      if (editingId) {
+        await knowledge.updateDocument(editingId, form);
+      } else {
+        await knowledge.createDocument(clientId, form);
+      }
+      setIsModalOpen(false);
+      setSearchResults(null);
+      fetchDocuments();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save document');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleToggle = async (document) => {
+    try {
+      await knowledge.updateDocument(document.id, { enabled: !document.enabled });
+      fetchDocuments();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to update document');
+    }
+  };
+
+  const handleDelete = async (documentId) => {
+    if (!confirm('Are you sure you want to delete this document?')) {
+      return;
+    }
+
+    try {
+      await knowledge.deleteDocument(documentId);
+      setSearchResults(null);
+      fetchDocuments();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete document');
+    }
+  };
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    if (!query.trim()) return;
+
+    try {
+      setIsSearching(true);
+      const response = await knowledge.search(clientId, query);
+      setSearchResults(response.data.results);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Search failed');
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center py-8">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  return (
+    <Card>
+      <CardHeader className="flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-semibold">Knowledge Base</h3>
+          <p className="text-sm text-gray-500 mt-1">
+            Documents the AI can search to answer questions (catalogues, manuals, long policies)
+          </p>
+        </div>
+        <Button onClick={handleOpenAdd}>Add Document</Button>
+      </CardHeader>
+      <CardBody>
+        {error && (
+          <div className="mb-4 p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">
+            {error}
+            <button onClick={() => setError(null)} className="ml-2 font-bold">
+              &times;
+            </button>
+          </div>
+        )}
+
+        {documents.length === 0 ? (
+          <div className="text-center py-8">
+            <p className="text-gray-500 mb-4">No documents yet</p>
+            <p className="text-sm text-gray-400">
+              Add markdown, HTML or PDF text to let the AI answer from your own documents
+            </p>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {documents.map((document) => (
+              <div
+                key={document.id}
+                className="border border-gray-200 rounded-lg p-4 hover:border-gray-300 transition-colors"
+              >
+                <div className="flex items-center justify-between">
+                  <div>
+                    <div className="flex items-center gap-2">
+                      <span className="font-medium text-gray-900">{document.title}</span>
+                      <Badge variant="default">
+                        {SOURCE_TYPES.find((t) => t.value === document.source_type)?.label ||
+                          document.source_type}
+                      </Badge>
+                      {!document.enabled && <Badge variant="warning">Disabled</Badge>}
+                    </div>
+                    <div className="text-sm text-gray-500 mt-1">
+                      {document.chunk_count} chunks &bull;{' '}
+                      {Math.ceil((document.content_length || 0) / 1024)} KB
+                      {document.source_name && <span> &bull; {document.source_name}</span>}
+                      <span className="ml-2">
+                        &bull; Updated {new Date(document.updated_at).toLocaleString()}
+                      </span>
+                    </div>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <Button variant="ghost" size="sm" onClick={() => handleOpenEdit(document.id)}>
+                      Edit
+                    </Button>
+                    <Button variant="ghost" size="sm" onClick={() => handleToggle(document)}>
+                      {document.enabled ? 'Disable' : 'Enable'}
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      className="text-red-600 hover:text-red-700 hover:bg-red-50"
+                      onClick={() => handleDelete(document.id)}
+                    >
+                      Delete
+                    </Button>
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {/* Search Preview */}
+        {documents.length > 0 && (
+          <div className="mt-6 border-t border-gray-200 pt-6">
+            <h4 className="font-semibold text-gray-900 mb-2">Test a Question</h4>
+            <form onSubmit={handleSearch} className="flex gap-2">
+              <Input
+                className="flex-1"
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                placeholder="e.g. What is the warranty on laptops?"
+              />
+              <Button type="submit" loading={isSearching}>
+                Search
+              </Button>
+            </form>
+
+            {searchResults && (
+              <div className="mt-4 space-y-3">
+                {searchResults.length === 0 ? (
+                  <p className="text-sm text-gray-500">No matching passages found</p>
+                ) : (
+                  searchResults.map((result, index) => (
+                    <div key={result.chunk_id} className="bg-gray-50 rounded-lg p-3">
+                      <div className="text-sm font-medium text-gray-900">
+                        [{index + 1}] {result.title}
+                        {result.heading && (
+                          <span className="text-gray-500"> &rsaquo; {result.heading}</span>
+                        )}
+                        {result.page && (
+                          <span className="text-gray-500"> (page {result.page})</span>
+                        )}
+                        <span className="ml-2 text-xs text-gray-400">score {result.score}</span>
+                      </div>
+                      <p className="text-sm text-gray-600 mt-1 whitespace-pre-line line-clamp-4">
+                        {result.content}
+                      </p>
+                    </div>
+                  ))
+                )}
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Info Box */}
+        <div className="mt-6 bg-blue-50 border border-blue-200 rounded-lg p-4">
+          <h4 className="font-semibold text-blue-900 mb-2">How the Knowledge Base Works</h4>
+          <ul className="text-sm text-blue-800 space-y-1 list-disc list-inside">
+            <li>Documents are split into sections along their headings</li>
+            <li>
+              In adaptive mode the AI searches them when Business Info doesn't cover a question
+            </li>
+            <li>Answers cite the document they came from</li>
+            <li>PDFs are added as extracted text; form feeds between pages keep page numbers</li>
+          </ul>
+        </div>
+      </CardBody>
+
+      {/* Add / Edit Modal */}
+      <Modal
+        isOpen={isModalOpen}
+        onClose={() => setIsModalOpen(false)}
+        title={editingId ? 'Edit Document' : 'Add Document'}
+      >
+        <div className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Load from File</label>
+            <input
+              type="file"
+              accept=".md,.markdown,.html,.htm,.txt,.pdf"
+              onChange={handleFileChange}
+              className="text-sm text-gray-600"
+            />
+          </div>
+
+          <Input
+            label="Title"
+            value={form.title}
+            onChange={(e) => setForm({ ...form, title: e.target.value })}
+            placeholder="e.g. Product Catalogue"
+          />
+
+          <Select
+            label="Format"
+            value={form.source_type}
+            onChange={(e) => setForm({ ...form, source_type: e.target.value })}
+            options={SOURCE_TYPES}
+          />
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Content</label>
+            <textarea
+              value={form.content}
+              onChange={(e) => setForm({ ...form, content: e.target.value })}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent font-mono text-sm"
+              rows="12"
+            />
+          </div>
+
+          <div className="flex justify-end gap-3">
+            <Button variant="secondary" onClick={() => setIsModalOpen(false)}>
+              Cancel
+            </Button>
+            <Button onClick={handleSave} loading={isSaving}>
+              {editingId ? 'Save Changes' : 'Add Document'}
+            </Button>
+          </div>
+        </div>
+      </Modal>
+    </Card>
+  );
+}
@@ -0,0 +1,248 @@
+import { useState, useEffect } from 'react';
+import { llmFailover, usage } from '../services/api';
+import { Card, CardBody, CardHeader, Button, Badge, Input, Select, LoadingSpinner } from './common';
+
+const PROVIDER_LABELS = {
+  ollama: 'Ollama (local)',
+  groq: 'Groq',
+  openai: 'OpenAI',
+  claude: 'Claude (Anthropic)',
+};
+
+const CIRCUIT_VARIANTS = { closed: 'success', half_open: 'warning', open: 'danger' };
+const CIRCUIT_LABELS = { closed: 'Healthy', half_open: 'Probing', open: 'Circuit open' };
+
+export default function LlmFailover({ clientId }) {
+  const [config, setConfig] = useState(null);
+  const [fallbacks, setFallbacks] = useState([]);
+  const [providerUsage, setProviderUsage] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  useEffect(() => {
+    if (clientId) {
+      fetchFailover();
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [clientId]);
+
+  const applyResponse = (data) => {
+    setConfig(data);
+    setFallbacks(
+      data.fallbacks.map((item) => ({ provider: item.provider, model: item.model || '' }))
+    );
+  };
+
+  const fetchFailover = async () => {
+    try {
+      setLoading(true);
+      const [failoverResponse, usageResponse] = await Promise.all([
+        llmFailover.get(clientId),
+        usage.getProviderBreakdown(clientId, 'month'),
+      ]);
+      applyResponse(failoverResponse.data);
+      setProviderUsage(usageResponse);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load fallback providers');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSave = async () => {
+    try {
+      setIsSaving(true);
+      const response = await llmFailover.update(clientId, fallbacks);
+      applyResponse(response.data);
+      setError(null);
+      setSuccess('Fallback providers saved');
+      setTimeout(() => setSuccess(null), 3000);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save fallback providers');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const updateFallback = (index, field, value) => {
+    setFallbacks((prev) =>
+      prev.map((item, i) => (i === index ? { ...item, [field]: value } : item))
+    );
+  };
+
+  const moveFallback = (index, offset) => {
+    setFallbacks((prev) => {
+      const next = [...prev];
+      [next[index], next[index + offset]] = [next[index + offset], next[index]];
+      return next;
+    });
+  };
+
+  const addFallback = () => {
+    const used = [config.primary.provider, ...fallbacks.map((item) => item.provider)];
+    const provider = config.providers.find((p) => !used.includes(p)) || config.providers[0];
+    setFallbacks((prev) => [...prev, { provider, model: '' }]);
+  };
+
+  const removeFallback = (index) => {
+    setFallbacks((prev) => prev.filter((_, i) => i !== index));
+  };
+
+  const renderHealth = (provider) => {
+    const status = config.health[provider];
+    if (!status) {
+      return <Badge>No traffic</Badge>;
+    }
+    return (
+      <span title={`${status.failures}/${status.requests} failed in the last minute`}>
+        <Badge variant={CIRCUIT_VARIANTS[status.state]}>{CIRCUIT_LABELS[status.state]}</Badge>
+      </span>
+    );
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center py-8">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  if (!config) {
+    return error ? (
+      <div className="p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">
+        {error}
+      </div>
+    ) : null;
+  }
+
+  const providerOptions = config.providers.map((provider) => ({
+    value: provider,
+    label: PROVIDER_LABELS[provider] || provider,
+  }));
+
+  return (
+    <Card>
+      <CardHeader className="flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-semibold">Fallback Providers</h3>
+          <p className="text-sm text-gray-500 mt-1">
+            Tried in order when the client&apos;s AI provider fails or has been failing for
+            everyone. A reply that already started streaming is not retried.
+          </p>
+        </div>
+        <Button onClick={handleSave} loading={isSaving}>
+          Save
+        </Button>
+      </CardHeader>
+      <CardBody className="space-y-6">
+        {error && (
+          <div className="p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">
+            {error}
+            <button onClick={() => setError(null)} className="ml-2 font-bold">
+              &times;
+            </button>
+          </div>
+        )}
+        {success && (
+          <div className="p-3 bg-green-50 border border-green-200 text-green-700 rounded-lg text-sm">
+            {success}
+          </div>
+        )}
+
+        <div className="space-y-3">
+          <div className="flex items-center gap-3 p-3 bg-gray-50 rounded-lg">
+            <span className="text-sm font-medium text-gray-500 w-6">1.</span>
+            <div className="flex-1 text-sm">
+              <span className="font-medium">
+                {PROVIDER_LABELS[config.primary.provider] || config.primary.provider}
+              </span>
+              <span className="text-gray-500"> {config.primary.model || '(default model)'}</span>
+              <span className="text-gray-400"> - primary, set in Overview</span>
+            </div>
+            {renderHealth(config.primary.provider)}
+          </div>
+
+          {fallbacks.map((item, index) => (
+            <div key={index} className="flex items-center gap-3">
+              <span className="text-sm font-medium text-gray-500 w-6">{index + 2}.</span>
+              <Select
+                className="w-48"
+                value={item.provider}
+                options={providerOptions}
+                onChange={(e) => updateFallback(index, 'provider', e.target.value)}
+              />
+              <Input
+                className="flex-1"
+                value={item.model}
+                placeholder="Model (empty = provider default)"
+                onChange={(e) => updateFallback(index, 'model', e.target.value)}
+              />
+              {renderHealth(item.provider)}
+              <Button
+                variant="secondary"
+                size="sm"
+                disabled={index === 0}
+                onClick={() => moveFallback(index, -1)}
+              >
+                &uarr;
+              </Button>
+              <Button
+                variant="secondary"
+                size="sm"
+                disabled={index === fallbacks.length - 1}
+                onClick={() => moveFallback(index, 1)}
+              >
+                &darr;
+              </Button>
+              <Button variant="danger" size="sm" onClick={() => removeFallback(index)}>
+                Remove
+              </Button>
+            </div>
+          ))}
+
+          {fallbacks.length < config.maxFallbacks && (
+            <Button variant="secondary" size="sm" onClick={addFallback}>
+              Add Fallback
+            </Button>
+          )}
+        </div>
+
+        <div>
+          <h4 className="text-sm font-medium text-gray-700 mb-2">Providers used this month</h4>
+          {providerUsage.length === 0 ? (
+            <p className="text-sm text-gray-500">No AI calls recorded yet</p>
+          ) : (
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500">
+                  <th className="py-1 pr-4 font-medium">Provider</th>
+                  <th className="py-1 pr-4 font-medium">Model</th>
+                  <th className="py-1 pr-4 font-medium text-right">Calls</th>
+                  <th className="py-1 pr-4 font-medium text-right">Tokens</th>
+                  <th className="py-1 font-medium text-right">Failovers</th>
+                </tr>
+              </thead>
+              <tbody>
+                {providerUsage.map((row) => (
+                  <tr key={`${row.provider}:${row.model}`} className="border-t border-gray-100">
+                    <td className="py-1 pr-4">{PROVIDER_LABELS[row.provider] || row.provider}</td>
+                    <td className="py-1 pr-4 text-gray-500">{row.model || '-'}</td>
+                    <td className="py-1 pr-4 text-right">{row.calls.toLocaleString()}</td>
+                    <td className="py-1 pr-4 text-right">
+                      {(row.tokensInput + row.tokensOutput).toLocaleString()}
+                    </td>
+                    <td className="py-1 text-right">{row.failovers.toLocaleString()}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </CardBody>
+    </Card>
+  );
+}
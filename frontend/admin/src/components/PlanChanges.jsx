@@ -0,0 +1,275 @@
+import { useState, useEffect } from 'react';
+import { planChanges } from '../services/api';
+import { Card, CardBody, CardHeader, Button, Badge, Input, Select, LoadingSpinner } from './common';
+
+const STATUS_VARIANTS = {
+  requested: 'warning',
+  scheduled: 'info',
+  applied: 'success',
+  rejected: 'danger',
+  cancelled: 'default',
+};
+
+export default function PlanChanges({ clientId, onChanged }) {
+  const [data, setData] = useState(null);
+  const [plan, setPlan] = useState('');
+  const [note, setNote] = useState('');
+  const [immediate, setImmediate] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  useEffect(() => {
+    if (clientId) {
+      fetchPlanChanges();
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [clientId]);
+
+  const fetchPlanChanges = async () => {
+    try {
+      setLoading(true);
+      const response = await planChanges.get(clientId);
+      setData(response.data);
+      setPlan('');
+      setNote('');
+      setImmediate(false);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load plan changes');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Reload this card and the client (its plan may have changed)
+  const runAction = async (action, message) => {
+    try {
+      setIsSaving(true);
+      await action();
+      setError(null);
+      setSuccess(message);
+      setTimeout(() => setSuccess(null), 3000);
+      await fetchPlanChanges();
+      onChanged?.();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to update the plan');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleChange = () =>
+    runAction(
+      () => planChanges.change(clientId, { plan, immediate, note: note || null }),
+      'Plan change saved'
+    );
+
+  const handleReject = (change) => {
+    const reason = prompt('Reason for rejecting (shown to the customer):');
+    if (reason === null) return;
+    runAction(() => planChanges.reject(clientId, change.id, reason), 'Request rejected');
+  };
+
+  const planLabel = (name) =>
+    data.plans.find((item) => item.name === name)?.displayName || name || '-';
+
+  const formatDate = (value) => (value ? new Date(value).toLocaleString() : '-');
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center py-8">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  if (!data) {
+    return error ? (
+      <div className="p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">
+        {error}
+      </div>
+    ) : null;
+  }
+
+  const current = data.plans.find((item) => item.name === data.currentPlan);
+  const selected = data.plans.find((item) => item.name === plan);
+  const isDowngrade = Boolean(current && selected && selected.baseCost < current.baseCost);
+  const openChange = data.openChange;
+
+  return (
+    <Card>
+      <CardHeader>
+        <h3 className="text-lg font-semibold">Plan</h3>
+        <p className="text-sm text-gray-500 mt-1">
+          Upgrades apply immediately; downgrades take effect at the start of the next billing
+          period. Invoices prorate the base cost and bill usage at the plan active on each day.
+        </p>
+      </CardHeader>
+      <CardBody className="space-y-6">
+        {error && (
+          <div className="p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">
+            {error}
+            <button onClick={() => setError(null)} className="ml-2 font-bold">
+              &times;
+            </button>
+          </div>
+        )}
+        {success && (
+          <div className="p-3 bg-green-50 border border-green-200 text-green-700 rounded-lg text-sm">
+            {success}
+          </div>
+        )}
+
+        <div className="text-sm">
+          <span className="text-gray-500">Current plan: </span>
+          <Badge variant="primary">{planLabel(data.currentPlan)}</Badge>
+        </div>
+
+        {openChange && (
+          <div className="p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm space-y-2">
+            {openChange.status === 'requested' ? (
+              <p>
+                The customer ({openChange.requested_by || 'unknown user'}) requested an upgrade to{' '}
+                <strong>{planLabel(openChange.to_plan)}</strong> on{' '}
+                {formatDate(openChange.created_at)}.
+              </p>
+            ) : (
+              <p>
+                Scheduled change to <strong>{planLabel(openChange.to_plan)}</strong> on{' '}
+                {formatDate(openChange.effective_at)}.
+              </p>
+            )}
+            {openChange.note && <p className="text-gray-600">&ldquo;{openChange.note}&rdquo;</p>}
+            <div className="flex gap-2">
+              {openChange.status === 'requested' && (
+                <>
+                  <Button
+                    size="sm"
+                    disabled={isSaving}
+                    onClick={() =>
+                      runAction(
+                        () => planChanges.approve(clientId, openChange.id),
+                        'Request approved'
+                      )
+                    }
+                  >
+                    Approve
+                  </Button>
+                  <Button
+                    size="sm"
+                    variant="danger"
+                    disabled={isSaving}
+                    onClick={() => handleReject(openChange)}
+                  >
+                    Reject
+                  </Button>
+                </>
+              )}
+              {openChange.status === 'scheduled' && (
+                <Button
+                  size="sm"
+                  variant="secondary"
+                  disabled={isSaving}
+                  onClick={() =>
+                    runAction(
+                      () => planChanges.cancel(clientId, openChange.id),
+                      'Scheduled change cancelled'
+                    )
+                  }
+                >
+                  Cancel Change
+                </Button>
+              )}
+            </div>
+          </div>
+        )}
+
+        <div className="space-y-3">
+          <div className="flex items-end gap-3">
+            <Select
+              className="w-56"
+              label="Change plan to"
+              value={plan}
+              onChange={(e) => setPlan(e.target.value)}
+              options={[
+                { value: '', label: 'Select a plan' },
+                ...data.plans
+                  .filter((item) => item.name !== data.currentPlan)
+                  .map((item) => ({
+                    value: item.name,
+                    label: `${item.displayName} ($${item.baseCost.toFixed(2)}/mo)`,
+                  })),
+              ]}
+            />
+            <Input
+              className="flex-1"
+              label="Note"
+              value={note}
+              placeholder="Optional, kept in the history"
+              onChange={(e) => setNote(e.target.value)}
+            />
+            <Button onClick={handleChange} loading={isSaving} disabled={!plan}>
+              Change Plan
+            </Button>
+          </div>
+          {isDowngrade && (
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={immediate}
+                onChange={(e) => setImmediate(e.target.checked)}
+              />
+              Apply the downgrade now instead of at the next billing period
+            </label>
+          )}
+          {openChange && (
+            <p className="text-xs text-gray-500">
+              Changing the plan cancels the pending {openChange.status} change.
+            </p>
+          )}
+        </div>
+
+        <div>
+          <h4 className="text-sm font-medium text-gray-700 mb-2">History</h4>
+          {data.changes.length === 0 ? (
+            <p className="text-sm text-gray-500">No plan changes yet</p>
+          ) : (
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500">
+                  <th className="py-1 pr-4 font-medium">Change</th>
+                  <th className="py-1 pr-4 font-medium">Status</th>
+                  <th className="py-1 pr-4 font-medium">Effective</th>
+                  <th className="py-1 pr-4 font-medium">By</th>
+                  <th className="py-1 font-medium">Note</th>
+                </tr>
+              </thead>
+              <tbody>
+                {data.changes.map((change) => (
+                  <tr key={change.id} className="border-t border-gray-100">
+                    <td className="py-1 pr-4">
+                      {planLabel(change.from_plan)} &rarr; {planLabel(change.to_plan)}
+                    </td>
+                    <td className="py-1 pr-4">
+                      <Badge variant={STATUS_VARIANTS[change.status]}>{change.status}</Badge>
+                    </td>
+                    <td className="py-1 pr-4 text-gray-500">{formatDate(change.effective_at)}</td>
+                    <td className="py-1 pr-4 text-gray-500">
+                      {change.requested_by || change.requested_by_type}
+                      {change.reviewed_by && ` / ${change.reviewed_by}`}
+                    </td>
+                    <td className="py-1 text-gray-500">
+                      {[change.note, change.review_note].filter(Boolean).join(' - ') || '-'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </CardBody>
+    </Card>
+  );
+}
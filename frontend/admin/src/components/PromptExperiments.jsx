@@ -0,0 +1,323 @@
+import { useState, useEffect } from 'react';
+import { promptExperiments, promptVersions } from '../services/api';
+import { Card, CardBody, CardHeader, Button, Badge, Input, Select, LoadingSpinner } from './common';
+
+const EMPTY_FORM = { name: '', versionA: '', versionB: '', splitPercent: 50 };
+
+// Lower is better for escalations; higher for the rest
+const METRICS = [
+  { key: 'conversations', label: 'Conversations', format: (v) => v.toLocaleString() },
+  { key: 'escalationRate', label: 'Escalation rate', percent: true, lowerIsBetter: true },
+  { key: 'toolSuccessRate', label: 'Tool success', percent: true, count: 'toolCalls' },
+  { key: 'csat', label: 'CSAT (4-5 stars)', percent: true, count: 'ratedConversations' },
+  { key: 'thumbsUpRate', label: 'Thumbs up', percent: true, count: 'ratedMessages' },
+];
+
+/**
+ * A/B experiments between two of the client's prompt config versions
+ * @param {number} clientId - Client
+ * @param {number} refreshKey - Changes when the client's prompt config was saved (new versions)
+ * @param {Function} onPromoted - Called after a variant became the live config
+ */
+export default function PromptExperiments({ clientId, refreshKey, onPromoted }) {
+  const [experiments, setExperiments] = useState([]);
+  const [versions, setVersions] = useState([]);
+  const [results, setResults] = useState(null);
+  const [form, setForm] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  useEffect(() => {
+    if (clientId) {
+      fetchExperiments();
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [clientId, refreshKey]);
+
+  const fetchExperiments = async () => {
+    try {
+      const [experimentsResponse, versionsResponse] = await Promise.all([
+        promptExperiments.getAll(clientId),
+        promptVersions.getAll('client', clientId),
+      ]);
+      setExperiments(experimentsResponse.data);
+      setVersions(versionsResponse.data.versions);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load experiments');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const showResults = async (id) => {
+    if (results?.experiment.id === id) {
+      setResults(null);
+      return;
+    }
+    try {
+      const response = await promptExperiments.get(clientId, id);
+      setResults(response.data);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load results');
+    }
+  };
+
+  const flash = (text) => {
+    setSuccess(text);
+    setTimeout(() => setSuccess(null), 3000);
+  };
+
+  const handleCreate = async () => {
+    try {
+      setIsSaving(true);
+      await promptExperiments.create(clientId, {
+        ...form,
+        versionA: Number(form.versionA),
+        versionB: Number(form.versionB),
+        splitPercent: Number(form.splitPercent),
+      });
+      setForm(null);
+      await fetchExperiments();
+      flash('Experiment started');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to start experiment');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleStop = async (experiment, promote) => {
+    const question = promote
+      ? `Stop "${experiment.name}" and make variant ${promote} (v${
+          promote === 'A' ? experiment.version_a : experiment.version_b
+        }) the live configuration?`
+      : `Stop "${experiment.name}"? Conversations go back to the live configuration.`;
+    if (!confirm(question)) return;
+
+    try {
+      setIsSaving(true);
+      await promptExperiments.stop(clientId, experiment.id, promote);
+      setResults(null);
+      await fetchExperiments();
+      if (promote) onPromoted?.();
+      flash(promote ? `Variant ${promote} is now live` : 'Experiment stopped');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to stop experiment');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const renderMetric = (metric, variant, other) => {
+    const value = variant[metric.key];
+    if (value === null) return <span className="text-gray-400">-</span>;
+
+    const otherValue = other[metric.key];
+    const better =
+      metric.percent &&
+      otherValue !== null &&
+      value !== otherValue &&
+      (metric.lowerIsBetter ? value < otherValue : value > otherValue);
+    return (
+      <span className={better ? 'font-semibold text-green-700' : ''}>
+        {metric.percent ? `${value}%` : metric.format(value)}
+        {metric.count && (
+          <span className="text-gray-400 font-normal"> ({variant[metric.count]})</span>
+        )}
+      </span>
+    );
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center py-8">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  const running = experiments.find((experiment) => experiment.status === 'running');
+  const versionOptions = [
+    { value: '', label: 'Select version' },
+    ...versions.map((version) => ({
+      value: String(version.version),
+      label: `v${version.version} - ${new Date(version.created_at).toLocaleDateString()}${
+        version.author_name ? ` (${version.author_name})` : ''
+      }`,
+    })),
+  ];
+
+  return (
+    <Card>
+      <CardHeader className="flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-semibold">Prompt Experiments</h3>
+          <p className="text-sm text-gray-500 mt-1">
+            Split new conversations between two saved versions of this client&apos;s AI behavior and
+            compare how they do.
+          </p>
+        </div>
+        {!running && !form && (
+          <Button size="sm" onClick={() => setForm(EMPTY_FORM)} disabled={versions.length < 2}>
+            New Experiment
+          </Button>
+        )}
+      </CardHeader>
+      <CardBody className="space-y-4">
+        {error && (
+          <div className="p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">
+            {error}
+            <button onClick={() => setError(null)} className="ml-2 font-bold">
+              &times;
+            </button>
+          </div>
+        )}
+        {success && (
+          <div className="p-3 bg-green-50 border border-green-200 text-green-700 rounded-lg text-sm">
+            {success}
+          </div>
+        )}
+        {versions.length < 2 && (
+          <p className="text-sm text-gray-500">
+            Experiments compare two saved versions - save this client&apos;s AI behavior to start
+            its version history.
+          </p>
+        )}
+
+        {form && (
+          <div className="p-4 bg-gray-50 rounded-lg space-y-3">
+            <Input
+              label="Name"
+              value={form.name}
+              placeholder="e.g. Shorter replies"
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+            />
+            <div className="grid grid-cols-3 gap-3">
+              <Select
+                label="Variant A"
+                value={form.versionA}
+                options={versionOptions}
+                onChange={(e) => setForm({ ...form, versionA: e.target.value })}
+              />
+              <Select
+                label="Variant B"
+                value={form.versionB}
+                options={versionOptions}
+                onChange={(e) => setForm({ ...form, versionB: e.target.value })}
+              />
+              <Input
+                label="Conversations on B (%)"
+                type="number"
+                min="1"
+                max="99"
+                value={form.splitPercent}
+                onChange={(e) => setForm({ ...form, splitPercent: e.target.value })}
+              />
+            </div>
+            <div className="flex gap-2">
+              <Button size="sm" onClick={handleCreate} loading={isSaving}>
+                Start
+              </Button>
+              <Button size="sm" variant="ghost" onClick={() => setForm(null)}>
+                Cancel
+              </Button>
+            </div>
+          </div>
+        )}
+
+        {experiments.length === 0 ? (
+          !form && <p className="text-sm text-gray-500">No experiments yet</p>
+        ) : (
+          <div className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+            {experiments.map((experiment) => (
+              <div key={experiment.id} className="p-3 space-y-3">
+                <div className="flex items-center gap-3 text-sm">
+                  <span className="font-medium">{experiment.name}</span>
+                  <Badge variant={experiment.status === 'running' ? 'success' : 'default'}>
+                    {experiment.status === 'running' ? 'Running' : 'Stopped'}
+                  </Badge>
+                  {experiment.winner && (
+                    <Badge variant="primary">Variant {experiment.winner} promoted</Badge>
+                  )}
+                  <span className="flex-1 text-gray-500">
+                    A: v{experiment.version_a} / B: v{experiment.version_b} (
+                    {experiment.split_percent}% on B) since{' '}
+                    {new Date(experiment.started_at).toLocaleDateString()}
+                  </span>
+                  <Button size="sm" variant="secondary" onClick={() => showResults(experiment.id)}>
+                    {results?.experiment.id === experiment.id ? 'Hide Results' : 'Results'}
+                  </Button>
+                  {experiment.status === 'running' && (
+                    <Button
+                      size="sm"
+                      variant="danger"
+                      disabled={isSaving}
+                      onClick={() => handleStop(experiment, null)}
+                    >
+                      Stop
+                    </Button>
+                  )}
+                </div>
+
+                {results?.experiment.id === experiment.id && (
+                  <div>
+                    <table className="min-w-full text-sm">
+                      <thead>
+                        <tr className="text-left text-gray-500">
+                          <th className="py-1 pr-4 font-medium">Metric</th>
+                          <th className="py-1 pr-4 font-medium text-right">
+                            A (v{experiment.version_a})
+                          </th>
+                          <th className="py-1 font-medium text-right">
+                            B (v{experiment.version_b})
+                          </th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {METRICS.map((metric) => (
+                          <tr key={metric.key} className="border-t border-gray-100">
+                            <td className="py-1 pr-4">{metric.label}</td>
+                            <td className="py-1 pr-4 text-right">
+                              {renderMetric(metric, results.variants.A, results.variants.B)}
+                            </td>
+                            <td className="py-1 text-right">
+                              {renderMetric(metric, results.variants.B, results.variants.A)}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                    {experiment.status === 'running' && (
+                      <div className="flex gap-2 mt-3">
+                        <Button
+                          size="sm"
+                          variant="success"
+                          disabled={isSaving}
+                          onClick={() => handleStop(experiment, 'A')}
+                        >
+                          Promote A
+                        </Button>
+                        <Button
+                          size="sm"
+                          variant="success"
+                          disabled={isSaving}
+                          onClick={() => handleStop(experiment, 'B')}
+                        >
+                          Promote B
+                        </Button>
+                      </div>
+                    )}
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </CardBody>
+    </Card>
+  );
+}
@@ -0,0 +1,210 @@
+import { useState, useEffect } from 'react';
+import { promptVersions } from '../services/api';
+import { Card, CardBody, CardHeader, Button, Badge, LoadingSpinner } from './common';
+
+const ACTION_LABELS = {
+  baseline: 'Before history',
+  update: 'Saved',
+  reset: 'Reset to defaults',
+  clear: 'Cleared',
+  rollback: 'Rollback',
+};
+
+const CHANGE_VARIANTS = { added: 'success', removed: 'danger', changed: 'warning' };
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '';
+  return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+};
+
+/**
+ * Saved versions of a prompt config with the changes of each and rollback
+ * @param {string} scope - 'default', 'adaptive' or 'client'
+ * @param {number} clientId - Client for the client scope
+ * @param {number} refreshKey - Changes whenever the config was saved elsewhere
+ * @param {Function} onRollback - Called with the restored config
+ */
+export default function PromptVersionHistory({ scope, clientId, refreshKey, onRollback }) {
+  const [history, setHistory] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [details, setDetails] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadingDetails, setLoadingDetails] = useState(false);
+  const [rollingBack, setRollingBack] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  useEffect(() => {
+    fetchHistory();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [scope, clientId, refreshKey]);
+
+  const fetchHistory = async () => {
+    try {
+      const response = await promptVersions.getAll(scope, clientId);
+      setHistory(response.data);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load version history');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const selectVersion = async (version) => {
+    if (selected === version) {
+      setSelected(null);
+      setDetails(null);
+      return;
+    }
+    try {
+      setSelected(version);
+      setLoadingDetails(true);
+      const response = await promptVersions.get(scope, clientId, version);
+      setDetails(response.data);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load version');
+    } finally {
+      setLoadingDetails(false);
+    }
+  };
+
+  const handleRollback = async (version) => {
+    if (!confirm(`Make version ${version} the live configuration again?`)) return;
+
+    try {
+      setRollingBack(true);
+      const response = await promptVersions.rollback(scope, clientId, version);
+      onRollback?.(response.data.config);
+      setSelected(null);
+      setDetails(null);
+      await fetchHistory();
+      setSuccess(`Rolled back to version ${version} (saved as version ${response.data.version})`);
+      setTimeout(() => setSuccess(null), 3000);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to roll back');
+    } finally {
+      setRollingBack(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center py-8">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <h3 className="text-lg font-semibold">Version History</h3>
+        <p className="text-sm text-gray-500 mt-1">
+          Every save is kept. Select a version to see what it changed; rolling back saves the old
+          configuration as a new version.
+        </p>
+      </CardHeader>
+      <CardBody className="space-y-4">
+        {error && (
+          <div className="p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">
+            {error}
+            <button onClick={() => setError(null)} className="ml-2 font-bold">
+              &times;
+            </button>
+          </div>
+        )}
+        {success && (
+          <div className="p-3 bg-green-50 border border-green-200 text-green-700 rounded-lg text-sm">
+            {success}
+          </div>
+        )}
+
+        {!history || history.versions.length === 0 ? (
+          <p className="text-sm text-gray-500">
+            No versions yet - the next save starts the history
+          </p>
+        ) : (
+          <div className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+            {history.versions.map((version) => (
+              <div key={version.id}>
+                <button
+                  onClick={() => selectVersion(version.version)}
+                  className={`w-full flex items-center gap-3 px-3 py-2 text-left text-sm hover:bg-gray-50 ${
+                    selected === version.version ? 'bg-gray-50' : ''
+                  }`}
+                >
+                  <span className="font-medium w-10">v{version.version}</span>
+                  <Badge variant={version.action === 'rollback' ? 'info' : 'default'}>
+                    {ACTION_LABELS[version.action] || version.action}
+                    {version.source_version ? ` to v${version.source_version}` : ''}
+                  </Badge>
+                  {version.version === history.current && <Badge variant="success">Live</Badge>}
+                  <span className="flex-1 text-gray-500">
+                    {version.author_name || (version.action === 'baseline' ? '' : 'Unknown')}
+                  </span>
+                  <span className="text-gray-400">
+                    {new Date(version.created_at).toLocaleString()}
+                  </span>
+                </button>
+
+                {selected === version.version && (
+                  <div className="px-3 pb-3 space-y-3">
+                    {loadingDetails || !details ? (
+                      <LoadingSpinner />
+                    ) : (
+                      <>
+                        {details.changes.length === 0 ? (
+                          <p className="text-sm text-gray-500">
+                            {details.compareTo
+                              ? `No changes from v${details.compareTo}`
+                              : 'First version'}
+                          </p>
+                        ) : (
+                          <div className="space-y-2">
+                            <p className="text-xs text-gray-500">
+                              Changes from {details.compareTo ? `v${details.compareTo}` : 'empty'}
+                            </p>
+                            {details.changes.map((change) => (
+                              <div key={change.path} className="text-sm">
+                                <div className="flex items-center gap-2">
+                                  <Badge variant={CHANGE_VARIANTS[change.type]}>
+                                    {change.type}
+                                  </Badge>
+                                  <code className="text-gray-700">{change.path}</code>
+                                </div>
+                                <div className="grid grid-cols-2 gap-2 mt-1">
+                                  <pre className="p-2 bg-red-50 rounded text-xs whitespace-pre-wrap break-words">
+                                    {formatValue(change.from)}
+                                  </pre>
+                                  <pre className="p-2 bg-green-50 rounded text-xs whitespace-pre-wrap break-words">
+                                    {formatValue(change.to)}
+                                  </pre>
+                                </div>
+                              </div>
+                            ))}
+                          </div>
+                        )}
+                        {version.version !== history.current && (
+                          <Button
+                            variant="secondary"
+                            size="sm"
+                            loading={rollingBack}
+                            onClick={() => handleRollback(version.version)}
+                          >
+                            Roll back to v{version.version}
+                          </Button>
+                        )}
+                      </>
+                    )}
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </CardBody>
+    </Card>
+  );
+}
@@ -0,0 +1,222 @@
+import { useState, useEffect } from 'react';
+import { privacy } from '../services/api';
+import { Card, CardBody, CardHeader, Button, Input, LoadingSpinner } from './common';
+
+const TYPE_LABELS = {
+  email: { label: 'Email addresses', example: 'jane@example.com' },
+  card: { label: 'Card numbers', example: '4111 1111 1111 1111' },
+  national_id: { label: 'National IDs', example: 'SSN or Israeli ID' },
+  phone: { label: 'Phone numbers', example: '+1 555 123 4567' },
+};
+
+export default function RedactionSettings({ clientId }) {
+  const [form, setForm] = useState(null);
+  const [types, setTypes] = useState([]);
+  const [maxCustomRules, setMaxCustomRules] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  useEffect(() => {
+    if (clientId) {
+      fetchRedaction();
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [clientId]);
+
+  const applyResponse = (data) => {
+    setForm(data.redaction);
+    setTypes(data.types);
+    setMaxCustomRules(data.maxCustomRules);
+  };
+
+  const fetchRedaction = async () => {
+    try {
+      setLoading(true);
+      const response = await privacy.getRedaction(clientId);
+      applyResponse(response.data);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load redaction settings');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSave = async () => {
+    try {
+      setIsSaving(true);
+      const response = await privacy.updateRedaction(clientId, form);
+      applyResponse(response.data);
+      setError(null);
+      setSuccess('Redaction settings saved');
+      setTimeout(() => setSuccess(null), 3000);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save redaction settings');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const toggleType = (type) => {
+    setForm((prev) => ({
+      ...prev,
+      types: prev.types.includes(type)
+        ? prev.types.filter((t) => t !== type)
+        : [...prev.types, type],
+    }));
+  };
+
+  const updateRule = (index, field, value) => {
+    setForm((prev) => ({
+      ...prev,
+      custom: prev.custom.map((rule, i) => (i === index ? { ...rule, [field]: value } : rule)),
+    }));
+  };
+
+  const addRule = () => {
+    setForm((prev) => ({ ...prev, custom: [...prev.custom, { name: '', pattern: '' }] }));
+  };
+
+  const removeRule = (index) => {
+    setForm((prev) => ({ ...prev, custom: prev.custom.filter((_, i) => i !== index) }));
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center py-8">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  if (!form) {
+    return error ? (
+      <div className="p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">
+        {error}
+      </div>
+    ) : null;
+  }
+
+  return (
+    <Card>
+      <CardHeader className="flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-semibold">PII Redaction</h3>
+          <p className="text-sm text-gray-500 mt-1">
+            Personal data is replaced with tokens like [EMAIL_1] before it reaches the AI provider,
+            and restored for tool calls and the reply
+          </p>
+        </div>
+        <Button onClick={handleSave} loading={isSaving}>
+          Save
+        </Button>
+      </CardHeader>
+      <CardBody className="space-y-6">
+        {error && (
+          <div className="p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">
+            {error}
+            <button onClick={() => setError(null)} className="ml-2 font-bold">
+              &times;
+            </button>
+          </div>
+        )}
+        {success && (
+          <div className="p-3 bg-green-50 border border-green-200 text-green-700 rounded-lg text-sm">
+            {success}
+          </div>
+        )}
+
+        <div className="space-y-3">
+          <div className="flex items-center gap-3">
+            <input
+              type="checkbox"
+              id="redaction_enabled"
+              checked={form.enabled}
+              onChange={(e) => setForm({ ...form, enabled: e.target.checked })}
+              className="w-4 h-4 text-primary-600 rounded focus:ring-primary-500"
+            />
+            <label htmlFor="redaction_enabled" className="text-sm text-gray-700">
+              Redact personal data sent to the AI provider
+            </label>
+          </div>
+          <div className="flex items-center gap-3">
+            <input
+              type="checkbox"
+              id="redaction_mask_debug"
+              checked={form.mask_debug}
+              onChange={(e) => setForm({ ...form, mask_debug: e.target.checked })}
+              className="w-4 h-4 text-primary-600 rounded focus:ring-primary-500"
+            />
+            <label htmlFor="redaction_mask_debug" className="text-sm text-gray-700">
+              Mask personal data in the conversation debug view and tool executions
+            </label>
+          </div>
+        </div>
+
+        <div>
+          <h4 className="text-sm font-medium text-gray-700 mb-2">Detect</h4>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+            {types.map((type) => (
+              <label key={type} className="flex items-center gap-3 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={form.types.includes(type)}
+                  onChange={() => toggleType(type)}
+                  className="w-4 h-4 text-primary-600 rounded focus:ring-primary-500"
+                />
+                <span>
+                  {TYPE_LABELS[type]?.label || type}
+                  <span className="text-gray-400 ml-2">{TYPE_LABELS[type]?.example}</span>
+                </span>
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <div>
+          <div className="flex items-center justify-between mb-2">
+            <h4 className="text-sm font-medium text-gray-700">Custom Patterns</h4>
+            <Button
+              variant="secondary"
+              size="sm"
+              onClick={addRule}
+              disabled={form.custom.length >= maxCustomRules}
+            >
+              Add Pattern
+            </Button>
+          </div>
+          {form.custom.length === 0 ? (
+            <p className="text-sm text-gray-500">
+              No custom patterns. Add a regular expression for identifiers such as policy or account
+              numbers.
+            </p>
+          ) : (
+            <div className="space-y-2">
+              {form.custom.map((rule, index) => (
+                <div key={index} className="flex gap-2 items-start">
+                  <Input
+                    className="w-48"
+                    value={rule.name}
+                    onChange={(e) => updateRule(index, 'name', e.target.value)}
+                    placeholder="Name, e.g. Policy number"
+                  />
+                  <Input
+                    className="flex-1 font-mono"
+                    value={rule.pattern}
+                    onChange={(e) => updateRule(index, 'pattern', e.target.value)}
+                    placeholder="Regex, e.g. POL-\d{8}"
+                  />
+                  <Button variant="ghost" onClick={() => removeRule(index)}>
+                    Remove
+                  </Button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </CardBody>
+    </Card>
+  );
+}
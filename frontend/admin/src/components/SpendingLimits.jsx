@@ -0,0 +1,255 @@
+import { useState, useEffect } from 'react';
+import { spending as spendingApi } from '../services/api';
+import { Card, CardBody, CardHeader, Button, Badge, Input, Select, LoadingSpinner } from './common';
+
+const ACTION_OPTIONS = [
+  { value: 'block', label: 'Block AI replies' },
+  { value: 'degrade', label: 'Switch to a cheaper model' },
+  { value: 'overage', label: 'Allow and bill the overage' },
+];
+
+const TYPE_VARIANTS = {
+  purchase: 'success',
+  grant: 'info',
+  invoice: 'default',
+  refund: 'info',
+  adjustment: 'warning',
+};
+
+const formatUsd = (value) => (value === null ? 'No limit' : `$${Number(value).toFixed(2)}`);
+
+export default function SpendingLimits({ clientId }) {
+  const [data, setData] = useState(null);
+  const [budget, setBudget] = useState('');
+  const [action, setAction] = useState('block');
+  const [credit, setCredit] = useState({ amount: '', type: 'grant', description: '' });
+  const [loading, setLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  useEffect(() => {
+    if (clientId) {
+      fetchSpending();
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [clientId]);
+
+  const applyData = (value) => {
+    setData(value);
+    setBudget(value.settings.monthly_budget === null ? '' : String(value.settings.monthly_budget));
+    setAction(value.settings.over_limit_action);
+  };
+
+  const fetchSpending = async () => {
+    try {
+      setLoading(true);
+      const response = await spendingApi.get(clientId);
+      applyData(response.data);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load spending');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const runAction = async (request, message) => {
+    try {
+      setIsSaving(true);
+      const response = await request();
+      applyData(response.data);
+      setError(null);
+      setSuccess(message);
+      setTimeout(() => setSuccess(null), 3000);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleSaveSettings = () =>
+    runAction(
+      () =>
+        spendingApi.update(clientId, {
+          monthly_budget: budget === '' ? null : Number(budget),
+          over_limit_action: action,
+        }),
+      'Spending settings saved'
+    );
+
+  const handleAddCredits = () =>
+    runAction(async () => {
+      const response = await spendingApi.addCredits(clientId, {
+        ...credit,
+        amount: Number(credit.amount),
+      });
+      setCredit({ amount: '', type: 'grant', description: '' });
+      return response;
+    }, 'Credits updated');
+
+  const formatDate = (value) => (value ? new Date(value).toLocaleString() : '-');
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center py-8">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  if (!data) {
+    return error ? (
+      <div className="p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">
+        {error}
+      </div>
+    ) : null;
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <h3 className="text-lg font-semibold">Spending &amp; Credits</h3>
+        <p className="text-sm text-gray-500 mt-1">
+          The monthly limit is the plan allowance plus prepaid credits, or the customer&apos;s own
+          budget if lower. Warning emails go out at 50%, 80% and 100%.
+        </p>
+      </CardHeader>
+      <CardBody className="space-y-6">
+        {error && (
+          <div className="p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">
+            {error}
+            <button onClick={() => setError(null)} className="ml-2 font-bold">
+              &times;
+            </button>
+          </div>
+        )}
+        {success && (
+          <div className="p-3 bg-green-50 border border-green-200 text-green-700 rounded-lg text-sm">
+            {success}
+          </div>
+        )}
+
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+          <div>
+            <p className="text-gray-500">Spent ({data.period})</p>
+            <p className="text-lg font-semibold">{formatUsd(data.spent)}</p>
+          </div>
+          <div>
+            <p className="text-gray-500">Plan allowance</p>
+            <p className="text-lg font-semibold">{formatUsd(data.allowance)}</p>
+          </div>
+          <div>
+            <p className="text-gray-500">Credit balance</p>
+            <p className="text-lg font-semibold">{formatUsd(data.credits)}</p>
+          </div>
+          <div>
+            <p className="text-gray-500">Limit</p>
+            <p className="text-lg font-semibold">
+              {formatUsd(data.limit)}
+              {data.percent !== null && (
+                <span className="ml-2 text-sm text-gray-500">({data.percent}%)</span>
+              )}
+            </p>
+            {data.exceeded && <Badge variant="danger">Over limit: {data.action}</Badge>}
+          </div>
+        </div>
+
+        <div className="flex items-end gap-3">
+          <Input
+            className="w-48"
+            type="number"
+            min="0"
+            step="0.01"
+            label="Monthly budget (USD)"
+            value={budget}
+            placeholder="No budget"
+            onChange={(e) => setBudget(e.target.value)}
+          />
+          <Select
+            className="w-64"
+            label="At the limit"
+            value={action}
+            onChange={(e) => setAction(e.target.value)}
+            options={ACTION_OPTIONS}
+          />
+          <Button onClick={handleSaveSettings} loading={isSaving}>
+            Save
+          </Button>
+        </div>
+
+        <div className="flex items-end gap-3">
+          <Input
+            className="w-32"
+            type="number"
+            step="0.01"
+            label="Credits (USD)"
+            value={credit.amount}
+            onChange={(e) => setCredit({ ...credit, amount: e.target.value })}
+          />
+          <Select
+            className="w-40"
+            label="Type"
+            value={credit.type}
+            onChange={(e) => setCredit({ ...credit, type: e.target.value })}
+            options={[
+              { value: 'grant', label: 'Grant' },
+              { value: 'adjustment', label: 'Adjustment' },
+            ]}
+          />
+          <Input
+            className="flex-1"
+            label="Description"
+            value={credit.description}
+            placeholder={credit.type === 'adjustment' ? 'Required' : 'Optional'}
+            onChange={(e) => setCredit({ ...credit, description: e.target.value })}
+          />
+          <Button onClick={handleAddCredits} loading={isSaving} disabled={!credit.amount}>
+            Add Credits
+          </Button>
+        </div>
+
+        <div>
+          <h4 className="text-sm font-medium text-gray-700 mb-2">Credit Ledger</h4>
+          {data.transactions.length === 0 ? (
+            <p className="text-sm text-gray-500">No credit transactions yet</p>
+          ) : (
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500">
+                  <th className="py-1 pr-4 font-medium">Date</th>
+                  <th className="py-1 pr-4 font-medium">Type</th>
+                  <th className="py-1 pr-4 font-medium">Amount</th>
+                  <th className="py-1 pr-4 font-medium">Invoice</th>
+                  <th className="py-1 pr-4 font-medium">By</th>
+                  <th className="py-1 font-medium">Description</th>
+                </tr>
+              </thead>
+              <tbody>
+                {data.transactions.map((entry) => (
+                  <tr key={entry.id} className="border-t border-gray-100">
+                    <td className="py-1 pr-4 text-gray-500">{formatDate(entry.created_at)}</td>
+                    <td className="py-1 pr-4">
+                      <Badge variant={TYPE_VARIANTS[entry.type]}>{entry.type}</Badge>
+                    </td>
+                    <td
+                      className={`py-1 pr-4 font-medium ${
+                        Number(entry.amount) < 0 ? 'text-red-600' : 'text-green-600'
+                      }`}
+                    >
+                      {formatUsd(entry.amount)}
+                    </td>
+                    <td className="py-1 pr-4 text-gray-500">{entry.invoice_number || '-'}</td>
+                    <td className="py-1 pr-4 text-gray-500">{entry.created_by || '-'}</td>
+                    <td className="py-1 text-gray-500">{entry.description || '-'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </CardBody>
+    </Card>
+  );
+}
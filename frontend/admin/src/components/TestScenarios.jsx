@@ -0,0 +1,629 @@
+import { useState, useEffect } from 'react';
+import { testScenarios as scenariosApi } from '../services/api';
+import {
+  Card,
+  CardBody,
+  CardHeader,
+  Button,
+  Badge,
+  Input,
+  Modal,
+  Select,
+  LoadingSpinner,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableHeader,
+  TableCell,
+} from './common';
+
+const ASSERTION_LABELS = {
+  tool_called: 'Tool is called',
+  tool_not_called: 'Tool is not called',
+  escalates: 'Conversation escalates',
+  no_escalation: 'No escalation',
+  reply_contains: 'Reply contains',
+  reply_not_contains: 'Reply does not contain',
+};
+
+const PROVIDER_LABELS = { stub: 'Stub (scripted replies)' };
+
+const STATUS_VARIANTS = { passed: 'success', failed: 'danger', error: 'warning' };
+
+const EMPTY_FORM = {
+  name: '',
+  description: '',
+  turns: [{ message: '', stubReplies: '' }],
+  toolMocks: '',
+  assertions: [{ type: 'reply_contains', tool: '', params: '', text: '', turn: '' }],
+};
+
+const toJson = (value) => (value ? JSON.stringify(value, null, 2) : '');
+
+// Parse an optional JSON field of the editor
+const parseJson = (text, label) => {
+  if (!text.trim()) return undefined;
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new Error(`${label} is not valid JSON`);
+  }
+};
+
+const toForm = (scenario) => ({
+  name: scenario.name,
+  description: scenario.description || '',
+  turns: scenario.turns.map((turn) => ({
+    message: turn.message,
+    stubReplies: turn.stub_replies?.length ? toJson(turn.stub_replies) : '',
+  })),
+  toolMocks: Object.keys(scenario.tool_mocks || {}).length ? toJson(scenario.tool_mocks) : '',
+  assertions: scenario.assertions.map((assertion) => ({
+    type: assertion.type,
+    tool: assertion.tool || '',
+    params: assertion.params ? toJson(assertion.params) : '',
+    text: assertion.text || '',
+    turn: assertion.turn || '',
+  })),
+});
+
+const fromForm = (form) => ({
+  name: form.name,
+  description: form.description,
+  turns: form.turns.map((turn, index) => ({
+    message: turn.message,
+    stub_replies: parseJson(turn.stubReplies, `Stub replies of message ${index + 1}`) || [],
+  })),
+  tool_mocks: parseJson(form.toolMocks, 'Tool mocks') || {},
+  assertions: form.assertions.map((assertion, index) => ({
+    type: assertion.type,
+    tool: assertion.tool || undefined,
+    params: parseJson(assertion.params, `Params of assertion ${index + 1}`),
+    text: assertion.text || undefined,
+    turn: assertion.turn || undefined,
+  })),
+});
+
+// One-line description of an assertion, e.g. "Tool is called: get_order_status (turn 1)"
+const describeAssertion = (assertion) => {
+  const subject = assertion.tool || (assertion.text && `"${assertion.text}"`);
+  const turn = assertion.turn ? ` (turn ${assertion.turn})` : '';
+  return `${ASSERTION_LABELS[assertion.type] || assertion.type}${subject ? `: ${subject}` : ''}${turn}`;
+};
+
+const formatValue = (value) => (typeof value === 'string' ? value : JSON.stringify(value));
+
+function RunResult({ run }) {
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center gap-3 text-sm text-gray-600">
+        <Badge variant={STATUS_VARIANTS[run.status]}>{run.status}</Badge>
+        <span>{PROVIDER_LABELS[run.provider] || run.provider}</span>
+        {run.duration_ms !== null && <span>{run.duration_ms}ms</span>}
+        {run.created_at && <span>{new Date(run.created_at).toLocaleString()}</span>}
+      </div>
+
+      {run.error && (
+        <div className="p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">
+          {run.error}
+        </div>
+      )}
+
+      {run.results.length > 0 && (
+        <div className="space-y-2">
+          {run.results.map((result) => (
+            <div
+              key={result.index}
+              className={`p-3 rounded-lg border text-sm ${
+                result.passed ? 'border-green-200 bg-green-50' : 'border-red-200 bg-red-50'
+              }`}
+            >
+              <div className="font-medium">
+                {result.passed ? '✓' : '✗'} {describeAssertion(result.assertion)}
+              </div>
+              {!result.passed && (
+                <div className="mt-1 font-mono text-xs text-gray-700 space-y-1">
+                  <div>expected: {formatValue(result.expected)}</div>
+                  <div>actual: {formatValue(result.actual)}</div>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {run.changes.length > 0 && (
+        <div>
+          <h4 className="text-sm font-medium text-gray-700 mb-2">Changes since the previous run</h4>
+          <div className="space-y-2">
+            {run.changes.map((change, index) =>
+              change.kind === 'assertion' ? (
+                <div key={index} className="text-sm text-gray-700">
+                  {describeAssertion(change.assertion)}: {change.was} → {change.now}
+                </div>
+              ) : (
+                <div key={index} className="text-sm text-gray-700">
+                  <div>Reply of message {change.turn} changed</div>
+                  <div className="mt-1 font-mono text-xs">
+                    <div className="text-red-700 bg-red-50 p-2 rounded">- {change.was}</div>
+                    <div className="text-green-700 bg-green-50 p-2 rounded mt-1">
+                      + {change.now}
+                    </div>
+                  </div>
+                </div>
+              )
+            )}
+          </div>
+        </div>
+      )}
+
+      {run.transcript.length > 0 && (
+        <div>
+          <h4 className="text-sm font-medium text-gray-700 mb-2">Transcript</h4>
+          <div className="space-y-3">
+            {run.transcript.map((entry) => (
+              <div key={entry.turn} className="text-sm space-y-1">
+                <div className="text-gray-900">
+                  <span className="font-medium">User:</span> {entry.message}
+                </div>
+                {entry.tools.map((call, index) => (
+                  <div key={index} className="font-mono text-xs text-gray-500">
+                    🔧 {call.tool}({JSON.stringify(call.params)})
+                    {!call.mocked && <span className="text-red-600"> - not mocked</span>}
+                  </div>
+                ))}
+                <div className="text-gray-700">
+                  <span className="font-medium">Assistant:</span> {entry.reply}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function TestScenarios({ clientId }) {
+  const [scenarios, setScenarios] = useState([]);
+  const [assertionTypes, setAssertionTypes] = useState([]);
+  const [providers, setProviders] = useState([]);
+  const [provider, setProvider] = useState('stub');
+  const [loading, setLoading] = useState(true);
+  const [running, setRunning] = useState(null); // scenario id or 'all'
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [editing, setEditing] = useState(null); // null | 'new' | scenario id
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [isSaving, setIsSaving] = useState(false);
+  const [history, setHistory] = useState(null); // { scenario, runs }
+  const [selectedRun, setSelectedRun] = useState(null);
+
+  useEffect(() => {
+    if (clientId) {
+      fetchScenarios();
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [clientId]);
+
+  const fetchScenarios = async () => {
+    try {
+      setLoading(true);
+      const response = await scenariosApi.getAll(clientId);
+      setScenarios(response.data.scenarios);
+      setAssertionTypes(response.data.assertionTypes);
+      setProviders(response.data.providers);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load test scenarios');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openEditor = (scenario = null) => {
+    setForm(scenario ? toForm(scenario) : EMPTY_FORM);
+    setEditing(scenario ? scenario.id : 'new');
+    setError(null);
+  };
+
+  const handleSave = async () => {
+    try {
+      setIsSaving(true);
+      const data = fromForm(form);
+      if (editing === 'new') {
+        await scenariosApi.create(clientId, data);
+      } else {
+        await scenariosApi.update(clientId, editing, data);
+      }
+      setEditing(null);
+      setError(null);
+      await fetchScenarios();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Failed to save scenario');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (scenario) => {
+    if (!confirm(`Delete scenario "${scenario.name}" and its run history?`)) return;
+    try {
+      await scenariosApi.delete(clientId, scenario.id);
+      await fetchScenarios();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete scenario');
+    }
+  };
+
+  const openHistory = async (scenario) => {
+    try {
+      const response = await scenariosApi.get(clientId, scenario.id);
+      setHistory(response.data);
+      setSelectedRun(response.data.runs[0] || null);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load run history');
+    }
+  };
+
+  const handleRun = async (scenario) => {
+    try {
+      setRunning(scenario.id);
+      const response = await scenariosApi.run(clientId, scenario.id, { provider });
+      await fetchScenarios();
+      setHistory({ scenario, runs: [response.data] });
+      setSelectedRun(response.data);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to run scenario');
+    } finally {
+      setRunning(null);
+    }
+  };
+
+  const handleRunAll = async () => {
+    try {
+      setRunning('all');
+      const response = await scenariosApi.runAll(clientId, { provider });
+      await fetchScenarios();
+      const { passed, failed } = response.data;
+      setSuccess(`${passed} passed, ${failed} failed`);
+      setTimeout(() => setSuccess(null), 5000);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to run scenarios');
+    } finally {
+      setRunning(null);
+    }
+  };
+
+  const updateList = (list, index, field, value) =>
+    setForm((prev) => ({
+      ...prev,
+      [list]: prev[list].map((item, i) => (i === index ? { ...item, [field]: value } : item)),
+    }));
+
+  const addItem = (list, item) => setForm((prev) => ({ ...prev, [list]: [...prev[list], item] }));
+
+  const removeItem = (list, index) =>
+    setForm((prev) => ({ ...prev, [list]: prev[list].filter((_, i) => i !== index) }));
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center py-8">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <Card>
+        <CardHeader className="flex items-center justify-between">
+          <div>
+            <h3 className="text-lg font-semibold">Test Scenarios</h3>
+            <p className="text-sm text-gray-500 mt-1">
+              Saved conversations replayed with mocked tool responses to catch prompt and tool
+              regressions. Tools, webhooks and notifications are never called for real.
+            </p>
+          </div>
+          <div className="flex items-center gap-2">
+            <Select
+              value={provider}
+              onChange={(e) => setProvider(e.target.value)}
+              options={providers.map((value) => ({
+                value,
+                label: PROVIDER_LABELS[value] || value,
+              }))}
+            />
+            <Button
+              variant="secondary"
+              onClick={handleRunAll}
+              loading={running === 'all'}
+              disabled={scenarios.length === 0 || running !== null}
+            >
+              Run All
+            </Button>
+            <Button onClick={() => openEditor()}>New Scenario</Button>
+          </div>
+        </CardHeader>
+        <CardBody>
+          {error && !editing && (
+            <div className="mb-4 p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">
+              {error}
+              <button onClick={() => setError(null)} className="ml-2 font-bold">
+                &times;
+              </button>
+            </div>
+          )}
+          {success && (
+            <div className="mb-4 p-3 bg-green-50 border border-green-200 text-green-700 rounded-lg text-sm">
+              {success}
+            </div>
+          )}
+
+          {scenarios.length === 0 ? (
+            <p className="text-sm text-gray-500">
+              No scenarios yet. Add one to replay a conversation before changing prompts or tools.
+            </p>
+          ) : (
+            <Table>
+              <TableHead>
+                <TableRow>
+                  <TableHeader>Scenario</TableHeader>
+                  <TableHeader>Messages</TableHeader>
+                  <TableHeader>Assertions</TableHeader>
+                  <TableHeader>Last Run</TableHeader>
+                  <TableHeader></TableHeader>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {scenarios.map((scenario) => (
+                  <TableRow key={scenario.id}>
+                    <TableCell>
+                      <div className="font-medium text-gray-900">{scenario.name}</div>
+                      {scenario.description && (
+                        <div className="text-xs text-gray-500">{scenario.description}</div>
+                      )}
+                    </TableCell>
+                    <TableCell>{scenario.turns.length}</TableCell>
+                    <TableCell>{scenario.assertions.length}</TableCell>
+                    <TableCell>
+                      {scenario.last_run_status ? (
+                        <button onClick={() => openHistory(scenario)} className="text-left">
+                          <Badge variant={STATUS_VARIANTS[scenario.last_run_status]}>
+                            {scenario.last_run_status}
+                          </Badge>
+                          <div className="text-xs text-gray-500 mt-1">
+                            {new Date(scenario.last_run_at).toLocaleString()}
+                          </div>
+                        </button>
+                      ) : (
+                        <span className="text-sm text-gray-400">Never</span>
+                      )}
+                    </TableCell>
+                    <TableCell>
+                      <div className="flex gap-2 justify-end">
+                        <Button
+                          size="sm"
+                          onClick={() => handleRun(scenario)}
+                          loading={running === scenario.id}
+                          disabled={running !== null}
+                        >
+                          Run
+                        </Button>
+                        <Button size="sm" variant="secondary" onClick={() => openEditor(scenario)}>
+                          Edit
+                        </Button>
+                        <Button size="sm" variant="ghost" onClick={() => handleDelete(scenario)}>
+                          Delete
+                        </Button>
+                      </div>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </CardBody>
+      </Card>
+
+      <Modal
+        isOpen={editing !== null}
+        onClose={() => setEditing(null)}
+        title={editing === 'new' ? 'New Test Scenario' : 'Edit Test Scenario'}
+        size="xl"
+      >
+        <div className="space-y-6">
+          {error && (
+            <div className="p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">
+              {error}
+            </div>
+          )}
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <Input
+              label="Name"
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              placeholder="Order status lookup"
+            />
+            <Input
+              label="Description"
+              value={form.description}
+              onChange={(e) => setForm({ ...form, description: e.target.value })}
+              placeholder="Optional"
+            />
+          </div>
+
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <h4 className="text-sm font-medium text-gray-700">User Messages</h4>
+              <Button
+                variant="secondary"
+                size="sm"
+                onClick={() => addItem('turns', { message: '', stubReplies: '' })}
+              >
+                Add Message
+              </Button>
+            </div>
+            <div className="space-y-3">
+              {form.turns.map((turn, index) => (
+                <div key={index} className="p-3 border border-gray-200 rounded-lg space-y-2">
+                  <div className="flex gap-2 items-start">
+                    <span className="text-sm text-gray-500 pt-2">{index + 1}.</span>
+                    <Input
+                      className="flex-1"
+                      value={turn.message}
+                      onChange={(e) => updateList('turns', index, 'message', e.target.value)}
+                      placeholder="Where is my order 12345?"
+                    />
+                    {form.turns.length > 1 && (
+                      <Button variant="ghost" onClick={() => removeItem('turns', index)}>
+                        Remove
+                      </Button>
+                    )}
+                  </div>
+                  <textarea
+                    value={turn.stubReplies}
+                    onChange={(e) => updateList('turns', index, 'stubReplies', e.target.value)}
+                    rows={3}
+                    placeholder='Stub replies (stub provider only), e.g. [{"tool_calls": [{"name": "get_order_status", "arguments": {"orderNumber": "12345"}}]}, {"content": "Your order has shipped"}]'
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg font-mono text-xs focus:outline-none focus:ring-2 focus:ring-primary-500"
+                  />
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <h4 className="text-sm font-medium text-gray-700 mb-2">Tool Mocks</h4>
+            <textarea
+              value={form.toolMocks}
+              onChange={(e) => setForm({ ...form, toolMocks: e.target.value })}
+              rows={4}
+              placeholder='{"get_order_status": {"status": "shipped"}} - an array answers successive calls'
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg font-mono text-xs focus:outline-none focus:ring-2 focus:ring-primary-500"
+            />
+          </div>
+
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <h4 className="text-sm font-medium text-gray-700">Assertions</h4>
+              <Button
+                variant="secondary"
+                size="sm"
+                onClick={() =>
+                  addItem('assertions', {
+                    type: 'tool_called',
+                    tool: '',
+                    params: '',
+                    text: '',
+                    turn: '',
+                  })
+                }
+              >
+                Add Assertion
+              </Button>
+            </div>
+            <div className="space-y-2">
+              {form.assertions.map((assertion, index) => {
+                const needsTool = assertion.type.startsWith('tool_');
+                const needsText = assertion.type.startsWith('reply_');
+                return (
+                  <div key={index} className="flex gap-2 items-start">
+                    <Select
+                      className="w-56"
+                      value={assertion.type}
+                      onChange={(e) => updateList('assertions', index, 'type', e.target.value)}
+                      options={assertionTypes.map((type) => ({
+                        value: type,
+                        label: ASSERTION_LABELS[type] || type,
+                      }))}
+                    />
+                    {needsTool && (
+                      <Input
+                        className="w-48"
+                        value={assertion.tool}
+                        onChange={(e) => updateList('assertions', index, 'tool', e.target.value)}
+                        placeholder="Tool name"
+                      />
+                    )}
+                    {assertion.type === 'tool_called' && (
+                      <Input
+                        className="flex-1 font-mono"
+                        value={assertion.params}
+                        onChange={(e) => updateList('assertions', index, 'params', e.target.value)}
+                        placeholder='Params, e.g. {"orderNumber": "12345"}'
+                      />
+                    )}
+                    {needsText && (
+                      <Input
+                        className="flex-1"
+                        value={assertion.text}
+                        onChange={(e) => updateList('assertions', index, 'text', e.target.value)}
+                        placeholder="Text"
+                      />
+                    )}
+                    <Input
+                      className="w-24"
+                      type="number"
+                      min="1"
+                      value={assertion.turn}
+                      onChange={(e) => updateList('assertions', index, 'turn', e.target.value)}
+                      placeholder="Turn"
+                    />
+                    <Button variant="ghost" onClick={() => removeItem('assertions', index)}>
+                      Remove
+                    </Button>
+                  </div>
+                );
+              })}
+            </div>
+            <p className="text-xs text-gray-500 mt-2">
+              Without a turn, tool and escalation assertions cover the whole conversation and reply
+              assertions check the last reply.
+            </p>
+          </div>
+
+          <div className="flex justify-end gap-2">
+            <Button variant="secondary" onClick={() => setEditing(null)}>
+              Cancel
+            </Button>
+            <Button onClick={handleSave} loading={isSaving}>
+              Save
+            </Button>
+          </div>
+        </div>
+      </Modal>
+
+      <Modal
+        isOpen={history !== null}
+        onClose={() => setHistory(null)}
+        title={history ? `Runs: ${history.scenario.name}` : ''}
+        size="xl"
+      >
+        {history && (
+          <div className="space-y-4">
+            {history.runs.length > 1 && (
+              <Select
+                value={selectedRun?.id || ''}
+                onChange={(e) =>
+                  setSelectedRun(history.runs.find((run) => String(run.id) === e.target.value))
+                }
+                options={history.runs.map((run) => ({
+                  value: run.id,
+                  label: `${new Date(run.created_at).toLocaleString()} - ${run.status}`,
+                }))}
+              />
+            )}
+            {selectedRun ? (
+              <RunResult run={selectedRun} />
+            ) : (
+              <p className="text-sm text-gray-500">No runs yet</p>
+            )}
+          </div>
+        )}
+      </Modal>
+    </div>
+  );
+}
@@ -0,0 +1,460 @@
+import { useState, useEffect } from 'react';
+import { clients, tools as toolsApi, toolPolicies } from '../services/api';
+import {
+  Card,
+  CardBody,
+  CardHeader,
+  Button,
+  Badge,
+  Modal,
+  Input,
+  Select,
+  LoadingSpinner,
+} from './common';
+
+const INHERIT_OPTIONS = [
+  { value: '', label: 'Inherit' },
+  { value: 'true', label: 'Yes' },
+  { value: 'false', label: 'No' },
+];
+
+const OPERATORS = [
+  { value: 'gt', label: '>' },
+  { value: 'gte', label: '>=' },
+  { value: 'lt', label: '<' },
+  { value: 'lte', label: '<=' },
+  { value: 'eq', label: '=' },
+  { value: 'neq', label: '!=' },
+  { value: 'in', label: 'one of' },
+];
+
+const ACTIONS = [
+  { value: 'confirm', label: 'Require confirmation' },
+  { value: 'block', label: 'Block' },
+];
+
+const EMPTY_RULE = { param: '', operator: 'gt', value: '', action: 'confirm', message: '' };
+
+const toForm = (policy) => ({
+  max_confidence: policy?.max_confidence ?? '',
+  is_destructive: typeof policy?.is_destructive === 'boolean' ? String(policy.is_destructive) : '',
+  requires_confirmation:
+    typeof policy?.requires_confirmation === 'boolean' ? String(policy.requires_confirmation) : '',
+  confirmation_phrases: (policy?.confirmation_phrases || []).join('\n'),
+  destructive_phrases: (policy?.destructive_phrases || []).join('\n'),
+  parameter_rules: (policy?.parameter_rules || []).map((rule) => ({
+    ...EMPTY_RULE,
+    ...rule,
+    value: Array.isArray(rule.value) ? rule.value.join(', ') : String(rule.value),
+  })),
+});
+
+const toBoolean = (value) => (value === '' ? null : value === 'true');
+
+const toLines = (text) =>
+  text
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean);
+
+const toPolicy = (form) => ({
+  max_confidence: form.max_confidence === '' ? null : parseInt(form.max_confidence),
+  is_destructive: toBoolean(form.is_destructive),
+  requires_confirmation: toBoolean(form.requires_confirmation),
+  confirmation_phrases: toLines(form.confirmation_phrases),
+  destructive_phrases: toLines(form.destructive_phrases),
+  parameter_rules: form.parameter_rules.map((rule) => ({
+    param: rule.param.trim(),
+    operator: rule.operator,
+    value:
+      rule.operator === 'in'
+        ? rule.value
+            .split(',')
+            .map((value) => value.trim())
+            .filter(Boolean)
+        : rule.value,
+    action: rule.action,
+    ...(rule.message.trim() && { message: rule.message.trim() }),
+  })),
+});
+
+// Short summary of a policy's overrides for the table
+const describePolicy = (policy) => {
+  if (!policy) return [];
+  const parts = [];
+  if (typeof policy.max_confidence === 'number')
+    parts.push(`max confidence ${policy.max_confidence}`);
+  if (typeof policy.is_destructive === 'boolean')
+    parts.push(policy.is_destructive ? 'destructive' : 'not destructive');
+  if (typeof policy.requires_confirmation === 'boolean')
+    parts.push(policy.requires_confirmation ? 'confirmation' : 'no confirmation');
+  if (policy.parameter_rules?.length) parts.push(`${policy.parameter_rules.length} rule(s)`);
+  const phrases =
+    (policy.confirmation_phrases?.length || 0) + (policy.destructive_phrases?.length || 0);
+  if (phrases) parts.push(`${phrases} phrase(s)`);
+  return parts;
+};
+
+export default function ToolPolicies() {
+  const [clientList, setClientList] = useState([]);
+  const [clientId, setClientId] = useState('');
+  const [clientTools, setClientTools] = useState([]);
+  const [policies, setPolicies] = useState({ client: null, tools: {} });
+  const [audit, setAudit] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [editing, setEditing] = useState(null); // { clientToolId, label }
+  const [form, setForm] = useState(toForm(null));
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    const fetchClients = async () => {
+      try {
+        const response = await clients.getAll();
+        setClientList(response.data);
+      } catch (err) {
+        console.error('Failed to load clients:', err);
+      }
+    };
+    fetchClients();
+  }, []);
+
+  useEffect(() => {
+    if (clientId) {
+      fetchPolicies();
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [clientId]);
+
+  const fetchPolicies = async () => {
+    try {
+      setLoading(true);
+      const [toolsRes, policiesRes, auditRes] = await Promise.all([
+        toolsApi.getByClient(clientId),
+        toolPolicies.get(clientId),
+        toolPolicies.getAudit(clientId, { limit: 20 }),
+      ]);
+      setClientTools(toolsRes.data);
+      setPolicies(policiesRes.data);
+      setAudit(auditRes.data);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load tool policies');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const getPolicy = (clientToolId) =>
+    clientToolId ? policies.tools?.[clientToolId] : policies.client;
+
+  const handleOpenEdit = (clientToolId, label) => {
+    setEditing({ clientToolId, label });
+    setForm(toForm(getPolicy(clientToolId)));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    try {
+      setIsSaving(true);
+      const data = toPolicy(form);
+      if (editing.clientToolId) {
+        await toolPolicies.saveToolPolicy(clientId, editing.clientToolId, data);
+      } else {
+        await toolPolicies.saveClientPolicy(clientId, data);
+      }
+      setEditing(null);
+      fetchPolicies();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save tool policy');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleReset = async (clientToolId) => {
+    if (!confirm('Remove these overrides? The tool falls back to the inherited policy.')) return;
+
+    try {
+      if (clientToolId) {
+        await toolPolicies.deleteToolPolicy(clientId, clientToolId);
+      } else {
+        await toolPolicies.deleteClientPolicy(clientId);
+      }
+      fetchPolicies();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to remove tool policy');
+    }
+  };
+
+  const updateRule = (index, field, value) => {
+    setForm({
+      ...form,
+      parameter_rules: form.parameter_rules.map((rule, i) =>
+        i === index ? { ...rule, [field]: value } : rule
+      ),
+    });
+  };
+
+  const renderRow = (clientToolId, label, defaults) => {
+    const policy = getPolicy(clientToolId);
+    const summary = describePolicy(policy);
+
+    return (
+      <div
+        key={clientToolId || 'client'}
+        className="flex items-center justify-between border border-gray-200 rounded-lg p-4"
+      >
+        <div>
+          <div className="flex items-center gap-2">
+            <span className="font-medium text-gray-900 font-mono">{label}</span>
+            {policy ? <Badge variant="primary">Custom</Badge> : <Badge>Inherited</Badge>}
+          </div>
+          {defaults && <div className="text-xs text-gray-500 mt-1">Defaults: {defaults}</div>}
+          {summary.length > 0 && (
+            <div className="text-sm text-gray-600 mt-1">{summary.join(' • ')}</div>
+          )}
+        </div>
+        <div className="flex items-center gap-2">
+          <Button variant="ghost" size="sm" onClick={() => handleOpenEdit(clientToolId, label)}>
+            Edit
+          </Button>
+          {policy && (
+            <Button
+              variant="ghost"
+              size="sm"
+              className="text-red-600 hover:text-red-700 hover:bg-red-50"
+              onClick={() => handleReset(clientToolId)}
+            >
+              Reset
+            </Button>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <Card>
+      <CardHeader className="flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-semibold">Client Tool Policies</h3>
+          <p className="text-sm text-gray-500 mt-1">
+            Override confidence limits, confirmation and parameter rules per client and per tool
+          </p>
+        </div>
+        <Select
+          value={clientId}
+          onChange={(e) => setClientId(e.target.value)}
+          options={[
+            { value: '', label: 'Select a client' },
+            ...clientList.map((client) => ({ value: String(client.id), label: client.name })),
+          ]}
+          className="w-64"
+        />
+      </CardHeader>
+      <CardBody>
+        {error && (
+          <div className="mb-4 p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">
+            {error}
+            <button onClick={() => setError(null)} className="ml-2 font-bold">
+              &times;
+            </button>
+          </div>
+        )}
+
+        {!clientId ? (
+          <p className="text-center text-gray-500 py-8">Select a client to edit its policies</p>
+        ) : loading ? (
+          <div className="flex justify-center items-center py-8">
+            <LoadingSpinner />
+          </div>
+        ) : (
+          <div className="space-y-3">
+            {renderRow(null, 'All tools (client-wide)')}
+            {clientTools.map((tool) =>
+              renderRow(
+                tool.id,
+                tool.tool_name,
+                `max confidence ${tool.max_confidence ?? 7}${tool.is_destructive ? ', destructive' : ''}${tool.requires_confirmation ? ', confirmation' : ''}`
+              )
+            )}
+
+            {/* Audit trail */}
+            <div className="pt-4">
+              <h4 className="font-medium text-gray-900 mb-2">Recent Changes</h4>
+              {audit.length === 0 ? (
+                <p className="text-sm text-gray-400">No changes yet</p>
+              ) : (
+                <ul className="text-sm divide-y divide-gray-100">
+                  {audit.map((change) => (
+                    <li key={change.id} className="py-2 flex justify-between">
+                      <span>
+                        <Badge variant={change.action === 'deleted' ? 'warning' : 'info'}>
+                          {change.action}
+                        </Badge>{' '}
+                        <span className="font-mono">{change.tool_name || 'client-wide'}</span>
+                        {change.current && (
+                          <span className="text-gray-500">
+                            {' '}
+                            &bull; {describePolicy(change.current).join(', ') || 'no overrides'}
+                          </span>
+                        )}
+                      </span>
+                      <span className="text-gray-500">
+                        {change.changed_by || 'unknown'} &bull;{' '}
+                        {new Date(change.created_at).toLocaleString()}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+        )}
+      </CardBody>
+
+      {/* Edit Policy Modal */}
+      <Modal
+        isOpen={!!editing}
+        onClose={() => setEditing(null)}
+        title={`Policy: ${editing?.label || ''}`}
+        size="lg"
+      >
+        <form onSubmit={handleSave} className="space-y-4">
+          <div className="grid grid-cols-3 gap-4">
+            <Input
+              label="Max Confidence (1-10)"
+              type="number"
+              min="1"
+              max="10"
+              value={form.max_confidence}
+              onChange={(e) => setForm({ ...form, max_confidence: e.target.value })}
+              placeholder="Inherit"
+            />
+            <Select
+              label="Destructive"
+              value={form.is_destructive}
+              onChange={(e) => setForm({ ...form, is_destructive: e.target.value })}
+              options={INHERIT_OPTIONS}
+            />
+            <Select
+              label="Requires Confirmation"
+              value={form.requires_confirmation}
+              onChange={(e) => setForm({ ...form, requires_confirmation: e.target.value })}
+              options={INHERIT_OPTIONS}
+            />
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="label">Confirmation Phrases</label>
+              <textarea
+                value={form.confirmation_phrases}
+                onChange={(e) => setForm({ ...form, confirmation_phrases: e.target.value })}
+                className="input min-h-[80px]"
+                placeholder={'One per line, e.g.\nyes, refund it'}
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                Added to the built-in yes/confirm phrases
+              </p>
+            </div>
+            <div>
+              <label className="label">Destructive Phrases</label>
+              <textarea
+                value={form.destructive_phrases}
+                onChange={(e) => setForm({ ...form, destructive_phrases: e.target.value })}
+                className="input min-h-[80px]"
+                placeholder={'One per line, e.g.\nchargeback'}
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                Messages containing these are treated as destructive
+              </p>
+            </div>
+          </div>
+
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <label className="label mb-0">Parameter Rules</label>
+              <Button
+                type="button"
+                variant="ghost"
+                size="sm"
+                onClick={() =>
+                  setForm({ ...form, parameter_rules: [...form.parameter_rules, EMPTY_RULE] })
+                }
+              >
+                Add Rule
+              </Button>
+            </div>
+            {form.parameter_rules.length === 0 ? (
+              <p className="text-sm text-gray-400">
+                e.g. refunds with amount &gt; 100 always require confirmation
+              </p>
+            ) : (
+              <div className="space-y-2">
+                {form.parameter_rules.map((rule, index) => (
+                  <div key={index} className="grid grid-cols-12 gap-2 items-start">
+                    <Input
+                      className="col-span-3"
+                      value={rule.param}
+                      onChange={(e) => updateRule(index, 'param', e.target.value)}
+                      placeholder="amount"
+                      required
+                    />
+                    <Select
+                      className="col-span-2"
+                      value={rule.operator}
+                      onChange={(e) => updateRule(index, 'operator', e.target.value)}
+                      options={OPERATORS}
+                    />
+                    <Input
+                      className="col-span-2"
+                      value={rule.value}
+                      onChange={(e) => updateRule(index, 'value', e.target.value)}
+                      placeholder={rule.operator === 'in' ? 'a, b' : '100'}
+                      required
+                    />
+                    <Select
+                      className="col-span-4"
+                      value={rule.action}
+                      onChange={(e) => updateRule(index, 'action', e.target.value)}
+                      options={ACTIONS}
+                    />
+                    <button
+                      type="button"
+                      className="col-span-1 text-red-500 hover:text-red-700 py-2"
+                      onClick={() =>
+                        setForm({
+                          ...form,
+                          parameter_rules: form.parameter_rules.filter((_, i) => i !== index),
+                        })
+                      }
+                    >
+                      &times;
+                    </button>
+                    <Input
+                      className="col-span-11"
+                      value={rule.message}
+                      onChange={(e) => updateRule(index, 'message', e.target.value)}
+                      placeholder="Optional note for the AI, e.g. Refunds over $100 need approval"
+                    />
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="flex justify-end gap-3 pt-4">
+            <Button type="button" variant="secondary" onClick={() => setEditing(null)}>
+              Cancel
+            </Button>
+            <Button type="submit" loading={isSaving}>
+              Save Policy
+            </Button>
+          </div>
+        </form>
+      </Modal>
+    </Card>
+  );
+}
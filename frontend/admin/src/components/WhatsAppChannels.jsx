@@ -0,0 +1,443 @@
+import { useState, useEffect } from 'react';
+import { whatsapp } from '../services/api';
+import { Card, CardBody, CardHeader, Button, Badge, Modal, Input, LoadingSpinner } from './common';
+
+const EMPTY_CHANNEL = {
+  phone_number_id: '',
+  display_phone_number: '',
+  access_token: '',
+  app_secret: '',
+};
+
+export default function WhatsAppChannels({ clientId }) {
+  const [channels, setChannels] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [isConnectModalOpen, setIsConnectModalOpen] = useState(false);
+  const [newChannel, setNewChannel] = useState(EMPTY_CHANNEL);
+  const [isConnecting, setIsConnecting] = useState(false);
+  const [isTestModalOpen, setIsTestModalOpen] = useState(false);
+  const [isSettingsModalOpen, setIsSettingsModalOpen] = useState(false);
+  const [selectedChannel, setSelectedChannel] = useState(null);
+  const [testMessage, setTestMessage] = useState({ to: '', body: '' });
+  const [testResult, setTestResult] = useState(null);
+  const [isSendingTest, setIsSendingTest] = useState(false);
+  const [isTesting, setIsTesting] = useState(null);
+  const [channelSettings, setChannelSettings] = useState({
+    auto_reply: true,
+    template_name: '',
+    template_language: 'en',
+  });
+  const [isSavingSettings, setIsSavingSettings] = useState(false);
+
+  useEffect(() => {
+    if (clientId) {
+      fetchChannels();
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [clientId]);
+
+  const fetchChannels = async () => {
+    try {
+      setLoading(true);
+      const response = await whatsapp.getChannels(clientId);
+      setChannels(response.data);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load WhatsApp channels');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleConnect = async () => {
+    if (!newChannel.phone_number_id) {
+      alert('Phone number ID is required');
+      return;
+    }
+
+    try {
+      setIsConnecting(true);
+      await whatsapp.createChannel(clientId, newChannel);
+      setIsConnectModalOpen(false);
+      setNewChannel(EMPTY_CHANNEL);
+      fetchChannels();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to connect WhatsApp number');
+    } finally {
+      setIsConnecting(false);
+    }
+  };
+
+  const handleDisconnect = async (channelId) => {
+    if (
+      !confirm(
+        'Are you sure you want to disconnect this WhatsApp number? The AI will no longer answer messages sent to it.'
+      )
+    ) {
+      return;
+    }
+
+    try {
+      await whatsapp.disconnectChannel(channelId);
+      fetchChannels();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to disconnect WhatsApp channel');
+    }
+  };
+
+  const handleTestConnection = async (channelId) => {
+    try {
+      setIsTesting(channelId);
+      const response = await whatsapp.testConnection(channelId);
+      if (response.data.success) {
+        alert(
+          `Connection successful!\nNumber: ${response.data.displayPhoneNumber}\nName: ${response.data.verifiedName || '-'}`
+        );
+      } else {
+        alert(`Connection failed: ${response.data.error}`);
+      }
+      fetchChannels();
+    } catch (err) {
+      alert(`Connection test failed: ${err.response?.data?.error || err.message}`);
+    } finally {
+      setIsTesting(null);
+    }
+  };
+
+  const handleOpenTestModal = (channel) => {
+    setSelectedChannel(channel);
+    setTestMessage({ to: '', body: 'This is a test message.' });
+    setTestResult(null);
+    setIsTestModalOpen(true);
+  };
+
+  const handleSendTestMessage = async () => {
+    if (!testMessage.to || !testMessage.body) {
+      alert('Please fill in all fields');
+      return;
+    }
+
+    try {
+      setIsSendingTest(true);
+      await whatsapp.sendTestMessage(selectedChannel.id, testMessage);
+      setTestResult({ success: true, message: 'Test message sent successfully!' });
+    } catch (err) {
+      setTestResult({
+        success: false,
+        message: err.response?.data?.details || err.response?.data?.error || 'Failed to send',
+      });
+    } finally {
+      setIsSendingTest(false);
+    }
+  };
+
+  const handleOpenSettingsModal = (channel) => {
+    setSelectedChannel(channel);
+    setChannelSettings({
+      auto_reply: channel.settings?.auto_reply !== false,
+      template_name: channel.settings?.template_name || '',
+      template_language: channel.settings?.template_language || 'en',
+    });
+    setIsSettingsModalOpen(true);
+  };
+
+  const handleSaveSettings = async () => {
+    try {
+      setIsSavingSettings(true);
+      await whatsapp.updateChannel(selectedChannel.id, { settings: channelSettings });
+      setIsSettingsModalOpen(false);
+      fetchChannels();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save settings');
+    } finally {
+      setIsSavingSettings(false);
+    }
+  };
+
+  const getStatusBadge = (status) => {
+    switch (status) {
+      case 'active':
+        return <Badge variant="success">Active</Badge>;
+      case 'error':
+        return <Badge variant="danger">Error</Badge>;
+      case 'inactive':
+        return <Badge variant="warning">Inactive</Badge>;
+      default:
+        return <Badge variant="default">{status}</Badge>;
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center py-8">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  return (
+    <Card>
+      <CardHeader className="flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-semibold">WhatsApp Channels</h3>
+          <p className="text-sm text-gray-500 mt-1">
+            Connect WhatsApp Business numbers for AI-powered WhatsApp support
+          </p>
+        </div>
+        <Button onClick={() => setIsConnectModalOpen(true)}>Connect WhatsApp</Button>
+      </CardHeader>
+      <CardBody>
+        {error && (
+          <div className="mb-4 p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">
+            {error}
+            <button onClick={() => setError(null)} className="ml-2 font-bold">
+              &times;
+            </button>
+          </div>
+        )}
+
+        {channels.length === 0 ? (
+          <div className="text-center py-8">
+            <p className="text-gray-500 mb-4">No WhatsApp numbers connected</p>
+            <p className="text-sm text-gray-400">
+              Connect a WhatsApp Business number to let the AI answer customers on WhatsApp
+            </p>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {channels.map((channel) => (
+              <div
+                key={channel.id}
+                className="border border-gray-200 rounded-lg p-4 hover:border-gray-300 transition-colors"
+              >
+                <div className="flex items-center justify-between">
+                  <div>
+                    <div className="flex items-center gap-2">
+                      <span className="font-medium text-gray-900">
+                        {channel.display_phone_number || channel.phone_number_id}
+                      </span>
+                      {getStatusBadge(channel.status)}
+                    </div>
+                    <div className="text-sm text-gray-500 mt-1">
+                      Phone number ID: {channel.phone_number_id}
+                      {channel.last_message_at && (
+                        <span className="ml-2">
+                          &bull; Last message: {new Date(channel.last_message_at).toLocaleString()}
+                        </span>
+                      )}
+                    </div>
+                    {channel.last_error && (
+                      <div className="text-sm text-red-600 mt-1">Error: {channel.last_error}</div>
+                    )}
+                    {channel.settings?.auto_reply === false && (
+                      <div className="text-sm text-yellow-600 mt-1">Auto-reply disabled</div>
+                    )}
+                    {!channel.settings?.template_name && (
+                      <div className="text-sm text-gray-400 mt-1">
+                        No template configured - customers can only be messaged within 24 hours of
+                        their last message
+                      </div>
+                    )}
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => handleTestConnection(channel.id)}
+                      loading={isTesting === channel.id}
+                    >
+                      Test
+                    </Button>
+                    <Button variant="ghost" size="sm" onClick={() => handleOpenTestModal(channel)}>
+                      Send Test
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => handleOpenSettingsModal(channel)}
+                    >
+                      Settings
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      className="text-red-600 hover:text-red-700 hover:bg-red-50"
+                      onClick={() => handleDisconnect(channel.id)}
+                    >
+                      Disconnect
+                    </Button>
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {/* Info Box */}
+        <div className="mt-6 bg-blue-50 border border-blue-200 rounded-lg p-4">
+          <h4 className="font-semibold text-blue-900 mb-2">How WhatsApp Channels Work</h4>
+          <ul className="text-sm text-blue-800 space-y-1 list-disc list-inside">
+            <li>
+              Point your WhatsApp Business webhook to <code>/api/whatsapp/webhook</code>
+            </li>
+            <li>Each customer phone number gets its own conversation</li>
+            <li>
+              Free-form replies are only allowed within 24 hours of the customer's last message
+            </li>
+            <li>After that, the configured template is sent to invite the customer back</li>
+          </ul>
+        </div>
+      </CardBody>
+
+      {/* Connect Modal */}
+      <Modal
+        isOpen={isConnectModalOpen}
+        onClose={() => setIsConnectModalOpen(false)}
+        title="Connect WhatsApp Number"
+      >
+        <div className="space-y-4">
+          <Input
+            label="Phone Number ID"
+            value={newChannel.phone_number_id}
+            onChange={(e) => setNewChannel({ ...newChannel, phone_number_id: e.target.value })}
+            placeholder="From WhatsApp Manager > API Setup"
+          />
+          <Input
+            label="Display Phone Number"
+            value={newChannel.display_phone_number}
+            onChange={(e) => setNewChannel({ ...newChannel, display_phone_number: e.target.value })}
+            placeholder="+1 555 123 4567"
+          />
+          <Input
+            label="Access Token"
+            type="password"
+            value={newChannel.access_token}
+            onChange={(e) => setNewChannel({ ...newChannel, access_token: e.target.value })}
+            placeholder="Leave empty to use WHATSAPP_ACCESS_TOKEN"
+          />
+          <Input
+            label="App Secret"
+            type="password"
+            value={newChannel.app_secret}
+            onChange={(e) => setNewChannel({ ...newChannel, app_secret: e.target.value })}
+            placeholder="Leave empty to use WHATSAPP_APP_SECRET"
+          />
+
+          <div className="flex justify-end gap-3">
+            <Button variant="secondary" onClick={() => setIsConnectModalOpen(false)}>
+              Cancel
+            </Button>
+            <Button onClick={handleConnect} loading={isConnecting}>
+              Connect
+            </Button>
+          </div>
+        </div>
+      </Modal>
+
+      {/* Send Test Message Modal */}
+      <Modal
+        isOpen={isTestModalOpen}
+        onClose={() => setIsTestModalOpen(false)}
+        title="Send Test Message"
+      >
+        <div className="space-y-4">
+          {testResult && (
+            <div
+              className={`p-3 rounded-lg ${
+                testResult.success
+                  ? 'bg-green-50 border border-green-200 text-green-700'
+                  : 'bg-red-50 border border-red-200 text-red-700'
+              }`}
+            >
+              {testResult.message}
+            </div>
+          )}
+
+          <Input
+            label="To"
+            value={testMessage.to}
+            onChange={(e) => setTestMessage({ ...testMessage, to: e.target.value })}
+            placeholder="15551234567"
+          />
+          <p className="text-xs text-gray-500">
+            The recipient must have messaged this number in the last 24 hours
+          </p>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Message</label>
+            <textarea
+              value={testMessage.body}
+              onChange={(e) => setTestMessage({ ...testMessage, body: e.target.value })}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+              rows="4"
+            />
+          </div>
+
+          <div className="flex justify-end gap-3">
+            <Button variant="secondary" onClick={() => setIsTestModalOpen(false)}>
+              Cancel
+            </Button>
+            <Button onClick={handleSendTestMessage} loading={isSendingTest}>
+              Send Test Message
+            </Button>
+          </div>
+        </div>
+      </Modal>
+
+      {/* Channel Settings Modal */}
+      <Modal
+        isOpen={isSettingsModalOpen}
+        onClose={() => setIsSettingsModalOpen(false)}
+        title="WhatsApp Channel Settings"
+      >
+        <div className="space-y-4">
+          <div className="flex items-center gap-3">
+            <input
+              type="checkbox"
+              id="whatsapp_auto_reply"
+              checked={channelSettings.auto_reply}
+              onChange={(e) =>
+                setChannelSettings({ ...channelSettings, auto_reply: e.target.checked })
+              }
+              className="w-4 h-4 text-primary-600 rounded focus:ring-primary-500"
+            />
+            <label htmlFor="whatsapp_auto_reply" className="text-sm text-gray-700">
+              Enable auto-reply (AI automatically responds to incoming messages)
+            </label>
+          </div>
+
+          <Input
+            label="Re-engagement Template"
+            value={channelSettings.template_name}
+            onChange={(e) =>
+              setChannelSettings({ ...channelSettings, template_name: e.target.value })
+            }
+            placeholder="e.g. support_follow_up"
+          />
+          <p className="text-xs text-gray-500 -mt-2">
+            Approved message template sent when the 24-hour window has closed
+          </p>
+
+          <Input
+            label="Template Language"
+            value={channelSettings.template_language}
+            onChange={(e) =>
+              setChannelSettings({ ...channelSettings, template_language: e.target.value })
+            }
+            placeholder="en"
+          />
+
+          <div className="flex justify-end gap-3 mt-6">
+            <Button variant="secondary" onClick={() => setIsSettingsModalOpen(false)}>
+              Cancel
+            </Button>
+            <Button onClick={handleSaveSettings} loading={isSavingSettings}>
+              Save Settings
+            </Button>
+          </div>
+        </div>
+      </Modal>
+    </Card>
+  );
+}
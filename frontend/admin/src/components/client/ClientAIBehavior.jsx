@@ -5,7 +5,7 @@ import api from '../../services/api';
  * Per-client AI behavior settings component
  * Allows customizing AI behavior for a specific client (overrides platform defaults)
  */
-export default function ClientAIBehavior({ clientId, clientName }) {
+export default function ClientAIBehavior({ clientId, clientName, onSaved }) {
   const [config, setConfig] = useState(null); // Display config (merged)
   const [platformDefaults, setPlatformDefaults] = useState(null); // Platform defaults
   const [originalOverrides, setOriginalOverrides] = useState(null); // Original client overrides
@@ -97,6 +97,7 @@ export default function ClientAIBehavior({ clientId, clientName }) {
       // Reload to get updated customizedFields from server
       await loadConfig();
       setMessage({ type: 'success', text: 'AI behavior settings saved!' });
+      onSaved?.();
       setTimeout(() => setMessage(null), 3000);
     } catch (error) {
       setMessage({ type: 'error', text: error.response?.data?.error || 'Failed to save settings' });
@@ -119,6 +120,7 @@ export default function ClientAIBehavior({ clientId, clientName }) {
       setCustomizedFields([]);
       await loadConfig();
       setMessage({ type: 'success', text: 'Reset to platform defaults' });
+      onSaved?.();
       setTimeout(() => setMessage(null), 3000);
     } catch {
       setMessage({ type: 'error', text: 'Failed to reset settings' });
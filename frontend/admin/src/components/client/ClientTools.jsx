@@ -23,6 +23,29 @@ import {
 } from '../common';
 import { tools as toolsApi } from '../../services/api';
 
+const EXECUTOR_OPTIONS = [
+  { value: 'n8n', label: 'n8n workflow (webhook)' },
+  { value: 'http', label: 'Built-in HTTP request' },
+];
+
+const HTTP_CONFIG_PLACEHOLDER = `{
+  "integration": "order_api",
+  "endpoint": "get_order",
+  "query": { "id": "{{orderNumber}}" },
+  "response": { "root": "data", "fields": { "status": "status" } }
+}`;
+
+/**
+ * Read the HTTP request template from the form, throwing on invalid JSON
+ */
+const parseHttpConfig = (text) => {
+  try {
+    return JSON.parse(text || '{}');
+  } catch {
+    throw new Error('HTTP request template must be valid JSON');
+  }
+};
+
 export default function ClientTools({
   clientId,
   clientTools,
@@ -41,18 +64,23 @@ export default function ClientTools({
   const [selectedToolForEnable, setSelectedToolForEnable] = useState(null);
   const [integrationMapping, setIntegrationMapping] = useState({});
 
-  const toolForm = useForm();
+  const toolForm = useForm({ defaultValues: { executor: 'n8n' } });
   const editToolForm = useForm();
   const testToolForm = useForm();
 
   const enabledToolIds = clientTools.map((t) => t.tool_id);
   const availableTools = allTools.filter((t) => !enabledToolIds.includes(t.id));
 
+  const addExecutor = toolForm.watch('executor') || 'n8n';
+  const editExecutor = editToolForm.watch('executor') || 'n8n';
+
   const handleEnableTool = async (data) => {
     try {
+      const { httpConfig, ...rest } = data;
       const payload = {
-        ...data,
+        ...rest,
         integrationMapping: integrationMapping,
+        ...(data.executor === 'http' && { httpConfig: parseHttpConfig(httpConfig) }),
       };
       await toolsApi.enableForClient(clientId, payload);
       setIsToolModalOpen(false);
@@ -61,14 +89,16 @@ export default function ClientTools({
       setIntegrationMapping({});
       onRefresh();
     } catch (err) {
-      setError(err.response?.data?.error || 'Failed to enable tool');
+      setError(err.response?.data?.error || err.message || 'Failed to enable tool');
     }
   };
 
   const handleEditTool = (tool) => {
     setEditingTool(tool);
     editToolForm.reset({
+      executor: tool.executor || 'n8n',
       webhookUrl: tool.n8n_webhook_url || '',
+      httpConfig: tool.http_config ? JSON.stringify(tool.http_config, null, 2) : '',
     });
     setIntegrationMapping(tool.integration_mapping || {});
     setIsEditToolModalOpen(true);
@@ -77,7 +107,9 @@ export default function ClientTools({
   const handleUpdateTool = async (data) => {
     try {
       await toolsApi.updateForClient(clientId, editingTool.tool_id, {
-        webhookUrl: data.webhookUrl,
+        executor: data.executor,
+        webhookUrl: data.webhookUrl || null,
+        ...(data.executor === 'http' && { httpConfig: parseHttpConfig(data.httpConfig) }),
         integrationMapping: integrationMapping,
       });
       setIsEditToolModalOpen(false);
@@ -86,7 +118,7 @@ export default function ClientTools({
       editToolForm.reset();
       onRefresh();
     } catch (err) {
-      setError(err.response?.data?.error || 'Failed to update tool');
+      setError(err.response?.data?.error || err.message || 'Failed to update tool');
     }
   };
 
@@ -164,7 +196,7 @@ export default function ClientTools({
               <TableRow>
                 <TableHeader>Tool Name</TableHeader>
                 <TableHeader>Description</TableHeader>
-                <TableHeader>Webhook URL</TableHeader>
+                <TableHeader>Runs Via</TableHeader>
                 <TableHeader>Status</TableHeader>
                 <TableHeader>Actions</TableHeader>
               </TableRow>
@@ -178,7 +210,11 @@ export default function ClientTools({
                       {tool.description}
                     </TableCell>
                     <TableCell className="text-gray-500 max-w-xs truncate font-mono text-xs">
-                      {tool.n8n_webhook_url || '-'}
+                      {tool.executor === 'http' ? (
+                        <Badge variant="info">HTTP</Badge>
+                      ) : (
+                        tool.n8n_webhook_url || '-'
+                      )}
                     </TableCell>
                     <TableCell>
                       <Badge variant={tool.enabled ? 'success' : 'default'}>
@@ -270,12 +306,18 @@ export default function ClientTools({
               />
             )}
 
-          <Input
-            label="Webhook URL"
-            {...toolForm.register('webhookUrl', { required: 'Webhook URL is required' })}
-            error={toolForm.formState.errors.webhookUrl?.message}
-            placeholder="http://localhost:5678/webhook/tool_name"
-          />
+          <Select label="Executor" {...toolForm.register('executor')} options={EXECUTOR_OPTIONS} />
+
+          {addExecutor === 'http' ? (
+            <HttpConfigField register={toolForm.register} />
+          ) : (
+            <Input
+              label="Webhook URL"
+              {...toolForm.register('webhookUrl', { required: 'Webhook URL is required' })}
+              error={toolForm.formState.errors.webhookUrl?.message}
+              placeholder="http://localhost:5678/webhook/tool_name"
+            />
+          )}
 
           <div className="flex justify-end gap-3 mt-6">
             <Button
@@ -395,13 +437,23 @@ export default function ClientTools({
               )}
             </div>
 
-            <Input
-              label="Webhook URL"
-              {...editToolForm.register('webhookUrl', { required: 'Webhook URL is required' })}
-              error={editToolForm.formState.errors.webhookUrl?.message}
-              placeholder="http://localhost:5678/webhook/tool_name"
+            <Select
+              label="Executor"
+              {...editToolForm.register('executor')}
+              options={EXECUTOR_OPTIONS}
             />
 
+            {editExecutor === 'http' ? (
+              <HttpConfigField register={editToolForm.register} />
+            ) : (
+              <Input
+                label="Webhook URL"
+                {...editToolForm.register('webhookUrl', { required: 'Webhook URL is required' })}
+                error={editToolForm.formState.errors.webhookUrl?.message}
+                placeholder="http://localhost:5678/webhook/tool_name"
+              />
+            )}
+
             <div className="flex justify-end gap-3 mt-6">
               <Button
                 type="button"
@@ -445,7 +497,11 @@ export default function ClientTools({
             <div className="bg-gray-50 p-3 rounded-lg">
               <p className="text-sm font-medium text-gray-900">{testingTool.tool_name}</p>
               <p className="text-xs text-gray-600 mt-1">{testingTool.description}</p>
-              <p className="text-xs text-gray-500 mt-1 font-mono">{testingTool.n8n_webhook_url}</p>
+              <p className="text-xs text-gray-500 mt-1 font-mono">
+                {testingTool.executor === 'http'
+                  ? 'Built-in HTTP request'
+                  : testingTool.n8n_webhook_url}
+              </p>
             </div>
 
             {testResult && (
@@ -596,3 +652,29 @@ function IntegrationMappingSection({
     </div>
   );
 }
+
+/**
+ * HTTP request template editor - used when a tool runs without n8n
+ */
+function HttpConfigField({ register }) {
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">
+        HTTP Request Template (JSON)
+      </label>
+      <textarea
+        {...register('httpConfig')}
+        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent font-mono text-sm"
+        rows="8"
+        placeholder={HTTP_CONFIG_PLACEHOLDER}
+      />
+      <p className="text-xs text-gray-500 mt-1">
+        Calls the mapped integration directly. Use an <code>endpoint</code> name from the
+        integration or a <code>path</code>; reference tool parameters as <code>{'{{param}}'}</code>{' '}
+        in <code>path</code>, <code>query</code>, <code>body</code> and <code>headers</code>.{' '}
+        <code>response.root</code> and <code>response.fields</code> pick the values returned to the
+        AI.
+      </p>
+    </div>
+  );
+}
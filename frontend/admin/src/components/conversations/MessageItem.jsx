@@ -1,4 +1,5 @@
 import { Badge } from '../common';
+import { conversations } from '../../services/api';
 
 /**
  * Format token count for display
@@ -70,8 +71,12 @@ function getAvatarStyles(messageType, role) {
 
 /**
  * Get sender display name based on message type and role
+ * Replies written by a human agent are stored as assistant messages tagged in metadata.
  */
-function getSenderName(messageType, role) {
+function getSenderName(messageType, role, metadata) {
+  if (metadata?.sender === 'agent') {
+    return metadata.agent_name ? `Agent: ${metadata.agent_name}` : 'Agent';
+  }
   if (messageType === 'system') return 'System';
   if (messageType === 'tool_call') return 'AI → Tool';
   if (messageType === 'tool_result') return 'Tool → AI';
@@ -153,10 +158,63 @@ function MessageIcon({ messageType, role }) {
   return <AssistantIcon />;
 }
 
+/**
+ * Format a file size for display
+ */
+function formatFileSize(bytes) {
+  if (!bytes) return '';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Files the customer sent with a message (widget uploads and email attachments)
+ * Opened through the API since downloads need the admin token.
+ */
+function MessageAttachments({ conversationId, attachments }) {
+  const openAttachment = async (attachment) => {
+    try {
+      const response = await conversations.downloadAttachment(conversationId, attachment.id);
+      const url = window.URL.createObjectURL(response.data);
+      window.open(url, '_blank', 'noopener');
+      setTimeout(() => window.URL.revokeObjectURL(url), 60000);
+    } catch (err) {
+      console.error('Failed to open attachment:', err);
+    }
+  };
+
+  return (
+    <div className="mt-2 flex flex-wrap gap-2">
+      {attachments.map((attachment) => (
+        <button
+          key={attachment.id}
+          type="button"
+          onClick={() => openAttachment(attachment)}
+          className="inline-flex items-center gap-1 px-2 py-1 text-xs rounded border border-gray-300 bg-white text-primary-700 hover:bg-gray-50"
+          title={attachment.mime_type}
+        >
+          <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path
+              strokeLinecap="round"
+              strokeLinejoin="round"
+              strokeWidth={2}
+              d="M15.172 7l-6.586 6.586a2 2 0 102.828 2.828l6.414-6.586a4 4 0 00-5.656-5.656l-6.415 6.585a6 6 0 108.486 8.486L20.5 13"
+            />
+          </svg>
+          {attachment.filename}
+          <span className="text-gray-400">{formatFileSize(attachment.size)}</span>
+        </button>
+      ))}
+    </div>
+  );
+}
+
 /**
  * Individual message item component
+ * feedback is the customer's rating of this reply ('up' or 'down'), if any
  */
-export default function MessageItem({ message, debugMode }) {
+export default function MessageItem({ message, debugMode, feedback }) {
   const messageType = message.message_type || 'visible';
   const isDebugMessage = [
     'system',
@@ -187,7 +245,7 @@ export default function MessageItem({ message, debugMode }) {
           {/* Header */}
           <div className="flex items-center gap-2 mb-1 flex-wrap">
             <span className="font-medium text-gray-900">
-              {getSenderName(messageType, message.role)}
+              {getSenderName(messageType, message.role, message.metadata)}
             </span>
             {typeLabel && (
               <span className={`px-2 py-0.5 text-xs font-medium rounded ${typeLabel.color}`}>
@@ -198,6 +256,15 @@ export default function MessageItem({ message, debugMode }) {
               {message.timestamp ? new Date(message.timestamp).toLocaleString() : 'N/A'}
             </span>
             <div className="flex items-center gap-2 ml-auto">
+              {feedback && (
+                <Badge
+                  variant={feedback === 'up' ? 'success' : 'danger'}
+                  className="text-xs"
+                  title="Customer feedback on this reply"
+                >
+                  {feedback === 'up' ? 'Helpful' : 'Not helpful'}
+                </Badge>
+              )}
               {message.tokens !== undefined && message.tokens > 0 && (
                 <Badge variant="default" className="text-xs" title="Tokens used for this LLM call">
                   {formatTokenCount(message.tokens)}
@@ -220,6 +287,13 @@ export default function MessageItem({ message, debugMode }) {
             <p className="text-gray-700 whitespace-pre-wrap">{message.content}</p>
           )}
 
+          {message.channel_metadata?.attachments?.length > 0 && (
+            <MessageAttachments
+              conversationId={message.conversation_id}
+              attachments={message.channel_metadata.attachments}
+            />
+          )}
+
           {/* Metadata for debug messages */}
           {debugMode && message.metadata && (
             <details className="mt-2">
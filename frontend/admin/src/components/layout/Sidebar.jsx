@@ -1,4 +1,5 @@
 import { NavLink } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
 
 const navItems = [
   {
@@ -147,6 +148,21 @@ const navItems = [
       </svg>
     ),
   },
+  {
+    path: '/audit-log',
+    label: 'Audit Log',
+    roles: ['super_admin'],
+    icon: (
+      <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+        <path
+          strokeLinecap="round"
+          strokeLinejoin="round"
+          strokeWidth={2}
+          d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-6 9l2 2 4-4"
+        />
+      </svg>
+    ),
+  },
   {
     path: '/settings',
     label: 'Settings',
@@ -170,6 +186,9 @@ const navItems = [
 ];
 
 export default function Sidebar({ isOpen, onClose }) {
+  const { user } = useAuth();
+  const visibleItems = navItems.filter((item) => !item.roles || item.roles.includes(user?.role));
+
   return (
     <>
       {/* Mobile overlay */}
@@ -206,7 +225,7 @@ export default function Sidebar({ isOpen, onClose }) {
 
         <nav className="px-4 py-6">
           <ul className="space-y-2">
-            {navItems.map((item) => (
+            {visibleItems.map((item) => (
               <li key={item.path}>
                 <NavLink
                   to={item.path}
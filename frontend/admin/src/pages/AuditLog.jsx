@@ -0,0 +1,381 @@
+import { Fragment, useState, useEffect } from 'react';
+import { auditLogs, clients } from '../services/api';
+import { loadFilterState, saveFilterState, PAGE_KEYS } from '../utils/filterStorage';
+import {
+  Card,
+  CardBody,
+  Button,
+  Input,
+  Select,
+  LoadingSpinner,
+  Badge,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableHeader,
+  TableCell,
+} from '../components/common';
+
+const DEFAULT_FILTERS = {
+  clientId: 'all',
+  actorType: 'all',
+  action: 'all',
+  targetType: 'all',
+  from: '',
+  to: '',
+  search: '',
+};
+
+const ACTOR_TYPES = [
+  { value: 'all', label: 'All Actors' },
+  { value: 'admin', label: 'Admins' },
+  { value: 'client_user', label: 'Customer Users' },
+  { value: 'access_code', label: 'Customer Access Code' },
+];
+
+const ACTOR_VARIANTS = {
+  admin: 'primary',
+  client_user: 'info',
+  access_code: 'warning',
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '—';
+  if (typeof value === 'object') return JSON.stringify(value, null, 2);
+  return String(value);
+};
+
+export default function AuditLog() {
+  const [filters, setFilters] = useState(() =>
+    loadFilterState(PAGE_KEYS.AUDIT_LOG, DEFAULT_FILTERS)
+  );
+  const [entries, setEntries] = useState([]);
+  const [clientList, setClientList] = useState([]);
+  const [facets, setFacets] = useState({ actions: [], targetTypes: [] });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [total, setTotal] = useState(0);
+  const [expandedId, setExpandedId] = useState(null);
+  const [isExporting, setIsExporting] = useState(false);
+
+  useEffect(() => {
+    saveFilterState(PAGE_KEYS.AUDIT_LOG, filters);
+  }, [filters]);
+
+  useEffect(() => {
+    clients
+      .getAll()
+      .then((response) => setClientList(response.data))
+      .catch((err) => console.error('Failed to load clients:', err));
+    auditLogs
+      .getFacets()
+      .then((response) => setFacets(response.data))
+      .catch((err) => console.error('Failed to load audit filters:', err));
+  }, []);
+
+  useEffect(() => {
+    fetchEntries();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [page, filters]);
+
+  // Only send filters that are set; dates cover whole days
+  const buildParams = () => {
+    const params = {};
+    for (const [key, value] of Object.entries(filters)) {
+      if (value && value !== 'all') params[key] = value;
+    }
+    if (params.from) params.from = `${params.from}T00:00:00`;
+    if (params.to) params.to = `${params.to}T23:59:59`;
+    return params;
+  };
+
+  const fetchEntries = async () => {
+    setLoading(true);
+    try {
+      const response = await auditLogs.getAll({ ...buildParams(), page, limit: 50 });
+      setEntries(response.data.entries);
+      setTotalPages(response.data.totalPages);
+      setTotal(response.data.total);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load audit log');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateFilter = (key, value) => {
+    setFilters((prev) => ({ ...prev, [key]: value }));
+    setPage(1);
+  };
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    try {
+      const response = await auditLogs.export(buildParams());
+
+      const blob = new Blob([response.data], { type: 'text/csv' });
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `audit-log-${new Date().toISOString().split('T')[0]}.csv`;
+      document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(url);
+      document.body.removeChild(a);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Export failed');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Audit Log</h1>
+          <p className="text-gray-600 mt-1">Who changed what, and when</p>
+        </div>
+        <div className="flex items-center gap-3">
+          <Button
+            variant="secondary"
+            onClick={() => {
+              setFilters(DEFAULT_FILTERS);
+              setPage(1);
+            }}
+          >
+            Clear Filters
+          </Button>
+          <Button variant="secondary" onClick={handleExport} loading={isExporting}>
+            Export CSV
+          </Button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 text-red-700 rounded-lg">{error}</div>
+      )}
+
+      {/* Filters */}
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+        <Input
+          placeholder="Search actor, path or changed values..."
+          value={filters.search}
+          onChange={(e) => updateFilter('search', e.target.value)}
+        />
+        <Select
+          value={filters.clientId}
+          onChange={(e) => updateFilter('clientId', e.target.value)}
+          options={[
+            { value: 'all', label: 'All Clients' },
+            ...clientList.map((c) => ({ value: c.id, label: c.name })),
+          ]}
+        />
+        <Select
+          value={filters.actorType}
+          onChange={(e) => updateFilter('actorType', e.target.value)}
+          options={ACTOR_TYPES}
+        />
+        <Select
+          value={filters.targetType}
+          onChange={(e) => updateFilter('targetType', e.target.value)}
+          options={[
+            { value: 'all', label: 'All Targets' },
+            ...facets.targetTypes.map((type) => ({ value: type, label: type })),
+          ]}
+        />
+        <Select
+          value={filters.action}
+          onChange={(e) => updateFilter('action', e.target.value)}
+          options={[
+            { value: 'all', label: 'All Actions' },
+            ...facets.actions.map((action) => ({ value: action, label: action })),
+          ]}
+        />
+        <Input
+          type="date"
+          value={filters.from}
+          onChange={(e) => updateFilter('from', e.target.value)}
+        />
+        <Input
+          type="date"
+          value={filters.to}
+          onChange={(e) => updateFilter('to', e.target.value)}
+        />
+        <div className="flex items-center text-sm text-gray-500">{total} entries</div>
+      </div>
+
+      {/* Entries */}
+      <Card>
+        <CardBody className="p-0">
+          {loading ? (
+            <div className="flex justify-center items-center py-12">
+              <LoadingSpinner size="lg" />
+            </div>
+          ) : (
+            <Table>
+              <TableHead>
+                <TableRow>
+                  <TableHeader>Time</TableHeader>
+                  <TableHeader>Actor</TableHeader>
+                  <TableHeader>Client</TableHeader>
+                  <TableHeader>Action</TableHeader>
+                  <TableHeader>Target</TableHeader>
+                  <TableHeader>IP</TableHeader>
+                  <TableHeader>Changes</TableHeader>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {entries.length > 0 ? (
+                  entries.map((entry) => {
+                    const changedFields = Object.keys(entry.changes || {});
+                    const isExpanded = expandedId === entry.id;
+                    return (
+                      <Fragment key={entry.id}>
+                        <TableRow>
+                          <TableCell className="text-gray-500 whitespace-nowrap">
+                            {new Date(entry.created_at).toLocaleString()}
+                          </TableCell>
+                          <TableCell>
+                            <div className="flex items-center gap-2">
+                              <Badge variant={ACTOR_VARIANTS[entry.actor_type] || 'default'}>
+                                {entry.actor_type}
+                              </Badge>
+                              <span className="font-medium text-gray-900">
+                                {entry.actor_name || '—'}
+                              </span>
+                            </div>
+                          </TableCell>
+                          <TableCell className="text-gray-600">
+                            {entry.client_name || (entry.client_id ? `#${entry.client_id}` : '—')}
+                          </TableCell>
+                          <TableCell className="font-mono text-sm">{entry.action}</TableCell>
+                          <TableCell className="text-gray-600 text-sm">
+                            {entry.target_type
+                              ? `${entry.target_type}${entry.target_id ? ` #${entry.target_id}` : ''}`
+                              : entry.path}
+                          </TableCell>
+                          <TableCell className="text-gray-500 font-mono text-xs">
+                            {entry.ip_address || '—'}
+                          </TableCell>
+                          <TableCell>
+                            {changedFields.length > 0 || entry.request_body ? (
+                              <button
+                                onClick={() => setExpandedId(isExpanded ? null : entry.id)}
+                                className="text-primary-600 hover:text-primary-700 text-sm font-medium"
+                              >
+                                {changedFields.length > 0
+                                  ? `${changedFields.length} field${changedFields.length === 1 ? '' : 's'}`
+                                  : 'Request'}
+                                {isExpanded ? ' ▲' : ' ▼'}
+                              </button>
+                            ) : (
+                              <span className="text-gray-400 text-sm">—</span>
+                            )}
+                          </TableCell>
+                        </TableRow>
+                        {isExpanded && (
+                          <TableRow>
+                            <TableCell colSpan={7} className="bg-gray-50">
+                              <AuditEntryDetail entry={entry} />
+                            </TableCell>
+                          </TableRow>
+                        )}
+                      </Fragment>
+                    );
+                  })
+                ) : (
+                  <TableRow>
+                    <TableCell colSpan={7} className="text-center text-gray-500 py-8">
+                      No audit entries found
+                    </TableCell>
+                  </TableRow>
+                )}
+              </TableBody>
+            </Table>
+          )}
+        </CardBody>
+      </Card>
+
+      {/* Pagination */}
+      {totalPages > 1 && (
+        <div className="flex justify-center gap-2">
+          <Button
+            variant="secondary"
+            size="sm"
+            onClick={() => setPage(page - 1)}
+            disabled={page === 1}
+          >
+            Previous
+          </Button>
+          <span className="flex items-center px-4 text-sm text-gray-600">
+            Page {page} of {totalPages}
+          </span>
+          <Button
+            variant="secondary"
+            size="sm"
+            onClick={() => setPage(page + 1)}
+            disabled={page === totalPages}
+          >
+            Next
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function AuditEntryDetail({ entry }) {
+  const changes = Object.entries(entry.changes || {});
+
+  return (
+    <div className="space-y-4 py-2">
+      <p className="text-xs text-gray-500 font-mono">
+        {entry.method} {entry.path} → {entry.status_code}
+        {entry.user_agent && ` · ${entry.user_agent}`}
+      </p>
+
+      {changes.length > 0 && (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs text-gray-500 uppercase">
+              <th className="py-1 pr-4 w-48">Field</th>
+              <th className="py-1 pr-4">Before</th>
+              <th className="py-1">After</th>
+            </tr>
+          </thead>
+          <tbody>
+            {changes.map(([field, change]) => (
+              <tr key={field} className="align-top border-t border-gray-200">
+                <td className="py-2 pr-4 font-mono text-gray-700">{field}</td>
+                <td className="py-2 pr-4">
+                  <pre className="whitespace-pre-wrap break-words text-xs text-red-700 bg-red-50 rounded p-2">
+                    {formatValue(change.from)}
+                  </pre>
+                </td>
+                <td className="py-2">
+                  <pre className="whitespace-pre-wrap break-words text-xs text-green-700 bg-green-50 rounded p-2">
+                    {formatValue(change.to)}
+                  </pre>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {entry.request_body && (
+        <div>
+          <p className="text-xs font-medium text-gray-500 uppercase mb-1">Request body</p>
+          <pre className="whitespace-pre-wrap break-words text-xs text-gray-700 bg-white border border-gray-200 rounded p-2 max-h-64 overflow-auto">
+            {formatValue(entry.request_body)}
+          </pre>
+        </div>
+      )}
+    </div>
+  );
+}
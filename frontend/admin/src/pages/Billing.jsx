@@ -1,9 +1,9 @@
 import { useState, useEffect } from 'react';
 import { Link, useSearchParams } from 'react-router-dom';
 import { useForm } from 'react-hook-form';
-import { billing, clients } from '../services/api';
+import { billing, clients, planChanges } from '../services/api';
 import api from '../services/api';
-import { InvoicePDF } from '../components/InvoicePDF';
+import { InvoicePDF, CreditNotePDF } from '../components/InvoicePDF';
 import { pdf } from '@react-pdf/renderer';
 import { loadFilterState, saveFilterState, PAGE_KEYS } from '../utils/filterStorage';
 import {
@@ -47,6 +47,8 @@ export default function Billing() {
   const [autoRefresh, setAutoRefresh] = useState(true);
   const [lastRefresh, setLastRefresh] = useState(null);
   const [sendingInvoice, setSendingInvoice] = useState({});
+  const [adjustments, setAdjustments] = useState([]);
+  const [planRequests, setPlanRequests] = useState([]);
 
   // Save filter state when it changes
   useEffect(() => {
@@ -107,15 +109,17 @@ export default function Billing() {
       if (statusFilter !== 'all') params.status = statusFilter;
       if (clientFilter !== 'all') params.clientId = parseInt(clientFilter);
 
-      const [invoicesRes, revenueRes, clientsRes] = await Promise.all([
+      const [invoicesRes, revenueRes, clientsRes, planRequestsRes] = await Promise.all([
         billing.getInvoices(params),
         billing.getRevenue({ months: 12 }),
         clients.getAll(),
+        planChanges.getRequests(),
       ]);
 
       setInvoices(invoicesRes.data);
       setRevenue(revenueRes.data);
       setClientList(clientsRes.data);
+      setPlanRequests(planRequestsRes.data);
       setLastRefresh(new Date());
       setError(null);
     } catch (err) {
@@ -135,12 +139,91 @@ export default function Billing() {
         clientId: data.clientId === 'all' ? null : data.clientId,
         billingPeriod: data.billingPeriod,
         force: data.force || false,
+        adjustments: data.clientId === 'all' ? [] : adjustments,
       });
       setIsGenerateModalOpen(false);
       resetGenerate();
+      setAdjustments([]);
       fetchData();
     } catch (err) {
-      setError(err.response?.data?.error || 'Failed to generate invoice');
+      setError(
+        err.response?.data?.message || err.response?.data?.error || 'Failed to generate invoice'
+      );
+    }
+  };
+
+  const updateAdjustment = (index, field, value) => {
+    setAdjustments((prev) =>
+      prev.map((adjustment, i) => (i === index ? { ...adjustment, [field]: value } : adjustment))
+    );
+  };
+
+  const closeGenerateModal = () => {
+    setIsGenerateModalOpen(false);
+    resetGenerate();
+    setAdjustments([]);
+  };
+
+  // The list rows have no line items or credit notes; load them for the detail view
+  const openInvoiceDetail = async (invoice) => {
+    setSelectedInvoice(invoice);
+    setIsInvoiceDetailModalOpen(true);
+    try {
+      const { data } = await billing.getInvoiceById(invoice.id);
+      setSelectedInvoice(data);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load invoice details');
+    }
+  };
+
+  const createCreditNote = async (invoice) => {
+    // Net (before tax) part of what is left to credit, as the backend splits it
+    const left = parseFloat(invoice.total_cost) - (parseFloat(invoice.amount_credited) || 0);
+    const net = left / (1 + (parseFloat(invoice.tax_rate) || 0) / 100);
+    const remaining = net.toFixed(2);
+    const input = prompt(
+      `Credit amount before tax for invoice ${invoice.invoice_number} (up to ${formatCurrency(remaining, invoice.currency)}). Leave as-is to credit the rest.`,
+      remaining
+    );
+    if (input === null) return;
+    const reason = prompt('Reason for the credit note (printed on it):');
+    if (!reason) return;
+
+    try {
+      setError(null);
+      const amount = parseFloat(input);
+      const { data } = await billing.createCreditNote(invoice.id, {
+        amount: amount === parseFloat(remaining) ? null : amount,
+        reason,
+      });
+      setSuccessMessage(
+        `Credit note ${data.creditNote.credit_note_number} issued for invoice ${invoice.invoice_number}`
+      );
+      setTimeout(() => setSuccessMessage(null), 3000);
+      const { data: details } = await billing.getInvoiceById(invoice.id);
+      setSelectedInvoice(details);
+      fetchData();
+    } catch (err) {
+      setError(
+        err.response?.data?.message || err.response?.data?.error || 'Failed to create credit note'
+      );
+    }
+  };
+
+  const downloadPDF = async (pdfDocument, fileName) => {
+    try {
+      const blob = await pdf(pdfDocument).toBlob();
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Failed to generate PDF:', err);
+      setError('Failed to generate PDF. Please try again.');
     }
   };
 
@@ -180,6 +263,46 @@ export default function Billing() {
     }
   };
 
+  const refundInvoice = async (invoice) => {
+    const remaining = (
+      parseFloat(invoice.total_cost) - (parseFloat(invoice.amount_refunded) || 0)
+    ).toFixed(2);
+    const input = prompt(
+      `Refund amount for invoice #${invoice.id} (up to $${remaining}). Leave as-is for a full refund.`,
+      remaining
+    );
+    if (input === null) return;
+
+    try {
+      setError(null);
+      const amount = parseFloat(input);
+      await billing.refundInvoice(invoice.id, {
+        amount: amount === parseFloat(remaining) ? null : amount,
+      });
+      setSuccessMessage(`Invoice #${invoice.id} refunded`);
+      setTimeout(() => setSuccessMessage(null), 3000);
+      fetchData();
+    } catch (err) {
+      setError(err.response?.data?.message || err.response?.data?.error || 'Failed to refund');
+    }
+  };
+
+  const syncPaymentStatus = async (invoice) => {
+    try {
+      setError(null);
+      const { data } = await billing.syncPaymentStatus(invoice.id);
+      setSuccessMessage(
+        `Invoice #${invoice.id}: payment ${data.payment?.status || 'not found'}, invoice ${data.invoice.status}`
+      );
+      setTimeout(() => setSuccessMessage(null), 3000);
+      fetchData();
+    } catch (err) {
+      setError(
+        err.response?.data?.message || err.response?.data?.error || 'Failed to check payment'
+      );
+    }
+  };
+
   const sendInvoiceEmail = async (invoice) => {
     // Find client to get their email
     const client = clientList.find((c) => c.id === invoice.client_id);
@@ -214,15 +337,19 @@ export default function Billing() {
       pending: 'warning',
       paid: 'success',
       overdue: 'danger',
+      payment_failed: 'danger',
+      partially_refunded: 'info',
+      refunded: 'default',
       cancelled: 'default',
+      credited: 'info',
     };
     return <Badge variant={variants[status] || 'default'}>{status}</Badge>;
   };
 
-  const formatCurrency = (amount) => {
+  const formatCurrency = (amount, currency = 'USD') => {
     return new Intl.NumberFormat('en-US', {
       style: 'currency',
-      currency: 'USD',
+      currency: currency || 'USD',
     }).format(amount);
   };
 
@@ -437,6 +564,37 @@ export default function Billing() {
         </div>
       )}
 
+      {/* Customer upgrade requests awaiting review */}
+      {planRequests.length > 0 && (
+        <Card>
+          <CardBody>
+            <h3 className="text-lg font-semibold mb-3">Plan Upgrade Requests</h3>
+            <ul className="divide-y divide-gray-100 text-sm">
+              {planRequests.map((request) => (
+                <li key={request.id} className="py-2 flex items-center justify-between">
+                  <span>
+                    <Link
+                      to={`/clients/${request.client_id}`}
+                      className="text-indigo-600 hover:text-indigo-800"
+                    >
+                      {request.client_name}
+                    </Link>{' '}
+                    wants to move from {request.from_plan} to <strong>{request.to_plan}</strong>
+                    {request.note && <span className="text-gray-500"> - {request.note}</span>}
+                  </span>
+                  <span className="text-gray-500">
+                    {new Date(request.created_at).toLocaleDateString()}
+                  </span>
+                </li>
+              ))}
+            </ul>
+            <p className="text-xs text-gray-500 mt-2">
+              Approve or reject requests on the client&apos;s overview page.
+            </p>
+          </CardBody>
+        </Card>
+      )}
+
       {/* Invoices Table */}
       <Card>
         <CardBody>
@@ -466,7 +624,11 @@ export default function Billing() {
                   { value: 'pending', label: 'Pending' },
                   { value: 'paid', label: 'Paid' },
                   { value: 'overdue', label: 'Overdue' },
+                  { value: 'payment_failed', label: 'Payment Failed' },
+                  { value: 'partially_refunded', label: 'Partially Refunded' },
+                  { value: 'refunded', label: 'Refunded' },
                   { value: 'cancelled', label: 'Cancelled' },
+                  { value: 'credited', label: 'Credited' },
                 ]}
               />
             </div>
@@ -495,7 +657,7 @@ export default function Billing() {
             <Table>
               <TableHead>
                 <TableRow>
-                  <TableHeader>Invoice ID</TableHeader>
+                  <TableHeader>Invoice</TableHeader>
                   <TableHeader>Client</TableHeader>
                   <TableHeader>Period</TableHeader>
                   <TableHeader>Plan</TableHeader>
@@ -508,7 +670,7 @@ export default function Billing() {
               <TableBody>
                 {invoices.map((invoice) => (
                   <TableRow key={invoice.id}>
-                    <TableCell>#{invoice.id}</TableCell>
+                    <TableCell>{invoice.invoice_number || `#${invoice.id}`}</TableCell>
                     <TableCell>
                       <Link
                         to={`/clients/${invoice.client_id}`}
@@ -517,22 +679,26 @@ export default function Billing() {
                         {invoice.client_name || `Client ${invoice.client_id}`}
                       </Link>
                     </TableCell>
-                    <TableCell>{invoice.billing_period}</TableCell>
+                    <TableCell>
+                      {invoice.billing_period}
+                      {invoice.kind === 'credits' && (
+                        <Badge variant="success" className="ml-2">
+                          Credits
+                        </Badge>
+                      )}
+                    </TableCell>
                     <TableCell>
                       <Badge variant="default">{invoice.plan_type}</Badge>
                     </TableCell>
                     <TableCell className="font-semibold">
-                      {formatCurrency(invoice.total_cost)}
+                      {formatCurrency(invoice.total_cost, invoice.currency)}
                     </TableCell>
                     <TableCell>{getStatusBadge(invoice.status)}</TableCell>
                     <TableCell>{formatDate(invoice.due_date)}</TableCell>
                     <TableCell>
                       <div className="flex gap-2">
                         <button
-                          onClick={() => {
-                            setSelectedInvoice(invoice);
-                            setIsInvoiceDetailModalOpen(true);
-                          }}
+                          onClick={() => openInvoiceDetail(invoice)}
                           className="text-blue-600 hover:text-blue-800 text-sm"
                         >
                           View
@@ -578,7 +744,7 @@ export default function Billing() {
                             </button>
                           </>
                         )}
-                        {invoice.status === 'overdue' && (
+                        {(invoice.status === 'overdue' || invoice.status === 'payment_failed') && (
                           <button
                             onClick={() => openMarkPaidModal(invoice)}
                             className="text-green-600 hover:text-green-800 text-sm"
@@ -586,6 +752,26 @@ export default function Billing() {
                             Mark Paid
                           </button>
                         )}
+                        {invoice.payment_provider &&
+                          invoice.payment_provider !== 'manual' &&
+                          invoice.status !== 'paid' &&
+                          invoice.status !== 'refunded' && (
+                            <button
+                              onClick={() => syncPaymentStatus(invoice)}
+                              className="text-blue-600 hover:text-blue-800 text-sm"
+                              title="Check payment status with the payment provider"
+                            >
+                              Check Payment
+                            </button>
+                          )}
+                        {(invoice.status === 'paid' || invoice.status === 'partially_refunded') && (
+                          <button
+                            onClick={() => refundInvoice(invoice)}
+                            className="text-red-600 hover:text-red-800 text-sm"
+                          >
+                            Refund
+                          </button>
+                        )}
                       </div>
                     </TableCell>
                   </TableRow>
@@ -597,14 +783,7 @@ export default function Billing() {
       </Card>
 
       {/* Generate Invoice Modal */}
-      <Modal
-        isOpen={isGenerateModalOpen}
-        onClose={() => {
-          setIsGenerateModalOpen(false);
-          resetGenerate();
-        }}
-        title="Generate Invoice"
-      >
+      <Modal isOpen={isGenerateModalOpen} onClose={closeGenerateModal} title="Generate Invoice">
         <form onSubmit={handleSubmitGenerate(onGenerateInvoice)} className="space-y-4">
           <div>
             <Select
@@ -656,15 +835,68 @@ export default function Billing() {
             </label>
           </div>
 
+          <div>
+            <div className="flex items-center justify-between mb-1">
+              <label className="block text-sm font-medium text-gray-700">
+                Adjustments (single client only)
+              </label>
+              <button
+                type="button"
+                onClick={() =>
+                  setAdjustments((prev) => [
+                    ...prev,
+                    { type: 'credit', description: '', amount: '' },
+                  ])
+                }
+                className="text-indigo-600 hover:text-indigo-800 text-sm"
+              >
+                + Add line
+              </button>
+            </div>
+            {adjustments.map((adjustment, index) => (
+              <div key={index} className="flex gap-2 mb-2 items-center">
+                <select
+                  value={adjustment.type}
+                  onChange={(e) => updateAdjustment(index, 'type', e.target.value)}
+                  className="px-2 py-2 border border-gray-300 rounded-lg text-sm"
+                >
+                  <option value="credit">Credit</option>
+                  <option value="overage">Overage</option>
+                  <option value="adjustment">Adjustment</option>
+                </select>
+                <input
+                  type="text"
+                  placeholder="Description"
+                  value={adjustment.description}
+                  onChange={(e) => updateAdjustment(index, 'description', e.target.value)}
+                  className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                />
+                <input
+                  type="number"
+                  step="0.01"
+                  placeholder="Amount"
+                  value={adjustment.amount}
+                  onChange={(e) => updateAdjustment(index, 'amount', e.target.value)}
+                  className="w-28 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                />
+                <button
+                  type="button"
+                  onClick={() => setAdjustments((prev) => prev.filter((_, i) => i !== index))}
+                  className="text-red-600 hover:text-red-800 text-sm"
+                >
+                  Remove
+                </button>
+              </div>
+            ))}
+            {adjustments.length > 0 && (
+              <p className="text-xs text-gray-500">
+                Amounts are in the client&apos;s billing currency, before tax.
+              </p>
+            )}
+          </div>
+
           <div className="flex justify-end gap-3 pt-4">
-            <Button
-              type="button"
-              variant="secondary"
-              onClick={() => {
-                setIsGenerateModalOpen(false);
-                resetGenerate();
-              }}
-            >
+            <Button type="button" variant="secondary" onClick={closeGenerateModal}>
               Cancel
             </Button>
             <Button type="submit" disabled={isSubmittingGenerate}>
@@ -687,10 +919,12 @@ export default function Billing() {
         {selectedInvoice && (
           <form onSubmit={handleSubmitMarkPaid(onMarkAsPaid)} className="space-y-4">
             <div className="bg-gray-50 p-4 rounded-lg mb-4">
-              <p className="text-sm text-gray-600">Invoice ID: #{selectedInvoice.id}</p>
+              <p className="text-sm text-gray-600">
+                Invoice: {selectedInvoice.invoice_number || `#${selectedInvoice.id}`}
+              </p>
               <p className="text-sm text-gray-600">Client: {selectedInvoice.client_name}</p>
               <p className="text-lg font-bold text-gray-900 mt-2">
-                Amount: {formatCurrency(selectedInvoice.total_cost)}
+                Amount: {formatCurrency(selectedInvoice.total_cost, selectedInvoice.currency)}
               </p>
             </div>
 
@@ -753,7 +987,7 @@ export default function Billing() {
               <div className="flex justify-between items-start">
                 <div>
                   <h3 className="text-lg font-semibold text-gray-900">
-                    Invoice #{selectedInvoice.id}
+                    Invoice {selectedInvoice.invoice_number || `#${selectedInvoice.id}`}
                   </h3>
                   <p className="text-sm text-gray-600 mt-1">
                     Period: {selectedInvoice.billing_period}
@@ -780,6 +1014,20 @@ export default function Billing() {
                 <p className="text-gray-600">
                   Client ID: <span className="text-gray-900">{selectedInvoice.client_id}</span>
                 </p>
+                {selectedInvoice.customer_tax_id && (
+                  <p className="text-gray-600">
+                    Tax ID: <span className="text-gray-900">{selectedInvoice.customer_tax_id}</span>
+                  </p>
+                )}
+                {selectedInvoice.billing_address && (
+                  <p className="text-gray-600">
+                    Address:{' '}
+                    <span className="text-gray-900">
+                      {selectedInvoice.billing_address}
+                      {selectedInvoice.billing_country && `, ${selectedInvoice.billing_country}`}
+                    </span>
+                  </p>
+                )}
               </div>
             </div>
 
@@ -787,27 +1035,116 @@ export default function Billing() {
             <div>
               <h4 className="text-sm font-semibold text-gray-900 mb-3">Cost Breakdown</h4>
               <div className="space-y-2">
-                <div className="flex justify-between text-sm">
-                  <span className="text-gray-600">Base Cost ({selectedInvoice.plan_type}):</span>
+                {selectedInvoice.line_items?.length > 0 ? (
+                  selectedInvoice.line_items.map((item) => (
+                    <div key={item.id} className="flex justify-between text-sm">
+                      <span className="text-gray-600">
+                        {item.description}
+                        {parseFloat(item.quantity) !== 1 &&
+                          ` (${parseFloat(item.quantity).toLocaleString()})`}
+                      </span>
+                      <span className="text-gray-900 font-medium">
+                        {formatCurrency(item.amount, selectedInvoice.currency)}
+                      </span>
+                    </div>
+                  ))
+                ) : (
+                  <>
+                    <div className="flex justify-between text-sm">
+                      <span className="text-gray-600">
+                        Base Cost ({selectedInvoice.plan_type}):
+                      </span>
+                      <span className="text-gray-900 font-medium">
+                        {formatCurrency(selectedInvoice.base_cost || 0, selectedInvoice.currency)}
+                      </span>
+                    </div>
+                    <div className="flex justify-between text-sm">
+                      <span className="text-gray-600">Usage Cost:</span>
+                      <span className="text-gray-900 font-medium">
+                        {formatCurrency(selectedInvoice.usage_cost || 0, selectedInvoice.currency)}
+                      </span>
+                    </div>
+                  </>
+                )}
+                <div className="border-t pt-2 flex justify-between text-sm">
+                  <span className="text-gray-600">Subtotal:</span>
                   <span className="text-gray-900 font-medium">
-                    {formatCurrency(selectedInvoice.base_cost || 0)}
+                    {formatCurrency(
+                      selectedInvoice.subtotal ?? selectedInvoice.total_cost,
+                      selectedInvoice.currency
+                    )}
                   </span>
                 </div>
                 <div className="flex justify-between text-sm">
-                  <span className="text-gray-600">Usage Cost:</span>
+                  <span className="text-gray-600">
+                    Tax ({parseFloat(selectedInvoice.tax_rate || 0)}%):
+                  </span>
                   <span className="text-gray-900 font-medium">
-                    {formatCurrency(selectedInvoice.usage_cost || 0)}
+                    {formatCurrency(selectedInvoice.tax_amount || 0, selectedInvoice.currency)}
                   </span>
                 </div>
                 <div className="border-t pt-2 flex justify-between">
                   <span className="text-gray-900 font-semibold">Total Amount:</span>
                   <span className="text-gray-900 font-bold text-lg">
-                    {formatCurrency(selectedInvoice.total_cost)}
+                    {formatCurrency(selectedInvoice.total_cost, selectedInvoice.currency)}
                   </span>
                 </div>
+                {parseFloat(selectedInvoice.amount_credited) > 0 && (
+                  <div className="flex justify-between text-sm">
+                    <span className="text-gray-600">Balance Due:</span>
+                    <span className="text-gray-900 font-medium">
+                      {formatCurrency(
+                        selectedInvoice.total_cost - selectedInvoice.amount_credited,
+                        selectedInvoice.currency
+                      )}
+                    </span>
+                  </div>
+                )}
               </div>
             </div>
 
+            {/* Credit Notes */}
+            {selectedInvoice.credit_notes?.length > 0 && (
+              <div>
+                <h4 className="text-sm font-semibold text-gray-900 mb-2">Credit Notes</h4>
+                <div className="space-y-2">
+                  {selectedInvoice.credit_notes.map((note) => (
+                    <div
+                      key={note.id}
+                      className="flex justify-between items-center text-sm bg-gray-50 p-3 rounded"
+                    >
+                      <div>
+                        <p className="text-gray-900 font-medium">{note.credit_note_number}</p>
+                        <p className="text-gray-600">
+                          {formatDate(note.created_at)} - {note.reason}
+                        </p>
+                      </div>
+                      <div className="flex items-center gap-3">
+                        <span className="text-gray-900 font-medium">
+                          -{formatCurrency(note.total, note.currency)}
+                        </span>
+                        <button
+                          onClick={() =>
+                            downloadPDF(
+                              <CreditNotePDF
+                                creditNote={note}
+                                invoice={selectedInvoice}
+                                seller={selectedInvoice.seller}
+                              />,
+                              `CreditNote-${note.credit_note_number}.pdf`
+                            )
+                          }
+                          className="text-blue-600 hover:text-blue-800"
+                        >
+                          PDF
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
             {/* Dates */}
             <div className="grid grid-cols-2 gap-4">
               <div>
@@ -874,22 +1211,12 @@ export default function Billing() {
             <div className="flex justify-end gap-3 pt-4 border-t">
               <Button
                 variant="secondary"
-                onClick={async () => {
-                  try {
-                    const blob = await pdf(<InvoicePDF invoice={selectedInvoice} />).toBlob();
-                    const url = URL.createObjectURL(blob);
-                    const link = document.createElement('a');
-                    link.href = url;
-                    link.download = `Invoice-${selectedInvoice.id}-${selectedInvoice.billing_period}.pdf`;
-                    document.body.appendChild(link);
-                    link.click();
-                    document.body.removeChild(link);
-                    URL.revokeObjectURL(url);
-                  } catch (err) {
-                    console.error('Failed to generate PDF:', err);
-                    setError('Failed to generate PDF. Please try again.');
-                  }
-                }}
+                onClick={() =>
+                  downloadPDF(
+                    <InvoicePDF invoice={selectedInvoice} seller={selectedInvoice.seller} />,
+                    `Invoice-${selectedInvoice.invoice_number || selectedInvoice.id}-${selectedInvoice.billing_period}.pdf`
+                  )
+                }
               >
                 <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                   <path
@@ -901,6 +1228,14 @@ export default function Billing() {
                 </svg>
                 Export PDF
               </Button>
+              {!['cancelled', 'credited'].includes(selectedInvoice.status) &&
+                selectedInvoice.invoice_number &&
+                parseFloat(selectedInvoice.amount_credited || 0) <
+                  parseFloat(selectedInvoice.total_cost) && (
+                  <Button variant="secondary" onClick={() => createCreditNote(selectedInvoice)}>
+                    Issue Credit Note
+                  </Button>
+                )}
               <Button
                 variant="secondary"
                 onClick={() => {
@@ -5,7 +5,7 @@
 import { useState, useEffect } from 'react';
 import { useParams, useNavigate, Link, useSearchParams } from 'react-router-dom';
 import { useForm } from 'react-hook-form';
-import { clients, tools as toolsApi, plans as plansApi, integrations } from '../services/api';
+import { clients, tools as toolsApi, integrations } from '../services/api';
 import api from '../services/api';
 import {
   Card,
@@ -19,6 +19,16 @@ import {
   Badge,
 } from '../components/common';
 import EmailChannels from '../components/EmailChannels';
+import WhatsAppChannels from '../components/WhatsAppChannels';
+import KnowledgeBase from '../components/KnowledgeBase';
+import DataPrivacy from '../components/DataPrivacy';
+import TestScenarios from '../components/TestScenarios';
+import LlmFailover from '../components/LlmFailover';
+import PlanChanges from '../components/PlanChanges';
+import SpendingLimits from '../components/SpendingLimits';
+import AnswerCacheSettings from '../components/AnswerCacheSettings';
+import PromptVersionHistory from '../components/PromptVersionHistory';
+import PromptExperiments from '../components/PromptExperiments';
 import { WidgetConfig, WidgetPreview, ClientTools, ClientAIBehavior } from '../components/client';
 
 const CLIENT_TAB_KEY = 'admin_client_detail_tab';
@@ -37,6 +47,9 @@ export default function ClientDetail() {
     localStorage.setItem(CLIENT_TAB_KEY, activeTab);
   }, [activeTab]);
   const [client, setClient] = useState(null);
+  // Bumped when the AI behavior is saved (new version) or replaced by a rollback (reloads the editor)
+  const [promptSaves, setPromptSaves] = useState(0);
+  const [promptRollbacks, setPromptRollbacks] = useState(0);
   const [clientTools, setClientTools] = useState([]);
   const [allTools, setAllTools] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -69,7 +82,6 @@ export default function ClientDetail() {
     subtitle: 'We typically reply instantly',
   });
   const [showWidgetPreview, setShowWidgetPreview] = useState(false);
-  const [availablePlans, setAvailablePlans] = useState([]);
   const [clientIntegrations, setClientIntegrations] = useState([]);
   const [sendingEmail, setSendingEmail] = useState({ accessCode: false, welcome: false });
   const [emailMessage, setEmailMessage] = useState(null);
@@ -127,27 +139,9 @@ export default function ClientDetail() {
 
   useEffect(() => {
     fetchClientData();
-    fetchPlans();
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [id]);
 
-  const fetchPlans = async () => {
-    try {
-      const response = await plansApi.getAll(true); // Get active plans only
-      setAvailablePlans(response.data || []);
-    } catch (err) {
-      console.error('Failed to load plans:', err);
-      // Fallback to default plans if API fails
-      setAvailablePlans([
-        { id: 1, name: 'unlimited', display_name: 'Unlimited' },
-        { id: 2, name: 'free', display_name: 'Free' },
-        { id: 3, name: 'starter', display_name: 'Starter' },
-        { id: 4, name: 'pro', display_name: 'Pro' },
-        { id: 5, name: 'enterprise', display_name: 'Enterprise' },
-      ]);
-    }
-  };
-
   useEffect(() => {
     if (client?.widget_config) {
       setWidgetConfig({
@@ -459,6 +453,42 @@ export default function ClientDetail() {
             </svg>
             Email Channels
           </button>
+          <button
+            onClick={() => setActiveTab('whatsapp')}
+            className={`py-4 px-1 border-b-2 font-medium text-sm flex items-center gap-2 ${
+              activeTab === 'whatsapp'
+                ? 'border-primary-500 text-primary-600'
+                : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+            }`}
+          >
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth={2}
+                d="M8 12h.01M12 12h.01M16 12h.01M21 12c0 4.418-4.03 8-9 8a9.863 9.863 0 01-4.255-.949L3 20l1.395-3.72C3.512 15.042 3 13.574 3 12c0-4.418 4.03-8 9-8s9 3.582 9 8z"
+              />
+            </svg>
+            WhatsApp
+          </button>
+          <button
+            onClick={() => setActiveTab('knowledge')}
+            className={`py-4 px-1 border-b-2 font-medium text-sm flex items-center gap-2 ${
+              activeTab === 'knowledge'
+                ? 'border-primary-500 text-primary-600'
+                : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+            }`}
+          >
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth={2}
+                d="M12 6.253v13m0-13C10.832 5.477 9.246 5 7.5 5S4.168 5.477 3 6.253v13C4.168 18.477 5.754 18 7.5 18s3.332.477 4.5 1.253m0-13C13.168 5.477 14.754 5 16.5 5c1.747 0 3.332.477 4.5 1.253v13C19.832 18.477 18.247 18 16.5 18c-1.746 0-3.332.477-4.5 1.253"
+              />
+            </svg>
+            Knowledge Base
+          </button>
           <button
             onClick={() => setActiveTab('ai')}
             className={`py-4 px-1 border-b-2 font-medium text-sm flex items-center gap-2 ${
@@ -477,6 +507,42 @@ export default function ClientDetail() {
             </svg>
             AI Behavior
           </button>
+          <button
+            onClick={() => setActiveTab('privacy')}
+            className={`py-4 px-1 border-b-2 font-medium text-sm flex items-center gap-2 ${
+              activeTab === 'privacy'
+                ? 'border-primary-500 text-primary-600'
+                : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+            }`}
+          >
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth={2}
+                d="M9 12l2 2 4-4m5.618-4.016A11.955 11.955 0 0112 2.944a11.955 11.955 0 01-8.618 3.04A12.02 12.02 0 003 9c0 5.591 3.824 10.29 9 11.622 5.176-1.332 9-6.03 9-11.622 0-1.042-.133-2.052-.382-3.016z"
+              />
+            </svg>
+            Data &amp; Privacy
+          </button>
+          <button
+            onClick={() => setActiveTab('tests')}
+            className={`py-4 px-1 border-b-2 font-medium text-sm flex items-center gap-2 ${
+              activeTab === 'tests'
+                ? 'border-primary-500 text-primary-600'
+                : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+            }`}
+          >
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth={2}
+                d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-6 9l2 2 4-4"
+              />
+            </svg>
+            Test Scenarios
+          </button>
         </nav>
       </div>
 
@@ -487,8 +553,42 @@ export default function ClientDetail() {
       {/* Email Tab Content */}
       {activeTab === 'email' && <EmailChannels clientId={id} />}
 
+      {/* WhatsApp Tab Content */}
+      {activeTab === 'whatsapp' && <WhatsAppChannels clientId={id} />}
+
+      {/* Knowledge Base Tab Content */}
+      {activeTab === 'knowledge' && <KnowledgeBase clientId={id} />}
+
       {/* AI Behavior Tab Content */}
-      {activeTab === 'ai' && client && <ClientAIBehavior clientId={id} clientName={client.name} />}
+      {activeTab === 'ai' && client && (
+        <div className="space-y-6">
+          <ClientAIBehavior
+            key={promptRollbacks}
+            clientId={id}
+            clientName={client.name}
+            onSaved={() => setPromptSaves((count) => count + 1)}
+          />
+          <PromptVersionHistory
+            scope="client"
+            clientId={id}
+            refreshKey={promptSaves + promptRollbacks}
+            onRollback={() => setPromptRollbacks((count) => count + 1)}
+          />
+          <PromptExperiments
+            clientId={id}
+            refreshKey={promptSaves + promptRollbacks}
+            onPromoted={() => setPromptRollbacks((count) => count + 1)}
+          />
+          <LlmFailover clientId={id} />
+          <AnswerCacheSettings clientId={id} />
+        </div>
+      )}
+
+      {/* Data & Privacy Tab Content */}
+      {activeTab === 'privacy' && <DataPrivacy clientId={id} />}
+
+      {/* Test Scenarios Tab Content */}
+      {activeTab === 'tests' && <TestScenarios clientId={id} />}
 
       {/* Overview Tab Content */}
       {activeTab === 'overview' && (
@@ -935,6 +1035,12 @@ export default function ClientDetail() {
             </Card>
           </div>
 
+          {/* Plan changes and upgrade requests */}
+          <PlanChanges clientId={id} onChanged={fetchClientData} />
+
+          {/* Spending limits and prepaid credits */}
+          <SpendingLimits clientId={id} />
+
           {/* Widget Customization */}
           <WidgetConfig
             client={client}
@@ -979,29 +1085,6 @@ export default function ClientDetail() {
 
           <Input label="Domain" {...register('domain')} />
 
-          <Select
-            label="Plan Type"
-            {...register('plan_type')}
-            options={
-              availablePlans.length > 0
-                ? availablePlans.map((plan) => ({
-                    value: plan.name,
-                    label:
-                      plan.display_name ||
-                      (plan.name
-                        ? plan.name.charAt(0).toUpperCase() + plan.name.slice(1)
-                        : 'Unknown'),
-                  }))
-                : [
-                    { value: 'unlimited', label: 'Unlimited' },
-                    { value: 'free', label: 'Free' },
-                    { value: 'starter', label: 'Starter' },
-                    { value: 'pro', label: 'Pro' },
-                    { value: 'enterprise', label: 'Enterprise' },
-                  ]
-            }
-          />
-
           <Select
             label="LLM Provider"
             {...register('llm_provider')}
@@ -1054,6 +1137,47 @@ export default function ClientDetail() {
             ]}
           />
 
+          <div className="border-t pt-4">
+            <h4 className="text-sm font-semibold text-gray-900 mb-3">Invoicing</h4>
+            <div className="grid grid-cols-2 gap-4">
+              <Select
+                label="Billing Currency"
+                {...register('billing_currency')}
+                options={[
+                  { value: 'USD', label: 'USD' },
+                  { value: 'EUR', label: 'EUR' },
+                  { value: 'GBP', label: 'GBP' },
+                  { value: 'ILS', label: 'ILS' },
+                ]}
+              />
+              <Input
+                label="Tax Rate (%)"
+                type="number"
+                step="0.01"
+                min="0"
+                max="100"
+                {...register('tax_rate')}
+              />
+              <Input label="Tax ID" placeholder="e.g. DE123456789" {...register('tax_id')} />
+              <Input
+                label="Billing Country"
+                placeholder="e.g. DE"
+                maxLength={2}
+                {...register('billing_country')}
+              />
+            </div>
+            <div className="mt-4">
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Billing Address
+              </label>
+              <textarea
+                {...register('billing_address')}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                rows="2"
+              />
+            </div>
+          </div>
+
           <div className="flex justify-end gap-3 mt-6">
             <Button
               type="button"
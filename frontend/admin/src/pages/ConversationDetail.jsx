@@ -144,6 +144,8 @@ export default function ConversationDetail() {
     );
   }
 
+  const messageFeedback = conversation.feedback?.messages || {};
+
   /**
    * Render a single item from the processed messages array
    */
@@ -155,7 +157,14 @@ export default function ConversationDetail() {
       return <StandaloneCritiqueItem key={`critique-${index}`} item={item} debugMode={debugMode} />;
     }
     // Regular message
-    return <MessageItem key={`msg-${index}`} message={item.message} debugMode={debugMode} />;
+    return (
+      <MessageItem
+        key={`msg-${index}`}
+        message={item.message}
+        debugMode={debugMode}
+        feedback={messageFeedback[item.message.id]}
+      />
+    );
   };
 
   return (
@@ -194,7 +203,12 @@ export default function ConversationDetail() {
             {debugMode && processedMessages
               ? processedMessages.map((item, index) => renderProcessedItem(item, index))
               : conversation.messages?.map((message, index) => (
-                  <MessageItem key={index} message={message} debugMode={debugMode} />
+                  <MessageItem
+                    key={index}
+                    message={message}
+                    debugMode={debugMode}
+                    feedback={messageFeedback[message.id]}
+                  />
                 ))}
 
             {(!conversation.messages || conversation.messages.length === 0) && (
@@ -204,6 +218,15 @@ export default function ConversationDetail() {
         </CardBody>
       </Card>
 
+      {/* Live Agent - reply as a human while the conversation is escalated */}
+      {conversation.agent && conversation.agent.status !== 'none' && (
+        <LiveAgentPanel
+          conversationId={id}
+          agent={conversation.agent}
+          onChange={() => fetchConversation(true)}
+        />
+      )}
+
       {/* Tool Executions - only show in normal view (debug mode shows inline) */}
       {!debugMode && conversation.tool_executions?.length > 0 && (
         <Card>
@@ -223,6 +246,91 @@ export default function ConversationDetail() {
   );
 }
 
+/**
+ * Reply box and hand-back action for escalated conversations
+ */
+function LiveAgentPanel({ conversationId, agent, onChange }) {
+  const [content, setContent] = useState('');
+  const [sending, setSending] = useState(false);
+  const [handingBack, setHandingBack] = useState(false);
+
+  const handleSend = async (e) => {
+    e.preventDefault();
+    if (!content.trim()) return;
+
+    setSending(true);
+    try {
+      const response = await conversations.sendAgentMessage(conversationId, content.trim());
+      if (response.data.delivery?.status === 'failed') {
+        alert(`Message saved, but delivery failed: ${response.data.delivery.error}`);
+      }
+      setContent('');
+      onChange();
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to send message');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const handleHandBack = async () => {
+    if (!confirm('Hand this conversation back to the AI? The escalation will be resolved.')) {
+      return;
+    }
+
+    setHandingBack(true);
+    try {
+      await conversations.handBack(conversationId);
+      onChange();
+    } catch (err) {
+      alert(err.response?.data?.error || 'Failed to hand back conversation');
+    } finally {
+      setHandingBack(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader className="flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-semibold">Live Agent</h3>
+          <p className="text-sm text-gray-500 mt-1">
+            {agent.status === 'active'
+              ? `Handled by ${agent.agentName || 'an agent'} - the AI is paused`
+              : 'Escalated - sending a reply takes the conversation over from the AI'}
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <Badge variant={agent.status === 'active' ? 'info' : 'warning'}>
+            {agent.status === 'active' ? 'Agent active' : 'Awaiting agent'}
+          </Badge>
+          {agent.status === 'active' && (
+            <Button variant="secondary" size="sm" onClick={handleHandBack} loading={handingBack}>
+              Hand Back to AI
+            </Button>
+          )}
+        </div>
+      </CardHeader>
+      <CardBody>
+        <form onSubmit={handleSend} className="space-y-3">
+          <textarea
+            value={content}
+            onChange={(e) => setContent(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent text-sm"
+            rows="3"
+            placeholder="Type your reply to the customer..."
+          />
+          <div className="flex justify-end">
+            <Button type="submit" loading={sending} disabled={!content.trim()}>
+              Send
+            </Button>
+          </div>
+        </form>
+      </CardBody>
+    </Card>
+  );
+}
+
 /**
  * Header with navigation and controls
  */
@@ -400,6 +508,13 @@ function MetadataCards({ conversation, formatTokenCount }) {
         </span>
       ),
     },
+    {
+      label: 'Rating',
+      value: conversation.feedback?.conversation
+        ? `${conversation.feedback.conversation.rating}/5`
+        : '-',
+      title: conversation.feedback?.conversation?.comment || 'Customer rating of the conversation',
+    },
     {
       label: 'Started',
       value: conversation.started_at ? new Date(conversation.started_at).toLocaleString() : 'N/A',
@@ -407,7 +522,7 @@ function MetadataCards({ conversation, formatTokenCount }) {
   ];
 
   return (
-    <div className="grid grid-cols-1 md:grid-cols-7 gap-4">
+    <div className="grid grid-cols-1 md:grid-cols-4 lg:grid-cols-8 gap-4">
       {cards.map((card, index) => (
         <Card key={index}>
           <CardBody className="p-4">
@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, Fragment } from 'react';
 import { Link } from 'react-router-dom';
 import { conversations, clients } from '../services/api';
 import { loadFilterState, saveFilterState, PAGE_KEYS } from '../utils/filterStorage';
@@ -18,11 +18,60 @@ import {
   TableCell,
 } from '../components/common';
 
+const CHANNEL_OPTIONS = [
+  { value: 'all', label: 'All Channels' },
+  { value: 'widget', label: 'Widget' },
+  { value: 'email', label: 'Email' },
+  { value: 'whatsapp', label: 'WhatsApp' },
+  { value: 'sms', label: 'SMS' },
+];
+
+const PROVIDER_OPTIONS = [
+  { value: 'all', label: 'All Providers' },
+  { value: 'ollama', label: 'Ollama' },
+  { value: 'claude', label: 'Claude' },
+  { value: 'openai', label: 'OpenAI' },
+  { value: 'groq', label: 'Groq' },
+];
+
+const ESCALATED_OPTIONS = [
+  { value: 'all', label: 'Escalated or not' },
+  { value: 'true', label: 'Escalated' },
+  { value: 'false', label: 'Not escalated' },
+];
+
+/**
+ * Message snippet with the matched words highlighted
+ * Segments come from the API as plain text, so nothing is rendered as HTML.
+ */
+function MatchSnippet({ match }) {
+  return (
+    <div className="text-sm text-gray-600">
+      <span className="text-xs font-medium text-gray-500 mr-2">
+        {match.role === 'user' ? 'Customer' : 'AI'}:
+      </span>
+      {match.snippet.map((segment, index) =>
+        segment.highlight ? (
+          <mark key={index} className="bg-yellow-200 rounded px-0.5">
+            {segment.text}
+          </mark>
+        ) : (
+          <span key={index}>{segment.text}</span>
+        )
+      )}
+    </div>
+  );
+}
+
 export default function Conversations() {
   // Load filter state from localStorage
   const initialFilters = loadFilterState(PAGE_KEYS.CONVERSATIONS, {
     clientFilter: 'all',
     searchQuery: '',
+    channelFilter: 'all',
+    providerFilter: 'all',
+    escalatedFilter: 'all',
+    toolFilter: '',
   });
 
   const [conversationList, setConversationList] = useState([]);
@@ -31,6 +80,14 @@ export default function Conversations() {
   const [error, setError] = useState(null);
   const [searchQuery, setSearchQuery] = useState(initialFilters.searchQuery);
   const [clientFilter, setClientFilter] = useState(initialFilters.clientFilter);
+  const [channelFilter, setChannelFilter] = useState(initialFilters.channelFilter || 'all');
+  const [providerFilter, setProviderFilter] = useState(initialFilters.providerFilter || 'all');
+  const [escalatedFilter, setEscalatedFilter] = useState(initialFilters.escalatedFilter || 'all');
+  const [toolFilter, setToolFilter] = useState(initialFilters.toolFilter || '');
+  // Search text and tool name are applied after typing pauses
+  const [appliedSearch, setAppliedSearch] = useState(initialFilters.searchQuery);
+  const [appliedTool, setAppliedTool] = useState(initialFilters.toolFilter || '');
+  const [totalCount, setTotalCount] = useState(0);
   const [page, setPage] = useState(1);
   const [totalPages, setTotalPages] = useState(1);
   const [isExporting, setIsExporting] = useState(false);
@@ -42,8 +99,21 @@ export default function Conversations() {
     saveFilterState(PAGE_KEYS.CONVERSATIONS, {
       clientFilter,
       searchQuery,
+      channelFilter,
+      providerFilter,
+      escalatedFilter,
+      toolFilter,
     });
-  }, [clientFilter, searchQuery]);
+  }, [clientFilter, searchQuery, channelFilter, providerFilter, escalatedFilter, toolFilter]);
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setAppliedSearch(searchQuery.trim());
+      setAppliedTool(toolFilter.trim());
+      setPage(1);
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [searchQuery, toolFilter]);
 
   useEffect(() => {
     fetchClients();
@@ -52,7 +122,15 @@ export default function Conversations() {
   useEffect(() => {
     fetchConversations();
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [page, clientFilter]);
+  }, [
+    page,
+    clientFilter,
+    channelFilter,
+    providerFilter,
+    escalatedFilter,
+    appliedSearch,
+    appliedTool,
+  ]);
 
   // Auto-refresh polling (every 5 seconds)
   useEffect(() => {
@@ -66,7 +144,16 @@ export default function Conversations() {
 
     return () => clearInterval(interval);
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [autoRefresh, page, clientFilter]);
+  }, [
+    autoRefresh,
+    page,
+    clientFilter,
+    channelFilter,
+    providerFilter,
+    escalatedFilter,
+    appliedSearch,
+    appliedTool,
+  ]);
 
   const fetchClients = async () => {
     try {
@@ -86,10 +173,16 @@ export default function Conversations() {
         page,
         limit: 20,
         ...(clientFilter !== 'all' && { clientId: clientFilter }),
+        ...(channelFilter !== 'all' && { channel: channelFilter }),
+        ...(providerFilter !== 'all' && { provider: providerFilter }),
+        ...(escalatedFilter !== 'all' && { escalated: escalatedFilter }),
+        ...(appliedTool && { tool: appliedTool }),
+        ...(appliedSearch && { search: appliedSearch }),
       };
       const response = await conversations.getAll(params);
       setConversationList(response.data.conversations || response.data);
       setTotalPages(response.data.totalPages || 1);
+      setTotalCount(response.data.totalCount || 0);
       setLastRefresh(new Date());
       setError(null);
     } catch (err) {
@@ -131,15 +224,6 @@ export default function Conversations() {
     }
   };
 
-  const filteredConversations = conversationList.filter((conv) => {
-    if (!searchQuery) return true;
-    const searchLower = searchQuery.toLowerCase();
-    return (
-      conv.session_id?.toLowerCase().includes(searchLower) ||
-      conv.client_name?.toLowerCase().includes(searchLower)
-    );
-  });
-
   const formatDuration = (startTime, endTime) => {
     if (!startTime) return 'N/A';
     if (!endTime) return 'Active';
@@ -223,9 +307,9 @@ export default function Conversations() {
       )}
 
       {/* Filters */}
-      <div className="flex flex-col sm:flex-row gap-4">
+      <div className="flex flex-col sm:flex-row flex-wrap gap-4">
         <Input
-          placeholder="Search by session ID or client..."
+          placeholder='Search messages, e.g. refund or "order 12345"...'
           value={searchQuery}
           onChange={(e) => setSearchQuery(e.target.value)}
           className="flex-1"
@@ -242,7 +326,46 @@ export default function Conversations() {
           ]}
           className="w-full sm:w-48"
         />
+        <Select
+          value={channelFilter}
+          onChange={(e) => {
+            setChannelFilter(e.target.value);
+            setPage(1);
+          }}
+          options={CHANNEL_OPTIONS}
+          className="w-full sm:w-40"
+        />
+        <Select
+          value={providerFilter}
+          onChange={(e) => {
+            setProviderFilter(e.target.value);
+            setPage(1);
+          }}
+          options={PROVIDER_OPTIONS}
+          className="w-full sm:w-40"
+        />
+        <Select
+          value={escalatedFilter}
+          onChange={(e) => {
+            setEscalatedFilter(e.target.value);
+            setPage(1);
+          }}
+          options={ESCALATED_OPTIONS}
+          className="w-full sm:w-44"
+        />
+        <Input
+          placeholder="Tool used..."
+          value={toolFilter}
+          onChange={(e) => setToolFilter(e.target.value)}
+          className="w-full sm:w-40"
+        />
       </div>
+      {appliedSearch && !loading && (
+        <p className="text-sm text-gray-600">
+          {totalCount} conversation{totalCount === 1 ? '' : 's'} matching &quot;{appliedSearch}
+          &quot;
+        </p>
+      )}
 
       {/* Conversations Table */}
       <Card>
@@ -267,59 +390,75 @@ export default function Conversations() {
                 </TableRow>
               </TableHead>
               <TableBody>
-                {filteredConversations.length > 0 ? (
-                  filteredConversations.map((conv) => (
-                    <TableRow key={conv.id}>
-                      <TableCell className="font-mono text-sm">
-                        {conv.session_id?.substring(0, 12)}...
-                      </TableCell>
-                      <TableCell className="font-medium text-gray-900">
-                        {conv.client_name || 'Unknown'}
-                      </TableCell>
-                      <TableCell className="text-gray-600">
-                        <Badge variant="outline" className="text-xs">
-                          {conv.llm_provider || 'ollama'}
-                          {conv.model_name && (
-                            <span className="ml-1 text-gray-500">
-                              (
-                              {conv.model_name.length > 15
-                                ? conv.model_name.substring(0, 12) + '...'
-                                : conv.model_name}
-                              )
-                            </span>
+                {conversationList.length > 0 ? (
+                  conversationList.map((conv) => (
+                    <Fragment key={conv.id}>
+                      <TableRow>
+                        <TableCell className="font-mono text-sm">
+                          {conv.session_id?.substring(0, 12)}...
+                          {conv.escalated && (
+                            <Badge variant="warning" className="ml-2 text-xs">
+                              Escalated
+                            </Badge>
                           )}
-                        </Badge>
-                      </TableCell>
-                      <TableCell>
-                        <Badge variant="default">{conv.message_count || 0}</Badge>
-                      </TableCell>
-                      <TableCell>
-                        <Badge variant={conv.tool_call_count > 0 ? 'info' : 'default'}>
-                          {conv.tool_call_count || 0}
-                        </Badge>
-                      </TableCell>
-                      <TableCell className="text-gray-600 font-mono text-sm">
-                        {formatTokenCount(conv.tokens_total)}
-                      </TableCell>
-                      <TableCell className="text-gray-500">
-                        {formatDuration(conv.started_at, conv.ended_at)}
-                      </TableCell>
-                      <TableCell className="text-gray-500">
-                        {conv.started_at ? new Date(conv.started_at).toLocaleString() : 'N/A'}
-                      </TableCell>
-                      <TableCell>
-                        <Link
-                          to={`/conversations/${conv.id}`}
-                          className="text-primary-600 hover:text-primary-700 font-medium"
-                        >
-                          View
-                        </Link>
-                      </TableCell>
-                    </TableRow>
+                        </TableCell>
+                        <TableCell className="font-medium text-gray-900">
+                          {conv.client_name || 'Unknown'}
+                        </TableCell>
+                        <TableCell className="text-gray-600">
+                          <Badge variant="outline" className="text-xs">
+                            {conv.llm_provider || 'ollama'}
+                            {conv.model_name && (
+                              <span className="ml-1 text-gray-500">
+                                (
+                                {conv.model_name.length > 15
+                                  ? conv.model_name.substring(0, 12) + '...'
+                                  : conv.model_name}
+                                )
+                              </span>
+                            )}
+                          </Badge>
+                        </TableCell>
+                        <TableCell>
+                          <Badge variant="default">{conv.message_count || 0}</Badge>
+                        </TableCell>
+                        <TableCell>
+                          <Badge variant={conv.tool_call_count > 0 ? 'info' : 'default'}>
+                            {conv.tool_call_count || 0}
+                          </Badge>
+                        </TableCell>
+                        <TableCell className="text-gray-600 font-mono text-sm">
+                          {formatTokenCount(conv.tokens_total)}
+                        </TableCell>
+                        <TableCell className="text-gray-500">
+                          {formatDuration(conv.started_at, conv.ended_at)}
+                        </TableCell>
+                        <TableCell className="text-gray-500">
+                          {conv.started_at ? new Date(conv.started_at).toLocaleString() : 'N/A'}
+                        </TableCell>
+                        <TableCell>
+                          <Link
+                            to={`/conversations/${conv.id}`}
+                            className="text-primary-600 hover:text-primary-700 font-medium"
+                          >
+                            View
+                          </Link>
+                        </TableCell>
+                      </TableRow>
+                      {conv.matches?.length > 0 && (
+                        <TableRow>
+                          <TableCell colSpan={9} className="bg-gray-50 space-y-1 py-2">
+                            {conv.matches.map((match) => (
+                              <MatchSnippet key={match.messageId} match={match} />
+                            ))}
+                          </TableCell>
+                        </TableRow>
+                      )}
+                    </Fragment>
                   ))
                 ) : (
                   <TableRow>
-                    <TableCell colSpan={8} className="text-center text-gray-500 py-8">
+                    <TableCell colSpan={9} className="text-center text-gray-500 py-8">
                       No conversations found
                     </TableCell>
                   </TableRow>
@@ -13,6 +13,7 @@ import {
 } from 'recharts';
 import { analytics } from '../services/api';
 import { Card, CardBody, LoadingSpinner, Badge } from '../components/common';
+import CsatOverview from '../components/CsatOverview';
 
 function StatCard({ title, value, icon, trend, color = 'primary' }) {
   const colorClasses = {
@@ -281,6 +282,8 @@ export default function Dashboard() {
         </Card>
       </div>
 
+      <CsatOverview />
+
       {/* Recent Activity */}
       <Card>
         <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
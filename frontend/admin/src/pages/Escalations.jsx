@@ -92,6 +92,16 @@ export default function Escalations() {
     }
   };
 
+  const handleRetryNotifications = async (escalationId) => {
+    try {
+      await escalationsApi.retryNotifications(escalationId);
+      await loadEscalations();
+    } catch (err) {
+      console.error('Error retrying notifications:', err);
+      alert('Failed to retry notifications');
+    }
+  };
+
   const getStatusBadge = (status) => {
     const variants = {
       pending: 'warning',
@@ -173,6 +183,7 @@ export default function Escalations() {
                   <TableHeader>Reason</TableHeader>
                   <TableHeader>Status</TableHeader>
                   <TableHeader>Escalated At</TableHeader>
+                  <TableHeader>Notifications</TableHeader>
                   <TableHeader>Conversation</TableHeader>
                   <TableHeader>Actions</TableHeader>
                 </TableRow>
@@ -190,6 +201,28 @@ export default function Escalations() {
                     <TableCell className="text-sm text-gray-600">
                       {formatDate(escalation.escalated_at)}
                     </TableCell>
+                    <TableCell>
+                      <div className="flex items-center space-x-2">
+                        {parseInt(escalation.notifications_sent, 10) > 0 && (
+                          <Badge variant="success">{escalation.notifications_sent} sent</Badge>
+                        )}
+                        {parseInt(escalation.notifications_failed, 10) > 0 && (
+                          <>
+                            <Badge variant="danger">{escalation.notifications_failed} failed</Badge>
+                            <button
+                              onClick={() => handleRetryNotifications(escalation.id)}
+                              className="text-indigo-600 hover:text-indigo-800 text-xs"
+                            >
+                              Retry
+                            </button>
+                          </>
+                        )}
+                        {!parseInt(escalation.notifications_sent, 10) &&
+                          !parseInt(escalation.notifications_failed, 10) && (
+                            <span className="text-xs text-gray-400">None</span>
+                          )}
+                      </div>
+                    </TableCell>
                     <TableCell>
                       <Link
                         to={`/conversations/${escalation.conversation_id}`}
@@ -325,6 +325,21 @@ export default function Plans() {
         <div className="grid grid-cols-2 gap-4">
           <Input label="Sort Order" type="number" {...form.register('sortOrder')} />
         </div>
+        <div className="grid grid-cols-2 gap-4">
+          <Input
+            label="Max Attachment Size (MB)"
+            type="number"
+            step="0.1"
+            min="0"
+            placeholder="5 (0 disables attachments)"
+            {...form.register('features.attachmentMaxSizeMb')}
+          />
+          <Input
+            label="Allowed Attachment Types"
+            placeholder="image/*, application/pdf"
+            {...form.register('features.attachmentTypes')}
+          />
+        </div>
         <div className="grid grid-cols-3 gap-4">
           {[
             'customBranding',
@@ -3,6 +3,7 @@ import { useSearchParams } from 'react-router-dom';
 import api from '../services/api';
 import AIBehaviorSettings from '../components/AIBehaviorSettings';
 import GuidedReasoningSettings from '../components/GuidedReasoningSettings';
+import PromptVersionHistory from '../components/PromptVersionHistory';
 
 const SETTINGS_TAB_KEY = 'admin_settings_tab';
 
@@ -13,6 +14,9 @@ export default function Settings() {
     return localStorage.getItem(SETTINGS_TAB_KEY) || 'email';
   });
   const [message, setMessage] = useState(null);
+  // Bumped when a prompt config is saved (refreshes its history) or rolled back (reloads the editor)
+  const [promptSaves, setPromptSaves] = useState(0);
+  const [promptRollbacks, setPromptRollbacks] = useState(0);
 
   // Persist active tab to localStorage
   useEffect(() => {
@@ -141,10 +145,36 @@ export default function Settings() {
       )}
 
       {/* AI Behavior Tab */}
-      {activeTab === 'ai' && <AIBehaviorSettings onMessage={setMessage} />}
+      {activeTab === 'ai' && (
+        <div className="space-y-6">
+          <AIBehaviorSettings
+            key={promptRollbacks}
+            onMessage={setMessage}
+            onSaved={() => setPromptSaves((count) => count + 1)}
+          />
+          <PromptVersionHistory
+            scope="default"
+            refreshKey={promptSaves}
+            onRollback={() => setPromptRollbacks((count) => count + 1)}
+          />
+        </div>
+      )}
 
       {/* Guided Reasoning Tab */}
-      {activeTab === 'guided' && <GuidedReasoningSettings onMessage={setMessage} />}
+      {activeTab === 'guided' && (
+        <div className="space-y-6">
+          <GuidedReasoningSettings
+            key={promptRollbacks}
+            onMessage={setMessage}
+            onSaved={() => setPromptSaves((count) => count + 1)}
+          />
+          <PromptVersionHistory
+            scope="adaptive"
+            refreshKey={promptSaves}
+            onRollback={() => setPromptRollbacks((count) => count + 1)}
+          />
+        </div>
+      )}
     </div>
   );
 }
@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react';
 import { useForm } from 'react-hook-form';
 import { tools as toolsApi, analytics } from '../services/api';
+import ToolPolicies from '../components/ToolPolicies';
 import {
   Card,
   CardBody,
@@ -361,6 +362,9 @@ export default function Tools() {
         </CardBody>
       </Card>
 
+      {/* Per-client policy overrides */}
+      <ToolPolicies />
+
       {/* Create Tool Modal */}
       <Modal
         isOpen={isCreateModalOpen}
@@ -573,6 +573,37 @@ export default function UsageReports() {
               </div>
             )}
 
+          {/* Answer Cache */}
+          {summary.answerCache?.lookups > 0 && (
+            <div className="bg-white shadow rounded-lg p-6">
+              <h2 className="text-lg font-semibold text-gray-900 mb-4">Answer Cache</h2>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                <div>
+                  <p className="text-sm font-medium text-gray-600">Hit Rate</p>
+                  <p className="text-2xl font-bold text-gray-900 mt-1">
+                    {summary.answerCache.hitRate}%
+                  </p>
+                  <p className="text-xs text-gray-500 mt-1">
+                    {formatNumber(summary.answerCache.hits)} of{' '}
+                    {formatNumber(summary.answerCache.lookups)} eligible questions
+                  </p>
+                </div>
+                <div>
+                  <p className="text-sm font-medium text-gray-600">Tokens Saved</p>
+                  <p className="text-2xl font-bold text-gray-900 mt-1">
+                    {formatNumber(summary.answerCache.tokensSaved)}
+                  </p>
+                </div>
+                <div>
+                  <p className="text-sm font-medium text-gray-600">Cost Saved</p>
+                  <p className="text-2xl font-bold text-gray-900 mt-1">
+                    {formatCurrency(summary.answerCache.costSaved)}
+                  </p>
+                </div>
+              </div>
+            </div>
+          )}
+
           {/* Additional Stats */}
           <div className="bg-white shadow rounded-lg p-6">
             <h2 className="text-lg font-semibold text-gray-900 mb-4">Additional Statistics</h2>
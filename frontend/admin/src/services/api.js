@@ -87,6 +87,11 @@ export const conversations = {
       responseType: format === 'json' ? 'json' : 'blob',
     }),
   getStats: () => api.get('/admin/stats/conversations'),
+  sendAgentMessage: (id, content) =>
+    api.post(`/admin/conversations/${id}/agent-messages`, { content }),
+  handBack: (id) => api.post(`/admin/conversations/${id}/hand-back`),
+  downloadAttachment: (id, attachmentId) =>
+    api.get(`/admin/conversations/${id}/attachments/${attachmentId}`, { responseType: 'blob' }),
 };
 
 // Integration endpoints
@@ -106,6 +111,7 @@ export const analytics = {
   getOverview: () => api.get('/admin/stats/overview'),
   getUsage: (clientId, params) => api.get(`/admin/stats/usage/${clientId}`, { params }),
   getToolStats: () => api.get('/admin/stats/tools'),
+  getCsat: (params) => api.get('/admin/stats/csat', { params }),
 };
 
 // Chat test endpoint
@@ -124,6 +130,9 @@ export const billing = {
   markAsPaid: (id, data) => api.post(`/admin/billing/invoices/${id}/mark-paid`, data),
   cancelInvoice: (id, data) => api.post(`/admin/billing/invoices/${id}/cancel`, data),
   chargeInvoice: (id) => api.post(`/admin/billing/invoices/${id}/charge`),
+  refundInvoice: (id, data) => api.post(`/admin/billing/invoices/${id}/refund`, data),
+  createCreditNote: (id, data) => api.post(`/admin/billing/invoices/${id}/credit-notes`, data),
+  syncPaymentStatus: (id) => api.get(`/admin/billing/invoices/${id}/payment-status`),
   getRevenue: (params) => api.get('/admin/billing/revenue', { params }),
   getOutstanding: () => api.get('/admin/billing/outstanding'),
 };
@@ -151,6 +160,13 @@ export const usage = {
     });
     return response.data;
   },
+  // [{ provider, model, calls, tokensInput, tokensOutput, failovers }]
+  getProviderBreakdown: async (clientId, period = 'month') => {
+    const response = await api.get(`/admin/clients/${clientId}/usage/providers`, {
+      params: { period },
+    });
+    return response.data;
+  },
   exportCSV: async (clientId, startDate, endDate) => {
     const response = await api.get(`/admin/clients/${clientId}/usage/export`, {
       params: { startDate, endDate },
@@ -187,6 +203,7 @@ export const escalations = {
     api.put(`/admin/escalations/${id}/status`, { status, notes, assigned_to }),
   resolve: (id, notes) => api.post(`/admin/escalations/${id}/resolve`, { notes }),
   cancel: (id) => api.post(`/admin/escalations/${id}/cancel`),
+  retryNotifications: (id) => api.post(`/admin/escalations/${id}/notifications/retry`),
   getGlobalStats: () => api.get('/admin/escalations/stats/global'),
   getClientStats: (clientId) => api.get(`/admin/clients/${clientId}/escalations/stats`),
 };
@@ -214,4 +231,166 @@ export const email = {
   getStats: () => api.get('/email/stats'),
 };
 
+// WhatsApp channel endpoints
+export const whatsapp = {
+  // Get all WhatsApp channels for a client
+  getChannels: (clientId) => api.get(`/whatsapp/channels/${clientId}`),
+  // Connect a WhatsApp Business number
+  createChannel: (clientId, data) => api.post(`/whatsapp/channels/${clientId}`, data),
+  // Update channel settings or credentials
+  updateChannel: (channelId, data) => api.put(`/whatsapp/channel/${channelId}`, data),
+  // Disconnect/delete a WhatsApp channel
+  disconnectChannel: (channelId) => api.delete(`/whatsapp/channel/${channelId}`),
+  // Test connection to the WhatsApp Cloud API
+  testConnection: (channelId) => api.post(`/whatsapp/channel/${channelId}/test`),
+  // Send a test message
+  sendTestMessage: (channelId, data) => api.post(`/whatsapp/channel/${channelId}/send-test`, data),
+};
+
+export const knowledge = {
+  // List a client's knowledge base documents
+  getDocuments: (clientId) => api.get(`/admin/clients/${clientId}/knowledge`),
+  // Get a document with its chunks
+  getDocument: (id) => api.get(`/admin/knowledge/${id}`),
+  // Add a document (indexed on upload)
+  createDocument: (clientId, data) => api.post(`/admin/clients/${clientId}/knowledge`, data),
+  // Update a document (re-indexed when content changes)
+  updateDocument: (id, data) => api.put(`/admin/knowledge/${id}`, data),
+  deleteDocument: (id) => api.delete(`/admin/knowledge/${id}`),
+  // Preview what the AI would retrieve for a question
+  search: (clientId, query) => api.post(`/admin/clients/${clientId}/knowledge/search`, { query }),
+};
+
+export const toolPolicies = {
+  // Client-wide and per-tool overrides: { client, tools: { [clientToolId]: policy } }
+  get: (clientId) => api.get(`/admin/clients/${clientId}/tool-policies`),
+  saveClientPolicy: (clientId, data) => api.put(`/admin/clients/${clientId}/tool-policies`, data),
+  deleteClientPolicy: (clientId) => api.delete(`/admin/clients/${clientId}/tool-policies`),
+  saveToolPolicy: (clientId, clientToolId, data) =>
+    api.put(`/admin/clients/${clientId}/tool-policies/tools/${clientToolId}`, data),
+  deleteToolPolicy: (clientId, clientToolId) =>
+    api.delete(`/admin/clients/${clientId}/tool-policies/tools/${clientToolId}`),
+  // Change history, newest first
+  getAudit: (clientId, params) =>
+    api.get(`/admin/clients/${clientId}/tool-policies/audit`, { params }),
+};
+
+// Data retention and end-user data requests
+export const privacy = {
+  // { retention: { messages, debug_messages, tool_executions, escalations }, dataTypes, minDays, maxDays }
+  getRetention: (clientId) => api.get(`/admin/clients/${clientId}/privacy/retention`),
+  updateRetention: (clientId, retention) =>
+    api.put(`/admin/clients/${clientId}/privacy/retention`, { retention }),
+  // { redaction: { enabled, mask_debug, types, custom: [{ name, pattern }] }, types, maxCustomRules }
+  getRedaction: (clientId) => api.get(`/admin/clients/${clientId}/privacy/redaction`),
+  updateRedaction: (clientId, redaction) =>
+    api.put(`/admin/clients/${clientId}/privacy/redaction`, { redaction }),
+  // { requests, total, page, limit, totalPages }
+  getRequests: (clientId, params) =>
+    api.get(`/admin/clients/${clientId}/privacy/requests`, { params }),
+  // { request, data }
+  exportUserData: (clientId, userIdentifier) =>
+    api.post(`/admin/clients/${clientId}/privacy/requests/export`, { userIdentifier }),
+  // The completed request with its report
+  eraseUserData: (clientId, userIdentifier) =>
+    api.post(`/admin/clients/${clientId}/privacy/requests/erase`, { userIdentifier }),
+};
+
+// Conversation replay tests
+export const testScenarios = {
+  // { scenarios, assertionTypes, providers }
+  getAll: (clientId) => api.get(`/admin/clients/${clientId}/test-scenarios`),
+  // { scenario, runs }
+  get: (clientId, id) => api.get(`/admin/clients/${clientId}/test-scenarios/${id}`),
+  create: (clientId, data) => api.post(`/admin/clients/${clientId}/test-scenarios`, data),
+  update: (clientId, id, data) => api.put(`/admin/clients/${clientId}/test-scenarios/${id}`, data),
+  delete: (clientId, id) => api.delete(`/admin/clients/${clientId}/test-scenarios/${id}`),
+  // The test run { status, results, changes, transcript, error }
+  run: (clientId, id, options) =>
+    api.post(`/admin/clients/${clientId}/test-scenarios/${id}/run`, options),
+  // { runs, passed, failed }
+  runAll: (clientId, options) => api.post(`/admin/clients/${clientId}/test-scenarios/run`, options),
+};
+
+// LLM fallback providers
+export const llmFailover = {
+  // { primary, fallbacks: [{ provider, model }], providers, maxFallbacks, health }
+  get: (clientId) => api.get(`/admin/clients/${clientId}/llm-failover`),
+  update: (clientId, fallbacks) =>
+    api.put(`/admin/clients/${clientId}/llm-failover`, { fallbacks }),
+  // Circuit breaker state per provider
+  getHealth: () => api.get('/admin/llm/health'),
+};
+
+export const planChanges = {
+  // { currentPlan, plans, openChange, changes }
+  get: (clientId) => api.get(`/admin/clients/${clientId}/plan-changes`),
+  // Upgrades apply now, downgrades at the next billing period unless immediate
+  change: (clientId, data) => api.post(`/admin/clients/${clientId}/plan-changes`, data),
+  approve: (clientId, id) => api.post(`/admin/clients/${clientId}/plan-changes/${id}/approve`),
+  reject: (clientId, id, note) =>
+    api.post(`/admin/clients/${clientId}/plan-changes/${id}/reject`, { note }),
+  cancel: (clientId, id) => api.post(`/admin/clients/${clientId}/plan-changes/${id}/cancel`),
+  // Customer upgrade requests awaiting review, all clients
+  getRequests: () => api.get('/admin/plan-change-requests'),
+};
+
+// Spending limits and prepaid credits
+export const spending = {
+  // { settings, period, spent, allowance, credits, limit, limitedBy, percent, exceeded, action, transactions }
+  get: (clientId) => api.get(`/admin/clients/${clientId}/spending`),
+  update: (clientId, settings) => api.put(`/admin/clients/${clientId}/spending`, { settings }),
+  // { amount, type: 'grant'|'adjustment', description }
+  addCredits: (clientId, data) => api.post(`/admin/clients/${clientId}/credits`, data),
+};
+
+// Answer cache
+export const answerCache = {
+  // { settings: { enabled, similarity, threshold, ttl_hours }, entries }
+  get: (clientId) => api.get(`/admin/clients/${clientId}/answer-cache`),
+  update: (clientId, settings) => api.put(`/admin/clients/${clientId}/answer-cache`, { settings }),
+  clear: (clientId) => api.delete(`/admin/clients/${clientId}/answer-cache`),
+};
+
+// Prompt config version history; scope is 'default', 'adaptive' or 'client'
+const promptVersionsPath = (scope, clientId) =>
+  scope === 'client'
+    ? `/admin/clients/${clientId}/prompt-config/versions`
+    : scope === 'adaptive'
+      ? '/admin/prompt-config/adaptive/versions'
+      : '/admin/prompt-config/versions';
+
+export const promptVersions = {
+  // { versions, current }
+  getAll: (scope, clientId) => api.get(promptVersionsPath(scope, clientId)),
+  // { version, compareTo, changes: [{ path, type, from, to }] }
+  get: (scope, clientId, version, compare) =>
+    api.get(`${promptVersionsPath(scope, clientId)}/${version}`, {
+      params: compare ? { compare } : undefined,
+    }),
+  // { config, version }
+  rollback: (scope, clientId, version) =>
+    api.post(`${promptVersionsPath(scope, clientId)}/${version}/rollback`),
+};
+
+// Prompt A/B experiments
+export const promptExperiments = {
+  getAll: (clientId) => api.get(`/admin/clients/${clientId}/prompt-experiments`),
+  // { experiment, variants: { A, B } }
+  get: (clientId, id) => api.get(`/admin/clients/${clientId}/prompt-experiments/${id}`),
+  // data: { name, versionA, versionB, splitPercent }
+  create: (clientId, data) => api.post(`/admin/clients/${clientId}/prompt-experiments`, data),
+  // promote: 'A', 'B' or null
+  stop: (clientId, id, promote) =>
+    api.post(`/admin/clients/${clientId}/prompt-experiments/${id}/stop`, { promote }),
+};
+
+// Audit log (super admins only)
+export const auditLogs = {
+  // { entries, total, page, totalPages }
+  getAll: (params) => api.get('/admin/audit-logs', { params }),
+  getFacets: () => api.get('/admin/audit-logs/facets'),
+  export: (params) => api.get('/admin/audit-logs/export', { params, responseType: 'blob' }),
+};
+
 export default api;
@@ -78,4 +78,5 @@ export const PAGE_KEYS = {
   BILLING: 'billing',
   TOOLS: 'tools',
   TEST_CHAT: 'test_chat',
+  AUDIT_LOG: 'audit_log',
 };
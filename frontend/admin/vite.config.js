@@ -11,6 +11,11 @@ export default defineConfig({
         target: 'http://localhost:3000',
         changeOrigin: true,
       },
+      // WhatsApp routes - don't rewrite (backend has /api/whatsapp for the webhook)
+      '/api/whatsapp': {
+        target: 'http://localhost:3000',
+        changeOrigin: true,
+      },
       // Customer routes - don't rewrite (backend has /api/customer)
       '/api/customer': {
         target: 'http://localhost:3000',
@@ -1,7 +1,8 @@
 import { Routes, Route, Navigate } from 'react-router-dom';
-import { useAuth } from './context/AuthContext';
+import { useAuth, MANAGER_ROLES } from './context/AuthContext';
 import Layout from './components/layout/Layout';
 import Login from './pages/Login';
+import AcceptInvite from './pages/AcceptInvite';
 import Dashboard from './pages/Dashboard';
 import Conversations from './pages/Conversations';
 import ConversationDetail from './pages/ConversationDetail';
@@ -29,10 +30,20 @@ function ProtectedRoute({ children }) {
   return children;
 }
 
+// Pages a role cannot use redirect to the dashboard
+function RoleRoute({ roles, children }) {
+  const { hasRole } = useAuth();
+  return hasRole(roles) ? children : <Navigate to="/" replace />;
+}
+
+const SUPPORT_ROLES = ['owner', 'admin', 'agent'];
+const BILLING_ROLES = ['owner', 'admin', 'billing'];
+
 function App() {
   return (
     <Routes>
       <Route path="/login" element={<Login />} />
+      <Route path="/accept-invite" element={<AcceptInvite />} />
       <Route
         path="/*"
         element={
@@ -40,13 +51,55 @@ function App() {
             <Layout>
               <Routes>
                 <Route path="/" element={<Dashboard />} />
-                <Route path="/conversations" element={<Conversations />} />
-                <Route path="/conversations/:id" element={<ConversationDetail />} />
-                <Route path="/escalations" element={<Escalations />} />
-                <Route path="/escalations/:id" element={<EscalationDetail />} />
-                <Route path="/billing" element={<Billing />} />
+                <Route
+                  path="/conversations"
+                  element={
+                    <RoleRoute roles={SUPPORT_ROLES}>
+                      <Conversations />
+                    </RoleRoute>
+                  }
+                />
+                <Route
+                  path="/conversations/:id"
+                  element={
+                    <RoleRoute roles={SUPPORT_ROLES}>
+                      <ConversationDetail />
+                    </RoleRoute>
+                  }
+                />
+                <Route
+                  path="/escalations"
+                  element={
+                    <RoleRoute roles={SUPPORT_ROLES}>
+                      <Escalations />
+                    </RoleRoute>
+                  }
+                />
+                <Route
+                  path="/escalations/:id"
+                  element={
+                    <RoleRoute roles={SUPPORT_ROLES}>
+                      <EscalationDetail />
+                    </RoleRoute>
+                  }
+                />
+                <Route
+                  path="/billing"
+                  element={
+                    <RoleRoute roles={BILLING_ROLES}>
+                      <Billing />
+                    </RoleRoute>
+                  }
+                />
                 <Route path="/usage" element={<Usage />} />
-                <Route path="/settings" element={<Settings />} />
+                <Route
+                  path="/settings"
+                  element={
+                    <RoleRoute roles={MANAGER_ROLES}>
+                      <Settings />
+                    </RoleRoute>
+                  }
+                />
               </Routes>
             </Layout>
           </ProtectedRoute>
@@ -0,0 +1,152 @@
+import { useState, useEffect } from 'react';
+import { usage } from '../services/api';
+import { useLanguage } from '../context/LanguageContext';
+
+const formatPercent = (value) => (value === null || value === undefined ? '-' : `${value}%`);
+
+/**
+ * Customer satisfaction: thumbs up/down on AI replies and end-of-conversation
+ * ratings collected by the widget
+ */
+export default function CsatSection() {
+  const { t, isRTL, formatNumber, formatDate } = useLanguage();
+  const [stats, setStats] = useState(null);
+  const [days, setDays] = useState(30);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    usage
+      .getCsat({ days })
+      .then((response) => {
+        setStats(response.data);
+        setError(null);
+      })
+      .catch((err) => {
+        console.error('Failed to fetch CSAT data:', err);
+        setError(err.response?.data?.message || t('common.error'));
+      });
+  }, [days, t]);
+
+  const cellClass = `px-6 py-4 whitespace-nowrap text-sm text-gray-600 ${isRTL ? 'text-right' : 'text-left'}`;
+  const headerClass = `px-6 py-3 text-xs font-medium text-gray-500 uppercase tracking-wider ${isRTL ? 'text-right' : 'text-left'}`;
+
+  const renderBreakdown = (title, rows, labelKey, formatLabel) => (
+    <div>
+      <h3 className="text-sm font-semibold text-gray-700 mb-2">{title}</h3>
+      <div className="overflow-x-auto">
+        <table className="w-full">
+          <thead className="bg-gray-50 border-b border-gray-200">
+            <tr>
+              <th className={headerClass}>{t(`csat.${labelKey}`)}</th>
+              <th className={headerClass}>{t('csat.helpful')}</th>
+              <th className={headerClass}>{t('csat.csat')}</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {rows.map((row) => (
+              <tr key={row[labelKey] || 'none'}>
+                <td className={`${cellClass} font-medium text-gray-900`}>
+                  {formatLabel(row[labelKey])}
+                </td>
+                <td className={cellClass}>
+                  {formatPercent(row.messageSatisfaction)} ({formatNumber(row.thumbsUp)}/
+                  {formatNumber(row.thumbsUp + row.thumbsDown)})
+                </td>
+                <td className={cellClass}>{formatPercent(row.csat)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="card p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-lg font-semibold">{t('csat.title')}</h2>
+        <div className="flex gap-2">
+          {[
+            { value: 7, label: t('csat.last7Days') },
+            { value: 30, label: t('csat.last30Days') },
+            { value: 90, label: t('csat.last90Days') },
+          ].map(({ value: period, label }) => (
+            <button
+              key={period}
+              onClick={() => setDays(period)}
+              className={`px-3 py-1 text-sm rounded-md transition-colors ${
+                days === period
+                  ? 'bg-primary-600 text-white'
+                  : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {error ? (
+        <div className="p-4 bg-red-50 border border-red-200 text-red-700 rounded-lg">{error}</div>
+      ) : !stats ? (
+        <div className="h-32 flex items-center justify-center">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+        </div>
+      ) : stats.ratings === 0 && stats.thumbsUp + stats.thumbsDown === 0 ? (
+        <div className="h-32 flex items-center justify-center text-gray-500">
+          {t('csat.noFeedback')}
+        </div>
+      ) : (
+        <div className="space-y-6">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+            <div>
+              <p className="text-sm text-gray-600">{t('csat.csat')}</p>
+              <p className="text-3xl font-bold text-gray-900">{formatPercent(stats.csat)}</p>
+              <p className="text-xs text-gray-500 mt-1">{t('csat.csatHint')}</p>
+            </div>
+            <div>
+              <p className="text-sm text-gray-600">{t('csat.averageRating')}</p>
+              <p className="text-3xl font-bold text-gray-900">{stats.averageRating ?? '-'}</p>
+              <p className="text-xs text-gray-500 mt-1">
+                {formatNumber(stats.ratings)} {t('csat.ratedConversations')}
+              </p>
+            </div>
+            <div>
+              <p className="text-sm text-gray-600">{t('csat.helpfulReplies')}</p>
+              <p className="text-3xl font-bold text-gray-900">
+                {formatPercent(stats.messageSatisfaction)}
+              </p>
+              <p className="text-xs text-gray-500 mt-1">
+                {formatNumber(stats.thumbsUp)} 👍 / {formatNumber(stats.thumbsDown)} 👎
+              </p>
+            </div>
+          </div>
+
+          {/* Daily CSAT (conversations rated 4-5) */}
+          <div className="overflow-x-auto">
+            <div className="min-w-[600px] h-32 flex items-end gap-1">
+              {stats.trend.map((day) => (
+                <div key={day.date} className="flex-1 h-full flex items-end min-w-[8px]">
+                  <div
+                    className="w-full rounded-t bg-green-400"
+                    style={{ height: `${Math.max(day.csat ?? 0, 4)}%` }}
+                    title={`${formatDate(day.date, { month: 'short', day: 'numeric' })}: ${formatPercent(day.csat)}`}
+                  ></div>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            {renderBreakdown(t('csat.byTool'), stats.byTool, 'tool', (tool) =>
+              tool ? tool : t('csat.noTool')
+            )}
+            {renderBreakdown(t('csat.byMode'), stats.byMode, 'mode', (mode) =>
+              t(`csat.modes.${mode}`, mode)
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
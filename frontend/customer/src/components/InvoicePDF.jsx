@@ -61,6 +61,40 @@ const styles = StyleSheet.create({
     fontSize: 18,
     color: '#7c3aed',
   },
+  table: {
+    marginTop: 5,
+  },
+  tableHeader: {
+    flexDirection: 'row',
+    borderBottom: '1 solid #000',
+    paddingBottom: 5,
+    marginBottom: 5,
+    fontSize: 10,
+    fontWeight: 'bold',
+  },
+  tableRow: {
+    flexDirection: 'row',
+    borderBottom: '1 solid #eee',
+    paddingVertical: 5,
+    fontSize: 10,
+  },
+  colDescription: {
+    width: '55%',
+  },
+  colQuantity: {
+    width: '15%',
+    textAlign: 'right',
+  },
+  colAmount: {
+    width: '30%',
+    textAlign: 'right',
+  },
+  summaryRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 6,
+    fontSize: 11,
+  },
   grid: {
     flexDirection: 'row',
     flexWrap: 'wrap',
@@ -87,6 +121,9 @@ const styles = StyleSheet.create({
   statusBadgeCancelled: {
     backgroundColor: '#9E9E9E',
   },
+  statusBadgeCredited: {
+    backgroundColor: '#2196F3',
+  },
   footer: {
     position: 'absolute',
     bottom: 30,
@@ -110,18 +147,24 @@ const getStatusBadgeStyle = (status) => {
       return [styles.statusBadge, styles.statusBadgeOverdue];
     case 'cancelled':
       return [styles.statusBadge, styles.statusBadgeCancelled];
+    case 'credited':
+      return [styles.statusBadge, styles.statusBadgeCredited];
     default:
       return styles.statusBadge;
   }
 };
 
-const formatCurrency = (amount) => {
+const formatCurrency = (amount, currency = 'USD') => {
   return new Intl.NumberFormat('en-US', {
     style: 'currency',
-    currency: 'USD',
+    currency: currency || 'USD',
   }).format(amount || 0);
 };
 
+const formatQuantity = (quantity) => {
+  return new Intl.NumberFormat('en-US', { maximumFractionDigits: 3 }).format(quantity || 0);
+};
+
 const formatDate = (dateString) => {
   if (!dateString) return 'N/A';
   return new Date(dateString).toLocaleDateString('en-US', {
@@ -131,7 +174,11 @@ const formatDate = (dateString) => {
   });
 };
 
-export const InvoicePDF = ({ invoice, clientName }) => {
+export const InvoicePDF = ({ invoice, clientName, seller }) => {
+  const lineItems = invoice.lineItems || [];
+  const creditNotes = invoice.creditNotes || [];
+  const balanceDue = (invoice.amount || 0) - (invoice.amountCredited || 0);
+
   return (
     <Document>
       <Page size="A4" style={styles.page}>
@@ -146,7 +193,7 @@ export const InvoicePDF = ({ invoice, clientName }) => {
           >
             <View>
               <Text style={styles.title}>INVOICE</Text>
-              <Text style={styles.subtitle}>Invoice #{invoice.invoiceNumber}</Text>
+              <Text style={styles.subtitle}>Invoice {invoice.invoiceNumber}</Text>
               <Text style={styles.subtitle}>Billing Period: {invoice.period}</Text>
             </View>
             <View style={{ alignItems: 'flex-end' }}>
@@ -159,20 +206,83 @@ export const InvoicePDF = ({ invoice, clientName }) => {
           </View>
         </View>
 
-        {/* Client Information */}
-        <View style={styles.section}>
-          <Text style={styles.sectionTitle}>Billed To</Text>
-          <View style={styles.box}>
-            <Text style={styles.value}>{clientName || 'Customer'}</Text>
+        {/* Seller and Client Information */}
+        <View style={[styles.section, { flexDirection: 'row' }]}>
+          {seller && (
+            <View style={{ width: '50%', paddingRight: 10 }}>
+              <Text style={styles.sectionTitle}>From</Text>
+              <View style={styles.box}>
+                <Text style={styles.value}>{seller.name}</Text>
+                {seller.address && <Text style={styles.subtitle}>{seller.address}</Text>}
+                {seller.taxId && <Text style={styles.subtitle}>Tax ID: {seller.taxId}</Text>}
+              </View>
+            </View>
+          )}
+          <View style={{ width: seller ? '50%' : '100%' }}>
+            <Text style={styles.sectionTitle}>Billed To</Text>
+            <View style={styles.box}>
+              <Text style={styles.value}>{clientName || 'Customer'}</Text>
+              {invoice.billingAddress && (
+                <Text style={styles.subtitle}>{invoice.billingAddress}</Text>
+              )}
+              {invoice.billingCountry && (
+                <Text style={styles.subtitle}>{invoice.billingCountry}</Text>
+              )}
+              {invoice.taxId && <Text style={styles.subtitle}>Tax ID: {invoice.taxId}</Text>}
+            </View>
           </View>
         </View>
 
+        {/* Line Items */}
+        {lineItems.length > 0 && (
+          <View style={styles.section}>
+            <View style={styles.table}>
+              <View style={styles.tableHeader}>
+                <Text style={styles.colDescription}>Description</Text>
+                <Text style={styles.colQuantity}>Qty</Text>
+                <Text style={styles.colAmount}>Amount</Text>
+              </View>
+              {lineItems.map((item, index) => (
+                <View key={index} style={styles.tableRow}>
+                  <Text style={styles.colDescription}>{item.description}</Text>
+                  <Text style={styles.colQuantity}>{formatQuantity(item.quantity)}</Text>
+                  <Text style={styles.colAmount}>
+                    {formatCurrency(item.amount, invoice.currency)}
+                  </Text>
+                </View>
+              ))}
+            </View>
+          </View>
+        )}
+
         {/* Amount */}
         <View style={styles.section}>
+          <View style={styles.summaryRow}>
+            <Text>Subtotal:</Text>
+            <Text>{formatCurrency(invoice.subtotal, invoice.currency)}</Text>
+          </View>
+          <View style={styles.summaryRow}>
+            <Text>Tax ({invoice.taxRate || 0}%):</Text>
+            <Text>{formatCurrency(invoice.taxAmount, invoice.currency)}</Text>
+          </View>
           <View style={styles.totalRow}>
             <Text style={styles.totalLabel}>Total Amount:</Text>
-            <Text style={styles.totalValue}>{formatCurrency(invoice.amount)}</Text>
+            <Text style={styles.totalValue}>
+              {formatCurrency(invoice.amount, invoice.currency)}
+            </Text>
           </View>
+          {creditNotes.map((note) => (
+            <View key={note.id} style={styles.summaryRow}>
+              <Text>Credit note {note.creditNoteNumber}:</Text>
+              <Text>-{formatCurrency(note.total, invoice.currency)}</Text>
+            </View>
+          ))}
+          {creditNotes.length > 0 && (
+            <View style={styles.summaryRow}>
+              <Text style={styles.totalLabel}>Balance Due:</Text>
+              <Text style={styles.totalLabel}>{formatCurrency(balanceDue, invoice.currency)}</Text>
+            </View>
+          )}
         </View>
 
         {/* Important Dates */}
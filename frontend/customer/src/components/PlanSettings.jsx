@@ -0,0 +1,199 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useLanguage } from '../context/LanguageContext';
+import { useAuth } from '../context/AuthContext';
+import { billing } from '../services/api';
+
+const STATUS_STYLES = {
+  requested: 'bg-yellow-100 text-yellow-800',
+  scheduled: 'bg-blue-100 text-blue-800',
+  applied: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800',
+  cancelled: 'bg-gray-100 text-gray-700',
+};
+
+/**
+ * Current plan, upgrade requests (approved by the platform) and plan change history.
+ * Only owners and admins can request or withdraw upgrades.
+ */
+export default function PlanSettings() {
+  const { t, isRTL, formatDate, formatCurrency } = useLanguage();
+  const { hasRole } = useAuth();
+  const canManage = hasRole(['owner', 'admin']);
+  const [data, setData] = useState(null);
+  const [plan, setPlan] = useState('');
+  const [note, setNote] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      const response = await billing.getPlan();
+      setData(response.data);
+    } catch (error) {
+      console.error('Failed to load plan:', error);
+      setMessage({ type: 'error', text: error.response?.data?.error || t('common.error') });
+    } finally {
+      setLoading(false);
+    }
+  }, [t]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const run = async (action, successText) => {
+    setSaving(true);
+    try {
+      await action();
+      setMessage({ type: 'success', text: successText });
+      setPlan('');
+      setNote('');
+      await load();
+    } catch (error) {
+      setMessage({ type: 'error', text: error.response?.data?.error || t('common.error') });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const requestUpgrade = () =>
+    run(
+      () => billing.requestPlanChange({ plan, note: note || null }),
+      t('billing.plan.requestSent')
+    );
+
+  const cancelRequest = (id) =>
+    run(() => billing.cancelPlanChange(id), t('billing.plan.requestCancelled'));
+
+  if (loading) {
+    return (
+      <div className="card p-6 flex justify-center">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  if (!data) {
+    return message ? (
+      <div className="p-4 bg-red-50 border border-red-200 text-red-700 rounded-lg">
+        {message.text}
+      </div>
+    ) : null;
+  }
+
+  const planName = (name) =>
+    data.plans.find((item) => item.name === name)?.displayName || name || '-';
+  const current = data.plans.find((item) => item.name === data.currentPlan);
+  const upgrades = data.plans.filter((item) => item.baseCost > (current?.baseCost ?? 0));
+  const openChange = data.openChange;
+
+  return (
+    <div className="card p-6 space-y-4" dir={isRTL ? 'rtl' : 'ltr'}>
+      <div>
+        <h2 className="text-lg font-semibold text-gray-900">{t('billing.currentPlan')}</h2>
+        <p className="text-2xl font-bold text-primary-600 mt-1">{planName(data.currentPlan)}</p>
+        {current && (
+          <p className="text-sm text-gray-500">
+            {formatCurrency(current.baseCost)} {t('billing.plan.perMonth')}
+          </p>
+        )}
+      </div>
+
+      {message && (
+        <div
+          className={`p-3 rounded-lg text-sm ${
+            message.type === 'error'
+              ? 'bg-red-50 border border-red-200 text-red-700'
+              : 'bg-green-50 border border-green-200 text-green-700'
+          }`}
+        >
+          {message.text}
+        </div>
+      )}
+
+      {openChange?.status === 'requested' && (
+        <div className="p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm flex items-center justify-between gap-4">
+          <span>
+            {t('billing.plan.requestPending')} <strong>{planName(openChange.toPlan)}</strong> (
+            {formatDate(openChange.createdAt)})
+          </span>
+          {canManage && (
+            <button
+              className="btn btn-secondary text-sm"
+              disabled={saving}
+              onClick={() => cancelRequest(openChange.id)}
+            >
+              {t('billing.plan.cancelRequest')}
+            </button>
+          )}
+        </div>
+      )}
+
+      {openChange?.status === 'scheduled' && (
+        <div className="p-3 bg-blue-50 border border-blue-200 rounded-lg text-sm">
+          {t('billing.plan.scheduled')} <strong>{planName(openChange.toPlan)}</strong>{' '}
+          {t('billing.plan.on')} {formatDate(openChange.effectiveAt)}
+        </div>
+      )}
+
+      {canManage && !openChange && upgrades.length > 0 && (
+        <div className="space-y-3">
+          <p className="text-sm text-gray-600">{t('billing.plan.upgradeHint')}</p>
+          <div className="flex flex-col sm:flex-row gap-3">
+            <select
+              className="input sm:w-64"
+              value={plan}
+              onChange={(e) => setPlan(e.target.value)}
+            >
+              <option value="">{t('billing.plan.selectPlan')}</option>
+              {upgrades.map((item) => (
+                <option key={item.name} value={item.name}>
+                  {item.displayName} ({formatCurrency(item.baseCost)} {t('billing.plan.perMonth')})
+                </option>
+              ))}
+            </select>
+            <input
+              className="input flex-1"
+              value={note}
+              maxLength={1000}
+              placeholder={t('billing.plan.notePlaceholder')}
+              onChange={(e) => setNote(e.target.value)}
+            />
+            <button className="btn btn-primary" disabled={!plan || saving} onClick={requestUpgrade}>
+              {t('billing.plan.requestUpgrade')}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {data.changes.length > 0 && (
+        <div>
+          <h3 className="text-sm font-medium text-gray-700 mb-2">{t('billing.plan.history')}</h3>
+          <ul className="divide-y divide-gray-100 text-sm">
+            {data.changes.map((change) => (
+              <li key={change.id} className="py-2 flex items-center justify-between gap-4">
+                <span>
+                  {planName(change.fromPlan)} &rarr; {planName(change.toPlan)}
+                  {change.reviewNote && (
+                    <span className="text-gray-500"> - {change.reviewNote}</span>
+                  )}
+                </span>
+                <span className="flex items-center gap-3">
+                  <span className="text-gray-500">
+                    {formatDate(change.effectiveAt || change.createdAt)}
+                  </span>
+                  <span
+                    className={`px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_STYLES[change.status]}`}
+                  >
+                    {t(`billing.plan.status.${change.status}`)}
+                  </span>
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,294 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useLanguage } from '../context/LanguageContext';
+import { privacy as privacyApi } from '../services/api';
+import RedactionSettings from './RedactionSettings';
+
+const STATUS_STYLES = {
+  completed: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+  processing: 'bg-yellow-100 text-yellow-800',
+};
+
+// Retention windows as form values ('' = keep forever)
+const toForm = (values) =>
+  Object.fromEntries(Object.entries(values).map(([type, days]) => [type, days ?? '']));
+
+// Save an export as a JSON file
+const downloadJson = (data, fileName) => {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  window.URL.revokeObjectURL(url);
+  document.body.removeChild(a);
+};
+
+/**
+ * Data retention windows and export / erase requests for one end customer
+ */
+export default function PrivacySettings({ onMessage }) {
+  const { t, isRTL, formatDate } = useLanguage();
+  const [retention, setRetention] = useState(null);
+  const [form, setForm] = useState({});
+  const [requests, setRequests] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [userIdentifier, setUserIdentifier] = useState('');
+  const [runningRequest, setRunningRequest] = useState(null); // 'export' | 'erase'
+  const [lastRequest, setLastRequest] = useState(null);
+
+  const reportError = useCallback(
+    (error) => {
+      onMessage?.({ type: 'error', text: error.response?.data?.error || t('privacy.error') });
+    },
+    [onMessage, t]
+  );
+
+  const loadRequests = useCallback(async () => {
+    try {
+      const response = await privacyApi.getRequests();
+      setRequests(response.data.requests);
+    } catch (error) {
+      console.error('Failed to load data requests:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const response = await privacyApi.getRetention();
+        setRetention(response.data);
+        setForm(toForm(response.data.retention));
+        await loadRequests();
+      } catch (error) {
+        console.error('Failed to load privacy settings:', error);
+        reportError(error);
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, [loadRequests, reportError]);
+
+  const saveRetention = async () => {
+    setSaving(true);
+    try {
+      const values = Object.fromEntries(
+        Object.entries(form).map(([type, days]) => [type, days === '' ? null : parseInt(days)])
+      );
+      const response = await privacyApi.updateRetention(values);
+      setRetention(response.data);
+      setForm(toForm(response.data.retention));
+      onMessage?.({ type: 'success', text: t('privacy.saved') });
+    } catch (error) {
+      reportError(error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const runExport = async () => {
+    const identifier = userIdentifier.trim();
+    if (!identifier) return;
+
+    setRunningRequest('export');
+    try {
+      const response = await privacyApi.exportUserData(identifier);
+      downloadJson(
+        response.data.data,
+        `customer-data-${identifier.replace(/[^\w.@+-]/g, '_')}.json`
+      );
+      setLastRequest(response.data.request);
+    } catch (error) {
+      reportError(error);
+    } finally {
+      setRunningRequest(null);
+      loadRequests();
+    }
+  };
+
+  const runErase = async () => {
+    const identifier = userIdentifier.trim();
+    if (!identifier || !confirm(t('privacy.eraseConfirm'))) return;
+
+    setRunningRequest('erase');
+    try {
+      const response = await privacyApi.eraseUserData(identifier);
+      setLastRequest(response.data);
+      setUserIdentifier('');
+    } catch (error) {
+      reportError(error);
+    } finally {
+      setRunningRequest(null);
+      loadRequests();
+    }
+  };
+
+  // Record counts of a request report, e.g. "3 conversations, 41 messages"
+  const describeReport = (report) =>
+    Object.entries(report || {})
+      .filter(([, count]) => count > 0)
+      .map(([key, count]) => `${count} ${t(`privacy.reportLabels.${key}`, key)}`)
+      .join(', ') || t('privacy.noData');
+
+  if (loading) {
+    return (
+      <div className="h-32 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  const busy = Boolean(runningRequest);
+  const canRun = userIdentifier.trim() && !busy;
+
+  return (
+    <div className="space-y-6">
+      <RedactionSettings onMessage={onMessage} />
+
+      {/* Retention */}
+      <div className="bg-white shadow rounded-lg">
+        <div
+          className={`px-6 py-4 border-b border-gray-200 flex justify-between items-start ${isRTL ? 'flex-row-reverse' : ''}`}
+        >
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900">{t('privacy.retentionTitle')}</h2>
+            <p className="text-sm text-gray-600 mt-1">{t('privacy.retentionSubtitle')}</p>
+          </div>
+          <button
+            onClick={saveRetention}
+            disabled={saving}
+            className={`px-4 py-2 rounded-lg font-medium transition-colors ${
+              saving
+                ? 'bg-gray-300 text-gray-500 cursor-not-allowed'
+                : 'bg-primary-600 text-white hover:bg-primary-700'
+            }`}
+          >
+            {saving ? t('settings.saving') : t('privacy.save')}
+          </button>
+        </div>
+        <div className="px-6 py-6 grid grid-cols-1 md:grid-cols-2 gap-4">
+          {(retention?.dataTypes || []).map((type) => (
+            <div key={type}>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                {t(`privacy.dataTypes.${type}`, type)} ({t('privacy.days')})
+              </label>
+              <input
+                type="number"
+                min={retention.minDays}
+                max={retention.maxDays}
+                value={form[type] ?? ''}
+                onChange={(e) => setForm((prev) => ({ ...prev, [type]: e.target.value }))}
+                placeholder={t('privacy.keepForever')}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-primary-500 focus:border-primary-500"
+              />
+              <p className="text-xs text-gray-500 mt-1">{t(`privacy.dataTypeHelp.${type}`)}</p>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* End-customer data requests */}
+      <div className="bg-white shadow rounded-lg">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h2 className="text-lg font-semibold text-gray-900">{t('privacy.requestsTitle')}</h2>
+          <p className="text-sm text-gray-600 mt-1">{t('privacy.requestsSubtitle')}</p>
+        </div>
+        <div className="px-6 py-6 space-y-4">
+          <div className={`flex gap-2 ${isRTL ? 'flex-row-reverse' : ''}`}>
+            <input
+              type="text"
+              dir="ltr"
+              value={userIdentifier}
+              onChange={(e) => setUserIdentifier(e.target.value)}
+              placeholder={t('privacy.identifierPlaceholder')}
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-primary-500 focus:border-primary-500"
+            />
+            <button
+              onClick={runExport}
+              disabled={!canRun}
+              className="px-4 py-2 rounded-lg font-medium bg-gray-100 text-gray-700 hover:bg-gray-200 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {runningRequest === 'export' ? t('common.loading') : t('privacy.export')}
+            </button>
+            <button
+              onClick={runErase}
+              disabled={!canRun}
+              className="px-4 py-2 rounded-lg font-medium bg-red-600 text-white hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {runningRequest === 'erase' ? t('common.loading') : t('privacy.erase')}
+            </button>
+          </div>
+
+          {lastRequest && (
+            <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 text-sm text-blue-900">
+              <p className="font-medium">
+                {lastRequest.request_type === 'erase' ? t('privacy.erased') : t('privacy.exported')}
+                : <span dir="ltr">{lastRequest.user_identifier}</span>
+              </p>
+              <p className="mt-1">{describeReport(lastRequest.report)}</p>
+            </div>
+          )}
+
+          <h3 className="font-semibold text-gray-900 pt-2">{t('privacy.history')}</h3>
+          {requests.length === 0 ? (
+            <p className="text-sm text-gray-500">{t('privacy.noRequests')}</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead className="bg-gray-50">
+                  <tr className="text-xs text-gray-500 uppercase">
+                    <th className="px-4 py-2 text-start">{t('privacy.date')}</th>
+                    <th className="px-4 py-2 text-start">{t('privacy.type')}</th>
+                    <th className="px-4 py-2 text-start">{t('privacy.customer')}</th>
+                    <th className="px-4 py-2 text-start">{t('privacy.requestedBy')}</th>
+                    <th className="px-4 py-2 text-start">{t('privacy.status')}</th>
+                    <th className="px-4 py-2 text-start">{t('privacy.report')}</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {requests.map((request) => (
+                    <tr key={request.id}>
+                      <td className="px-4 py-2 whitespace-nowrap text-gray-600">
+                        {formatDate(request.created_at, {
+                          month: 'short',
+                          day: 'numeric',
+                          hour: '2-digit',
+                          minute: '2-digit',
+                        })}
+                      </td>
+                      <td className="px-4 py-2">
+                        {t(`privacy.types.${request.request_type}`, request.request_type)}
+                      </td>
+                      <td className="px-4 py-2" dir="ltr">
+                        {request.user_identifier}
+                      </td>
+                      <td className="px-4 py-2 text-gray-600">
+                        {request.requested_by_name || request.requested_by_type}
+                      </td>
+                      <td className="px-4 py-2">
+                        <span
+                          className={`px-2 py-0.5 text-xs font-medium rounded-full ${STATUS_STYLES[request.status] || ''}`}
+                        >
+                          {t(`privacy.statuses.${request.status}`, request.status)}
+                        </span>
+                      </td>
+                      <td className="px-4 py-2 text-gray-600">
+                        {request.status === 'failed'
+                          ? request.error
+                          : describeReport(request.report)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
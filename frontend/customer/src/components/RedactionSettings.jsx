@@ -0,0 +1,184 @@
+import { useState, useEffect } from 'react';
+import { useLanguage } from '../context/LanguageContext';
+import { privacy as privacyApi } from '../services/api';
+
+/**
+ * PII redaction: which personal data is tokenised before it reaches the AI provider
+ */
+export default function RedactionSettings({ onMessage }) {
+  const { t, isRTL } = useLanguage();
+  const [form, setForm] = useState(null);
+  const [types, setTypes] = useState([]);
+  const [maxCustomRules, setMaxCustomRules] = useState(0);
+  const [saving, setSaving] = useState(false);
+
+  const applyResponse = (data) => {
+    setForm(data.redaction);
+    setTypes(data.types);
+    setMaxCustomRules(data.maxCustomRules);
+  };
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const response = await privacyApi.getRedaction();
+        applyResponse(response.data);
+      } catch (error) {
+        console.error('Failed to load redaction settings:', error);
+      }
+    };
+    load();
+  }, []);
+
+  const save = async () => {
+    setSaving(true);
+    try {
+      const response = await privacyApi.updateRedaction(form);
+      applyResponse(response.data);
+      onMessage?.({ type: 'success', text: t('privacy.redaction.saved') });
+    } catch (error) {
+      onMessage?.({ type: 'error', text: error.response?.data?.error || t('privacy.error') });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleType = (type) => {
+    setForm((prev) => ({
+      ...prev,
+      types: prev.types.includes(type)
+        ? prev.types.filter((item) => item !== type)
+        : [...prev.types, type],
+    }));
+  };
+
+  const updateRule = (index, field, value) => {
+    setForm((prev) => ({
+      ...prev,
+      custom: prev.custom.map((rule, i) => (i === index ? { ...rule, [field]: value } : rule)),
+    }));
+  };
+
+  if (!form) return null;
+
+  return (
+    <div className="bg-white shadow rounded-lg">
+      <div
+        className={`px-6 py-4 border-b border-gray-200 flex justify-between items-start ${isRTL ? 'flex-row-reverse' : ''}`}
+      >
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">{t('privacy.redaction.title')}</h2>
+          <p className="text-sm text-gray-600 mt-1">{t('privacy.redaction.subtitle')}</p>
+        </div>
+        <button
+          onClick={save}
+          disabled={saving}
+          className={`px-4 py-2 rounded-lg font-medium transition-colors ${
+            saving
+              ? 'bg-gray-300 text-gray-500 cursor-not-allowed'
+              : 'bg-primary-600 text-white hover:bg-primary-700'
+          }`}
+        >
+          {saving ? t('settings.saving') : t('privacy.save')}
+        </button>
+      </div>
+      <div className="px-6 py-6 space-y-6">
+        <div className="space-y-3">
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={form.enabled}
+              onChange={(e) => setForm((prev) => ({ ...prev, enabled: e.target.checked }))}
+              className="h-4 w-4 text-primary-600 focus:ring-primary-500"
+            />
+            {t('privacy.redaction.enabled')}
+          </label>
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={form.mask_debug}
+              onChange={(e) => setForm((prev) => ({ ...prev, mask_debug: e.target.checked }))}
+              className="h-4 w-4 text-primary-600 focus:ring-primary-500"
+            />
+            {t('privacy.redaction.maskDebug')}
+          </label>
+        </div>
+
+        <div>
+          <h3 className="text-sm font-medium text-gray-700 mb-2">
+            {t('privacy.redaction.detect')}
+          </h3>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+            {types.map((type) => (
+              <label key={type} className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={form.types.includes(type)}
+                  onChange={() => toggleType(type)}
+                  className="h-4 w-4 text-primary-600 focus:ring-primary-500"
+                />
+                {t(`privacy.redaction.types.${type}`, type)}
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <div>
+          <div
+            className={`flex justify-between items-center mb-2 ${isRTL ? 'flex-row-reverse' : ''}`}
+          >
+            <h3 className="text-sm font-medium text-gray-700">{t('privacy.redaction.custom')}</h3>
+            <button
+              onClick={() =>
+                setForm((prev) => ({
+                  ...prev,
+                  custom: [...prev.custom, { name: '', pattern: '' }],
+                }))
+              }
+              disabled={form.custom.length >= maxCustomRules}
+              className="px-3 py-1.5 text-sm rounded-lg font-medium bg-gray-100 text-gray-700 hover:bg-gray-200 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {t('privacy.redaction.addPattern')}
+            </button>
+          </div>
+          {form.custom.length === 0 ? (
+            <p className="text-sm text-gray-500">{t('privacy.redaction.noPatterns')}</p>
+          ) : (
+            <div className="space-y-2">
+              {form.custom.map((rule, index) => (
+                <div key={index} className={`flex gap-2 ${isRTL ? 'flex-row-reverse' : ''}`}>
+                  <input
+                    type="text"
+                    value={rule.name}
+                    onChange={(e) => updateRule(index, 'name', e.target.value)}
+                    placeholder={t('privacy.redaction.namePlaceholder')}
+                    className="w-48 px-3 py-2 border border-gray-300 rounded-lg focus:ring-primary-500 focus:border-primary-500"
+                  />
+                  <input
+                    type="text"
+                    dir="ltr"
+                    value={rule.pattern}
+                    onChange={(e) => updateRule(index, 'pattern', e.target.value)}
+                    placeholder={t('privacy.redaction.patternPlaceholder')}
+                    className="flex-1 px-3 py-2 font-mono border border-gray-300 rounded-lg focus:ring-primary-500 focus:border-primary-500"
+                  />
+                  <button
+                    onClick={() =>
+                      setForm((prev) => ({
+                        ...prev,
+                        custom: prev.custom.filter((_, i) => i !== index),
+                      }))
+                    }
+                    className="px-3 py-2 text-sm text-gray-600 rounded-lg hover:bg-gray-100"
+                  >
+                    {t('privacy.redaction.remove')}
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
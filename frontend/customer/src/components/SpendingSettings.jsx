@@ -0,0 +1,238 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useLanguage } from '../context/LanguageContext';
+import { useAuth } from '../context/AuthContext';
+import { billing } from '../services/api';
+
+const ACTIONS = ['block', 'degrade', 'overage'];
+
+/**
+ * This month's spend against the limit, monthly budget, over-limit action,
+ * credit purchases and the credit ledger (amounts in USD). Billing viewers
+ * only see the figures.
+ */
+export default function SpendingSettings({ onPurchased }) {
+  const { t, isRTL, formatDate, formatCurrency } = useLanguage();
+  const { hasRole } = useAuth();
+  const canManage = hasRole(['owner', 'admin']);
+  const [data, setData] = useState(null);
+  const [budget, setBudget] = useState('');
+  const [action, setAction] = useState('block');
+  const [amount, setAmount] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const apply = (value) => {
+    setData(value);
+    setBudget(value.monthlyBudget === null ? '' : String(value.monthlyBudget));
+    setAction(value.overLimitAction);
+  };
+
+  const load = useCallback(async () => {
+    try {
+      const response = await billing.getSpending();
+      apply(response.data);
+    } catch (error) {
+      console.error('Failed to load spending:', error);
+      setMessage({ type: 'error', text: error.response?.data?.error || t('common.error') });
+    } finally {
+      setLoading(false);
+    }
+  }, [t]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const saveSettings = async () => {
+    setSaving(true);
+    try {
+      const response = await billing.updateSpending({
+        monthlyBudget: budget === '' ? null : Number(budget),
+        overLimitAction: action,
+      });
+      apply(response.data);
+      setMessage({ type: 'success', text: t('billing.spending.saved') });
+    } catch (error) {
+      setMessage({ type: 'error', text: error.response?.data?.error || t('common.error') });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const buyCredits = async () => {
+    setSaving(true);
+    try {
+      const response = await billing.purchaseCredits({ amount: Number(amount) });
+      setMessage({
+        type: 'success',
+        text: `${t('billing.spending.purchaseCreated')} ${response.data.invoiceNumber}`,
+      });
+      setAmount('');
+      onPurchased?.();
+    } catch (error) {
+      setMessage({ type: 'error', text: error.response?.data?.error || t('common.error') });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="card p-6 flex justify-center">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  if (!data) {
+    return message ? (
+      <div className="p-4 bg-red-50 border border-red-200 text-red-700 rounded-lg">
+        {message.text}
+      </div>
+    ) : null;
+  }
+
+  const usd = (value) => formatCurrency(value, 'USD');
+  const percent = Math.min(data.percent ?? 0, 100);
+
+  return (
+    <div className="card p-6 space-y-4" dir={isRTL ? 'rtl' : 'ltr'}>
+      <div>
+        <h2 className="text-lg font-semibold text-gray-900">{t('billing.spending.title')}</h2>
+        <p className="text-sm text-gray-500">{t('billing.spending.hint')}</p>
+      </div>
+
+      {message && (
+        <div
+          className={`p-3 rounded-lg text-sm ${
+            message.type === 'error'
+              ? 'bg-red-50 border border-red-200 text-red-700'
+              : 'bg-green-50 border border-green-200 text-green-700'
+          }`}
+        >
+          {message.text}
+        </div>
+      )}
+
+      <div>
+        <div className="flex justify-between text-sm text-gray-600 mb-1">
+          <span>
+            {t('billing.spending.spent')}: <strong>{usd(data.spent)}</strong>
+          </span>
+          <span>
+            {t('billing.spending.limit')}:{' '}
+            <strong>{data.limit === null ? t('billing.spending.noLimit') : usd(data.limit)}</strong>
+          </span>
+        </div>
+        {data.limit !== null && (
+          <div className="w-full bg-gray-200 rounded-full h-2">
+            <div
+              className={`h-2 rounded-full ${
+                percent >= 100 ? 'bg-red-500' : percent >= 80 ? 'bg-yellow-500' : 'bg-primary-600'
+              }`}
+              style={{ width: `${percent}%` }}
+            ></div>
+          </div>
+        )}
+        {data.exceeded && (
+          <p className="text-sm text-red-600 mt-2">
+            {t(`billing.spending.exceeded.${data.action}`)}
+          </p>
+        )}
+        <p className="text-sm text-gray-500 mt-2">
+          {t('billing.spending.credits')}: <strong>{usd(data.credits)}</strong>
+          {data.allowance !== null && (
+            <>
+              {' '}
+              &middot; {t('billing.spending.allowance')}: {usd(data.allowance)}
+            </>
+          )}
+        </p>
+      </div>
+
+      {canManage && (
+        <div className="flex flex-col sm:flex-row gap-3 sm:items-end">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              {t('billing.spending.budget')}
+            </label>
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              className="input sm:w-40"
+              value={budget}
+              placeholder={t('billing.spending.noBudget')}
+              onChange={(e) => setBudget(e.target.value)}
+            />
+          </div>
+          <div className="flex-1">
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              {t('billing.spending.atLimit')}
+            </label>
+            <select className="input" value={action} onChange={(e) => setAction(e.target.value)}>
+              {ACTIONS.map((value) => (
+                <option key={value} value={value}>
+                  {t(`billing.spending.actions.${value}`)}
+                </option>
+              ))}
+            </select>
+          </div>
+          <button className="btn btn-primary" disabled={saving} onClick={saveSettings}>
+            {t('common.save')}
+          </button>
+        </div>
+      )}
+
+      {canManage && (
+        <div className="flex flex-col sm:flex-row gap-3 sm:items-end">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              {t('billing.spending.buyCredits')}
+            </label>
+            <input
+              type="number"
+              min="10"
+              step="1"
+              className="input sm:w-40"
+              value={amount}
+              placeholder="USD"
+              onChange={(e) => setAmount(e.target.value)}
+            />
+          </div>
+          <button className="btn btn-secondary" disabled={!amount || saving} onClick={buyCredits}>
+            {t('billing.spending.purchase')}
+          </button>
+          <p className="text-xs text-gray-500 sm:flex-1">{t('billing.spending.purchaseHint')}</p>
+        </div>
+      )}
+
+      {data.transactions.length > 0 && (
+        <div>
+          <h3 className="text-sm font-medium text-gray-700 mb-2">{t('billing.spending.ledger')}</h3>
+          <ul className="divide-y divide-gray-100 text-sm">
+            {data.transactions.map((entry) => (
+              <li key={entry.id} className="py-2 flex items-center justify-between gap-4">
+                <span>
+                  {t(`billing.spending.types.${entry.type}`)}
+                  {entry.invoiceNumber && (
+                    <span className="text-gray-500"> - {entry.invoiceNumber}</span>
+                  )}
+                </span>
+                <span className="flex items-center gap-3">
+                  <span className="text-gray-500">{formatDate(entry.createdAt)}</span>
+                  <span
+                    className={`font-medium ${entry.amount < 0 ? 'text-red-600' : 'text-green-600'}`}
+                  >
+                    {usd(entry.amount)}
+                  </span>
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
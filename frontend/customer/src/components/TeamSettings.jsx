@@ -0,0 +1,334 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useLanguage } from '../context/LanguageContext';
+import { useAuth } from '../context/AuthContext';
+import { users as usersApi } from '../services/api';
+
+const EMPTY_INVITE = { email: '', name: '', role: 'agent' };
+
+const STATUS_STYLES = {
+  active: 'bg-green-100 text-green-800',
+  invited: 'bg-yellow-100 text-yellow-800',
+  disabled: 'bg-gray-100 text-gray-600',
+};
+
+/**
+ * Dashboard users of the client: invitations, roles and access
+ */
+export default function TeamSettings({ onMessage }) {
+  const { t, isRTL, formatDate } = useLanguage();
+  const { user: currentUser, role: currentRole } = useAuth();
+  const [members, setMembers] = useState([]);
+  const [roles, setRoles] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [inviting, setInviting] = useState(false);
+  const [form, setForm] = useState(EMPTY_INVITE);
+  const [saving, setSaving] = useState(false);
+  const [inviteLink, setInviteLink] = useState(null);
+
+  const reportError = useCallback(
+    (error) => {
+      onMessage?.({ type: 'error', text: error.response?.data?.error || t('team.error') });
+    },
+    [onMessage, t]
+  );
+
+  const loadMembers = useCallback(async () => {
+    try {
+      const response = await usersApi.getAll();
+      setMembers(response.data.users);
+      setRoles(response.data.roles);
+    } catch (error) {
+      console.error('Failed to load users:', error);
+      reportError(error);
+    } finally {
+      setLoading(false);
+    }
+  }, [reportError]);
+
+  useEffect(() => {
+    loadMembers();
+  }, [loadMembers]);
+
+  // Only owners can grant the owner role or manage other owners
+  const assignableRoles = roles.filter((role) => role !== 'owner' || currentRole === 'owner');
+  const canManage = (member) =>
+    member.id !== currentUser?.id && (member.role !== 'owner' || currentRole === 'owner');
+
+  const showInviteResult = (data) => {
+    if (data.emailSent) {
+      setInviteLink(null);
+      onMessage?.({ type: 'success', text: t('team.inviteSent') });
+    } else {
+      setInviteLink({ email: data.user.email, url: data.inviteUrl });
+    }
+  };
+
+  const sendInvite = async () => {
+    setSaving(true);
+    try {
+      const response = await usersApi.invite(form);
+      setInviting(false);
+      setForm(EMPTY_INVITE);
+      showInviteResult(response.data);
+      await loadMembers();
+    } catch (error) {
+      reportError(error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const resendInvite = async (id) => {
+    try {
+      const response = await usersApi.resendInvite(id);
+      showInviteResult(response.data);
+      await loadMembers();
+    } catch (error) {
+      reportError(error);
+    }
+  };
+
+  const updateMember = async (id, data) => {
+    try {
+      const response = await usersApi.update(id, data);
+      setMembers((prev) => prev.map((member) => (member.id === id ? response.data : member)));
+      onMessage?.({ type: 'success', text: t('team.saved') });
+    } catch (error) {
+      reportError(error);
+    }
+  };
+
+  const removeMember = async (member) => {
+    const confirmKey = member.status === 'invited' ? 'team.cancelConfirm' : 'team.removeConfirm';
+    if (!confirm(t(confirmKey))) return;
+    try {
+      await usersApi.delete(member.id);
+      setMembers((prev) => prev.filter((m) => m.id !== member.id));
+      onMessage?.({ type: 'success', text: t('team.removed') });
+    } catch (error) {
+      reportError(error);
+    }
+  };
+
+  const copyInviteLink = async () => {
+    try {
+      await navigator.clipboard.writeText(inviteLink.url);
+      onMessage?.({ type: 'success', text: t('team.linkCopied') });
+    } catch {
+      // Clipboard unavailable - the link stays visible for manual copying
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="h-32 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white shadow rounded-lg">
+      <div
+        className={`px-6 py-4 border-b border-gray-200 flex justify-between items-start ${isRTL ? 'flex-row-reverse' : ''}`}
+      >
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">{t('team.title')}</h2>
+          <p className="text-sm text-gray-600 mt-1">{t('team.subtitle')}</p>
+        </div>
+        {!inviting && (
+          <button
+            onClick={() => setInviting(true)}
+            className="px-4 py-2 rounded-lg font-medium bg-primary-600 text-white hover:bg-primary-700"
+          >
+            {t('team.invite')}
+          </button>
+        )}
+      </div>
+
+      <div className="px-6 py-6 space-y-4">
+        {inviting && (
+          <div className="border border-primary-200 bg-primary-50 rounded-lg p-4 space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  {t('team.email')}
+                </label>
+                <input
+                  type="email"
+                  value={form.email}
+                  onChange={(e) => setForm({ ...form, email: e.target.value })}
+                  placeholder="name@company.com"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  {t('team.name')}
+                </label>
+                <input
+                  type="text"
+                  value={form.name}
+                  onChange={(e) => setForm({ ...form, name: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  {t('team.role')}
+                </label>
+                <select
+                  value={form.role}
+                  onChange={(e) => setForm({ ...form, role: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                >
+                  {assignableRoles.map((role) => (
+                    <option key={role} value={role}>
+                      {t(`team.roles.${role}`, role)}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            </div>
+            <p className="text-xs text-gray-500">{t(`team.roleDescriptions.${form.role}`, '')}</p>
+            <div className={`flex gap-2 ${isRTL ? 'flex-row-reverse' : ''}`}>
+              <button
+                onClick={sendInvite}
+                disabled={saving || !form.email}
+                className="px-4 py-2 rounded-lg font-medium bg-primary-600 text-white hover:bg-primary-700 disabled:bg-gray-300 disabled:text-gray-500"
+              >
+                {saving ? t('team.sending') : t('team.sendInvite')}
+              </button>
+              <button
+                onClick={() => {
+                  setInviting(false);
+                  setForm(EMPTY_INVITE);
+                }}
+                className="px-4 py-2 rounded-lg font-medium border border-gray-300 text-gray-700 hover:bg-gray-50"
+              >
+                {t('team.cancel')}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {inviteLink && (
+          <div className="border border-yellow-200 bg-yellow-50 rounded-lg p-4">
+            <p className="text-sm text-yellow-800">
+              {t('team.emailNotSent')} <strong>{inviteLink.email}</strong>
+            </p>
+            <div className={`mt-2 flex gap-2 ${isRTL ? 'flex-row-reverse' : ''}`}>
+              <input
+                type="text"
+                readOnly
+                value={inviteLink.url}
+                onFocus={(e) => e.target.select()}
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-xs font-mono"
+                dir="ltr"
+              />
+              <button
+                onClick={copyInviteLink}
+                className="px-3 py-2 rounded-lg text-sm border border-gray-300 text-gray-700 hover:bg-white"
+              >
+                {t('team.copyLink')}
+              </button>
+            </div>
+          </div>
+        )}
+
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead>
+              <tr className="text-xs text-gray-500 uppercase">
+                <th className={`py-2 ${isRTL ? 'text-right' : 'text-left'}`}>{t('team.user')}</th>
+                <th className={`py-2 ${isRTL ? 'text-right' : 'text-left'}`}>{t('team.role')}</th>
+                <th className={`py-2 ${isRTL ? 'text-right' : 'text-left'}`}>{t('team.status')}</th>
+                <th className={`py-2 ${isRTL ? 'text-right' : 'text-left'}`}>
+                  {t('team.lastLogin')}
+                </th>
+                <th className="py-2"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100 text-sm">
+              {members.map((member) => (
+                <tr key={member.id}>
+                  <td className="py-3">
+                    <p className="font-medium text-gray-900">
+                      {member.name || member.email}
+                      {member.id === currentUser?.id && (
+                        <span className="text-gray-500 font-normal"> ({t('team.you')})</span>
+                      )}
+                    </p>
+                    {member.name && <p className="text-gray-500">{member.email}</p>}
+                  </td>
+                  <td className="py-3">
+                    {canManage(member) ? (
+                      <select
+                        value={member.role}
+                        onChange={(e) => updateMember(member.id, { role: e.target.value })}
+                        className="px-2 py-1 border border-gray-300 rounded text-sm"
+                      >
+                        {assignableRoles.map((role) => (
+                          <option key={role} value={role}>
+                            {t(`team.roles.${role}`, role)}
+                          </option>
+                        ))}
+                      </select>
+                    ) : (
+                      t(`team.roles.${member.role}`, member.role)
+                    )}
+                  </td>
+                  <td className="py-3">
+                    <span
+                      className={`px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_STYLES[member.status]}`}
+                    >
+                      {t(`team.statuses.${member.status}`, member.status)}
+                    </span>
+                  </td>
+                  <td className="py-3 text-gray-600">
+                    {member.lastLoginAt ? formatDate(member.lastLoginAt) : t('team.never')}
+                  </td>
+                  <td className={`py-3 ${isRTL ? 'text-left' : 'text-right'}`}>
+                    {canManage(member) && (
+                      <div className={`flex gap-3 justify-end ${isRTL ? 'flex-row-reverse' : ''}`}>
+                        {member.status === 'invited' && (
+                          <button
+                            onClick={() => resendInvite(member.id)}
+                            className="text-primary-600 hover:text-primary-800"
+                          >
+                            {t('team.resend')}
+                          </button>
+                        )}
+                        {member.status !== 'invited' && (
+                          <button
+                            onClick={() =>
+                              updateMember(member.id, {
+                                status: member.status === 'active' ? 'disabled' : 'active',
+                              })
+                            }
+                            className="text-gray-600 hover:text-gray-900"
+                          >
+                            {member.status === 'active' ? t('team.disable') : t('team.enable')}
+                          </button>
+                        )}
+                        <button
+                          onClick={() => removeMember(member)}
+                          className="text-red-600 hover:text-red-800"
+                        >
+                          {member.status === 'invited' ? t('team.cancelInvite') : t('team.remove')}
+                        </button>
+                      </div>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {members.length === 0 && (
+            <p className="text-sm text-gray-500 text-center py-6">{t('team.empty')}</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
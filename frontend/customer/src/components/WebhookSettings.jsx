@@ -0,0 +1,444 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useLanguage } from '../context/LanguageContext';
+import { webhooks as webhooksApi } from '../services/api';
+
+const EMPTY_FORM = { url: '', description: '', events: [], is_active: true };
+
+const STATUS_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  sent: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+};
+
+/**
+ * Outbound webhook endpoints: subscriptions, signing secrets, test events
+ * and a delivery log with replay
+ */
+export default function WebhookSettings({ onMessage }) {
+  const { t, isRTL } = useLanguage();
+  const [endpoints, setEndpoints] = useState([]);
+  const [availableEvents, setAvailableEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editingId, setEditingId] = useState(null); // 'new' or subscription id
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+
+  const reportError = useCallback(
+    (error) => {
+      onMessage?.({ type: 'error', text: error.response?.data?.error || t('webhooks.error') });
+    },
+    [onMessage, t]
+  );
+
+  const loadEndpoints = useCallback(async () => {
+    try {
+      const response = await webhooksApi.getAll();
+      setEndpoints(response.data.webhooks);
+      setAvailableEvents(response.data.events);
+    } catch (error) {
+      console.error('Failed to load webhooks:', error);
+      reportError(error);
+    } finally {
+      setLoading(false);
+    }
+  }, [reportError]);
+
+  useEffect(() => {
+    loadEndpoints();
+  }, [loadEndpoints]);
+
+  const startEdit = (endpoint) => {
+    setEditingId(endpoint ? endpoint.id : 'new');
+    setForm(
+      endpoint
+        ? {
+            url: endpoint.url,
+            description: endpoint.description || '',
+            events: endpoint.events,
+            is_active: endpoint.isActive,
+          }
+        : EMPTY_FORM
+    );
+  };
+
+  const toggleEvent = (event) => {
+    setForm((prev) => ({
+      ...prev,
+      events: prev.events.includes(event)
+        ? prev.events.filter((e) => e !== event)
+        : [...prev.events, event],
+    }));
+  };
+
+  const saveEndpoint = async () => {
+    setSaving(true);
+    try {
+      if (editingId === 'new') {
+        await webhooksApi.create(form);
+      } else {
+        await webhooksApi.update(editingId, form);
+      }
+      setEditingId(null);
+      await loadEndpoints();
+      onMessage?.({ type: 'success', text: t('webhooks.saved') });
+    } catch (error) {
+      reportError(error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const deleteEndpoint = async (id) => {
+    if (!confirm(t('webhooks.deleteConfirm'))) return;
+    try {
+      await webhooksApi.delete(id);
+      setEndpoints((prev) => prev.filter((endpoint) => endpoint.id !== id));
+      onMessage?.({ type: 'success', text: t('webhooks.deleted') });
+    } catch (error) {
+      reportError(error);
+    }
+  };
+
+  const rotateSecret = async (id) => {
+    if (!confirm(t('webhooks.rotateConfirm'))) return;
+    try {
+      const response = await webhooksApi.rotateSecret(id);
+      setEndpoints((prev) =>
+        prev.map((endpoint) => (endpoint.id === id ? response.data : endpoint))
+      );
+    } catch (error) {
+      reportError(error);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="h-32 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white shadow rounded-lg">
+      <div
+        className={`px-6 py-4 border-b border-gray-200 flex justify-between items-start ${isRTL ? 'flex-row-reverse' : ''}`}
+      >
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">{t('webhooks.title')}</h2>
+          <p className="text-sm text-gray-600 mt-1">{t('webhooks.subtitle')}</p>
+        </div>
+        {editingId === null && (
+          <button
+            onClick={() => startEdit(null)}
+            className="px-4 py-2 rounded-lg font-medium bg-primary-600 text-white hover:bg-primary-700"
+          >
+            {t('webhooks.add')}
+          </button>
+        )}
+      </div>
+
+      <div className="px-6 py-6 space-y-4">
+        {editingId !== null && (
+          <WebhookForm
+            form={form}
+            setForm={setForm}
+            availableEvents={availableEvents}
+            toggleEvent={toggleEvent}
+            saving={saving}
+            onSave={saveEndpoint}
+            onCancel={() => setEditingId(null)}
+            t={t}
+          />
+        )}
+
+        {endpoints.length === 0 && editingId === null && (
+          <p className="text-sm text-gray-500 text-center py-6">{t('webhooks.empty')}</p>
+        )}
+
+        {endpoints.map((endpoint) => (
+          <WebhookEndpoint
+            key={endpoint.id}
+            endpoint={endpoint}
+            onEdit={() => startEdit(endpoint)}
+            onDelete={() => deleteEndpoint(endpoint.id)}
+            onRotate={() => rotateSecret(endpoint.id)}
+            onMessage={onMessage}
+            reportError={reportError}
+          />
+        ))}
+
+        <p className="text-xs text-gray-500" dir="ltr">
+          {t('webhooks.signatureHelp')}
+        </p>
+      </div>
+    </div>
+  );
+}
+
+function WebhookForm({ form, setForm, availableEvents, toggleEvent, saving, onSave, onCancel, t }) {
+  const canSave = form.url.trim() && form.events.length > 0 && !saving;
+
+  return (
+    <div className="border border-primary-200 bg-primary-50 rounded-lg p-4 space-y-4">
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">{t('webhooks.url')}</label>
+        <input
+          type="url"
+          dir="ltr"
+          value={form.url}
+          onChange={(e) => setForm((prev) => ({ ...prev, url: e.target.value }))}
+          placeholder={t('webhooks.urlPlaceholder')}
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-primary-500 focus:border-primary-500"
+        />
+      </div>
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">
+          {t('webhooks.description')}
+        </label>
+        <input
+          type="text"
+          value={form.description}
+          onChange={(e) => setForm((prev) => ({ ...prev, description: e.target.value }))}
+          placeholder={t('webhooks.descriptionPlaceholder')}
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-primary-500 focus:border-primary-500"
+        />
+      </div>
+      <div>
+        <p className="block text-sm font-medium text-gray-700 mb-2">{t('webhooks.events')}</p>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+          {availableEvents.map((event) => (
+            <label key={event} className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={form.events.includes(event)}
+                onChange={() => toggleEvent(event)}
+                className="h-4 w-4 text-primary-600 focus:ring-primary-500"
+              />
+              <span>{t(`webhooks.eventNames.${event}`, event)}</span>
+              <code className="text-xs text-gray-400">{event}</code>
+            </label>
+          ))}
+        </div>
+      </div>
+      <label className="flex items-center gap-2 text-sm text-gray-700">
+        <input
+          type="checkbox"
+          checked={form.is_active}
+          onChange={(e) => setForm((prev) => ({ ...prev, is_active: e.target.checked }))}
+          className="h-4 w-4 text-primary-600 focus:ring-primary-500"
+        />
+        {t('webhooks.active')}
+      </label>
+      <div className="flex gap-2">
+        <button
+          onClick={onSave}
+          disabled={!canSave}
+          className={`px-4 py-2 rounded-lg font-medium transition-colors ${
+            canSave
+              ? 'bg-primary-600 text-white hover:bg-primary-700'
+              : 'bg-gray-300 text-gray-500 cursor-not-allowed'
+          }`}
+        >
+          {saving ? t('settings.saving') : t('webhooks.save')}
+        </button>
+        <button
+          onClick={onCancel}
+          className="px-4 py-2 rounded-lg font-medium bg-gray-100 text-gray-700 hover:bg-gray-200"
+        >
+          {t('webhooks.cancel')}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function WebhookEndpoint({ endpoint, onEdit, onDelete, onRotate, onMessage, reportError }) {
+  const { t, formatDate } = useLanguage();
+  const [showSecret, setShowSecret] = useState(false);
+  const [deliveries, setDeliveries] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const loadDeliveries = useCallback(async () => {
+    try {
+      const response = await webhooksApi.getDeliveries(endpoint.id, { limit: 25 });
+      setDeliveries(response.data.deliveries);
+    } catch (error) {
+      reportError(error);
+    }
+  }, [endpoint.id, reportError]);
+
+  const sendTest = async () => {
+    setBusy(true);
+    try {
+      const response = await webhooksApi.test(endpoint.id);
+      onMessage?.(
+        response.data.status === 'sent'
+          ? { type: 'success', text: t('webhooks.testSent') }
+          : {
+              type: 'error',
+              text: `${t('webhooks.testFailed')}: ${response.data.lastError || response.data.responseStatus}`,
+            }
+      );
+      if (deliveries) await loadDeliveries();
+    } catch (error) {
+      reportError(error);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const replay = async (deliveryId) => {
+    try {
+      await webhooksApi.replay(deliveryId);
+      onMessage?.({ type: 'success', text: t('webhooks.replayed') });
+      await loadDeliveries();
+    } catch (error) {
+      reportError(error);
+    }
+  };
+
+  const formatTime = (value) =>
+    value
+      ? formatDate(value, {
+          month: 'short',
+          day: 'numeric',
+          hour: '2-digit',
+          minute: '2-digit',
+          second: '2-digit',
+        })
+      : '-';
+
+  return (
+    <div className="border border-gray-200 rounded-lg">
+      <div className="p-4 space-y-3">
+        <div className="flex flex-wrap justify-between items-start gap-2">
+          <div className="min-w-0">
+            <p className="font-mono text-sm text-gray-900 break-all" dir="ltr">
+              {endpoint.url}
+            </p>
+            {endpoint.description && (
+              <p className="text-sm text-gray-500 mt-1">{endpoint.description}</p>
+            )}
+          </div>
+          <span
+            className={`px-2 py-1 text-xs font-medium rounded-full ${
+              endpoint.isActive ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-600'
+            }`}
+          >
+            {endpoint.isActive ? t('webhooks.active') : t('webhooks.inactive')}
+          </span>
+        </div>
+
+        <div className="flex flex-wrap gap-1">
+          {endpoint.events.map((event) => (
+            <span key={event} className="px-2 py-0.5 text-xs rounded bg-gray-100 text-gray-700">
+              {t(`webhooks.eventNames.${event}`, event)}
+            </span>
+          ))}
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <span className="text-gray-600">{t('webhooks.secret')}:</span>
+          <code className="px-2 py-0.5 bg-gray-50 border border-gray-200 rounded text-xs" dir="ltr">
+            {showSecret ? endpoint.secret : `${endpoint.secret.slice(0, 6)}${'•'.repeat(16)}`}
+          </code>
+          <button
+            onClick={() => setShowSecret((prev) => !prev)}
+            className="text-primary-600 hover:text-primary-700"
+          >
+            {showSecret ? t('webhooks.hide') : t('webhooks.reveal')}
+          </button>
+          <button onClick={onRotate} className="text-primary-600 hover:text-primary-700">
+            {t('webhooks.rotate')}
+          </button>
+        </div>
+
+        <div className="flex flex-wrap gap-3 text-sm">
+          <button
+            onClick={sendTest}
+            disabled={busy}
+            className="text-primary-600 hover:text-primary-700 disabled:text-gray-400"
+          >
+            {t('webhooks.sendTest')}
+          </button>
+          <button
+            onClick={() => (deliveries ? setDeliveries(null) : loadDeliveries())}
+            className="text-primary-600 hover:text-primary-700"
+          >
+            {deliveries ? t('webhooks.hideDeliveries') : t('webhooks.deliveries')}
+          </button>
+          <button onClick={onEdit} className="text-gray-600 hover:text-gray-800">
+            {t('webhooks.edit')}
+          </button>
+          <button onClick={onDelete} className="text-red-600 hover:text-red-700">
+            {t('webhooks.delete')}
+          </button>
+        </div>
+      </div>
+
+      {deliveries && (
+        <div className="border-t border-gray-200 overflow-x-auto">
+          {deliveries.length === 0 ? (
+            <p className="p-4 text-sm text-gray-500">{t('webhooks.noDeliveries')}</p>
+          ) : (
+            <table className="w-full text-sm">
+              <thead className="bg-gray-50">
+                <tr className="text-xs text-gray-500 uppercase">
+                  <th className="px-4 py-2 text-start">{t('webhooks.time')}</th>
+                  <th className="px-4 py-2 text-start">{t('webhooks.event')}</th>
+                  <th className="px-4 py-2 text-start">{t('webhooks.status')}</th>
+                  <th className="px-4 py-2 text-start">{t('webhooks.attempts')}</th>
+                  <th className="px-4 py-2 text-start">{t('webhooks.response')}</th>
+                  <th className="px-4 py-2"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {deliveries.map((delivery) => (
+                  <tr key={delivery.id}>
+                    <td className="px-4 py-2 whitespace-nowrap text-gray-600">
+                      {formatTime(delivery.createdAt)}
+                    </td>
+                    <td className="px-4 py-2 whitespace-nowrap">
+                      <code className="text-xs">{delivery.eventType}</code>
+                    </td>
+                    <td className="px-4 py-2 whitespace-nowrap">
+                      <span
+                        className={`px-2 py-0.5 text-xs rounded-full ${STATUS_STYLES[delivery.status]}`}
+                      >
+                        {t(`webhooks.statuses.${delivery.status}`, delivery.status)}
+                      </span>
+                      {delivery.nextRetryAt && (
+                        <span className="block text-xs text-gray-400 mt-1">
+                          {t('webhooks.nextRetry')}: {formatTime(delivery.nextRetryAt)}
+                        </span>
+                      )}
+                    </td>
+                    <td className="px-4 py-2 text-gray-600">{delivery.attempts}</td>
+                    <td
+                      className="px-4 py-2 text-gray-600 max-w-xs truncate"
+                      title={delivery.lastError || ''}
+                    >
+                      {delivery.responseStatus || '-'}
+                      {delivery.lastError && (
+                        <span className="text-red-600 ms-2">{delivery.lastError}</span>
+                      )}
+                    </td>
+                    <td className="px-4 py-2 text-end">
+                      <button
+                        onClick={() => replay(delivery.id)}
+                        className="text-primary-600 hover:text-primary-700"
+                      >
+                        {t('webhooks.replay')}
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -2,7 +2,7 @@ import { useAuth } from '../../context/AuthContext';
 import { useLanguage } from '../../context/LanguageContext';
 
 export default function Header({ onMenuClick }) {
-  const { client, logout } = useAuth();
+  const { client, user, logout } = useAuth();
   const { t, isRTL } = useLanguage();
 
   return (
@@ -31,6 +31,11 @@ export default function Header({ onMenuClick }) {
               {client?.plan}
             </span>
           </span>
+          {user?.email && (
+            <span className="hidden md:inline text-sm text-gray-500">
+              {user.name || user.email} · {t(`team.roles.${user.role}`, user.role)}
+            </span>
+          )}
           <button onClick={logout} className="btn btn-secondary text-sm">
             {t('nav.logout')}
           </button>
@@ -1,5 +1,6 @@
 import { NavLink } from 'react-router-dom';
 import { useLanguage } from '../../context/LanguageContext';
+import { useAuth } from '../../context/AuthContext';
 
 const navItems = [
   {
@@ -18,6 +19,7 @@ const navItems = [
   },
   {
     path: '/conversations',
+    roles: ['owner', 'admin', 'agent'],
     labelKey: 'nav.conversations',
     icon: (
       <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -32,6 +34,7 @@ const navItems = [
   },
   {
     path: '/escalations',
+    roles: ['owner', 'admin', 'agent'],
     labelKey: 'nav.escalations',
     icon: (
       <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -46,6 +49,7 @@ const navItems = [
   },
   {
     path: '/billing',
+    roles: ['owner', 'admin', 'billing'],
     labelKey: 'nav.billing',
     icon: (
       <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -74,6 +78,7 @@ const navItems = [
   },
   {
     path: '/settings',
+    roles: ['owner', 'admin'],
     labelKey: 'nav.settings',
     icon: (
       <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -96,6 +101,7 @@ const navItems = [
 
 export default function Sidebar({ isOpen, onClose }) {
   const { t, isRTL } = useLanguage();
+  const { hasRole } = useAuth();
   return (
     <>
       {/* Mobile overlay */}
@@ -133,25 +139,27 @@ export default function Sidebar({ isOpen, onClose }) {
 
         <nav className="px-4 py-6">
           <ul className="space-y-2">
-            {navItems.map((item) => (
-              <li key={item.path}>
-                <NavLink
-                  to={item.path}
-                  onClick={onClose}
-                  className={({ isActive }) =>
-                    `flex items-center gap-3 px-4 py-3 rounded-lg transition-colors ${
-                      isActive
-                        ? 'bg-primary-600 text-white'
-                        : 'text-gray-400 hover:bg-gray-800 hover:text-white'
-                    }`
-                  }
-                  end={item.path === '/'}
-                >
-                  {item.icon}
-                  <span>{t(item.labelKey)}</span>
-                </NavLink>
-              </li>
-            ))}
+            {navItems
+              .filter((item) => !item.roles || hasRole(item.roles))
+              .map((item) => (
+                <li key={item.path}>
+                  <NavLink
+                    to={item.path}
+                    onClick={onClose}
+                    className={({ isActive }) =>
+                      `flex items-center gap-3 px-4 py-3 rounded-lg transition-colors ${
+                        isActive
+                          ? 'bg-primary-600 text-white'
+                          : 'text-gray-400 hover:bg-gray-800 hover:text-white'
+                      }`
+                    }
+                    end={item.path === '/'}
+                  >
+                    {item.icon}
+                    <span>{t(item.labelKey)}</span>
+                  </NavLink>
+                </li>
+              ))}
           </ul>
         </nav>
       </aside>
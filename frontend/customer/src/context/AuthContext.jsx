@@ -1,11 +1,15 @@
 /* eslint-disable react-refresh/only-export-components */
-import { createContext, useContext, useState, useEffect } from 'react';
+import { createContext, useContext, useState, useEffect, useCallback } from 'react';
 import { auth } from '../services/api';
 
 const AuthContext = createContext(null);
 
+// Roles that can manage users, settings and webhooks
+export const MANAGER_ROLES = ['owner', 'admin'];
+
 export function AuthProvider({ children }) {
   const [client, setClient] = useState(null);
+  const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
@@ -17,32 +21,66 @@ export function AuthProvider({ children }) {
       if (storedClient) {
         setClient(JSON.parse(storedClient));
       }
+      const storedUser = localStorage.getItem('customerUser');
+      if (storedUser) {
+        setUser(JSON.parse(storedUser));
+      }
+
+      // Refresh the role - it may have changed since login
+      auth
+        .me()
+        .then((response) => {
+          localStorage.setItem('customerUser', JSON.stringify(response.data.user));
+          setUser(response.data.user);
+        })
+        .catch(() => {});
     }
     setLoading(false);
   }, []);
 
-  const login = async (accessCode, rememberMe = false) => {
-    const response = await auth.login(accessCode, rememberMe);
-    const { token, client } = response.data;
+  const startSession = ({ token, client, user }) => {
     localStorage.setItem('customerToken', token);
     localStorage.setItem('customerInfo', JSON.stringify(client));
+    localStorage.setItem('customerUser', JSON.stringify(user));
     setClient(client);
+    setUser(user);
     return client;
   };
 
+  // credentials: { email, password } or { accessCode }
+  const login = async (credentials, rememberMe = false) => {
+    const response = await auth.login(credentials, rememberMe);
+    return startSession(response.data);
+  };
+
+  const acceptInvitation = async (token, data) => {
+    const response = await auth.acceptInvitation(token, data);
+    return startSession(response.data);
+  };
+
   const logout = () => {
     localStorage.removeItem('customerToken');
     localStorage.removeItem('customerInfo');
+    localStorage.removeItem('customerUser');
     setClient(null);
+    setUser(null);
   };
 
+  // Sessions from before user accounts have no stored user and act as owner
+  const role = user?.role || 'owner';
+  const hasRole = useCallback((roles) => roles.includes(role), [role]);
+
   return (
     <AuthContext.Provider
       value={{
         client,
+        user,
+        role,
+        hasRole,
         isAuthenticated: !!client,
         loading,
         login,
+        acceptInvitation,
         logout,
       }}
     >
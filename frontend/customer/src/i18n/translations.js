@@ -69,7 +69,7 @@ export const translations = {
     conversations: {
       title: 'Conversations',
       subtitle: 'View and manage all your customer conversations',
-      searchPlaceholder: 'Search conversations...',
+      searchPlaceholder: 'Search messages, e.g. refund or an order number...',
       search: 'Search',
       timePeriod: 'Time Period',
       last7Days: 'Last 7 days',
@@ -100,6 +100,16 @@ export const translations = {
       total: 'total',
       previous: 'Previous',
       next: 'Next',
+      channel: 'Channel',
+      allChannels: 'All Channels',
+      channelWidget: 'Website widget',
+      channelEmail: 'Email',
+      channelWhatsapp: 'WhatsApp',
+      escalation: 'Escalation',
+      escalated: 'Escalated',
+      notEscalated: 'Not escalated',
+      toolUsed: 'Tool Used',
+      toolPlaceholder: 'Tool name, e.g. get_order_status',
     },
 
     // Conversation detail page
@@ -121,6 +131,8 @@ export const translations = {
       cumulative: 'Cumulative',
       toolCalls: 'Tool Calls',
       toolsCalled: 'Tools Called',
+      attachments: 'Attachments',
+      attachmentFailed: 'Could not open the attachment',
       toolExecutions: 'Tool Executions',
       user: 'User',
       assistant: 'AI Assistant',
@@ -155,9 +167,69 @@ export const translations = {
       pending: 'Pending',
       overdue: 'Overdue',
       cancelled: 'Cancelled',
+      credited: 'Credited',
       noInvoices: 'No invoices yet',
       noInvoicesDesc: 'Your invoices will appear here',
       downloadError: 'Failed to download invoice. Please try again.',
+      plan: {
+        perMonth: '/ month',
+        upgradeHint:
+          'Request an upgrade and we will apply it once approved. To downgrade, contact support.',
+        selectPlan: 'Select a plan',
+        notePlaceholder: 'Message to our team (optional)',
+        requestUpgrade: 'Request Upgrade',
+        requestSent: 'Upgrade requested. We will let you know once it is reviewed.',
+        requestPending: 'Upgrade requested to',
+        cancelRequest: 'Cancel Request',
+        requestCancelled: 'Upgrade request cancelled',
+        scheduled: 'Your plan changes to',
+        on: 'on',
+        history: 'Plan History',
+        status: {
+          requested: 'Requested',
+          scheduled: 'Scheduled',
+          applied: 'Applied',
+          rejected: 'Rejected',
+          cancelled: 'Cancelled',
+        },
+      },
+      spending: {
+        title: 'Spending & Credits',
+        hint: 'Your monthly limit is your plan allowance plus your credits, or your own budget if lower. We email you at 50%, 80% and 100%.',
+        spent: 'Spent this month',
+        limit: 'Limit',
+        noLimit: 'No limit',
+        credits: 'Credit balance',
+        allowance: 'Plan allowance',
+        budget: 'Monthly budget (USD)',
+        noBudget: 'No budget',
+        atLimit: 'When the limit is reached',
+        actions: {
+          block: 'Pause AI replies',
+          degrade: 'Switch to a lower-cost model',
+          overage: 'Keep going and bill the overage (not past my budget)',
+        },
+        exceeded: {
+          block: 'The monthly limit is reached: AI replies are paused.',
+          degrade: 'The monthly limit is reached: replies use a lower-cost model.',
+          overage: 'The monthly limit is reached: extra usage is billed on your next invoice.',
+        },
+        saved: 'Spending settings saved',
+        buyCredits: 'Buy credits (USD)',
+        purchase: 'Buy Credits',
+        purchaseHint:
+          'Credits are added once the invoice is paid and cover usage above your plan allowance.',
+        purchaseCreated: 'Invoice created:',
+        creditsInvoice: 'Credits',
+        ledger: 'Credit History',
+        types: {
+          purchase: 'Purchase',
+          grant: 'Granted',
+          invoice: 'Used on invoice',
+          refund: 'Returned',
+          adjustment: 'Adjustment',
+        },
+      },
     },
 
     // Usage page
@@ -189,12 +261,42 @@ export const translations = {
       contextFetches: 'Context Fetches',
     },
 
+    // Customer satisfaction
+    csat: {
+      title: 'Customer Satisfaction',
+      csat: 'CSAT',
+      csatHint: 'Share of rated conversations scored 4 or 5',
+      averageRating: 'Average Rating',
+      ratedConversations: 'rated conversations',
+      helpfulReplies: 'Helpful Replies',
+      helpful: 'Helpful',
+      byTool: 'By Tool',
+      byMode: 'By Reasoning Mode',
+      tool: 'Tool',
+      mode: 'Mode',
+      noTool: 'No tool',
+      noFeedback: 'No feedback collected in this period',
+      last7Days: '7 days',
+      last30Days: '30 days',
+      last90Days: '90 days',
+      rating: 'Rating',
+      helpfulReply: 'Rated helpful',
+      unhelpfulReply: 'Rated not helpful',
+      modes: {
+        standard: 'Standard',
+        adaptive: 'Adaptive',
+      },
+    },
+
     // Settings page
     settings: {
       title: 'Settings',
       subtitle: 'Manage your preferences',
       languageTab: 'Language',
       aiTab: 'AI Behavior',
+      webhooksTab: 'Webhooks',
+      teamTab: 'Team',
+      privacyTab: 'Data & Privacy',
       language: 'Language',
       languageDesc: 'Choose your preferred language for the dashboard and chat widget',
       english: 'English',
@@ -205,6 +307,117 @@ export const translations = {
       error: 'Failed to save settings. Please try again.',
     },
 
+    // Team (dashboard users)
+    team: {
+      title: 'Team',
+      subtitle: 'Invite colleagues and choose what each of them can access',
+      invite: 'Invite User',
+      email: 'Email',
+      name: 'Name',
+      role: 'Role',
+      status: 'Status',
+      user: 'User',
+      lastLogin: 'Last login',
+      never: 'Never',
+      you: 'you',
+      sendInvite: 'Send Invitation',
+      sending: 'Sending...',
+      cancel: 'Cancel',
+      resend: 'Resend invite',
+      disable: 'Disable',
+      enable: 'Enable',
+      remove: 'Remove',
+      cancelInvite: 'Cancel invite',
+      removeConfirm: 'Remove this user? They will lose access to the dashboard.',
+      cancelConfirm: 'Cancel this invitation?',
+      inviteSent: 'Invitation sent',
+      emailNotSent: 'Email is not configured. Share this invitation link with',
+      copyLink: 'Copy',
+      linkCopied: 'Link copied',
+      saved: 'User updated',
+      removed: 'User removed',
+      error: 'User request failed',
+      empty: 'No users yet',
+      roles: {
+        owner: 'Owner',
+        admin: 'Admin',
+        agent: 'Agent',
+        billing: 'Billing',
+      },
+      roleDescriptions: {
+        owner: 'Full access, including managing other owners',
+        admin: 'Full access except managing owners',
+        agent: 'Conversations and escalations',
+        billing: 'Invoices and usage',
+      },
+      statuses: {
+        active: 'Active',
+        invited: 'Invited',
+        disabled: 'Disabled',
+      },
+    },
+
+    // Outbound webhooks
+    webhooks: {
+      title: 'Webhooks',
+      subtitle: 'Send platform events to your own systems as signed HTTP POST requests',
+      add: 'Add Endpoint',
+      empty: 'No webhook endpoints yet',
+      url: 'Endpoint URL',
+      urlPlaceholder: 'https://example.com/webhooks/csai',
+      description: 'Description',
+      descriptionPlaceholder: 'e.g. CRM sync',
+      events: 'Events',
+      active: 'Active',
+      inactive: 'Disabled',
+      save: 'Save',
+      cancel: 'Cancel',
+      edit: 'Edit',
+      delete: 'Delete',
+      deleteConfirm: 'Delete this endpoint and its delivery log?',
+      secret: 'Signing secret',
+      reveal: 'Reveal',
+      hide: 'Hide',
+      rotate: 'Rotate',
+      rotateConfirm:
+        'Rotate the signing secret? Requests signed with the old secret will stop verifying.',
+      signatureHelp:
+        'Each request carries X-CSAI-Signature: sha256=HMAC(secret, "<X-CSAI-Timestamp>.<body>").',
+      sendTest: 'Send test',
+      testSent: 'Test event sent',
+      testFailed: 'Test event failed',
+      deliveries: 'Delivery log',
+      hideDeliveries: 'Hide log',
+      noDeliveries: 'No deliveries yet',
+      event: 'Event',
+      status: 'Status',
+      attempts: 'Attempts',
+      response: 'Response',
+      time: 'Time',
+      replay: 'Replay',
+      replayed: 'Event replayed',
+      nextRetry: 'Next retry',
+      saved: 'Webhook saved',
+      deleted: 'Webhook deleted',
+      error: 'Webhook request failed',
+      statuses: {
+        pending: 'Pending',
+        sent: 'Delivered',
+        failed: 'Failed',
+      },
+      eventNames: {
+        'conversation.started': 'Conversation started',
+        'conversation.ended': 'Conversation ended',
+        'escalation.created': 'Escalation created',
+        'escalation.resolved': 'Escalation resolved',
+        'tool.executed': 'Tool executed',
+        'tool.failed': 'Tool failed',
+        'invoice.generated': 'Invoice generated',
+        'invoice.paid': 'Invoice paid',
+        'webhook.test': 'Test event',
+      },
+    },
+
     // AI Behavior settings
     aiBehavior: {
       title: 'AI Behavior',
@@ -266,6 +479,7 @@ export const translations = {
       escalatedAt: 'Escalated',
       acknowledgedAt: 'Acknowledged',
       resolvedAt: 'Resolved',
+      by: 'by',
       statusPending: 'Pending',
       statusAcknowledged: 'Acknowledged',
       statusResolved: 'Resolved',
@@ -289,11 +503,32 @@ export const translations = {
       ended: 'Ended',
       viewFullConversation: 'View Full Conversation',
       triggerMessage: 'Trigger Message',
+      notifications: 'Notifications Sent to You',
+      notificationStatus: {
+        sent: 'Delivered',
+        failed: 'Failed',
+        pending: 'Sending',
+      },
+      notificationAttempts: 'Attempts',
+      notificationRetry: 'Next retry',
       recentMessages: 'Recent Messages',
       last10Messages: 'Last 10 messages from this conversation',
       noMessages: 'No messages available',
       customer: 'Customer',
       ai: 'AI Assistant',
+      agent: 'Agent',
+      liveReply: 'Reply to Customer',
+      liveReplyDescription:
+        'Sending a reply takes over the conversation. The AI stays silent until you hand it back.',
+      agentActive: 'You are handling this conversation - the AI is paused',
+      agentNamePlaceholder: 'Your name (shown to the customer)',
+      replyPlaceholder: 'Type your reply...',
+      sendReply: 'Send',
+      sendFailed: 'Failed to send message',
+      deliveryFailed: 'Saved, but delivery to the customer failed',
+      handBack: 'Hand Back to AI',
+      handBackConfirm: 'Hand this conversation back to the AI? The escalation will be resolved.',
+      handBackFailed: 'Failed to hand back conversation',
       resolutionNotes: 'Resolution Notes',
       acknowledge: 'Acknowledge',
       resolve: 'Resolve',
@@ -308,6 +543,82 @@ export const translations = {
       cancelFailed: 'Failed to cancel escalation',
     },
 
+    // Data retention and end-user data requests
+    privacy: {
+      retentionTitle: 'Data Retention',
+      retentionSubtitle:
+        'Records older than these windows are deleted automatically. Leave empty to keep forever.',
+      days: 'days',
+      keepForever: 'Keep forever',
+      save: 'Save',
+      saved: 'Retention settings saved',
+      error: 'Something went wrong. Please try again.',
+      dataTypes: {
+        messages: 'Messages',
+        debug_messages: 'Debug messages',
+        tool_executions: 'Action log',
+        escalations: 'Escalations',
+      },
+      dataTypeHelp: {
+        messages: 'Whole conversation transcripts',
+        debug_messages: 'Internal tool calls and reasoning steps',
+        tool_executions: 'Actions the AI ran, with their parameters and results',
+        escalations: 'Resolved and cancelled escalations (open ones are kept)',
+      },
+      requestsTitle: 'Customer Data Requests',
+      requestsSubtitle:
+        'Export or erase everything stored about one of your customers, found by the email, phone number or user ID of their conversations',
+      identifierPlaceholder: 'e.g. jane@example.com or +15551234567',
+      export: 'Export',
+      erase: 'Erase',
+      eraseConfirm:
+        'Permanently delete all conversations and data of this customer? This cannot be undone.',
+      exported: 'Exported',
+      erased: 'Erased',
+      noData: 'No data found',
+      history: 'Request History',
+      noRequests: 'No requests yet',
+      date: 'Date',
+      type: 'Type',
+      customer: 'Customer',
+      requestedBy: 'Requested by',
+      status: 'Status',
+      report: 'Report',
+      types: { export: 'Export', erase: 'Erase' },
+      statuses: { completed: 'Completed', failed: 'Failed', processing: 'Processing' },
+      reportLabels: {
+        conversations: 'conversations',
+        messages: 'messages',
+        tool_executions: 'actions',
+        escalations: 'escalations',
+        message_feedback: 'message ratings',
+        conversation_feedback: 'conversation ratings',
+        attachments: 'attachments',
+        webhook_deliveries: 'webhook deliveries',
+      },
+      redaction: {
+        title: 'Personal Data Redaction',
+        subtitle:
+          'Personal data is replaced with placeholders before your conversations reach the AI provider, and restored for actions and replies',
+        saved: 'Redaction settings saved',
+        enabled: 'Redact personal data sent to the AI provider',
+        maskDebug: 'Hide personal data from support staff reviewing conversation internals',
+        detect: 'Detect',
+        types: {
+          email: 'Email addresses',
+          card: 'Card numbers',
+          national_id: 'National ID numbers',
+          phone: 'Phone numbers',
+        },
+        custom: 'Custom Patterns',
+        addPattern: 'Add Pattern',
+        noPatterns: 'Add a regular expression for your own identifiers, such as policy numbers.',
+        namePlaceholder: 'Name, e.g. Policy number',
+        patternPlaceholder: 'Regex, e.g. POL-\\d{8}',
+        remove: 'Remove',
+      },
+    },
+
     // Common
     common: {
       loading: 'Loading...',
@@ -400,7 +711,7 @@ export const translations = {
     conversations: {
       title: 'שיחות',
       subtitle: 'צפה ונהל את כל שיחות הלקוחות שלך',
-      searchPlaceholder: 'חפש שיחות...',
+      searchPlaceholder: 'חפש בהודעות, למשל החזר או מספר הזמנה...',
       search: 'חיפוש',
       timePeriod: 'תקופה',
       last7Days: '7 ימים אחרונים',
@@ -431,6 +742,16 @@ export const translations = {
       total: 'סה"כ',
       previous: 'הקודם',
       next: 'הבא',
+      channel: 'ערוץ',
+      allChannels: 'כל הערוצים',
+      channelWidget: 'וידג׳ט באתר',
+      channelEmail: 'אימייל',
+      channelWhatsapp: 'WhatsApp',
+      escalation: 'העברה לנציג',
+      escalated: 'הועבר לנציג',
+      notEscalated: 'לא הועבר לנציג',
+      toolUsed: 'כלי שהופעל',
+      toolPlaceholder: 'שם הכלי, למשל get_order_status',
     },
 
     // Conversation detail page
@@ -452,6 +773,8 @@ export const translations = {
       cumulative: 'מצטבר',
       toolCalls: 'קריאות לכלים',
       toolsCalled: 'כלים שהופעלו',
+      attachments: 'קבצים מצורפים',
+      attachmentFailed: 'לא ניתן לפתוח את הקובץ המצורף',
       toolExecutions: 'הפעלות כלים',
       user: 'משתמש',
       assistant: 'עוזר AI',
@@ -486,9 +809,67 @@ export const translations = {
       pending: 'ממתין',
       overdue: 'באיחור',
       cancelled: 'בוטל',
+      credited: 'זוכה',
       noInvoices: 'אין חשבוניות עדיין',
       noInvoicesDesc: 'החשבוניות שלך יופיעו כאן',
       downloadError: 'הורדת החשבונית נכשלה. אנא נסה שוב.',
+      plan: {
+        perMonth: '/ חודש',
+        upgradeHint: 'בקש שדרוג ונחיל אותו לאחר אישור. לשנמוך התוכנית, פנה לתמיכה.',
+        selectPlan: 'בחר תוכנית',
+        notePlaceholder: 'הודעה לצוות שלנו (אופציונלי)',
+        requestUpgrade: 'בקש שדרוג',
+        requestSent: 'בקשת השדרוג נשלחה. נעדכן אותך לאחר הבדיקה.',
+        requestPending: 'התבקש שדרוג ל',
+        cancelRequest: 'בטל בקשה',
+        requestCancelled: 'בקשת השדרוג בוטלה',
+        scheduled: 'התוכנית שלך תשתנה ל',
+        on: 'בתאריך',
+        history: 'היסטוריית תוכניות',
+        status: {
+          requested: 'התבקש',
+          scheduled: 'מתוזמן',
+          applied: 'הוחל',
+          rejected: 'נדחה',
+          cancelled: 'בוטל',
+        },
+      },
+      spending: {
+        title: 'הוצאות וקרדיטים',
+        hint: 'המגבלה החודשית היא מכסת התוכנית בתוספת הקרדיטים שלך, או התקציב שהגדרת אם הוא נמוך יותר. נשלח לך מייל ב-50%, 80% ו-100%.',
+        spent: 'הוצאה החודש',
+        limit: 'מגבלה',
+        noLimit: 'ללא מגבלה',
+        credits: 'יתרת קרדיטים',
+        allowance: 'מכסת התוכנית',
+        budget: 'תקציב חודשי (USD)',
+        noBudget: 'ללא תקציב',
+        atLimit: 'כשמגיעים למגבלה',
+        actions: {
+          block: 'השהה תשובות AI',
+          degrade: 'עבור למודל זול יותר',
+          overage: 'המשך וחייב את החריגה (לא מעבר לתקציב שלי)',
+        },
+        exceeded: {
+          block: 'הגעת למגבלה החודשית: תשובות ה-AI מושהות.',
+          degrade: 'הגעת למגבלה החודשית: התשובות משתמשות במודל זול יותר.',
+          overage: 'הגעת למגבלה החודשית: השימוש הנוסף יחויב בחשבונית הבאה.',
+        },
+        saved: 'הגדרות ההוצאות נשמרו',
+        buyCredits: 'רכישת קרדיטים (USD)',
+        purchase: 'רכוש קרדיטים',
+        purchaseHint: 'הקרדיטים נוספים לאחר תשלום החשבונית ומכסים שימוש מעבר למכסת התוכנית.',
+        purchaseCreated: 'נוצרה חשבונית:',
+        creditsInvoice: 'קרדיטים',
+        ledger: 'היסטוריית קרדיטים',
+        types: {
+          purchase: 'רכישה',
+          grant: 'הוענק',
+          invoice: 'נוצל בחשבונית',
+          refund: 'הוחזר',
+          adjustment: 'התאמה',
+        },
+      },
     },
 
     // Usage page
@@ -520,12 +901,42 @@ export const translations = {
       contextFetches: 'שליפות הקשר',
     },
 
+    // Customer satisfaction
+    csat: {
+      title: 'שביעות רצון לקוחות',
+      csat: 'CSAT',
+      csatHint: 'שיעור השיחות שדורגו 4 או 5',
+      averageRating: 'דירוג ממוצע',
+      ratedConversations: 'שיחות מדורגות',
+      helpfulReplies: 'תשובות מועילות',
+      helpful: 'מועיל',
+      byTool: 'לפי כלי',
+      byMode: 'לפי מצב חשיבה',
+      tool: 'כלי',
+      mode: 'מצב',
+      noTool: 'ללא כלי',
+      noFeedback: 'לא נאסף משוב בתקופה זו',
+      last7Days: '7 ימים',
+      last30Days: '30 ימים',
+      last90Days: '90 ימים',
+      rating: 'דירוג',
+      helpfulReply: 'דורג כמועיל',
+      unhelpfulReply: 'דורג כלא מועיל',
+      modes: {
+        standard: 'רגיל',
+        adaptive: 'אדפטיבי',
+      },
+    },
+
     // Settings page
     settings: {
       title: 'הגדרות',
       subtitle: 'נהל את ההעדפות שלך',
       languageTab: 'שפה',
       aiTab: 'התנהגות AI',
+      webhooksTab: 'Webhooks',
+      teamTab: 'צוות',
+      privacyTab: 'נתונים ופרטיות',
       language: 'שפה',
       languageDesc: "בחר את השפה המועדפת עליך ללוח הבקרה ולווידג'ט הצ'אט",
       english: 'English',
@@ -536,6 +947,116 @@ export const translations = {
       error: 'שמירת ההגדרות נכשלה. אנא נסה שוב.',
     },
 
+    // Team (dashboard users)
+    team: {
+      title: 'צוות',
+      subtitle: 'הזמן עמיתים ובחר למה כל אחד מהם יכול לגשת',
+      invite: 'הזמן משתמש',
+      email: 'אימייל',
+      name: 'שם',
+      role: 'תפקיד',
+      status: 'סטטוס',
+      user: 'משתמש',
+      lastLogin: 'כניסה אחרונה',
+      never: 'אף פעם',
+      you: 'את/ה',
+      sendInvite: 'שלח הזמנה',
+      sending: 'שולח...',
+      cancel: 'ביטול',
+      resend: 'שלח הזמנה שוב',
+      disable: 'השבת',
+      enable: 'הפעל',
+      remove: 'הסר',
+      cancelInvite: 'בטל הזמנה',
+      removeConfirm: 'להסיר משתמש זה? הגישה שלו ללוח הבקרה תיחסם.',
+      cancelConfirm: 'לבטל הזמנה זו?',
+      inviteSent: 'ההזמנה נשלחה',
+      emailNotSent: 'שליחת אימייל אינה מוגדרת. שתף את קישור ההזמנה עם',
+      copyLink: 'העתק',
+      linkCopied: 'הקישור הועתק',
+      saved: 'המשתמש עודכן',
+      removed: 'המשתמש הוסר',
+      error: 'בקשת המשתמש נכשלה',
+      empty: 'אין משתמשים עדיין',
+      roles: {
+        owner: 'בעלים',
+        admin: 'מנהל',
+        agent: 'נציג',
+        billing: 'חיובים',
+      },
+      roleDescriptions: {
+        owner: 'גישה מלאה, כולל ניהול בעלים אחרים',
+        admin: 'גישה מלאה למעט ניהול בעלים',
+        agent: 'שיחות והסלמות',
+        billing: 'חשבוניות ושימוש',
+      },
+      statuses: {
+        active: 'פעיל',
+        invited: 'הוזמן',
+        disabled: 'מושבת',
+      },
+    },
+
+    // Outbound webhooks
+    webhooks: {
+      title: 'Webhooks',
+      subtitle: 'שלח אירועי פלטפורמה למערכות שלך כבקשות HTTP POST חתומות',
+      add: 'הוסף נקודת קצה',
+      empty: 'אין עדיין נקודות קצה',
+      url: 'כתובת נקודת הקצה',
+      urlPlaceholder: 'https://example.com/webhooks/csai',
+      description: 'תיאור',
+      descriptionPlaceholder: 'לדוגמה: סנכרון CRM',
+      events: 'אירועים',
+      active: 'פעיל',
+      inactive: 'מושבת',
+      save: 'שמור',
+      cancel: 'ביטול',
+      edit: 'ערוך',
+      delete: 'מחק',
+      deleteConfirm: 'למחוק את נקודת הקצה ואת יומן המשלוחים שלה?',
+      secret: 'מפתח חתימה',
+      reveal: 'הצג',
+      hide: 'הסתר',
+      rotate: 'החלף',
+      rotateConfirm: 'להחליף את מפתח החתימה? בקשות שנחתמו במפתח הישן לא יאומתו עוד.',
+      signatureHelp:
+        'כל בקשה כוללת X-CSAI-Signature: sha256=HMAC(secret, "<X-CSAI-Timestamp>.<body>").',
+      sendTest: 'שלח בדיקה',
+      testSent: 'אירוע בדיקה נשלח',
+      testFailed: 'אירוע הבדיקה נכשל',
+      deliveries: 'יומן משלוחים',
+      hideDeliveries: 'הסתר יומן',
+      noDeliveries: 'אין עדיין משלוחים',
+      event: 'אירוע',
+      status: 'סטטוס',
+      attempts: 'ניסיונות',
+      response: 'תגובה',
+      time: 'זמן',
+      replay: 'שלח שוב',
+      replayed: 'האירוע נשלח שוב',
+      nextRetry: 'ניסיון הבא',
+      saved: 'ה-Webhook נשמר',
+      deleted: 'ה-Webhook נמחק',
+      error: 'בקשת ה-Webhook נכשלה',
+      statuses: {
+        pending: 'ממתין',
+        sent: 'נמסר',
+        failed: 'נכשל',
+      },
+      eventNames: {
+        'conversation.started': 'שיחה התחילה',
+        'conversation.ended': 'שיחה הסתיימה',
+        'escalation.created': 'הסלמה נוצרה',
+        'escalation.resolved': 'הסלמה נפתרה',
+        'tool.executed': 'כלי הופעל',
+        'tool.failed': 'כלי נכשל',
+        'invoice.generated': 'חשבונית הופקה',
+        'invoice.paid': 'חשבונית שולמה',
+        'webhook.test': 'אירוע בדיקה',
+      },
+    },
+
     // AI Behavior settings
     aiBehavior: {
       title: 'התנהגות AI',
@@ -597,6 +1118,7 @@ export const translations = {
       escalatedAt: 'הועבר',
       acknowledgedAt: 'אושר',
       resolvedAt: 'נפתר',
+      by: 'על ידי',
       statusPending: 'ממתין',
       statusAcknowledged: 'אושר',
       statusResolved: 'נפתר',
@@ -620,11 +1142,32 @@ export const translations = {
       ended: 'הסתיים',
       viewFullConversation: 'צפה בשיחה המלאה',
       triggerMessage: 'הודעה שהפעילה',
+      notifications: 'התראות שנשלחו אליך',
+      notificationStatus: {
+        sent: 'נמסרה',
+        failed: 'נכשלה',
+        pending: 'בשליחה',
+      },
+      notificationAttempts: 'ניסיונות',
+      notificationRetry: 'ניסיון הבא',
       recentMessages: 'הודעות אחרונות',
       last10Messages: '10 ההודעות האחרונות מהשיחה',
       noMessages: 'אין הודעות זמינות',
       customer: 'לקוח',
       ai: 'עוזר AI',
+      agent: 'נציג',
+      liveReply: 'מענה ללקוח',
+      liveReplyDescription:
+        'שליחת מענה מעבירה אליך את השיחה. ה-AI לא יענה עד שתחזיר אליו את השיחה.',
+      agentActive: 'אתה מטפל בשיחה הזו - ה-AI מושהה',
+      agentNamePlaceholder: 'השם שלך (מוצג ללקוח)',
+      replyPlaceholder: 'הקלד מענה...',
+      sendReply: 'שלח',
+      sendFailed: 'שליחת ההודעה נכשלה',
+      deliveryFailed: 'ההודעה נשמרה, אך המסירה ללקוח נכשלה',
+      handBack: 'החזר ל-AI',
+      handBackConfirm: 'להחזיר את השיחה ל-AI? הפנייה תסומן כטופלה.',
+      handBackFailed: 'החזרת השיחה נכשלה',
       resolutionNotes: 'הערות פתרון',
       acknowledge: 'אשר',
       resolve: 'פתור',
@@ -639,6 +1182,80 @@ export const translations = {
       cancelFailed: 'ביטול ההסלמה נכשל',
     },
 
+    // Data retention and end-user data requests
+    privacy: {
+      retentionTitle: 'שמירת נתונים',
+      retentionSubtitle: 'רשומות ישנות מהתקופות האלה נמחקות אוטומטית. השאר ריק כדי לשמור לתמיד.',
+      days: 'ימים',
+      keepForever: 'שמירה לתמיד',
+      save: 'שמור',
+      saved: 'הגדרות שמירת הנתונים נשמרו',
+      error: 'משהו השתבש. אנא נסה שוב.',
+      dataTypes: {
+        messages: 'הודעות',
+        debug_messages: 'הודעות דיבאג',
+        tool_executions: 'יומן פעולות',
+        escalations: 'הסלמות',
+      },
+      dataTypeHelp: {
+        messages: 'תמלילי שיחות מלאים',
+        debug_messages: 'קריאות כלים פנימיות ושלבי חשיבה',
+        tool_executions: 'פעולות שה-AI הריץ, עם הפרמטרים והתוצאות שלהן',
+        escalations: 'הסלמות שנפתרו או בוטלו (פתוחות נשמרות)',
+      },
+      requestsTitle: 'בקשות מידע של לקוחות',
+      requestsSubtitle:
+        'ייצוא או מחיקה של כל המידע השמור על אחד הלקוחות שלך, לפי האימייל, הטלפון או מזהה המשתמש של השיחות שלו',
+      identifierPlaceholder: 'לדוגמה: jane@example.com או +15551234567',
+      export: 'ייצוא',
+      erase: 'מחיקה',
+      eraseConfirm: 'למחוק לצמיתות את כל השיחות והמידע של הלקוח? לא ניתן לבטל פעולה זו.',
+      exported: 'יוצא',
+      erased: 'נמחק',
+      noData: 'לא נמצא מידע',
+      history: 'היסטוריית בקשות',
+      noRequests: 'אין בקשות עדיין',
+      date: 'תאריך',
+      type: 'סוג',
+      customer: 'לקוח',
+      requestedBy: 'התבקש על ידי',
+      status: 'סטטוס',
+      report: 'דוח',
+      types: { export: 'ייצוא', erase: 'מחיקה' },
+      statuses: { completed: 'הושלם', failed: 'נכשל', processing: 'בתהליך' },
+      reportLabels: {
+        conversations: 'שיחות',
+        messages: 'הודעות',
+        tool_executions: 'פעולות',
+        escalations: 'הסלמות',
+        message_feedback: 'דירוגי הודעות',
+        conversation_feedback: 'דירוגי שיחות',
+        attachments: 'קבצים מצורפים',
+        webhook_deliveries: 'שליחות webhook',
+      },
+      redaction: {
+        title: 'השחרת מידע אישי',
+        subtitle:
+          'מידע אישי מוחלף בממלאי מקום לפני שהשיחות מגיעות לספק ה-AI, ומשוחזר עבור פעולות ותשובות',
+        saved: 'הגדרות ההשחרה נשמרו',
+        enabled: 'השחר מידע אישי שנשלח לספק ה-AI',
+        maskDebug: 'הסתר מידע אישי מצוות התמיכה הבודק את פרטי השיחות הפנימיים',
+        detect: 'זיהוי',
+        types: {
+          email: 'כתובות אימייל',
+          card: 'מספרי כרטיסי אשראי',
+          national_id: 'מספרי תעודת זהות',
+          phone: 'מספרי טלפון',
+        },
+        custom: 'תבניות מותאמות',
+        addPattern: 'הוסף תבנית',
+        noPatterns: 'הוסף ביטוי רגולרי למזהים משלך, כמו מספרי פוליסה.',
+        namePlaceholder: 'שם, למשל מספר פוליסה',
+        patternPlaceholder: 'ביטוי רגולרי, למשל POL-\\d{8}',
+        remove: 'הסר',
+      },
+    },
+
     // Common
     common: {
       loading: 'טוען...',
@@ -0,0 +1,149 @@
+import { useState, useEffect } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { auth } from '../services/api';
+
+const MIN_PASSWORD_LENGTH = 8;
+
+export default function AcceptInvite() {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { acceptInvitation } = useAuth();
+  const [invitation, setInvitation] = useState(null);
+  const [name, setName] = useState('');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!token) {
+      setError('This invitation link is incomplete.');
+      return;
+    }
+    auth
+      .getInvitation(token)
+      .then((response) => {
+        setInvitation(response.data);
+        setName(response.data.name || '');
+      })
+      .catch((err) => {
+        setError(err.response?.data?.error || 'This invitation is no longer valid.');
+      });
+  }, [token]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      await acceptInvitation(token, { password, name });
+      navigate('/');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to accept the invitation');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-primary-50 to-primary-100 px-4">
+      <div className="max-w-md w-full">
+        <div className="text-center mb-8">
+          <h1 className="text-3xl font-bold text-gray-900">Join your team</h1>
+          {invitation && (
+            <p className="text-gray-600 mt-2">
+              You were invited to <strong>{invitation.clientName}</strong> as{' '}
+              <strong>{invitation.role}</strong>
+            </p>
+          )}
+        </div>
+
+        <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-8">
+          {error && (
+            <div className="p-4 mb-6 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">
+              {error}
+            </div>
+          )}
+
+          {invitation && (
+            <form onSubmit={handleSubmit} className="space-y-6">
+              <div>
+                <label className="label">Email</label>
+                <input type="email" className="input" value={invitation.email} disabled />
+              </div>
+              <div>
+                <label htmlFor="name" className="label">
+                  Name
+                </label>
+                <input
+                  id="name"
+                  type="text"
+                  className="input"
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                  disabled={loading}
+                />
+              </div>
+              <div>
+                <label htmlFor="password" className="label">
+                  Password
+                </label>
+                <input
+                  id="password"
+                  type="password"
+                  className="input"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  autoComplete="new-password"
+                  minLength={MIN_PASSWORD_LENGTH}
+                  required
+                  disabled={loading}
+                />
+                <p className="mt-1 text-xs text-gray-500">
+                  At least {MIN_PASSWORD_LENGTH} characters
+                </p>
+              </div>
+              <div>
+                <label htmlFor="confirmPassword" className="label">
+                  Confirm password
+                </label>
+                <input
+                  id="confirmPassword"
+                  type="password"
+                  className="input"
+                  value={confirmPassword}
+                  onChange={(e) => setConfirmPassword(e.target.value)}
+                  autoComplete="new-password"
+                  required
+                  disabled={loading}
+                />
+              </div>
+
+              <button
+                type="submit"
+                className="btn btn-primary w-full"
+                disabled={loading || password.length < MIN_PASSWORD_LENGTH}
+              >
+                {loading ? 'Creating account...' : 'Accept Invitation'}
+              </button>
+            </form>
+          )}
+
+          {!invitation && !error && (
+            <div className="flex justify-center py-6">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,6 +1,8 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { billing } from '../services/api';
 import { InvoicePDF } from '../components/InvoicePDF';
+import PlanSettings from '../components/PlanSettings';
+import SpendingSettings from '../components/SpendingSettings';
 import { pdf } from '@react-pdf/renderer';
 import { useAuth } from '../context/AuthContext';
 import { useLanguage } from '../context/LanguageContext';
@@ -9,26 +11,29 @@ export default function Billing() {
   const { client } = useAuth();
   const { t, isRTL, formatDate, formatCurrency } = useLanguage();
   const [invoices, setInvoices] = useState([]);
+  const [seller, setSeller] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [downloading, setDownloading] = useState(null);
 
-  useEffect(() => {
-    const fetchInvoices = async () => {
-      try {
-        const response = await billing.getInvoices();
-        setInvoices(response.data.invoices || []);
-        setError(null);
-      } catch (err) {
-        console.error('Failed to fetch invoices:', err);
-        setError(err.response?.data?.message || t('common.error'));
-      } finally {
-        setLoading(false);
-      }
-    };
+  // Reloaded after a credit purchase adds an invoice
+  const fetchInvoices = useCallback(async () => {
+    try {
+      const response = await billing.getInvoices();
+      setInvoices(response.data.invoices || []);
+      setSeller(response.data.seller || null);
+      setError(null);
+    } catch (err) {
+      console.error('Failed to fetch invoices:', err);
+      setError(err.response?.data?.message || t('common.error'));
+    } finally {
+      setLoading(false);
+    }
+  }, [t]);
 
+  useEffect(() => {
     fetchInvoices();
-  }, [t]);
+  }, [fetchInvoices]);
 
   if (loading) {
     return (
@@ -54,6 +59,8 @@ export default function Billing() {
         return 'bg-red-100 text-red-700';
       case 'cancelled':
         return 'bg-gray-100 text-gray-700';
+      case 'credited':
+        return 'bg-blue-100 text-blue-700';
       default:
         return 'bg-gray-100 text-gray-700';
     }
@@ -69,6 +76,8 @@ export default function Billing() {
         return t('billing.overdue');
       case 'cancelled':
         return t('billing.cancelled');
+      case 'credited':
+        return t('billing.credited');
       default:
         return status;
     }
@@ -77,7 +86,9 @@ export default function Billing() {
   const handleDownloadPDF = async (invoice) => {
     try {
       setDownloading(invoice.id);
-      const blob = await pdf(<InvoicePDF invoice={invoice} clientName={client?.name} />).toBlob();
+      const blob = await pdf(
+        <InvoicePDF invoice={invoice} clientName={client?.name} seller={seller} />
+      ).toBlob();
       const url = URL.createObjectURL(blob);
       const link = document.createElement('a');
       link.href = url;
@@ -97,7 +108,9 @@ export default function Billing() {
   const handleViewPDF = async (invoice) => {
     try {
       setDownloading(invoice.id);
-      const blob = await pdf(<InvoicePDF invoice={invoice} clientName={client?.name} />).toBlob();
+      const blob = await pdf(
+        <InvoicePDF invoice={invoice} clientName={client?.name} seller={seller} />
+      ).toBlob();
       const url = URL.createObjectURL(blob);
       window.open(url, '_blank');
       setTimeout(() => URL.revokeObjectURL(url), 1000);
@@ -117,6 +130,12 @@ export default function Billing() {
         <p className="text-gray-600 mt-1">{t('billing.subtitle')}</p>
       </div>
 
+      {/* Plan */}
+      <PlanSettings />
+
+      {/* Spending limits and credits */}
+      <SpendingSettings onPurchased={fetchInvoices} />
+
       {/* Invoices */}
       <div className="card">
         {invoices.length > 0 ? (
@@ -162,17 +181,22 @@ export default function Billing() {
                     <td
                       className={`px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900 ${isRTL ? 'text-right' : 'text-left'}`}
                     >
-                      #{invoice.invoiceNumber}
+                      {invoice.invoiceNumber}
                     </td>
                     <td
                       className={`px-6 py-4 whitespace-nowrap text-sm text-gray-600 ${isRTL ? 'text-right' : 'text-left'}`}
                     >
                       {invoice.period || 'N/A'}
+                      {invoice.kind === 'credits' && (
+                        <span className="mx-2 px-2 py-0.5 text-xs rounded-full bg-green-100 text-green-700">
+                          {t('billing.spending.creditsInvoice')}
+                        </span>
+                      )}
                     </td>
                     <td
                       className={`px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900 ${isRTL ? 'text-right' : 'text-left'}`}
                     >
-                      {formatCurrency(invoice.amount || 0)}
+                      {formatCurrency(invoice.amount || 0, invoice.currency)}
                     </td>
                     <td
                       className={`px-6 py-4 whitespace-nowrap ${isRTL ? 'text-right' : 'text-left'}`}
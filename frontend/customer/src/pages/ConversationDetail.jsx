@@ -27,6 +27,19 @@ export default function ConversationDetail() {
     fetchConversation();
   }, [id]);
 
+  // Downloads need the auth token, so files are fetched and opened as blob URLs
+  const openAttachment = async (attachment) => {
+    try {
+      const response = await conversations.downloadAttachment(id, attachment.id);
+      const url = window.URL.createObjectURL(response.data);
+      window.open(url, '_blank', 'noopener');
+      setTimeout(() => window.URL.revokeObjectURL(url), 60000);
+    } catch (err) {
+      console.error('Failed to open attachment:', err);
+      alert(t('conversationDetail.attachmentFailed'));
+    }
+  };
+
   if (loading) {
     return (
       <div className="flex items-center justify-center h-64">
@@ -49,7 +62,7 @@ export default function ConversationDetail() {
     );
   }
 
-  const { conversation, messages, toolExecutions } = data || {};
+  const { conversation, messages, toolExecutions, rating } = data || {};
 
   return (
     <div className="space-y-6">
@@ -114,6 +127,16 @@ export default function ConversationDetail() {
             <p className="text-sm text-gray-600">{t('conversationDetail.model')}</p>
             <p className="text-sm text-gray-900">{conversation?.model || 'N/A'}</p>
           </div>
+          {rating && (
+            <div>
+              <p className="text-sm text-gray-600">{t('csat.rating')}</p>
+              <p className="text-sm text-gray-900">
+                {'★'.repeat(rating.rating)}
+                {'☆'.repeat(5 - rating.rating)} ({rating.rating}/5)
+              </p>
+              {rating.comment && <p className="text-xs text-gray-500 mt-1">{rating.comment}</p>}
+            </div>
+          )}
         </div>
       </div>
 
@@ -150,6 +173,35 @@ export default function ConversationDetail() {
                   </span>
                 </div>
                 <p className="text-sm text-gray-900 whitespace-pre-wrap">{msg.content}</p>
+                {msg.attachments?.length > 0 && (
+                  <div className="mt-2">
+                    <p className="text-xs font-medium text-gray-600 mb-1">
+                      {t('conversationDetail.attachments')}:
+                    </p>
+                    <div className="flex flex-wrap gap-1">
+                      {msg.attachments.map((attachment) => (
+                        <button
+                          key={attachment.id}
+                          type="button"
+                          onClick={() => openAttachment(attachment)}
+                          className="px-2 py-1 bg-white border border-gray-300 text-primary-700 rounded text-xs hover:bg-gray-50"
+                          title={attachment.mime_type}
+                        >
+                          📎 {attachment.filename}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                )}
+                {msg.feedback && (
+                  <div
+                    className={`mt-2 text-xs ${msg.feedback === 'up' ? 'text-green-700' : 'text-red-700'}`}
+                  >
+                    {msg.feedback === 'up'
+                      ? `👍 ${t('csat.helpfulReply')}`
+                      : `👎 ${t('csat.unhelpfulReply')}`}
+                  </div>
+                )}
                 {msg.tokens > 0 && (
                   <div className="mt-2 text-xs text-gray-500">
                     {t('conversationDetail.tokens')}: {formatNumber(msg.tokens)} |{' '}
@@ -15,7 +15,22 @@ export default function Conversations() {
   const [page, setPage] = useState(1);
   const [days, setDays] = useState(60);
   const [search, setSearch] = useState('');
+  const [appliedSearch, setAppliedSearch] = useState('');
   const [status, setStatus] = useState('all');
+  const [channel, setChannel] = useState('all');
+  const [escalated, setEscalated] = useState('all');
+  const [tool, setTool] = useState('');
+  const [appliedTool, setAppliedTool] = useState('');
+
+  // Search text and tool name are applied after typing pauses
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setAppliedSearch(search.trim());
+      setAppliedTool(tool.trim());
+      setPage(1);
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [search, tool]);
 
   const fetchConversations = useCallback(
     async (isRefresh = false) => {
@@ -26,8 +41,11 @@ export default function Conversations() {
           page,
           limit: 20,
           days,
-          search,
           status,
+          ...(appliedSearch && { search: appliedSearch }),
+          ...(channel !== 'all' && { channel }),
+          ...(escalated !== 'all' && { escalated }),
+          ...(appliedTool && { tool: appliedTool }),
         });
         setData(response.data);
         setLastUpdate(new Date());
@@ -42,7 +60,7 @@ export default function Conversations() {
         }
       }
     },
-    [page, days, search, status, t]
+    [page, days, appliedSearch, status, channel, escalated, appliedTool, t]
   );
 
   useEffect(() => {
@@ -58,8 +76,8 @@ export default function Conversations() {
 
   const handleSearch = (e) => {
     e.preventDefault();
+    setAppliedSearch(search.trim());
     setPage(1);
-    fetchConversations();
   };
 
   if (loading) {
@@ -168,6 +186,47 @@ export default function Conversations() {
               <option value="ended">{t('conversations.ended')}</option>
             </select>
           </div>
+          <div>
+            <label className="label">{t('conversations.channel')}</label>
+            <select
+              className="input"
+              value={channel}
+              onChange={(e) => {
+                setChannel(e.target.value);
+                setPage(1);
+              }}
+            >
+              <option value="all">{t('conversations.allChannels')}</option>
+              <option value="widget">{t('conversations.channelWidget')}</option>
+              <option value="email">{t('conversations.channelEmail')}</option>
+              <option value="whatsapp">{t('conversations.channelWhatsapp')}</option>
+            </select>
+          </div>
+          <div>
+            <label className="label">{t('conversations.escalation')}</label>
+            <select
+              className="input"
+              value={escalated}
+              onChange={(e) => {
+                setEscalated(e.target.value);
+                setPage(1);
+              }}
+            >
+              <option value="all">{t('conversations.all')}</option>
+              <option value="true">{t('conversations.escalated')}</option>
+              <option value="false">{t('conversations.notEscalated')}</option>
+            </select>
+          </div>
+          <div className="md:col-span-2">
+            <label className="label">{t('conversations.toolUsed')}</label>
+            <input
+              type="text"
+              className="input"
+              placeholder={t('conversations.toolPlaceholder')}
+              value={tool}
+              onChange={(e) => setTool(e.target.value)}
+            />
+          </div>
         </div>
       </div>
 
@@ -194,6 +253,11 @@ export default function Conversations() {
                         >
                           {conv.endedAt ? t('conversations.ended') : t('conversations.active')}
                         </span>
+                        {conv.escalated && (
+                          <span className="px-2 py-1 text-xs rounded-full bg-yellow-100 text-yellow-800">
+                            {t('conversations.escalated')}
+                          </span>
+                        )}
                         <span className="text-xs text-gray-500">
                           {formatDate(conv.startedAt, { hour: 'numeric', minute: 'numeric' })}
                         </span>
@@ -204,6 +268,30 @@ export default function Conversations() {
                         <span className="font-mono text-xs">{conv.sessionId}</span>
                       </p>
 
+                      {conv.matches?.length > 0 && (
+                        <div className="mb-3 space-y-1">
+                          {conv.matches.map((match) => (
+                            <p key={match.messageId} className="text-sm text-gray-700">
+                              <span className="text-xs font-medium text-gray-500 me-2">
+                                {match.role === 'user'
+                                  ? t('conversationDetail.user')
+                                  : t('conversationDetail.assistant')}
+                                :
+                              </span>
+                              {match.snippet.map((segment, index) =>
+                                segment.highlight ? (
+                                  <mark key={index} className="bg-yellow-200 rounded px-0.5">
+                                    {segment.text}
+                                  </mark>
+                                ) : (
+                                  <span key={index}>{segment.text}</span>
+                                )
+                              )}
+                            </p>
+                          ))}
+                        </div>
+                      )}
+
                       <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
                         <div>
                           <p className="text-gray-500">{t('conversations.messages')}</p>
@@ -2,10 +2,16 @@ import { useState, useEffect, useCallback } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
 import { escalations } from '../services/api';
 import { useLanguage } from '../context/LanguageContext';
+import { useAuth } from '../context/AuthContext';
+
+// How often to refresh while the escalation is open (picks up new customer messages)
+const POLL_INTERVAL = 5000;
+const AGENT_NAME_KEY = 'escalationAgentName';
 
 export default function EscalationDetail() {
   const { id } = useParams();
   const navigate = useNavigate();
+  const { user } = useAuth();
   const { t, isRTL, formatDate } = useLanguage();
   const [data, setData] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -15,6 +21,12 @@ export default function EscalationDetail() {
   const [isAcknowledging, setIsAcknowledging] = useState(false);
   const [showResolveModal, setShowResolveModal] = useState(false);
   const [isCancelling, setIsCancelling] = useState(false);
+  const [reply, setReply] = useState('');
+  const [agentName, setAgentName] = useState(
+    () => localStorage.getItem(AGENT_NAME_KEY) || user?.name || ''
+  );
+  const [isSending, setIsSending] = useState(false);
+  const [isHandingBack, setIsHandingBack] = useState(false);
 
   const fetchEscalation = useCallback(async () => {
     try {
@@ -33,6 +45,15 @@ export default function EscalationDetail() {
     fetchEscalation();
   }, [fetchEscalation]);
 
+  const isOpen =
+    data?.escalation.status === 'pending' || data?.escalation.status === 'acknowledged';
+
+  useEffect(() => {
+    if (!isOpen) return;
+    const interval = setInterval(fetchEscalation, POLL_INTERVAL);
+    return () => clearInterval(interval);
+  }, [isOpen, fetchEscalation]);
+
   const handleAcknowledge = async () => {
     try {
       setIsAcknowledging(true);
@@ -76,6 +97,43 @@ export default function EscalationDetail() {
     }
   };
 
+  const handleSendReply = async (e) => {
+    e.preventDefault();
+    if (!reply.trim()) return;
+
+    try {
+      setIsSending(true);
+      localStorage.setItem(AGENT_NAME_KEY, agentName.trim());
+      const response = await escalations.sendMessage(id, reply.trim(), agentName.trim());
+      if (response.data.delivery?.status === 'failed') {
+        alert(t('escalations.deliveryFailed'));
+      }
+      setReply('');
+      await fetchEscalation();
+    } catch (err) {
+      console.error('Failed to send message:', err);
+      alert(err.response?.data?.error || t('escalations.sendFailed'));
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  const handleHandBack = async () => {
+    if (!confirm(t('escalations.handBackConfirm'))) {
+      return;
+    }
+    try {
+      setIsHandingBack(true);
+      await escalations.handBack(id);
+      await fetchEscalation();
+    } catch (err) {
+      console.error('Failed to hand back:', err);
+      alert(t('escalations.handBackFailed'));
+    } finally {
+      setIsHandingBack(false);
+    }
+  };
+
   const getStatusColor = (status) => {
     switch (status) {
       case 'pending':
@@ -163,7 +221,8 @@ export default function EscalationDetail() {
     );
   }
 
-  const { escalation, conversation, customerInfo, triggerMessage, recentMessages } = data;
+  const { escalation, conversation, customerInfo, triggerMessage, recentMessages, notifications } =
+    data;
 
   return (
     <div className="space-y-6">
@@ -205,7 +264,12 @@ export default function EscalationDetail() {
               {isAcknowledging ? t('common.loading') : t('escalations.acknowledge')}
             </button>
           )}
-          {(escalation.status === 'pending' || escalation.status === 'acknowledged') && (
+          {escalation.status === 'acknowledged' && (
+            <button onClick={handleHandBack} disabled={isHandingBack} className="btn btn-secondary">
+              {isHandingBack ? t('common.loading') : t('escalations.handBack')}
+            </button>
+          )}
+          {isOpen && (
             <>
               <button onClick={() => setShowResolveModal(true)} className="btn btn-primary">
                 {t('escalations.resolve')}
@@ -251,6 +315,8 @@ export default function EscalationDetail() {
                 <span className="text-sm text-gray-600">{t('escalations.acknowledgedAt')}</span>
                 <span className="text-sm">
                   {formatDate(escalation.acknowledgedAt, { hour: 'numeric', minute: 'numeric' })}
+                  {escalation.acknowledgedBy &&
+                    ` ${t('escalations.by')} ${escalation.acknowledgedBy}`}
                 </span>
               </div>
             )}
@@ -259,6 +325,7 @@ export default function EscalationDetail() {
                 <span className="text-sm text-gray-600">{t('escalations.resolvedAt')}</span>
                 <span className="text-sm">
                   {formatDate(escalation.resolvedAt, { hour: 'numeric', minute: 'numeric' })}
+                  {escalation.resolvedBy && ` ${t('escalations.by')} ${escalation.resolvedBy}`}
                 </span>
               </div>
             )}
@@ -393,6 +460,48 @@ export default function EscalationDetail() {
         </div>
       )}
 
+      {/* Notification Delivery */}
+      {notifications && notifications.length > 0 && (
+        <div className="card p-6">
+          <h3 className="text-sm font-medium text-gray-500 mb-4">
+            {t('escalations.notifications')}
+          </h3>
+          <ul className="divide-y divide-gray-100">
+            {notifications.map((notification, index) => (
+              <li key={index} className="py-2 flex items-center justify-between text-sm">
+                <div>
+                  <span className="font-medium text-gray-900 capitalize">
+                    {notification.channel}
+                  </span>
+                  <span className="text-gray-500 ml-2">{notification.recipient}</span>
+                  {notification.status === 'failed' && notification.lastError && (
+                    <p className="text-xs text-red-600 mt-1">{notification.lastError}</p>
+                  )}
+                </div>
+                <div className="text-right">
+                  <span
+                    className={`px-2 py-0.5 rounded text-xs font-medium ${
+                      notification.status === 'sent'
+                        ? 'bg-green-100 text-green-800'
+                        : notification.status === 'failed'
+                          ? 'bg-red-100 text-red-800'
+                          : 'bg-yellow-100 text-yellow-800'
+                    }`}
+                  >
+                    {t(`escalations.notificationStatus.${notification.status}`)}
+                  </span>
+                  <p className="text-xs text-gray-500 mt-1">
+                    {t('escalations.notificationAttempts')}: {notification.attempts}
+                    {notification.nextRetryAt &&
+                      ` · ${t('escalations.notificationRetry')}: ${formatDate(notification.nextRetryAt, { hour: 'numeric', minute: 'numeric' })}`}
+                  </p>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {/* Recent Messages */}
       <div className="card">
         <div className="p-6 border-b border-gray-200">
@@ -402,7 +511,16 @@ export default function EscalationDetail() {
         <div className="divide-y divide-gray-200">
           {recentMessages && recentMessages.length > 0 ? (
             recentMessages.map((msg, index) => (
-              <div key={index} className={`p-4 ${msg.role === 'assistant' ? 'bg-gray-50' : ''}`}>
+              <div
+                key={msg.id || index}
+                className={`p-4 ${
+                  msg.sender === 'agent'
+                    ? 'bg-blue-50'
+                    : msg.role === 'assistant'
+                      ? 'bg-gray-50'
+                      : ''
+                }`}
+              >
                 <div className="flex items-start gap-3">
                   <div
                     className={`w-8 h-8 rounded-full flex items-center justify-center flex-shrink-0 ${
@@ -444,7 +562,11 @@ export default function EscalationDetail() {
                   <div className="flex-1">
                     <div className="flex items-center gap-2 mb-1">
                       <span className="font-medium text-gray-900 text-sm">
-                        {msg.role === 'user' ? t('escalations.customer') : t('escalations.ai')}
+                        {msg.role === 'user'
+                          ? t('escalations.customer')
+                          : msg.sender === 'agent'
+                            ? msg.agentName || t('escalations.agent')
+                            : t('escalations.ai')}
                       </span>
                       <span className="text-xs text-gray-500">
                         {formatDate(msg.timestamp, { hour: 'numeric', minute: 'numeric' })}
@@ -459,6 +581,43 @@ export default function EscalationDetail() {
             <div className="p-8 text-center text-gray-500">{t('escalations.noMessages')}</div>
           )}
         </div>
+
+        {/* Live Reply */}
+        {isOpen && (
+          <form onSubmit={handleSendReply} className="p-6 border-t border-gray-200 space-y-3">
+            <div>
+              <h4 className="font-medium text-gray-900">{t('escalations.liveReply')}</h4>
+              <p className="text-sm text-gray-500">
+                {escalation.status === 'acknowledged'
+                  ? t('escalations.agentActive')
+                  : t('escalations.liveReplyDescription')}
+              </p>
+            </div>
+            <input
+              type="text"
+              value={agentName}
+              onChange={(e) => setAgentName(e.target.value)}
+              placeholder={t('escalations.agentNamePlaceholder')}
+              className="input w-full"
+            />
+            <textarea
+              value={reply}
+              onChange={(e) => setReply(e.target.value)}
+              rows={3}
+              placeholder={t('escalations.replyPlaceholder')}
+              className="input w-full"
+            />
+            <div className="flex justify-end">
+              <button
+                type="submit"
+                disabled={isSending || !reply.trim()}
+                className="btn btn-primary"
+              >
+                {isSending ? t('common.loading') : t('escalations.sendReply')}
+              </button>
+            </div>
+          </form>
+        )}
       </div>
 
       {/* Resolution Notes */}
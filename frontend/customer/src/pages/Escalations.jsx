@@ -310,13 +310,17 @@ export default function Escalations() {
                           <p className="text-gray-500">{t('escalations.acknowledgedAt')}</p>
                           <p className="font-medium text-gray-900">
                             {formatDate(esc.acknowledgedAt)}
+                            {esc.acknowledgedBy && ` ${t('escalations.by')} ${esc.acknowledgedBy}`}
                           </p>
                         </div>
                       )}
                       {esc.resolvedAt && (
                         <div>
                           <p className="text-gray-500">{t('escalations.resolvedAt')}</p>
-                          <p className="font-medium text-gray-900">{formatDate(esc.resolvedAt)}</p>
+                          <p className="font-medium text-gray-900">
+                            {formatDate(esc.resolvedAt)}
+                            {esc.resolvedBy && ` ${t('escalations.by')} ${esc.resolvedBy}`}
+                          </p>
                         </div>
                       )}
                     </div>
@@ -5,6 +5,9 @@ import { useAuth } from '../context/AuthContext';
 export default function Login() {
   const navigate = useNavigate();
   const { login } = useAuth();
+  const [mode, setMode] = useState('password'); // 'password' or 'accessCode'
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
   const [accessCode, setAccessCode] = useState('');
   const [rememberMe, setRememberMe] = useState(false);
   const [error, setError] = useState('');
@@ -16,13 +19,15 @@ export default function Login() {
     setLoading(true);
 
     try {
-      await login(accessCode, rememberMe);
+      await login(mode === 'password' ? { email, password } : { accessCode }, rememberMe);
       navigate('/');
     } catch (err) {
       setError(
         err.response?.data?.message ||
           err.response?.data?.error ||
-          'Login failed. Please check your access code.'
+          (mode === 'password'
+            ? 'Login failed. Please check your email and password.'
+            : 'Login failed. Please check your access code.')
       );
     } finally {
       setLoading(false);
@@ -49,7 +54,11 @@ export default function Login() {
             </svg>
           </div>
           <h1 className="text-3xl font-bold text-gray-900">Welcome Back</h1>
-          <p className="text-gray-600 mt-2">Enter your access code to continue</p>
+          <p className="text-gray-600 mt-2">
+            {mode === 'password'
+              ? 'Sign in with your email and password'
+              : 'Enter your access code to continue'}
+          </p>
         </div>
 
         <div className="bg-white rounded-xl shadow-lg border border-gray-200 p-8">
@@ -60,25 +69,63 @@ export default function Login() {
               </div>
             )}
 
-            <div>
-              <label htmlFor="accessCode" className="label">
-                Access Code
-              </label>
-              <input
-                id="accessCode"
-                type="text"
-                className="input"
-                value={accessCode}
-                onChange={(e) => setAccessCode(e.target.value.toUpperCase())}
-                placeholder="Enter your access code"
-                required
-                disabled={loading}
-                autoFocus
-              />
-              <p className="mt-1 text-xs text-gray-500">
-                Enter the access code provided by your account administrator
-              </p>
-            </div>
+            {mode === 'password' ? (
+              <>
+                <div>
+                  <label htmlFor="email" className="label">
+                    Email
+                  </label>
+                  <input
+                    id="email"
+                    type="email"
+                    className="input"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    placeholder="you@company.com"
+                    autoComplete="username"
+                    required
+                    disabled={loading}
+                    autoFocus
+                  />
+                </div>
+                <div>
+                  <label htmlFor="password" className="label">
+                    Password
+                  </label>
+                  <input
+                    id="password"
+                    type="password"
+                    className="input"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    autoComplete="current-password"
+                    required
+                    disabled={loading}
+                  />
+                </div>
+              </>
+            ) : (
+              <div>
+                <label htmlFor="accessCode" className="label">
+                  Access Code
+                </label>
+                <input
+                  id="accessCode"
+                  type="text"
+                  className="input"
+                  value={accessCode}
+                  onChange={(e) => setAccessCode(e.target.value.toUpperCase())}
+                  placeholder="Enter your access code"
+                  required
+                  disabled={loading}
+                  autoFocus
+                />
+                <p className="mt-1 text-xs text-gray-500">
+                  Enter the access code provided by your account administrator. It stops working
+                  once your team has user accounts.
+                </p>
+              </div>
+            )}
 
             <div className="flex items-center">
               <input
@@ -97,7 +144,7 @@ export default function Login() {
             <button
               type="submit"
               className="btn btn-primary w-full"
-              disabled={loading || !accessCode}
+              disabled={loading || (mode === 'password' ? !email || !password : !accessCode)}
             >
               {loading ? (
                 <span className="flex items-center justify-center">
@@ -127,11 +174,22 @@ export default function Login() {
                 'Sign In'
               )}
             </button>
+
+            <button
+              type="button"
+              onClick={() => {
+                setMode(mode === 'password' ? 'accessCode' : 'password');
+                setError('');
+              }}
+              className="w-full text-sm text-primary-600 hover:text-primary-700"
+            >
+              {mode === 'password' ? 'Use an access code instead' : 'Sign in with email instead'}
+            </button>
           </form>
         </div>
 
         <p className="text-center text-sm text-gray-600 mt-6">
-          Don't have an access code?{' '}
+          Don't have an account? Ask your team owner for an invitation or{' '}
           <a
             href="mailto:support@csai.com"
             className="text-primary-600 hover:text-primary-700 font-medium"
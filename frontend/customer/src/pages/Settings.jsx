@@ -1,5 +1,8 @@
 import { useState, useEffect } from 'react';
 import { useLanguage } from '../context/LanguageContext';
+import WebhookSettings from '../components/WebhookSettings';
+import TeamSettings from '../components/TeamSettings';
+import PrivacySettings from '../components/PrivacySettings';
 
 const SETTINGS_TAB_KEY = 'customer_settings_tab';
 
@@ -31,6 +34,9 @@ export default function Settings() {
 
   const tabs = [
     { id: 'language', name: t('settings.languageTab') },
+    { id: 'webhooks', name: t('settings.webhooksTab') },
+    { id: 'team', name: t('settings.teamTab') },
+    { id: 'privacy', name: t('settings.privacyTab') },
     // Hidden for now - admin handles AI behavior via admin dashboard
     // { id: 'ai', name: t('settings.aiTab') },
   ];
@@ -100,6 +106,15 @@ export default function Settings() {
         />
       )}
 
+      {/* Webhooks Tab */}
+      {activeTab === 'webhooks' && <WebhookSettings onMessage={setMessage} />}
+
+      {/* Team Tab */}
+      {activeTab === 'team' && <TeamSettings onMessage={setMessage} />}
+
+      {/* Data & Privacy Tab */}
+      {activeTab === 'privacy' && <PrivacySettings onMessage={setMessage} />}
+
       {/* AI Behavior Tab - Hidden for now */}
       {/* {activeTab === 'ai' && <AIBehaviorSettings onMessage={setMessage} />} */}
     </div>
@@ -1,6 +1,7 @@
 import { useState, useEffect, useCallback } from 'react';
 import { usage } from '../services/api';
 import { useLanguage } from '../context/LanguageContext';
+import CsatSection from '../components/CsatSection';
 
 export default function Usage() {
   const { t, isRTL, formatNumber, formatDate } = useLanguage();
@@ -300,6 +301,8 @@ export default function Usage() {
         </div>
       )}
 
+      <CsatSection />
+
       {/* Usage Trends */}
       <div className="card p-6">
         <div className="flex justify-between items-center mb-4">
@@ -32,7 +32,12 @@ api.interceptors.response.use(
 
 // Auth endpoints
 export const auth = {
-  login: (accessCode, rememberMe = false) => api.post('/auth/login', { accessCode, rememberMe }),
+  // credentials: { email, password } or { accessCode }
+  login: (credentials, rememberMe = false) =>
+    api.post('/auth/login', { ...credentials, rememberMe }),
+  me: () => api.get('/auth/me'),
+  getInvitation: (token) => api.get(`/auth/invitations/${token}`),
+  acceptInvitation: (token, data) => api.post(`/auth/invitations/${token}/accept`, data),
 };
 
 // Dashboard endpoints
@@ -49,11 +54,22 @@ export const actions = {
 export const conversations = {
   getAll: (params) => api.get('/conversations', { params }),
   getById: (id) => api.get(`/conversations/${id}`),
+  downloadAttachment: (id, attachmentId) =>
+    api.get(`/conversations/${id}/attachments/${attachmentId}`, { responseType: 'blob' }),
 };
 
 // Billing endpoints
 export const billing = {
   getInvoices: () => api.get('/billing/invoices'),
+  // { currentPlan, plans, openChange, changes }
+  getPlan: () => api.get('/billing/plan'),
+  requestPlanChange: (data) => api.post('/billing/plan-change-requests', data),
+  cancelPlanChange: (id) => api.delete(`/billing/plan-change-requests/${id}`),
+  // { monthlyBudget, overLimitAction, spent, limit, credits, transactions, ... }
+  getSpending: () => api.get('/billing/spending'),
+  updateSpending: (data) => api.put('/billing/spending', data),
+  // Returns the credit purchase invoice
+  purchaseCredits: (data) => api.post('/billing/credits', data),
 };
 
 // Usage endpoints
@@ -61,6 +77,7 @@ export const usage = {
   getCurrent: (params = {}) => api.get('/usage/current', { params }),
   getTrends: (params) => api.get('/usage/trends', { params }),
   getTools: () => api.get('/usage/tools'),
+  getCsat: (params) => api.get('/usage/csat', { params }),
 };
 
 // Settings endpoints
@@ -85,6 +102,41 @@ export const escalations = {
   acknowledge: (id) => api.post(`/escalations/${id}/acknowledge`),
   resolve: (id, notes) => api.post(`/escalations/${id}/resolve`, { notes }),
   cancel: (id, notes) => api.post(`/escalations/${id}/cancel`, { notes }),
+  sendMessage: (id, content, agentName) =>
+    api.post(`/escalations/${id}/messages`, { content, agentName }),
+  handBack: (id) => api.post(`/escalations/${id}/hand-back`),
+};
+
+// Webhooks endpoints
+export const webhooks = {
+  getAll: () => api.get('/webhooks'),
+  create: (data) => api.post('/webhooks', data),
+  update: (id, data) => api.put(`/webhooks/${id}`, data),
+  delete: (id) => api.delete(`/webhooks/${id}`),
+  rotateSecret: (id) => api.post(`/webhooks/${id}/rotate-secret`),
+  test: (id) => api.post(`/webhooks/${id}/test`),
+  getDeliveries: (id, params) => api.get(`/webhooks/${id}/deliveries`, { params }),
+  replay: (deliveryId) => api.post(`/webhooks/deliveries/${deliveryId}/replay`),
+};
+
+// Team (dashboard users) endpoints
+export const users = {
+  getAll: () => api.get('/users'),
+  invite: (data) => api.post('/users', data),
+  update: (id, data) => api.put(`/users/${id}`, data),
+  delete: (id) => api.delete(`/users/${id}`),
+  resendInvite: (id) => api.post(`/users/${id}/resend-invite`),
+};
+
+// Data retention and end-user data requests
+export const privacy = {
+  getRetention: () => api.get('/privacy/retention'),
+  updateRetention: (retention) => api.put('/privacy/retention', { retention }),
+  getRedaction: () => api.get('/privacy/redaction'),
+  updateRedaction: (redaction) => api.put('/privacy/redaction', { redaction }),
+  getRequests: (params) => api.get('/privacy/requests', { params }),
+  exportUserData: (userIdentifier) => api.post('/privacy/requests/export', { userIdentifier }),
+  eraseUserData: (userIdentifier) => api.post('/privacy/requests/erase', { userIdentifier }),
 };
 
 export default api;
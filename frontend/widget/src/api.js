@@ -37,9 +37,10 @@ export class ChatAPI {
    * Send a message to the AI and get a response
    * @param {string} sessionId - Unique session identifier
    * @param {string} message - User's message
+   * @param {number[]} [attachmentIds] - Uploaded attachments sent with the message
    * @returns {Promise<Object>} Response with AI message and metadata
    */
-  async sendMessage(sessionId, message) {
+  async sendMessage(sessionId, message, attachmentIds = []) {
     try {
       const response = await fetch(`${this.baseUrl}/chat/message`, {
         method: 'POST',
@@ -50,6 +51,7 @@ export class ChatAPI {
         body: JSON.stringify({
           sessionId,
           message,
+          ...(attachmentIds.length > 0 && { attachmentIds }),
         }),
       });
 
@@ -65,6 +67,152 @@ export class ChatAPI {
     }
   }
 
+  /**
+   * Send a message and stream the AI reply as it is generated
+   * Falls back to sendMessage when the browser cannot read response streams.
+   * @param {string} sessionId - Unique session identifier
+   * @param {string} message - User's message
+   * @param {Object} handlers - Stream callbacks
+   * @param {Function} handlers.onToken - Called with each chunk of reply text
+   * @param {Function} handlers.onReset - Called when the partial reply should be discarded
+   * @param {number[]} [attachmentIds] - Uploaded attachments sent with the message
+   * @returns {Promise<Object>} Final response, same shape as sendMessage
+   */
+  async sendMessageStream(sessionId, message, { onToken, onReset } = {}, attachmentIds = []) {
+    if (typeof ReadableStream === 'undefined' || typeof TextDecoder === 'undefined') {
+      return this.sendMessage(sessionId, message, attachmentIds);
+    }
+
+    try {
+      const response = await fetch(`${this.baseUrl}/chat/message/stream`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'text/event-stream',
+          Authorization: `Bearer ${this.apiKey}`,
+        },
+        body: JSON.stringify({
+          sessionId,
+          message,
+          ...(attachmentIds.length > 0 && { attachmentIds }),
+        }),
+      });
+
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || `HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      if (!response.body) {
+        throw new Error('Streaming response has no body');
+      }
+
+      let result = null;
+      await this.readEventStream(response.body, (event, data) => {
+        if (event === 'token') {
+          onToken?.(data.text || '');
+        } else if (event === 'reset') {
+          onReset?.();
+        } else if (event === 'done') {
+          result = data;
+        } else if (event === 'error') {
+          throw new Error(data.message || data.error || 'Stream failed');
+        }
+      });
+
+      if (!result) {
+        throw new Error('Stream ended before the reply was complete');
+      }
+
+      return result;
+    } catch (error) {
+      console.error('ChatAPI: Failed to stream message', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Upload a file to send with the next message
+   * @param {string} sessionId - Session identifier
+   * @param {File} file - File chosen by the user
+   * @returns {Promise<Object>} Attachment metadata { id, filename, mime_type, size }
+   */
+  async uploadAttachment(sessionId, file) {
+    try {
+      const data = await new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+      });
+
+      const response = await fetch(`${this.baseUrl}/chat/attachments`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${this.apiKey}`,
+        },
+        body: JSON.stringify({
+          sessionId,
+          filename: file.name,
+          mimeType: file.type,
+          data,
+        }),
+      });
+
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || `HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      const result = await response.json();
+      return result.attachment;
+    } catch (error) {
+      console.error('ChatAPI: Failed to upload attachment', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Parse a Server-Sent Events body and dispatch each event
+   * @param {ReadableStream} body - fetch response body
+   * @param {Function} onEvent - Called with (eventName, parsedData)
+   */
+  async readEventStream(body, onEvent) {
+    const reader = body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const dispatch = (frame) => {
+      let event = 'message';
+      const dataLines = [];
+      frame.split('\n').forEach((line) => {
+        if (line.startsWith('event:')) {
+          event = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+          dataLines.push(line.slice(5).trim());
+        }
+      });
+      if (dataLines.length > 0) {
+        onEvent(event, JSON.parse(dataLines.join('\n')));
+      }
+    };
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+      const frames = buffer.split('\n\n');
+      buffer = frames.pop();
+      frames.forEach(dispatch);
+    }
+
+    if (buffer.trim()) {
+      dispatch(buffer);
+    }
+  }
+
   /**
    * Get conversation history for a session
    * @param {string} sessionId - Session identifier
@@ -88,6 +236,7 @@ export class ChatAPI {
       return {
         messages: data.messages || [],
         conversationEnded: data.conversationEnded || false,
+        conversationRating: data.conversationRating || null,
       };
     } catch (error) {
       console.error('ChatAPI: Failed to get history', error);
@@ -95,6 +244,39 @@ export class ChatAPI {
     }
   }
 
+  /**
+   * Poll for live agent activity in a session
+   * @param {string} sessionId - Session identifier
+   * @param {number} after - Only return agent messages with a higher ID
+   * @returns {Promise<Object>} Object with agent status, new agent messages and conversationEnded flag
+   */
+  async getUpdates(sessionId, after = 0) {
+    try {
+      const response = await fetch(`${this.baseUrl}/chat/updates/${sessionId}?after=${after}`, {
+        method: 'GET',
+        headers: {
+          Authorization: `Bearer ${this.apiKey}`,
+        },
+      });
+
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || `HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      return {
+        agent: data.agent || { status: 'none' },
+        messages: data.messages || [],
+        conversationEnded: data.conversationEnded || false,
+        conversationRating: data.conversationRating || null,
+      };
+    } catch (error) {
+      console.error('ChatAPI: Failed to get updates', error);
+      throw error;
+    }
+  }
+
   /**
    * End a conversation session
    * @param {string} sessionId - Session identifier
@@ -124,4 +306,55 @@ export class ChatAPI {
       throw error;
     }
   }
+
+  /**
+   * Rate an AI reply
+   * @param {string} sessionId - Session identifier
+   * @param {number} messageId - Server message ID
+   * @param {string} rating - 'up' or 'down'
+   * @returns {Promise<Object>} Confirmation response
+   */
+  async rateMessage(sessionId, messageId, rating) {
+    return this.postFeedback('message', { sessionId, messageId, rating });
+  }
+
+  /**
+   * Rate a conversation
+   * @param {string} sessionId - Session identifier (of the ended conversation)
+   * @param {number} rating - 1 to 5
+   * @param {string} [comment] - Optional comment
+   * @returns {Promise<Object>} Confirmation response
+   */
+  async rateConversation(sessionId, rating, comment) {
+    return this.postFeedback('conversation', { sessionId, rating, comment });
+  }
+
+  /**
+   * Send feedback to /chat/feedback/:type
+   * @param {string} type - 'message' or 'conversation'
+   * @param {Object} body - Request body
+   * @returns {Promise<Object>}
+   */
+  async postFeedback(type, body) {
+    try {
+      const response = await fetch(`${this.baseUrl}/chat/feedback/${type}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${this.apiKey}`,
+        },
+        body: JSON.stringify(body),
+      });
+
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || `HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('ChatAPI: Failed to send feedback', error);
+      throw error;
+    }
+  }
 }
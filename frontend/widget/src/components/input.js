@@ -1,17 +1,26 @@
+// Matches the server-side limit of attachments per message
+const MAX_ATTACHMENTS = 5;
+
 /**
  * Input Component
- * Text input area with send button
+ * Text input area with send button, and an attach button when the client's
+ * plan allows attachments (config.attachments from /chat/config)
  */
 export class InputArea {
-  constructor(onSend, config = {}) {
+  constructor(onSend, config = {}, onUpload = null) {
     this.onSend = onSend;
+    this.onUpload = onUpload;
     this.config = config;
     this.translations = config.translations || {};
     this.isRTL = config.isRTL || false;
     this.isLoading = false;
+    this.attachments = [];
+    this.uploadCount = 0;
+    this.canAttach = Boolean(onUpload && config.attachments?.enabled);
     this.element = this.create();
     this.input = this.element.querySelector('.csai-input');
     this.sendButton = this.element.querySelector('.csai-send-button');
+    this.attachmentList = this.element.querySelector('.csai-attachment-list');
     this.applyColors();
   }
 
@@ -30,7 +39,20 @@ export class InputArea {
     // For RTL, flip the send icon direction
     const sendIconTransform = this.isRTL ? 'style="transform: scaleX(-1)"' : '';
 
-    container.innerHTML = `
+    const attachLabel = this.translations.attachFile || 'Attach a file';
+    const accept = (this.config.attachments?.types || []).join(',');
+    const attachControls = this.canAttach
+      ? `
+      <div class="csai-attachment-list"></div>
+      <input type="file" class="csai-file-input" accept="${accept}" multiple hidden />
+      <button class="csai-attach-button" type="button" aria-label="${attachLabel}" title="${attachLabel}">
+        <svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+          <path d="M16.5 6v11.5a4 4 0 0 1-8 0V5a2.5 2.5 0 0 1 5 0v10.5a1 1 0 0 1-2 0V6H10v9.5a2.5 2.5 0 0 0 5 0V5a4 4 0 0 0-8 0v12.5a5.5 5.5 0 0 0 11 0V6h-1.5z"/>
+        </svg>
+      </button>`
+      : '';
+
+    container.innerHTML = `${attachControls}
       <textarea
         class="csai-input"
         placeholder="${placeholder}"
@@ -67,6 +89,17 @@ export class InputArea {
       this.handleSend();
     });
 
+    if (this.canAttach) {
+      const fileInput = container.querySelector('.csai-file-input');
+      container.querySelector('.csai-attach-button').addEventListener('click', () => {
+        fileInput.click();
+      });
+      fileInput.addEventListener('change', () => {
+        this.handleFiles(Array.from(fileInput.files || []));
+        fileInput.value = '';
+      });
+    }
+
     return container;
   }
 
@@ -112,8 +145,8 @@ export class InputArea {
    * Update send button state based on input
    */
   updateSendButton() {
-    const hasText = this.input.value.trim().length > 0;
-    this.sendButton.disabled = !hasText || this.isLoading;
+    const hasContent = this.input.value.trim().length > 0 || this.attachments.length > 0;
+    this.sendButton.disabled = !hasContent || this.isLoading || this.uploadCount > 0;
   }
 
   /**
@@ -121,13 +154,152 @@ export class InputArea {
    */
   handleSend() {
     const message = this.input.value.trim();
+    const hasContent = message || this.attachments.length > 0;
 
-    if (message && !this.isLoading) {
-      this.onSend(message);
+    if (hasContent && !this.isLoading && this.uploadCount === 0) {
+      this.onSend(message, this.attachments);
+      this.attachments = [];
+      this.renderAttachments();
       this.clear();
     }
   }
 
+  /**
+   * Upload files picked by the user; they are sent with the next message
+   * @param {File[]} files - Selected files
+   */
+  handleFiles(files) {
+    const limits = this.config.attachments || {};
+    const t = this.translations;
+
+    for (const file of files) {
+      if (this.attachments.length + this.uploadCount >= MAX_ATTACHMENTS) {
+        this.showAttachmentError(
+          (t.tooManyFiles || 'You can attach up to {count} files').replace(
+            '{count}',
+            MAX_ATTACHMENTS
+          )
+        );
+        break;
+      }
+      if (!this.isAllowedType(file.type, limits.types || [])) {
+        this.showAttachmentError(
+          (t.fileTypeNotAllowed || '{name} is not a supported file type').replace(
+            '{name}',
+            file.name
+          )
+        );
+        continue;
+      }
+      if (limits.maxSize && file.size > limits.maxSize) {
+        const sizeMb = Math.round((limits.maxSize / (1024 * 1024)) * 10) / 10;
+        this.showAttachmentError(
+          (t.fileTooLarge || '{name} is too large (max {size} MB)')
+            .replace('{name}', file.name)
+            .replace('{size}', sizeMb)
+        );
+        continue;
+      }
+      this.uploadFile(file);
+    }
+  }
+
+  /**
+   * Upload one file and add it to the pending attachments
+   * @param {File} file - File to upload
+   */
+  async uploadFile(file) {
+    this.uploadCount++;
+    this.renderAttachments();
+
+    let errorMessage = null;
+    try {
+      const attachment = await this.onUpload(file);
+      this.attachments.push(attachment);
+    } catch (error) {
+      const fallback = (this.translations.uploadFailed || 'Could not upload {name}').replace(
+        '{name}',
+        file.name
+      );
+      errorMessage = error.message || fallback;
+    }
+
+    this.uploadCount--;
+    this.renderAttachments();
+    if (errorMessage) {
+      this.showAttachmentError(errorMessage);
+    }
+  }
+
+  /**
+   * Whether a MIME type is in the allowed list ("image/*" matches any image)
+   * @param {string} mimeType - File MIME type
+   * @param {string[]} types - Allowed types
+   * @returns {Boolean}
+   */
+  isAllowedType(mimeType, types) {
+    if (types.length === 0) return true;
+    const type = (mimeType || '').toLowerCase();
+    return types.some((allowed) =>
+      allowed.endsWith('/*') ? type.startsWith(allowed.slice(0, -1)) : type === allowed
+    );
+  }
+
+  /**
+   * Render the pending attachments as removable chips
+   */
+  renderAttachments() {
+    if (!this.attachmentList) return;
+
+    // Errors stay until their timeout; only the chips are redrawn
+    this.attachmentList.querySelectorAll('.csai-attachment-chip').forEach((chip) => chip.remove());
+    this.attachments.forEach((attachment) => {
+      const chip = document.createElement('div');
+      chip.className = 'csai-attachment-chip';
+
+      const name = document.createElement('span');
+      name.className = 'csai-attachment-name';
+      name.textContent = attachment.filename; // Safe: uses textContent
+
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'csai-attachment-remove';
+      remove.textContent = '×';
+      remove.setAttribute('aria-label', this.translations.removeAttachment || 'Remove');
+      remove.addEventListener('click', () => {
+        this.attachments = this.attachments.filter((item) => item !== attachment);
+        this.renderAttachments();
+      });
+
+      chip.appendChild(name);
+      chip.appendChild(remove);
+      this.attachmentList.appendChild(chip);
+    });
+
+    if (this.uploadCount > 0) {
+      const uploading = document.createElement('div');
+      uploading.className = 'csai-attachment-chip csai-uploading';
+      uploading.textContent = this.translations.uploading || 'Uploading...';
+      this.attachmentList.appendChild(uploading);
+    }
+
+    this.updateSendButton();
+  }
+
+  /**
+   * Show a short-lived error above the input
+   * @param {string} message - Error text
+   */
+  showAttachmentError(message) {
+    if (!this.attachmentList) return;
+
+    const error = document.createElement('div');
+    error.className = 'csai-attachment-error';
+    error.textContent = message;
+    this.attachmentList.appendChild(error);
+    setTimeout(() => error.remove(), 5000);
+  }
+
   /**
    * Clear the input field
    */
@@ -1,14 +1,26 @@
+import { setMarkdown } from '../markdown.js';
+
 /**
  * Messages Component
  * Displays the list of conversation messages
  */
 export class MessageList {
-  constructor(config = {}) {
+  /**
+   * @param {Object} config - Widget config
+   * @param {Function} [onFeedback] - Called with (message, 'up'|'down') when an AI reply is rated;
+   *   should return a promise that rejects if the rating was not saved
+   * @param {Function} [onReply] - Called with the text of a quick reply or picked date
+   */
+  constructor(config = {}, onFeedback = null, onReply = null) {
     this.config = config;
+    this.onFeedback = onFeedback;
+    this.onReply = onReply;
     this.translations = config.translations || {};
     this.isRTL = config.isRTL || false;
     this.element = this.create();
     this.messages = [];
+    this.streamingBubble = null;
+    this.streamingText = '';
   }
 
   /**
@@ -28,9 +40,16 @@ export class MessageList {
    * @param {string} message.role - 'user' or 'assistant'
    * @param {string} message.content - Message text
    * @param {Date} message.timestamp - Message timestamp
+   * @param {string} [message.sender] - 'agent' for replies written by a human agent
+   * @param {string} [message.agentName] - Name of the human agent
+   * @param {number} [message.id] - Server message ID (AI replies can be rated once known)
+   * @param {string} [message.feedback] - 'up' or 'down' if the reply was rated
+   * @param {Array} [message.blocks] - Quick replies, cards and date pickers under an AI reply
    * @param {Boolean} isEnded - Whether conversation has ended
    */
   addMessage(message, isEnded = false) {
+    // Quick replies and date pickers only apply to the latest reply
+    this.removeInteractiveBlocks();
     this.messages.push(message);
 
     const messageEl = this.createMessageElement(message, isEnded);
@@ -54,24 +73,473 @@ export class MessageList {
       messageDiv.classList.add('csai-ended');
     }
 
+    // Label replies written by a human agent with their name
+    if (message.sender === 'agent') {
+      messageDiv.classList.add('agent');
+      const sender = document.createElement('div');
+      sender.className = 'csai-message-sender';
+      sender.textContent = message.agentName || this.translations.agentLabel || 'Support agent';
+      messageDiv.appendChild(sender);
+    }
+
     const bubble = document.createElement('div');
     bubble.className = 'csai-message-bubble';
-    bubble.textContent = message.content;
+    if (message.role === 'user') {
+      bubble.textContent = message.content; // Safe: uses textContent
+    } else {
+      // Replies may use markdown; rendered with DOM nodes only, never innerHTML
+      bubble.classList.add('csai-markdown');
+      setMarkdown(bubble, message.content);
+    }
 
     const time = document.createElement('div');
     time.className = 'csai-message-time';
     time.textContent = this.formatTime(message.timestamp);
 
-    messageDiv.appendChild(bubble);
+    // Attachment-only messages show just the file list
+    if (message.content || !message.attachments?.length) {
+      messageDiv.appendChild(bubble);
+    }
+    this.appendAttachments(messageDiv, message);
+    this.appendBlocks(messageDiv, message, isEnded);
     messageDiv.appendChild(time);
+    this.appendFeedback(messageDiv, message);
 
     return messageDiv;
   }
 
+  /**
+   * List the files sent with a message
+   * @param {HTMLElement} messageDiv - Message element
+   * @param {Object} message - Message object
+   */
+  appendAttachments(messageDiv, message) {
+    if (!message.attachments?.length) {
+      return;
+    }
+
+    const list = document.createElement('div');
+    list.className = 'csai-message-attachments';
+    message.attachments.forEach((attachment) => {
+      const chip = document.createElement('div');
+      chip.className = 'csai-attachment-chip';
+      chip.textContent = attachment.filename; // Safe: uses textContent
+      list.appendChild(chip);
+    });
+    messageDiv.appendChild(list);
+  }
+
+  /**
+   * Add the structured blocks of an AI reply below its bubble
+   * @param {HTMLElement} messageDiv - Message element
+   * @param {Object} message - Message object
+   * @param {Boolean} isEnded - Whether conversation has ended (no interactive blocks)
+   */
+  appendBlocks(messageDiv, message, isEnded = false) {
+    if (message.role !== 'assistant' || !Array.isArray(message.blocks)) {
+      return;
+    }
+
+    const interactive = this.onReply && !isEnded && !message.isEnded;
+    const anchor = messageDiv.querySelector('.csai-message-time');
+
+    message.blocks.forEach((block) => {
+      let blockEl = null;
+      if (block.type === 'cards' && Array.isArray(block.cards)) {
+        blockEl = this.createCards(block.cards);
+      } else if (block.type === 'quick_replies' && interactive) {
+        blockEl = this.createQuickReplies(block.options || []);
+      } else if (block.type === 'date_picker' && interactive) {
+        blockEl = this.createDatePicker(block.label);
+      }
+      if (blockEl) {
+        messageDiv.insertBefore(blockEl, anchor);
+      }
+    });
+  }
+
+  /**
+   * Create product/order cards
+   * @param {Array} cards - Cards from the server
+   * @returns {HTMLElement}
+   */
+  createCards(cards) {
+    const container = document.createElement('div');
+    container.className = 'csai-cards';
+
+    cards.forEach((card) => {
+      const cardEl = document.createElement('div');
+      cardEl.className = `csai-card csai-card-${card.kind === 'order' ? 'order' : 'product'}`;
+
+      if (this.isSafeUrl(card.image)) {
+        const image = document.createElement('img');
+        image.className = 'csai-card-image';
+        image.src = card.image;
+        image.alt = card.title || '';
+        image.loading = 'lazy';
+        cardEl.appendChild(image);
+      }
+
+      const body = document.createElement('div');
+      body.className = 'csai-card-body';
+
+      const title = document.createElement('div');
+      title.className = 'csai-card-title';
+      title.textContent = card.title || '';
+      body.appendChild(title);
+
+      if (card.subtitle) {
+        const subtitle = document.createElement('div');
+        subtitle.className = 'csai-card-subtitle';
+        subtitle.textContent = card.subtitle;
+        body.appendChild(subtitle);
+      }
+
+      (card.fields || []).forEach((field) => {
+        const row = document.createElement('div');
+        row.className = 'csai-card-field';
+        row.textContent = this.formatCardField(field);
+        body.appendChild(row);
+      });
+
+      if (this.isSafeUrl(card.url)) {
+        const link = document.createElement('a');
+        link.className = 'csai-card-link';
+        link.href = card.url;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        link.textContent = this.translations.viewDetails || 'View details';
+        body.appendChild(link);
+      }
+
+      cardEl.appendChild(body);
+      container.appendChild(cardEl);
+    });
+
+    return container;
+  }
+
+  /**
+   * Format a card field ({ key, value }) with a translated label
+   * @param {Object} field - Card field
+   * @returns {string}
+   */
+  formatCardField(field) {
+    const t = this.translations;
+    switch (field.key) {
+      case 'price':
+        return `${t.cardPrice || 'Price'}: ${field.value}`;
+      case 'stock':
+        return field.value ? t.cardInStock || 'In stock' : t.cardOutOfStock || 'Out of stock';
+      case 'total':
+        return `${t.cardTotal || 'Total'}: ${field.value}`;
+      case 'eta':
+        return `${t.cardEta || 'Estimated delivery'}: ${field.value}`;
+      default:
+        return String(field.value);
+    }
+  }
+
+  /**
+   * Create quick reply buttons; tapping one sends its text as the user's message
+   * @param {Array<string>} options - Button labels
+   * @returns {HTMLElement|null}
+   */
+  createQuickReplies(options) {
+    if (options.length === 0) {
+      return null;
+    }
+
+    const container = document.createElement('div');
+    container.className = 'csai-quick-replies';
+    container.setAttribute('data-interactive', 'true');
+
+    options.forEach((option) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'csai-quick-reply';
+      button.textContent = option; // Safe: uses textContent
+      button.addEventListener('click', () => this.reply(option));
+      container.appendChild(button);
+    });
+
+    return container;
+  }
+
+  /**
+   * Create a date input; the picked date is sent as the user's message
+   * @param {string|null} label - Prompt shown above the input
+   * @returns {HTMLElement}
+   */
+  createDatePicker(label) {
+    const container = document.createElement('div');
+    container.className = 'csai-date-picker';
+    container.setAttribute('data-interactive', 'true');
+
+    const title = document.createElement('label');
+    title.className = 'csai-date-picker-label';
+    title.textContent = label || this.translations.chooseDate || 'Choose a date';
+
+    const input = document.createElement('input');
+    input.type = 'date';
+    input.className = 'csai-date-picker-input';
+    input.min = this.formatDate(new Date());
+    title.appendChild(input);
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'csai-date-picker-button';
+    button.textContent = this.translations.sendDate || 'Send';
+    button.disabled = true;
+
+    input.addEventListener('input', () => (button.disabled = !input.value));
+    button.addEventListener('click', () => {
+      if (input.value) {
+        this.reply(input.value);
+      }
+    });
+
+    container.appendChild(title);
+    container.appendChild(button);
+    return container;
+  }
+
+  /**
+   * Send a quick reply or picked date as the user's message
+   * @param {string} text - Reply text
+   */
+  reply(text) {
+    this.removeInteractiveBlocks();
+    if (this.onReply) {
+      this.onReply(text);
+    }
+  }
+
+  /**
+   * Remove quick replies and date pickers (they are one-shot)
+   */
+  removeInteractiveBlocks() {
+    this.element.querySelectorAll('[data-interactive="true"]').forEach((el) => el.remove());
+  }
+
+  /**
+   * Only http(s) URLs are used for card images and links
+   * @param {string} url
+   * @returns {boolean}
+   */
+  isSafeUrl(url) {
+    return typeof url === 'string' && /^https?:\/\//i.test(url);
+  }
+
+  /**
+   * Format a date as YYYY-MM-DD in local time (the value format of date inputs)
+   * @param {Date} date
+   * @returns {string}
+   */
+  formatDate(date) {
+    const month = (date.getMonth() + 1).toString().padStart(2, '0');
+    const day = date.getDate().toString().padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
+  /**
+   * Add thumbs up/down buttons to an AI reply
+   * Only replies written by the AI with a known server ID can be rated.
+   * @param {HTMLElement} messageDiv - Message element
+   * @param {Object} message - Message object
+   */
+  appendFeedback(messageDiv, message) {
+    const rateable = message.role === 'assistant' && message.sender !== 'agent' && message.id;
+    if (!this.onFeedback || !rateable) {
+      return;
+    }
+
+    const feedback = document.createElement('div');
+    feedback.className = 'csai-feedback';
+
+    const buttons = [
+      { rating: 'up', icon: '\u{1F44D}', label: this.translations.feedbackHelpful || 'Helpful' },
+      {
+        rating: 'down',
+        icon: '\u{1F44E}',
+        label: this.translations.feedbackNotHelpful || 'Not helpful',
+      },
+    ].map(({ rating, icon, label }) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'csai-feedback-button';
+      button.textContent = icon;
+      button.title = label;
+      button.setAttribute('aria-label', label);
+      button.setAttribute('aria-pressed', String(message.feedback === rating));
+      if (message.feedback === rating) {
+        button.classList.add('active');
+      }
+
+      button.addEventListener('click', async () => {
+        if (message.feedback === rating || messageDiv.classList.contains('csai-ended')) {
+          return;
+        }
+        buttons.forEach((btn) => (btn.disabled = true));
+        try {
+          await this.onFeedback(message, rating);
+          message.feedback = rating;
+          buttons.forEach((btn) => {
+            const active = btn === button;
+            btn.classList.toggle('active', active);
+            btn.setAttribute('aria-pressed', String(active));
+          });
+        } catch (error) {
+          console.error('[MessageList] Failed to save feedback:', error);
+        } finally {
+          buttons.forEach((btn) => (btn.disabled = false));
+        }
+      });
+      return button;
+    });
+
+    buttons.forEach((button) => feedback.appendChild(button));
+    messageDiv.appendChild(feedback);
+  }
+
+  /**
+   * Start an AI message whose text arrives in chunks
+   * The message is only added to the history once finishStreamingMessage is called.
+   * @returns {HTMLElement} The message bubble being filled
+   */
+  startStreamingMessage() {
+    this.hideTyping();
+    this.cancelStreamingMessage();
+
+    const messageEl = this.createMessageElement({
+      role: 'assistant',
+      content: '',
+      timestamp: new Date(),
+    });
+    messageEl.setAttribute('data-streaming', 'true');
+    this.element.appendChild(messageEl);
+    this.streamingBubble = messageEl.querySelector('.csai-message-bubble');
+    this.streamingText = '';
+
+    this.scrollToBottom();
+    return this.streamingBubble;
+  }
+
+  /**
+   * Append a chunk of text to the streaming message
+   * @param {string} text - Text delta
+   */
+  appendToStreamingMessage(text) {
+    if (!this.streamingBubble) {
+      this.startStreamingMessage();
+    }
+    this.streamingText += text;
+    setMarkdown(this.streamingBubble, this.streamingText);
+    this.scrollToBottom();
+  }
+
+  /**
+   * Clear the streamed text (the server discarded it) and show typing again
+   */
+  resetStreamingMessage() {
+    this.cancelStreamingMessage();
+    this.showTyping();
+  }
+
+  /**
+   * Replace the streamed text with the final reply and record it in the history
+   * @param {Object} message - Final message object
+   * @returns {boolean} False if no message was streaming
+   */
+  finishStreamingMessage(message) {
+    const messageEl = this.element.querySelector('[data-streaming="true"]');
+    if (!messageEl) {
+      return false;
+    }
+
+    messageEl.removeAttribute('data-streaming');
+    setMarkdown(this.streamingBubble, message.content);
+    this.streamingBubble = null;
+    this.streamingText = '';
+    this.appendBlocks(messageEl, message);
+    this.appendFeedback(messageEl, message);
+    this.messages.push(message);
+
+    this.scrollToBottom();
+    return true;
+  }
+
+  /**
+   * Remove a partially streamed message without recording it
+   */
+  cancelStreamingMessage() {
+    const messageEl = this.element.querySelector('[data-streaming="true"]');
+    if (messageEl) {
+      messageEl.remove();
+    }
+    this.streamingBubble = null;
+    this.streamingText = '';
+  }
+
+  /**
+   * Show a status notice (e.g. an agent joined) between messages
+   * Notices are not part of the conversation history.
+   * @param {string} text - Notice text
+   */
+  addNotice(text) {
+    const notice = document.createElement('div');
+    notice.className = 'csai-notice';
+    notice.textContent = text; // Safe: uses textContent
+    this.element.appendChild(notice);
+    this.scrollToBottom();
+  }
+
+  /**
+   * Ask the user to rate the conversation that just ended (1-5)
+   * Like notices, the prompt is not part of the conversation history.
+   * @param {Function} onRate - Called with the rating; should return a promise
+   */
+  addRatingPrompt(onRate) {
+    const prompt = document.createElement('div');
+    prompt.className = 'csai-rating';
+
+    const title = document.createElement('div');
+    title.className = 'csai-rating-title';
+    title.textContent = this.translations.ratePrompt || 'How would you rate this conversation?';
+    prompt.appendChild(title);
+
+    const stars = document.createElement('div');
+    stars.className = 'csai-rating-stars';
+    for (let rating = 1; rating <= 5; rating++) {
+      const star = document.createElement('button');
+      star.type = 'button';
+      star.className = 'csai-rating-star';
+      star.textContent = '\u2605';
+      star.setAttribute('aria-label', `${rating}/5`);
+      star.addEventListener('click', async () => {
+        stars.querySelectorAll('button').forEach((btn) => (btn.disabled = true));
+        try {
+          await onRate(rating);
+          stars.remove();
+          title.textContent = this.translations.rateThanks || 'Thanks for your feedback!';
+        } catch (error) {
+          console.error('[MessageList] Failed to save rating:', error);
+          stars.querySelectorAll('button').forEach((btn) => (btn.disabled = false));
+        }
+      });
+      stars.appendChild(star);
+    }
+    prompt.appendChild(stars);
+
+    this.element.appendChild(prompt);
+    this.scrollToBottom();
+  }
+
   /**
    * Mark all messages as ended (gray them out)
    */
   markAsEnded() {
+    this.removeInteractiveBlocks();
     const messages = this.element.querySelectorAll('.csai-message');
     messages.forEach((msg) => {
       msg.classList.add('csai-ended');
@@ -185,6 +653,14 @@ export class MessageList {
       this.element.appendChild(messageEl);
     });
 
+    // Quick replies and date pickers stay only under the last message if it is a reply
+    const last = this.element.lastElementChild;
+    this.element.querySelectorAll('[data-interactive="true"]').forEach((el) => {
+      if (el.parentElement !== last) {
+        el.remove();
+      }
+    });
+
     this.scrollToBottom();
   }
 
@@ -194,6 +670,8 @@ export class MessageList {
   clear() {
     this.element.innerHTML = '';
     this.messages = [];
+    this.streamingBubble = null;
+    this.streamingText = '';
   }
 
   /**
@@ -6,7 +6,14 @@ import { InputArea } from './input.js';
  * The main chat interface with header, messages, and input
  */
 export class ChatWindow {
-  constructor(config, onClose, onSend, onEndConversation = null) {
+  constructor(
+    config,
+    onClose,
+    onSend,
+    onEndConversation = null,
+    onFeedback = null,
+    onUpload = null
+  ) {
     this.config = config;
     this.onClose = onClose;
     this.onSend = onSend;
@@ -14,8 +21,12 @@ export class ChatWindow {
     this.translations = config.translations || {};
     this.isRTL = config.isRTL || false;
     this.element = this.create();
-    this.messageList = new MessageList(config);
-    this.inputArea = new InputArea((message) => this.handleSend(message), config);
+    this.messageList = new MessageList(config, onFeedback, (text) => this.handleSend(text));
+    this.inputArea = new InputArea(
+      (message, attachments) => this.handleSend(message, attachments),
+      config,
+      onUpload
+    );
     this.isOpen = false;
   }
 
@@ -139,10 +150,11 @@ export class ChatWindow {
   /**
    * Handle message send
    * @param {string} message - User message
+   * @param {Array} [attachments] - Uploaded attachments sent with the message
    */
-  handleSend(message) {
+  handleSend(message, attachments = []) {
     if (this.onSend) {
-      this.onSend(message);
+      this.onSend(message, attachments);
     }
   }
 
@@ -189,6 +201,65 @@ export class ChatWindow {
     this.messageList.addMessage(message, isEnded);
   }
 
+  /**
+   * Show a status notice in the message list
+   * @param {string} text - Notice text
+   */
+  addNotice(text) {
+    const emptyState = this.element.querySelector('.csai-empty-state');
+    if (emptyState) {
+      emptyState.remove();
+    }
+
+    this.messageList.addNotice(text);
+  }
+
+  /**
+   * Ask the user to rate the conversation that just ended
+   * @param {Function} onRate - Called with the rating (1-5)
+   */
+  showRatingPrompt(onRate) {
+    this.messageList.addRatingPrompt(onRate);
+  }
+
+  /**
+   * Append streamed reply text, starting a new AI message on the first chunk
+   * @param {string} text - Text delta
+   */
+  appendStreamingText(text) {
+    const emptyState = this.element.querySelector('.csai-empty-state');
+    if (emptyState) {
+      emptyState.remove();
+    }
+
+    this.messageList.appendToStreamingMessage(text);
+  }
+
+  /**
+   * Discard streamed reply text
+   */
+  resetStreamingMessage() {
+    this.messageList.resetStreamingMessage();
+  }
+
+  /**
+   * Finalize the streamed reply, or add it as a regular message if nothing was streamed
+   * @param {Object} message - Final message object
+   * @param {Boolean} isEnded - Whether conversation has ended
+   */
+  finishStreamingMessage(message, isEnded = false) {
+    if (!this.messageList.finishStreamingMessage(message)) {
+      this.addMessage(message, isEnded);
+    }
+  }
+
+  /**
+   * Remove a partially streamed reply (e.g. after an error)
+   */
+  cancelStreamingMessage() {
+    this.messageList.cancelStreamingMessage();
+  }
+
   /**
    * Mark conversation as ended (gray out all messages)
    */
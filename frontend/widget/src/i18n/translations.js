@@ -28,6 +28,37 @@ export const translations = {
     errorSend: 'Failed to send message. Please try again.',
     errorRetry: 'Retry',
 
+    // Live agent
+    agentLabel: 'Support agent',
+    agentJoined: 'You are now chatting with {name}',
+    agentJoinedNoName: 'A member of our team has joined the chat',
+    aiBack: 'You are back with our AI assistant',
+
+    // Feedback
+    feedbackHelpful: 'Helpful',
+    feedbackNotHelpful: 'Not helpful',
+    ratePrompt: 'How would you rate this conversation?',
+    rateThanks: 'Thanks for your feedback!',
+
+    // Cards, quick replies and date picker
+    cardPrice: 'Price',
+    cardInStock: 'In stock',
+    cardOutOfStock: 'Out of stock',
+    cardTotal: 'Total',
+    cardEta: 'Estimated delivery',
+    viewDetails: 'View details',
+    chooseDate: 'Choose a date',
+    sendDate: 'Send',
+
+    // Attachments
+    attachFile: 'Attach a file',
+    removeAttachment: 'Remove',
+    uploading: 'Uploading...',
+    uploadFailed: 'Could not upload {name}',
+    fileTooLarge: '{name} is too large (max {size} MB)',
+    fileTypeNotAllowed: '{name} is not a supported file type',
+    tooManyFiles: 'You can attach up to {count} files',
+
     // Time labels
     justNow: 'Just now',
     minutesAgo: 'min ago',
@@ -64,6 +95,37 @@ export const translations = {
     errorSend: 'שליחת ההודעה נכשלה. אנא נסה שוב.',
     errorRetry: 'נסה שוב',
 
+    // Live agent
+    agentLabel: 'נציג תמיכה',
+    agentJoined: 'אתה משוחח כעת עם {name}',
+    agentJoinedNoName: 'נציג מהצוות שלנו הצטרף לשיחה',
+    aiBack: 'חזרת לשיחה עם העוזר הדיגיטלי שלנו',
+
+    // Feedback
+    feedbackHelpful: 'מועיל',
+    feedbackNotHelpful: 'לא מועיל',
+    ratePrompt: 'איך היית מדרג את השיחה?',
+    rateThanks: 'תודה על המשוב!',
+
+    // Cards, quick replies and date picker
+    cardPrice: 'מחיר',
+    cardInStock: 'במלאי',
+    cardOutOfStock: 'אזל מהמלאי',
+    cardTotal: 'סה"כ',
+    cardEta: 'משלוח משוער',
+    viewDetails: 'לפרטים',
+    chooseDate: 'בחרו תאריך',
+    sendDate: 'שליחה',
+
+    // Attachments
+    attachFile: 'צירוף קובץ',
+    removeAttachment: 'הסרה',
+    uploading: 'מעלה...',
+    uploadFailed: 'לא ניתן להעלות את {name}',
+    fileTooLarge: '{name} גדול מדי (עד {size} MB)',
+    fileTypeNotAllowed: 'סוג הקובץ של {name} אינו נתמך',
+    tooManyFiles: 'ניתן לצרף עד {count} קבצים',
+
     // Time labels
     justNow: 'עכשיו',
     minutesAgo: 'דקות',
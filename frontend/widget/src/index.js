@@ -38,6 +38,7 @@ function getConfigFromScript() {
     greeting: script.getAttribute('data-greeting'),
     title: script.getAttribute('data-title'),
     subtitle: script.getAttribute('data-subtitle'),
+    streaming: script.getAttribute('data-streaming'),
   };
 
   // Remove null/undefined values
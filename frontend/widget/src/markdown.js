@@ -0,0 +1,184 @@
+/**
+ * Markdown rendering for AI replies
+ *
+ * Supports paragraphs, line breaks, headings, bold, italics, inline code,
+ * fenced code blocks, bulleted/numbered lists and links. The output is built
+ * with DOM APIs only: text always goes through text nodes, so HTML in a reply
+ * is shown as text, and links are limited to http(s), mailto and tel.
+ */
+
+const SAFE_LINK = /^(https?:\/\/|mailto:|tel:)/i;
+
+// code | [text](url) | **bold** | __bold__ | *italic* | _italic_ | bare URL
+const INLINE_PATTERN =
+  /(`[^`\n]+`)|\[([^\]\n]+)\]\(([^)\s]+)\)|\*\*([^*\n]+)\*\*|__([^_\n]+)__|\*([^*\s][^*\n]*)\*|(?<![\w])_([^_\s][^_\n]*)_(?![\w])|(https?:\/\/[^\s<]*[^\s<.,:;"')\]!?])/;
+
+const LIST_ITEM = /^\s*(?:([-*+])|(\d+)[.)])\s+(.*)$/;
+const HEADING = /^#{1,6}\s+(.*)$/;
+const FENCE = /^\s*```/;
+
+/**
+ * Create a link element, or null if the URL is not allowed
+ * @param {string} href - Link target
+ * @param {string} text - Link text (rendered as inline markdown)
+ * @returns {HTMLElement|null}
+ */
+function createLink(href, text) {
+  if (!SAFE_LINK.test(href)) {
+    return null;
+  }
+  const link = document.createElement('a');
+  link.href = href;
+  link.target = '_blank';
+  link.rel = 'noopener noreferrer';
+  appendInline(link, text);
+  return link;
+}
+
+/**
+ * Append inline markdown (bold, italics, code, links) to an element
+ * @param {HTMLElement} parent - Target element
+ * @param {string} text - Inline markdown
+ */
+function appendInline(parent, text) {
+  let rest = text;
+  let match;
+
+  while ((match = INLINE_PATTERN.exec(rest))) {
+    if (match.index > 0) {
+      parent.appendChild(document.createTextNode(rest.slice(0, match.index)));
+    }
+
+    const [whole, code, linkText, linkUrl, bold, boldAlt, italic, italicAlt, url] = match;
+    let node = null;
+
+    if (code) {
+      node = document.createElement('code');
+      node.textContent = code.slice(1, -1);
+    } else if (linkText) {
+      node = createLink(linkUrl, linkText);
+    } else if (bold || boldAlt) {
+      node = document.createElement('strong');
+      appendInline(node, bold || boldAlt);
+    } else if (italic || italicAlt) {
+      node = document.createElement('em');
+      appendInline(node, italic || italicAlt);
+    } else if (url) {
+      node = createLink(url, url);
+    }
+
+    parent.appendChild(node || document.createTextNode(whole));
+    rest = rest.slice(match.index + whole.length);
+  }
+
+  if (rest) {
+    parent.appendChild(document.createTextNode(rest));
+  }
+}
+
+/**
+ * Append lines as a paragraph, keeping single line breaks
+ * @param {DocumentFragment} fragment - Target
+ * @param {string[]} lines - Paragraph lines
+ */
+function appendParagraph(fragment, lines) {
+  const paragraph = document.createElement('p');
+  lines.forEach((line, index) => {
+    if (index > 0) {
+      paragraph.appendChild(document.createElement('br'));
+    }
+    appendInline(paragraph, line);
+  });
+  fragment.appendChild(paragraph);
+}
+
+/**
+ * Render markdown text to DOM nodes
+ * @param {string} text - Markdown text
+ * @returns {DocumentFragment}
+ */
+export function renderMarkdown(text) {
+  const fragment = document.createDocumentFragment();
+  const lines = String(text || '').split(/\r?\n/);
+  let paragraph = [];
+  let list = null;
+
+  const flush = () => {
+    if (paragraph.length > 0) {
+      appendParagraph(fragment, paragraph);
+      paragraph = [];
+    }
+    list = null;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    // Fenced code block - shown verbatim until the closing fence
+    if (FENCE.test(line)) {
+      flush();
+      const code = [];
+      for (i++; i < lines.length && !FENCE.test(lines[i]); i++) {
+        code.push(lines[i]);
+      }
+      const pre = document.createElement('pre');
+      const codeEl = document.createElement('code');
+      codeEl.textContent = code.join('\n');
+      pre.appendChild(codeEl);
+      fragment.appendChild(pre);
+      continue;
+    }
+
+    if (!line.trim()) {
+      flush();
+      continue;
+    }
+
+    const item = line.match(LIST_ITEM);
+    if (item) {
+      const ordered = !item[1];
+      if (paragraph.length > 0) {
+        appendParagraph(fragment, paragraph);
+        paragraph = [];
+      }
+      if (!list || (list.tagName === 'OL') !== ordered) {
+        list = document.createElement(ordered ? 'ol' : 'ul');
+        if (ordered && item[2] !== '1') {
+          list.start = parseInt(item[2], 10);
+        }
+        fragment.appendChild(list);
+      }
+      const li = document.createElement('li');
+      appendInline(li, item[3]);
+      list.appendChild(li);
+      continue;
+    }
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      flush();
+      const title = document.createElement('p');
+      const strong = document.createElement('strong');
+      appendInline(strong, heading[1]);
+      title.appendChild(strong);
+      fragment.appendChild(title);
+      continue;
+    }
+
+    // A plain line directly after a list item ends the list
+    list = null;
+    paragraph.push(line);
+  }
+
+  flush();
+  return fragment;
+}
+
+/**
+ * Replace an element's content with rendered markdown
+ * @param {HTMLElement} element - Target element
+ * @param {string} text - Markdown text
+ */
+export function setMarkdown(element, text) {
+  element.replaceChildren(renderMarkdown(text));
+}
@@ -5,6 +5,10 @@ import { ChatWindow } from './components/window.js';
 import { isRTL, getTranslations } from './i18n/translations.js';
 import styles from './styles.css?inline';
 
+// Live agent polling: fast while a human agent is (or is about to be) on the conversation
+const AGENT_POLL_INTERVAL = 3000;
+const IDLE_POLL_INTERVAL = 20000;
+
 /**
  * Main Chat Widget Class
  * Manages the entire widget lifecycle and state
@@ -20,9 +24,12 @@ export class ChatWidget {
     this.bubble = null;
     this.window = null;
     this.pendingMessage = null;
+    this.pendingAttachments = [];
     this.endedSessionId = null; // Track ended session ID to clear on next message
     this.language = 'en'; // Default language
     this.translations = getTranslations('en');
+    this.agentStatus = this.storage.get('agentStatus') || 'none'; // 'none' | 'pending' | 'active'
+    this.updateTimer = null;
 
     this.init();
   }
@@ -59,6 +66,8 @@ export class ChatWidget {
       title: config.title || 'Chat Support',
       subtitle: config.subtitle || 'We typically reply instantly',
       ...config,
+      // Stream replies token by token unless explicitly disabled (data-streaming="false")
+      streaming: config.streaming !== false && config.streaming !== 'false',
     };
   }
 
@@ -75,6 +84,7 @@ export class ChatWidget {
     this.createComponents();
     this.loadHistory();
     this.attachToDOM();
+    this.scheduleUpdates();
 
     console.log('ChatWidget: Initialized', {
       sessionId: this.sessionId,
@@ -107,6 +117,11 @@ export class ChatWidget {
         }
       }
 
+      // Attachment limits of the client's plan (the attach button is hidden when disabled)
+      if (serverConfig.attachments) {
+        this.config.attachments = serverConfig.attachments;
+      }
+
       console.log('ChatWidget: Loaded server config', { language: this.language });
     } catch (error) {
       console.warn('ChatWidget: Could not load server config, using defaults', error);
@@ -213,8 +228,10 @@ export class ChatWidget {
     this.window = new ChatWindow(
       componentConfig,
       () => this.handleClose(),
-      (message) => this.handleSend(message),
-      () => this.handleEndConversation()
+      (message, attachments) => this.handleSend(message, attachments),
+      () => this.handleEndConversation(),
+      (message, rating) => this.handleFeedback(message, rating),
+      (file) => this.api.uploadAttachment(this.sessionId, file)
     );
 
     // Append components to shadow DOM
@@ -241,6 +258,7 @@ export class ChatWidget {
     this.storage.saveMessages([]);
     // Clear window messages
     this.window.loadMessages([]);
+    this.setAgentStatus('none');
   }
 
   /**
@@ -285,9 +303,14 @@ export class ChatWidget {
 
         // Convert API format to widget format
         const formattedMessages = filteredMessages.map((msg) => ({
+          id: msg.id,
           role: msg.role,
           content: msg.content,
           timestamp: new Date(msg.created_at),
+          ...(msg.feedback && { feedback: msg.feedback }),
+          ...(msg.blocks && { blocks: msg.blocks }),
+          ...(msg.attachments?.length > 0 && { attachments: msg.attachments }),
+          ...(msg.sender === 'agent' && { sender: 'agent', agentName: msg.agentName }),
         }));
 
         this.window.loadMessages(formattedMessages);
@@ -320,6 +343,91 @@ export class ChatWidget {
     }
   }
 
+  /**
+   * Schedule the next live agent poll
+   * @param {number} delay - Delay in ms (defaults to the interval for the current agent status)
+   */
+  scheduleUpdates(delay) {
+    clearTimeout(this.updateTimer);
+    const interval =
+      delay ?? (this.agentStatus === 'none' ? IDLE_POLL_INTERVAL : AGENT_POLL_INTERVAL);
+    this.updateTimer = setTimeout(() => this.pollUpdates(), interval);
+  }
+
+  /**
+   * Fetch agent status and new agent messages for the current session
+   */
+  async pollUpdates() {
+    try {
+      // Nothing to poll until the conversation has started
+      const messages = this.window.getMessages();
+      if (messages.length > 0) {
+        const lastId = messages.reduce((max, msg) => Math.max(max, msg.id || 0), 0);
+        const updates = await this.api.getUpdates(this.sessionId, lastId);
+        this.applyUpdates(updates);
+      }
+    } catch (error) {
+      // Silently fail - polling retries on the next tick
+      console.debug('ChatWidget: Failed to poll for updates', error);
+    } finally {
+      this.scheduleUpdates();
+    }
+  }
+
+  /**
+   * Show new agent messages and agent join/leave notices
+   * @param {Object} updates - Result of api.getUpdates
+   */
+  applyUpdates(updates) {
+    const { agent, messages } = updates;
+    const previousStatus = this.agentStatus;
+
+    if (agent.status === 'active' && previousStatus !== 'active') {
+      this.window.addNotice(
+        agent.name
+          ? this.translations.agentJoined.replace('{name}', agent.name)
+          : this.translations.agentJoinedNoName
+      );
+    } else if (agent.status === 'none' && previousStatus === 'active') {
+      this.window.addNotice(this.translations.aiBack);
+    }
+    this.setAgentStatus(agent.status);
+
+    // Skip messages already shown (e.g. loaded from history)
+    const knownIds = new Set(this.window.getMessages().map((msg) => msg.id));
+    const newMessages = messages.filter((msg) => !knownIds.has(msg.id));
+    if (newMessages.length === 0) {
+      return;
+    }
+
+    newMessages.forEach((msg) => {
+      this.window.addMessage({
+        id: msg.id,
+        role: 'assistant',
+        content: msg.content,
+        timestamp: new Date(msg.created_at),
+        sender: 'agent',
+        agentName: msg.agentName,
+      });
+    });
+    this.storage.saveMessages(this.window.getMessages());
+
+    if (!this.window.isOpen) {
+      const newUnread = this.storage.getUnreadCount() + newMessages.length;
+      this.bubble.setUnreadCount(newUnread);
+      this.storage.setUnreadCount(newUnread);
+    }
+  }
+
+  /**
+   * Remember the agent status across page loads (so join notices are not repeated)
+   * @param {string} status - 'none' | 'pending' | 'active'
+   */
+  setAgentStatus(status) {
+    this.agentStatus = status;
+    this.storage.set('agentStatus', status);
+  }
+
   /**
    * Attach widget to the DOM
    */
@@ -396,6 +504,8 @@ export class ChatWidget {
       this.sessionId = this.storage.generateSessionId();
       this.storage.set('sessionId', this.sessionId);
       this.endedSessionId = oldSessionId;
+      this.setAgentStatus('none');
+      this.showRatingPrompt(oldSessionId);
 
       // Show a message to the user
       const endMessage = {
@@ -414,18 +524,43 @@ export class ChatWidget {
       this.sessionId = this.storage.generateSessionId();
       this.storage.set('sessionId', this.sessionId);
       this.endedSessionId = oldSessionId;
+      this.setAgentStatus('none');
     }
   }
 
+  /**
+   * Save a thumbs up/down on an AI reply
+   * Rejects if the API call fails so the buttons keep their previous state.
+   * @param {Object} message - Rated message (has the server ID)
+   * @param {string} rating - 'up' or 'down'
+   */
+  async handleFeedback(message, rating) {
+    await this.api.rateMessage(this.sessionId, message.id, rating);
+    message.feedback = rating;
+    this.storage.saveMessages(this.window.getMessages());
+  }
+
+  /**
+   * Ask the user to rate a conversation that just ended
+   * @param {string} sessionId - Session ID of the ended conversation
+   */
+  showRatingPrompt(sessionId) {
+    this.window.showRatingPrompt((rating) => this.api.rateConversation(sessionId, rating));
+  }
+
   /**
    * Handle sending a message
    * @param {string} messageText - User's message
+   * @param {Array} [attachments] - Uploaded attachments sent with the message
    */
-  async handleSend(messageText) {
+  async handleSend(messageText, attachments = []) {
+    const attachmentIds = attachments.map((attachment) => attachment.id);
+
     // Add user message to UI
     const userMessage = {
       role: 'user',
       content: messageText,
+      ...(attachments.length > 0 && { attachments }),
       timestamp: new Date(),
     };
 
@@ -441,22 +576,44 @@ export class ChatWidget {
 
     // Store pending message for retry
     this.pendingMessage = messageText;
+    this.pendingAttachments = attachments;
 
     try {
-      // Send to API
-      const response = await this.api.sendMessage(this.sessionId, messageText);
+      // Send to API (streamed replies render partial text as it arrives)
+      const response = this.config.streaming
+        ? await this.api.sendMessageStream(
+            this.sessionId,
+            messageText,
+            {
+              onToken: (text) => this.window.appendStreamingText(text),
+              onReset: () => this.window.resetStreamingMessage(),
+            },
+            attachmentIds
+          )
+        : await this.api.sendMessage(this.sessionId, messageText, attachmentIds);
 
       // Hide typing indicator
       this.window.hideTyping();
 
-      // Add AI response to UI
+      // A human agent is handling the conversation - their reply arrives by polling
+      if (response.agentActive) {
+        this.window.cancelStreamingMessage();
+        this.pendingMessage = null;
+        this.pendingAttachments = [];
+        this.scheduleUpdates(0);
+        return;
+      }
+
+      // Add AI response to UI (the final text replaces whatever was streamed)
       const aiMessage = {
+        ...(response.messageId && { id: response.messageId }),
         role: 'assistant',
         content: response.response,
+        ...(response.blocks?.length > 0 && { blocks: response.blocks }),
         timestamp: new Date(),
       };
 
-      this.window.addMessage(aiMessage);
+      this.window.finishStreamingMessage(aiMessage);
 
       // Save to storage
       const updatedMessages = this.window.getMessages();
@@ -474,6 +631,8 @@ export class ChatWidget {
         this.storage.set('sessionId', this.sessionId);
         // Store old session ID so we can clear it when user sends next message
         this.endedSessionId = oldSessionId;
+        this.setAgentStatus('none');
+        this.showRatingPrompt(oldSessionId);
       }
 
       // If window is closed, increment unread count
@@ -486,19 +645,26 @@ export class ChatWidget {
 
       // Clear pending message
       this.pendingMessage = null;
+      this.pendingAttachments = [];
+
+      // Check soon whether the reply escalated the conversation to an agent
+      this.scheduleUpdates(AGENT_POLL_INTERVAL);
     } catch (error) {
       console.error('ChatWidget: Failed to send message', error);
 
-      // Hide typing indicator
+      // Hide typing indicator and drop any partially streamed reply
+      this.window.cancelStreamingMessage();
       this.window.hideTyping();
 
       // Check if error indicates conversation ended (e.g., 404 or specific error message)
       // If so, start a new session and retry
+      // (Uploads belong to the session, so an unknown attachment is not a reason to restart)
       const errorMessage = error.message?.toLowerCase() || '';
       if (
-        errorMessage.includes('conversation ended') ||
-        errorMessage.includes('not found') ||
-        errorMessage.includes('404')
+        !errorMessage.includes('attachment') &&
+        (errorMessage.includes('conversation ended') ||
+          errorMessage.includes('not found') ||
+          errorMessage.includes('404'))
       ) {
         console.log(
           'ChatWidget: Conversation appears to have ended, starting new session and retrying'
@@ -508,14 +674,17 @@ export class ChatWidget {
         try {
           const retryResponse = await this.api.sendMessage(this.sessionId, messageText);
           const aiMessage = {
+            ...(retryResponse.messageId && { id: retryResponse.messageId }),
             role: 'assistant',
             content: retryResponse.response,
+            ...(retryResponse.blocks?.length > 0 && { blocks: retryResponse.blocks }),
             timestamp: new Date(),
           };
           this.window.addMessage(aiMessage);
           const updatedMessages = this.window.getMessages();
           this.storage.saveMessages(updatedMessages);
           this.pendingMessage = null;
+          this.pendingAttachments = [];
           return;
         } catch (retryError) {
           console.error('ChatWidget: Retry after new session also failed', retryError);
@@ -535,8 +704,8 @@ export class ChatWidget {
    * Retry the last failed message
    */
   retryLastMessage() {
-    if (this.pendingMessage) {
-      this.handleSend(this.pendingMessage);
+    if (this.pendingMessage || this.pendingAttachments?.length > 0) {
+      this.handleSend(this.pendingMessage, this.pendingAttachments);
     }
   }
 
@@ -570,6 +739,7 @@ export class ChatWidget {
    * Public API: Destroy the widget
    */
   destroy() {
+    clearTimeout(this.updateTimer);
     if (this.container && this.container.parentNode) {
       this.container.parentNode.removeChild(this.container);
     }